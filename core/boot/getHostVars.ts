@@ -27,6 +27,10 @@ export const hostEnvVarSchemas = {
     ),
     MAX_SLOTS: z.coerce.number().int().positive(),
     QUIET_MODE: z.preprocess((val) => val === 'true', z.boolean()),
+    DATABASE_DRIVER: z.enum(
+        ['json', 'sqlite'],
+        { message: 'DATABASE_DRIVER must be either "json", "sqlite", or undefined' }
+    ),
 
     //Networking
     TXA_URL: z.string().url(),
@@ -298,6 +298,7 @@ if (netInterface) {
  */
 const forceGameName = hostVars.GAME_NAME;
 const hostApiToken = hostVars.API_TOKEN;
+const databaseDriver = hostVars.DATABASE_DRIVER;
 
 const forceMaxClients = handleMultiVar(
     'MAX_SLOTS',
@@ -547,6 +548,7 @@ export const txHostConfig = Object.freeze({
     forceMaxClients,
     forceQuietMode,
     hostApiToken,
+    databaseDriver,
 
     //Networking
     txaUrl,
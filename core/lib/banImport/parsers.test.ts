@@ -0,0 +1,146 @@
+import { suite, it, expect } from 'vitest';
+import {
+    parseCsvBans,
+    parseEasyAdminBans,
+    parseImportExpiration,
+    parseVMenuBans,
+    splitCsvRows,
+} from './parsers';
+
+const license = 'license:' + 'a'.repeat(40);
+const steam = 'steam:1100001aaaaaaaa';
+
+
+suite('parseImportExpiration', () => {
+    it('should detect permanent bans', () => {
+        expect(parseImportExpiration(undefined)).toBe(false);
+        expect(parseImportExpiration(0)).toBe(false);
+        expect(parseImportExpiration('')).toBe(false);
+        expect(parseImportExpiration('Permanent')).toBe(false);
+        expect(parseImportExpiration('never')).toBe(false);
+        expect(parseImportExpiration(10444633200)).toBe(false);
+        expect(parseImportExpiration('3000-01-01T00:00:00')).toBe(false);
+    });
+
+    it('should parse seconds, milliseconds and dates', () => {
+        expect(parseImportExpiration(1700000000)).toBe(1700000000);
+        expect(parseImportExpiration(1700000000123)).toBe(1700000000);
+        expect(parseImportExpiration('1700000000')).toBe(1700000000);
+        expect(parseImportExpiration('2023-11-14T22:13:20Z')).toBe(1700000000);
+    });
+
+    it('should return undefined for unknown values', () => {
+        expect(parseImportExpiration('next week')).toBeUndefined();
+        expect(parseImportExpiration(-5)).toBeUndefined();
+        expect(parseImportExpiration({})).toBeUndefined();
+    });
+});
+
+
+suite('parseEasyAdminBans', () => {
+    it('should parse the current format', () => {
+        const result = parseEasyAdminBans(JSON.stringify([{
+            banid: 1,
+            name: 'Tabarra',
+            identifiers: [license, 'ip:127.0.0.1'],
+            reason: 'cheating',
+            banner: 'Admin',
+            expire: 10444633200,
+        }]));
+        expect(result.skipped).toEqual([]);
+        expect(result.bans).toEqual([{
+            row: 1,
+            identifiers: [license, 'ip:127.0.0.1'],
+            playerName: 'Tabarra',
+            reason: 'cheating',
+            author: 'Admin',
+            timestamp: undefined,
+            expiration: false,
+        }]);
+    });
+
+    it('should parse the legacy format', () => {
+        const result = parseEasyAdminBans(JSON.stringify([
+            { identifier: steam, license, reason: 'x', expire: 1700000000 },
+            'invalid',
+        ]));
+        expect(result.bans[0].identifiers).toEqual([steam, license]);
+        expect(result.bans[0].expiration).toBe(1700000000);
+        expect(result.skipped).toEqual([{ row: 2, reason: 'invalid entry' }]);
+    });
+
+    it('should throw on invalid json', () => {
+        expect(() => parseEasyAdminBans('{')).toThrowError(/Invalid JSON/);
+        expect(() => parseEasyAdminBans('123')).toThrowError();
+    });
+});
+
+
+suite('parseVMenuBans', () => {
+    it('should parse the ban records', () => {
+        const result = parseVMenuBans(JSON.stringify([{
+            playerName: 'Player',
+            identifiers: [steam],
+            bannedUntil: '3000-01-01T00:00:00',
+            banReason: 'griefing',
+            bannedBy: 'Mod',
+            uuid: '00000000-0000-0000-0000-000000000000',
+        }]));
+        expect(result.bans).toEqual([{
+            row: 1,
+            identifiers: [steam],
+            playerName: 'Player',
+            reason: 'griefing',
+            author: 'Mod',
+            expiration: false,
+        }]);
+    });
+});
+
+
+suite('splitCsvRows', () => {
+    it('should handle quoted fields', () => {
+        const rows = splitCsvRows('a,"b, ""c""",d\r\n"multi\nline",e', ',');
+        expect(rows).toEqual([
+            ['a', 'b, "c"', 'd'],
+            ['multi\nline', 'e'],
+        ]);
+    });
+});
+
+
+suite('parseCsvBans', () => {
+    it('should map the columns by header', () => {
+        const csv = [
+            'Reason;Identifiers;Expires;Admin;Name',
+            `"spam; flood";${license} ${steam};2023-11-14T22:13:20Z;Admin;Player`,
+            '',
+            `;${steam};;;`,
+        ].join('\n');
+        const result = parseCsvBans(csv);
+        expect(result.bans).toEqual([
+            {
+                row: 2,
+                identifiers: [license, steam],
+                playerName: 'Player',
+                reason: 'spam; flood',
+                author: 'Admin',
+                timestamp: undefined,
+                expiration: 1700000000,
+            },
+            {
+                row: 4,
+                identifiers: [steam],
+                playerName: undefined,
+                reason: undefined,
+                author: undefined,
+                timestamp: undefined,
+                expiration: false,
+            },
+        ]);
+    });
+
+    it('should require the identifiers column', () => {
+        expect(() => parseCsvBans('reason,expiration\nx,0')).toThrowError(/identifiers/);
+    });
+});
@@ -0,0 +1,291 @@
+/**
+ * Parsers for the banlists exported by other FiveM/RedM admin resources.
+ * They only extract the raw values, the validation is done by planBanImport().
+ */
+
+export const banImportFormats = ['easyadmin', 'vmenu', 'csv'] as const;
+export type BanImportFormatType = typeof banImportFormats[number];
+
+export type RawImportedBanType = {
+    row: number;
+    identifiers: string[];
+    playerName?: string;
+    reason?: string;
+    author?: string;
+    timestamp?: number;
+    expiration: number | false | undefined; //undefined means it couldn't be parsed
+};
+
+export type SkippedImportRowType = {
+    row: number;
+    reason: string;
+};
+
+export type BanParserResultType = {
+    bans: RawImportedBanType[];
+    skipped: SkippedImportRowType[];
+};
+
+//Timestamps after this are considered permanent bans (2100-01-01)
+//EasyAdmin uses 10444633200 (year 2300), and vMenu uses the year 3000
+const PERMANENT_THRESHOLD = 4102444800;
+
+
+/**
+ * Normalizes an unix timestamp in seconds or milliseconds to seconds
+ */
+const normalizeTimestamp = (value: number) => {
+    return value > 100_000_000_000 ? Math.floor(value / 1000) : Math.floor(value);
+};
+
+
+/**
+ * Parses a ban expiration from a number or string, returning false for permanent bans.
+ * Returns undefined if the value is not recognized.
+ */
+export const parseImportExpiration = (value: unknown): number | false | undefined => {
+    if (value === undefined || value === null || value === false) return false;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value < 0) return undefined;
+        if (value === 0) return false;
+        const ts = normalizeTimestamp(value);
+        return ts >= PERMANENT_THRESHOLD ? false : ts;
+    }
+    if (typeof value !== 'string') return undefined;
+
+    const trimmed = value.trim();
+    if (/^(|0|-1|false|never|permanent|perm|perma)$/i.test(trimmed)) return false;
+    if (/^\d+$/.test(trimmed)) return parseImportExpiration(parseInt(trimmed));
+    const parsed = Date.parse(trimmed);
+    if (isNaN(parsed)) return undefined;
+    return parseImportExpiration(parsed);
+};
+
+
+/**
+ * Parses a timestamp, returning undefined if not recognized
+ */
+const parseImportTimestamp = (value: unknown) => {
+    if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+        return normalizeTimestamp(value);
+    } else if (typeof value === 'string' && value.trim().length) {
+        const trimmed = value.trim();
+        const parsed = /^\d+$/.test(trimmed) ? parseInt(trimmed) : Date.parse(trimmed);
+        if (!isNaN(parsed) && parsed > 0) return normalizeTimestamp(parsed);
+    }
+    return undefined;
+};
+
+
+/**
+ * Returns the value if it is a non-empty string
+ */
+const optionalString = (value: unknown) => {
+    if (typeof value !== 'string') return undefined;
+    const trimmed = value.trim();
+    return trimmed.length ? trimmed : undefined;
+};
+
+
+/**
+ * Returns the entries of a JSON banlist, which might be an array or an object keyed by ban id
+ */
+const getJsonEntries = (content: string) => {
+    let parsed: unknown;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON file: ${(error as Error).message}`);
+    }
+    if (Array.isArray(parsed)) return parsed as unknown[];
+    if (typeof parsed === 'object' && parsed !== null) return Object.values(parsed) as unknown[];
+    throw new Error('The JSON file must contain an array or object of bans.');
+};
+
+
+/**
+ * Parses the EasyAdmin banlist.json file.
+ * Newer versions save an `identifiers` array, while older ones saved each identifier as a separate field.
+ */
+export const parseEasyAdminBans = (content: string): BanParserResultType => {
+    const legacyIdFields = ['identifier', 'steam', 'license', 'license2', 'discord', 'fivem', 'live', 'xbl'];
+    const result: BanParserResultType = { bans: [], skipped: [] };
+
+    getJsonEntries(content).forEach((entry, index) => {
+        const row = index + 1;
+        if (typeof entry !== 'object' || entry === null) {
+            result.skipped.push({ row, reason: 'invalid entry' });
+            return;
+        }
+        const ban = entry as Record<string, unknown>;
+        const identifiers: string[] = [];
+        for (const listField of ['identifiers', 'tokens']) {
+            if (Array.isArray(ban[listField])) {
+                identifiers.push(...(ban[listField] as unknown[]).filter((id): id is string => typeof id === 'string'));
+            }
+        }
+        for (const field of legacyIdFields) {
+            const value = optionalString(ban[field]);
+            if (value) identifiers.push(value);
+        }
+
+        result.bans.push({
+            row,
+            identifiers,
+            playerName: optionalString(ban.name),
+            reason: optionalString(ban.reason),
+            author: optionalString(ban.banner),
+            timestamp: parseImportTimestamp(ban.time ?? ban.timeAt),
+            expiration: parseImportExpiration(ban.expire),
+        });
+    });
+    return result;
+};
+
+
+/**
+ * Parses the vMenu bans, as exported by its ban manager (list of BanRecord objects).
+ */
+export const parseVMenuBans = (content: string): BanParserResultType => {
+    const result: BanParserResultType = { bans: [], skipped: [] };
+
+    getJsonEntries(content).forEach((entry, index) => {
+        const row = index + 1;
+        if (typeof entry !== 'object' || entry === null) {
+            result.skipped.push({ row, reason: 'invalid entry' });
+            return;
+        }
+        const ban = entry as Record<string, unknown>;
+        const identifiers = Array.isArray(ban.identifiers)
+            ? (ban.identifiers as unknown[]).filter((id): id is string => typeof id === 'string')
+            : [];
+
+        result.bans.push({
+            row,
+            identifiers,
+            playerName: optionalString(ban.playerName),
+            reason: optionalString(ban.banReason),
+            author: optionalString(ban.bannedBy),
+            expiration: parseImportExpiration(ban.bannedUntil),
+        });
+    });
+    return result;
+};
+
+
+/**
+ * Splits CSV content into rows of fields, supporting quoted fields with escaped quotes and line breaks.
+ */
+export const splitCsvRows = (content: string, delimiter: string) => {
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && !field.length) {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field.length || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+
+/**
+ * Parses a generic CSV file with a header row.
+ * Required column: identifiers (separated by spaces, commas, semicolons or pipes).
+ * Optional columns: reason, expiration, author, name, timestamp.
+ */
+export const parseCsvBans = (content: string): BanParserResultType => {
+    const columnAliases: Record<string, string[]> = {
+        identifiers: ['identifiers', 'identifier', 'ids'],
+        reason: ['reason'],
+        expiration: ['expiration', 'expires', 'expire', 'bannedUntil'],
+        author: ['author', 'admin', 'banner', 'bannedBy'],
+        playerName: ['name', 'playerName', 'player'],
+        timestamp: ['timestamp', 'date', 'bannedAt'],
+    };
+    const result: BanParserResultType = { bans: [], skipped: [] };
+
+    //Detecting the delimiter from the header, ignoring the BOM added by spreadsheet apps
+    const csvContent = content.replace(/^﻿/, '');
+    const headerLine = csvContent.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.split(';').length > headerLine.split(',').length) ? ';' : ',';
+    const [header, ...rows] = splitCsvRows(csvContent, delimiter);
+    if (!header) throw new Error('The CSV file is empty.');
+
+    const normalizedHeader = header.map((col) => col.trim().toLowerCase());
+    const columnIndexes: Record<string, number> = {};
+    for (const [column, aliases] of Object.entries(columnAliases)) {
+        columnIndexes[column] = normalizedHeader.findIndex((col) => {
+            return aliases.some((alias) => alias.toLowerCase() === col);
+        });
+    }
+    if (columnIndexes.identifiers === -1) {
+        throw new Error('The CSV file must have a header row with an "identifiers" column.');
+    }
+    const getField = (fields: string[], column: string) => {
+        const index = columnIndexes[column];
+        return index === -1 ? undefined : fields[index];
+    };
+
+    rows.forEach((fields, index) => {
+        const row = index + 2; //header is line 1
+        if (fields.every((field) => !field.trim().length)) return;
+        const identifiers = (getField(fields, 'identifiers') ?? '')
+            .split(/[\s,;|]+/g)
+            .filter(Boolean);
+
+        result.bans.push({
+            row,
+            identifiers,
+            playerName: optionalString(getField(fields, 'playerName')),
+            reason: optionalString(getField(fields, 'reason')),
+            author: optionalString(getField(fields, 'author')),
+            timestamp: parseImportTimestamp(getField(fields, 'timestamp')),
+            expiration: parseImportExpiration(getField(fields, 'expiration')),
+        });
+    });
+    return result;
+};
+
+
+/**
+ * Parses a banlist in any of the supported formats
+ */
+export const parseImportedBans = (format: BanImportFormatType, content: string) => {
+    if (format === 'easyadmin') {
+        return parseEasyAdminBans(content);
+    } else if (format === 'vmenu') {
+        return parseVMenuBans(content);
+    } else if (format === 'csv') {
+        return parseCsvBans(content);
+    } else {
+        throw new Error(`Unknown banlist format: ${format}`);
+    }
+};
@@ -0,0 +1,92 @@
+import { suite, it, expect } from 'vitest';
+import { planBanImport } from './planner';
+import type { RawImportedBanType } from './parsers';
+
+const licenseA = 'license:' + 'a'.repeat(40);
+const licenseB = 'license:' + 'b'.repeat(40);
+const licenseC = 'license:' + 'c'.repeat(40);
+const hwid = '4:' + 'f'.repeat(64);
+const ts = 1700000000;
+const opts = {
+    ts,
+    defaultAuthor: 'Master',
+    defaultReason: 'imported',
+    findActiveBanId: () => undefined,
+};
+
+const rawBan = (row: number, data: Partial<RawImportedBanType>): RawImportedBanType => ({
+    row,
+    identifiers: [],
+    expiration: false,
+    ...data,
+});
+
+
+suite('planBanImport', () => {
+    it('should normalize the identifiers and fill the defaults', () => {
+        const plan = planBanImport({
+            bans: [rawBan(1, { identifiers: [licenseA.toUpperCase(), hwid, 'ip:127.0.0.1'] })],
+            skipped: [],
+        }, opts);
+        expect(plan.total).toBe(1);
+        expect(plan.skipped).toEqual([]);
+        expect(plan.bans).toEqual([{
+            row: 1,
+            ids: [licenseA],
+            hwids: [hwid],
+            playerName: false,
+            reason: 'imported',
+            author: 'Master',
+            timestamp: ts,
+            expiration: false,
+        }]);
+    });
+
+    it('should keep the original metadata', () => {
+        const plan = planBanImport({
+            bans: [rawBan(1, {
+                identifiers: [licenseA],
+                playerName: 'Player',
+                reason: 'cheating',
+                author: 'Admin',
+                timestamp: ts - 100,
+                expiration: ts + 100,
+            })],
+            skipped: [],
+        }, opts);
+        expect(plan.bans[0]).toMatchObject({
+            playerName: 'Player',
+            reason: 'cheating',
+            author: 'Admin',
+            timestamp: ts - 100,
+            expiration: ts + 100,
+        });
+    });
+
+    it('should report the skipped rows', () => {
+        const plan = planBanImport({
+            bans: [
+                rawBan(1, { identifiers: [licenseA] }),
+                rawBan(2, { identifiers: ['ip:127.0.0.1', hwid] }),
+                rawBan(3, { identifiers: [licenseB], expiration: ts - 1 }),
+                rawBan(4, { identifiers: [licenseB], expiration: undefined }),
+                rawBan(5, { identifiers: [licenseB, licenseA] }),
+                rawBan(7, { identifiers: [licenseC] }),
+            ],
+            skipped: [{ row: 6, reason: 'invalid entry' }],
+        }, {
+            ...opts,
+            findActiveBanId: (ids) => ids.includes(licenseC) ? 'BXXX-XXXX' : undefined,
+        });
+        expect(plan.total).toBe(7);
+        expect(plan.bans.map((b) => b.row)).toEqual([1]);
+        expect(plan.skipped).toEqual([
+            { row: 2, reason: 'no valid identifiers' },
+            { row: 3, reason: 'already expired' },
+            { row: 4, reason: 'invalid expiration' },
+            { row: 5, reason: 'duplicate of row 1' },
+            { row: 6, reason: 'invalid entry' },
+            { row: 7, reason: 'already banned (BXXX-XXXX)' },
+        ]);
+    });
+});
@@ -0,0 +1,104 @@
+import { parsePlayerId } from '@lib/player/idUtils';
+import consts from '@shared/consts';
+import type { BanParserResultType, SkippedImportRowType } from './parsers';
+
+export type PlannedBanImportType = {
+    row: number;
+    ids: string[];
+    hwids: string[];
+    playerName: string | false;
+    reason: string;
+    author: string;
+    timestamp: number;
+    expiration: number | false;
+};
+
+export type BanImportPlanType = {
+    total: number;
+    bans: PlannedBanImportType[];
+    skipped: SkippedImportRowType[];
+};
+
+type PlanBanImportOptions = {
+    ts: number;
+    defaultAuthor: string;
+    defaultReason: string;
+    findActiveBanId: (ids: string[]) => string | undefined;
+};
+
+
+/**
+ * Validates the parsed bans and decides which ones will be imported.
+ * Rows are skipped if they have no valid identifiers, are already expired, have an identifier
+ * of a previous row in the same file, or if the player already has an active ban in the database.
+ */
+export const planBanImport = (
+    parsed: BanParserResultType,
+    opts: PlanBanImportOptions,
+): BanImportPlanType => {
+    const bans: PlannedBanImportType[] = [];
+    const skipped: SkippedImportRowType[] = [...parsed.skipped];
+    const seenIds = new Map<string, number>();
+
+    for (const rawBan of parsed.bans) {
+        const skip = (reason: string) => skipped.push({ row: rawBan.row, reason });
+
+        //Splitting the valid ids and hwids, unsupported ones (like ip:) are dropped
+        const ids = new Set<string>();
+        const hwids = new Set<string>();
+        for (const idString of rawBan.identifiers) {
+            const { isIdValid, idlowerCased } = parsePlayerId(idString.trim());
+            if (isIdValid && idlowerCased) {
+                ids.add(idlowerCased);
+            } else if (consts.regexValidHwidToken.test(idString.trim())) {
+                hwids.add(idString.trim().toLowerCase());
+            }
+        }
+        if (!ids.size) {
+            skip('no valid identifiers');
+            continue;
+        }
+
+        //Validating the expiration
+        if (rawBan.expiration === undefined) {
+            skip('invalid expiration');
+            continue;
+        } else if (rawBan.expiration !== false && rawBan.expiration <= opts.ts) {
+            skip('already expired');
+            continue;
+        }
+
+        //Deduping by identifier
+        const idsArray = [...ids];
+        const duplicateOf = idsArray.map((id) => seenIds.get(id)).find((row) => row !== undefined);
+        if (duplicateOf !== undefined) {
+            skip(`duplicate of row ${duplicateOf}`);
+            continue;
+        }
+        const existingBanId = opts.findActiveBanId(idsArray);
+        if (existingBanId) {
+            skip(`already banned (${existingBanId})`);
+            continue;
+        }
+        for (const id of idsArray) {
+            seenIds.set(id, rawBan.row);
+        }
+
+        bans.push({
+            row: rawBan.row,
+            ids: idsArray,
+            hwids: [...hwids],
+            playerName: rawBan.playerName ?? false,
+            reason: rawBan.reason ?? opts.defaultReason,
+            author: rawBan.author ?? opts.defaultAuthor,
+            timestamp: (rawBan.timestamp && rawBan.timestamp <= opts.ts) ? rawBan.timestamp : opts.ts,
+            expiration: rawBan.expiration,
+        });
+    }
+
+    return {
+        total: parsed.bans.length + parsed.skipped.length,
+        bans,
+        skipped: skipped.sort((a, b) => a.row - b.row),
+    };
+};
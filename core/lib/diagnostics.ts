@@ -281,6 +281,7 @@ export const getTxAdminData = async () => {
         //Stats
         uptime: msToDuration(process.uptime() * 1000),
         databaseFileSize: bytes(txCore.database.fileSize),
+        databaseDriver: txCore.database.driver ?? 'not ready',
         txHostConfig: {
             ...txHostConfig,
             dataSubPath: undefined,
@@ -0,0 +1,79 @@
+import { now } from '@lib/misc';
+import { BAN_APPEAL_MESSAGE_MAX_LENGTH, getBanAppealBlocker } from '@modules/Database/banAppeals';
+import type { DatabaseBanAppealType } from '@modules/Database/databaseTypes';
+
+
+/**
+ * Returns the link to the appeal form for a ban, or undefined if the appeals page is not configured
+ */
+export const getBanAppealLink = (actionId: string) => {
+    if (!txConfig.banlist.appealsEnabled || !txConfig.banlist.appealsUrl) return;
+    const url = new URL(txConfig.banlist.appealsUrl);
+    url.searchParams.set('id', actionId);
+    return url.toString();
+};
+
+
+/**
+ * Validates and registers a ban appeal sent through the web form or the discord bot,
+ * then dispatches `txAdmin:events:banAppeal`.
+ * Throws an error with a player-facing message if the appeal could not be registered.
+ */
+export const submitBanAppeal = (appeal: {
+    actionId: string;
+    message: string;
+    source: DatabaseBanAppealType['source'];
+    discordId?: string;
+    discordName?: string;
+}) => {
+    if (!txConfig.banlist.appealsEnabled) {
+        throw new Error('Ban appeals are disabled on this server.');
+    }
+    const actionId = appeal.actionId.trim().toUpperCase();
+    const message = appeal.message.trim();
+    if (!message.length) {
+        throw new Error('The appeal message cannot be empty.');
+    } else if (message.length > BAN_APPEAL_MESSAGE_MAX_LENGTH) {
+        throw new Error(`The appeal message must be ${BAN_APPEAL_MESSAGE_MAX_LENGTH} characters or less.`);
+    }
+
+    //Checking the ban
+    const action = actionId.length ? txCore.database.actions.findOne(actionId) : null;
+    const blocker = getBanAppealBlocker(action, txCore.database.appeals.findByAction(actionId), now());
+    if (blocker) {
+        throw new Error(`Cannot appeal: ${blocker}.`);
+    }
+
+    const registered = txCore.database.appeals.register({
+        actionId,
+        source: appeal.source,
+        playerName: action!.playerName || appeal.discordName || 'unknown',
+        discordId: appeal.discordId,
+        message,
+    });
+    try {
+        txCore.fxRunner.sendEvent('banAppeal', {
+            status: registered.status,
+            appealId: registered.id,
+            actionId,
+            playerName: registered.playerName,
+        });
+    } catch (error) { }
+    return registered;
+};
+
+
+/**
+ * Returns the status of the latest appeal for a ban, without the admin comments
+ */
+export const getBanAppealStatus = (actionId: string) => {
+    const appeals = txCore.database.appeals.findByAction(actionId.trim().toUpperCase());
+    if (!appeals.length) return null;
+    const latest = appeals.reduce((acc, curr) => (curr.tsCreated >= acc.tsCreated ? curr : acc));
+    return {
+        id: latest.id,
+        status: latest.status,
+        tsCreated: latest.tsCreated,
+        tsLastUpdate: latest.tsLastUpdate,
+    };
+};
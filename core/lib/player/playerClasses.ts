@@ -1,9 +1,12 @@
 const modulename = 'Player';
 import cleanPlayerName from '@shared/cleanPlayerName';
-import { DatabaseActionWarnType, DatabasePlayerType, DatabaseWhitelistApprovalsType } from '@modules/Database/databaseTypes';
+import { DatabaseActionWarnType, DatabasePlayerNoteType, DatabasePlayerType, DatabaseWhitelistApprovalsType } from '@modules/Database/databaseTypes';
 import { cloneDeep, union } from 'lodash-es';
 import { now } from '@lib/misc';
 import { parsePlayerIds } from '@lib/player/idUtils';
+import { genPlayerNoteId } from '@lib/player/playerNotes';
+import { getActiveMute } from '@lib/player/playerMutes';
+import { updateNameHistory } from '@lib/player/playerNames';
 import consoleFactory from '@lib/console';
 import consts from '@shared/consts';
 import type FxPlayerlist from '@modules/FxPlayerlist';
@@ -71,17 +74,63 @@ export class BasePlayer {
     }
 
     /**
-     * Saves notes for this player.
+     * Adds a note to this player, returning its id.
      * NOTE: Techinically, we should be checking this.isRegistered, but not available in BasePlayer
      */
-    setNote(text: string, author: string) {
+    addNote(text: string, author: string) {
         if (!this.license) throw new Error(`cannot save notes for a player that has no license`);
-        this.mutateDbData({
-            notes: {
-                text,
-                lastAdmin: author,
-                tsLastEdit: now(),
-            }
+        if (!this.dbData) throw new Error(`cannot save notes for a player that is not registered`);
+        const notes = cloneDeep(this.dbData.notes ?? []);
+        const existingIds = new Set(notes.map((note) => note.id));
+        let id = genPlayerNoteId();
+        while (existingIds.has(id)) id = genPlayerNoteId();
+        notes.push({ id, author, ts: now(), text });
+        this.mutateDbData({ notes });
+        return id;
+    }
+
+    /**
+     * Applies a change to one of the notes of this player that was not deleted yet.
+     */
+    protected mutateNote(noteId: string, mutator: (note: DatabasePlayerNoteType) => void) {
+        if (!this.license) throw new Error(`cannot change notes for a player that has no license`);
+        if (!this.dbData) throw new Error(`cannot change notes for a player that is not registered`);
+        const notes = cloneDeep(this.dbData.notes ?? []);
+        const note = notes.find((note) => note.id === noteId);
+        if (!note) throw new Error(`note not found`);
+        if (note.deleted) throw new Error(`note was deleted`);
+        mutator(note);
+        this.mutateDbData({ notes });
+        return note;
+    }
+
+    /**
+     * Edits a note of this player, keeping the previous text in the edits list
+     */
+    editNote(noteId: string, text: string, author: string) {
+        return this.mutateNote(noteId, (note) => {
+            if (note.text === text) throw new Error(`note text was not changed`);
+            note.edits = [...(note.edits ?? []), { author, ts: now(), previousText: note.text }];
+            note.text = text;
+        });
+    }
+
+    /**
+     * Pins or unpins a note of this player
+     */
+    setNotePinned(noteId: string, isPinned: boolean) {
+        return this.mutateNote(noteId, (note) => {
+            note.isPinned = isPinned ? true : undefined;
+        });
+    }
+
+    /**
+     * Marks a note of this player as deleted, keeping it in the database as a trace
+     */
+    deleteNote(noteId: string, author: string) {
+        return this.mutateNote(noteId, (note) => {
+            note.isPinned = undefined;
+            note.deleted = { author, ts: now() };
         });
     }
 
@@ -102,6 +151,33 @@ export class BasePlayer {
         txCore.database.whitelist.removeManyApprovals(allIdsFilter);
         txCore.database.whitelist.removeManyRequests({ license: this.license });
     }
+
+    /**
+     * Saves the tags for this player.
+     * NOTE: the tag ids must be validated against the settings by the caller.
+     */
+    setTags(tagIds: string[]) {
+        if (!this.license) throw new Error(`cannot set tags for a player that has no license`);
+        this.mutateDbData({
+            tags: tagIds.length ? tagIds : undefined,
+        });
+    }
+
+    /**
+     * Adds or removes a confirmed link to another account of the same person.
+     * NOTE: the links are saved on both players, so this must also be called for the other player.
+     */
+    setAccountLink(targetLicense: string, author: string | false) {
+        if (!this.license) throw new Error(`cannot link accounts for a player that has no license`);
+        if (targetLicense === this.license) throw new Error(`cannot link an account to itself`);
+        if (!this.dbData) throw new Error(`cannot link accounts for a player that is not registered`);
+
+        const linkedAccounts = (this.dbData.linkedAccounts ?? []).filter((link) => link.license !== targetLicense);
+        if (author) {
+            linkedAccounts.push({ license: targetLicense, author, ts: now() });
+        }
+        this.mutateDbData({ linkedAccounts });
+    }
 }
 
 
@@ -118,6 +194,7 @@ export class ServerPlayer extends BasePlayer {
     readonly #fxPlayerlist: FxPlayerlist;
     // readonly psid: string; //TODO: calculate player session id (sv mutex, netid, rollover id) here
     readonly netid: number;
+    readonly ip: string | null; //only kept in memory for the alt-account suggestions, never saved
     readonly tsConnected = now();
     readonly isRegistered: boolean;
     readonly #minuteCronInterval?: ReturnType<typeof setInterval>;
@@ -143,8 +220,10 @@ export class ServerPlayer extends BasePlayer {
         }
 
         //Processing identifiers
-        //NOTE: ignoring IP completely
+        //NOTE: the IP is not saved to the database
         const { validIdsArray, validIdsObject } = parsePlayerIds(playerData.ids);
+        const ipId = playerData.ids.find((id) => typeof id === 'string' && id.startsWith('ip:'));
+        this.ip = ipId ? ipId.substring(3) : null;
         this.license = validIdsObject.license;
         this.ids = validIdsArray;
         this.hwids = playerData.hwids.filter(x => {
@@ -192,6 +271,10 @@ export class ServerPlayer extends BasePlayer {
                     tsLastConnection: this.tsConnected,
                     ids: union(dbPlayer.ids, this.ids),
                     hwids: union(dbPlayer.hwids, this.hwids),
+                    nameHistory: updateNameHistory(dbPlayer, {
+                        displayName: this.displayName,
+                        pureName: this.pureName,
+                    }, this.tsConnected),
                 });
             } else {
                 //Register player to the database
@@ -204,6 +287,12 @@ export class ServerPlayer extends BasePlayer {
                     playTime: 0,
                     tsLastConnection: this.tsConnected,
                     tsJoined: this.tsConnected,
+                    nameHistory: [{
+                        displayName: this.displayName,
+                        pureName: this.pureName,
+                        tsFirstSeen: this.tsConnected,
+                        tsLastSeen: this.tsConnected,
+                    }],
                 };
                 txCore.database.players.register(toRegister);
                 this.dbData = toRegister;
@@ -234,8 +323,9 @@ export class ServerPlayer extends BasePlayer {
             }
         }
 
-        if (oldestPendingWarn) {
-            this.#fxPlayerlist.dispatchInitialPlayerData(this.netid, oldestPendingWarn);
+        const activeMute = getActiveMute(actionHistory, now());
+        if (oldestPendingWarn || activeMute) {
+            this.#fxPlayerlist.dispatchInitialPlayerData(this.netid, oldestPendingWarn, activeMute);
         }
     }
 
@@ -1,4 +1,3 @@
-import { DatabasePlayerType } from "@modules/Database/databaseTypes.js";
 import { DatabasePlayer } from "./playerClasses.js"
 
 
@@ -8,8 +7,7 @@ import { DatabasePlayer } from "./playerClasses.js"
 export const findPlayersByIdentifier = (identifier: string): DatabasePlayer[] => {
     if(typeof identifier !== 'string' || !identifier.length) throw new Error(`invalid identifier`);
 
-    const filter = (player: DatabasePlayerType) => player.ids.includes(identifier);
-    const playersData = txCore.database.players.findMany(filter);
+    const playersData = txCore.database.players.findManyByIdentifiers([identifier]);
 
     return playersData.map((dbData) => new DatabasePlayer(dbData.license, dbData))
 } 
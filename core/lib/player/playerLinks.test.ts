@@ -0,0 +1,72 @@
+import { test, expect, suite, it } from 'vitest';
+import { getLinkableIds, getLinkReasons, getLinkedLicenses } from './playerLinks';
+
+const hwid1 = '2:aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const hwid2 = '3:bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const hwid3 = '4:cccccccccccccccccccccccccccccccccccccccccccccccccccccccccccccccc';
+
+
+test('getLinkableIds', () => {
+    expect(getLinkableIds([
+        'license:9b9fc300cc65d22ad3b536175a4d15c0e4933753',
+        'license2:9b9fc300cc65d22ad3b536175a4d15c0e4933753',
+        'discord:272800190639898628',
+        'fivem:555555',
+        'steam:110000101234567',
+        'xbl:1234567891234567',
+        'fivem:xxxxx',
+    ])).toEqual([
+        'discord:272800190639898628',
+        'fivem:555555',
+        'steam:110000101234567',
+        'xbl:1234567891234567',
+    ]);
+});
+
+
+suite('getLinkReasons', () => {
+    const source = {
+        ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753', 'discord:272800190639898628', 'fivem:555555'],
+        hwids: [hwid1, hwid2],
+    };
+
+    it('should match shared identifiers but not licenses', () => {
+        const target = {
+            ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753', 'discord:272800190639898628'],
+            hwids: [],
+        };
+        expect(getLinkReasons(source, target, 1)).toEqual(['discord']);
+    });
+
+    it('should respect the minimum hwid matches', () => {
+        const target = { ids: [], hwids: [hwid2, hwid3] };
+        expect(getLinkReasons(source, target, 1)).toEqual(['hwid']);
+        expect(getLinkReasons(source, target, 2)).toEqual([]);
+    });
+
+    it('should return no reasons for unrelated accounts', () => {
+        const target = { ids: ['fivem:666666'], hwids: [hwid3] };
+        expect(getLinkReasons(source, target, 1)).toEqual([]);
+    });
+});
+
+
+suite('getLinkedLicenses', () => {
+    const links: Record<string, string[]> = {
+        aaa: ['bbb'],
+        bbb: ['aaa', 'ccc'],
+        ccc: ['bbb'],
+        ddd: [],
+    };
+    const getDirectLinks = (license: string) => links[license] ?? [];
+
+    it('should return the transitive links without itself', () => {
+        expect(getLinkedLicenses('aaa', getDirectLinks)).toEqual(['bbb', 'ccc']);
+        expect(getLinkedLicenses('ccc', getDirectLinks)).toEqual(['bbb', 'aaa']);
+    });
+
+    it('should return an empty array for unlinked accounts', () => {
+        expect(getLinkedLicenses('ddd', getDirectLinks)).toEqual([]);
+        expect(getLinkedLicenses('zzz', getDirectLinks)).toEqual([]);
+    });
+});
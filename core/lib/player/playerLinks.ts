@@ -0,0 +1,123 @@
+import { parsePlayerId } from '@lib/player/idUtils';
+import type { DatabasePlayerType } from '@modules/Database/databaseTypes';
+import type { PlayerLinkReasonType, PlayerLinkSuggestion } from '@shared/playerApiTypes';
+
+//Consts
+const LINKABLE_ID_TYPES = ['discord', 'fivem', 'steam', 'xbl', 'live'] as const;
+const MAX_LINKED_ACCOUNTS = 100;
+
+//Types
+type IdentifiersType = Pick<DatabasePlayerType, 'ids' | 'hwids'>;
+
+
+/**
+ * Returns the identifiers that can be shared between accounts of the same person.
+ * The license identifiers are excluded as they are what defines each account.
+ */
+export const getLinkableIds = (ids: string[]) => {
+    return ids.filter((id) => {
+        const { isIdValid, idType } = parsePlayerId(id);
+        return isIdValid && (LINKABLE_ID_TYPES as readonly string[]).includes(idType!);
+    });
+};
+
+
+/**
+ * Returns the reasons why two accounts might belong to the same person
+ */
+export const getLinkReasons = (
+    source: IdentifiersType,
+    target: IdentifiersType,
+    minHwidMatches: number,
+) => {
+    const reasons: PlayerLinkReasonType[] = [];
+    const targetIds = new Set(target.ids);
+    for (const id of getLinkableIds(source.ids)) {
+        if (!targetIds.has(id)) continue;
+        const idType = id.split(':', 1)[0] as typeof LINKABLE_ID_TYPES[number];
+        if (!reasons.includes(idType)) reasons.push(idType);
+    }
+    const targetHwids = new Set(target.hwids);
+    const hwidMatches = source.hwids.filter((hwid) => targetHwids.has(hwid)).length;
+    if (hwidMatches && hwidMatches >= minHwidMatches) {
+        reasons.push('hwid');
+    }
+    return reasons;
+};
+
+
+/**
+ * Returns all licenses linked to the license, directly or through other linked accounts, excluding itself.
+ */
+export const getLinkedLicenses = (
+    license: string,
+    getDirectLinks: (license: string) => string[],
+) => {
+    const visited = new Set([license]);
+    const queue = [license];
+    while (queue.length && visited.size <= MAX_LINKED_ACCOUNTS) {
+        const current = queue.shift()!;
+        for (const linked of getDirectLinks(current)) {
+            if (visited.has(linked)) continue;
+            visited.add(linked);
+            queue.push(linked);
+        }
+    }
+    visited.delete(license);
+    return [...visited];
+};
+
+
+/**
+ * Returns the licenses of the linked accounts of a player, read from the database
+ */
+export const getPlayerLinkedLicenses = (license: string) => {
+    return getLinkedLicenses(license, (current) => {
+        const dbPlayer = txCore.database.players.findOne(current);
+        return dbPlayer?.linkedAccounts?.map((link) => link.license) ?? [];
+    });
+};
+
+
+/**
+ * Suggests accounts that might belong to the same player, based on shared identifiers, hwids,
+ * and IPs of the current server session. Accounts already linked are not suggested.
+ */
+export const findLinkSuggestions = (dbPlayer: DatabasePlayerType): PlayerLinkSuggestion[] => {
+    const minHwidMatches = Math.max(txConfig.banlist.requiredHwidMatches, 1);
+    const excluded = new Set([dbPlayer.license, ...getPlayerLinkedLicenses(dbPlayer.license)]);
+    const suggestions = new Map<string, PlayerLinkSuggestion>();
+    const addSuggestion = (player: DatabasePlayerType, reasons: PlayerLinkReasonType[]) => {
+        if (excluded.has(player.license) || !reasons.length) return;
+        const existing = suggestions.get(player.license);
+        if (existing) {
+            existing.reasons = [...new Set([...existing.reasons, ...reasons])];
+        } else {
+            suggestions.set(player.license, {
+                license: player.license,
+                displayName: player.displayName,
+                playTime: player.playTime,
+                tsLastConnection: player.tsLastConnection,
+                reasons,
+            });
+        }
+    };
+
+    //Shared identifiers and hwids
+    const sharedIdMatches = txCore.database.players.findManyByIdentifiers(
+        getLinkableIds(dbPlayer.ids),
+        dbPlayer.hwids,
+        minHwidMatches,
+    );
+    for (const player of sharedIdMatches) {
+        addSuggestion(player, getLinkReasons(dbPlayer, player, minHwidMatches));
+    }
+
+    //IP overlap in the current session
+    for (const license of txCore.fxPlayerlist.getSessionIpOverlaps(dbPlayer.license)) {
+        const player = txCore.database.players.findOne(license);
+        if (player) addSuggestion(player, ['ip']);
+    }
+
+    return [...suggestions.values()].sort((a, b) => b.reasons.length - a.reasons.length);
+};
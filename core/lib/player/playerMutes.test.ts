@@ -0,0 +1,62 @@
+import { expect, suite, it } from 'vitest';
+import { getActiveMute, parseMuteDuration } from './playerMutes';
+import type { DatabaseActionType } from '@modules/Database/databaseTypes';
+
+const ts = 1_700_000_000;
+const makeAction = (
+    id: string,
+    type: 'mute' | 'warn',
+    expiration: number | false,
+    revoked = false,
+) => ({
+    id,
+    type,
+    ids: ['license:aaa'],
+    playerName: 'tester',
+    reason: 'test',
+    author: 'admin',
+    timestamp: ts - 60,
+    expiration,
+    acked: true,
+    revocation: {
+        timestamp: revoked ? ts - 30 : null,
+        author: revoked ? 'admin' : null,
+    },
+}) as DatabaseActionType;
+
+
+suite('parseMuteDuration', () => {
+    it('should parse the supported units', () => {
+        expect(parseMuteDuration('15 minutes')).toBe(900);
+        expect(parseMuteDuration('1 hour')).toBe(3600);
+        expect(parseMuteDuration(' 2 Days ')).toBe(172800);
+    });
+
+    it('should reject invalid durations', () => {
+        expect(() => parseMuteDuration('permanent')).toThrowError('at least 1');
+        expect(() => parseMuteDuration('0 hours')).toThrowError('at least 1');
+        expect(() => parseMuteDuration('2 weeks')).toThrowError('Supported units');
+        expect(() => parseMuteDuration('5')).toThrowError('Supported units');
+        expect(() => parseMuteDuration('31 days')).toThrowError('30 days');
+    });
+});
+
+
+suite('getActiveMute', () => {
+    it('should return the mute with the latest expiration', () => {
+        const history = [
+            makeAction('M001-AAAA', 'mute', ts + 600),
+            makeAction('M002-AAAA', 'mute', ts + 3600),
+            makeAction('W001-AAAA', 'warn', false),
+        ];
+        expect(getActiveMute(history, ts)?.id).toBe('M002-AAAA');
+    });
+
+    it('should ignore expired and revoked mutes', () => {
+        const history = [
+            makeAction('M001-AAAA', 'mute', ts - 1),
+            makeAction('M002-AAAA', 'mute', ts + 3600, true),
+        ];
+        expect(getActiveMute(history, ts)).toBeUndefined();
+    });
+});
@@ -0,0 +1,47 @@
+import type { DatabaseActionMuteType, DatabaseActionType } from '@modules/Database/databaseTypes';
+
+//Consts
+export const MUTE_MAX_DURATION = 30 * 86400; //30 days
+const unitSecs = [
+    ['minute', 60],
+    ['hour', 3600],
+    ['day', 86400],
+] as const;
+
+
+/**
+ * Parses a mute duration input like "30 minutes" or "2 hours" and returns the duration in seconds.
+ * Mutes are always time-limited, so there is no permanent option.
+ */
+export const parseMuteDuration = (input: string) => {
+    const [multiplierInput, unit] = input.trim().toLowerCase().split(/\s+/);
+    const multiplier = parseInt(multiplierInput);
+    if (isNaN(multiplier) || multiplier < 1) {
+        throw new Error(`The duration number must be at least 1.`);
+    }
+    const unitEntry = unitSecs.find(([unitName]) => unit?.startsWith(unitName));
+    if (!unitEntry) {
+        throw new Error(`Invalid mute duration. Supported units: minutes, hours, days`);
+    }
+    const duration = multiplier * unitEntry[1];
+    if (duration > MUTE_MAX_DURATION) {
+        throw new Error(`The mute duration cannot be longer than 30 days.`);
+    }
+    return duration;
+};
+
+
+/**
+ * Returns the active mute with the latest expiration from a player history, if any
+ */
+export const getActiveMute = (history: DatabaseActionType[], ts: number) => {
+    let activeMute: DatabaseActionMuteType | undefined;
+    for (const action of history) {
+        if (action.type !== 'mute' || action.revocation.timestamp !== null) continue;
+        if (action.expiration <= ts) continue;
+        if (!activeMute || action.expiration > activeMute.expiration) {
+            activeMute = action;
+        }
+    }
+    return activeMute;
+};
@@ -0,0 +1,60 @@
+import { expect, suite, it } from 'vitest';
+import { NAME_HISTORY_LIMIT, getPreviousPureNames, updateNameHistory } from './playerNames';
+
+const ts = 1_700_000_000;
+const makePlayer = (nameHistory?: ReturnType<typeof updateNameHistory>) => ({
+    displayName: 'Tester',
+    pureName: 'tester',
+    tsJoined: ts - 1000,
+    tsLastConnection: ts - 100,
+    nameHistory,
+});
+
+
+suite('updateNameHistory', () => {
+    it('should start with the last known name for players without history', () => {
+        const history = updateNameHistory(makePlayer(), { displayName: 'Renamed', pureName: 'renamed' }, ts);
+        expect(history).toEqual([
+            { displayName: 'Tester', pureName: 'tester', tsFirstSeen: ts - 1000, tsLastSeen: ts - 100 },
+            { displayName: 'Renamed', pureName: 'renamed', tsFirstSeen: ts, tsLastSeen: ts },
+        ]);
+    });
+
+    it('should not duplicate names with the same pureName', () => {
+        const first = updateNameHistory(makePlayer(), { displayName: 'Tester', pureName: 'tester' }, ts);
+        expect(first).toHaveLength(1);
+        const second = updateNameHistory(makePlayer(first), { displayName: 'TESTER', pureName: 'tester' }, ts + 50);
+        expect(second).toEqual([
+            { displayName: 'TESTER', pureName: 'tester', tsFirstSeen: ts - 1000, tsLastSeen: ts + 50 },
+        ]);
+    });
+
+    it('should not mutate the source history', () => {
+        const source = [{ displayName: 'Tester', pureName: 'tester', tsFirstSeen: ts - 1000, tsLastSeen: ts - 100 }];
+        updateNameHistory(makePlayer(source), { displayName: 'Tester', pureName: 'tester' }, ts);
+        expect(source[0].tsLastSeen).toBe(ts - 100);
+    });
+
+    it('should drop the names seen least recently when over the limit', () => {
+        const history = Array.from({ length: NAME_HISTORY_LIMIT }, (_, i) => ({
+            displayName: `name${i}`,
+            pureName: `name${i}`,
+            tsFirstSeen: ts - 1000 + i,
+            tsLastSeen: i === 0 ? ts - 1 : ts - 1000 + i,
+        }));
+        const updated = updateNameHistory(makePlayer(history), { displayName: 'new', pureName: 'new' }, ts);
+        expect(updated).toHaveLength(NAME_HISTORY_LIMIT);
+        expect(updated[0].pureName).toBe('name0');
+        expect(updated.some((name) => name.pureName === 'name1')).toBe(false);
+        expect(updated.at(-1)?.pureName).toBe('new');
+    });
+});
+
+
+suite('getPreviousPureNames', () => {
+    it('should return the pure names except the current one', () => {
+        const history = updateNameHistory(makePlayer(), { displayName: 'Renamed', pureName: 'renamed' }, ts);
+        expect(getPreviousPureNames({ pureName: 'renamed', nameHistory: history })).toEqual(['tester']);
+        expect(getPreviousPureNames({ pureName: 'tester' })).toEqual([]);
+    });
+});
@@ -0,0 +1,58 @@
+import type { DatabasePlayerNameType, DatabasePlayerType } from '@modules/Database/databaseTypes';
+
+//Consts
+export const NAME_HISTORY_LIMIT = 50;
+
+
+/**
+ * Returns the name history of a player with the name they are joining with.
+ * The names are deduplicated by the pureName, keeping the latest displayName.
+ * Players saved before the history existed start with their last known name.
+ * When over the limit, the names seen least recently are dropped.
+ */
+export const updateNameHistory = (
+    dbData: Pick<DatabasePlayerType, 'displayName' | 'pureName' | 'tsJoined' | 'tsLastConnection' | 'nameHistory'>,
+    newName: Pick<DatabasePlayerNameType, 'displayName' | 'pureName'>,
+    ts: number,
+) => {
+    const history: DatabasePlayerNameType[] = dbData.nameHistory
+        ? dbData.nameHistory.map((name) => ({ ...name }))
+        : [{
+            displayName: dbData.displayName,
+            pureName: dbData.pureName,
+            tsFirstSeen: dbData.tsJoined,
+            tsLastSeen: dbData.tsLastConnection,
+        }];
+
+    const existing = history.find((name) => name.pureName === newName.pureName);
+    if (existing) {
+        existing.displayName = newName.displayName;
+        existing.tsLastSeen = ts;
+    } else {
+        history.push({
+            displayName: newName.displayName,
+            pureName: newName.pureName,
+            tsFirstSeen: ts,
+            tsLastSeen: ts,
+        });
+    }
+
+    if (history.length <= NAME_HISTORY_LIMIT) return history;
+    const kept = new Set(
+        [...history]
+            .sort((a, b) => b.tsLastSeen - a.tsLastSeen)
+            .slice(0, NAME_HISTORY_LIMIT)
+    );
+    return history.filter((name) => kept.has(name));
+};
+
+
+/**
+ * Returns the pure names a player had before the current one, for the search
+ */
+export const getPreviousPureNames = (player: Pick<DatabasePlayerType, 'pureName' | 'nameHistory'>) => {
+    if (!player.nameHistory) return [];
+    return player.nameHistory
+        .filter((name) => name.pureName !== player.pureName)
+        .map((name) => name.pureName);
+};
@@ -0,0 +1,73 @@
+import { test, expect, suite, it } from 'vitest';
+import { getActivePlayerNotes, migrateLegacyPlayerNote, processPlayerNotes } from './playerNotes';
+import type { DatabasePlayerNoteType } from '@modules/Database/databaseTypes';
+
+const notes: DatabasePlayerNoteType[] = [
+    { id: 'aaaaaaaa', author: 'tabby', ts: 100, text: 'first' },
+    { id: 'bbbbbbbb', author: 'tabby', ts: 200, text: 'pinned', isPinned: true },
+    {
+        id: 'cccccccc',
+        author: 'goat',
+        ts: 300,
+        text: 'removed',
+        deleted: { author: 'tabby', ts: 400 },
+    },
+    {
+        id: 'dddddddd',
+        author: 'goat',
+        ts: 500,
+        text: 'latest',
+        edits: [{ author: 'tabby', ts: 600, previousText: 'lastest' }],
+    },
+];
+
+
+test('getActivePlayerNotes', () => {
+    expect(getActivePlayerNotes(notes).map((n) => n.id)).toEqual(['bbbbbbbb', 'dddddddd', 'aaaaaaaa']);
+    expect(getActivePlayerNotes(undefined)).toEqual([]);
+});
+
+
+suite('processPlayerNotes', () => {
+    const processed = processPlayerNotes(notes);
+
+    it('should list the deleted notes last', () => {
+        expect(processed.map((n) => n.id)).toEqual(['bbbbbbbb', 'dddddddd', 'aaaaaaaa', 'cccccccc']);
+    });
+
+    it('should keep only the trace of the deleted notes', () => {
+        expect(processed[3]).toEqual({
+            id: 'cccccccc',
+            author: 'goat',
+            ts: 300,
+            text: undefined,
+            isPinned: false,
+            edits: [],
+            deleted: { author: 'tabby', ts: 400 },
+        });
+    });
+
+    it('should keep the edits', () => {
+        expect(processed[1].edits).toEqual([{ author: 'tabby', ts: 600, previousText: 'lastest' }]);
+    });
+});
+
+
+suite('migrateLegacyPlayerNote', () => {
+    it('should convert the legacy note', () => {
+        const migrated = migrateLegacyPlayerNote({ text: ' some text ', lastAdmin: 'tabby', tsLastEdit: 123 }, 1);
+        expect(migrated).toHaveLength(1);
+        expect(migrated![0]).toMatchObject({ author: 'tabby', ts: 123, text: 'some text' });
+        expect(migrated![0].id).toHaveLength(8);
+    });
+
+    it('should use fallbacks for missing author and timestamp', () => {
+        const migrated = migrateLegacyPlayerNote({ text: 'xxx', lastAdmin: null, tsLastEdit: null }, 1);
+        expect(migrated![0]).toMatchObject({ author: 'unknown', ts: 1 });
+    });
+
+    it('should drop empty notes', () => {
+        expect(migrateLegacyPlayerNote(undefined, 1)).toBeUndefined();
+        expect(migrateLegacyPlayerNote({ text: '  ', lastAdmin: 'tabby', tsLastEdit: 1 }, 1)).toBeUndefined();
+    });
+});
@@ -0,0 +1,75 @@
+import { customAlphabet } from 'nanoid';
+import { alphanumeric } from 'nanoid-dictionary';
+import type { DatabasePlayerNoteType } from '@modules/Database/databaseTypes';
+import type { PlayerNoteItem } from '@shared/playerApiTypes';
+
+//Consts
+export const PLAYER_NOTE_MAX_LENGTH = 4096;
+export const genPlayerNoteId = customAlphabet(alphanumeric, 8);
+
+//Legacy type, from before the database v6
+type LegacyPlayerNoteType = {
+    text: string;
+    lastAdmin: string | null;
+    tsLastEdit: number | null;
+};
+
+
+/**
+ * Returns the notes that were not deleted, pinned first and then newest first.
+ */
+export const getActivePlayerNotes = (notes: DatabasePlayerNoteType[] | undefined) => {
+    if (!Array.isArray(notes)) return [];
+    return notes
+        .filter((note) => !note.deleted)
+        .sort((a, b) => {
+            if (!!a.isPinned !== !!b.isPinned) return a.isPinned ? -1 : 1;
+            return b.ts - a.ts;
+        });
+};
+
+
+/**
+ * Returns the text of the most relevant note, for the places that only show one
+ */
+export const getMainPlayerNote = (notes: DatabasePlayerNoteType[] | undefined) => {
+    return getActivePlayerNotes(notes).at(0);
+};
+
+
+/**
+ * Processes the notes to be sent to the player modal.
+ * The deleted notes keep only the trace, without their text.
+ */
+export const processPlayerNotes = (notes: DatabasePlayerNoteType[] | undefined): PlayerNoteItem[] => {
+    if (!Array.isArray(notes)) return [];
+    const deleted = notes
+        .filter((note) => note.deleted)
+        .sort((a, b) => b.deleted!.ts - a.deleted!.ts);
+    return [...getActivePlayerNotes(notes), ...deleted].map((note) => ({
+        id: note.id,
+        author: note.author,
+        ts: note.ts,
+        text: note.deleted ? undefined : note.text,
+        isPinned: !!note.isPinned,
+        edits: note.deleted ? [] : (note.edits ?? []),
+        deleted: note.deleted,
+    }));
+};
+
+
+/**
+ * Converts the single note object used before the database v6 into the notes list.
+ */
+export const migrateLegacyPlayerNote = (
+    legacyNote: LegacyPlayerNoteType | undefined,
+    fallbackTs: number,
+): DatabasePlayerNoteType[] | undefined => {
+    if (!legacyNote || typeof legacyNote.text !== 'string' || !legacyNote.text.trim()) return undefined;
+    return [{
+        id: genPlayerNoteId(),
+        author: legacyNote.lastAdmin ?? 'unknown',
+        ts: legacyNote.tsLastEdit ?? fallbackTs,
+        text: legacyNote.text.trim(),
+    }];
+};
@@ -0,0 +1,68 @@
+import { expect, suite, it } from 'vitest';
+import { buildSessionsHeatmap, parseTzOffset } from './playerSessions';
+
+//2023-11-12 00:00:00 UTC, a sunday
+const sunday = 1_699_747_200;
+const hour = 3600;
+
+
+suite('buildSessionsHeatmap', () => {
+    it('should return an empty 7x24 grid without sessions', () => {
+        const heatmap = buildSessionsHeatmap([], 0);
+        expect(heatmap).toHaveLength(7);
+        expect(heatmap.every((day) => day.length === 24 && day.every((mins) => mins === 0))).toBe(true);
+    });
+
+    it('should split the sessions at the hour boundaries', () => {
+        const heatmap = buildSessionsHeatmap([
+            { tsJoin: sunday + 10 * hour + 30 * 60, tsLeave: sunday + 12 * hour + 15 * 60 },
+        ], 0);
+        expect(heatmap[0][10]).toBe(30);
+        expect(heatmap[0][11]).toBe(60);
+        expect(heatmap[0][12]).toBe(15);
+        expect(heatmap[0].reduce((acc, mins) => acc + mins, 0)).toBe(105);
+    });
+
+    it('should wrap the sessions that cross the day boundary', () => {
+        const heatmap = buildSessionsHeatmap([
+            { tsJoin: sunday + 23 * hour, tsLeave: sunday + 25 * hour },
+        ], 0);
+        expect(heatmap[0][23]).toBe(60);
+        expect(heatmap[1][0]).toBe(60);
+    });
+
+    it('should sum the sessions on the same hour of different weeks', () => {
+        const session = { tsJoin: sunday + 20 * hour, tsLeave: sunday + 20 * hour + 40 * 60 };
+        const nextWeek = { tsJoin: session.tsJoin + 7 * 24 * hour, tsLeave: session.tsLeave + 7 * 24 * hour };
+        expect(buildSessionsHeatmap([session, nextWeek], 0)[0][20]).toBe(80);
+    });
+
+    it('should apply the timezone offset', () => {
+        const session = { tsJoin: sunday + 2 * hour, tsLeave: sunday + 3 * hour };
+        //UTC-3, as returned by getTimezoneOffset()
+        expect(buildSessionsHeatmap([session], 180)[6][23]).toBe(60);
+        //UTC+5:30, split between two local hours
+        const heatmap = buildSessionsHeatmap([session], -330);
+        expect(heatmap[0][7]).toBe(30);
+        expect(heatmap[0][8]).toBe(30);
+    });
+
+    it('should ignore invalid sessions', () => {
+        const heatmap = buildSessionsHeatmap([{ tsJoin: sunday + hour, tsLeave: sunday }], 0);
+        expect(heatmap.flat().every((mins) => mins === 0)).toBe(true);
+    });
+});
+
+
+suite('parseTzOffset', () => {
+    it('should parse valid offsets', () => {
+        expect(parseTzOffset('180')).toBe(180);
+        expect(parseTzOffset('-330')).toBe(-330);
+    });
+
+    it('should fall back to UTC', () => {
+        expect(parseTzOffset(undefined)).toBe(0);
+        expect(parseTzOffset('abc')).toBe(0);
+        expect(parseTzOffset('9999')).toBe(0);
+    });
+});
@@ -0,0 +1,41 @@
+import type { DatabasePlayerSessionType } from '@modules/Database/databaseTypes';
+
+//Consts
+export const SESSIONS_LIST_LIMIT = 250;
+const MAX_TZ_OFFSET = 14 * 60; //minutes
+
+
+/**
+ * Parses the timezone offset query param, in the same format as Date.getTimezoneOffset().
+ * Invalid values fall back to UTC.
+ */
+export const parseTzOffset = (input: unknown) => {
+    const offset = typeof input === 'string' ? parseInt(input) : NaN;
+    if (isNaN(offset) || Math.abs(offset) > MAX_TZ_OFFSET) return 0;
+    return offset;
+};
+
+
+/**
+ * Returns the minutes played in each hour of the week, as heatmap[weekDay][hour].
+ * The week starts on sunday, and the sessions are split at the hour boundaries of the provided timezone.
+ * NOTE: the offset is fixed, so sessions from before a DST change will be one hour off.
+ */
+export const buildSessionsHeatmap = (
+    sessions: Pick<DatabasePlayerSessionType, 'tsJoin' | 'tsLeave'>[],
+    tzOffset: number,
+) => {
+    const seconds = Array.from({ length: 7 }, () => new Array<number>(24).fill(0));
+    const offsetSecs = tzOffset * 60;
+    for (const session of sessions) {
+        let cursor = session.tsJoin;
+        while (cursor < session.tsLeave) {
+            const localTs = cursor - offsetSecs;
+            const sliceEnd = Math.min(session.tsLeave, cursor + 3600 - (localTs % 3600 + 3600) % 3600);
+            const localDate = new Date(localTs * 1000);
+            seconds[localDate.getUTCDay()][localDate.getUTCHours()] += sliceEnd - cursor;
+            cursor = sliceEnd;
+        }
+    }
+    return seconds.map((day) => day.map((secs) => Math.round(secs / 60)));
+};
@@ -0,0 +1,33 @@
+import { test, expect, suite, it } from 'vitest';
+import { filterPlayerTagIds, resolvePlayerTags } from './playerTags';
+
+const definitions = [
+    { id: 'aaaaaaaaaa', label: 'VIP', color: '#FACC15' },
+    { id: 'bbbbbbbbbb', label: 'Streamer', color: '#A855F7' },
+    { id: 'cccccccccc', label: 'Suspicious', color: '#EF4444' },
+];
+
+
+suite('filterPlayerTagIds', () => {
+    it('should keep only defined tags in the definitions order', () => {
+        expect(filterPlayerTagIds(['cccccccccc', 'xxxxxxxxxx', 'aaaaaaaaaa'], definitions))
+            .toEqual(['aaaaaaaaaa', 'cccccccccc']);
+    });
+
+    it('should remove duplicates', () => {
+        expect(filterPlayerTagIds(['bbbbbbbbbb', 'bbbbbbbbbb'], definitions)).toEqual(['bbbbbbbbbb']);
+    });
+
+    it('should handle invalid input', () => {
+        expect(filterPlayerTagIds(undefined, definitions)).toEqual([]);
+        expect(filterPlayerTagIds('aaaaaaaaaa', definitions)).toEqual([]);
+        expect(filterPlayerTagIds([123, null], definitions)).toEqual([]);
+    });
+});
+
+
+test('resolvePlayerTags', () => {
+    expect(resolvePlayerTags(undefined, definitions)).toEqual([]);
+    expect(resolvePlayerTags([], definitions)).toEqual([]);
+    expect(resolvePlayerTags(['cccccccccc', 'removedtag'], definitions)).toEqual([definitions[2]]);
+});
@@ -0,0 +1,24 @@
+import type { PlayerTagDataType } from '@modules/ConfigStore/schema/database';
+
+
+/**
+ * Filters the tag ids to only the ones that are defined, without duplicates and in the definitions order
+ */
+export const filterPlayerTagIds = (tagIds: unknown, definitions: PlayerTagDataType[]) => {
+    if (!Array.isArray(tagIds)) return [];
+    return definitions
+        .filter((tag) => tagIds.includes(tag.id))
+        .map((tag) => tag.id);
+};
+
+
+/**
+ * Returns the definitions of the tags of a player, ignoring tags that were removed from the settings
+ */
+export const resolvePlayerTags = (
+    tagIds: string[] | undefined,
+    definitions: PlayerTagDataType[] = txConfig.database.playerTags,
+) => {
+    if (!tagIds?.length) return [];
+    return definitions.filter((tag) => tagIds.includes(tag.id));
+};
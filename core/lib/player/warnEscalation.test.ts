@@ -0,0 +1,51 @@
+import { test, suite, it, expect } from 'vitest';
+import { banDurationToSecs, findEscalationStep } from './warnEscalation';
+import type { WarnEscalationStepType } from '@modules/ConfigStore/schema/banlist';
+
+const day = 86400;
+const ts = 100 * day;
+const steps: WarnEscalationStepType[] = [
+    { warns: 3, windowDays: 30, duration: { value: 1, unit: 'days' } },
+    { warns: 5, windowDays: null, duration: { value: 1, unit: 'weeks' } },
+];
+const makeWarns = (...daysAgo: number[]) => daysAgo.map((d, i) => ({
+    id: `AAA${i}-AAAA`,
+    timestamp: ts - d * day,
+}));
+
+
+test('banDurationToSecs', () => {
+    expect(banDurationToSecs({ value: 2, unit: 'hours' })).toBe(7200);
+    expect(banDurationToSecs({ value: 1, unit: 'months' })).toBe(30 * day);
+    expect(banDurationToSecs('permanent')).toBe(Infinity);
+});
+
+
+suite('findEscalationStep', () => {
+    it('should trigger when the threshold is reached in the window', () => {
+        const result = findEscalationStep(makeWarns(0, 5, 10), steps, ts);
+        expect(result?.step).toBe(steps[0]);
+        expect(result?.warnIds).toEqual(['AAA0-AAAA', 'AAA1-AAAA', 'AAA2-AAAA']);
+    });
+
+    it('should ignore the warns outside the window', () => {
+        expect(findEscalationStep(makeWarns(0, 5, 40), steps, ts)).toBeNull();
+    });
+
+    it('should not trigger again past the threshold', () => {
+        expect(findEscalationStep(makeWarns(0, 1, 2, 3), steps, ts)).toBeNull();
+    });
+
+    it('should pick the longest ban if more than one step is triggered', () => {
+        const result = findEscalationStep(makeWarns(0, 1, 2, 50, 60), [
+            ...steps,
+            { warns: 3, windowDays: 7, duration: { value: 2, unit: 'days' } },
+        ], ts);
+        expect(result?.step).toBe(steps[1]);
+        expect(result?.warnIds).toHaveLength(5);
+    });
+
+    it('should do nothing without steps', () => {
+        expect(findEscalationStep(makeWarns(0, 1, 2), [], ts)).toBeNull();
+    });
+});
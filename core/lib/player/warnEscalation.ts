@@ -0,0 +1,147 @@
+const modulename = 'WarnEscalation';
+import { now } from '@lib/misc';
+import { SYM_SYSTEM_AUTHOR } from '@lib/symbols';
+import consoleFactory from '@lib/console';
+import type { BanDurationType, WarnEscalationStepType } from '@modules/ConfigStore/schema/banlist';
+import type { DatabaseActionWarnType } from '@modules/Database/databaseTypes';
+import type { WarnEscalationEventType } from '@shared/socketioTypes';
+import { ServerPlayer, type BasePlayer } from './playerClasses';
+const console = consoleFactory(modulename);
+
+//Consts
+const unitSecs = {
+    hours: 3600,
+    days: 86400,
+    weeks: 604800,
+    months: 2592000, //30 days, same as calcExpirationFromDuration
+} as const;
+
+type EscalationResultType = {
+    step: WarnEscalationStepType;
+    warnIds: string[];
+};
+
+
+/**
+ * Returns the duration of a ban in seconds, or Infinity for permanent bans
+ */
+export const banDurationToSecs = (duration: BanDurationType) => {
+    if (duration === 'permanent') return Infinity;
+    return duration.value * unitSecs[duration.unit];
+};
+
+
+/**
+ * Returns the escalation step triggered by the latest warn, and the warns that triggered it.
+ * A step is only triggered when the number of active warns in its window reaches exactly its threshold,
+ * so the same warns don't trigger it again. If more than one step is triggered, the longest ban wins.
+ */
+export const findEscalationStep = (
+    warns: Pick<DatabaseActionWarnType, 'id' | 'timestamp'>[],
+    steps: WarnEscalationStepType[],
+    ts: number,
+): EscalationResultType | null => {
+    let result: EscalationResultType | null = null;
+    for (const step of steps) {
+        const windowStart = step.windowDays === null ? 0 : ts - step.windowDays * 86400;
+        const inWindow = warns.filter((warn) => warn.timestamp >= windowStart);
+        if (inWindow.length !== step.warns) continue;
+        if (!result || banDurationToSecs(step.duration) > banDurationToSecs(result.step.duration)) {
+            result = {
+                step,
+                warnIds: inWindow.map((warn) => warn.id),
+            };
+        }
+    }
+    return result;
+};
+
+
+/**
+ * Evaluates the warn escalation steps for a player that was just warned, and bans them if a step was triggered.
+ * The ban is authored by the system, references the warns that triggered it, and the admins are notified
+ * in the panel and in the Discord warnings channel.
+ * Returns the id of the ban, if any.
+ */
+export const applyWarnEscalation = (player: BasePlayer, ids: string[]) => {
+    const steps = txConfig.banlist.warnEscalation;
+    if (!steps.length) return;
+
+    const ts = now();
+    const warns = txCore.database.actions.findMany(ids, undefined, {
+        type: 'warn',
+        revocation: { timestamp: null },
+    });
+    const escalation = findEscalationStep(warns, steps, ts);
+    if (!escalation) return;
+    const { step, warnIds } = escalation;
+
+    //Register the ban
+    const durationSecs = banDurationToSecs(step.duration);
+    const expiration = durationSecs === Infinity ? false : ts + durationSecs;
+    const reason = txCore.translator.t('ban_messages.warn_escalation_reason', { warns: warnIds.length });
+    const hwids = player.getAllHardwareIdentifiers();
+    let actionId;
+    try {
+        actionId = txCore.database.actions.registerBan(
+            ids,
+            SYM_SYSTEM_AUTHOR,
+            reason,
+            expiration,
+            player.displayName,
+            hwids,
+            warnIds,
+        );
+    } catch (error) {
+        console.error(`Failed to apply the warn escalation ban: ${(error as Error).message}`);
+        return;
+    }
+    const durationText = expiration === false
+        ? 'permanently'
+        : `for ${txCore.translator.tDuration(durationSecs * 1000, { units: ['d', 'h'] })}`;
+    const logMessage = `Automatically banned player "${player.displayName}" ${durationText} after ${warnIds.length} warns.`;
+    txCore.logger.admin.write('txAdmin', logMessage, 'default', {
+        type: 'player.ban.escalation',
+        target: { name: player.displayName, ids },
+        params: { actionId, warnIds, expiration },
+    });
+
+    //Notify the admins
+    txCore.webServer.webSocket.pushEvent<WarnEscalationEventType>('warnEscalation', {
+        actionId,
+        playerName: player.displayName,
+        warns: warnIds.length,
+        durationText,
+    });
+    txCore.discordBot.sendAnnouncement({
+        type: 'warning',
+        title: 'Automatic Ban',
+        description: `${logMessage}\nBan ID: \`${actionId}\``,
+    });
+
+    //Kick the player if online
+    if (!txCore.fxRunner.isIdle) {
+        const tOptions: any = { author: 'txAdmin', reason };
+        if (expiration !== false) {
+            tOptions.expiration = txCore.translator.tDuration(durationSecs * 1000, { units: ['d', 'h'] });
+        }
+        const kickMessage = txCore.translator.t(
+            expiration !== false ? 'ban_messages.kick_temporary' : 'ban_messages.kick_permanent',
+            tOptions,
+        );
+        txCore.fxRunner.sendEvent('playerBanned', {
+            author: 'txAdmin',
+            reason,
+            actionId,
+            expiration,
+            durationInput: step.duration === 'permanent' ? 'permanent' : `${step.duration.value} ${step.duration.unit}`,
+            durationTranslated: tOptions.expiration ?? null,
+            targetNetId: (player instanceof ServerPlayer) ? player.netid : null,
+            targetIds: player.ids,
+            targetHwids: player.hwids,
+            targetName: player.displayName,
+            kickMessage,
+        });
+    }
+    return actionId;
+};
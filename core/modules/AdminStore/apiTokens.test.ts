@@ -0,0 +1,64 @@
+import { suite, it, expect } from 'vitest';
+import {
+    API_TOKEN_PREFIX,
+    genApiToken,
+    getEffectiveTokenPermissions,
+    hashApiToken,
+    isValidApiTokenFormat,
+    parseBearerHeader,
+} from './apiTokens';
+
+
+suite('genApiToken', () => {
+    it('should generate valid unique tokens', () => {
+        const token1 = genApiToken();
+        const token2 = genApiToken();
+        expect(token1.startsWith(API_TOKEN_PREFIX)).toBe(true);
+        expect(isValidApiTokenFormat(token1)).toBe(true);
+        expect(token1).not.toEqual(token2);
+        expect(hashApiToken(token1)).not.toEqual(hashApiToken(token2));
+    });
+});
+
+
+suite('isValidApiTokenFormat', () => {
+    it('should reject invalid tokens', () => {
+        expect(isValidApiTokenFormat(undefined)).toBe(false);
+        expect(isValidApiTokenFormat('')).toBe(false);
+        expect(isValidApiTokenFormat(API_TOKEN_PREFIX)).toBe(false);
+        expect(isValidApiTokenFormat('xxxx_' + 'a'.repeat(40))).toBe(false);
+        expect(isValidApiTokenFormat(API_TOKEN_PREFIX + 'a'.repeat(39) + '!')).toBe(false);
+    });
+});
+
+
+suite('parseBearerHeader', () => {
+    it('should extract the token', () => {
+        expect(parseBearerHeader('Bearer abc123')).toBe('abc123');
+        expect(parseBearerHeader('bearer   abc123 ')).toBe('abc123');
+    });
+    it('should ignore other schemes and garbage', () => {
+        expect(parseBearerHeader(undefined)).toBeUndefined();
+        expect(parseBearerHeader('Basic abc123')).toBeUndefined();
+        expect(parseBearerHeader('Bearer abc 123')).toBeUndefined();
+    });
+});
+
+
+suite('getEffectiveTokenPermissions', () => {
+    it('should never grant master', () => {
+        expect(getEffectiveTokenPermissions(['master', 'players.ban'], [], true)).toEqual(['players.ban']);
+    });
+    it('should limit to the admin permissions', () => {
+        const result = getEffectiveTokenPermissions(
+            ['players.ban', 'players.kick', 'all_permissions'],
+            ['players.kick'],
+            false,
+        );
+        expect(result).toEqual(['players.kick']);
+    });
+    it('should allow anything for admins with all_permissions', () => {
+        const result = getEffectiveTokenPermissions(['players.ban', 'players.ban'], ['all_permissions'], false);
+        expect(result).toEqual(['players.ban']);
+    });
+});
@@ -0,0 +1,92 @@
+import { createHash } from 'node:crypto';
+import { customAlphabet } from 'nanoid';
+import { alphanumeric } from 'nanoid-dictionary';
+
+//Consts
+export const API_TOKEN_PREFIX = 'txat_';
+export const API_TOKEN_SECRET_LENGTH = 40;
+export const API_TOKEN_ID_LENGTH = 12;
+export const API_TOKEN_MAX_PER_ADMIN = 25;
+export const API_TOKEN_NAME_REGEX = /^[\w.-]{3,32}$/;
+const genTokenSecret = customAlphabet(alphanumeric, API_TOKEN_SECRET_LENGTH);
+export const genApiTokenId = customAlphabet(alphanumeric, API_TOKEN_ID_LENGTH);
+
+//Types
+export type StoredApiTokenType = {
+    id: string;
+    name: string;
+    hash: string;
+    permissions: string[];
+    tsCreated: number;
+    tsExpires: number | null;
+    tsLastUsed: number | null;
+};
+export type ApiTokenInfoType = Omit<StoredApiTokenType, 'hash'>;
+
+
+/**
+ * Generates a new plain text API token
+ */
+export const genApiToken = () => {
+    return API_TOKEN_PREFIX + genTokenSecret();
+}
+
+
+/**
+ * Returns the sha256 hash of a token, which is what gets stored in the admins.json file
+ */
+export const hashApiToken = (token: string) => {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+
+/**
+ * Checks if a string looks like a token generated by genApiToken()
+ */
+export const isValidApiTokenFormat = (token: unknown): token is string => {
+    return (
+        typeof token === 'string'
+        && token.length === API_TOKEN_PREFIX.length + API_TOKEN_SECRET_LENGTH
+        && token.startsWith(API_TOKEN_PREFIX)
+        && /^\w+$/.test(token)
+    );
+}
+
+
+/**
+ * Extracts the token from an `Authorization: Bearer <token>` header value
+ */
+export const parseBearerHeader = (headerValue: unknown) => {
+    if (typeof headerValue !== 'string') return;
+    const match = /^Bearer\s+(\S+)$/i.exec(headerValue.trim());
+    if (!match) return;
+    return match[1];
+}
+
+
+/**
+ * Returns the permissions a token is actually able to use.
+ * The token permissions are always limited to the current permissions of the admin that owns it,
+ * so removing a permission from an admin also removes it from all their tokens.
+ * NOTE: tokens never grant the 'master' pseudo-permission.
+ */
+export const getEffectiveTokenPermissions = (
+    tokenPerms: string[],
+    adminPerms: string[],
+    adminIsMaster: boolean,
+) => {
+    const uniquePerms = [...new Set(tokenPerms)].filter((perm) => perm !== 'master');
+    if (adminIsMaster || adminPerms.includes('all_permissions')) {
+        return uniquePerms;
+    }
+    return uniquePerms.filter((perm) => perm !== 'all_permissions' && adminPerms.includes(perm));
+}
+
+
+/**
+ * Strips the hash from the stored token data
+ */
+export const getApiTokenInfo = (token: StoredApiTokenType): ApiTokenInfoType => {
+    const { hash, ...info } = token;
+    return info;
+}
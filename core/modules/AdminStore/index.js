@@ -5,16 +5,37 @@ import { cloneDeep } from 'lodash-es';
 import { nanoid } from 'nanoid';
 import { txHostConfig } from '@core/globalData';
 import CfxProvider from './providers/CitizenFX.js';
+import DiscordProvider from './providers/Discord.js';
+import OidcProvider from './providers/GenericOIDC.js';
 import { createHash } from 'node:crypto';
 import consoleFactory from '@lib/console.js';
 import fatalError from '@lib/fatalError.js';
-import { chalkInversePad } from '@lib/misc.js';
+import { chalkInversePad, now } from '@lib/misc.js';
+import {
+    API_TOKEN_MAX_PER_ADMIN,
+    genApiToken,
+    genApiTokenId,
+    getApiTokenInfo,
+    hashApiToken,
+    isValidApiTokenFormat,
+} from './apiTokens.js';
+import {
+    genRecoveryCodes,
+    genTotpSecret,
+    getTotpUri,
+    hashRecoveryCode,
+    isRecoveryCodeFormat,
+    verifyTotp,
+} from './totp.js';
 const console = consoleFactory(modulename);
 
 //NOTE: The way I'm doing versioning right now is horrible but for now it's the best I can do
 //NOTE: I do not need to version every admin, just the file itself
 const ADMIN_SCHEMA_VERSION = 1;
 
+//Seconds until a 2FA setup that was started but not confirmed is discarded
+const TOTP_SETUP_TTL = 600;
+
 
 //Helpers
 const migrateProviderIdentifiers = (providerName, providerData) => {
@@ -36,11 +57,17 @@ const migrateProviderIdentifiers = (providerName, providerData) => {
  * Module responsible for storing, retrieving and validating admins data.
  */
 export default class AdminStore {
+    static configKeysWatched = [
+        'webServer.discordLogin',
+        'webServer.oidcLogin',
+    ];
+
     constructor() {
         this.adminsFile = txHostConfig.dataSubPath('admins.json');
         this.adminsFileHash = null;
         this.admins = null;
         this.refreshRoutine = null;
+        this.pendingTotpSetups = new Map();
 
         //Not alphabetical order, but that's fine
         //FIXME: move to a separate file
@@ -69,6 +96,7 @@ export default class AdminStore {
             'players.whitelist': 'Whitelist',
             'players.warn': 'Warn',
             'players.kick': 'Kick',
+            'players.mute': 'Mute',
             'players.ban': 'Ban',
             'players.freeze': 'Freeze Players',
             'players.heal': 'Heal', //self, everyone, and the "heal" button in player modal
@@ -93,6 +121,7 @@ export default class AdminStore {
         } catch (error) {
             throw new Error(`Failed to load providers with error: ${error.message}`);
         }
+        this.setupLoginProviders();
 
         //Check if admins file exists
         let adminFileExists;
@@ -130,6 +159,58 @@ export default class AdminStore {
     }
 
 
+    /**
+     * Handle updates to the config by resetting the login providers
+     */
+    handleConfigUpdate(updatedConfigs) {
+        this.setupLoginProviders();
+    }
+
+
+    /**
+     * Sets up the external providers admins can login with.
+     * Cfx.re is always enabled, Discord and OIDC depend on the webServer config.
+     */
+    setupLoginProviders() {
+        /** @type {Record<string, import('./providers/providerUtils').OauthProvider>} */
+        this.loginProviders = {
+            citizenfx: this.providers.citizenfx,
+        };
+        try {
+            if (txConfig.webServer.discordLogin) {
+                this.loginProviders.discord = new DiscordProvider(txConfig.webServer.discordLogin);
+            }
+            if (txConfig.webServer.oidcLogin) {
+                this.loginProviders.oidc = new OidcProvider(txConfig.webServer.oidcLogin);
+            }
+        } catch (error) {
+            console.error(`Failed to setup the login providers: ${error.message}`);
+        }
+    }
+
+
+    /**
+     * Returns a login provider by its id, or undefined if not enabled
+     * @param {string} providerId
+     * @returns {import('./providers/providerUtils').OauthProvider | undefined}
+     */
+    getLoginProvider(providerId) {
+        if (!Object.hasOwn(this.loginProviders, providerId)) return undefined;
+        return this.loginProviders[providerId];
+    }
+
+
+    /**
+     * Returns the list of enabled login providers, to be shown in the login page
+     */
+    getLoginProvidersList() {
+        return Object.values(this.loginProviders).map((provider) => ({
+            id: provider.id,
+            displayName: provider.displayName,
+        }));
+    }
+
+
     /**
      * sets the admins file refresh routine
      */
@@ -221,6 +302,7 @@ export default class AdminStore {
                 master: user.master,
                 providers: Object.keys(user.providers),
                 permissions: user.permissions,
+                hasTotp: !!user.totp,
             };
         });
     }
@@ -431,6 +513,11 @@ export default class AdminStore {
 
             this.admins[adminIndex].name = newName;
         }
+        const isRenamed = typeof newName === 'string' && newName.toLowerCase() !== username;
+
+        //Any 2FA setup in progress must be started again
+        this.pendingTotpSetups.delete(username);
+        if (isRenamed) this.pendingTotpSetups.delete(newName.toLowerCase());
 
         //Editing admin
         if (password !== null) {
@@ -459,7 +546,20 @@ export default class AdminStore {
                 };
             }
         }
-        if (typeof permissions !== 'undefined') this.admins[adminIndex].permissions = permissions;
+        let hasLostPermissions = false;
+        if (typeof permissions !== 'undefined') {
+            const oldPermissions = this.admins[adminIndex].permissions;
+            hasLostPermissions = oldPermissions.some((perm) => !permissions.includes(perm));
+            this.admins[adminIndex].permissions = permissions;
+        }
+
+        //Logging out the admin if they lost permissions or got renamed
+        if (hasLostPermissions || isRenamed) {
+            const sessionsCount = txCore.webServer.sessionStore.destroyAdminSessions(name);
+            if (sessionsCount) {
+                console.warn(`Logged out ${sessionsCount} sessions of admin '${name}' due to account changes.`);
+            }
+        }
 
         //Prevent race condition, will allow the session to be updated before refreshing socket.io
         //sessions which will cause reauth and closing of the temp password modal on first access
@@ -496,6 +596,8 @@ export default class AdminStore {
             }
         });
         if (!found) throw new Error('Admin not found');
+        this.pendingTotpSetups.delete(username);
+        txCore.webServer.sessionStore.destroyAdminSessions(name);
 
         //Saving admin file
         this.refreshOnlineAdmins().catch((e) => { });
@@ -506,6 +608,307 @@ export default class AdminStore {
         }
     }
 
+    /**
+     * Returns the list of API tokens of an admin, without the hashes
+     * @param {string} adminName
+     */
+    getApiTokens(adminName) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        if (!Array.isArray(admin.apiTokens)) return [];
+        return admin.apiTokens.map(getApiTokenInfo);
+    }
+
+
+    /**
+     * Creates a new API token for an admin and returns the plain text token.
+     * NOTE: the plain text token is never stored, only its hash.
+     * @param {string} adminName
+     * @param {string} tokenName
+     * @param {string[]} permissions
+     * @param {number|null} tsExpires
+     */
+    async addApiToken(adminName, tokenName, permissions, tsExpires) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        if (!Array.isArray(admin.apiTokens)) admin.apiTokens = [];
+        if (admin.apiTokens.length >= API_TOKEN_MAX_PER_ADMIN) {
+            throw new Error(`You cannot have more than ${API_TOKEN_MAX_PER_ADMIN} API tokens.`);
+        }
+        if (admin.apiTokens.some((t) => t.name.toLowerCase() === tokenName.toLowerCase())) {
+            throw new Error('There is already a token with this name.');
+        }
+
+        const token = genApiToken();
+        const tokenData = {
+            id: genApiTokenId(),
+            name: tokenName,
+            hash: hashApiToken(token),
+            permissions,
+            tsCreated: now(),
+            tsExpires,
+            tsLastUsed: null,
+        };
+        admin.apiTokens.push(tokenData);
+
+        try {
+            await this.writeAdminsFile();
+        } catch (error) {
+            throw new Error(`Failed to save admins.json with error: ${error.message}`);
+        }
+        return { token, info: getApiTokenInfo(tokenData) };
+    }
+
+
+    /**
+     * Revokes (deletes) an API token from an admin
+     * @param {string} adminName
+     * @param {string} tokenId
+     */
+    async revokeApiToken(adminName, tokenId) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        const tokenIndex = Array.isArray(admin.apiTokens)
+            ? admin.apiTokens.findIndex((t) => t.id === tokenId)
+            : -1;
+        if (tokenIndex === -1) throw new Error('Token not found');
+        const [removed] = admin.apiTokens.splice(tokenIndex, 1);
+
+        try {
+            await this.writeAdminsFile();
+        } catch (error) {
+            throw new Error(`Failed to save admins.json with error: ${error.message}`);
+        }
+        return getApiTokenInfo(removed);
+    }
+
+
+    /**
+     * Returns the admin and token data for a plain text API token, or false.
+     * Expired tokens are not returned.
+     * @param {string} token
+     */
+    getAdminByApiToken(token) {
+        if (!this.admins || !isValidApiTokenFormat(token)) return false;
+        const hash = hashApiToken(token);
+        for (const admin of this.admins) {
+            if (!Array.isArray(admin.apiTokens)) continue;
+            const tokenData = admin.apiTokens.find((t) => t.hash === hash);
+            if (!tokenData) continue;
+            if (tokenData.tsExpires && tokenData.tsExpires < now()) return false;
+            return {
+                admin: cloneDeep(admin),
+                token: getApiTokenInfo(tokenData),
+            };
+        }
+        return false;
+    }
+
+
+    /**
+     * Updates the last used timestamp of a token.
+     * To prevent writing the admins file on every request, it is only saved once a minute per token.
+     * @param {string} tokenId
+     */
+    registerApiTokenUsage(tokenId) {
+        if (!this.admins) return;
+        for (const admin of this.admins) {
+            if (!Array.isArray(admin.apiTokens)) continue;
+            const tokenData = admin.apiTokens.find((t) => t.id === tokenId);
+            if (!tokenData) continue;
+            const ts = now();
+            const shouldSave = !tokenData.tsLastUsed || ts - tokenData.tsLastUsed > 60;
+            tokenData.tsLastUsed = ts;
+            if (shouldSave) {
+                this.writeAdminsFile().catch((error) => {
+                    console.verbose.error(`Failed to save token usage with error: ${error.message}`);
+                });
+            }
+            return;
+        }
+    }
+
+
+    /**
+     * Returns if the admin has two-factor authentication enabled
+     * @param {string} adminName
+     */
+    isTotpEnabled(adminName) {
+        if (!this.admins) return false;
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        return !!admin?.totp;
+    }
+
+
+    /**
+     * Returns if the admin is required to have 2FA enabled due to the txAdmin policy.
+     * Only admins able to manage other admins are affected by it.
+     * @param {object} admin the admin vault data
+     */
+    isTotpRequired(admin) {
+        if (!txConfig.webServer.requireTotpForManagers) return false;
+        return admin.master
+            || admin.permissions.includes('all_permissions')
+            || admin.permissions.includes('manage.admins');
+    }
+
+
+    /**
+     * Returns the TOTP status of an admin, without any secret
+     * @param {string} adminName
+     */
+    getTotpStatus(adminName) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        return {
+            enabled: !!admin.totp,
+            required: this.isTotpRequired(admin),
+            tsEnabled: admin.totp?.tsEnabled ?? null,
+            recoveryCodesLeft: admin.totp?.recoveryCodes.length ?? 0,
+        };
+    }
+
+
+    /**
+     * Starts the 2FA setup for an admin, generating a secret that is only saved after confirmTotpSetup().
+     * NOTE: the pending setup expires after TOTP_SETUP_TTL seconds.
+     * @param {string} adminName
+     */
+    startTotpSetup(adminName) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        if (admin.totp) throw new Error('Two-factor authentication is already enabled.');
+
+        const secret = genTotpSecret();
+        this.prunePendingTotpSetups();
+        this.pendingTotpSetups.set(admin.name.toLowerCase(), {
+            secret,
+            tsCreated: now(),
+        });
+        return {
+            secret,
+            uri: getTotpUri(secret, admin.name),
+        };
+    }
+
+
+    /**
+     * Confirms the 2FA setup with a code from the authenticator app.
+     * Returns the plain text recovery codes, which are never stored.
+     * @param {string} adminName
+     * @param {string} code
+     */
+    async confirmTotpSetup(adminName, code) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        if (admin.totp) throw new Error('Two-factor authentication is already enabled.');
+
+        this.prunePendingTotpSetups();
+        const pending = this.pendingTotpSetups.get(admin.name.toLowerCase());
+        if (!pending) {
+            throw new Error('The setup expired, please start again.');
+        }
+        const matchedStep = verifyTotp(pending.secret, code, -1, now());
+        if (matchedStep === false) {
+            throw new Error('Invalid code, make sure your device clock is correct.');
+        }
+
+        const recovery = genRecoveryCodes();
+        admin.totp = {
+            secret: pending.secret,
+            recoveryCodes: recovery.hashes,
+            lastUsedStep: matchedStep,
+            tsEnabled: now(),
+        };
+        this.pendingTotpSetups.delete(admin.name.toLowerCase());
+
+        try {
+            await this.writeAdminsFile();
+        } catch (error) {
+            throw new Error(`Failed to save admins.json with error: ${error.message}`);
+        }
+
+        //Updates the sockets that were waiting for the 2FA enrollment
+        this.refreshOnlineAdmins().catch((e) => { });
+        return recovery.codes;
+    }
+
+
+    /**
+     * Drops the pending 2FA setups older than TOTP_SETUP_TTL.
+     */
+    prunePendingTotpSetups() {
+        const minTs = now() - TOTP_SETUP_TTL;
+        for (const [adminKey, pending] of this.pendingTotpSetups) {
+            if (pending.tsCreated < minTs) {
+                this.pendingTotpSetups.delete(adminKey);
+            }
+        }
+    }
+
+
+    /**
+     * Checks a TOTP or recovery code for an admin.
+     * Used codes are invalidated: TOTP steps cannot be replayed, and recovery codes are single use.
+     * Returns false or the method that was used ('totp' or 'recovery').
+     * @param {string} adminName
+     * @param {string} code
+     */
+    async verifyAdminTotp(adminName, code) {
+        if (!this.admins || typeof code !== 'string') return false;
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin?.totp) return false;
+
+        let method;
+        if (isRecoveryCodeFormat(code)) {
+            const hash = hashRecoveryCode(code);
+            const codeIndex = admin.totp.recoveryCodes.indexOf(hash);
+            if (codeIndex === -1) return false;
+            admin.totp.recoveryCodes.splice(codeIndex, 1);
+            method = 'recovery';
+        } else {
+            const matchedStep = verifyTotp(admin.totp.secret, code, admin.totp.lastUsedStep, now());
+            if (matchedStep === false) return false;
+            admin.totp.lastUsedStep = matchedStep;
+            method = 'totp';
+        }
+
+        try {
+            await this.writeAdminsFile();
+        } catch (error) {
+            console.error(`Failed to save admins.json with error: ${error.message}`);
+        }
+        return method;
+    }
+
+
+    /**
+     * Disables the 2FA of an admin.
+     * Also used by admin managers to reset the 2FA of admins that lost access to their device.
+     * @param {string} adminName
+     */
+    async disableTotp(adminName) {
+        if (!this.admins) throw new Error('Admins not set');
+        const admin = this.admins.find((user) => user.name.toLowerCase() === adminName.toLowerCase());
+        if (!admin) throw new Error('Admin not found');
+        if (!admin.totp) throw new Error('Two-factor authentication is not enabled.');
+        delete admin.totp;
+
+        try {
+            await this.writeAdminsFile();
+        } catch (error) {
+            throw new Error(`Failed to save admins.json with error: ${error.message}`);
+        }
+        return true;
+    }
+
+
     /**
      * Loads the admins.json file into the admins list
      * NOTE: The verbosity here is driving me insane.
@@ -576,6 +979,13 @@ export default class AdminStore {
             });
             if (providersTest) return true;
             if (!Array.isArray(x.permissions)) return true;
+            if (x.apiTokens !== undefined && !Array.isArray(x.apiTokens)) return true;
+            if (x.totp !== undefined) {
+                if (typeof x.totp !== 'object' || x.totp === null) return true;
+                if (typeof x.totp.secret !== 'string' || !x.totp.secret.length) return true;
+                if (!Array.isArray(x.totp.recoveryCodes)) return true;
+                if (typeof x.totp.lastUsedStep !== 'number') return true;
+            }
             return false;
         });
         if (structureIntegrityTest) {
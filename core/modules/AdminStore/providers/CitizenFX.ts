@@ -1,9 +1,10 @@
 const modulename = 'AdminStore:CfxProvider';
-import crypto from 'node:crypto';
-import { BaseClient, Issuer, custom } from 'openid-client';
+import { BaseClient, Issuer, TokenSet, custom, generators } from 'openid-client';
 import { URL } from 'node:url';
 import consoleFactory from '@lib/console';
+import { getIdFromOauthNameid } from '@lib/player/idUtils';
 import { z } from 'zod';
+import { OauthProvider, OauthUserInfoType, getOauthState, getHttpsUrl } from './providerUtils';
 const console = consoleFactory(modulename);
 
 const userInfoSchema = z.object({
@@ -11,15 +12,11 @@ const userInfoSchema = z.object({
     profile: z.string().min(1),
     nameid: z.string().min(1),
 });
-export type UserInfoType = z.infer<typeof userInfoSchema> & { picture: string | undefined };
-
-const getOauthState = (stateKern: string) => {
-    const stateSeed = `tx:cfxre:${stateKern}`;
-    return crypto.createHash('SHA1').update(stateSeed).digest('hex');
-};
 
 
-export default class CfxProvider {
+export default class CfxProvider implements OauthProvider {
+    public readonly id = 'citizenfx';
+    public readonly displayName = 'Cfx.re';
     private client?: BaseClient;
 
     constructor() {
@@ -42,14 +39,16 @@ export default class CfxProvider {
     /**
      * Returns the Provider Auth URL
      */
-    getAuthURL(redirectUri: string, stateKern: string) {
+    async getAuthURL(redirectUri: string, stateKern: string, codeVerifier: string) {
         if (!this.client) throw new Error(`${modulename} is not ready`);
 
         const url = this.client.authorizationUrl({
             redirect_uri: redirectUri,
-            state: getOauthState(stateKern),
+            state: getOauthState('cfxre', stateKern),
             response_type: 'code',
             scope: 'openid identify',
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
         });
         if (typeof url !== 'string') throw new Error('url is not string');
         return url;
@@ -59,7 +58,7 @@ export default class CfxProvider {
     /**
      * Processes the callback and returns the tokenSet
      */
-    async processCallback(sessionCallbackUri: string, sessionStateKern: string, callbackUri: string) {
+    async processCallback(sessionCallbackUri: string, sessionStateKern: string, codeVerifier: string, callbackUri: string) {
         if (!this.client) throw new Error(`${modulename} is not ready`);
 
         //Process the request
@@ -78,7 +77,8 @@ export default class CfxProvider {
                 state: callbackState,
             },
             {
-                state: getOauthState(sessionStateKern)
+                state: getOauthState('cfxre', sessionStateKern),
+                code_verifier: codeVerifier,
             }
         );
         if (typeof tokenSet !== 'object') throw new Error('tokenSet is not an object');
@@ -91,17 +91,23 @@ export default class CfxProvider {
     /**
      * Gets user info via access token
      */
-    async getUserInfo(accessToken: string): Promise<UserInfoType> {
+    async getUserInfo(tokenSet: TokenSet): Promise<OauthUserInfoType> {
         if (!this.client) throw new Error(`${modulename} is not ready`);
+        if (!tokenSet.access_token) throw new Error('access_token not present');
 
         //Perform introspection
-        const userInfo = await this.client.userinfo(accessToken);
+        const userInfo = await this.client.userinfo(tokenSet.access_token);
         const parsed = userInfoSchema.parse(userInfo);
-        let picture: string | undefined;
-        if (typeof userInfo.picture == 'string' && userInfo.picture.startsWith('https://')) {
-            picture = userInfo.picture;
+        const identifier = getIdFromOauthNameid(parsed.nameid);
+        if (!identifier) {
+            throw new Error(`Could not extract the user identifier from the URL below. Please report this to the txAdmin dev team.\n${parsed.nameid}`);
         }
 
-        return { ...parsed, picture };
+        return {
+            identifier,
+            name: parsed.name,
+            profile: parsed.profile,
+            picture: getHttpsUrl(userInfo.picture),
+        };
     }
 };
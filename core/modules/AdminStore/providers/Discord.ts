@@ -0,0 +1,96 @@
+const modulename = 'AdminStore:DiscordProvider';
+import { BaseClient, Issuer, TokenSet, generators } from 'openid-client';
+import consoleFactory from '@lib/console';
+import consts from '@shared/consts';
+import { z } from 'zod';
+import { OauthProvider, OauthUserInfoType, getOauthState } from './providerUtils';
+const console = consoleFactory(modulename);
+
+export type DiscordProviderConfigType = {
+    clientId: string;
+    clientSecret: string;
+};
+
+const userInfoSchema = z.object({
+    id: z.string().regex(consts.regexDiscordSnowflake),
+    username: z.string().min(1),
+    global_name: z.string().nullish(),
+    avatar: z.string().nullish(),
+});
+
+
+/**
+ * Discord OAuth2 provider.
+ * Discord is not an OIDC issuer, so there is no id_token and the user info comes from the users api.
+ */
+export default class DiscordProvider implements OauthProvider {
+    public readonly id = 'discord';
+    public readonly displayName = 'Discord';
+    private readonly client: BaseClient;
+
+    constructor(config: DiscordProviderConfigType) {
+        const discordIssuer = new Issuer({
+            issuer: 'https://discord.com',
+            authorization_endpoint: 'https://discord.com/oauth2/authorize',
+            token_endpoint: 'https://discord.com/api/oauth2/token',
+            revocation_endpoint: 'https://discord.com/api/oauth2/token/revoke',
+            userinfo_endpoint: 'https://discord.com/api/users/@me',
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            code_challenge_methods_supported: ['S256'],
+        });
+        this.client = new discordIssuer.Client({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            response_types: ['code'],
+        });
+    }
+
+
+    /**
+     * Returns the Provider Auth URL
+     */
+    async getAuthURL(redirectUri: string, stateKern: string, codeVerifier: string) {
+        return this.client.authorizationUrl({
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: 'identify',
+            state: getOauthState('discord', stateKern),
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
+            prompt: 'none',
+        });
+    }
+
+
+    /**
+     * Processes the callback and returns the tokenSet
+     */
+    async processCallback(sessionCallbackUri: string, sessionStateKern: string, codeVerifier: string, callbackUri: string) {
+        const params = this.client.callbackParams(callbackUri);
+        const tokenSet = await this.client.oauthCallback(sessionCallbackUri, params, {
+            response_type: 'code',
+            state: getOauthState('discord', sessionStateKern),
+            code_verifier: codeVerifier,
+        });
+        if (!tokenSet.access_token) throw new Error('access_token not present');
+        return tokenSet;
+    }
+
+
+    /**
+     * Gets user info via access token
+     */
+    async getUserInfo(tokenSet: TokenSet): Promise<OauthUserInfoType> {
+        if (!tokenSet.access_token) throw new Error('access_token not present');
+        const userInfo = await this.client.userinfo(tokenSet.access_token);
+        const parsed = userInfoSchema.parse(userInfo);
+
+        return {
+            identifier: `discord:${parsed.id}`,
+            name: parsed.global_name || parsed.username,
+            picture: parsed.avatar
+                ? `https://cdn.discordapp.com/avatars/${parsed.id}/${parsed.avatar}.png`
+                : undefined,
+        };
+    }
+};
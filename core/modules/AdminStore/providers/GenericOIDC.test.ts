@@ -0,0 +1,258 @@
+import { suite, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import type { AddressInfo, Socket } from 'node:net';
+import { generators } from 'openid-client';
+import OidcProvider from './GenericOIDC';
+
+
+/**
+ * Mock OIDC server
+ * Implements discovery, jwks, authorize (auto-approving), token and userinfo endpoints.
+ */
+const CLIENT_ID = 'txadmin_test';
+const CLIENT_SECRET = 'txadmin_secret';
+const REDIRECT_URI = 'http://localhost:40120/login/callback';
+const DISCORD_ID = '272800190639898628';
+const KEY_ID = 'test-key';
+
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const signJwt = (payload: object) => {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })).toString('base64url');
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${body}`), signingKey.privateKey);
+    return `${header}.${body}.${signature.toString('base64url')}`;
+};
+
+type PendingCodeType = {
+    codeChallenge: string;
+    nonce: string | null;
+    redirectUri: string;
+};
+const pendingCodes = new Map<string, PendingCodeType>();
+const accessTokens = new Set<string>();
+let idTokenClaims: Record<string, unknown> = {};
+let userInfoClaims: Record<string, unknown> = {};
+let issuerUrl = '';
+
+const sendJson = (res: http.ServerResponse, status: number, data: object) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+};
+
+const handleTokenRequest = (req: http.IncomingMessage, res: http.ServerResponse, rawBody: string) => {
+    const expectedAuth = 'Basic ' + Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
+    if (req.headers.authorization !== expectedAuth) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+    }
+    const params = new URLSearchParams(rawBody);
+    const code = params.get('code') ?? '';
+    const pending = pendingCodes.get(code);
+    pendingCodes.delete(code);
+    if (params.get('grant_type') !== 'authorization_code' || !pending) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    if (params.get('redirect_uri') !== pending.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+    }
+    const verifierChallenge = crypto.createHash('sha256')
+        .update(params.get('code_verifier') ?? '')
+        .digest('base64url');
+    if (verifierChallenge !== pending.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = crypto.randomUUID();
+    accessTokens.add(accessToken);
+    const now = Math.floor(Date.now() / 1000);
+    return sendJson(res, 200, {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: signJwt({
+            iss: issuerUrl,
+            aud: CLIENT_ID,
+            sub: 'user-1234',
+            iat: now,
+            exp: now + 300,
+            ...(pending.nonce && { nonce: pending.nonce }),
+            ...idTokenClaims,
+        }),
+    });
+};
+
+const mockServer = http.createServer((req, res) => {
+    const url = new URL(req.url!, issuerUrl);
+    let rawBody = '';
+    req.on('data', (chunk) => rawBody += chunk);
+    req.on('end', () => {
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: issuerUrl,
+                authorization_endpoint: `${issuerUrl}/authorize`,
+                token_endpoint: `${issuerUrl}/token`,
+                userinfo_endpoint: `${issuerUrl}/userinfo`,
+                jwks_uri: `${issuerUrl}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256'],
+            });
+        } else if (url.pathname === '/jwks') {
+            const jwk = signingKey.publicKey.export({ format: 'jwk' });
+            return sendJson(res, 200, { keys: [{ ...jwk, kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+        } else if (url.pathname === '/authorize') {
+            const redirectUri = url.searchParams.get('redirect_uri');
+            const codeChallenge = url.searchParams.get('code_challenge');
+            if (
+                url.searchParams.get('client_id') !== CLIENT_ID
+                || !redirectUri
+                || !codeChallenge
+                || url.searchParams.get('code_challenge_method') !== 'S256'
+            ) {
+                return sendJson(res, 400, { error: 'invalid_request' });
+            }
+            const code = crypto.randomUUID();
+            pendingCodes.set(code, {
+                codeChallenge,
+                nonce: url.searchParams.get('nonce'),
+                redirectUri,
+            });
+            const callbackUrl = new URL(redirectUri);
+            callbackUrl.searchParams.set('code', code);
+            callbackUrl.searchParams.set('state', url.searchParams.get('state') ?? '');
+            res.writeHead(302, { Location: callbackUrl.toString() });
+            return res.end();
+        } else if (url.pathname === '/token' && req.method === 'POST') {
+            return handleTokenRequest(req, res, rawBody);
+        } else if (url.pathname === '/userinfo') {
+            const token = req.headers.authorization?.replace(/^Bearer /, '') ?? '';
+            if (!accessTokens.has(token)) {
+                return sendJson(res, 401, { error: 'invalid_token' });
+            }
+            return sendJson(res, 200, { sub: 'user-1234', ...userInfoClaims });
+        } else {
+            return sendJson(res, 404, { error: 'not_found' });
+        }
+    });
+});
+
+
+//Helpers
+const genProvider = (discordIdClaim?: string) => new OidcProvider({
+    issuer: issuerUrl,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    displayName: 'Company SSO',
+    discordIdClaim,
+});
+
+const authorize = async (authUrl: string) => {
+    const resp = await fetch(authUrl, { redirect: 'manual' });
+    expect(resp.status).toBe(302);
+    return resp.headers.get('location')!;
+};
+
+//Keep-alive connections would prevent the server from closing
+const openSockets = new Set<Socket>();
+mockServer.on('connection', (socket: Socket) => {
+    openSockets.add(socket);
+    socket.on('close', () => openSockets.delete(socket));
+});
+
+beforeAll(async () => {
+    await new Promise<void>((resolve) => mockServer.listen(0, '127.0.0.1', resolve));
+    const { port } = mockServer.address() as AddressInfo;
+    issuerUrl = `http://127.0.0.1:${port}`;
+});
+
+afterAll(async () => {
+    for (const socket of openSockets) {
+        socket.destroy();
+    }
+    await new Promise((resolve) => mockServer.close(resolve));
+});
+
+
+suite('OidcProvider', () => {
+    it('should generate the auth url with PKCE, state and nonce', async () => {
+        const provider = genProvider();
+        const codeVerifier = generators.codeVerifier();
+        const authUrl = new URL(await provider.getAuthURL(REDIRECT_URI, 'kern', codeVerifier));
+        expect(authUrl.origin + authUrl.pathname).toBe(`${issuerUrl}/authorize`);
+        expect(authUrl.searchParams.get('code_challenge')).toBe(generators.codeChallenge(codeVerifier));
+        expect(authUrl.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(authUrl.searchParams.get('scope')).toBe('openid profile');
+        expect(authUrl.searchParams.get('state')).toBeTruthy();
+        expect(authUrl.searchParams.get('nonce')).toBeTruthy();
+        expect(provider.displayName).toBe('Company SSO');
+    });
+
+    it('should complete the login flow and match by discord id', async () => {
+        idTokenClaims = { discord_id: DISCORD_ID, preferred_username: 'tabarra' };
+        userInfoClaims = { picture: 'https://example.com/avatar.png', profile: 'http://example.com/unsafe' };
+        const provider = genProvider();
+        const codeVerifier = generators.codeVerifier();
+        const authUrl = await provider.getAuthURL(REDIRECT_URI, 'kern', codeVerifier);
+        const callbackUri = await authorize(authUrl);
+
+        const tokenSet = await provider.processCallback(REDIRECT_URI, 'kern', codeVerifier, callbackUri);
+        const userInfo = await provider.getUserInfo(tokenSet);
+        expect(userInfo).toEqual({
+            identifier: `discord:${DISCORD_ID}`,
+            name: 'tabarra',
+            profile: undefined,
+            picture: 'https://example.com/avatar.png',
+        });
+    });
+
+    it('should use the configured claim, also from the userinfo endpoint', async () => {
+        idTokenClaims = { name: 'Some Admin' };
+        userInfoClaims = { discord: DISCORD_ID };
+        const provider = genProvider('discord');
+        const codeVerifier = generators.codeVerifier();
+        const callbackUri = await authorize(await provider.getAuthURL(REDIRECT_URI, 'kern', codeVerifier));
+
+        const tokenSet = await provider.processCallback(REDIRECT_URI, 'kern', codeVerifier, callbackUri);
+        const userInfo = await provider.getUserInfo(tokenSet);
+        expect(userInfo.identifier).toBe(`discord:${DISCORD_ID}`);
+        expect(userInfo.name).toBe('Some Admin');
+    });
+
+    it('should reject invalid discord id claims', async () => {
+        idTokenClaims = { discord_id: 272800190639898 };
+        userInfoClaims = {};
+        const provider = genProvider();
+        const codeVerifier = generators.codeVerifier();
+        const callbackUri = await authorize(await provider.getAuthURL(REDIRECT_URI, 'kern', codeVerifier));
+
+        const tokenSet = await provider.processCallback(REDIRECT_URI, 'kern', codeVerifier, callbackUri);
+        await expect(provider.getUserInfo(tokenSet)).rejects.toThrow(/discord_id/);
+    });
+
+    it('should reject state mismatches', async () => {
+        const provider = genProvider();
+        const codeVerifier = generators.codeVerifier();
+        const callbackUri = await authorize(await provider.getAuthURL(REDIRECT_URI, 'kern', codeVerifier));
+        await expect(
+            provider.processCallback(REDIRECT_URI, 'other-kern', codeVerifier, callbackUri)
+        ).rejects.toThrow(/^state mismatch/);
+    });
+
+    it('should reject wrong PKCE code verifiers', async () => {
+        const provider = genProvider();
+        const callbackUri = await authorize(await provider.getAuthURL(REDIRECT_URI, 'kern', generators.codeVerifier()));
+        await expect(
+            provider.processCallback(REDIRECT_URI, 'kern', generators.codeVerifier(), callbackUri)
+        ).rejects.toThrow(/invalid_grant/);
+    });
+
+    it('should fail and allow retrying if the discovery fails', async () => {
+        const provider = new OidcProvider({
+            issuer: `${issuerUrl}/missing`,
+            clientId: CLIENT_ID,
+        });
+        await expect(provider.getAuthURL(REDIRECT_URI, 'kern', generators.codeVerifier())).rejects.toThrow(/discover/);
+        await expect(provider.getAuthURL(REDIRECT_URI, 'kern', generators.codeVerifier())).rejects.toThrow(/discover/);
+    });
+});
@@ -0,0 +1,133 @@
+const modulename = 'AdminStore:OidcProvider';
+import { BaseClient, Issuer, TokenSet, custom, generators } from 'openid-client';
+import consoleFactory from '@lib/console';
+import consts from '@shared/consts';
+import { OauthProvider, OauthUserInfoType, getOauthState, getHttpsUrl } from './providerUtils';
+const console = consoleFactory(modulename);
+
+export type OidcProviderConfigType = {
+    issuer: string;
+    clientId: string;
+    clientSecret?: string;
+    displayName?: string;
+    scope?: string;
+    discordIdClaim?: string;
+};
+
+//Consts
+const DEFAULT_DISPLAY_NAME = 'SSO';
+const DEFAULT_SCOPE = 'openid profile';
+const DEFAULT_DISCORD_ID_CLAIM = 'discord_id';
+
+
+/**
+ * Generic OpenID Connect provider, configured through issuer discovery.
+ * The issuer must expose the admin's Discord ID as a claim, as that is how admins are matched.
+ */
+export default class OidcProvider implements OauthProvider {
+    public readonly id = 'oidc';
+    public readonly displayName: string;
+    private readonly scope: string;
+    private readonly discordIdClaim: string;
+    private clientPromise?: Promise<BaseClient>;
+
+    constructor(private readonly config: OidcProviderConfigType) {
+        this.displayName = config.displayName || DEFAULT_DISPLAY_NAME;
+        this.scope = config.scope || DEFAULT_SCOPE;
+        this.discordIdClaim = config.discordIdClaim || DEFAULT_DISCORD_ID_CLAIM;
+        if (!this.scope.split(' ').includes('openid')) {
+            this.scope = `openid ${this.scope}`;
+        }
+    }
+
+
+    /**
+     * Returns the client, discovering the issuer on the first call.
+     * If the discovery fails, it will be retried on the next call.
+     */
+    private getClient() {
+        if (!this.clientPromise) {
+            this.clientPromise = Issuer.discover(this.config.issuer).then((issuer) => {
+                console.verbose.log(`Discovered issuer ${issuer.metadata.issuer}`);
+                const client = new issuer.Client({
+                    client_id: this.config.clientId,
+                    client_secret: this.config.clientSecret,
+                    token_endpoint_auth_method: this.config.clientSecret ? 'client_secret_basic' : 'none',
+                    response_types: ['code'],
+                });
+                client[custom.clock_tolerance] = 5 * 60;
+                return client;
+            }).catch((error) => {
+                this.clientPromise = undefined;
+                throw new Error(`Failed to discover the OIDC issuer: ${(error as Error).message}`);
+            });
+        }
+        return this.clientPromise;
+    }
+
+
+    /**
+     * Returns the Provider Auth URL
+     */
+    async getAuthURL(redirectUri: string, stateKern: string, codeVerifier: string) {
+        const client = await this.getClient();
+        return client.authorizationUrl({
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: this.scope,
+            state: getOauthState('oidc', stateKern),
+            nonce: getOauthState('oidc:nonce', stateKern),
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
+        });
+    }
+
+
+    /**
+     * Processes the callback and returns the tokenSet
+     */
+    async processCallback(sessionCallbackUri: string, sessionStateKern: string, codeVerifier: string, callbackUri: string) {
+        const client = await this.getClient();
+        const params = client.callbackParams(callbackUri);
+        const tokenSet = await client.callback(sessionCallbackUri, params, {
+            response_type: 'code',
+            state: getOauthState('oidc', sessionStateKern),
+            nonce: getOauthState('oidc:nonce', sessionStateKern),
+            code_verifier: codeVerifier,
+        });
+        if (!tokenSet.id_token) throw new Error('id_token not present');
+        return tokenSet;
+    }
+
+
+    /**
+     * Gets the user info from the id_token claims, complemented by the userinfo endpoint if available
+     */
+    async getUserInfo(tokenSet: TokenSet): Promise<OauthUserInfoType> {
+        const client = await this.getClient();
+        let claims: Record<string, unknown> = tokenSet.claims();
+        if (tokenSet.access_token && client.issuer.metadata.userinfo_endpoint) {
+            const userInfo = await client.userinfo(tokenSet);
+            claims = { ...userInfo, ...claims };
+        }
+
+        //Getting the discord id
+        //NOTE: numeric claims are not accepted as snowflakes are above Number.MAX_SAFE_INTEGER
+        const discordId = claims[this.discordIdClaim];
+        if (typeof discordId !== 'string' || !consts.regexDiscordSnowflake.test(discordId)) {
+            throw new Error(`The '${this.discordIdClaim}' claim is missing or is not a valid Discord ID.`);
+        }
+
+        //Getting the display name
+        const name = [claims.preferred_username, claims.name, claims.email, claims.sub].find(
+            (x) => typeof x === 'string' && x.length
+        ) as string;
+
+        return {
+            identifier: `discord:${discordId}`,
+            name,
+            profile: getHttpsUrl(claims.profile),
+            picture: getHttpsUrl(claims.picture),
+        };
+    }
+};
@@ -0,0 +1,64 @@
+import crypto from 'node:crypto';
+import type { TokenSet } from 'openid-client';
+
+
+/**
+ * The ids of the external identity providers admins can login with.
+ * NOTE: the oidc provider is meant for company SSOs, and matches admins through their discord identifier
+ */
+export const oauthProviderIds = ['citizenfx', 'discord', 'oidc'] as const;
+export type OauthProviderIdType = typeof oauthProviderIds[number];
+
+/**
+ * The normalized user info returned by all providers
+ */
+export type OauthUserInfoType = {
+    identifier: string; //the game identifier used to find the admin, eg `fivem:xxx` or `discord:xxx`
+    name: string;
+    profile?: string;
+    picture?: string;
+};
+
+/**
+ * Interface all external identity providers must implement.
+ * The login flow is always authorization code + PKCE, with the state and code verifier kept in the session.
+ */
+export interface OauthProvider {
+    readonly id: OauthProviderIdType;
+    readonly displayName: string;
+
+    /**
+     * Returns the URL the user should be redirected to
+     */
+    getAuthURL(redirectUri: string, stateKern: string, codeVerifier: string): Promise<string>;
+
+    /**
+     * Processes the callback URL, exchanging the code for the tokenSet
+     */
+    processCallback(sessionCallbackUri: string, sessionStateKern: string, codeVerifier: string, callbackUri: string): Promise<TokenSet>;
+
+    /**
+     * Returns the normalized user info for the tokenSet
+     */
+    getUserInfo(tokenSet: TokenSet): Promise<OauthUserInfoType>;
+}
+
+
+/**
+ * Returns the oauth state for a provider, derived from the session state kern
+ */
+export const getOauthState = (providerTag: string, stateKern: string) => {
+    const stateSeed = `tx:${providerTag}:${stateKern}`;
+    return crypto.createHash('SHA1').update(stateSeed).digest('hex');
+};
+
+
+/**
+ * Returns the url only if it's a https url, as the profile and picture urls are rendered in the panel
+ */
+export const getHttpsUrl = (url: unknown) => {
+    if (typeof url === 'string' && url.startsWith('https://')) {
+        return url;
+    }
+    return undefined;
+};
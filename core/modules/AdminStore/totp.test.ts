@@ -0,0 +1,90 @@
+import { suite, it, expect } from 'vitest';
+import {
+    base32Decode,
+    base32Encode,
+    genRecoveryCodes,
+    generateTotp,
+    genTotpSecret,
+    getTotpStep,
+    getTotpUri,
+    hashRecoveryCode,
+    isRecoveryCodeFormat,
+    verifyTotp,
+} from './totp';
+
+//RFC 6238 test secret: ascii "12345678901234567890"
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+
+suite('base32', () => {
+    it('should encode and decode buffers', () => {
+        expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+        expect(base32Decode('MZXW6YTBOI').toString()).toBe('foobar');
+        expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+    });
+    it('should reject invalid characters', () => {
+        expect(() => base32Decode('MZXW1')).toThrow();
+    });
+    it('should generate 32 character secrets', () => {
+        const secret = genTotpSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(secret).not.toEqual(genTotpSecret());
+    });
+});
+
+
+suite('generateTotp', () => {
+    it('should match the RFC 6238 SHA1 test vectors', () => {
+        expect(generateTotp(rfcSecret, getTotpStep(59))).toBe('287082');
+        expect(generateTotp(rfcSecret, getTotpStep(1111111109))).toBe('081804');
+        expect(generateTotp(rfcSecret, getTotpStep(1234567890))).toBe('005924');
+        expect(generateTotp(rfcSecret, getTotpStep(2000000000))).toBe('279037');
+    });
+});
+
+
+suite('verifyTotp', () => {
+    const ts = 1234567890;
+    const step = getTotpStep(ts);
+    it('should accept the current and adjacent steps', () => {
+        expect(verifyTotp(rfcSecret, '005924', -1, ts)).toBe(step);
+        expect(verifyTotp(rfcSecret, '005924', -1, ts + 30)).toBe(step);
+        expect(verifyTotp(rfcSecret, '005924', -1, ts - 30)).toBe(step);
+        expect(verifyTotp(rfcSecret, '005 924', -1, ts)).toBe(step);
+    });
+    it('should reject old, invalid or reused codes', () => {
+        expect(verifyTotp(rfcSecret, '005924', -1, ts + 90)).toBe(false);
+        expect(verifyTotp(rfcSecret, '005925', -1, ts)).toBe(false);
+        expect(verifyTotp(rfcSecret, 'abcdef', -1, ts)).toBe(false);
+        expect(verifyTotp(rfcSecret, '05924', -1, ts)).toBe(false);
+        expect(verifyTotp(rfcSecret, '005924', step, ts)).toBe(false);
+    });
+});
+
+
+suite('recovery codes', () => {
+    it('should generate unique codes with matching hashes', () => {
+        const { codes, hashes } = genRecoveryCodes();
+        expect(codes.length).toBe(hashes.length);
+        expect(new Set(codes).size).toBe(codes.length);
+        for (const code of codes) {
+            expect(isRecoveryCodeFormat(code)).toBe(true);
+        }
+        expect(hashRecoveryCode(codes[0])).toBe(hashes[0]);
+        expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ''))).toBe(hashes[0]);
+    });
+    it('should not confuse totp codes with recovery codes', () => {
+        expect(isRecoveryCodeFormat('123456')).toBe(false);
+        expect(isRecoveryCodeFormat('abcde-fghjk')).toBe(true);
+    });
+});
+
+
+suite('getTotpUri', () => {
+    it('should generate a valid otpauth uri', () => {
+        const uri = getTotpUri('MZXW6YTBOI', 'tabarra');
+        expect(uri.startsWith('otpauth://totp/txAdmin%3Atabarra?')).toBe(true);
+        expect(uri).toContain('secret=MZXW6YTBOI');
+        expect(uri).toContain('issuer=txAdmin');
+    });
+});
@@ -0,0 +1,167 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { customAlphabet } from 'nanoid';
+
+//Consts
+export const TOTP_ISSUER = 'txAdmin';
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+export const TOTP_SECRET_BYTES = 20;
+export const TOTP_WINDOW = 1;
+export const TOTP_RECOVERY_CODES_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const genRecoveryCodeHalf = customAlphabet('23456789abcdefghjkmnpqrstuvwxyz', 5);
+
+//Types
+export type StoredTotpType = {
+    secret: string;
+    recoveryCodes: string[];
+    lastUsedStep: number;
+    tsEnabled: number;
+};
+
+
+/**
+ * Encodes a buffer as RFC 4648 base32 without padding
+ */
+export const base32Encode = (buf: Buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+
+/**
+ * Decodes a RFC 4648 base32 string, ignoring padding, spaces and casing
+ */
+export const base32Decode = (input: string) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const output: number[] = [];
+    for (const char of cleaned) {
+        const idx = BASE32_ALPHABET.indexOf(char);
+        if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(output);
+}
+
+
+/**
+ * Generates a new random base32 TOTP secret
+ */
+export const genTotpSecret = () => {
+    return base32Encode(randomBytes(TOTP_SECRET_BYTES));
+}
+
+
+/**
+ * Returns the TOTP step number for a given unix timestamp in seconds
+ */
+export const getTotpStep = (tsSeconds: number) => {
+    return Math.floor(tsSeconds / TOTP_STEP_SECONDS);
+}
+
+
+/**
+ * Generates the HOTP code (RFC 4226) for a given base32 secret and step
+ */
+export const generateTotp = (secret: string, step: number) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binCode = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+    return binCode.toString().padStart(TOTP_DIGITS, '0');
+}
+
+
+/**
+ * Checks a TOTP code against the secret, accepting the adjacent steps to account for clock drift.
+ * Returns the matched step, or false if the code is invalid or was already used.
+ * NOTE: steps equal or lower than lastUsedStep are rejected to prevent code replay.
+ */
+export const verifyTotp = (
+    secret: string,
+    code: string,
+    lastUsedStep: number,
+    tsSeconds: number,
+) => {
+    const cleanCode = code.replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(cleanCode)) return false;
+
+    const currStep = getTotpStep(tsSeconds);
+    for (let step = currStep - TOTP_WINDOW; step <= currStep + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (timingSafeEqual(Buffer.from(expected), Buffer.from(cleanCode))) {
+            return step;
+        }
+    }
+    return false;
+}
+
+
+/**
+ * Returns the otpauth:// URI to be used in authenticator apps
+ */
+export const getTotpUri = (secret: string, accountName: string) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: TOTP_DIGITS.toString(),
+        period: TOTP_STEP_SECONDS.toString(),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+
+/**
+ * Normalizes and hashes a recovery code, which is what gets stored in the admins.json file
+ */
+export const hashRecoveryCode = (code: string) => {
+    const normalized = code.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return createHash('sha256').update(normalized).digest('hex');
+}
+
+
+/**
+ * Generates a new set of recovery codes, returning both the plain text codes and their hashes
+ */
+export const genRecoveryCodes = () => {
+    const codes: string[] = [];
+    for (let i = 0; i < TOTP_RECOVERY_CODES_COUNT; i++) {
+        codes.push(`${genRecoveryCodeHalf()}-${genRecoveryCodeHalf()}`);
+    }
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode),
+    };
+}
+
+
+/**
+ * Checks if a string looks like a recovery code instead of a TOTP code
+ */
+export const isRecoveryCodeFormat = (code: string) => {
+    return /^[a-z0-9]{5}-?[a-z0-9]{5}$/i.test(code.trim());
+}
@@ -0,0 +1,133 @@
+import { suite, it, expect } from 'vitest';
+import {
+    FederatedBanType,
+    buildFeedBans,
+    genSigningKeyPair,
+    isFederatedBanEnforced,
+    sanitizeFederatedBan,
+    signFeedBody,
+    verifyFeedBody,
+} from './federationUtils';
+import type { DatabaseActionBanType, DatabaseActionType } from '@modules/Database/databaseTypes';
+
+const ts = 1_700_000_000;
+const license = 'license:' + 'a'.repeat(40);
+const hwid = '2:' + 'b'.repeat(64);
+const makeBan = (id: string, data: Partial<DatabaseActionBanType> = {}) => ({
+    id,
+    type: 'ban',
+    ids: [license],
+    hwids: [hwid],
+    playerName: 'tester',
+    reason: 'cheating',
+    author: 'admin',
+    timestamp: ts - 3600,
+    expiration: false,
+    revocation: { timestamp: null, author: null },
+    ...data,
+}) as DatabaseActionBanType;
+
+
+suite('feed signature', () => {
+    const { publicKey, privateKey } = genSigningKeyPair();
+    const body = JSON.stringify({ instance: 'test', cursor: ts, bans: [] });
+
+    it('should verify a body signed with the key pair', () => {
+        const signature = signFeedBody(privateKey, body);
+        expect(signature.startsWith('ed25519=')).toBe(true);
+        expect(verifyFeedBody(publicKey, body, signature)).toBe(true);
+    });
+
+    it('should reject tampered bodies, other keys and malformed signatures', () => {
+        const signature = signFeedBody(privateKey, body);
+        expect(verifyFeedBody(publicKey, body + ' ', signature)).toBe(false);
+        expect(verifyFeedBody(genSigningKeyPair().publicKey, body, signature)).toBe(false);
+        expect(verifyFeedBody(publicKey, body, undefined)).toBe(false);
+        expect(verifyFeedBody(publicKey, body, 'sha256=abc')).toBe(false);
+        expect(verifyFeedBody('not a key', body, signature)).toBe(false);
+    });
+});
+
+
+suite('buildFeedBans', () => {
+    const actions = [
+        makeBan('BAAA-AAAA'),
+        makeBan('BBBB-BBBB', { revocation: { timestamp: ts - 60, author: 'admin' } }),
+        makeBan('BCCC-CCCC', { expiration: ts - 1 }),
+        makeBan('BDDD-DDDD', { origin: { sourceId: 'src', remoteId: 'BXXX-XXXX', tsSynced: ts } }),
+        { ...makeBan('WAAA-AAAA'), type: 'warn', expiration: false, acked: true } as DatabaseActionType,
+    ];
+
+    it('should only send the active local bans on the first sync', () => {
+        const bans = buildFeedBans(actions, 0, ts);
+        expect(bans.map((ban) => ban.id)).toEqual(['BAAA-AAAA']);
+        expect(bans[0]).toMatchObject({ revoked: false, tsUpdated: ts - 3600, hwids: [hwid] });
+    });
+
+    it('should send the bans changed since the cursor, including revocations', () => {
+        const bans = buildFeedBans(actions, ts - 120, ts);
+        expect(bans.map((ban) => ban.id)).toEqual(['BBBB-BBBB']);
+        expect(bans[0]).toMatchObject({ revoked: true, tsUpdated: ts - 60 });
+    });
+
+    it('should consider the edits as changes', () => {
+        const edited = makeBan('BEEE-EEEE', {
+            changes: [{ author: 'admin', timestamp: ts - 10, diff: { reason: { from: 'a', to: 'b' } } }],
+        });
+        expect(buildFeedBans([edited], ts - 10, ts)).toHaveLength(1);
+        expect(buildFeedBans([edited], ts - 9, ts)).toHaveLength(0);
+    });
+});
+
+
+suite('sanitizeFederatedBan', () => {
+    const feedBan: FederatedBanType = {
+        id: 'BAAA-AAAA',
+        ids: [license, 'license:invalid', license, 'ip:127.0.0.1'],
+        hwids: [hwid, 'invalid'],
+        playerName: 'tester',
+        reason: '',
+        author: 'admin',
+        timestamp: ts,
+        expiration: false,
+        revoked: false,
+        tsUpdated: ts,
+    };
+
+    it('should drop the invalid and duplicated identifiers', () => {
+        const ban = sanitizeFederatedBan(feedBan);
+        expect(ban?.ids).toEqual([license]);
+        expect(ban?.hwids).toEqual([hwid]);
+        expect(ban?.reason).toBe('no reason provided');
+    });
+
+    it('should drop bans without valid identifiers', () => {
+        expect(sanitizeFederatedBan({ ...feedBan, ids: ['ip:127.0.0.1'] })).toBeUndefined();
+    });
+});
+
+
+suite('isFederatedBanEnforced', () => {
+    const sources = [
+        { id: 'enforced', enforce: true },
+        { id: 'listed', enforce: false },
+    ];
+    const origin = (sourceId: string, flags: object = {}) => ({
+        origin: { sourceId, remoteId: 'BXXX-XXXX', tsSynced: ts, ...flags },
+    });
+
+    it('should always enforce local bans', () => {
+        expect(isFederatedBanEnforced({}, sources)).toBe(true);
+    });
+
+    it('should follow the source setting', () => {
+        expect(isFederatedBanEnforced(origin('enforced'), sources)).toBe(true);
+        expect(isFederatedBanEnforced(origin('listed'), sources)).toBe(false);
+        expect(isFederatedBanEnforced(origin('deleted'), sources)).toBe(false);
+    });
+
+    it('should respect the local overrides', () => {
+        expect(isFederatedBanEnforced(origin('enforced', { isIgnored: true }), sources)).toBe(false);
+        expect(isFederatedBanEnforced(origin('listed', { isOverridden: true }), sources)).toBe(true);
+    });
+});
@@ -0,0 +1,199 @@
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'node:crypto';
+import { customAlphabet } from 'nanoid';
+import { alphanumeric } from 'nanoid-dictionary';
+import { z } from 'zod';
+import consts from '@shared/consts';
+import type { DatabaseActionBanType, DatabaseActionType } from '@modules/Database/databaseTypes';
+
+
+//Consts
+export const FEDERATION_FEED_PATH = '/federation/feed';
+export const FEDERATION_SIGNATURE_HEADER = 'X-TxAdmin-Signature';
+export const FEDERATION_TOKEN_PREFIX = 'txfed_';
+export const FEDERATION_SYNC_INTERVAL = 5 * 60; //seconds
+export const genFederationId = customAlphabet(alphanumeric, 12);
+const genTokenSecret = customAlphabet(alphanumeric, 40);
+
+
+//Schemas
+export const FederationSourceSchema = z.object({
+    id: z.string(),
+    name: z.string().trim().min(1).max(64),
+    url: z.string().trim().url().refine(
+        (url) => /^https?:\/\//i.test(url),
+        'The URL must start with http:// or https://'
+    ),
+    token: z.string().trim().startsWith(FEDERATION_TOKEN_PREFIX, 'Invalid access token.'),
+    publicKey: z.string().trim().min(1),
+    enforce: z.boolean(), //if the imported bans are considered by checkBan
+    enabled: z.boolean(),
+    tsCreated: z.number(),
+    tsLastSync: z.number().nullable(),
+    lastError: z.string().nullable(),
+    cursor: z.number(), //tsUpdated of the last successful sync, sent as ?since=
+});
+export type FederationSourceType = z.infer<typeof FederationSourceSchema>;
+
+export const FederationAccessKeySchema = z.object({
+    id: z.string(),
+    name: z.string().trim().min(1).max(64),
+    hash: z.string(),
+    tsCreated: z.number(),
+    tsLastUsed: z.number().nullable(),
+});
+export type FederationAccessKeyType = z.infer<typeof FederationAccessKeySchema>;
+
+export const FederationFileSchema = z.object({
+    version: z.literal(1),
+    signingKey: z.object({
+        publicKey: z.string(),
+        privateKey: z.string(),
+    }),
+    sources: z.array(FederationSourceSchema),
+    accessKeys: z.array(FederationAccessKeySchema),
+});
+export type FederationFileType = z.infer<typeof FederationFileSchema>;
+
+export const FederatedBanSchema = z.object({
+    id: z.string().min(1).max(16),
+    ids: z.array(z.string()),
+    hwids: z.array(z.string()),
+    playerName: z.string().or(z.literal(false)),
+    reason: z.string(),
+    author: z.string(),
+    timestamp: z.number(),
+    expiration: z.number().or(z.literal(false)),
+    revoked: z.boolean(),
+    tsUpdated: z.number(),
+});
+export type FederatedBanType = z.infer<typeof FederatedBanSchema>;
+
+export const FederationFeedSchema = z.object({
+    instance: z.string(),
+    cursor: z.number(),
+    bans: z.array(FederatedBanSchema),
+});
+export type FederationFeedType = z.infer<typeof FederationFeedSchema>;
+
+
+/**
+ * Generates a new plain text access token for the feed
+ */
+export const genFederationToken = () => {
+    return FEDERATION_TOKEN_PREFIX + genTokenSecret();
+}
+
+
+/**
+ * Generates the ed25519 key pair used to sign the feed, as base64 DER strings
+ */
+export const genSigningKeyPair = () => {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    return {
+        publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+    };
+}
+
+
+/**
+ * Returns the signature header value for a feed body
+ */
+export const signFeedBody = (privateKey: string, body: string) => {
+    const keyObject = createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+    return 'ed25519=' + sign(null, Buffer.from(body), keyObject).toString('base64');
+}
+
+
+/**
+ * Checks if the signature header of a feed body matches the public key of the source.
+ * Returns false for any malformed key or signature.
+ */
+export const verifyFeedBody = (publicKey: string, body: string, signatureHeader: unknown) => {
+    if (typeof signatureHeader !== 'string' || !signatureHeader.startsWith('ed25519=')) return false;
+    try {
+        const keyObject = createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+        const signature = Buffer.from(signatureHeader.substring(8), 'base64');
+        return verify(null, Buffer.from(body), keyObject, signature);
+    } catch (error) {
+        return false;
+    }
+}
+
+
+/**
+ * Returns the timestamp of the last change of an action: creation, edit or revocation
+ */
+export const getActionLastUpdate = (action: DatabaseActionType) => {
+    return Math.max(
+        action.timestamp,
+        action.revocation.timestamp ?? 0,
+        action.changes?.at(-1)?.timestamp ?? 0,
+    );
+}
+
+
+/**
+ * Returns the local bans changed since the cursor, in the feed format.
+ * Bans imported from other instances are never re-shared, and on the first sync (since=0)
+ * only the active bans are sent, as there is nothing to revoke on the other side.
+ */
+export const buildFeedBans = (actions: readonly DatabaseActionType[], since: number, ts: number) => {
+    const bans: FederatedBanType[] = [];
+    for (const action of actions) {
+        if (action.type !== 'ban' || action.origin) continue;
+        const tsUpdated = getActionLastUpdate(action);
+        if (tsUpdated < since) continue;
+        const isRevoked = action.revocation.timestamp !== null;
+        const isExpired = action.expiration !== false && action.expiration <= ts;
+        if (since === 0 && (isRevoked || isExpired)) continue;
+        bans.push({
+            id: action.id,
+            ids: action.ids,
+            hwids: action.hwids ?? [],
+            playerName: action.playerName,
+            reason: action.reason,
+            author: action.author,
+            timestamp: action.timestamp,
+            expiration: action.expiration,
+            revoked: isRevoked,
+            tsUpdated,
+        });
+    }
+    return bans;
+}
+
+
+/**
+ * Drops the invalid identifiers and hwids of a ban received from another instance.
+ * Returns undefined if no valid identifier is left.
+ */
+export const sanitizeFederatedBan = (ban: FederatedBanType): FederatedBanType | undefined => {
+    const ids = ban.ids.filter((id) => Object.values(consts.validIdentifiers).some((vf) => vf.test(id)));
+    if (!ids.length) return;
+    return {
+        ...ban,
+        ids: [...new Set(ids)],
+        hwids: [...new Set(ban.hwids.filter((hwid) => consts.regexValidHwidToken.test(hwid)))],
+        playerName: ban.playerName === false ? false : ban.playerName.slice(0, 128) || false,
+        reason: ban.reason.slice(0, 2048) || 'no reason provided',
+        author: ban.author.slice(0, 64) || 'unknown',
+    };
+}
+
+
+/**
+ * Checks if a ban should be enforced when a player joins.
+ * Local bans and remote bans overridden by a local admin are always enforced,
+ * and the other remote bans follow the setting of their source, unless ignored.
+ */
+export const isFederatedBanEnforced = (
+    action: Pick<DatabaseActionBanType, 'origin'>,
+    sources: Pick<FederationSourceType, 'id' | 'enforce'>[],
+) => {
+    if (!action.origin) return true;
+    if (action.origin.isIgnored) return false;
+    if (action.origin.isOverridden) return true;
+    const source = sources.find((src) => src.id === action.origin!.sourceId);
+    return source?.enforce ?? false;
+}
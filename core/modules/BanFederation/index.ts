@@ -0,0 +1,391 @@
+const modulename = 'BanFederation';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import { throttle } from 'throttle-debounce';
+import { cloneDeep } from 'lodash-es';
+import consoleFactory from '@lib/console';
+import got from '@lib/got';
+import { now } from '@lib/misc';
+import { txEnv } from '@core/globalData';
+import { hashApiToken } from '@modules/AdminStore/apiTokens';
+import type { DatabaseActionBanType } from '@modules/Database/databaseTypes';
+import {
+    FEDERATION_FEED_PATH,
+    FEDERATION_SIGNATURE_HEADER,
+    FEDERATION_SYNC_INTERVAL,
+    FederatedBanType,
+    FederationAccessKeyType,
+    FederationFeedSchema,
+    FederationFileSchema,
+    FederationFileType,
+    FederationSourceType,
+    buildFeedBans,
+    genFederationId,
+    genFederationToken,
+    genSigningKeyPair,
+    isFederatedBanEnforced,
+    sanitizeFederatedBan,
+    signFeedBody,
+    verifyFeedBody,
+} from './federationUtils';
+const console = consoleFactory(modulename);
+
+
+//Consts
+const FEDERATION_FILE_NAME = 'banFederation.json';
+const FEDERATION_FILE_VERSION = 1;
+const MAX_SOURCES = 25;
+const MAX_ACCESS_KEYS = 25;
+const SYNC_TICK_INTERVAL = 60_000;
+const SYNC_TIMEOUT = 30_000;
+
+export type FederationSourceEditableData = Pick<FederationSourceType, 'name' | 'url' | 'publicKey' | 'enforce' | 'enabled'> & {
+    token?: string;
+};
+
+
+/**
+ * Shares the local bans with other txAdmin instances through a signed and token-protected feed,
+ * and periodically imports the bans from the feeds of the configured sources.
+ * The sources, access keys and the signing key pair are saved in txData/<profile>/data/banFederation.json.
+ */
+export default class BanFederation {
+    private readonly filePath = `${txEnv.profilePath}/data/${FEDERATION_FILE_NAME}`;
+    private signingKey: FederationFileType['signingKey'] | undefined;
+    private sources: FederationSourceType[] = [];
+    private accessKeys: FederationAccessKeyType[] = [];
+    private isLoaded = false;
+    private isSyncing = false;
+    private queueSaveFile = throttle(
+        15_000,
+        this.saveFile.bind(this),
+        { noLeading: true }
+    );
+
+    constructor() {
+        this.loadFile();
+        setInterval(() => {
+            this.syncDueSources();
+        }, SYNC_TICK_INTERVAL);
+    }
+
+
+    /**
+     * Saves the pending changes to the disk before shutting down
+     */
+    public handleShutdown() {
+        if (!this.isLoaded) return;
+        this.queueSaveFile.cancel({ upcomingOnly: true });
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.getFileData()));
+        } catch (error) {
+            console.error(`Failed to save ${FEDERATION_FILE_NAME} on shutdown: ${(error as Error).message}`);
+        }
+    }
+
+
+    /**
+     * Loads the federation file, or creates a new one with a new signing key pair
+     */
+    private loadFile() {
+        try {
+            const rawFileData = fs.readFileSync(this.filePath, 'utf8');
+            const fileData = FederationFileSchema.parse(JSON.parse(rawFileData));
+            this.signingKey = fileData.signingKey;
+            this.sources = fileData.sources;
+            this.accessKeys = fileData.accessKeys;
+            console.verbose.ok(`Loaded ${this.sources.length} ban federation sources and ${this.accessKeys.length} access keys.`);
+        } catch (error) {
+            if ((error as any)?.code !== 'ENOENT') {
+                console.error(`Failed to load ${FEDERATION_FILE_NAME}: ${(error as Error).message}`);
+                console.error('Ban federation will be disabled until the file is fixed or deleted.');
+                return;
+            }
+            this.signingKey = genSigningKeyPair();
+            this.isLoaded = true;
+            this.saveFile();
+            return;
+        }
+        this.isLoaded = true;
+    }
+
+
+    /**
+     * Returns the data to be saved in the file
+     */
+    private getFileData(): FederationFileType {
+        return {
+            version: FEDERATION_FILE_VERSION,
+            signingKey: this.signingKey!,
+            sources: this.sources,
+            accessKeys: this.accessKeys,
+        };
+    }
+
+
+    /**
+     * Saves the federation file
+     */
+    private async saveFile() {
+        if (!this.isLoaded) return;
+        try {
+            await fsp.writeFile(this.filePath, JSON.stringify(this.getFileData()));
+        } catch (error) {
+            console.error(`Failed to save ${FEDERATION_FILE_NAME}: ${(error as Error).message}`);
+        }
+    }
+
+
+    /**
+     * Returns the public key other instances use to verify the feed signature
+     */
+    public get publicKey() {
+        return this.signingKey?.publicKey;
+    }
+
+
+    /**
+     * Checks if a ban should be enforced when a player joins
+     */
+    public isBanEnforced(action: Pick<DatabaseActionBanType, 'origin'>) {
+        return isFederatedBanEnforced(action, this.sources);
+    }
+
+
+    /**
+     * Returns the name of a source, if it exists
+     */
+    public getSourceName(sourceId: string) {
+        return this.sources.find((src) => src.id === sourceId)?.name;
+    }
+
+
+    //================================================================
+    // MARK: Feed (this instance)
+    //================================================================
+
+    /**
+     * Returns the access key that matches a token, and marks it as used
+     */
+    public checkAccessToken(token: string) {
+        if (!this.isLoaded || !this.accessKeys.length) return;
+        const hash = hashApiToken(token);
+        const accessKey = this.accessKeys.find((key) => key.hash === hash);
+        if (!accessKey) return;
+        accessKey.tsLastUsed = now();
+        this.queueSaveFile();
+        return accessKey;
+    }
+
+
+    /**
+     * Returns the signed feed body with the local bans changed since the cursor
+     */
+    public getSignedFeed(since: number) {
+        if (!this.isLoaded || !this.signingKey) throw new Error(`The ${FEDERATION_FILE_NAME} file failed to load.`);
+        const ts = now();
+        const body = JSON.stringify({
+            instance: txConfig.general.serverName,
+            cursor: ts,
+            bans: buildFeedBans(txCore.database.actions.findAllReadonly(), since, ts),
+        });
+        return {
+            body,
+            signature: signFeedBody(this.signingKey.privateKey, body),
+        };
+    }
+
+
+    /**
+     * Returns the list of access keys, without the hashes
+     */
+    public getAccessKeys() {
+        return this.accessKeys.map(({ hash, ...key }) => key);
+    }
+
+
+    /**
+     * Adds an access key, and returns the plain text token which is not saved
+     */
+    public async addAccessKey(name: string) {
+        if (!this.isLoaded) throw new Error(`The ${FEDERATION_FILE_NAME} file failed to load.`);
+        if (this.accessKeys.length >= MAX_ACCESS_KEYS) {
+            throw new Error(`You cannot have more than ${MAX_ACCESS_KEYS} access keys.`);
+        }
+        const token = genFederationToken();
+        const accessKey: FederationAccessKeyType = {
+            id: genFederationId(),
+            name,
+            hash: hashApiToken(token),
+            tsCreated: now(),
+            tsLastUsed: null,
+        };
+        this.accessKeys.push(accessKey);
+        await this.saveFile();
+        return { accessKey, token };
+    }
+
+
+    /**
+     * Deletes an access key
+     */
+    public async deleteAccessKey(keyId: string) {
+        const accessKey = this.accessKeys.find((key) => key.id === keyId);
+        if (!accessKey) throw new Error('Access key not found.');
+        this.accessKeys = this.accessKeys.filter((key) => key.id !== keyId);
+        await this.saveFile();
+        return accessKey;
+    }
+
+
+    //================================================================
+    // MARK: Sources (other instances)
+    //================================================================
+
+    /**
+     * Returns the list of sources
+     */
+    public getSources() {
+        return cloneDeep(this.sources);
+    }
+
+
+    /**
+     * Adds a new source and syncs it right away
+     */
+    public async addSource(data: FederationSourceEditableData) {
+        if (!this.isLoaded) throw new Error(`The ${FEDERATION_FILE_NAME} file failed to load.`);
+        if (this.sources.length >= MAX_SOURCES) {
+            throw new Error(`You cannot have more than ${MAX_SOURCES} sources.`);
+        }
+        if (!data.token) throw new Error('The access token is required.');
+        const source: FederationSourceType = {
+            id: genFederationId(),
+            name: data.name,
+            url: data.url.replace(/\/+$/, ''),
+            token: data.token,
+            publicKey: data.publicKey,
+            enforce: data.enforce,
+            enabled: data.enabled,
+            tsCreated: now(),
+            tsLastSync: null,
+            lastError: null,
+            cursor: 0,
+        };
+        this.sources.push(source);
+        await this.saveFile();
+        if (source.enabled) setImmediate(() => this.syncSource(source.id).catch(() => { }));
+        return source;
+    }
+
+
+    /**
+     * Edits an existing source.
+     * Changing the URL or the public key resets the cursor, so all active bans are fetched again.
+     */
+    public async editSource(sourceId: string, data: FederationSourceEditableData) {
+        const source = this.sources.find((src) => src.id === sourceId);
+        if (!source) throw new Error('Source not found.');
+        const url = data.url.replace(/\/+$/, '');
+        if (url !== source.url || data.publicKey !== source.publicKey) {
+            source.cursor = 0;
+        }
+        source.name = data.name;
+        source.url = url;
+        source.publicKey = data.publicKey;
+        source.enforce = data.enforce;
+        source.enabled = data.enabled;
+        if (data.token) source.token = data.token;
+        await this.saveFile();
+        return source;
+    }
+
+
+    /**
+     * Deletes a source and the bans imported from it, except the ones overridden by local admins
+     */
+    public async deleteSource(sourceId: string) {
+        const source = this.sources.find((src) => src.id === sourceId);
+        if (!source) throw new Error('Source not found.');
+        this.sources = this.sources.filter((src) => src.id !== sourceId);
+        const removedBans = txCore.database.actions.removeFederatedBans(sourceId);
+        await this.saveFile();
+        return { source, removedBans };
+    }
+
+
+    /**
+     * Syncs the enabled sources that are due
+     */
+    private async syncDueSources() {
+        if (!this.isLoaded || this.isSyncing || !txCore.database.isReady) return;
+        const tsNow = now();
+        const dueSources = this.sources.filter((src) => {
+            return src.enabled && (src.tsLastSync ?? 0) + FEDERATION_SYNC_INTERVAL <= tsNow;
+        });
+        for (const source of dueSources) {
+            await this.syncSource(source.id).catch(() => { });
+        }
+    }
+
+
+    /**
+     * Fetches the feed of a source, verifies its signature and imports the bans changed since the last sync.
+     * The error is saved in the source and rethrown.
+     */
+    public async syncSource(sourceId: string) {
+        const source = this.sources.find((src) => src.id === sourceId);
+        if (!source) throw new Error('Source not found.');
+        if (this.isSyncing) throw new Error('A sync is already in progress, try again in a few seconds.');
+        this.isSyncing = true;
+
+        try {
+            const resp = await got.get(source.url + FEDERATION_FEED_PATH, {
+                searchParams: { since: source.cursor },
+                headers: {
+                    'Authorization': `Bearer ${source.token}`,
+                },
+                timeout: { request: SYNC_TIMEOUT },
+                retry: { limit: 0 },
+                followRedirect: false,
+                throwHttpErrors: false,
+            });
+            if (resp.statusCode !== 200) {
+                let remoteError;
+                try {
+                    remoteError = JSON.parse(resp.body).error;
+                } catch (error) { }
+                throw new Error(`HTTP ${resp.statusCode}${remoteError ? `: ${remoteError}` : ''}`);
+            }
+            if (!verifyFeedBody(source.publicKey, resp.body, resp.headers[FEDERATION_SIGNATURE_HEADER.toLowerCase()])) {
+                throw new Error('Invalid feed signature, check the public key of the source.');
+            }
+            const schemaRes = FederationFeedSchema.safeParse(JSON.parse(resp.body));
+            if (!schemaRes.success) {
+                throw new Error(`Invalid feed data: ${schemaRes.error.issues[0].message}`);
+            }
+
+            const bans = schemaRes.data.bans
+                .map(sanitizeFederatedBan)
+                .filter((ban): ban is FederatedBanType => !!ban);
+            const counts = txCore.database.actions.syncFederatedBans(source.id, source.name, bans);
+            if (counts.added || counts.updated || counts.revoked) {
+                console.log(`Synced bans from '${source.name}': ${counts.added} added, ${counts.updated} updated, ${counts.revoked} revoked.`);
+            }
+            source.cursor = schemaRes.data.cursor;
+            source.lastError = null;
+            return counts;
+        } catch (error) {
+            const msg = (error as Error).message;
+            if (source.lastError !== msg) {
+                console.warn(`Failed to sync bans from '${source.name}': ${msg}`);
+            }
+            source.lastError = msg;
+            throw error;
+        } finally {
+            source.tsLastSync = now();
+            this.isSyncing = false;
+            this.queueSaveFile();
+        }
+    }
+};
@@ -197,7 +197,10 @@ export default class ConfigStore /*does not extend TxModuleBase*/ {
      * FIXME: ignore banlist.templates? or join consequent changes?
      */
     private logChanges(author: string, keysUpdated: string[]) {
-        txCore.logger.admin.write(author, `Config changes: ${keysUpdated.join(', ')}`);
+        txCore.logger.admin.write(author, `Config changes: ${keysUpdated.join(', ')}`, 'default', {
+            type: 'settings.change',
+            params: { keys: keysUpdated },
+        });
         this.changelog.push({
             author,
             ts: Date.now(),
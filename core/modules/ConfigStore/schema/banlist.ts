@@ -51,6 +51,16 @@ export const polishBanTemplatesArray = (input: BanTemplatesDataType[]) => {
 
 
 
+/**
+ * MARK: Warn escalation
+ */
+export const WarnEscalationStepSchema = z.object({
+    warns: z.number().int().min(1).max(100),
+    windowDays: z.number().int().min(1).max(3650).nullable(), //null means all the active warns
+    duration: BanDurationTypeSchema,
+});
+export type WarnEscalationStepType = z.infer<typeof WarnEscalationStepSchema>;
+
 /**
  * MARK: Default
  */
@@ -75,6 +85,38 @@ const requiredHwidMatches = typeDefinedConfig({
     fixer: SYM_FIXER_DEFAULT,
 });
 
+const propagateToLinkedAccounts = typeDefinedConfig({
+    name: 'Propagate Bans to Linked Accounts',
+    default: false,
+    validator: z.boolean(),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const appealsEnabled = typeDefinedConfig({
+    name: 'Ban Appeals Enabled',
+    default: false,
+    validator: z.boolean(),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+//NOTE: txAdmin doesn't know its public address, so the link in the ban message needs to be configured
+const appealsUrl = typeDefinedConfig({
+    name: 'Ban Appeals Page URL',
+    default: '',
+    validator: z.union([
+        z.literal(''),
+        z.string().url().startsWith('http'),
+    ]),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const warnEscalation = typeDefinedConfig({
+    name: 'Warn Escalation Steps',
+    default: [],
+    validator: WarnEscalationStepSchema.array().max(20),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
 const templates = typeDefinedConfig({
     name: 'Ban Templates',
     default: [],
@@ -88,5 +130,9 @@ export default {
     enabled,
     rejectionMessage,
     requiredHwidMatches,
+    propagateToLinkedAccounts,
+    appealsEnabled,
+    appealsUrl,
+    warnEscalation,
     templates,
 } as const;
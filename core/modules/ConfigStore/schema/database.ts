@@ -0,0 +1,123 @@
+import { z } from "zod";
+import { typeDefinedConfig } from "./utils";
+import { SYM_FIXER_DEFAULT, SYM_FIXER_FATAL } from "@lib/symbols";
+import { alphanumeric } from 'nanoid-dictionary';
+import { customAlphabet } from "nanoid";
+
+
+/**
+ * MARK: Player tags
+ */
+export const PLAYER_TAG_ID_LENGTH = 10;
+
+export const genPlayerTagId = customAlphabet(alphanumeric, PLAYER_TAG_ID_LENGTH);
+
+export const PlayerTagDataSchema = z.object({
+    id: z.string().length(PLAYER_TAG_ID_LENGTH),
+    label: z.string().min(1).max(24),
+    color: z.string().regex(/^#[0-9A-Fa-f]{6}$/),
+});
+export type PlayerTagDataType = z.infer<typeof PlayerTagDataSchema>;
+
+//Ensure all tags have unique ids
+export const polishPlayerTagsArray = (input: PlayerTagDataType[]) => {
+    const ids = new Set();
+    const unique: PlayerTagDataType[] = [];
+    for (const tag of input) {
+        if (ids.has(tag.id)) {
+            unique.push({
+                ...tag,
+                id: genPlayerTagId(),
+            });
+        } else {
+            unique.push(tag);
+        }
+        ids.add(tag.id);
+    }
+    return unique;
+}
+
+
+
+/**
+ * MARK: Default
+ */
+
+
+const backupInterval = typeDefinedConfig({
+    name: 'Backup Interval',
+    default: 5, //minutes, 0 to disable
+    validator: z.number().int().min(0).max(1440),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const snapshotInterval = typeDefinedConfig({
+    name: 'Snapshot Interval',
+    default: 12, //hours, 0 to disable
+    validator: z.number().int().min(0).max(168),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const snapshotRetention = typeDefinedConfig({
+    name: 'Snapshot Retention',
+    default: 14,
+    validator: z.number().int().min(1).max(500),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+//Retention rules of the daily database optimizer, 0 disables the rule
+const playersRetention = typeDefinedConfig({
+    name: 'Players Retention',
+    default: 16, //days since last connection
+    validator: z.number().int().min(0).max(3650),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const playersRetentionPlaytime = typeDefinedConfig({
+    name: 'Players Retention Playtime',
+    default: 120, //minutes, only players with less playtime are removed
+    validator: z.number().int().min(1).max(525600),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const whitelistRequestsRetention = typeDefinedConfig({
+    name: 'Whitelist Requests Retention',
+    default: 7, //days since last attempt
+    validator: z.number().int().min(0).max(3650),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const whitelistApprovalsRetention = typeDefinedConfig({
+    name: 'Whitelist Approvals Retention',
+    default: 7, //days since approval
+    validator: z.number().int().min(0).max(3650),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const playerSessionsRetention = typeDefinedConfig({
+    name: 'Player Sessions Retention',
+    default: 90, //days since the session ended
+    validator: z.number().int().min(0).max(3650),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const playerTags = typeDefinedConfig({
+    name: 'Player Tags',
+    default: [],
+    validator: PlayerTagDataSchema.array().max(64).transform(polishPlayerTagsArray),
+    //NOTE: if someone messed with their tags and broke it, we don't want to wipe it all out
+    fixer: SYM_FIXER_FATAL,
+});
+
+
+export default {
+    backupInterval,
+    snapshotInterval,
+    snapshotRetention,
+    playersRetention,
+    playersRetentionPlaytime,
+    whitelistRequestsRetention,
+    whitelistApprovalsRetention,
+    playerSessionsRetention,
+    playerTags,
+} as const;
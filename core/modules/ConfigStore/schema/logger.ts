@@ -24,6 +24,13 @@ export default {
         validator: rfsOptionValidator,
         fixer: SYM_FIXER_FATAL,
     }),
+    //structured version of the admin logs
+    audit: typeDefinedConfig({
+        name: 'Audit Logs',
+        default: {},
+        validator: rfsOptionValidator,
+        fixer: SYM_FIXER_FATAL,
+    }),
     //fxserver output
     fxserver: typeDefinedConfig({
         name: 'FXServer Logs',
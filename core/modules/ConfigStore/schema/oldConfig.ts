@@ -29,6 +29,9 @@ const restructureOldConfig = (old: any) => {
             disableNuiSourceCheck: old?.webServer?.disableNuiSourceCheck,
             limiterMinutes: old?.webServer?.limiterMinutes,
             limiterAttempts: old?.webServer?.limiterAttempts,
+            requireTotpForManagers: false, //NOTE: new config
+            discordLogin: null, //NOTE: new config
+            oidcLogin: null, //NOTE: new config
         },
         discordBot: {
             enabled: old?.discordBot?.enabled,
@@ -57,6 +60,10 @@ const restructureOldConfig = (old: any) => {
             enabled: old?.playerDatabase?.onJoinCheckBan,
             rejectionMessage: old?.playerDatabase?.banRejectionMessage,
             requiredHwidMatches: old?.playerDatabase?.requiredBanHwidMatches,
+            propagateToLinkedAccounts: false,
+            appealsEnabled: false,
+            appealsUrl: '',
+            warnEscalation: [],
             templates: old?.banTemplates,
         },
         whitelist: { //NOTE: All Renamed
@@ -78,9 +85,21 @@ const restructureOldConfig = (old: any) => {
         },
         logger: {
             admin: old?.logger?.admin,
+            audit: old?.logger?.audit, //NOTE: new config
             fxserver: old?.logger?.fxserver,
             server: old?.logger?.server,
         },
+        database: { //NOTE: new config
+            backupInterval: 5,
+            snapshotInterval: 12,
+            snapshotRetention: 14,
+            playersRetention: 16,
+            playersRetentionPlaytime: 120,
+            whitelistRequestsRetention: 7,
+            whitelistApprovalsRetention: 7,
+            playerSessionsRetention: 90,
+            playerTags: [],
+        },
     }
 
     return remapped;
@@ -1,5 +1,5 @@
 import { z } from "zod";
-import { typeDefinedConfig } from "./utils";
+import { discordSnowflakeSchema, typeDefinedConfig, typeNullableConfig } from "./utils";
 import { SYM_FIXER_DEFAULT } from "@lib/symbols";
 
 
@@ -24,9 +24,43 @@ const limiterAttempts = typeDefinedConfig({
     fixer: SYM_FIXER_DEFAULT,
 });
 
+const requireTotpForManagers = typeDefinedConfig({
+    name: 'Require 2FA for Admin Managers',
+    default: false,
+    validator: z.boolean(),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const discordLogin = typeNullableConfig({
+    name: 'Discord Login',
+    default: null,
+    validator: z.object({
+        clientId: discordSnowflakeSchema,
+        clientSecret: z.string().min(1),
+    }).nullable(),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
+const oidcLogin = typeNullableConfig({
+    name: 'OIDC Login',
+    default: null,
+    validator: z.object({
+        issuer: z.string().url(),
+        clientId: z.string().min(1),
+        clientSecret: z.string().min(1).optional(),
+        displayName: z.string().min(1).max(32).optional(),
+        scope: z.string().min(1).optional(),
+        discordIdClaim: z.string().min(1).optional(),
+    }).nullable(),
+    fixer: SYM_FIXER_DEFAULT,
+});
+
 
 export default {
     disableNuiSourceCheck,
     limiterMinutes,
     limiterAttempts,
+    requireTotpForManagers,
+    discordLogin,
+    oidcLogin,
 } as const;
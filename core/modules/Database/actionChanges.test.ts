@@ -0,0 +1,66 @@
+import { suite, it, expect } from 'vitest';
+import { calcActionDiff } from './actionChanges';
+import type { DatabaseActionBanType, DatabaseActionWarnType } from './databaseTypes';
+
+const ban: DatabaseActionBanType = {
+    id: 'BXXX-XXXX',
+    type: 'ban',
+    ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753', 'discord:272800190639898628'],
+    hwids: ['2:aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'],
+    playerName: 'tabby',
+    reason: 'cheating',
+    author: 'admin',
+    timestamp: 1000,
+    expiration: 5000,
+    revocation: { timestamp: null, author: null },
+};
+
+const warn: DatabaseActionWarnType = {
+    id: 'AXXX-XXXX',
+    type: 'warn',
+    ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753'],
+    playerName: 'tabby',
+    reason: 'rdm',
+    author: 'admin',
+    timestamp: 1000,
+    expiration: false,
+    acked: false,
+    revocation: { timestamp: null, author: null },
+};
+
+
+suite('calcActionDiff', () => {
+    it('should diff the reason and expiration', () => {
+        expect(calcActionDiff(ban, { reason: 'aimbot', expiration: false })).toEqual({
+            reason: { from: 'cheating', to: 'aimbot' },
+            expiration: { from: 5000, to: false },
+        });
+    });
+
+    it('should diff the identifiers lists', () => {
+        expect(calcActionDiff(ban, {
+            ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753', 'fivem:555555'],
+            hwids: [],
+        })).toEqual({
+            ids: { added: ['fivem:555555'], removed: ['discord:272800190639898628'] },
+            hwids: { added: [], removed: ['2:aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'] },
+        });
+    });
+
+    it('should return null if nothing changed', () => {
+        expect(calcActionDiff(ban, {})).toBeNull();
+        expect(calcActionDiff(ban, {
+            reason: 'cheating',
+            expiration: 5000,
+            ids: [...ban.ids].reverse(),
+            hwids: ban.hwids,
+        })).toBeNull();
+    });
+
+    it('should reject invalid changes', () => {
+        expect(() => calcActionDiff(ban, { ids: [] })).toThrow();
+        expect(() => calcActionDiff(warn, { expiration: false })).toThrow();
+        expect(() => calcActionDiff(warn, { hwids: [] })).toThrow();
+        expect(calcActionDiff(warn, { reason: 'vdm' })).toEqual({ reason: { from: 'rdm', to: 'vdm' } });
+    });
+});
@@ -0,0 +1,57 @@
+import type { DatabaseActionDiffType, DatabaseActionType } from './databaseTypes';
+
+//Types
+export type ActionChangesType = {
+    reason?: string;
+    expiration?: number | false;
+    ids?: string[];
+    hwids?: string[];
+};
+
+
+/**
+ * Returns the items added and removed between two lists, or undefined if they have the same items
+ */
+const diffLists = (from: string[], to: string[]) => {
+    const added = to.filter((item) => !from.includes(item));
+    const removed = from.filter((item) => !to.includes(item));
+    if (!added.length && !removed.length) return undefined;
+    return { added, removed };
+};
+
+
+/**
+ * Calculates the diff between an action and the changes to be applied to it.
+ * Returns null if nothing would change, or throws if the changes are not valid for the action type.
+ */
+export const calcActionDiff = (
+    action: DatabaseActionType,
+    changes: ActionChangesType,
+): DatabaseActionDiffType | null => {
+    if (action.type !== 'ban' && (changes.expiration !== undefined || changes.hwids !== undefined)) {
+        throw new Error(`only bans have expiration and hwids`);
+    }
+    if (changes.ids !== undefined && !changes.ids.length) {
+        throw new Error(`the action must have at least one identifier`);
+    }
+
+    const diff: DatabaseActionDiffType = {};
+    if (changes.reason !== undefined && changes.reason !== action.reason) {
+        diff.reason = { from: action.reason, to: changes.reason };
+    }
+    if (action.type === 'ban' && changes.expiration !== undefined && changes.expiration !== action.expiration) {
+        diff.expiration = { from: action.expiration, to: changes.expiration };
+    }
+    if (changes.ids !== undefined) {
+        diff.ids = diffLists(action.ids, changes.ids);
+    }
+    if (action.type === 'ban' && changes.hwids !== undefined) {
+        diff.hwids = diffLists(action.hwids ?? [], changes.hwids);
+    }
+
+    //Removing the undefined keys
+    for (const key of Object.keys(diff) as (keyof DatabaseActionDiffType)[]) {
+        if (diff[key] === undefined) delete diff[key];
+    }
+    return Object.keys(diff).length ? diff : null;
+};
@@ -0,0 +1,58 @@
+import { suite, it, expect } from 'vitest';
+import { checkBanAppealTransition, getBanAppealBlocker } from './banAppeals';
+import type { DatabaseActionBanType, DatabaseActionWarnType } from './databaseTypes';
+
+const ban: DatabaseActionBanType = {
+    id: 'BXXX-XXXX',
+    type: 'ban',
+    ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753'],
+    playerName: 'tabby',
+    reason: 'cheating',
+    author: 'admin',
+    timestamp: 1000,
+    expiration: 5000,
+    revocation: { timestamp: null, author: null },
+};
+
+
+suite('checkBanAppealTransition', () => {
+    it('should allow reviewing and deciding pending appeals', () => {
+        expect(() => checkBanAppealTransition('open', 'reviewing')).not.toThrow();
+        expect(() => checkBanAppealTransition('reviewing', 'accepted')).not.toThrow();
+        expect(() => checkBanAppealTransition('open', 'denied')).not.toThrow();
+    });
+
+    it('should allow reopening denied appeals', () => {
+        expect(() => checkBanAppealTransition('denied', 'open')).not.toThrow();
+    });
+
+    it('should reject invalid transitions', () => {
+        expect(() => checkBanAppealTransition('open', 'open')).toThrow();
+        expect(() => checkBanAppealTransition('accepted', 'denied')).toThrow();
+        expect(() => checkBanAppealTransition('open', 'xxx' as any)).toThrow();
+    });
+});
+
+
+suite('getBanAppealBlocker', () => {
+    it('should allow appealing active bans', () => {
+        expect(getBanAppealBlocker(ban, [], 2000)).toBeNull();
+        expect(getBanAppealBlocker({ ...ban, expiration: false }, [{ status: 'denied' }], 9999)).toBeNull();
+    });
+
+    it('should only allow appealing bans', () => {
+        const warn: DatabaseActionWarnType = { ...ban, type: 'warn', expiration: false, acked: true };
+        expect(getBanAppealBlocker(null, [], 2000)).toBeTruthy();
+        expect(getBanAppealBlocker(warn, [], 2000)).toBeTruthy();
+    });
+
+    it('should block revoked and expired bans', () => {
+        const revoked = { ...ban, revocation: { timestamp: 1500, author: 'admin' } };
+        expect(getBanAppealBlocker(revoked, [], 2000)).toBeTruthy();
+        expect(getBanAppealBlocker(ban, [], 6000)).toBeTruthy();
+    });
+
+    it('should block a second pending appeal', () => {
+        expect(getBanAppealBlocker(ban, [{ status: 'reviewing' }], 2000)).toBeTruthy();
+    });
+});
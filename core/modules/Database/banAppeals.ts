@@ -0,0 +1,45 @@
+import type { DatabaseActionType, DatabaseBanAppealStatusType, DatabaseBanAppealType } from './databaseTypes';
+
+//Consts
+export const BAN_APPEAL_MESSAGE_MAX_LENGTH = 2048;
+export const BAN_APPEAL_COMMENT_MAX_LENGTH = 2048;
+export const banAppealStatuses = ['open', 'reviewing', 'accepted', 'denied'] as const satisfies DatabaseBanAppealStatusType[];
+
+
+/**
+ * Returns if the appeal is still waiting for a decision
+ */
+export const isBanAppealPending = (appeal: Pick<DatabaseBanAppealType, 'status'>) => {
+    return appeal.status === 'open' || appeal.status === 'reviewing';
+};
+
+
+/**
+ * Checks if an appeal can move from one status to another, and throws if not.
+ * Accepted appeals are final since the ban was already revoked, but denied appeals can be reopened.
+ */
+export const checkBanAppealTransition = (
+    from: DatabaseBanAppealStatusType,
+    to: DatabaseBanAppealStatusType,
+) => {
+    if (!banAppealStatuses.includes(to)) throw new Error(`invalid appeal status`);
+    if (from === to) throw new Error(`the appeal is already ${to}`);
+    if (from === 'accepted') throw new Error(`accepted appeals cannot be changed`);
+};
+
+
+/**
+ * Returns why a ban cannot be appealed, or null if it can.
+ * Only active bans can be appealed, and only one appeal per ban can be pending at a time.
+ */
+export const getBanAppealBlocker = (
+    action: DatabaseActionType | null,
+    appeals: Pick<DatabaseBanAppealType, 'status'>[],
+    ts: number,
+) => {
+    if (!action || action.type !== 'ban') return 'ban not found';
+    if (action.revocation.timestamp) return 'this ban was already revoked';
+    if (action.expiration !== false && action.expiration < ts) return 'this ban already expired';
+    if (appeals.some(isBanAppealPending)) return 'there is already an appeal pending for this ban';
+    return null;
+};
@@ -0,0 +1,60 @@
+import { suite, it, expect, vi } from 'vitest';
+import type { DatabaseDataType } from '../databaseTypes';
+import { createJsonTables } from '../drivers/jsonDriver';
+import ActionsDao from './actions';
+
+//NOTE: the instance module can't be loaded by vitest due to the migrations .js imports
+vi.mock('../instance', () => ({
+    SavePriority: { STANDBY: 0, LOW: 1, MEDIUM: 2, HIGH: 3 },
+}));
+
+
+//Helpers
+const makeDao = () => {
+    const data: DatabaseDataType = {
+        version: 8,
+        players: [],
+        actions: [],
+        whitelistApprovals: [],
+        whitelistRequests: [],
+        banAppeals: [],
+        playerSessions: [],
+    };
+    const db = {
+        isReady: true,
+        tables: createJsonTables(() => data),
+        writeFlag: vi.fn(),
+    };
+    return { db, dao: new ActionsDao(db as any) };
+};
+const makeBan = (license: string) => ({
+    ids: [`license:${license}`],
+    hwids: [],
+    playerName: 'someone' as const,
+    reason: 'imported ban',
+    author: 'tabarra',
+    timestamp: 1000,
+    expiration: false as const,
+});
+
+
+suite('ActionsDao.importBans', () => {
+    it('should import all the bans', () => {
+        const { db, dao } = makeDao();
+        const ids = dao.importBans([makeBan('a'.repeat(40)), makeBan('b'.repeat(40))]);
+        expect(ids).toHaveLength(2);
+        expect(new Set(ids).size).toBe(2);
+        expect(db.tables.actions.count()).toBe(2);
+        expect(dao.findOne(ids[0])).toMatchObject({ type: 'ban', author: 'tabarra', timestamp: 1000 });
+        expect(db.writeFlag).toHaveBeenCalledOnce();
+    });
+
+    it('should leave the table unchanged if a row is invalid', () => {
+        const { db, dao } = makeDao();
+        dao.importBans([makeBan('a'.repeat(40))]);
+        const invalidBan = { ...makeBan('c'.repeat(40)), reason: '' };
+        expect(() => dao.importBans([makeBan('b'.repeat(40)), invalidBan])).toThrow('Invalid ban at index 1.');
+        expect(db.tables.actions.count()).toBe(1);
+        expect(dao.findMany([`license:${'b'.repeat(40)}`])).toEqual([]);
+    });
+});
@@ -1,8 +1,11 @@
-import { cloneDeep } from 'lodash-es';
+import { filter as lodashFilter, isEqual } from 'lodash-es';
 import { DbInstance, SavePriority } from "../instance";
-import { DatabaseActionBanType, DatabaseActionType, DatabaseActionWarnType } from "../databaseTypes";
+import { DatabaseActionBanType, DatabaseActionKickType, DatabaseActionMuteType, DatabaseActionType, DatabaseActionWarnType } from "../databaseTypes";
 import { genActionID } from "../dbUtils";
+import { ActionChangesType, calcActionDiff } from "../actionChanges";
+import type { FederatedBanType } from '@modules/BanFederation/federationUtils';
 import { now } from '@lib/misc';
+import { SYM_SYSTEM_AUTHOR } from '@lib/symbols';
 import consoleFactory from '@lib/console';
 const console = consoleFactory('DatabaseDao');
 
@@ -13,14 +16,9 @@ const console = consoleFactory('DatabaseDao');
 export default class ActionsDao {
     constructor(private readonly db: DbInstance) { }
 
-    private get dbo() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj;
-    }
-
-    private get chain() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj.chain;
+    private get table() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables.actions;
     }
 
 
@@ -31,10 +29,7 @@ export default class ActionsDao {
         if (typeof actionId !== 'string' || !actionId.length) throw new Error('Invalid actionId.');
 
         //Performing search
-        const a = this.chain.get('actions')
-            .find({ id: actionId })
-            .cloneDeep()
-            .value();
+        const a = this.table.findOne(actionId);
         return (typeof a === 'undefined') ? null : a;
     }
 
@@ -50,27 +45,12 @@ export default class ActionsDao {
     ): T[] {
         if (!Array.isArray(idsArray)) throw new Error('idsArray should be an array');
         if (hwidsArray && !Array.isArray(hwidsArray)) throw new Error('hwidsArray should be an array or undefined');
-        const idsFilter = (action: DatabaseActionType) => idsArray.some((fi) => action.ids.includes(fi))
-        const hwidsFilter = (action: DatabaseActionType) => {
-            if ('hwids' in action && action.hwids) {
-                const count = hwidsArray!.filter((fi) => action.hwids?.includes(fi)).length;
-                return count >= txConfig.banlist.requiredHwidMatches;
-            } else {
-                return false;
-            }
-        }
 
         try {
-            //small optimization
-            const idsMatchFilter = hwidsArray && hwidsArray.length && txConfig.banlist.requiredHwidMatches
-                ? (a: DatabaseActionType) => idsFilter(a) || hwidsFilter(a)
-                : (a: DatabaseActionType) => idsFilter(a)
-
-            return this.chain.get('actions')
-                .filter(customFilter as (a: DatabaseActionType) => a is T)
-                .filter(idsMatchFilter)
-                .cloneDeep()
-                .value();
+            //The identifiers lookup is indexed, so it's done first
+            const minHwidMatches = hwidsArray?.length ? txConfig.banlist.requiredHwidMatches : 0;
+            const found = this.table.findByIdentifiers(idsArray, hwidsArray, minHwidMatches);
+            return lodashFilter(found, customFilter as (a: DatabaseActionType) => a is T);
         } catch (error) {
             const msg = `Failed to search for a registered action database with error: ${(error as Error).message}`;
             console.verbose.error(msg);
@@ -79,19 +59,50 @@ export default class ActionsDao {
     }
 
 
+    /**
+     * Returns the IDs of the actions that contain any of the identifiers or hwids, without loading them.
+     * Used by the history page search.
+     */
+    findIdsByIdentifiers(idsArray: string[], hwidsArray: string[] = []): Set<string> {
+        if (!Array.isArray(idsArray)) throw new Error('idsArray should be an array');
+        if (!Array.isArray(hwidsArray)) throw new Error('hwidsArray should be an array');
+        return new Set(this.table.findKeysByIdentifiers(idsArray, hwidsArray, 1));
+    }
+
+
+    /**
+     * Returns all actions in the database, used by the history page search.
+     * NOTE: the returned objects MUST NOT be modified.
+     */
+    findAllReadonly(): readonly DatabaseActionType[] {
+        return this.table.findAllReadonly();
+    }
+
+
+    /**
+     * Yields all actions in the database one page at a time, used by the data export.
+     * NOTE: the yielded objects MUST NOT be modified.
+     */
+    iterateReadonly(): AsyncGenerator<DatabaseActionType> {
+        return this.table.iterateReadonly();
+    }
+
+
     /**
      * Registers a ban action and returns its id
      */
     registerBan(
         ids: string[],
-        author: string,
+        author: string | typeof SYM_SYSTEM_AUTHOR,
         reason: string,
         expiration: number | false,
         playerName: string | false = false,
         hwids?: string[], //only used for bans
+        escalatedFrom?: string[], //only used for warn escalation bans
     ): string {
         //Sanity check
         if (!Array.isArray(ids) || !ids.length) throw new Error('Invalid ids array.');
+        if (author === SYM_SYSTEM_AUTHOR) author = 'txAdmin';
         if (typeof author !== 'string' || !author.length) throw new Error('Invalid author.');
         if (typeof reason !== 'string' || !reason.length) throw new Error('Invalid reason.');
         if (expiration !== false && (typeof expiration !== 'number')) throw new Error('Invalid expiration.');
@@ -101,7 +112,7 @@ export default class ActionsDao {
         //Saves it to the database
         const timestamp = now();
         try {
-            const actionID = genActionID(this.dbo, 'ban');
+            const actionID = genActionID(this.table, 'ban');
             const toDB: DatabaseActionBanType = {
                 id: actionID,
                 type: 'ban',
@@ -117,9 +128,8 @@ export default class ActionsDao {
                     author: null,
                 },
             };
-            this.chain.get('actions')
-                .push(toDB)
-                .value();
+            if (escalatedFrom?.length) toDB.escalatedFrom = escalatedFrom;
+            this.table.insert(toDB);
             this.db.writeFlag(SavePriority.HIGH);
             return actionID;
         } catch (error) {
@@ -131,6 +141,62 @@ export default class ActionsDao {
     }
 
 
+    /**
+     * Bulk registers bans imported from other resources, keeping their original author and timestamp.
+     * All bans are validated before any is saved, and they are inserted at once, so a failure imports nothing.
+     * NOTE: no playerBanned events are dispatched.
+     */
+    importBans(bans: Omit<DatabaseActionBanType, 'id' | 'type' | 'revocation'>[]): string[] {
+        if (!Array.isArray(bans)) throw new Error('Invalid bans array.');
+        bans.forEach((ban, index) => {
+            const isValid = (
+                Array.isArray(ban.ids) && ban.ids.length && ban.ids.every((id) => typeof id === 'string' && id.length)
+                && (ban.hwids === undefined || (Array.isArray(ban.hwids) && ban.hwids.every((hwid) => typeof hwid === 'string')))
+                && (ban.playerName === false || (typeof ban.playerName === 'string' && ban.playerName.length))
+                && typeof ban.reason === 'string' && ban.reason.length
+                && typeof ban.author === 'string' && ban.author.length
+                && Number.isInteger(ban.timestamp) && ban.timestamp > 0
+                && (ban.expiration === false || Number.isInteger(ban.expiration))
+            );
+            if (!isValid) throw new Error(`Invalid ban at index ${index}.`);
+        });
+
+        try {
+            const newIds = new Set<string>();
+            const toDB = bans.map((ban): DatabaseActionBanType => {
+                let actionID;
+                do {
+                    actionID = genActionID(this.table, 'ban');
+                } while (newIds.has(actionID));
+                newIds.add(actionID);
+                return {
+                    id: actionID,
+                    type: 'ban',
+                    ids: ban.ids,
+                    hwids: ban.hwids,
+                    playerName: ban.playerName,
+                    reason: ban.reason,
+                    author: ban.author,
+                    timestamp: ban.timestamp,
+                    expiration: ban.expiration,
+                    revocation: {
+                        timestamp: null,
+                        author: null,
+                    },
+                };
+            });
+            this.table.insertMany(toDB);
+            if (toDB.length) this.db.writeFlag(SavePriority.HIGH);
+            return [...newIds];
+        } catch (error) {
+            let msg = `Failed to import bans to database with message: ${(error as Error).message}`;
+            console.error(msg);
+            console.verbose.dir(error);
+            throw error;
+        }
+    }
+
+
     /**
      * Registers a warn action and returns its id
      */
@@ -149,7 +215,7 @@ export default class ActionsDao {
         //Saves it to the database
         const timestamp = now();
         try {
-            const actionID = genActionID(this.dbo, 'warn');
+            const actionID = genActionID(this.table, 'warn');
             const toDB: DatabaseActionWarnType = {
                 id: actionID,
                 type: 'warn',
@@ -165,9 +231,7 @@ export default class ActionsDao {
                     author: null,
                 },
             };
-            this.chain.get('actions')
-                .push(toDB)
-                .value();
+            this.table.insert(toDB);
             this.db.writeFlag(SavePriority.HIGH);
             return actionID;
         } catch (error) {
@@ -178,6 +242,237 @@ export default class ActionsDao {
         }
     }
 
+    /**
+     * Registers a kick action and returns its id
+     */
+    registerKick(
+        ids: string[],
+        author: string,
+        reason: string,
+        playerName: string | false = false,
+    ): string {
+        //Sanity check
+        if (!Array.isArray(ids) || !ids.length) throw new Error('Invalid ids array.');
+        if (typeof author !== 'string' || !author.length) throw new Error('Invalid author.');
+        if (typeof reason !== 'string' || !reason.length) throw new Error('Invalid reason.');
+        if (playerName !== false && (typeof playerName !== 'string' || !playerName.length)) throw new Error('Invalid playerName.');
+
+        //Saves it to the database
+        const timestamp = now();
+        try {
+            const actionID = genActionID(this.table, 'kick');
+            const toDB: DatabaseActionKickType = {
+                id: actionID,
+                type: 'kick',
+                ids,
+                playerName,
+                reason,
+                author,
+                timestamp,
+                expiration: false,
+                revocation: {
+                    timestamp: null,
+                    author: null,
+                },
+            };
+            this.table.insert(toDB);
+            this.db.writeFlag(SavePriority.MEDIUM);
+            return actionID;
+        } catch (error) {
+            let msg = `Failed to register kick to database with message: ${(error as Error).message}`;
+            console.error(msg);
+            console.verbose.dir(error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Registers a mute action and returns its id
+     */
+    registerMute(
+        ids: string[],
+        author: string,
+        reason: string,
+        expiration: number,
+        playerName: string | false = false,
+    ): string {
+        //Sanity check
+        if (!Array.isArray(ids) || !ids.length) throw new Error('Invalid ids array.');
+        if (typeof author !== 'string' || !author.length) throw new Error('Invalid author.');
+        if (typeof reason !== 'string' || !reason.length) throw new Error('Invalid reason.');
+        if (typeof expiration !== 'number') throw new Error('Invalid expiration.');
+        if (playerName !== false && (typeof playerName !== 'string' || !playerName.length)) throw new Error('Invalid playerName.');
+
+        //Saves it to the database
+        const timestamp = now();
+        try {
+            const actionID = genActionID(this.table, 'mute');
+            const toDB: DatabaseActionMuteType = {
+                id: actionID,
+                type: 'mute',
+                ids,
+                playerName,
+                reason,
+                author,
+                timestamp,
+                expiration,
+                revocation: {
+                    timestamp: null,
+                    author: null,
+                },
+            };
+            this.table.insert(toDB);
+            this.db.writeFlag(SavePriority.HIGH);
+            return actionID;
+        } catch (error) {
+            let msg = `Failed to register mute to database with message: ${(error as Error).message}`;
+            console.error(msg);
+            console.verbose.dir(error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Applies the bans received from a federated instance: inserts the new ones and updates or revokes
+     * the ones already imported, unless they were overridden by a local admin.
+     * NOTE: the bans must be sanitized beforehand, and no events are dispatched.
+     */
+    syncFederatedBans(sourceId: string, sourceName: string, bans: FederatedBanType[]) {
+        if (typeof sourceId !== 'string' || !sourceId.length) throw new Error('Invalid sourceId.');
+        if (!Array.isArray(bans)) throw new Error('Invalid bans array.');
+
+        try {
+            const ts = now();
+            const imported = new Map<string, string>();
+            for (const action of this.table.findAllReadonly()) {
+                if (action.type === 'ban' && action.origin?.sourceId === sourceId) {
+                    imported.set(action.origin.remoteId, action.id);
+                }
+            }
+
+            const counts = { added: 0, updated: 0, revoked: 0 };
+            for (const ban of bans) {
+                const localId = imported.get(ban.id);
+                if (!localId) {
+                    const isExpired = ban.expiration !== false && ban.expiration <= ts;
+                    if (ban.revoked || isExpired) continue;
+                    const actionID = genActionID(this.table, 'ban');
+                    const toDB: DatabaseActionBanType = {
+                        id: actionID,
+                        type: 'ban',
+                        ids: ban.ids,
+                        hwids: ban.hwids,
+                        playerName: ban.playerName,
+                        reason: ban.reason,
+                        author: ban.author,
+                        timestamp: ban.timestamp,
+                        expiration: ban.expiration,
+                        revocation: {
+                            timestamp: null,
+                            author: null,
+                        },
+                        origin: {
+                            sourceId,
+                            remoteId: ban.id,
+                            tsSynced: ts,
+                        },
+                    };
+                    this.table.insert(toDB);
+                    imported.set(ban.id, actionID);
+                    counts.added++;
+                    continue;
+                }
+
+                const action = this.table.findOne(localId);
+                if (!action || action.type !== 'ban' || !action.origin) continue;
+                if (action.origin.isOverridden || action.revocation.timestamp) continue;
+                if (ban.revoked) {
+                    action.revocation = {
+                        timestamp: ts,
+                        author: sourceName,
+                    };
+                    counts.revoked++;
+                } else {
+                    const current = {
+                        ids: action.ids,
+                        hwids: action.hwids ?? [],
+                        playerName: action.playerName,
+                        reason: action.reason,
+                        expiration: action.expiration,
+                    };
+                    const updated = {
+                        ids: ban.ids,
+                        hwids: ban.hwids,
+                        playerName: ban.playerName,
+                        reason: ban.reason,
+                        expiration: ban.expiration,
+                    };
+                    if (isEqual(current, updated)) continue;
+                    Object.assign(action, updated);
+                    counts.updated++;
+                }
+                action.origin.tsSynced = ts;
+                this.table.replace(action);
+            }
+            if (counts.added || counts.updated || counts.revoked) {
+                this.db.writeFlag(SavePriority.HIGH);
+            }
+            return counts;
+        } catch (error) {
+            let msg = `Failed to sync federated bans with message: ${(error as Error).message}`;
+            console.error(msg);
+            console.verbose.dir(error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Sets if a ban imported from a federated instance should be ignored locally
+     */
+    setFederatedBanIgnored(actionId: string, isIgnored: boolean): DatabaseActionBanType {
+        if (typeof actionId !== 'string' || !actionId.length) throw new Error('Invalid actionId.');
+
+        try {
+            const action = this.table.findOne(actionId);
+            if (!action) throw new Error(`action not found`);
+            if (action.type !== 'ban' || !action.origin) throw new Error(`action is not a federated ban`);
+            if (isIgnored) {
+                action.origin.isIgnored = true;
+            } else {
+                delete action.origin.isIgnored;
+            }
+            this.table.replace(action);
+            this.db.writeFlag(SavePriority.HIGH);
+            return action;
+        } catch (error) {
+            const msg = `Failed to change federated ban with message: ${(error as Error).message}`;
+            console.error(msg);
+            console.verbose.dir(error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Removes the bans imported from a federated instance, except the ones overridden by a local admin.
+     * Returns the number of removed bans.
+     */
+    removeFederatedBans(sourceId: string) {
+        if (typeof sourceId !== 'string' || !sourceId.length) throw new Error('Invalid sourceId.');
+
+        const removed = this.table.removeMany((action) => (
+            action.type === 'ban'
+            && action.origin?.sourceId === sourceId
+            && !action.origin.isOverridden
+        ));
+        if (removed.length) this.db.writeFlag(SavePriority.HIGH);
+        return removed.length;
+    }
+
+
     /**
      * Marks a warning as acknowledged
      */
@@ -185,12 +480,11 @@ export default class ActionsDao {
         if (typeof actionId !== 'string' || !actionId.length) throw new Error('Invalid actionId.');
 
         try {
-            const action = this.chain.get('actions')
-                .find({ id: actionId })
-                .value();
+            const action = this.table.findOne(actionId);
             if (!action) throw new Error(`action not found`);
             if (action.type !== 'warn') throw new Error(`action is not a warn`);
             action.acked = true;
+            this.table.replace(action);
             this.db.writeFlag(SavePriority.MEDIUM);
         } catch (error) {
             const msg = `Failed to ack warn with message: ${(error as Error).message}`;
@@ -202,11 +496,13 @@ export default class ActionsDao {
 
 
     /**
-     * Revoke an action (ban, warn)
+     * Modifies the reason, expiration and identifiers of an action, keeping the diff in the changes array.
+     * Returns the updated action, or throws if nothing changed.
      */
-    revoke(
+    modify(
         actionId: string,
         author: string,
+        changes: ActionChangesType,
         allowedTypes: string[] | true = true
     ): DatabaseActionType {
         if (typeof actionId !== 'string' || !actionId.length) throw new Error('Invalid actionId.');
@@ -214,21 +510,69 @@ export default class ActionsDao {
         if (allowedTypes !== true && !Array.isArray(allowedTypes)) throw new Error('Invalid allowedTypes.');
 
         try {
-            const action = this.chain.get('actions')
-                .find({ id: actionId })
-                .value();
+            const action = this.table.findOne(actionId);
+            if (!action) throw new Error(`action not found`);
+            if (allowedTypes !== true && !allowedTypes.includes(action.type)) {
+                throw new Error(`you do not have permission to modify this action`);
+            }
+            if (action.revocation.timestamp) throw new Error(`action was already revoked`);
+
+            const diff = calcActionDiff(action, changes);
+            if (!diff) throw new Error(`nothing to change`);
+            if (changes.reason !== undefined) action.reason = changes.reason;
+            if (changes.ids !== undefined) action.ids = changes.ids;
+            if (action.type === 'ban') {
+                if (changes.expiration !== undefined) action.expiration = changes.expiration;
+                if (changes.hwids !== undefined) action.hwids = changes.hwids;
+                if (action.origin) action.origin.isOverridden = true;
+            }
+            action.changes = [...(action.changes ?? []), {
+                author,
+                timestamp: now(),
+                diff,
+            }];
+            this.table.replace(action);
+            this.db.writeFlag(SavePriority.HIGH);
+            return action;
+
+        } catch (error) {
+            const msg = `Failed to modify action with message: ${(error as Error).message}`;
+            console.error(msg);
+            console.verbose.dir(error);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Revoke an action (ban, warn, mute)
+     * NOTE: kicks cannot be revoked
+     */
+    revoke(
+        actionId: string,
+        author: string,
+        allowedTypes: string[] | true = true
+    ): DatabaseActionType {
+        if (typeof actionId !== 'string' || !actionId.length) throw new Error('Invalid actionId.');
+        if (typeof author !== 'string' || !author.length) throw new Error('Invalid author.');
+        if (allowedTypes !== true && !Array.isArray(allowedTypes)) throw new Error('Invalid allowedTypes.');
 
+        try {
+            const action = this.table.findOne(actionId);
             if (!action) throw new Error(`action not found`);
             if (allowedTypes !== true && !allowedTypes.includes(action.type)) {
                 throw new Error(`you do not have permission to revoke this action`);
             }
+            if (action.type === 'kick') throw new Error(`kicks cannot be revoked`);
 
             action.revocation = {
                 timestamp: now(),
                 author,
             };
+            if (action.type === 'ban' && action.origin) action.origin.isOverridden = true;
+            this.table.replace(action);
             this.db.writeFlag(SavePriority.HIGH);
-            return cloneDeep(action);
+            return action;
 
         } catch (error) {
             const msg = `Failed to revoke action with message: ${(error as Error).message}`;
@@ -0,0 +1,103 @@
+import { DbInstance, SavePriority } from "../instance";
+import { DatabaseBanAppealStatusType, DatabaseBanAppealType } from '../databaseTypes';
+import { genBanAppealID } from '../dbUtils';
+import { checkBanAppealTransition } from '../banAppeals';
+import { now } from '@lib/misc';
+import consoleFactory from '@lib/console';
+const console = consoleFactory('DatabaseDao');
+
+
+/**
+ * Data access object for the database "banAppeals" collection.
+ */
+export default class BanAppealsDao {
+    constructor(private readonly db: DbInstance) { }
+
+    private get table() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables.banAppeals;
+    }
+
+
+    /**
+     * Searches for an appeal in the database by the id, returns appeal or null if not found
+     */
+    findOne(appealId: string): DatabaseBanAppealType | null {
+        if (typeof appealId !== 'string' || !appealId.length) throw new Error('Invalid appealId.');
+        return this.table.findOne(appealId) ?? null;
+    }
+
+
+    /**
+     * Returns all appeals, which can be optionally filtered
+     */
+    findMany(filter?: object | Function): DatabaseBanAppealType[] {
+        return this.table.findMany(filter as any);
+    }
+
+
+    /**
+     * Returns all appeals for a ban, oldest first
+     */
+    findByAction(actionId: string): DatabaseBanAppealType[] {
+        return this.table.findMany({ actionId });
+    }
+
+
+    /**
+     * Registers a new appeal to the database, and returns it
+     */
+    register(appeal: Pick<DatabaseBanAppealType, 'actionId' | 'source' | 'playerName' | 'discordId' | 'message'>) {
+        const ts = now();
+        const newAppeal: DatabaseBanAppealType = {
+            id: genBanAppealID(this.table),
+            actionId: appeal.actionId,
+            status: 'open',
+            source: appeal.source,
+            playerName: appeal.playerName,
+            message: appeal.message,
+            tsCreated: ts,
+            tsLastUpdate: ts,
+            comments: [],
+        };
+        if (appeal.discordId) newAppeal.discordId = appeal.discordId;
+        this.table.insert(newAppeal);
+        this.db.writeFlag(SavePriority.MEDIUM);
+        return newAppeal;
+    }
+
+
+    /**
+     * Adds a comment to the appeal thread, optionally changing the appeal status.
+     * Throws if the appeal does not exist or the status change is not allowed.
+     */
+    addComment(
+        appealId: string,
+        author: string,
+        comment: { text?: string, status?: DatabaseBanAppealStatusType },
+    ): DatabaseBanAppealType {
+        if (typeof author !== 'string' || !author.length) throw new Error('Invalid author.');
+        if (!comment.text && !comment.status) throw new Error('the comment must have a text or status');
+
+        try {
+            const appeal = this.table.findOne(appealId);
+            if (!appeal) throw new Error(`appeal not found`);
+            if (comment.status) {
+                checkBanAppealTransition(appeal.status, comment.status);
+                appeal.status = comment.status;
+            }
+
+            const ts = now();
+            appeal.comments.push({ author, ts, ...comment });
+            appeal.tsLastUpdate = ts;
+            this.table.replace(appeal);
+            this.db.writeFlag(SavePriority.MEDIUM);
+            return appeal;
+
+        } catch (error) {
+            const msg = `Failed to update appeal with message: ${(error as Error).message}`;
+            console.verbose.error(msg);
+            throw error;
+        }
+    }
+}
@@ -1,9 +1,18 @@
 import { DbInstance, SavePriority } from "../instance";
 import consoleFactory from '@lib/console';
-import { DatabasePlayerType, DatabaseWhitelistApprovalsType, DatabaseWhitelistRequestsType } from '../databaseTypes';
+import { DatabasePlayerSessionType, DatabasePlayerType, DatabaseWhitelistApprovalsType, DatabaseWhitelistRequestsType } from '../databaseTypes';
+import type { DbTable, DbTableNameType } from '../drivers/dbTable';
 import { now } from '@lib/misc';
 const console = consoleFactory('DatabaseDao');
 
+//Types
+export type OptimizerResultType = {
+    players: number | null;
+    whitelistRequests: number | null;
+    whitelistApprovals: number | null;
+    playerSessions: number | null;
+};
+
 
 /**
  * Data access object for cleaning up the database.
@@ -11,14 +20,9 @@ const console = consoleFactory('DatabaseDao');
 export default class CleanupDao {
     constructor(private readonly db: DbInstance) { }
 
-    private get dbo() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj;
-    }
-
-    private get chain() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj.chain;
+    private get tables() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables;
     }
 
 
@@ -27,17 +31,15 @@ export default class CleanupDao {
      * @returns {number} number of removed items
      */
     bulkRemove(
-        tableName: 'players' | 'actions' | 'whitelistApprovals' | 'whitelistRequests',
+        tableName: DbTableNameType,
         filterFunc: Function
     ): number {
-        if (!Array.isArray(this.dbo.data[tableName])) throw new Error('Table selected isn\'t an array.');
+        if (!(tableName in this.tables)) throw new Error('Table selected doesn\'t exist.');
         if (typeof filterFunc !== 'function') throw new Error('filterFunc must be a function.');
 
         try {
+            const removed = this.tables[tableName].removeMany(filterFunc as any);
             this.db.writeFlag(SavePriority.HIGH);
-            const removed = this.chain.get(tableName)
-                .remove(filterFunc as any)
-                .value();
             return removed.length;
         } catch (error) {
             const msg = `Failed to clean database with error: ${(error as Error).message}`;
@@ -55,34 +57,27 @@ export default class CleanupDao {
         fromPlayers: boolean,
         fromBans: boolean,
     ): number {
-        if (!Array.isArray(this.dbo.data.players)) throw new Error('Players table isn\'t an array yet.');
-        if (!Array.isArray(this.dbo.data.players)) throw new Error('Actions table isn\'t an array yet.');
         if (typeof fromPlayers !== 'boolean' || typeof fromBans !== 'boolean') throw new Error('The parameters should be booleans.');
 
         try {
-            this.db.writeFlag(SavePriority.HIGH);
             let removed = 0;
             if (fromPlayers) {
-                this.chain.get('players')
-                    .map(player => {
-                        removed += player.hwids.length;
-                        player.hwids = [];
-                        return player;
-                    })
-                    .value();
+                this.tables.players.updateMany((player) => {
+                    if (!player.hwids.length) return false;
+                    removed += player.hwids.length;
+                    player.hwids = [];
+                    return true;
+                });
+            }
+            if (fromBans) {
+                this.tables.actions.updateMany((action) => {
+                    if (action.type !== 'ban' || !action.hwids?.length) return false;
+                    removed += action.hwids.length;
+                    action.hwids = [];
+                    return true;
+                });
             }
-            if (fromBans)
-                this.chain.get('actions')
-                    .map(action => {
-                        if (action.type !== 'ban' || !action.hwids) {
-                            return action;
-                        } else {
-                            removed += action.hwids.length;
-                            action.hwids = [];
-                            return action;
-                        }
-                    })
-                    .value();
+            this.db.writeFlag(SavePriority.HIGH);
             return removed;
         } catch (error) {
             const msg = `Failed to clean database with error: ${(error as Error).message}`;
@@ -93,48 +88,107 @@ export default class CleanupDao {
 
 
     /**
-     * Cron func to optimize the database removing players and whitelist reqs/approvals
+     * Returns the filters of the daily optimizer retention rules, or null for the disabled ones
      */
-    runDailyOptimizer() {
+    private getOptimizerFilters() {
         const oneDay = 24 * 60 * 60;
+        const ts = now();
+        const {
+            playersRetention,
+            playersRetentionPlaytime,
+            whitelistRequestsRetention,
+            whitelistApprovalsRetention,
+            playerSessionsRetention,
+        } = txConfig.database;
+
+        return {
+            players: playersRetention ? (p: DatabasePlayerType) => {
+                return (p.tsLastConnection < ts - (playersRetention * oneDay) && p.playTime < playersRetentionPlaytime);
+            } : null,
+            whitelistRequests: whitelistRequestsRetention ? (req: DatabaseWhitelistRequestsType) => {
+                return (req.tsLastAttempt < ts - (whitelistRequestsRetention * oneDay));
+            } : null,
+            whitelistApprovals: whitelistApprovalsRetention ? (req: DatabaseWhitelistApprovalsType) => {
+                return (req.tsApproved < ts - (whitelistApprovalsRetention * oneDay));
+            } : null,
+            playerSessions: playerSessionsRetention ? (session: DatabasePlayerSessionType) => {
+                return (session.tsLeave < ts - (playerSessionsRetention * oneDay));
+            } : null,
+        } satisfies Partial<Record<DbTableNameType, Function | null>>;
+    }
 
-        //Optimize players
-        //Players that have not joined the last 16 days, and have less than 2 hours of playtime
-        let playerRemoved;
-        try {
-            const sixteenDaysAgo = now() - (16 * oneDay);
-            const filter = (p: DatabasePlayerType) => {
-                return (p.tsLastConnection < sixteenDaysAgo && p.playTime < 120);
-            }
-            playerRemoved = this.bulkRemove('players', filter);
-        } catch (error) {
-            const msg = `Failed to optimize players database with error: ${(error as Error).message}`;
-            console.error(msg);
+
+    /**
+     * Returns how many entries the daily optimizer would remove if executed now, without removing them.
+     * The disabled rules are returned as null.
+     */
+    previewDailyOptimizer(): OptimizerResultType {
+        const filters = this.getOptimizerFilters();
+        const result: OptimizerResultType = {
+            players: null,
+            whitelistRequests: null,
+            whitelistApprovals: null,
+            playerSessions: null,
+        };
+        for (const tableName of Object.keys(result) as (keyof OptimizerResultType)[]) {
+            const filter = filters[tableName] as Function | null;
+            if (!filter) continue;
+            let count = 0;
+            (this.tables[tableName] as DbTable<any>).forEach((item) => {
+                if (filter(item)) count++;
+            });
+            result[tableName] = count;
         }
+        return result;
+    }
 
-        //Optimize whitelistRequests + whitelistApprovals
-        //Removing the ones older than 7 days
-        let wlRequestsRemoved, wlApprovalsRemoved;
-        const sevenDaysAgo = now() - (7 * oneDay);
-        try {
-            const wlRequestsFilter = (req: DatabaseWhitelistRequestsType) => {
-                return (req.tsLastAttempt < sevenDaysAgo);
-            }
-            wlRequestsRemoved = txCore.database.whitelist.removeManyRequests(wlRequestsFilter).length;
 
-            const wlApprovalsFilter = (req: DatabaseWhitelistApprovalsType) => {
-                return (req.tsApproved < sevenDaysAgo);
+    /**
+     * Cron func to optimize the database removing players, whitelist reqs/approvals and player sessions,
+     * following the retention rules in the `database` config scope.
+     */
+    runDailyOptimizer() {
+        const filters = this.getOptimizerFilters();
+        const result: OptimizerResultType = {
+            players: null,
+            whitelistRequests: null,
+            whitelistApprovals: null,
+            playerSessions: null,
+        };
+        for (const tableName of Object.keys(result) as (keyof OptimizerResultType)[]) {
+            const filter = filters[tableName];
+            if (!filter) continue;
+            try {
+                result[tableName] = this.bulkRemove(tableName, filter);
+            } catch (error) {
+                const msg = `Failed to optimize the ${tableName} database with error: ${(error as Error).message}`;
+                console.error(msg);
             }
-            wlApprovalsRemoved = txCore.database.whitelist.removeManyApprovals(wlApprovalsFilter).length;
-        } catch (error) {
-            const msg = `Failed to optimize players database with error: ${(error as Error).message}`;
-            console.error(msg);
         }
 
-        this.db.writeFlag(SavePriority.LOW);
+        const {
+            playersRetention,
+            playersRetentionPlaytime,
+            whitelistRequestsRetention,
+            whitelistApprovalsRetention,
+            playerSessionsRetention,
+        } = txConfig.database;
+        const describe = (count: number | null, desc: string, ruleName: string) => {
+            return (count === null) ? `${ruleName} rule disabled.` : `${count} ${desc}.`;
+        }
         console.ok(`Internal Database optimized. This applies only for the txAdmin internal database, and does not affect your MySQL or framework (ESX/QBCore/etc) databases.`);
-        console.ok(`- ${playerRemoved} players that haven't connected in the past 16 days and had less than 2 hours of playtime.`);
-        console.ok(`- ${wlRequestsRemoved} whitelist requests older than a week.`);
-        console.ok(`- ${wlApprovalsRemoved} whitelist approvals older than a week.`);
+        console.ok(`- ${describe(result.players, `players that haven't connected in the past ${playersRetention} days and had less than ${playersRetentionPlaytime} minutes of playtime`, 'Players')}`);
+        console.ok(`- ${describe(result.whitelistRequests, `whitelist requests older than ${whitelistRequestsRetention} days`, 'Whitelist requests')}`);
+        console.ok(`- ${describe(result.whitelistApprovals, `whitelist approvals older than ${whitelistApprovalsRetention} days`, 'Whitelist approvals')}`);
+        console.ok(`- ${describe(result.playerSessions, `player sessions older than ${playerSessionsRetention} days`, 'Player sessions')}`);
+
+        const logMessage = `Database optimizer removed ${result.players ?? 0} players, `
+            + `${result.whitelistRequests ?? 0} whitelist requests, ${result.whitelistApprovals ?? 0} whitelist approvals `
+            + `and ${result.playerSessions ?? 0} player sessions.`;
+        txCore.logger.admin.write('OPTIMIZER', logMessage, 'default', {
+            type: 'database.optimize',
+            params: result,
+        });
+        return result;
     }
 }
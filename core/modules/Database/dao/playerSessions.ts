@@ -0,0 +1,52 @@
+import { DbInstance, SavePriority } from "../instance";
+import { DatabasePlayerSessionType } from '../databaseTypes';
+import consoleFactory from '@lib/console';
+const console = consoleFactory('DatabaseDao');
+
+
+/**
+ * Data access object for the database "playerSessions" collection.
+ */
+export default class PlayerSessionsDao {
+    constructor(private readonly db: DbInstance) { }
+
+    private get table() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables.playerSessions;
+    }
+
+
+    /**
+     * Returns all sessions of a player, oldest first
+     */
+    findByLicense(license: string): DatabasePlayerSessionType[] {
+        if (typeof license !== 'string' || !license.length) throw new Error('Invalid license.');
+        return this.table.findMany({ license }).sort((a, b) => a.tsJoin - b.tsJoin);
+    }
+
+
+    /**
+     * Registers a finished session to the database, and returns it
+     */
+    register(session: Omit<DatabasePlayerSessionType, 'id'>) {
+        const newSession: DatabasePlayerSessionType = {
+            id: `${session.mutex}#${session.netid}#${session.tsJoin}`,
+            license: session.license,
+            mutex: session.mutex,
+            netid: session.netid,
+            tsJoin: session.tsJoin,
+            tsLeave: Math.max(session.tsJoin, session.tsLeave),
+            dropCategory: session.dropCategory,
+        };
+
+        try {
+            this.table.insert(newSession);
+            this.db.writeFlag(SavePriority.LOW);
+            return newSession;
+        } catch (error) {
+            const msg = `Failed to register player session with message: ${(error as Error).message}`;
+            console.verbose.error(msg);
+            throw error;
+        }
+    }
+}
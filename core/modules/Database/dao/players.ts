@@ -1,7 +1,7 @@
 import { cloneDeep } from 'lodash-es';
 import { DbInstance, SavePriority } from "../instance";
 import { DatabasePlayerType } from "../databaseTypes";
-import { DuplicateKeyError } from "../dbUtils";
+import { DbTableFilter } from "../drivers/dbTable";
 import consoleFactory from '@lib/console';
 const console = consoleFactory('DatabaseDao');
 
@@ -12,14 +12,9 @@ const console = consoleFactory('DatabaseDao');
 export default class PlayersDao {
     constructor(private readonly db: DbInstance) { }
 
-    private get dbo() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj;
-    }
-
-    private get chain() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj.chain;
+    private get table() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables.players;
     }
 
 
@@ -32,22 +27,45 @@ export default class PlayersDao {
         }
 
         //Performing search
-        const p = this.chain.get('players')
-            .find({ license })
-            .cloneDeep()
-            .value();
+        const p = this.table.findOne(license);
         return (typeof p === 'undefined') ? null : p;
     }
 
 
     /**
-     * Register a player to the database
+     * Searches for players in the database matching a filter
      */
     findMany(filter: object | Function): DatabasePlayerType[] {
-        return this.chain.get('players')
-            .filter(filter as any)
-            .cloneDeep()
-            .value();
+        return this.table.findMany(filter as DbTableFilter<DatabasePlayerType>);
+    }
+
+
+    /**
+     * Searches for players in the database that have any of the identifiers,
+     * or at least `minHwidMatches` of the hwids (disabled by default)
+     */
+    findManyByIdentifiers(idsArray: string[], hwidsArray: string[] = [], minHwidMatches = 0): DatabasePlayerType[] {
+        if (!Array.isArray(idsArray)) throw new Error('idsArray should be an array');
+        if (!Array.isArray(hwidsArray)) throw new Error('hwidsArray should be an array');
+        return this.table.findByIdentifiers(idsArray, hwidsArray, minHwidMatches);
+    }
+
+
+    /**
+     * Returns all players in the database, used by the players page search.
+     * NOTE: the returned objects MUST NOT be modified.
+     */
+    findAllReadonly(): readonly DatabasePlayerType[] {
+        return this.table.findAllReadonly();
+    }
+
+
+    /**
+     * Yields all players in the database one page at a time, used by the data export.
+     * NOTE: the yielded objects MUST NOT be modified.
+     */
+    iterateReadonly(): AsyncGenerator<DatabasePlayerType> {
+        return this.table.iterateReadonly();
     }
 
 
@@ -57,16 +75,9 @@ export default class PlayersDao {
     register(player: DatabasePlayerType): void {
         //TODO: validate player data vs DatabasePlayerType props
 
-        //Check for duplicated license
-        const found = this.chain.get('players')
-            .filter({ license: player.license })
-            .value();
-        if (found.length) throw new DuplicateKeyError(`this license is already registered`);
-
+        //Throws DuplicateKeyError if the license is already registered
+        this.table.insert(player);
         this.db.writeFlag(SavePriority.LOW);
-        this.chain.get('players')
-            .push(player)
-            .value();
     }
 
 
@@ -79,13 +90,11 @@ export default class PlayersDao {
             throw new Error(`cannot license field`);
         }
 
-        const playerDbObj = this.chain.get('players').find({ license });
-        if (!playerDbObj.value()) throw new Error('Player not found in database');
+        const player = this.table.findOne(license);
+        if (!player) throw new Error('Player not found in database');
+        const newData = Object.assign(player, cloneDeep(srcData));
+        this.table.replace(newData);
         this.db.writeFlag(SavePriority.LOW);
-        const newData = playerDbObj
-            .assign(cloneDeep(srcData))
-            .cloneDeep()
-            .value();
         txCore.fxPlayerlist.handleDbDataSync(newData, srcUniqueId);
         return newData;
     }
@@ -98,14 +107,12 @@ export default class PlayersDao {
     bulkRevokeWhitelist(filterFunc: Function): number {
         if (typeof filterFunc !== 'function') throw new Error('filterFunc must be a function.');
 
-        let cntChanged = 0;
         const srcSymbol = Symbol('bulkRevokePlayerWhitelist');
-        this.dbo.data!.players.forEach((player) => {
-            if (player.tsWhitelisted && filterFunc(player)) {
-                cntChanged++;
-                player.tsWhitelisted = undefined;
-                txCore.fxPlayerlist.handleDbDataSync(cloneDeep(player), srcSymbol);
-            }
+        const cntChanged = this.table.updateMany((player) => {
+            if (!player.tsWhitelisted || !filterFunc(player)) return false;
+            player.tsWhitelisted = undefined;
+            txCore.fxPlayerlist.handleDbDataSync(cloneDeep(player), srcSymbol);
+            return true;
         });
 
         this.db.writeFlag(SavePriority.HIGH);
@@ -11,14 +11,9 @@ const console = consoleFactory('DatabaseDao');
 export default class StatsDao {
     constructor(private readonly db: DbInstance) { }
 
-    private get dbo() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj;
-    }
-
-    private get chain() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj.chain;
+    private get tables() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables;
     }
 
 
@@ -28,21 +23,18 @@ export default class StatsDao {
     getPlayersStats() {
         const oneDayAgo = now() - (24 * 60 * 60);
         const sevenDaysAgo = now() - (7 * 24 * 60 * 60);
-        const startingValue = {
+        const playerStats = {
             total: 0,
             playedLast24h: 0,
             joinedLast24h: 0,
             joinedLast7d: 0,
         };
-        const playerStats = this.chain.get('players')
-            .reduce((acc, p, ind) => {
-                acc.total++;
-                if (p.tsLastConnection > oneDayAgo) acc.playedLast24h++;
-                if (p.tsJoined > oneDayAgo) acc.joinedLast24h++;
-                if (p.tsJoined > sevenDaysAgo) acc.joinedLast7d++;
-                return acc;
-            }, startingValue)
-            .value();
+        this.tables.players.forEach((p) => {
+            playerStats.total++;
+            if (p.tsLastConnection > oneDayAgo) playerStats.playedLast24h++;
+            if (p.tsJoined > oneDayAgo) playerStats.joinedLast24h++;
+            if (p.tsJoined > sevenDaysAgo) playerStats.joinedLast7d++;
+        });
 
         return playerStats;
     }
@@ -53,26 +45,33 @@ export default class StatsDao {
      */
     getActionStats() {
         const sevenDaysAgo = now() - (7 * 24 * 60 * 60);
-        const startingValue = {
+        const actionStats = {
             totalWarns: 0,
             warnsLast7d: 0,
             totalBans: 0,
             bansLast7d: 0,
+            totalKicks: 0,
+            kicksLast7d: 0,
+            totalMutes: 0,
+            mutesLast7d: 0,
             groupedByAdmins: new MultipleCounter(),
         };
-        const actionStats = this.chain.get('actions')
-            .reduce((acc, action, ind) => {
-                if (action.type == 'ban') {
-                    acc.totalBans++;
-                    if (action.timestamp > sevenDaysAgo) acc.bansLast7d++;
-                } else if (action.type == 'warn') {
-                    acc.totalWarns++;
-                    if (action.timestamp > sevenDaysAgo) acc.warnsLast7d++;
-                }
-                acc.groupedByAdmins.count(action.author);
-                return acc;
-            }, startingValue)
-            .value();
+        this.tables.actions.forEach((action) => {
+            if (action.type == 'ban') {
+                actionStats.totalBans++;
+                if (action.timestamp > sevenDaysAgo) actionStats.bansLast7d++;
+            } else if (action.type == 'warn') {
+                actionStats.totalWarns++;
+                if (action.timestamp > sevenDaysAgo) actionStats.warnsLast7d++;
+            } else if (action.type == 'kick') {
+                actionStats.totalKicks++;
+                if (action.timestamp > sevenDaysAgo) actionStats.kicksLast7d++;
+            } else if (action.type == 'mute') {
+                actionStats.totalMutes++;
+                if (action.timestamp > sevenDaysAgo) actionStats.mutesLast7d++;
+            }
+            actionStats.groupedByAdmins.count(action.author);
+        });
 
         return {
             ...actionStats,
@@ -86,25 +85,21 @@ export default class StatsDao {
      * NOTE: used by diagnostics and reporting
      */
     getDatabaseStats() {
-        const actionStats = this.chain.get('actions')
-            .reduce((acc, a, ind) => {
-                if (a.type == 'ban') {
-                    acc.bans++;
-                } else if (a.type == 'warn') {
-                    acc.warns++;
-                }
-                return acc;
-            }, { bans: 0, warns: 0 })
-            .value();
+        const actionStats = { bans: 0, warns: 0 };
+        this.tables.actions.forEach((a) => {
+            if (a.type == 'ban') {
+                actionStats.bans++;
+            } else if (a.type == 'warn') {
+                actionStats.warns++;
+            }
+        });
 
-        const playerStats = this.chain.get('players')
-            .reduce((acc, p, ind) => {
-                acc.players++;
-                acc.playTime += p.playTime;
-                if (p.tsWhitelisted) acc.whitelists++;
-                return acc;
-            }, { players: 0, playTime: 0, whitelists: 0 })
-            .value();
+        const playerStats = { players: 0, playTime: 0, whitelists: 0 };
+        this.tables.players.forEach((p) => {
+            playerStats.players++;
+            playerStats.playTime += p.playTime;
+            if (p.tsWhitelisted) playerStats.whitelists++;
+        });
 
         return { ...actionStats, ...playerStats }
     }
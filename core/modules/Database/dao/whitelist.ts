@@ -12,14 +12,9 @@ const console = consoleFactory('DatabaseDao');
 export default class WhitelistDao {
     constructor(private readonly db: DbInstance) { }
 
-    private get dbo() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj;
-    }
-
-    private get chain() {
-        if (!this.db.obj || !this.db.isReady) throw new Error(`database not ready yet`);
-        return this.db.obj.chain;
+    private get tables() {
+        if (!this.db.tables || !this.db.isReady) throw new Error(`database not ready yet`);
+        return this.db.tables;
     }
 
 
@@ -29,10 +24,16 @@ export default class WhitelistDao {
     findManyApprovals(
         filter?: object | Function
     ): DatabaseWhitelistApprovalsType[] {
-        return this.chain.get('whitelistApprovals')
-            .filter(filter as any)
-            .cloneDeep()
-            .value();
+        return this.tables.whitelistApprovals.findMany(filter as any);
+    }
+
+
+    /**
+     * Yields all whitelist approvals one page at a time, used by the data export.
+     * NOTE: the yielded objects MUST NOT be modified.
+     */
+    iterateApprovalsReadonly(): AsyncGenerator<DatabaseWhitelistApprovalsType> {
+        return this.tables.whitelistApprovals.iterateReadonly();
     }
 
 
@@ -43,9 +44,7 @@ export default class WhitelistDao {
         filter: object | Function
     ): DatabaseWhitelistApprovalsType[] {
         this.db.writeFlag(SavePriority.MEDIUM);
-        return this.chain.get('whitelistApprovals')
-            .remove(filter as any)
-            .value();
+        return this.tables.whitelistApprovals.removeMany(filter as any);
     }
 
 
@@ -55,17 +54,14 @@ export default class WhitelistDao {
     registerApproval(approval: DatabaseWhitelistApprovalsType): void {
         //TODO: validate player data vs DatabaseWhitelistApprovalsType props
 
-        //Check for duplicated license
-        const found = this.chain.get('whitelistApprovals')
-            .filter({ identifier: approval.identifier })
-            .value();
-        if (found.length) throw new DuplicateKeyError(`this identifier is already whitelisted`);
+        //Check for duplicated identifier
+        if (this.tables.whitelistApprovals.has(approval.identifier)) {
+            throw new DuplicateKeyError(`this identifier is already whitelisted`);
+        }
 
         //Register new
+        this.tables.whitelistApprovals.insert(approval);
         this.db.writeFlag(SavePriority.LOW);
-        this.chain.get('whitelistApprovals')
-            .push(cloneDeep(approval))
-            .value();
     }
 
 
@@ -75,10 +71,16 @@ export default class WhitelistDao {
     findManyRequests(
         filter?: object | Function
     ): DatabaseWhitelistRequestsType[] {
-        return this.chain.get('whitelistRequests')
-            .filter(filter as any)
-            .cloneDeep()
-            .value();
+        return this.tables.whitelistRequests.findMany(filter as any);
+    }
+
+
+    /**
+     * Yields all whitelist requests one page at a time, used by the data export.
+     * NOTE: the yielded objects MUST NOT be modified.
+     */
+    iterateRequestsReadonly(): AsyncGenerator<DatabaseWhitelistRequestsType> {
+        return this.tables.whitelistRequests.iterateReadonly();
     }
 
 
@@ -89,9 +91,7 @@ export default class WhitelistDao {
         filter: object | Function
     ): DatabaseWhitelistRequestsType[] {
         this.db.writeFlag(SavePriority.LOW);
-        return this.chain.get('whitelistRequests')
-            .remove(filter as any)
-            .value();
+        return this.tables.whitelistRequests.removeMany(filter as any);
     }
 
 
@@ -104,13 +104,12 @@ export default class WhitelistDao {
             throw new Error(`cannot update id or license fields`);
         }
 
-        const requestDbObj = this.chain.get('whitelistRequests').find({ license });
-        if (!requestDbObj.value()) throw new Error('Request not found in database');
+        const request = this.tables.whitelistRequests.findMany({ license })[0];
+        if (!request) throw new Error('Request not found in database');
+        const newData = Object.assign(request, cloneDeep(srcData));
+        this.tables.whitelistRequests.replace(newData);
         this.db.writeFlag(SavePriority.LOW);
-        return requestDbObj
-            .assign(cloneDeep(srcData))
-            .cloneDeep()
-            .value();
+        return newData;
     }
 
 
@@ -123,11 +122,9 @@ export default class WhitelistDao {
             throw new Error(`cannot manually set the id field`);
         }
 
-        const id = genWhitelistRequestID(this.dbo);
+        const id = genWhitelistRequestID(this.tables.whitelistRequests);
+        this.tables.whitelistRequests.insert({ id, ...request });
         this.db.writeFlag(SavePriority.LOW);
-        this.chain.get('whitelistRequests')
-            .push({ id, ...cloneDeep(request) })
-            .value();
         return id;
     }
 }
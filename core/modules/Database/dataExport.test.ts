@@ -0,0 +1,73 @@
+import { suite, it, expect } from 'vitest';
+import { escapeCsvValue, serializeRecords } from './dataExport';
+
+const collectChunks = async (chunks: AsyncIterable<string>) => {
+    const output: string[] = [];
+    for await (const chunk of chunks) output.push(chunk);
+    return output;
+};
+
+
+suite('escapeCsvValue', () => {
+    it('should format the values', () => {
+        expect(escapeCsvValue(null)).toBe('');
+        expect(escapeCsvValue(true)).toBe('true');
+        expect(escapeCsvValue(123)).toBe('123');
+        expect(escapeCsvValue(['a', 'b'])).toBe('a b');
+        expect(escapeCsvValue('simple')).toBe('simple');
+    });
+
+    it('should quote special characters', () => {
+        expect(escapeCsvValue('a,b')).toBe('"a,b"');
+        expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+        expect(escapeCsvValue('multi\nline')).toBe('"multi\nline"');
+    });
+
+    it('should prevent formula injection', () => {
+        expect(escapeCsvValue('=HYPERLINK("x")')).toBe(`"'=HYPERLINK(""x"")"`);
+        expect(escapeCsvValue('@cmd')).toBe(`'@cmd`);
+        expect(escapeCsvValue(-5)).toBe('-5');
+    });
+});
+
+
+suite('serializeRecords', () => {
+    const columns = {
+        name: (r: { name: string, ids: string[] }) => r.name,
+        ids: (r: { name: string, ids: string[] }) => r.ids,
+    };
+    const records = [
+        { name: 'a,b', ids: ['x', 'y'] },
+        { name: 'c', ids: [] },
+    ];
+
+    it('should serialize to csv with a header', async () => {
+        const output = (await collectChunks(serializeRecords(columns, records, 'csv'))).join('');
+        expect(output).toBe('name,ids\r\n"a,b",x y\r\nc,\r\n');
+    });
+
+    it('should serialize to ndjson keeping arrays', async () => {
+        const output = (await collectChunks(serializeRecords(columns, records, 'ndjson'))).join('');
+        expect(output).toBe('{"name":"a,b","ids":["x","y"]}\n{"name":"c","ids":[]}\n');
+    });
+
+    it('should yield in chunks', async () => {
+        const manyRecords = Array.from({ length: 5000 }, (_, i) => ({ name: 'x'.repeat(50) + i, ids: [] }));
+        const chunks = await collectChunks(serializeRecords(columns, manyRecords, 'csv'));
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.join('').split('\r\n').length).toBe(5002);
+    });
+
+    it('should be lazy', async () => {
+        let readCount = 0;
+        function* source() {
+            for (let i = 0; i < 100_000; i++) {
+                readCount++;
+                yield { name: 'x'.repeat(100), ids: [] };
+            }
+        }
+        const generator = serializeRecords(columns, source(), 'ndjson');
+        await generator.next();
+        expect(readCount).toBeLessThan(100_000);
+    });
+});
@@ -0,0 +1,211 @@
+import type {
+    DatabaseActionType,
+    DatabasePlayerType,
+    DatabaseWhitelistApprovalsType,
+    DatabaseWhitelistRequestsType,
+} from './databaseTypes';
+import { getActivePlayerNotes, getMainPlayerNote } from '@lib/player/playerNotes';
+
+//Consts
+export const exportCollections = ['players', 'actions', 'whitelistApprovals', 'whitelistRequests'] as const;
+export const exportFormats = ['csv', 'ndjson'] as const;
+const CHUNK_SIZE = 64 * 1024;
+
+//Types
+export type ExportCollectionType = typeof exportCollections[number];
+export type ExportFormatType = typeof exportFormats[number];
+export type ExportFiltersType = {
+    tsFrom?: number;
+    tsTo?: number;
+    actionType?: DatabaseActionType['type'];
+    admin?: string;
+};
+type ExportValueType = string | number | boolean | null | string[];
+type ExportColumnsType<T> = Record<string, (record: T) => ExportValueType>;
+type ExportRecordsType<T> = {
+    columns: ExportColumnsType<T>;
+    records: AsyncIterable<T>;
+};
+
+
+/**
+ * Converts a timestamp in seconds to an ISO string
+ */
+const tsToIso = (ts: number | null | undefined) => {
+    return ts ? new Date(ts * 1000).toISOString() : null;
+};
+
+
+//Columns of each collection
+const playerColumns: ExportColumnsType<DatabasePlayerType> = {
+    license: (p) => p.license,
+    displayName: (p) => p.displayName,
+    pureName: (p) => p.pureName,
+    playTime: (p) => p.playTime, //minutes
+    firstSeen: (p) => tsToIso(p.tsJoined),
+    lastSeen: (p) => tsToIso(p.tsLastConnection),
+    whitelisted: (p) => !!p.tsWhitelisted,
+    whitelistedAt: (p) => tsToIso(p.tsWhitelisted),
+    notes: (p) => getMainPlayerNote(p.notes)?.text ?? null,
+    notesAuthor: (p) => getMainPlayerNote(p.notes)?.author ?? null,
+    notesCount: (p) => getActivePlayerNotes(p.notes).length,
+    ids: (p) => p.ids,
+};
+
+const actionColumns: ExportColumnsType<DatabaseActionType> = {
+    id: (a) => a.id,
+    type: (a) => a.type,
+    playerName: (a) => a.playerName || null,
+    reason: (a) => a.reason,
+    author: (a) => a.author,
+    timestamp: (a) => tsToIso(a.timestamp),
+    expiration: (a) => a.expiration ? tsToIso(a.expiration) : null,
+    revokedBy: (a) => a.revocation.author,
+    revokedAt: (a) => tsToIso(a.revocation.timestamp),
+    acked: (a) => a.type === 'warn' ? a.acked : null,
+    ids: (a) => a.ids,
+};
+
+const approvalColumns: ExportColumnsType<DatabaseWhitelistApprovalsType> = {
+    identifier: (w) => w.identifier,
+    playerName: (w) => w.playerName,
+    approvedBy: (w) => w.approvedBy,
+    approvedAt: (w) => tsToIso(w.tsApproved),
+};
+
+const requestColumns: ExportColumnsType<DatabaseWhitelistRequestsType> = {
+    id: (r) => r.id,
+    license: (r) => r.license,
+    playerDisplayName: (r) => r.playerDisplayName,
+    discordTag: (r) => r.discordTag ?? null,
+    lastAttempt: (r) => tsToIso(r.tsLastAttempt),
+};
+
+
+/**
+ * Escapes a value for a CSV field.
+ * Strings starting with formula characters are prefixed to prevent spreadsheet formula injection.
+ */
+export const escapeCsvValue = (value: ExportValueType) => {
+    if (value === null) return '';
+    if (Array.isArray(value)) value = value.join(' ');
+    if (typeof value !== 'string') return String(value);
+    if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+    if (/[",\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+};
+
+
+/**
+ * Lazily filters an iterable, so the exported records don't need to be copied
+ */
+async function* filterRecords<T>(records: AsyncIterable<T>, filter: (record: T) => boolean) {
+    for await (const record of records) {
+        if (filter(record)) yield record;
+    }
+}
+
+
+/**
+ * Returns if the timestamp is within the filter range
+ */
+const isInRange = (ts: number | undefined, filters: ExportFiltersType) => {
+    if (filters.tsFrom === undefined && filters.tsTo === undefined) return true;
+    if (!ts) return false;
+    if (filters.tsFrom !== undefined && ts < filters.tsFrom) return false;
+    if (filters.tsTo !== undefined && ts > filters.tsTo) return false;
+    return true;
+};
+
+
+/**
+ * Returns the columns and filtered records of a collection, using the database DAOs.
+ * The records are read from the database one page at a time, so the memory usage doesn't grow with the table size.
+ * The date range applies to the players join date, action date, approval date and last request attempt.
+ */
+const getCollectionRecords = (
+    collection: ExportCollectionType,
+    filters: ExportFiltersType,
+): ExportRecordsType<any> => {
+    const adminFilter = filters.admin?.toLowerCase();
+    if (collection === 'players') {
+        return {
+            columns: playerColumns,
+            records: filterRecords(txCore.database.players.iterateReadonly(), (p) => {
+                return isInRange(p.tsJoined, filters);
+            }),
+        };
+    } else if (collection === 'actions') {
+        return {
+            columns: actionColumns,
+            records: filterRecords(txCore.database.actions.iterateReadonly(), (a) => {
+                return isInRange(a.timestamp, filters)
+                    && (!filters.actionType || a.type === filters.actionType)
+                    && (!adminFilter || a.author.toLowerCase() === adminFilter);
+            }),
+        };
+    } else if (collection === 'whitelistApprovals') {
+        return {
+            columns: approvalColumns,
+            records: filterRecords(txCore.database.whitelist.iterateApprovalsReadonly(), (w) => {
+                return isInRange(w.tsApproved, filters)
+                    && (!adminFilter || w.approvedBy.toLowerCase() === adminFilter);
+            }),
+        };
+    } else if (collection === 'whitelistRequests') {
+        return {
+            columns: requestColumns,
+            records: filterRecords(txCore.database.whitelist.iterateRequestsReadonly(), (r) => {
+                return isInRange(r.tsLastAttempt, filters);
+            }),
+        };
+    } else {
+        throw new Error(`Unknown collection: ${collection}`);
+    }
+};
+
+
+/**
+ * Serializes the records into CSV or NDJSON lines, yielding them in chunks so the export can be streamed.
+ */
+export async function* serializeRecords<T>(
+    columns: ExportColumnsType<T>,
+    records: Iterable<T> | AsyncIterable<T>,
+    format: ExportFormatType,
+) {
+    const columnEntries = Object.entries(columns);
+    let chunk = '';
+    if (format === 'csv') {
+        chunk += columnEntries.map(([name]) => name).join(',') + '\r\n';
+    }
+
+    for await (const record of records) {
+        if (format === 'csv') {
+            chunk += columnEntries.map(([, getter]) => escapeCsvValue(getter(record))).join(',') + '\r\n';
+        } else {
+            const obj = Object.fromEntries(columnEntries.map(([name, getter]) => [name, getter(record)]));
+            chunk += JSON.stringify(obj) + '\n';
+        }
+        if (chunk.length >= CHUNK_SIZE) {
+            yield chunk;
+            chunk = '';
+        }
+    }
+    if (chunk.length) yield chunk;
+}
+
+
+/**
+ * Returns an async generator of the exported collection data chunks.
+ * The records are read as the chunks are consumed, so the database must be ready.
+ */
+export const exportCollection = (
+    collection: ExportCollectionType,
+    format: ExportFormatType,
+    filters: ExportFiltersType = {},
+) => {
+    const { columns, records } = getCollectionRecords(collection, filters);
+    return serializeRecords(columns, records, format);
+};
@@ -8,13 +8,44 @@ export type DatabasePlayerType = {
     tsLastConnection: number;
     tsJoined: number;
     tsWhitelisted?: number;
-    notes?: {
-        text: string;
-        lastAdmin: string | null;
-        tsLastEdit: number | null;
+    notes?: DatabasePlayerNoteType[]; //append-only, deleted notes are kept with a trace
+    linkedAccounts?: DatabasePlayerLinkType[]; //confirmed alt accounts, saved on both players
+    tags?: string[]; //ids of the tags defined in the settings
+    nameHistory?: DatabasePlayerNameType[]; //deduplicated by pureName, oldest first
+};
+
+export type DatabasePlayerNameType = {
+    displayName: string; //the latest display name with this pureName
+    pureName: string;
+    tsFirstSeen: number;
+    tsLastSeen: number;
+};
+
+export type DatabasePlayerNoteType = {
+    id: string;
+    author: string;
+    ts: number;
+    text: string;
+    isPinned?: true;
+    edits?: DatabasePlayerNoteEditType[]; //oldest first
+    deleted?: {
+        author: string;
+        ts: number;
     };
 };
 
+export type DatabasePlayerNoteEditType = {
+    author: string;
+    ts: number;
+    previousText: string;
+};
+
+export type DatabasePlayerLinkType = {
+    license: string;
+    author: string;
+    ts: number;
+};
+
 export type DatabaseActionBaseType = {
     id: string;
     ids: string[];
@@ -28,18 +59,50 @@ export type DatabaseActionBaseType = {
         timestamp: number | null;
         author: string | null;
     };
+    changes?: DatabaseActionChangeType[]; //edits made after the action was registered, oldest first
+};
+export type DatabaseActionChangeType = {
+    author: string;
+    timestamp: number;
+    diff: DatabaseActionDiffType;
+};
+export type DatabaseActionDiffType = {
+    reason?: { from: string; to: string };
+    expiration?: { from: number | false; to: number | false };
+    ids?: { added: string[]; removed: string[] };
+    hwids?: { added: string[]; removed: string[] };
 };
 export type DatabaseActionBanType = {
     type: 'ban';
     hwids?: string[];
     expiration: number | false;
+    escalatedFrom?: string[]; //ids of the warns that triggered an automatic escalation ban
+    origin?: DatabaseActionOriginType; //only for bans imported from a federated instance
 } & DatabaseActionBaseType;
+export type DatabaseActionOriginType = {
+    sourceId: string;
+    remoteId: string; //the action id in the source instance
+    tsSynced: number;
+    isIgnored?: true; //not enforced locally, but still updated by the source
+    isOverridden?: true; //edited or revoked locally, no longer updated by the source
+};
 export type DatabaseActionWarnType = {
     type: 'warn';
     expiration: false; //FIXME: remove - BUT DO REMEMBER THE `'XXX' IN YYY` ISSUE!
     acked: boolean; //if the player has acknowledged the warning
 } & DatabaseActionBaseType;
-export type DatabaseActionType = DatabaseActionBanType | DatabaseActionWarnType;
+export type DatabaseActionKickType = {
+    type: 'kick';
+    expiration: false; //same as warns
+} & DatabaseActionBaseType;
+export type DatabaseActionMuteType = {
+    type: 'mute';
+    expiration: number; //mutes are always time-limited
+} & DatabaseActionBaseType;
+export type DatabaseActionType = DatabaseActionBanType
+    | DatabaseActionWarnType
+    | DatabaseActionKickType
+    | DatabaseActionMuteType;
 
 export type DatabaseWhitelistApprovalsType = {
     identifier: string;
@@ -59,10 +122,46 @@ export type DatabaseWhitelistRequestsType = {
     tsLastAttempt: number,
 };
 
+export type DatabaseBanAppealStatusType = 'open' | 'reviewing' | 'accepted' | 'denied';
+
+export type DatabaseBanAppealCommentType = {
+    author: string; //admin name, or the player name for the appeal message
+    ts: number;
+    text?: string;
+    status?: DatabaseBanAppealStatusType; //set when the comment changed the appeal status
+};
+
+export type DatabaseBanAppealType = {
+    id: string, //P####
+    actionId: string,
+    status: DatabaseBanAppealStatusType,
+    source: 'web' | 'discord',
+    playerName: string,
+    discordId?: string, //only for appeals sent through the discord bot
+    message: string,
+    tsCreated: number,
+    tsLastUpdate: number,
+    comments: DatabaseBanAppealCommentType[], //oldest first
+};
+
+export type DatabasePlayerSessionDropType = 'player' | 'timeout' | 'security' | 'resource' | 'crash' | 'unknown' | 'shutdown';
+
+export type DatabasePlayerSessionType = {
+    id: string, //<mutex>#<netid>#<tsJoin>, the tsJoin is there in case of netid rollovers
+    license: string,
+    mutex: string,
+    netid: number,
+    tsJoin: number,
+    tsLeave: number,
+    dropCategory: DatabasePlayerSessionDropType, //shutdown for the players still connected when the server closed
+};
+
 export type DatabaseDataType = {
     version: number,
     players: DatabasePlayerType[],
     actions: DatabaseActionType[],
     whitelistApprovals: DatabaseWhitelistApprovalsType[],
     whitelistRequests: DatabaseWhitelistRequestsType[],
+    banAppeals: DatabaseBanAppealType[],
+    playerSessions: DatabasePlayerSessionType[],
 };
@@ -5,13 +5,13 @@ import * as nanoidNonSecure from 'nanoid/non-secure';
 import consts from '@shared/consts';
 import getOsDistro from '@lib/host/getOsDistro.js';
 import { txEnv, txHostConfig } from '@core/globalData';
-import type { DatabaseObjectType } from './instance';
+import type { DbTable } from './drivers/dbTable';
 import consoleFactory from '@lib/console';
 import { msToDuration } from '@lib/misc';
 const console = consoleFactory(modulename);
 
 //Consts
-type IdStorageTypes = DatabaseObjectType | Set<string>;
+type IdStorageTypes = DbTable<any> | Set<string>;
 const maxAttempts = 10;
 const noIdErrorMessage = 'Unnable to generate new Random ID possibly due to the decreased available entropy. Please send a screenshot of the detailed information in the terminal for the txAdmin devs.';
 
@@ -55,24 +55,18 @@ const printDiagnostics = async () => {
 
 /**
  * Check in a storage weather the ID is unique or not.
- * @param storage the Set or lowdb instance
+ * @param storage the Set or database table
  * @param id the ID to check
- * @param lowdbTable the lowdb table to check
  * @returns if is unique
  */
-const checkUniqueness = (storage: IdStorageTypes, id: string, lowdbTable: string) => {
-    if (storage instanceof Set) {
-        return !storage.has(id);
-    } else {
-        //@ts-ignore: typing as ('actions' | 'whitelistRequests') did not work
-        return !storage.chain.get(lowdbTable).find({ id }).value();
-    }
+const checkUniqueness = (storage: IdStorageTypes, id: string) => {
+    return !storage.has(id);
 };
 
 
 /**
  * Generates an unique whitelist ID, or throws an error
- * @param storage set or lowdb instance
+ * @param storage set or database table
  * @returns id
  */
 export const genWhitelistRequestID = (storage: IdStorageTypes) => {
@@ -81,7 +75,26 @@ export const genWhitelistRequestID = (storage: IdStorageTypes) => {
         attempts++;
         const randFunc = (attempts <= 5) ? nanoidSecure : nanoidNonSecure;
         const id = 'R' + randFunc.customAlphabet(consts.actionIdAlphabet, 4)();
-        if (checkUniqueness(storage, id, 'whitelistRequests')) {
+        if (checkUniqueness(storage, id)) {
+            return id;
+        }
+    }
+
+    printDiagnostics().catch((e) => { });
+    throw new Error(noIdErrorMessage);
+};
+
+
+/**
+ * Generates an unique ban appeal ID, or throws an error
+ */
+export const genBanAppealID = (storage: IdStorageTypes) => {
+    let attempts = 0;
+    while (attempts < maxAttempts) {
+        attempts++;
+        const randFunc = (attempts <= 5) ? nanoidSecure : nanoidNonSecure;
+        const id = 'P' + randFunc.customAlphabet(consts.actionIdAlphabet, 4)();
+        if (checkUniqueness(storage, id)) {
             return id;
         }
     }
@@ -103,7 +116,7 @@ export const genActionID = (storage: IdStorageTypes, actionType: string) => {
             + randFunc.customAlphabet(consts.actionIdAlphabet, 3)()
             + '-'
             + randFunc.customAlphabet(consts.actionIdAlphabet, 4)();
-        if (checkUniqueness(storage, id, 'actions')) {
+        if (checkUniqueness(storage, id)) {
             return id;
         }
     }
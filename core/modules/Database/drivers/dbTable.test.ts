@@ -0,0 +1,217 @@
+import { suite, it, expect, beforeEach } from 'vitest';
+import type { DatabaseDataType, DatabasePlayerType } from '../databaseTypes';
+import { DuplicateKeyError } from '../dbUtils';
+import { ITERATION_PAGE_SIZE, type DbTablesType } from './dbTable';
+import { createJsonTables } from './jsonDriver';
+import { SqliteDatabase, loadSqliteModule } from './sqliteDriver';
+
+//NOTE: node:sqlite is only available on Node 22.13+, so the SQLite tests are skipped on older versions
+const sqliteModule = loadSqliteModule();
+
+
+//Helpers
+const makePlayer = (license: string, ids: string[] = [], hwids: string[] = []): DatabasePlayerType => ({
+    license,
+    ids: [`license:${license}`, ...ids],
+    hwids,
+    displayName: `player ${license.slice(0, 4)}`,
+    pureName: `player ${license.slice(0, 4)}`,
+    playTime: 60,
+    tsLastConnection: 1000,
+    tsJoined: 500,
+});
+const licenseA = 'a'.repeat(40);
+const licenseB = 'b'.repeat(40);
+const licenseC = 'c'.repeat(40);
+
+const makeData = (): DatabaseDataType => ({
+    version: 5,
+    players: [
+        makePlayer(licenseA, ['discord:111'], ['2:aaa', '4:bbb']),
+        makePlayer(licenseB, ['discord:222'], ['2:aaa']),
+    ],
+    actions: [{
+        id: 'BAAA-AAAA',
+        type: 'ban',
+        ids: [`license:${licenseA}`, 'discord:111'],
+        hwids: ['2:aaa', '4:bbb'],
+        playerName: 'player aaaa',
+        reason: 'testing',
+        author: 'tabarra',
+        timestamp: 1000,
+        expiration: false,
+        revocation: { timestamp: null, author: null },
+    }],
+    whitelistApprovals: [{
+        identifier: 'discord:333',
+        playerName: 'someone',
+        playerAvatar: null,
+        tsApproved: 1000,
+        approvedBy: 'tabarra',
+    }],
+    whitelistRequests: [{
+        id: 'RAAAA',
+        license: licenseC,
+        playerDisplayName: 'new player',
+        playerPureName: 'new player',
+        tsLastAttempt: 1000,
+    }],
+    banAppeals: [],
+    playerSessions: [],
+});
+
+
+/**
+ * Runs the same tests for both drivers, as they must behave the same
+ */
+const testDriver = (getTables: () => DbTablesType) => {
+    let tables: DbTablesType;
+    beforeEach(() => {
+        tables = getTables();
+    });
+
+    it('should find items by key and filters', () => {
+        expect(tables.players.findOne(licenseA)?.ids).toContain('discord:111');
+        expect(tables.players.findOne(licenseC)).toBeUndefined();
+        expect(tables.players.has(licenseB)).toBe(true);
+        expect(tables.players.count()).toBe(2);
+        expect(tables.whitelistRequests.findMany({ license: licenseC })).toHaveLength(1);
+        expect(tables.whitelistRequests.findMany({ license: licenseA })).toHaveLength(0);
+        expect(tables.whitelistApprovals.findMany({ identifier: 'discord:333' })).toHaveLength(1);
+        expect(tables.players.findMany((p) => p.ids.includes('discord:222'))[0].license).toBe(licenseB);
+        expect(tables.players.findMany().map((p) => p.license)).toEqual([licenseA, licenseB]);
+    });
+
+    it('should return copies', () => {
+        const player = tables.players.findOne(licenseA)!;
+        player.displayName = 'changed';
+        expect(tables.players.findOne(licenseA)!.displayName).not.toBe('changed');
+    });
+
+    it('should find items by identifiers', () => {
+        expect(tables.actions.findByIdentifiers(['discord:111'])).toHaveLength(1);
+        expect(tables.actions.findByIdentifiers(['discord:999'])).toHaveLength(0);
+        expect(tables.actions.findByIdentifiers([], ['2:aaa'], 0)).toHaveLength(0);
+        expect(tables.actions.findByIdentifiers([], ['2:aaa'], 1)).toHaveLength(1);
+        expect(tables.actions.findByIdentifiers([], ['2:aaa'], 2)).toHaveLength(0);
+        expect(tables.actions.findByIdentifiers([], ['2:aaa', '4:bbb'], 2)).toHaveLength(1);
+        expect(tables.players.findByIdentifiers([], ['2:aaa'], 1).map((p) => p.license)).toEqual([licenseA, licenseB]);
+        expect(tables.players.findKeysByIdentifiers(['discord:222'], ['4:bbb'], 1).sort()).toEqual([licenseA, licenseB]);
+        expect(tables.actions.findKeysByIdentifiers(['discord:999'])).toEqual([]);
+    });
+
+    it('should insert and replace items', () => {
+        tables.players.insert(makePlayer(licenseC, ['discord:333']));
+        expect(() => tables.players.insert(makePlayer(licenseC))).toThrow(DuplicateKeyError);
+        expect(tables.players.findByIdentifiers(['discord:333'])).toHaveLength(1);
+
+        const player = tables.players.findOne(licenseC)!;
+        player.ids = [`license:${licenseC}`, 'discord:444'];
+        tables.players.replace(player);
+        expect(tables.players.findByIdentifiers(['discord:333'])).toHaveLength(0);
+        expect(tables.players.findByIdentifiers(['discord:444'])).toHaveLength(1);
+        expect(tables.players.findMany().map((p) => p.license)).toEqual([licenseA, licenseB, licenseC]);
+        expect(() => tables.players.replace(makePlayer('d'.repeat(40)))).toThrow();
+    });
+
+    it('should update and remove many items', () => {
+        const changed = tables.players.updateMany((player) => {
+            if (!player.hwids.length) return false;
+            player.hwids = [];
+            return true;
+        });
+        expect(changed).toBe(2);
+        expect(tables.players.findByIdentifiers([], ['2:aaa'], 1)).toHaveLength(0);
+
+        const removed = tables.players.removeMany((p) => p.license === licenseA);
+        expect(removed.map((p) => p.license)).toEqual([licenseA]);
+        expect(tables.players.findByIdentifiers(['discord:111'])).toHaveLength(0);
+        expect(tables.whitelistRequests.removeMany({ id: 'RAAAA' })).toHaveLength(1);
+        expect(tables.whitelistRequests.count()).toBe(0);
+    });
+
+    it('should iterate over all items', () => {
+        const licenses: string[] = [];
+        tables.players.forEach((p) => licenses.push(p.license));
+        expect(licenses).toEqual([licenseA, licenseB]);
+        expect(tables.actions.findAllReadonly()).toHaveLength(1);
+    });
+
+    it('should insert many items at once', () => {
+        tables.players.insertMany([makePlayer(licenseC), makePlayer('d'.repeat(40))]);
+        expect(tables.players.count()).toBe(4);
+    });
+
+    it('should insert none of the items if one fails', () => {
+        const licenseD = 'd'.repeat(40);
+        expect(() => tables.players.insertMany([
+            makePlayer(licenseC),
+            makePlayer(licenseD),
+            makePlayer(licenseA), //duplicated
+        ])).toThrow(DuplicateKeyError);
+        expect(() => tables.players.insertMany([
+            makePlayer(licenseC),
+            makePlayer(licenseC),
+        ])).toThrow(DuplicateKeyError);
+        expect(tables.players.count()).toBe(2);
+        expect(tables.players.has(licenseC)).toBe(false);
+        expect(tables.players.has(licenseD)).toBe(false);
+        expect(tables.players.findByIdentifiers([`license:${licenseC}`])).toEqual([]);
+    });
+
+    it('should iterate over all items one page at a time', async () => {
+        const extraCount = ITERATION_PAGE_SIZE + 10;
+        for (let i = 0; i < extraCount; i++) {
+            tables.whitelistRequests.insert({
+                id: `R${i.toString().padStart(5, '0')}`,
+                license: licenseA,
+                playerDisplayName: 'player',
+                playerPureName: 'player',
+                tsLastAttempt: i,
+            });
+        }
+        const ids: string[] = [];
+        for await (const request of tables.whitelistRequests.iterateReadonly()) {
+            ids.push(request.id);
+        }
+        expect(ids).toHaveLength(extraCount + 1);
+        expect(ids[0]).toBe('RAAAA');
+        expect(ids.at(-1)).toBe(`R${(extraCount - 1).toString().padStart(5, '0')}`);
+    });
+};
+
+
+suite('JsonTable', () => {
+    testDriver(() => {
+        const data = makeData();
+        return createJsonTables(() => data);
+    });
+});
+
+
+suite.skipIf(!sqliteModule)('SqliteTable', () => {
+    let db: SqliteDatabase;
+    testDriver(() => {
+        db?.close();
+        db = SqliteDatabase.open(sqliteModule!, ':memory:');
+        db.importData(makeData());
+        return db.tables;
+    });
+
+    it('should import and export the data', () => {
+        const data = makeData();
+        data.players.push(makePlayer(licenseA)); //duplicated
+        const skipped = db.importData(data);
+        expect(skipped).toBe(1);
+        expect(db.getVersion()).toBe(5);
+        expect(db.exportData()).toEqual(makeData());
+    });
+
+    it('should rollback failed transactions', () => {
+        expect(() => db.transaction(() => {
+            db.tables.players.insert(makePlayer(licenseC));
+            throw new Error('failed');
+        })).toThrow('failed');
+        expect(db.tables.players.has(licenseC)).toBe(false);
+    });
+});
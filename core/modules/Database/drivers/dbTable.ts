@@ -0,0 +1,98 @@
+import type {
+    DatabaseActionType,
+    DatabasePlayerType,
+    DatabaseWhitelistApprovalsType,
+    DatabaseWhitelistRequestsType,
+    DatabaseBanAppealType,
+    DatabasePlayerSessionType,
+} from '../databaseTypes';
+
+export type DatabaseDriverType = 'json' | 'sqlite';
+export type DbTableFilter<T> = Partial<T> | ((item: T) => boolean);
+
+//Rows loaded at once when iterating over a table
+export const ITERATION_PAGE_SIZE = 2500;
+
+
+/**
+ * Common interface for the database tables, implemented by both the JSON and SQLite drivers.
+ * Unless stated otherwise, the returned objects are copies and can be modified freely.
+ */
+export interface DbTable<T extends object> {
+    readonly name: string;
+
+    /** Returns the item with the primary key, or undefined if not found */
+    findOne(key: string): T | undefined;
+
+    /** Returns the items matching a lodash-style filter, in insertion order */
+    findMany(filter?: DbTableFilter<T>): T[];
+
+    /**
+     * Returns the items that contain any of the ids, or at least minHwidMatches of the hwids.
+     * The hwids are only considered if minHwidMatches is greater than zero.
+     */
+    findByIdentifiers(ids: string[], hwids?: string[], minHwidMatches?: number): T[];
+
+    /** Same as findByIdentifiers, but only returns the primary keys, in no particular order */
+    findKeysByIdentifiers(ids: string[], hwids?: string[], minHwidMatches?: number): string[];
+
+    /**
+     * Returns all items, in insertion order.
+     * NOTE: to save memory, the JSON driver returns the database objects themselves, so they MUST NOT be modified.
+     */
+    findAllReadonly(): readonly T[];
+
+    /** Calls the callback for every item, without loading the entire table at once */
+    forEach(callback: (item: T) => void): void;
+
+    /**
+     * Yields every item in insertion order, one page at a time, waiting for the event loop between pages.
+     * NOTE: the JSON driver yields the database objects themselves, so they MUST NOT be modified.
+     */
+    iterateReadonly(): AsyncGenerator<T>;
+
+    /** Returns if there is an item with the primary key */
+    has(key: string): boolean;
+
+    /** Returns the number of items in the table */
+    count(): number;
+
+    /** Adds a new item, throwing a DuplicateKeyError if the primary key is already in use */
+    insert(item: T): void;
+
+    /** Adds all the items at once, or none of them if any insert fails */
+    insertMany(items: T[]): void;
+
+    /** Replaces the item with the same primary key, throwing an error if it doesn't exist */
+    replace(item: T): void;
+
+    /**
+     * Calls the mutator for every item, saving the ones it returned true for.
+     * @returns the number of changed items
+     */
+    updateMany(mutator: (item: T) => boolean): number;
+
+    /** Removes the items matching the filter, and returns them */
+    removeMany(filter: DbTableFilter<T>): T[];
+}
+
+export type DbTablesType = {
+    players: DbTable<DatabasePlayerType>;
+    actions: DbTable<DatabaseActionType>;
+    whitelistApprovals: DbTable<DatabaseWhitelistApprovalsType>;
+    whitelistRequests: DbTable<DatabaseWhitelistRequestsType>;
+    banAppeals: DbTable<DatabaseBanAppealType>;
+    playerSessions: DbTable<DatabasePlayerSessionType>;
+};
+export type DbTableNameType = keyof DbTablesType;
+
+
+/**
+ * Returns the identifiers of a player or action, which are indexed for the findByIdentifiers lookups
+ */
+export const getItemIdentifiers = (item: object) => {
+    const ids = 'ids' in item && Array.isArray(item.ids) ? item.ids as string[] : [];
+    const hwids = 'hwids' in item && Array.isArray(item.hwids) ? item.hwids as string[] : [];
+    return { ids, hwids };
+};
+
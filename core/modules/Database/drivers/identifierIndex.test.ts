@@ -0,0 +1,40 @@
+import { suite, it, expect } from 'vitest';
+import { IdentifierIndex } from './identifierIndex';
+
+
+suite('IdentifierIndex', () => {
+    const makeIndex = () => {
+        const index = new IdentifierIndex();
+        index.add('a', { ids: ['license:aaa', 'discord:111'], hwids: ['2:xxx', '4:yyy'] });
+        index.add('b', { ids: ['license:bbb', 'discord:111'], hwids: ['2:xxx'] });
+        index.add('c', { ids: ['license:ccc'] });
+        return index;
+    };
+
+    it('should find keys by ids', () => {
+        const index = makeIndex();
+        expect([...index.findKeys(['discord:111'])]).toEqual(['a', 'b']);
+        expect([...index.findKeys(['license:ccc', 'license:ccc'])]).toEqual(['c']);
+        expect(index.findKeys(['discord:999']).size).toBe(0);
+        expect(index.findKeys([]).size).toBe(0);
+    });
+
+    it('should find keys by the minimum hwid matches', () => {
+        const index = makeIndex();
+        expect(index.findKeys([], ['2:xxx']).size).toBe(0);
+        expect([...index.findKeys([], ['2:xxx'], 1)]).toEqual(['a', 'b']);
+        expect([...index.findKeys([], ['2:xxx', '4:yyy'], 2)]).toEqual(['a']);
+        expect([...index.findKeys([], ['2:xxx', '2:xxx'], 2)]).toEqual([]);
+        expect([...index.findKeys(['license:ccc'], ['4:yyy'], 1)]).toEqual(['c', 'a']);
+    });
+
+    it('should remove items', () => {
+        const index = makeIndex();
+        expect(index.size).toBe(6);
+        index.remove('a', { ids: ['license:aaa', 'discord:111'], hwids: ['2:xxx', '4:yyy'] });
+        expect([...index.findKeys(['discord:111'], ['4:yyy'], 1)]).toEqual(['b']);
+        expect(index.size).toBe(4);
+        index.clear();
+        expect(index.size).toBe(0);
+    });
+});
@@ -0,0 +1,89 @@
+import { getItemIdentifiers } from './dbTable';
+
+
+/**
+ * In-memory inverted index from identifiers/hwids to the primary keys of the items that contain them.
+ * Used by the JSON driver so the ban/whitelist checks don't need to scan the entire tables.
+ */
+export class IdentifierIndex {
+    readonly #ids = new Map<string, Set<string>>();
+    readonly #hwids = new Map<string, Set<string>>();
+
+    private static addTo(map: Map<string, Set<string>>, identifier: string, key: string) {
+        const keys = map.get(identifier);
+        if (keys) {
+            keys.add(key);
+        } else {
+            map.set(identifier, new Set([key]));
+        }
+    }
+
+    private static removeFrom(map: Map<string, Set<string>>, identifier: string, key: string) {
+        const keys = map.get(identifier);
+        if (!keys) return;
+        keys.delete(key);
+        if (!keys.size) map.delete(identifier);
+    }
+
+    /**
+     * Indexes the identifiers of an item
+     */
+    add(key: string, item: object) {
+        const { ids, hwids } = getItemIdentifiers(item);
+        for (const id of ids) IdentifierIndex.addTo(this.#ids, id, key);
+        for (const hwid of hwids) IdentifierIndex.addTo(this.#hwids, hwid, key);
+    }
+
+    /**
+     * Removes the identifiers of an item from the index.
+     * NOTE: the item must contain the same identifiers it had when added.
+     */
+    remove(key: string, item: object) {
+        const { ids, hwids } = getItemIdentifiers(item);
+        for (const id of ids) IdentifierIndex.removeFrom(this.#ids, id, key);
+        for (const hwid of hwids) IdentifierIndex.removeFrom(this.#hwids, hwid, key);
+    }
+
+    /**
+     * Returns the keys of the items that contain any of the ids, or at least minHwidMatches of the hwids.
+     * The hwids are only considered if minHwidMatches is greater than zero.
+     */
+    findKeys(ids: string[], hwids: string[] = [], minHwidMatches = 0) {
+        const found = new Set<string>();
+        for (const id of new Set(ids)) {
+            const keys = this.#ids.get(id);
+            if (!keys) continue;
+            for (const key of keys) found.add(key);
+        }
+
+        if (minHwidMatches > 0) {
+            const hwidMatches = new Map<string, number>();
+            for (const hwid of new Set(hwids)) {
+                const keys = this.#hwids.get(hwid);
+                if (!keys) continue;
+                for (const key of keys) {
+                    const count = (hwidMatches.get(key) ?? 0) + 1;
+                    hwidMatches.set(key, count);
+                    if (count >= minHwidMatches) found.add(key);
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Removes all entries from the index
+     */
+    clear() {
+        this.#ids.clear();
+        this.#hwids.clear();
+    }
+
+    /**
+     * Number of unique identifiers and hwids indexed
+     */
+    get size() {
+        return this.#ids.size + this.#hwids.size;
+    }
+}
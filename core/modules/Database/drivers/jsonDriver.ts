@@ -0,0 +1,179 @@
+import { setImmediate } from 'node:timers/promises';
+import { cloneDeep, filter as lodashFilter, remove as lodashRemove } from 'lodash-es';
+import type { DatabaseDataType } from '../databaseTypes';
+import { DuplicateKeyError } from '../dbUtils';
+import { DbTable, DbTableFilter, DbTableNameType, DbTablesType, ITERATION_PAGE_SIZE, getItemIdentifiers } from './dbTable';
+import { IdentifierIndex } from './identifierIndex';
+
+type JsonTableEntry<T> = {
+    ref: T;
+    order: number;
+};
+
+
+/**
+ * Table backed by one of the arrays of the lowdb JSON database.
+ * The items are indexed by key, and optionally by identifiers, and the indexes are kept up to date by the write methods.
+ * NOTE: the writes are only flagged by the DAOs, and saved by the DbInstance cron.
+ */
+export class JsonTable<T extends object> implements DbTable<T> {
+    readonly #entries = new Map<string, JsonTableEntry<T>>();
+    readonly #identifiers: IdentifierIndex | undefined;
+    #nextOrder = 0;
+
+    constructor(
+        readonly name: DbTableNameType,
+        private readonly keyProp: keyof T & string,
+        private readonly getData: () => DatabaseDataType,
+        indexIdentifiers = false,
+    ) {
+        if (indexIdentifiers) this.#identifiers = new IdentifierIndex();
+        for (const item of this.items) {
+            this.addToIndexes(item);
+        }
+    }
+
+    private get items() {
+        return this.getData()[this.name] as unknown as T[];
+    }
+
+    private getKey(item: T) {
+        return item[this.keyProp] as string;
+    }
+
+    private findRef(key: string) {
+        return this.#entries.get(key)?.ref;
+    }
+
+    private addToIndexes(item: T) {
+        const key = this.getKey(item);
+        this.#entries.set(key, { ref: item, order: this.#nextOrder++ });
+        this.#identifiers?.add(key, item);
+    }
+
+    private removeFromIndexes(item: T) {
+        const key = this.getKey(item);
+        this.#entries.delete(key);
+        this.#identifiers?.remove(key, item);
+    }
+
+    findOne(key: string) {
+        const item = this.findRef(key);
+        return item ? cloneDeep(item) : undefined;
+    }
+
+    findMany(filter?: DbTableFilter<T>) {
+        return cloneDeep(lodashFilter(this.items, filter as any) as T[]);
+    }
+
+    findByIdentifiers(ids: string[], hwids?: string[], minHwidMatches?: number) {
+        const entries = this.findKeysByIdentifiers(ids, hwids, minHwidMatches)
+            .map((key) => this.#entries.get(key)!)
+            .sort((a, b) => a.order - b.order);
+        return entries.map((entry) => cloneDeep(entry.ref));
+    }
+
+    findKeysByIdentifiers(ids: string[], hwids?: string[], minHwidMatches?: number) {
+        if (!this.#identifiers) throw new Error(`the ${this.name} table has no identifiers`);
+        return [...this.#identifiers.findKeys(ids, hwids, minHwidMatches)];
+    }
+
+    findAllReadonly() {
+        return [...this.items];
+    }
+
+    forEach(callback: (item: T) => void) {
+        for (const item of this.items) {
+            callback(cloneDeep(item));
+        }
+    }
+
+    async *iterateReadonly() {
+        //NOTE: copying the refs, so writes during the iteration don't shift the items
+        const items = [...this.items];
+        for (let i = 0; i < items.length; i++) {
+            if (i && i % ITERATION_PAGE_SIZE === 0) await setImmediate();
+            yield items[i];
+        }
+    }
+
+    has(key: string) {
+        return this.findRef(key) !== undefined;
+    }
+
+    count() {
+        return this.items.length;
+    }
+
+    insert(item: T) {
+        if (this.has(item[this.keyProp] as string)) {
+            throw new DuplicateKeyError(`this ${this.keyProp} is already registered`);
+        }
+        const newItem = cloneDeep(item);
+        this.items.push(newItem);
+        this.addToIndexes(newItem);
+    }
+
+    insertMany(items: T[]) {
+        //Checking all keys first, as the inserts can't be rolled back
+        const newKeys = new Set<string>();
+        for (const item of items) {
+            const key = this.getKey(item);
+            if (this.has(key) || newKeys.has(key)) {
+                throw new DuplicateKeyError(`this ${this.keyProp} is already registered`);
+            }
+            newKeys.add(key);
+        }
+        for (const item of items) {
+            this.insert(item);
+        }
+    }
+
+    replace(item: T) {
+        const key = this.getKey(item);
+        const entry = this.#entries.get(key);
+        const index = entry ? this.items.indexOf(entry.ref) : -1;
+        if (!entry || index === -1) throw new Error(`item not found in the ${this.name} table`);
+        const newItem = cloneDeep(item);
+        this.items[index] = newItem;
+        this.#identifiers?.remove(key, entry.ref);
+        this.#identifiers?.add(key, newItem);
+        entry.ref = newItem;
+    }
+
+    updateMany(mutator: (item: T) => boolean) {
+        let changed = 0;
+        for (const item of this.items) {
+            //Keeping a copy of the identifiers, as the mutator might change them
+            const key = this.getKey(item);
+            const { ids, hwids } = getItemIdentifiers(item);
+            const oldIdentifiers = { ids: [...ids], hwids: [...hwids] };
+            if (!mutator(item)) continue;
+            changed++;
+            this.#identifiers?.remove(key, oldIdentifiers);
+            this.#identifiers?.add(key, item);
+        }
+        return changed;
+    }
+
+    removeMany(filter: DbTableFilter<T>) {
+        const removed = lodashRemove(this.items, filter as any) as T[];
+        for (const item of removed) {
+            this.removeFromIndexes(item);
+        }
+        return removed;
+    }
+}
+
+
+/**
+ * Creates the tables for a lowdb JSON database
+ */
+export const createJsonTables = (getData: () => DatabaseDataType): DbTablesType => ({
+    players: new JsonTable('players', 'license', getData, true),
+    actions: new JsonTable('actions', 'id', getData, true),
+    whitelistApprovals: new JsonTable('whitelistApprovals', 'identifier', getData),
+    whitelistRequests: new JsonTable('whitelistRequests', 'id', getData),
+    banAppeals: new JsonTable('banAppeals', 'id', getData),
+    playerSessions: new JsonTable('playerSessions', 'id', getData),
+});
@@ -0,0 +1,563 @@
+import { setImmediate } from 'node:timers/promises';
+import type { DatabaseDataType } from '../databaseTypes';
+import { DuplicateKeyError } from '../dbUtils';
+import {
+    DbTable,
+    DbTableFilter,
+    DbTableNameType,
+    DbTablesType,
+    ITERATION_PAGE_SIZE,
+    getItemIdentifiers,
+} from './dbTable';
+
+
+/**
+ * MARK: node:sqlite types
+ * NOTE: the node:sqlite module is only available on Node 22.5+, and our @types/node doesn't have it.
+ */
+type SqliteValueType = null | number | bigint | string | Uint8Array;
+type SqliteStatementType = {
+    all(...params: SqliteValueType[]): unknown[];
+    get(...params: SqliteValueType[]): unknown;
+    run(...params: SqliteValueType[]): { changes: number | bigint };
+};
+export type SqliteDatabaseSyncType = {
+    close(): void;
+    exec(sql: string): void;
+    prepare(sql: string): SqliteStatementType;
+};
+export type SqliteModuleType = {
+    DatabaseSync: new (location: string) => SqliteDatabaseSyncType;
+    //NOTE: only available on Node 22.16+
+    backup?: (sourceDb: SqliteDatabaseSyncType, path: string, options?: { rate?: number }) => Promise<number>;
+};
+
+
+/**
+ * Loads the node:sqlite module, returning undefined if it is not available in this runtime
+ * NOTE: process.getBuiltinModule was added in Node 22.3, and node:sqlite became unflagged in Node 22.13
+ */
+export const loadSqliteModule = () => {
+    const getBuiltinModule = (process as any).getBuiltinModule as ((id: string) => unknown) | undefined;
+    if (typeof getBuiltinModule !== 'function') return;
+    try {
+        const sqlite = getBuiltinModule('node:sqlite') as SqliteModuleType | undefined;
+        return typeof sqlite?.DatabaseSync === 'function' ? sqlite : undefined;
+    } catch (error) {
+        return undefined;
+    }
+};
+
+
+/**
+ * MARK: Schema
+ * Every table stores the items as JSON in the `data` column, and the columns used
+ * for lookups are duplicated and indexed. Player and action identifiers are indexed
+ * in the `*_identifiers` tables, where hwids have `isHwid = 1`.
+ * NOTE: the item format is still versioned by the DATABASE_VERSION in the meta table.
+ */
+const SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS players (
+    key TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS players_identifiers (
+    identifier TEXT NOT NULL,
+    isHwid INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    PRIMARY KEY (identifier, isHwid, key)
+) WITHOUT ROWID;
+CREATE INDEX IF NOT EXISTS players_identifiers_key ON players_identifiers (key);
+
+CREATE TABLE IF NOT EXISTS actions (
+    key TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS actions_identifiers (
+    identifier TEXT NOT NULL,
+    isHwid INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    PRIMARY KEY (identifier, isHwid, key)
+) WITHOUT ROWID;
+CREATE INDEX IF NOT EXISTS actions_identifiers_key ON actions_identifiers (key);
+
+CREATE TABLE IF NOT EXISTS whitelistApprovals (
+    key TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS whitelistRequests (
+    key TEXT NOT NULL UNIQUE,
+    license TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS whitelistRequests_license ON whitelistRequests (license);
+
+CREATE TABLE IF NOT EXISTS banAppeals (
+    key TEXT NOT NULL UNIQUE,
+    actionId TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS banAppeals_actionId ON banAppeals (actionId);
+
+CREATE TABLE IF NOT EXISTS playerSessions (
+    key TEXT NOT NULL UNIQUE,
+    license TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS playerSessions_license ON playerSessions (license);
+`;
+
+//Database pages copied in each step of the async backup
+const BACKUP_PAGES_PER_STEP = 256;
+
+type SqliteTableConfig<T> = {
+    name: DbTableNameType;
+    keyProp: keyof T & string;
+    columns?: (keyof T & string)[]; //extra indexed columns, used for the object filters
+    indexIdentifiers?: boolean;
+};
+
+type SqliteRowType = {
+    rowid: number;
+    data: string;
+};
+
+
+/**
+ * MARK: SqliteTable
+ */
+export class SqliteTable<T extends object> implements DbTable<T> {
+    readonly name: DbTableNameType;
+    private readonly keyProp: keyof T & string;
+    private readonly columns: (keyof T & string)[];
+    private readonly idsTable: string | undefined;
+    private readonly stmts: {
+        findOne: SqliteStatementType;
+        findAll: SqliteStatementType;
+        findPage: SqliteStatementType;
+        count: SqliteStatementType;
+        insert: SqliteStatementType;
+        update: SqliteStatementType;
+        delete: SqliteStatementType;
+        insertIdentifier?: SqliteStatementType;
+        deleteIdentifiers?: SqliteStatementType;
+    };
+
+    constructor(private readonly db: SqliteDatabase, config: SqliteTableConfig<T>) {
+        this.name = config.name;
+        this.keyProp = config.keyProp;
+        this.columns = config.columns ?? [];
+        this.idsTable = config.indexIdentifiers ? `${this.name}_identifiers` : undefined;
+
+        const colNames = ['key', ...this.columns, 'data'];
+        const updateSets = [...this.columns, 'data'].map((col) => `${col} = ?`).join(', ');
+        this.stmts = {
+            findOne: db.conn.prepare(`SELECT data FROM ${this.name} WHERE key = ?`),
+            findAll: db.conn.prepare(`SELECT data FROM ${this.name} ORDER BY rowid`),
+            findPage: db.conn.prepare(`SELECT rowid, data FROM ${this.name} WHERE rowid > ? ORDER BY rowid LIMIT ${ITERATION_PAGE_SIZE}`),
+            count: db.conn.prepare(`SELECT COUNT(*) AS cnt FROM ${this.name}`),
+            insert: db.conn.prepare(`INSERT INTO ${this.name} (${colNames.join(', ')}) VALUES (${colNames.map(() => '?').join(', ')})`),
+            update: db.conn.prepare(`UPDATE ${this.name} SET ${updateSets} WHERE key = ?`),
+            delete: db.conn.prepare(`DELETE FROM ${this.name} WHERE key = ?`),
+        };
+        if (this.idsTable) {
+            this.stmts.insertIdentifier = db.conn.prepare(`INSERT OR IGNORE INTO ${this.idsTable} (identifier, isHwid, key) VALUES (?, ?, ?)`);
+            this.stmts.deleteIdentifiers = db.conn.prepare(`DELETE FROM ${this.idsTable} WHERE key = ?`);
+        }
+    }
+
+
+    //Helpers
+    private parseRows(rows: unknown[]) {
+        return (rows as SqliteRowType[]).map((row) => JSON.parse(row.data) as T);
+    }
+
+    private getColumnValues(item: T) {
+        return this.columns.map((col) => {
+            const value = item[col];
+            return (typeof value === 'number' || typeof value === 'string') ? value : null;
+        });
+    }
+
+    private writeIdentifiers(key: string, item: T) {
+        if (!this.idsTable) return;
+        this.stmts.deleteIdentifiers!.run(key);
+        const { ids, hwids } = getItemIdentifiers(item);
+        for (const id of ids) {
+            this.stmts.insertIdentifier!.run(id, 0, key);
+        }
+        for (const hwid of hwids) {
+            this.stmts.insertIdentifier!.run(hwid, 1, key);
+        }
+    }
+
+    /**
+     * Returns the SQL for an object filter, if all its props are indexed columns
+     */
+    private getSqlFilter(filter: object) {
+        const entries = Object.entries(filter);
+        if (!entries.length) return;
+        const where: string[] = [];
+        const params: SqliteValueType[] = [];
+        for (const [prop, value] of entries) {
+            if (typeof value !== 'string' && typeof value !== 'number') return;
+            if (prop === this.keyProp) {
+                where.push('key = ?');
+            } else if (this.columns.includes(prop as keyof T & string)) {
+                where.push(`${prop} = ?`);
+            } else {
+                return;
+            }
+            params.push(value);
+        }
+        return { where: where.join(' AND '), params };
+    }
+
+    /**
+     * Returns the items matching a filter, using the indexes when possible
+     */
+    private filterItems(filter?: DbTableFilter<T>) {
+        if (filter && typeof filter === 'object') {
+            const sqlFilter = this.getSqlFilter(filter);
+            if (sqlFilter) {
+                const rows = this.db.conn.prepare(
+                    `SELECT data FROM ${this.name} WHERE ${sqlFilter.where} ORDER BY rowid`
+                ).all(...sqlFilter.params);
+                return this.parseRows(rows);
+            }
+        }
+
+        const matcher = getFilterMatcher(filter);
+        const matches: T[] = [];
+        this.forEach((item) => {
+            if (matcher(item)) matches.push(item);
+        });
+        return matches;
+    }
+
+    /**
+     * Builds the subquery that selects the keys for the findByIdentifiers criteria
+     */
+    private buildIdentifiersQuery(ids: string[], hwids: string[], minHwidMatches: number) {
+        if (!this.idsTable) throw new Error(`the ${this.name} table has no identifiers`);
+        const uniqueIds = [...new Set(ids)];
+        const uniqueHwids = [...new Set(hwids)];
+
+        const queries: string[] = [];
+        const params: SqliteValueType[] = [];
+        if (uniqueIds.length) {
+            queries.push(`SELECT key FROM ${this.idsTable} WHERE isHwid = 0 AND identifier IN (${uniqueIds.map(() => '?').join(', ')})`);
+            params.push(...uniqueIds);
+        }
+        if (minHwidMatches > 0 && uniqueHwids.length) {
+            queries.push(`SELECT key FROM ${this.idsTable} WHERE isHwid = 1 AND identifier IN (${uniqueHwids.map(() => '?').join(', ')}) GROUP BY key HAVING COUNT(*) >= ?`);
+            params.push(...uniqueHwids, minHwidMatches);
+        }
+        if (!queries.length) return;
+        return { query: queries.join(' UNION '), params };
+    }
+
+
+    //Interface
+    findOne(key: string) {
+        const row = this.stmts.findOne.get(key) as SqliteRowType | undefined;
+        return row ? JSON.parse(row.data) as T : undefined;
+    }
+
+    findMany(filter?: DbTableFilter<T>) {
+        return this.filterItems(filter);
+    }
+
+    findByIdentifiers(ids: string[], hwids: string[] = [], minHwidMatches = 0) {
+        const subquery = this.buildIdentifiersQuery(ids, hwids, minHwidMatches);
+        if (!subquery) return [];
+        const rows = this.db.conn.prepare(
+            `SELECT data FROM ${this.name} WHERE key IN (${subquery.query}) ORDER BY rowid`
+        ).all(...subquery.params);
+        return this.parseRows(rows);
+    }
+
+    findKeysByIdentifiers(ids: string[], hwids: string[] = [], minHwidMatches = 0) {
+        const subquery = this.buildIdentifiersQuery(ids, hwids, minHwidMatches);
+        if (!subquery) return [];
+        const rows = this.db.conn.prepare(subquery.query).all(...subquery.params) as { key: string }[];
+        return rows.map((row) => row.key);
+    }
+
+    findAllReadonly() {
+        return this.parseRows(this.stmts.findAll.all());
+    }
+
+    forEach(callback: (item: T) => void) {
+        let lastRowId = 0;
+        while (true) {
+            const rows = this.stmts.findPage.all(lastRowId) as SqliteRowType[];
+            for (const row of rows) {
+                callback(JSON.parse(row.data) as T);
+            }
+            if (rows.length < ITERATION_PAGE_SIZE) break;
+            lastRowId = rows[rows.length - 1].rowid;
+        }
+    }
+
+    async *iterateReadonly() {
+        let lastRowId = 0;
+        while (true) {
+            const rows = this.stmts.findPage.all(lastRowId) as SqliteRowType[];
+            for (const row of rows) {
+                yield JSON.parse(row.data) as T;
+            }
+            if (rows.length < ITERATION_PAGE_SIZE) break;
+            lastRowId = rows[rows.length - 1].rowid;
+            await setImmediate();
+        }
+    }
+
+    has(key: string) {
+        return this.stmts.findOne.get(key) !== undefined;
+    }
+
+    count() {
+        const row = this.stmts.count.get() as { cnt: number };
+        return row.cnt;
+    }
+
+    insert(item: T) {
+        const key = item[this.keyProp] as string;
+        if (this.has(key)) {
+            throw new DuplicateKeyError(`this ${this.keyProp} is already registered`);
+        }
+        this.db.transaction(() => {
+            this.stmts.insert.run(key, ...this.getColumnValues(item), JSON.stringify(item));
+            this.writeIdentifiers(key, item);
+        });
+    }
+
+    insertMany(items: T[]) {
+        this.db.transaction(() => {
+            for (const item of items) {
+                this.insert(item);
+            }
+        });
+    }
+
+    replace(item: T) {
+        const key = item[this.keyProp] as string;
+        this.db.transaction(() => {
+            const res = this.stmts.update.run(...this.getColumnValues(item), JSON.stringify(item), key);
+            if (!res.changes) throw new Error(`item not found in the ${this.name} table`);
+            this.writeIdentifiers(key, item);
+        });
+    }
+
+    updateMany(mutator: (item: T) => boolean) {
+        let changed = 0;
+        this.db.transaction(() => {
+            this.forEach((item) => {
+                if (!mutator(item)) return;
+                const key = item[this.keyProp] as string;
+                this.stmts.update.run(...this.getColumnValues(item), JSON.stringify(item), key);
+                this.writeIdentifiers(key, item);
+                changed++;
+            });
+        });
+        return changed;
+    }
+
+    removeMany(filter: DbTableFilter<T>) {
+        const removed = this.filterItems(filter);
+        this.db.transaction(() => {
+            for (const item of removed) {
+                const key = item[this.keyProp] as string;
+                this.stmts.delete.run(key);
+                if (this.idsTable) this.stmts.deleteIdentifiers!.run(key);
+            }
+        });
+        return removed;
+    }
+}
+
+
+/**
+ * Returns a matcher function for a lodash-style filter
+ */
+const getFilterMatcher = <T extends object>(filter?: DbTableFilter<T>) => {
+    if (typeof filter === 'function') return filter;
+    if (!filter) return () => true;
+    const entries = Object.entries(filter);
+    return (item: T) => entries.every(([prop, value]) => item[prop as keyof T] === value);
+};
+
+
+/**
+ * MARK: SqliteDatabase
+ */
+export class SqliteDatabase {
+    readonly tables: DbTablesType;
+    private transactionDepth = 0;
+
+    constructor(
+        readonly conn: SqliteDatabaseSyncType,
+        private readonly sqlite?: SqliteModuleType,
+    ) {
+        this.conn.exec('PRAGMA journal_mode = WAL;');
+        this.conn.exec('PRAGMA synchronous = NORMAL;');
+        this.conn.exec(SCHEMA_SQL);
+        this.tables = {
+            players: new SqliteTable(this, {
+                name: 'players',
+                keyProp: 'license',
+                indexIdentifiers: true,
+            }),
+            actions: new SqliteTable(this, {
+                name: 'actions',
+                keyProp: 'id',
+                indexIdentifiers: true,
+            }),
+            whitelistApprovals: new SqliteTable(this, {
+                name: 'whitelistApprovals',
+                keyProp: 'identifier',
+            }),
+            whitelistRequests: new SqliteTable(this, {
+                name: 'whitelistRequests',
+                keyProp: 'id',
+                columns: ['license'],
+            }),
+            banAppeals: new SqliteTable(this, {
+                name: 'banAppeals',
+                keyProp: 'id',
+                columns: ['actionId'],
+            }),
+            playerSessions: new SqliteTable(this, {
+                name: 'playerSessions',
+                keyProp: 'id',
+                columns: ['license'],
+            }),
+        };
+    }
+
+    /**
+     * Opens or creates a database file
+     */
+    static open(sqlite: SqliteModuleType, filePath: string) {
+        return new SqliteDatabase(new sqlite.DatabaseSync(filePath), sqlite);
+    }
+
+
+    /**
+     * Runs the function inside a transaction, rolling back if it throws.
+     * Nested calls are part of the outermost transaction.
+     */
+    transaction<R>(func: () => R): R {
+        if (this.transactionDepth > 0) {
+            this.transactionDepth++;
+            try {
+                return func();
+            } finally {
+                this.transactionDepth--;
+            }
+        }
+
+        this.conn.exec('BEGIN');
+        this.transactionDepth = 1;
+        try {
+            const result = func();
+            this.conn.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.conn.exec('ROLLBACK');
+            throw error;
+        } finally {
+            this.transactionDepth = 0;
+        }
+    }
+
+
+    /**
+     * Returns the database version saved in the meta table, or undefined for new databases
+     */
+    getVersion() {
+        const row = this.conn.prepare(`SELECT value FROM meta WHERE key = 'version'`).get() as { value: string } | undefined;
+        return row ? parseInt(row.value) : undefined;
+    }
+
+    setVersion(version: number) {
+        this.conn.prepare(`INSERT OR REPLACE INTO meta (key, value) VALUES ('version', ?)`).run(version.toString());
+    }
+
+
+    /**
+     * Replaces all the data in the database, in a single transaction.
+     * Items with duplicated keys are skipped, keeping the first one.
+     * @returns the number of skipped items
+     */
+    importData(data: DatabaseDataType) {
+        let skipped = 0;
+        const insertAll = <T extends object>(table: DbTable<T>, items: T[]) => {
+            for (const item of items) {
+                try {
+                    table.insert(item);
+                } catch (error) {
+                    if (!(error instanceof DuplicateKeyError)) throw error;
+                    skipped++;
+                }
+            }
+        };
+
+        this.transaction(() => {
+            for (const tableName of Object.keys(this.tables)) {
+                this.conn.exec(`DELETE FROM ${tableName};`);
+            }
+            this.conn.exec('DELETE FROM players_identifiers; DELETE FROM actions_identifiers;');
+            insertAll(this.tables.players, data.players);
+            insertAll(this.tables.actions, data.actions);
+            insertAll(this.tables.whitelistApprovals, data.whitelistApprovals);
+            insertAll(this.tables.whitelistRequests, data.whitelistRequests);
+            insertAll(this.tables.banAppeals, data.banAppeals ?? []); //added in v7
+            insertAll(this.tables.playerSessions, data.playerSessions ?? []); //added in v8
+            this.setVersion(data.version);
+        });
+        return skipped;
+    }
+
+
+    /**
+     * Returns all the data in the database, in the same format as the JSON database
+     */
+    exportData(): DatabaseDataType {
+        return {
+            version: this.getVersion() ?? 0,
+            players: this.tables.players.findAllReadonly() as DatabaseDataType['players'],
+            actions: this.tables.actions.findAllReadonly() as DatabaseDataType['actions'],
+            whitelistApprovals: this.tables.whitelistApprovals.findAllReadonly() as DatabaseDataType['whitelistApprovals'],
+            whitelistRequests: this.tables.whitelistRequests.findAllReadonly() as DatabaseDataType['whitelistRequests'],
+            banAppeals: this.tables.banAppeals.findAllReadonly() as DatabaseDataType['banAppeals'],
+            playerSessions: this.tables.playerSessions.findAllReadonly() as DatabaseDataType['playerSessions'],
+        };
+    }
+
+
+    /**
+     * Writes a consistent copy of the database to the target path, which must not exist.
+     * The async backup API copies the pages in steps on the libuv threadpool, so it doesn't block the event loop.
+     * NOTE: on runtimes without it, falls back to the synchronous VACUUM INTO.
+     */
+    async backupTo(targetPath: string) {
+        if (typeof this.sqlite?.backup === 'function') {
+            await this.sqlite.backup(this.conn, targetPath, { rate: BACKUP_PAGES_PER_STEP });
+        } else {
+            this.conn.prepare('VACUUM INTO ?').run(targetPath);
+        }
+    }
+
+
+    close() {
+        this.conn.close();
+    }
+}
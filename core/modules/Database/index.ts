@@ -5,8 +5,11 @@ import consoleFactory from '@lib/console';
 import PlayersDao from './dao/players';
 import ActionsDao from './dao/actions';
 import WhitelistDao from './dao/whitelist';
+import BanAppealsDao from './dao/banAppeals';
+import PlayerSessionsDao from './dao/playerSessions';
 import StatsDao from './dao/stats';
 import CleanupDao from './dao/cleanup';
+import DatabaseSnapshots from './snapshots';
 import { TxConfigState } from '@shared/enums';
 const console = consoleFactory(modulename);
 
@@ -21,16 +24,22 @@ export default class Database {
     readonly players: PlayersDao;
     readonly actions: ActionsDao;
     readonly whitelist: WhitelistDao;
+    readonly appeals: BanAppealsDao;
+    readonly sessions: PlayerSessionsDao;
     readonly stats: StatsDao;
     readonly cleanup: CleanupDao;
+    readonly snapshots: DatabaseSnapshots;
 
     constructor() {
         this.#db = new DbInstance();
         this.players = new PlayersDao(this.#db);
         this.actions = new ActionsDao(this.#db);
         this.whitelist = new WhitelistDao(this.#db);
+        this.appeals = new BanAppealsDao(this.#db);
+        this.sessions = new PlayerSessionsDao(this.#db);
         this.stats = new StatsDao(this.#db);
         this.cleanup = new CleanupDao(this.#db);
+        this.snapshots = new DatabaseSnapshots(this.#db);
 
         //Database optimization cron function
         const optimizerTask = () => {
@@ -52,24 +61,42 @@ export default class Database {
 
 
     /**
-     * Returns if the lowdb instance is ready
+     * Returns if the database instance is ready
      */
     get isReady() {
         return this.#db.isReady;
     }
 
+    /**
+     * Returns the database driver in use (json or sqlite)
+     */
+    get driver() {
+        return this.#db.driver;
+    }
+
     /**
      * Returns if size of the database file
      */
     get fileSize() {
-        return (this.#db.obj?.adapter as any)?.fileSize;
+        return this.#db.fileSize;
+    }
+
+
+    /**
+     * Returns all the data in the database, in the same format as the JSON database.
+     * NOTE: for the json driver, this is the database object itself, so it MUST NOT be modified.
+     */
+    exportData() {
+        return this.#db.exportData();
     }
 
 
     /**
      * Returns the entire lowdb object. Please be careful with it :)
+     * NOTE: only available for the json driver
      */
     getDboRef() {
+        if (this.#db.driver === 'sqlite') throw new Error(`not available for the sqlite database driver`);
         if (!this.#db.obj) throw new Error(`database not ready yet`);
         return this.#db.obj;
     }
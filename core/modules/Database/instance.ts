@@ -1,26 +1,32 @@
 const modulename = 'Database';
+import fs from 'node:fs';
 import fsp from 'node:fs/promises';
 import { ExpChain } from 'lodash';
 //@ts-ignore: I haven o idea why this errors, but I couldn't solve it
 import lodash from 'lodash-es';
-import { Low, Adapter } from 'lowdb';
+import { Low, Adapter, Memory } from 'lowdb';
 import { TextFile } from 'lowdb/node';
-import { txDevEnv, txEnv } from '@core/globalData';
+import { txDevEnv, txEnv, txHostConfig } from '@core/globalData';
 import { DatabaseDataType } from './databaseTypes.js';
 import migrations from './migrations.js';
+import { DatabaseDriverType, DbTableNameType, DbTablesType } from './drivers/dbTable';
+import { createJsonTables } from './drivers/jsonDriver';
+import { SqliteDatabase, SqliteModuleType, loadSqliteModule } from './drivers/sqliteDriver';
 import consoleFactory from '@lib/console.js';
 import fatalError from '@lib/fatalError.js';
 import { TimeCounter } from '@modules/Metrics/statsUtils.js';
 const console = consoleFactory(modulename);
 
 //Consts & helpers
-export const DATABASE_VERSION = 5;
+export const DATABASE_VERSION = 8;
 export const defaultDatabase = {
     version: DATABASE_VERSION,
     actions: [],
     players: [],
     whitelistApprovals: [],
     whitelistRequests: [],
+    banAppeals: [],
+    playerSessions: [],
 };
 
 export enum SavePriority {
@@ -48,6 +54,8 @@ const SAVE_CONFIG = {
         interval: 15 * 1000,
     },
 } as Record<SavePriority, { interval: number; name: string }>;
+const BACKUP_CHECK_INTERVAL = 60 * 1000;
+const EXPORT_CHUNK_SIZE = 64 * 1024;
 
 
 //Reimplementing the adapter to minify json onm prod builds
@@ -88,35 +96,99 @@ class LowWithLodash<T> extends Low<T> {
 export type DatabaseObjectType = LowWithLodash<DatabaseDataType>;
 
 
+/**
+ * Returns the warning shown after the database file is restored from the automatic backup
+ */
+const getBackupRollbackWarning = () => {
+    const intervalMinutes = txConfig.database.backupInterval;
+    if (!intervalMinutes) {
+        return 'The automatic backup is disabled, so there was no recent backup and the restored data may be very outdated.';
+    }
+    return `A rollback of up to ${intervalMinutes} minutes is expected.`;
+};
+
+
 export class DbInstance {
     readonly dbPath: string;
     readonly backupPath: string;
-    obj: DatabaseObjectType | undefined = undefined;
+    readonly migratedPath: string;
+    readonly sqlitePath: string;
+    readonly sqliteBackupPath: string;
+    readonly sqliteExportedPath: string;
+    driver: DatabaseDriverType | undefined = undefined;
+    obj: DatabaseObjectType | undefined = undefined; //only for the json driver
+    sqlite: SqliteDatabase | undefined = undefined; //only for the sqlite driver
+    tables: DbTablesType | undefined = undefined;
     #writePending: SavePriority = SavePriority.STANDBY;
+    #isBackingUp = false;
     lastWrite: number = 0;
+    lastBackup: number = 0;
     isReady: boolean = false;
 
     constructor() {
         this.dbPath = `${txEnv.profilePath}/data/playersDB.json`;
         this.backupPath = `${txEnv.profilePath}/data/playersDB.backup.json`;
+        this.migratedPath = `${txEnv.profilePath}/data/playersDB.migrated.json`;
+        this.sqlitePath = `${txEnv.profilePath}/data/playersDB.sqlite`;
+        this.sqliteBackupPath = `${txEnv.profilePath}/data/playersDB.backup.sqlite`;
+        this.sqliteExportedPath = `${txEnv.profilePath}/data/playersDB.exported.sqlite`;
 
-        //Start database instance
-        this.setupDatabase();
+        //Start database instance, and make the first backup as soon as it's ready
+        this.setupDatabase().then(() => this.checkBackupNeeded());
 
         //Cron functions
         setInterval(() => {
             this.checkWriteNeeded();
         }, SAVE_CONFIG[SavePriority.HIGH].interval);
         setInterval(() => {
-            this.backupDatabase();
-        }, SAVE_CONFIG[SavePriority.STANDBY].interval);
+            this.checkBackupNeeded();
+        }, BACKUP_CHECK_INTERVAL);
     }
 
 
     /**
-     * Start lowdb instance and set defaults
+     * Selects the database driver and sets it up.
+     * SQLite is used whenever the runtime supports it, unless TXHOST_DATABASE_DRIVER is set to `json`,
+     * in which case an existing SQLite database is exported back to the JSON file.
      */
     async setupDatabase() {
+        const sqliteModule = loadSqliteModule();
+        const hasSqliteFile = fs.existsSync(this.sqlitePath);
+
+        if (txHostConfig.databaseDriver === 'json') {
+            if (hasSqliteFile) await this.exportSqliteToJson(sqliteModule);
+            return this.setupJsonDatabase();
+        }
+
+        if (!sqliteModule) {
+            if (hasSqliteFile) {
+                fatalError.Database(3, [
+                    'Your txAdmin player/actions database is stored in SQLite, which is not supported by this FXServer version.',
+                    'This means you likely downgraded your FXServer.',
+                    'Please update your FXServer, or rename the SQLite file to go back to the database from before the migration.',
+                    ['Database path', this.sqlitePath],
+                    ['Pre-migration JSON', this.migratedPath],
+                ]);
+            }
+            if (txHostConfig.databaseDriver === 'sqlite') {
+                console.warn('TXHOST_DATABASE_DRIVER is set to sqlite, but this FXServer version does not support it.');
+                console.warn('Falling back to the JSON database.');
+            }
+            return this.setupJsonDatabase();
+        }
+
+        if (!hasSqliteFile && fs.existsSync(this.dbPath)) {
+            const migrated = await this.migrateJsonToSqlite(sqliteModule);
+            if (!migrated) return this.setupJsonDatabase();
+        }
+        return this.setupSqliteDatabase(sqliteModule);
+    }
+
+
+    /**
+     * Loads the lowdb JSON database, restoring the backup if needed, and applying the migrations
+     */
+    private async loadJsonDatabase() {
         //Tries to load the database
         let dbo;
         try {
@@ -132,7 +204,7 @@ export class DbInstance {
                 await dbo.read();
                 console.warn(errTitle);
                 console.warn('The database file was restored with the automatic backup file.');
-                console.warn('A five minute rollback is expected.');
+                console.warn(getBackupRollbackWarning());
             } catch (errorBackup) {
                 fatalError.Database(0, [
                     errTitle,
@@ -154,33 +226,311 @@ export class DbInstance {
             dbo.chain = lodash.chain(dbo.data);
 
             //If old database
+            let obj: DatabaseObjectType;
             if (dbo.data.version !== DATABASE_VERSION) {
-                await this.backupDatabase(`${txEnv.profilePath}/data/playersDB.backup.v${dbo.data.version}.json`);
-                this.obj = await migrations(dbo);
+                await fsp.copyFile(this.dbPath, `${txEnv.profilePath}/data/playersDB.backup.v${dbo.data.version}.json`);
+                obj = await migrations(dbo);
             } else {
-                this.obj = dbo;
+                obj = dbo;
             }
 
             //Checking basic structure integrity
             if (
-                !Array.isArray(this.obj!.data.actions)
-                || !Array.isArray(this.obj!.data.players)
-                || !Array.isArray(this.obj!.data.whitelistApprovals)
-                || !Array.isArray(this.obj!.data.whitelistRequests)
+                !Array.isArray(obj.data.actions)
+                || !Array.isArray(obj.data.players)
+                || !Array.isArray(obj.data.whitelistApprovals)
+                || !Array.isArray(obj.data.whitelistRequests)
+                || !Array.isArray(obj.data.banAppeals)
+                || !Array.isArray(obj.data.playerSessions)
             ) {
                 fatalError.Database(2, [
                     'Your txAdmin player/actions database is corrupted!',
-                    'It is missing one of the required arrays (players, actions, whitelistApprovals, whitelistRequests).',
+                    'It is missing one of the required arrays (players, actions, whitelistApprovals, whitelistRequests, banAppeals, playerSessions).',
                     'If you modified the database file manually, you may try to restore it from the automatic backup file.',
                     ['Database path', this.dbPath],
                 ]);
             }
+            return obj;
+        } catch (error) {
+            fatalError.Database(1, 'Failed to setup database object.', error);
+        }
+    }
+
+
+    /**
+     * Sets up the JSON driver
+     */
+    private async setupJsonDatabase() {
+        this.obj = await this.loadJsonDatabase();
+        this.tables = createJsonTables(() => this.obj!.data);
+        this.driver = 'json';
+        this.lastWrite = Date.now();
+        this.isReady = true;
+    }
+
+
+    /**
+     * Sets up the SQLite driver, restoring the backup if needed, and applying the migrations
+     */
+    private async setupSqliteDatabase(sqliteModule: SqliteModuleType) {
+        //Tries to open the database
+        let db: SqliteDatabase;
+        try {
+            db = this.openSqliteDatabase(sqliteModule);
+        } catch (errorMain) {
+            const errTitle = 'Your txAdmin player/actions SQLite database could not be loaded.';
+            try {
+                const tmpPath = `${this.sqlitePath}.tmp`;
+                await fsp.copyFile(this.sqliteBackupPath, tmpPath);
+                await this.removeSqliteFiles(this.sqlitePath);
+                await fsp.rename(tmpPath, this.sqlitePath);
+                db = this.openSqliteDatabase(sqliteModule);
+                console.warn(errTitle);
+                console.warn('The database file was restored with the automatic backup file.');
+                console.warn(getBackupRollbackWarning());
+            } catch (errorBackup) {
+                fatalError.Database(4, [
+                    errTitle,
+                    'It was also not possible to load the automatic backup file.',
+                    ['Main error', (errorMain as Error).message],
+                    ['Backup error', (errorBackup as Error).message],
+                    ['Database path', this.sqlitePath],
+                    'If there is a file in that location, you may try to delete or restore it manually.',
+                ]);
+            }
+        }
 
-            this.lastWrite = Date.now();
-            this.isReady = true;
+        //Applying the migrations, using a memory lowdb instance
+        try {
+            const version = db.getVersion();
+            if (version === undefined) {
+                db.setVersion(DATABASE_VERSION);
+            } else if (version !== DATABASE_VERSION) {
+                await this.backupDatabase(`${txEnv.profilePath}/data/playersDB.backup.v${version}.sqlite`, db);
+                const dbo = new LowWithLodash(new Memory<DatabaseDataType>(), defaultDatabase);
+                dbo.data = db.exportData();
+                dbo.chain = lodash.chain(dbo.data);
+                const migrated = await migrations(dbo);
+                db.importData(migrated.data);
+            }
         } catch (error) {
             fatalError.Database(1, 'Failed to setup database object.', error);
         }
+
+        this.sqlite = db;
+        this.tables = db.tables;
+        this.driver = 'sqlite';
+        this.lastWrite = Date.now();
+        this.isReady = true;
+    }
+
+
+    /**
+     * Opens the SQLite database and checks its integrity
+     */
+    private openSqliteDatabase(sqliteModule: SqliteModuleType) {
+        const db = SqliteDatabase.open(sqliteModule, this.sqlitePath);
+        const check = db.conn.prepare('PRAGMA quick_check').get() as { quick_check: string };
+        if (check.quick_check !== 'ok') {
+            db.close();
+            throw new Error(`integrity check failed: ${check.quick_check}`);
+        }
+        return db;
+    }
+
+
+    /**
+     * Removes a SQLite database file and its journal files
+     */
+    private async removeSqliteFiles(filePath: string) {
+        for (const suffix of ['', '-wal', '-shm']) {
+            await fsp.rm(filePath + suffix, { force: true });
+        }
+    }
+
+
+    /**
+     * One-shot migration of the JSON database to SQLite.
+     * The data is imported to a temporary file which is only renamed after it succeeds,
+     * and the JSON file is kept as playersDB.migrated.json.
+     * @returns if the migration succeeded, otherwise the JSON database should still be used
+     */
+    private async migrateJsonToSqlite(sqliteModule: SqliteModuleType) {
+        console.warn('Migrating your players database from JSON to SQLite, this may take a while...');
+        const dbo = await this.loadJsonDatabase();
+        const tmpPath = `${this.sqlitePath}.tmp`;
+        let tmpDb: SqliteDatabase | undefined;
+        try {
+            await this.removeSqliteFiles(tmpPath);
+            tmpDb = SqliteDatabase.open(sqliteModule, tmpPath);
+            const skipped = tmpDb.importData(dbo.data);
+            tmpDb.close();
+            tmpDb = undefined;
+            await fsp.rename(tmpPath, this.sqlitePath);
+            await fsp.rename(this.dbPath, this.migratedPath);
+            console.ok(`Migrated ${dbo.data.players.length} players and ${dbo.data.actions.length} actions to SQLite.`);
+            if (skipped) {
+                console.warn(`Skipped ${skipped} items with duplicated IDs.`);
+            }
+            console.ok(`The old JSON database was kept at: ${this.migratedPath}`);
+            return true;
+        } catch (error) {
+            tmpDb?.close();
+            await this.removeSqliteFiles(tmpPath).catch(() => { });
+            console.error(`Failed to migrate the players database to SQLite: ${(error as Error).message}`);
+            console.error('Falling back to the JSON database.');
+            console.verbose.dir(error);
+            return false;
+        }
+    }
+
+
+    /**
+     * Fallback path to the JSON driver: exports the SQLite database back to the JSON file,
+     * and renames the SQLite file to playersDB.exported.sqlite.
+     */
+    private async exportSqliteToJson(sqliteModule: SqliteModuleType | undefined) {
+        const errTitle = 'TXHOST_DATABASE_DRIVER is set to json, but your players database is stored in SQLite.';
+        if (!sqliteModule) {
+            fatalError.Database(5, [
+                errTitle,
+                'This FXServer version does not support SQLite, so the database cannot be exported to JSON.',
+                'Please update your FXServer, or rename the SQLite file to go back to the database from before the migration.',
+                ['Database path', this.sqlitePath],
+                ['Pre-migration JSON', this.migratedPath],
+            ]);
+        }
+
+        console.warn(errTitle);
+        console.warn('Exporting the SQLite database to JSON...');
+        try {
+            const db = this.openSqliteDatabase(sqliteModule);
+            const data = db.exportData();
+            db.close();
+            const tmpPath = `${this.dbPath}.tmp`;
+            await fsp.writeFile(tmpPath, JSON.stringify(data));
+            await fsp.rename(tmpPath, this.dbPath);
+            await fsp.rename(this.sqlitePath, this.sqliteExportedPath);
+            console.ok(`Exported ${data.players.length} players and ${data.actions.length} actions to JSON.`);
+        } catch (error) {
+            fatalError.Database(6, [
+                'Failed to export the SQLite database to JSON.',
+                ['Database path', this.sqlitePath],
+            ], error);
+        }
+    }
+
+
+    /**
+     * Returns all the data in the database.
+     * NOTE: for the json driver, this is the database object itself, so it MUST NOT be modified.
+     */
+    exportData(): DatabaseDataType {
+        if (!this.isReady) throw new Error(`database not ready yet`);
+        if (this.sqlite) return this.sqlite.exportData();
+        if (this.obj) return this.obj.data;
+        throw new Error(`database not ready yet`);
+    }
+
+
+    /**
+     * Returns the version of the data in the database
+     */
+    getVersion(): number {
+        if (!this.isReady) throw new Error(`database not ready yet`);
+        if (this.sqlite) return this.sqlite.getVersion() ?? 0;
+        if (this.obj) return this.obj.data.version;
+        throw new Error(`database not ready yet`);
+    }
+
+
+    /**
+     * Yields the same data as exportData() as JSON text chunks, reading the tables one page at a time.
+     * Returns the number of items exported from each table.
+     * NOTE: writes done while the export is running may or may not be included.
+     */
+    async *exportDataJson(): AsyncGenerator<string, Record<DbTableNameType, number>> {
+        if (!this.isReady || !this.tables) throw new Error(`database not ready yet`);
+        const version = this.getVersion();
+        const tables = this.tables;
+        const counts = {} as Record<DbTableNameType, number>;
+
+        let chunk = `{"version":${version}`;
+        for (const tableName of Object.keys(tables) as DbTableNameType[]) {
+            counts[tableName] = 0;
+            chunk += `,"${tableName}":[`;
+            for await (const item of tables[tableName].iterateReadonly()) {
+                chunk += (counts[tableName] ? ',' : '') + JSON.stringify(item);
+                counts[tableName]++;
+                if (chunk.length >= EXPORT_CHUNK_SIZE) {
+                    yield chunk;
+                    chunk = '';
+                }
+            }
+            chunk += ']';
+        }
+        yield chunk + '}';
+        return counts;
+    }
+
+
+    /**
+     * Replaces all the data in the database and reloads it, applying the migrations if the data is from an older version.
+     * The database is marked as not ready while the file is swapped, so the DAOs will refuse any writes.
+     * NOTE: used to restore the database snapshots
+     */
+    async replaceData(data: DatabaseDataType) {
+        if (!this.isReady) throw new Error(`database not ready yet`);
+        if (
+            typeof data?.version !== 'number'
+            || data.version > DATABASE_VERSION
+            || !Array.isArray(data.actions)
+            || !Array.isArray(data.players)
+            || !Array.isArray(data.whitelistApprovals)
+            || !Array.isArray(data.whitelistRequests)
+        ) {
+            throw new Error(`invalid or unsupported database data`);
+        }
+
+        this.isReady = false;
+        if (this.sqlite) {
+            const sqliteModule = loadSqliteModule()!;
+            const tmpPath = `${this.sqlitePath}.tmp`;
+            try {
+                await this.removeSqliteFiles(tmpPath);
+                const tmpDb = SqliteDatabase.open(sqliteModule, tmpPath);
+                try {
+                    tmpDb.importData(data);
+                } finally {
+                    tmpDb.close();
+                }
+            } catch (error) {
+                await this.removeSqliteFiles(tmpPath).catch(() => { });
+                this.isReady = true;
+                throw error;
+            }
+            this.sqlite.close();
+            this.sqlite = undefined;
+            this.tables = undefined;
+            await this.removeSqliteFiles(this.sqlitePath);
+            await fsp.rename(tmpPath, this.sqlitePath);
+            await this.setupSqliteDatabase(sqliteModule);
+        } else {
+            //Flushing any pending write, as it could overwrite the new file
+            await this.writeDatabase();
+            this.#writePending = SavePriority.STANDBY;
+            const tmpPath = `${this.dbPath}.tmp`;
+            try {
+                await fsp.writeFile(tmpPath, JSON.stringify(data));
+                await fsp.rename(tmpPath, this.dbPath);
+            } catch (error) {
+                this.isReady = true;
+                throw error;
+            }
+            this.obj = undefined;
+            this.tables = undefined;
+            await this.setupJsonDatabase();
+        }
     }
 
 
@@ -194,10 +544,43 @@ export class DbInstance {
     }
 
 
+    /**
+     * Creates the automatic backup if the configured interval has passed since the last one
+     */
+    private async checkBackupNeeded() {
+        const intervalMinutes = txConfig.database.backupInterval;
+        if (!intervalMinutes || !this.isReady || this.#isBackingUp) return;
+        if (Date.now() - this.lastBackup < intervalMinutes * 60 * 1000) return;
+
+        this.#isBackingUp = true;
+        try {
+            await this.backupDatabase();
+        } finally {
+            this.lastBackup = Date.now();
+            this.#isBackingUp = false;
+        }
+    }
+
+
     /**
      * Creates a copy of the database file
      */
-    async backupDatabase(targetPath?: string) {
+    async backupDatabase(targetPath?: string, sqliteDb = this.sqlite) {
+        if (sqliteDb) {
+            //NOTE: VACUUM INTO requires the target to not exist
+            const finalPath = targetPath ?? this.sqliteBackupPath;
+            const tmpPath = `${finalPath}.tmp`;
+            try {
+                await this.removeSqliteFiles(tmpPath);
+                await sqliteDb.backupTo(tmpPath);
+                await fsp.rename(tmpPath, finalPath);
+            } catch (error) {
+                console.error(`Failed to backup database file '${this.sqlitePath}'`);
+                console.verbose.dir(error);
+            }
+            return;
+        }
+
         try {
             await fsp.copyFile(this.dbPath, targetPath ?? this.backupPath);
             // console.verbose.debug('Database file backed up.');
@@ -208,6 +591,21 @@ export class DbInstance {
     }
 
 
+    /**
+     * Returns the size of the database file
+     */
+    get fileSize() {
+        if (this.driver === 'sqlite') {
+            try {
+                return fs.statSync(this.sqlitePath).size;
+            } catch (error) {
+                return undefined;
+            }
+        }
+        return (this.obj?.adapter as any)?.fileSize;
+    }
+
+
     /**
      * Set write pending flag
      */
@@ -215,6 +613,8 @@ export class DbInstance {
         if (flag < SavePriority.LOW || flag > SavePriority.HIGH) {
             throw new Error('unknown priority flag!');
         }
+        //SQLite writes are saved immediately
+        if (this.driver === 'sqlite') return;
         if (flag > this.#writePending) {
             const flagName = SAVE_CONFIG[flag].name;
             console.verbose.debug(`writeFlag > ${flagName}`);
@@ -228,7 +628,7 @@ export class DbInstance {
      */
     private async checkWriteNeeded() {
         //Check if the database is ready
-        if (!this.obj) return;
+        if (!this.obj || !this.isReady) return;
 
         const timeStart = Date.now();
         const sinceLastWrite = timeStart - this.lastWrite;
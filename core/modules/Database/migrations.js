@@ -3,6 +3,7 @@ import { genActionID } from './dbUtils.js';
 import cleanPlayerName from '@shared/cleanPlayerName.js';
 import { DATABASE_VERSION, defaultDatabase } from './instance.js'; //FIXME: circular_dependency
 import { now } from '@lib/misc.js';
+import { migrateLegacyPlayerNote } from '@lib/player/playerNotes.js';
 import consoleFactory from '@lib/console.js';
 import fatalError from '@lib/fatalError.js';
 const console = consoleFactory(modulename);
@@ -161,6 +162,40 @@ export default async (dbo) => {
         await dbo.write();
     }
 
+    if (dbo.data.version === 5) {
+        console.warn('Updating your players database from v5 to v6.');
+        console.warn('This process will convert the player notes into a list of notes.');
+
+        //Migrating players
+        for (const player of dbo.data.players) {
+            player.notes = migrateLegacyPlayerNote(player.notes, player.tsJoined);
+        }
+
+        //Saving db
+        dbo.data.version = 6;
+        await dbo.write();
+    }
+
+    if (dbo.data.version === 6) {
+        console.warn('Updating your players database from v6 to v7.');
+        console.warn('This process will add the ban appeals collection.');
+        dbo.data.banAppeals = [];
+
+        //Saving db
+        dbo.data.version = 7;
+        await dbo.write();
+    }
+
+    if (dbo.data.version === 7) {
+        console.warn('Updating your players database from v7 to v8.');
+        console.warn('This process will add the player sessions collection.');
+        dbo.data.playerSessions = [];
+
+        //Saving db
+        dbo.data.version = 8;
+        await dbo.write();
+    }
+
     if (dbo.data.version !== DATABASE_VERSION) {
         fatalError.Database(52, [
             'Unexpected migration error: Did not reach the expected database version.',
@@ -0,0 +1,69 @@
+import { suite, it, expect } from 'vitest';
+import { getExpiredSnapshots, getSnapshotCounts, isValidSnapshotName } from './snapshots';
+
+
+suite('isValidSnapshotName', () => {
+    it('should accept the generated names', () => {
+        expect(isValidSnapshotName('snapshot_2024-01-31_23-59-59')).toBe(true);
+        expect(isValidSnapshotName('snapshot_2024-01-31_23-59-59_2')).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+        expect(isValidSnapshotName(undefined)).toBe(false);
+        expect(isValidSnapshotName('')).toBe(false);
+        expect(isValidSnapshotName('snapshot_2024-01-31')).toBe(false);
+        expect(isValidSnapshotName('../snapshot_2024-01-31_23-59-59')).toBe(false);
+        expect(isValidSnapshotName('snapshot_2024-01-31_23-59-59.json.gz')).toBe(false);
+        expect(isValidSnapshotName('snapshot_2024-01-31_23-59-59/../../admins')).toBe(false);
+    });
+});
+
+
+suite('getExpiredSnapshots', () => {
+    const snapshots = [
+        { name: 'b', ts: 200 },
+        { name: 'a', ts: 100 },
+        { name: 'd', ts: 400 },
+        { name: 'c', ts: 300 },
+    ];
+
+    it('should return the oldest snapshots over the limit', () => {
+        expect(getExpiredSnapshots(snapshots, 2)).toEqual(['b', 'a']);
+        expect(getExpiredSnapshots(snapshots, 3)).toEqual(['a']);
+    });
+
+    it('should keep everything under the limit', () => {
+        expect(getExpiredSnapshots(snapshots, 4)).toEqual([]);
+        expect(getExpiredSnapshots([], 1)).toEqual([]);
+    });
+
+    it('should always keep the newest snapshot', () => {
+        expect(getExpiredSnapshots(snapshots, 0)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should never return the kept snapshots', () => {
+        expect(getExpiredSnapshots(snapshots, 2, ['a'])).toEqual(['b']);
+        expect(getExpiredSnapshots(snapshots, 1, ['d'])).toEqual(['b', 'a']);
+    });
+});
+
+
+suite('getSnapshotCounts', () => {
+    it('should count the records of each table', () => {
+        const counts = getSnapshotCounts({
+            version: 5,
+            players: [{}, {}] as any,
+            actions: [{}] as any,
+            whitelistApprovals: [],
+            whitelistRequests: [{}, {}, {}] as any,
+            banAppeals: [],
+            playerSessions: [],
+        });
+        expect(counts).toEqual({
+            players: 2,
+            actions: 1,
+            whitelistApprovals: 0,
+            whitelistRequests: 3,
+        });
+    });
+});
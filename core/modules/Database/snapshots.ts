@@ -0,0 +1,321 @@
+const modulename = 'DatabaseSnapshots';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { txEnv, txHostConfig } from '@core/globalData';
+import { getTimeFilename, now } from '@lib/misc';
+import consoleFactory from '@lib/console';
+import type { DbInstance } from './instance';
+import type { DatabaseDataType } from './databaseTypes';
+const console = consoleFactory(modulename);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+//Consts
+const SNAPSHOT_FILE_VERSION = 1;
+const SNAPSHOT_NAME_REGEX = /^snapshot_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_\d+)?$/;
+const SCHEDULE_CHECK_INTERVAL = 60_000;
+
+//Types
+export type SnapshotReasonType = 'scheduled' | 'manual' | 'preRestore';
+export type SnapshotCountsType = {
+    players: number;
+    actions: number;
+    whitelistApprovals: number;
+    whitelistRequests: number;
+};
+export type SnapshotMetaType = {
+    name: string;
+    ts: number;
+    reason: SnapshotReasonType;
+    author: string | null;
+    txaVersion: string;
+    dbVersion: number;
+    size: number;
+    counts: SnapshotCountsType;
+};
+type SnapshotFileType = {
+    version: typeof SNAPSHOT_FILE_VERSION;
+    ts: number;
+    database: DatabaseDataType;
+    files: Record<string, string | null>;
+};
+
+
+/**
+ * Returns the record counts of the database data
+ */
+export const getSnapshotCounts = (data: DatabaseDataType): SnapshotCountsType => ({
+    players: data.players.length,
+    actions: data.actions.length,
+    whitelistApprovals: data.whitelistApprovals.length,
+    whitelistRequests: data.whitelistRequests.length,
+});
+
+
+/**
+ * Returns the names of the snapshots that should be deleted to keep the retention limit.
+ * The snapshots in keepNames are never deleted, and don't count towards the limit.
+ */
+export const getExpiredSnapshots = (
+    snapshots: Pick<SnapshotMetaType, 'name' | 'ts'>[],
+    retention: number,
+    keepNames: string[] = [],
+) => {
+    return snapshots
+        .filter((s) => !keepNames.includes(s.name))
+        .sort((a, b) => b.ts - a.ts)
+        .slice(Math.max(retention, 1))
+        .map((s) => s.name);
+};
+
+
+/**
+ * Returns if the snapshot name is valid, preventing path traversal
+ */
+export const isValidSnapshotName = (name: unknown): name is string => {
+    return typeof name === 'string' && SNAPSHOT_NAME_REGEX.test(name);
+};
+
+
+/**
+ * Handles the compressed database snapshots, which are taken on a schedule and can be restored by the master admin.
+ * Each snapshot contains the players database, the admins.json and the profile config.json files.
+ * The metadata is saved in a separate file so the listing doesn't need to decompress the snapshots.
+ */
+export default class DatabaseSnapshots {
+    readonly dirPath = txEnv.profileSubPath('data', 'snapshots');
+    readonly #includedFiles: Record<string, string> = {
+        'admins.json': txHostConfig.dataSubPath('admins.json'),
+        'config.json': txEnv.profileSubPath('config.json'),
+    };
+    #lastSnapshotTs: number | undefined;
+    #isBusy = false;
+
+    constructor(private readonly db: DbInstance) {
+        setInterval(() => {
+            this.checkSchedule().catch((error) => {
+                console.error(`Failed to create the scheduled database snapshot: ${(error as Error).message}`);
+                console.verbose.dir(error);
+            });
+        }, SCHEDULE_CHECK_INTERVAL);
+    }
+
+
+    /**
+     * Creates a snapshot if the configured interval has passed since the last one
+     */
+    private async checkSchedule() {
+        const intervalHours = txConfig.database.snapshotInterval;
+        if (!intervalHours || !this.db.isReady || this.#isBusy) return;
+        if (this.#lastSnapshotTs === undefined) {
+            const snapshots = await this.list();
+            this.#lastSnapshotTs = snapshots.length ? snapshots[0].ts : 0;
+        }
+        if (now() - this.#lastSnapshotTs < intervalHours * 60 * 60) return;
+        await this.create('scheduled');
+    }
+
+
+    /**
+     * Runs an operation, making sure there is only one running at a time
+     */
+    private async runExclusive<T>(func: () => Promise<T>) {
+        if (this.#isBusy) throw new Error('Another snapshot operation is already in progress.');
+        this.#isBusy = true;
+        try {
+            return await func();
+        } finally {
+            this.#isBusy = false;
+        }
+    }
+
+
+    /**
+     * Returns the paths for the snapshot files
+     */
+    private getPaths(name: string) {
+        if (!isValidSnapshotName(name)) throw new Error('Invalid snapshot name.');
+        return {
+            file: path.join(this.dirPath, `${name}.json.gz`),
+            meta: path.join(this.dirPath, `${name}.meta.json`),
+        };
+    }
+
+
+    /**
+     * Returns the path to the compressed snapshot file, or undefined if it doesn't exist
+     */
+    async getFilePath(name: string) {
+        const { file } = this.getPaths(name);
+        try {
+            await fsp.access(file);
+            return file;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+
+    /**
+     * Returns all the snapshots, newest first
+     */
+    async list() {
+        let dirEntries: string[];
+        try {
+            dirEntries = await fsp.readdir(this.dirPath);
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots: SnapshotMetaType[] = [];
+        for (const fileName of dirEntries) {
+            if (!fileName.endsWith('.meta.json')) continue;
+            const name = fileName.slice(0, -'.meta.json'.length);
+            if (!isValidSnapshotName(name)) continue;
+            try {
+                const paths = this.getPaths(name);
+                const meta = JSON.parse(await fsp.readFile(paths.meta, 'utf8'));
+                const stat = await fsp.stat(paths.file);
+                snapshots.push({ ...meta, name, size: stat.size });
+            } catch (error) {
+                console.verbose.warn(`Ignoring broken snapshot '${name}': ${(error as Error).message}`);
+            }
+        }
+        return snapshots.sort((a, b) => b.ts - a.ts);
+    }
+
+
+    /**
+     * Creates a new snapshot and deletes the ones over the retention limit
+     */
+    async create(reason: SnapshotReasonType, author: string | null = null) {
+        return this.runExclusive(async () => {
+            const snapshot = await this.createSnapshot(reason, author);
+            await this.deleteExpired();
+            return snapshot;
+        });
+    }
+
+    /**
+     * Writes the snapshot file, streaming the database through gzip so it's never fully serialized in memory
+     */
+    private async createSnapshot(reason: SnapshotReasonType, author: string | null) {
+        await fsp.mkdir(this.dirPath, { recursive: true });
+
+        //Finding an unused name
+        const baseName = `snapshot_${getTimeFilename()}`;
+        let name = baseName;
+        for (let i = 2; await this.getFilePath(name); i++) {
+            name = `${baseName}_${i}`;
+        }
+        const paths = this.getPaths(name);
+
+        //Collecting the files
+        const ts = now();
+        const files: SnapshotFileType['files'] = {};
+        for (const [fileName, filePath] of Object.entries(this.#includedFiles)) {
+            try {
+                files[fileName] = await fsp.readFile(filePath, 'utf8');
+            } catch (error) {
+                files[fileName] = null;
+            }
+        }
+
+        //Writing the files - the metadata goes last as it's what makes the snapshot listed
+        const db = this.db;
+        let dbCounts: SnapshotCountsType | undefined;
+        async function* snapshotChunks(): AsyncGenerator<string> {
+            yield `{"version":${SNAPSHOT_FILE_VERSION},"ts":${ts},"files":${JSON.stringify(files)},"database":`;
+            dbCounts = yield* db.exportDataJson();
+            yield '}';
+        }
+        //NOTE: each chunk is written as a separate gzip member, which gunzip reads as a single stream
+        const tmpPath = `${paths.file}.tmp`;
+        try {
+            const fileHandle = await fsp.open(tmpPath, 'w');
+            try {
+                for await (const chunk of snapshotChunks()) {
+                    await fileHandle.write(await gzip(chunk));
+                }
+            } finally {
+                await fileHandle.close();
+            }
+        } catch (error) {
+            await fsp.rm(tmpPath, { force: true });
+            throw error;
+        }
+        await fsp.rename(tmpPath, paths.file);
+        const meta: Omit<SnapshotMetaType, 'name' | 'size'> = {
+            ts,
+            reason,
+            author,
+            txaVersion: txEnv.txaVersion,
+            dbVersion: db.getVersion(),
+            counts: {
+                players: dbCounts!.players,
+                actions: dbCounts!.actions,
+                whitelistApprovals: dbCounts!.whitelistApprovals,
+                whitelistRequests: dbCounts!.whitelistRequests,
+            },
+        };
+        await fsp.writeFile(paths.meta, JSON.stringify(meta));
+        this.#lastSnapshotTs = ts;
+        console.verbose.ok(`Created ${reason} database snapshot '${name}'.`);
+
+        const { size } = await fsp.stat(paths.file);
+        return { ...meta, name, size } satisfies SnapshotMetaType;
+    }
+
+
+    /**
+     * Deletes the oldest snapshots over the retention limit
+     */
+    private async deleteExpired(keepNames: string[] = []) {
+        const snapshots = await this.list();
+        const expired = getExpiredSnapshots(snapshots, txConfig.database.snapshotRetention, keepNames);
+        for (const name of expired) {
+            const paths = this.getPaths(name);
+            await fsp.rm(paths.meta, { force: true });
+            await fsp.rm(paths.file, { force: true });
+        }
+        if (expired.length) {
+            console.verbose.log(`Deleted ${expired.length} expired database snapshot(s).`);
+        }
+    }
+
+
+    /**
+     * Restores the database from a snapshot.
+     * A snapshot of the current database is taken first, so the restore can be undone.
+     * NOTE: the admins.json and config.json files are not restored, they are only kept for manual recovery.
+     */
+    async restore(name: string, author: string) {
+        return this.runExclusive(async () => {
+            const filePath = await this.getFilePath(name);
+            if (!filePath) throw new Error('Snapshot not found.');
+
+            const decompressed = await gunzip(await fsp.readFile(filePath));
+            const snapshotFile = JSON.parse(decompressed.toString('utf8')) as SnapshotFileType;
+            if (snapshotFile?.version !== SNAPSHOT_FILE_VERSION || typeof snapshotFile.database !== 'object') {
+                throw new Error('Unsupported snapshot file format.');
+            }
+
+            //The expired snapshots are only deleted after the restore, and never the one restored
+            const preRestore = await this.createSnapshot('preRestore', author);
+            await this.db.replaceData(snapshotFile.database);
+            console.warn(`Database restored from snapshot '${name}' by ${author}.`);
+            try {
+                await this.deleteExpired([name]);
+            } catch (error) {
+                console.warn(`Failed to delete the expired snapshots: ${(error as Error).message}`);
+            }
+            return {
+                counts: getSnapshotCounts(snapshotFile.database),
+                preRestoreName: preRestore.name,
+            };
+        });
+    }
+}
@@ -0,0 +1,35 @@
+const modulename = 'DiscordBot:cmd:appeal';
+import { CommandInteraction as ChatInputCommandInteraction } from 'discord.js';
+import { submitBanAppeal } from '@lib/player/playerAppeals';
+import { embedder } from '../discordHelpers';
+import consoleFactory from '@lib/console';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Command /appeal <ban_id> <message>
+ * NOTE: the replies are ephemeral, since the appeal is between the player and the staff
+ */
+export default async (interaction: ChatInputCommandInteraction) => {
+    //@ts-ignore: somehow vscode is resolving interaction as CommandInteraction
+    const banId = interaction.options.getString('ban_id', true);
+    //@ts-ignore: somehow vscode is resolving interaction as CommandInteraction
+    const message = interaction.options.getString('message', true);
+
+    try {
+        const appeal = submitBanAppeal({
+            actionId: banId,
+            message,
+            source: 'discord',
+            discordId: interaction.user.id,
+            discordName: interaction.user.username,
+        });
+        console.log(`Received ban appeal ${appeal.id} for ban ${appeal.actionId} from ${interaction.user.username}.`);
+        return await interaction.reply(embedder.success(
+            `Your appeal \`${appeal.id}\` for the ban \`${appeal.actionId}\` was submitted and will be reviewed by the staff.`,
+            true
+        ));
+    } catch (error) {
+        return await interaction.reply(embedder.danger((error as Error).message, true));
+    }
+}
@@ -3,6 +3,7 @@ import { APIEmbedField, CommandInteraction, EmbedBuilder, EmbedData } from 'disc
 import { parsePlayerId } from '@lib/player/idUtils';
 import { embedder } from '../discordHelpers';
 import { findPlayersByIdentifier } from '@lib/player/playerFinder';
+import { getMainPlayerNote } from '@lib/player/playerNotes';
 import { txEnv } from '@core/globalData';
 import humanizeDuration from 'humanize-duration';
 import consoleFactory from '@lib/console';
@@ -103,18 +104,18 @@ export default async (interaction: CommandInteraction) => {
         //If admin query
         let fields: APIEmbedField[] | undefined;
         if (includeAdminInfo) {
-            //Counting bans/warns
+            //Counting bans/warns/kicks/mutes
             const actionHistory = player.getHistory();
-            const actionCount = { ban: 0, warn: 0 };
+            const actionCount = { ban: 0, warn: 0, kick: 0, mute: 0 };
             for (const log of actionHistory) {
                 actionCount[log.type]++;
             }
-            const banText = (actionCount.ban === 1) ? '1 ban' : `${actionCount.ban} bans`;
-            const warnText = (actionCount.warn === 1) ? '1 warn' : `${actionCount.warn} warns`;
-            bodyText['Log'] = `${banText}, ${warnText}`;
+            bodyText['Log'] = Object.entries(actionCount)
+                .map(([type, count]) => (count === 1) ? `1 ${type}` : `${count} ${type}s`)
+                .join(', ');
 
             //Filling notes + identifiers
-            const notesText = (dbData.notes) ? dbData.notes.text : 'nothing here';
+            const notesText = getMainPlayerNote(dbData.notes)?.text ?? 'nothing here';
             const idsText = (dbData.ids.length) ? dbData.ids.join('\n') : 'nothing here';
             fields = [
                 {
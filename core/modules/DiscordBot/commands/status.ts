@@ -242,7 +242,7 @@ export default async (interaction: ChatInputCommandInteraction) => {
         txCore.cacheStore.delete('discord:status:messageId');
         if (isRemoveOnly) {
             const msg = `Old status embed removed.`;
-            logDiscordAdminAction(adminName, msg);
+            logDiscordAdminAction(adminName, msg, { type: 'discord.status_embed' });
             return await interaction.reply(embedder.success(msg, true));
         }
     } catch (error) {
@@ -289,6 +289,6 @@ export default async (interaction: ChatInputCommandInteraction) => {
     }
 
     const msg = `Status embed saved.`;
-    logDiscordAdminAction(adminName, msg);
+    logDiscordAdminAction(adminName, msg, { type: 'discord.status_embed' });
     return await interaction.reply(embedder.success(msg, true));
 }
@@ -41,7 +41,10 @@ const handleMemberSubcommand = async (interaction: ChatInputCommandInteraction,
     }
 
     const msg = `Added whitelist approval for ${playerName}.`;
-    logDiscordAdminAction(adminName, msg);
+    logDiscordAdminAction(adminName, msg, {
+        type: 'whitelist.approval.add',
+        target: { name: playerName, ids: [identifier] },
+    });
     return await interaction.reply(embedder.success(msg));
 }
 
@@ -96,7 +99,11 @@ const handleRequestSubcommand = async (interaction: ChatInputCommandInteraction,
     }
 
     const msg = `Approved whitelist request \`${reqId}\` from ${playerName}.`;
-    logDiscordAdminAction(adminName, msg);
+    logDiscordAdminAction(adminName, msg, {
+        type: 'whitelist.request.approve',
+        target: { license: req.license, name: playerName },
+        params: { reqId },
+    });
     return await interaction.reply(embedder.success(msg));
 }
 
@@ -2,6 +2,7 @@ const modulename = 'DiscordBot:cmd';
 import orderedEmojis from 'unicode-emoji-json/data-ordered-emoji';
 import { ColorResolvable, CommandInteraction, EmbedBuilder, InteractionReplyOptions } from "discord.js";
 import consoleFactory from '@lib/console';
+import type { AuditLogDetailsType } from '@modules/Logger/auditUtils';
 const console = consoleFactory(modulename);
 const allEmojis = new Set(orderedEmojis);
 
@@ -71,8 +72,8 @@ export const ensurePermission = async (interaction: CommandInteraction, reqPerm:
 /**
  * Equivalent to ctx.admin.logAction()
  */
-export const logDiscordAdminAction = async (adminName: string, message: string) => {
-    txCore.logger.admin.write(adminName, message);
+export const logDiscordAdminAction = async (adminName: string, message: string, details?: AuditLogDetailsType) => {
+    txCore.logger.admin.write(adminName, message, 'default', details);
 }
 
 
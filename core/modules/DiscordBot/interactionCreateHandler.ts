@@ -3,6 +3,7 @@ import { Interaction, InteractionType } from 'discord.js';
 import infoCommandHandler from './commands/info';
 import statusCommandHandler from './commands/status';
 import whitelistCommandHandler from './commands/whitelist';
+import appealCommandHandler from './commands/appeal';
 import { embedder } from './discordHelpers';
 import { cloneDeep } from 'lodash-es'; //DEBUG
 import consoleFactory from '@lib/console';
@@ -14,6 +15,7 @@ const handlers = {
     status: statusCommandHandler,
     whitelist: whitelistCommandHandler,
     info: infoCommandHandler,
+    appeal: appealCommandHandler,
 }
 
 const noHandlerResponse = async (interaction: Interaction) => {
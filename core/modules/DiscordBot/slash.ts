@@ -105,6 +105,29 @@ const infoCommand: ApplicationCommandDataResolvable = {
     ]
 }
 
+const appealCommand: ApplicationCommandDataResolvable = {
+    type: ApplicationCommandType.ChatInput,
+    name: 'appeal',
+    description: 'Appeals a ban from the game server.',
+    options: [
+        {
+            type: ApplicationCommandOptionType.String,
+            name: 'ban_id',
+            description: 'The ID of the ban, shown when trying to connect (eg BXXX-XXXX).',
+            required: true,
+            minLength: 9,
+            maxLength: 9,
+        },
+        {
+            type: ApplicationCommandOptionType.String,
+            name: 'message',
+            description: 'Why the ban should be revoked.',
+            required: true,
+            maxLength: 2048,
+        },
+    ]
+}
+
 /**
  * Exported commands
  */
@@ -112,4 +135,5 @@ export default [
     statusCommand,
     whitelistCommand,
     infoCommand,
+    appealCommand,
 ] as ApplicationCommandDataResolvable[];
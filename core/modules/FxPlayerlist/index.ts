@@ -1,10 +1,12 @@
 const modulename = 'FxPlayerlist';
 import { cloneDeep } from 'lodash-es';
 import { ServerPlayer } from '@lib/player/playerClasses.js';
-import { DatabaseActionWarnType, DatabasePlayerType } from '@modules/Database/databaseTypes';
+import { DatabaseActionMuteType, DatabaseActionWarnType, DatabasePlayerSessionDropType, DatabasePlayerType } from '@modules/Database/databaseTypes';
 import consoleFactory from '@lib/console';
-import { PlayerDroppedEventType, PlayerJoiningEventType } from '@shared/socketioTypes';
+import { PlayerDroppedEventType, PlayerJoiningEventType, PlayerTagsEventType } from '@shared/socketioTypes';
 import { SYM_SYSTEM_AUTHOR } from '@lib/symbols';
+import { resolvePlayerTags } from '@lib/player/playerTags';
+import { now } from '@lib/misc';
 const console = consoleFactory(modulename);
 
 
@@ -75,6 +77,9 @@ export default class FxPlayerlist {
     handleServerClose(oldMutex: string) {
         for (const player of this.#playerlist) {
             if (player) {
+                if (player.isConnected) {
+                    this.#saveSession(player, oldMutex, 'shutdown');
+                }
                 player.disconnect();
                 if (player.license) {
                     this.licenseCache.push([`${oldMutex}#${player.netid}`, player.license]);
@@ -92,6 +97,26 @@ export default class FxPlayerlist {
     }
 
 
+    /**
+     * Saves the session of a registered player that is disconnecting.
+     */
+    #saveSession(player: ServerPlayer, mutex: string, dropCategory: DatabasePlayerSessionDropType) {
+        if (!player.isRegistered || !player.license) return;
+        try {
+            txCore.database.sessions.register({
+                license: player.license,
+                mutex,
+                netid: player.netid,
+                tsJoin: player.tsConnected,
+                tsLeave: now(),
+                dropCategory,
+            });
+        } catch (error) {
+            console.verbose.warn(`Failed to save the session of ${player.displayName}: ${(error as Error).message}`);
+        }
+    }
+
+
     /**
      * To guarantee multiple instances of the same player license have their dbData synchronized,
      * this function (called by database.players.update) goes through every matching player 
@@ -125,6 +150,7 @@ export default class FxPlayerlist {
                     pureName: p!.pureName,
                     ids: p!.ids,
                     license: p!.license,
+                    tags: resolvePlayerTags(p!.dbData ? p!.dbData.tags : undefined),
                 });
             });
     }
@@ -152,20 +178,69 @@ export default class FxPlayerlist {
         return new Set(this.#playerlist.filter(p => p && p.isConnected).map(p => p!.license));
     }
 
+    /**
+     * Returns the licenses of the players of this server session that connected from the same IP as the license.
+     * NOTE: the IPs are not saved, so this only considers players since the server started.
+     */
+    getSessionIpOverlaps(searchLicense: string) {
+        const ips = new Set<string>();
+        for (const player of this.#playerlist) {
+            if (player?.license === searchLicense && player.ip) ips.add(player.ip);
+        }
+        const licenses = new Set<string>();
+        if (!ips.size) return licenses;
+        for (const player of this.#playerlist) {
+            if (!player?.license || player.license === searchLicense) continue;
+            if (player.ip && ips.has(player.ip)) licenses.add(player.license);
+        }
+        return licenses;
+    }
+
+    /**
+     * Pushes the updated tags of the online players with this license to the playerlist room.
+     */
+    dispatchPlayerTagsUpdate(license: string) {
+        const mutex = txCore.fxRunner.child?.mutex;
+        if (!mutex) return;
+        for (const player of this.getOnlinePlayersByLicense(license)) {
+            txCore.webServer.webSocket.buffer<PlayerTagsEventType>('playerlist', {
+                mutex,
+                type: 'playerTags',
+                netid: player.netid,
+                tags: resolvePlayerTags(player.dbData ? player.dbData.tags : undefined),
+            });
+        }
+    }
+
     /**
      * Receives initial data callback from ServerPlayer and dispatches to the server as stdin.
      */
-    dispatchInitialPlayerData(playerId: number, pendingWarn: DatabaseActionWarnType) {
-        const cmdData = {
-            netId: playerId,
-            pendingWarn: {
+    dispatchInitialPlayerData(
+        playerId: number,
+        pendingWarn: DatabaseActionWarnType | undefined,
+        activeMute: DatabaseActionMuteType | undefined,
+    ) {
+        const cmdData: Record<string, any> = { netId: playerId };
+        if (pendingWarn) {
+            cmdData.pendingWarn = {
                 author: pendingWarn.author,
                 reason: pendingWarn.reason,
                 actionId: pendingWarn.id,
                 targetNetId: playerId,
                 targetIds: pendingWarn.ids, //not used in the playerWarned handler
                 targetName: pendingWarn.playerName,
-            }
+            };
+        }
+        if (activeMute) {
+            cmdData.activeMute = {
+                author: activeMute.author,
+                reason: activeMute.reason,
+                actionId: activeMute.id,
+                expiration: activeMute.expiration,
+                targetNetId: playerId,
+                targetIds: activeMute.ids,
+                targetName: activeMute.playerName,
+            };
         }
         txCore.fxRunner.sendCommand('txaInitialData', [cmdData], SYM_SYSTEM_AUTHOR);
     }
@@ -198,6 +273,7 @@ export default class FxPlayerlist {
                     pureName: svPlayer.pureName,
                     ids: svPlayer.ids,
                     license: svPlayer.license,
+                    tags: resolvePlayerTags(svPlayer.dbData ? svPlayer.dbData.tags : undefined),
                 });
             } catch (error) {
                 console.verbose.warn(`playerJoining event error: ${(error as Error).message}`);
@@ -210,6 +286,7 @@ export default class FxPlayerlist {
                 this.#playerlist[payload.id]!.disconnect();
                 this.joinLeaveLog.push([currTs, false]);
                 const reasonCategory = txCore.metrics.playerDrop.handlePlayerDrop(payload);
+                this.#saveSession(this.#playerlist[payload.id]!, mutex, reasonCategory || 'shutdown');
                 if (reasonCategory !== false) {
                     txCore.logger.server.write([{
                         type: 'playerDropped',
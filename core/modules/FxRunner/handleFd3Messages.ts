@@ -31,7 +31,10 @@ const handleBridgedCommands = (payload: any) => {
 
             //Resolve admin
             const author = payload.author;
-            txCore.logger.admin.write(author, `Sending announcement: ${message}`);
+            txCore.logger.admin.write(author, `Sending announcement: ${message}`, 'default', {
+                type: 'server.announcement',
+                params: { message },
+            });
 
             // Dispatch `txAdmin:events:announcement`
             txCore.fxRunner.sendEvent('announcement', { message, author });
@@ -388,10 +388,17 @@ export default class FxRunner {
 
     /**
      * Fires an `txAdmin:event` inside the server via srvCmd > stdin > command > lua broadcaster.  
+     * The event is also dispatched to the configured webhooks, even if the server is offline.  
      * @returns true if the command was sent successfully, false otherwise.
      */
     public sendEvent(eventType: string, data = {}) {
         if (typeof eventType !== 'string' || !eventType) throw new Error('invalid eventType');
+        try {
+            txCore.webhooks.dispatch(eventType, data);
+        } catch (error) {
+            console.verbose.error(`Error dispatching server event ${eventType} to the webhooks`);
+            console.verbose.dir(error);
+        }
         try {
             return this.sendCommand('txaEvent', [eventType, data], SYM_SYSTEM_AUTHOR);
         } catch (error) {
@@ -312,7 +312,10 @@ export default class FxScheduler {
 
         //Restart server
         const logMessage = `Restarting server: ${reasonInternal}`;
-        txCore.logger.admin.write('SCHEDULER', logMessage);
+        txCore.logger.admin.write('SCHEDULER', logMessage, 'default', {
+            type: 'server.restart',
+            params: { reason: reasonInternal },
+        });
         txCore.logger.fxserver.logInformational(logMessage); //just for better visibility
         txCore.fxRunner.restartServer(reasonTranslated, SYM_SYSTEM_AUTHOR);
     }
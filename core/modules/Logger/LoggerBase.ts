@@ -18,20 +18,21 @@ export class LoggerBase {
     lrErrors = 0;
     public activeFilePath: string;
     private lrLastError: string | undefined;
-    private basePath: string;
-    private logNameRegex: RegExp;
+    protected basePath: string;
+    protected logNameRegex: RegExp;
 
     constructor(
         basePath: string,
         logName: string,
         lrDefaultOptions: rfs.Options,
-        lrProfileConfig: rfs.Options | false = false
+        lrProfileConfig: rfs.Options | false = false,
+        fileExt = 'log',
     ) {
         //Sanity check
         if (!basePath || !logName) throw new Error('Missing constructor parameters');
         this.basePath = basePath;
-        this.activeFilePath = path.join(basePath, `${logName}.log`);
-        this.logNameRegex = new RegExp(`^${logName}(_\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}(_\\d+)?)?.log$`);
+        this.activeFilePath = path.join(basePath, `${logName}.${fileExt}`);
+        this.logNameRegex = new RegExp(`^${logName}(_\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}(_\\d+)?)?.${fileExt}$`);
 
         //If disabled
         if (lrProfileConfig === false) {
@@ -50,13 +51,16 @@ export class LoggerBase {
 
         const filenameGenerator: rfs.Generator = (time, index) => {
             return time
-                ? `${logName}_${getTimeFilename(time)}_${index}.log`
-                : `${logName}.log`;
+                ? `${logName}_${getTimeFilename(time)}_${index}.${fileExt}`
+                : `${logName}.${fileExt}`;
         };
 
         this.lrStream = rfs.createStream(filenameGenerator, lrOptions);
         this.lrStream.on('rotated', (filename) => {
-            this.lrStream.write(getLogDivider('Log Rotated'));
+            //NOTE: the divider would break line-delimited formats like jsonl
+            if (fileExt === 'log') {
+                this.lrStream.write(getLogDivider('Log Rotated'));
+            }
             console.verbose.log(`Rotated file ${filename}`);
         });
         this.lrStream.on('error', (error) => {
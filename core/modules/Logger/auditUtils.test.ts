@@ -0,0 +1,61 @@
+import { suite, it, expect } from 'vitest';
+import { AuditLogEntryType, filterAuditLogEntry, parseAuditLogLine } from './auditUtils';
+
+const banEntry: AuditLogEntryType = {
+    ts: 1700000000,
+    admin: 'tabarra',
+    type: 'player.ban',
+    message: 'Banned player "Someone": cheating',
+    target: {
+        license: '9b9fc300cc65d22ad3b536175a4d15c0e4933753',
+        netid: 15,
+        name: 'Someone',
+        ids: ['license:9b9fc300cc65d22ad3b536175a4d15c0e4933753', 'discord:272800190639898628'],
+    },
+    params: { reason: 'cheating' },
+    ip: '127.0.0.1',
+};
+
+
+suite('parseAuditLogLine', () => {
+    it('should parse valid entries', () => {
+        expect(parseAuditLogLine(JSON.stringify(banEntry))).toEqual(banEntry);
+    });
+    it('should ignore empty, malformed and invalid lines', () => {
+        expect(parseAuditLogLine('')).toBeUndefined();
+        expect(parseAuditLogLine('{not json')).toBeUndefined();
+        expect(parseAuditLogLine('[12:00:00][tabarra] text line')).toBeUndefined();
+        expect(parseAuditLogLine(JSON.stringify({ ts: 1, admin: 'x' }))).toBeUndefined();
+    });
+});
+
+
+suite('filterAuditLogEntry', () => {
+    it('should match everything without filters', () => {
+        expect(filterAuditLogEntry(banEntry, {})).toBe(true);
+    });
+    it('should filter by admin, including their api tokens', () => {
+        expect(filterAuditLogEntry(banEntry, { admin: 'Tabarra' })).toBe(true);
+        expect(filterAuditLogEntry({ ...banEntry, admin: 'tabarra:bot' }, { admin: 'tabarra' })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { admin: 'tab' })).toBe(false);
+    });
+    it('should filter by type and subtypes', () => {
+        expect(filterAuditLogEntry(banEntry, { type: 'player.ban' })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { type: 'player' })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { type: 'player.b' })).toBe(false);
+        expect(filterAuditLogEntry(banEntry, { type: 'player.warn' })).toBe(false);
+    });
+    it('should filter by target', () => {
+        expect(filterAuditLogEntry(banEntry, { target: '9B9FC300' })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { target: '15' })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { target: 'someone else' })).toBe(false);
+        expect(filterAuditLogEntry(banEntry, { target: 'someone' })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { target: 'discord:272800190639898628' })).toBe(true);
+        expect(filterAuditLogEntry({ ...banEntry, target: undefined }, { target: 'someone' })).toBe(false);
+    });
+    it('should filter by inclusive date range', () => {
+        expect(filterAuditLogEntry(banEntry, { tsFrom: banEntry.ts, tsTo: banEntry.ts })).toBe(true);
+        expect(filterAuditLogEntry(banEntry, { tsFrom: banEntry.ts + 1 })).toBe(false);
+        expect(filterAuditLogEntry(banEntry, { tsTo: banEntry.ts - 1 })).toBe(false);
+    });
+});
@@ -0,0 +1,111 @@
+import { z } from 'zod';
+import type { PlayerClass } from '@lib/player/playerClasses';
+
+//Consts
+export const AUDIT_LOG_NAME = 'audit';
+export const AUDIT_LOG_EXT = 'jsonl';
+export const AUDIT_DEFAULT_TYPE = 'other';
+export const AUDIT_SEARCH_MAX_RESULTS = 2500;
+
+//Types
+const AuditLogTargetSchema = z.object({
+    license: z.string().optional(),
+    netid: z.number().optional(),
+    name: z.string().optional(),
+    ids: z.array(z.string()).optional(),
+});
+const AuditLogEntrySchema = z.object({
+    ts: z.number(),
+    admin: z.string(),
+    type: z.string(),
+    message: z.string(),
+    target: AuditLogTargetSchema.optional(),
+    params: z.record(z.unknown()).optional(),
+    ip: z.string().optional(),
+});
+export type AuditLogTargetType = z.infer<typeof AuditLogTargetSchema>;
+export type AuditLogEntryType = z.infer<typeof AuditLogEntrySchema>;
+
+/**
+ * The structured data that can be attached to an admin log write.
+ * The `type` is a dot-separated action type, like `player.ban` or `admin.edit`.
+ */
+export type AuditLogDetailsType = {
+    type?: string;
+    target?: AuditLogTargetType;
+    params?: Record<string, unknown>;
+    ip?: string;
+};
+
+export type AuditLogFiltersType = {
+    admin?: string;
+    type?: string;
+    target?: string;
+    tsFrom?: number;
+    tsTo?: number;
+};
+
+
+/**
+ * Parses a line of the audit log file, returning undefined if it is invalid
+ */
+export const parseAuditLogLine = (line: string) => {
+    if (!line.length) return;
+    try {
+        const result = AuditLogEntrySchema.safeParse(JSON.parse(line));
+        return result.success ? result.data : undefined;
+    } catch (error) {
+        return;
+    }
+}
+
+
+/**
+ * Checks if an audit log entry matches all the provided filters.
+ * - admin: case-insensitive, also matches the API tokens of that admin (`name:token`);
+ * - type: exact match, or any subtype (`player` matches `player.ban`);
+ * - target: case-insensitive partial match on the license, name or ids, or exact match on the netid;
+ * - tsFrom/tsTo: inclusive range, in seconds.
+ */
+export const filterAuditLogEntry = (entry: AuditLogEntryType, filters: AuditLogFiltersType) => {
+    if (filters.tsFrom !== undefined && entry.ts < filters.tsFrom) return false;
+    if (filters.tsTo !== undefined && entry.ts > filters.tsTo) return false;
+
+    if (filters.admin) {
+        const filterAdmin = filters.admin.toLowerCase();
+        const entryAdmin = entry.admin.toLowerCase();
+        if (entryAdmin !== filterAdmin && !entryAdmin.startsWith(`${filterAdmin}:`)) return false;
+    }
+
+    if (filters.type) {
+        if (entry.type !== filters.type && !entry.type.startsWith(`${filters.type}.`)) return false;
+    }
+
+    if (filters.target) {
+        if (!entry.target) return false;
+        const filterTarget = filters.target.toLowerCase();
+        const { license, netid, name, ids } = entry.target;
+        const isMatch = (
+            (netid !== undefined && netid.toString() === filterTarget)
+            || license?.toLowerCase().includes(filterTarget)
+            || name?.toLowerCase().includes(filterTarget)
+            || ids?.some((id) => id.toLowerCase().includes(filterTarget))
+        );
+        if (!isMatch) return false;
+    }
+
+    return true;
+}
+
+
+/**
+ * Returns the audit log target data for a player
+ */
+export const getPlayerAuditTarget = (player: PlayerClass): AuditLogTargetType => {
+    const target: AuditLogTargetType = {
+        name: player.displayName,
+    };
+    if (player.license) target.license = player.license;
+    if ('netid' in player && player.isConnected) target.netid = player.netid;
+    return target;
+}
@@ -4,12 +4,13 @@ import path from 'node:path';
 import { getBootDivider } from '../loggerUtils';
 import consoleFactory from '@lib/console';
 import { LoggerBase } from '../LoggerBase';
-import { chalkInversePad, getTimeHms } from '@lib/misc';
+import { chalkInversePad, getTimeHms, now } from '@lib/misc';
+import { AUDIT_DEFAULT_TYPE } from '../auditUtils';
 const console = consoleFactory(modulename);
 
 
 export default class AdminLogger extends LoggerBase {
-    constructor(basePath, lrProfileConfig) {
+    constructor(basePath, lrProfileConfig, auditLogger) {
         const lrDefaultOptions = {
             path: basePath,
             intervalBoundary: true,
@@ -21,6 +22,7 @@ export default class AdminLogger extends LoggerBase {
         super(basePath, 'admin', lrDefaultOptions, lrProfileConfig);
         this.lrStream.write(getBootDivider());
 
+        this.auditLogger = auditLogger;
         this.writeCounter = 0;
     }
 
@@ -56,14 +58,15 @@ export default class AdminLogger extends LoggerBase {
 
 
     /**
-     * Handles the input of log data
+     * Handles the input of log data, also writing the structured entry to the audit log
      * TODO: add here discord log forwarding
      *
      * @param {string} author
      * @param {string} action
      * @param {'default'|'command'} type
+     * @param {import('../auditUtils').AuditLogDetailsType} details
      */
-    write(author, action, type = 'default') {
+    write(author, action, type = 'default', details = {}) {
         let saveMsg;
         if (type === 'command') {
             saveMsg = `[${author}] executed "${action}"`;
@@ -73,5 +76,14 @@ export default class AdminLogger extends LoggerBase {
             console.log(saveMsg);
         }
         this.writeSystem(author, saveMsg);
+        this.auditLogger.write({
+            ts: now(),
+            admin: author,
+            type: details.type ?? (type === 'command' ? 'command' : AUDIT_DEFAULT_TYPE),
+            message: action,
+            target: details.target,
+            params: details.params,
+            ip: details.ip,
+        });
     }
 };
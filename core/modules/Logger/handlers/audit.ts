@@ -0,0 +1,123 @@
+const modulename = 'Logger:Audit';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import type { Options as RfsOptions } from 'rotating-file-stream';
+import consoleFactory from '@lib/console';
+import { LoggerBase } from '../LoggerBase';
+import {
+    AUDIT_LOG_EXT,
+    AUDIT_LOG_NAME,
+    AuditLogEntryType,
+    AuditLogFiltersType,
+    filterAuditLogEntry,
+    parseAuditLogLine,
+} from '../auditUtils';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Structured version of the admin log, with one JSON entry per line.
+ * Every entry written to the AdminLogger is also written here, so it can be filtered by the panel.
+ */
+export default class AuditLogger extends LoggerBase {
+    private writeCounter = 0;
+
+    constructor(basePath: string, lrProfileConfig: RfsOptions | false) {
+        const lrDefaultOptions: RfsOptions = {
+            path: basePath,
+            intervalBoundary: true,
+            initialRotation: true,
+            history: 'audit.history',
+            interval: '7d',
+        };
+        super(basePath, AUDIT_LOG_NAME, lrDefaultOptions, lrProfileConfig, AUDIT_LOG_EXT);
+    }
+
+
+    /**
+     * Returns a string with short usage stats
+     */
+    getUsageStats() {
+        return `Writes: ${this.writeCounter}, lrErrors: ${this.lrErrors}`;
+    }
+
+
+    /**
+     * Writes an entry to the log file
+     */
+    write(entry: AuditLogEntryType) {
+        this.lrStream.write(JSON.stringify(entry) + '\n');
+        this.writeCounter++;
+    }
+
+
+    /**
+     * Searches all the audit log files (including the rotated ones) for entries matching the filters.
+     * Returns the entries ordered from newest to oldest, up to the limit.
+     * The files are read line by line from newest to oldest, and the older files are skipped once the limit is reached.
+     */
+    async search(filters: AuditLogFiltersType, limit: number) {
+        //Listing files, from newest to oldest
+        const dirEntries = await fsp.readdir(this.basePath, { withFileTypes: true });
+        const activeFileName = path.basename(this.activeFilePath);
+        const rotatedFileNames = dirEntries
+            .filter((f) => f.isFile() && f.name !== activeFileName && this.logNameRegex.test(f.name))
+            .map((f) => f.name)
+            .sort()
+            .reverse();
+        const fileNames = [activeFileName, ...rotatedFileNames];
+
+        //Searching each file, one extra entry is kept to know if the results were truncated
+        const entries: AuditLogEntryType[] = [];
+        for (const fileName of fileNames) {
+            const fileLimit = limit + 1 - entries.length;
+            const fileEntries = await this.searchFile(fileName, filters, fileLimit);
+            entries.push(...fileEntries.reverse());
+            if (entries.length > limit) break;
+        }
+
+        return {
+            entries: entries.slice(0, limit),
+            isTruncated: entries.length > limit,
+        };
+    }
+
+
+    /**
+     * Reads a log file line by line, returning the last matching entries up to the limit, oldest first.
+     * NOTE: the entries are appended to the file, so only the newest matches are kept while reading.
+     */
+    private async searchFile(fileName: string, filters: AuditLogFiltersType, limit: number) {
+        let matches: AuditLogEntryType[] = [];
+        const processLine = (line: string) => {
+            const entry = parseAuditLogLine(line);
+            if (!entry || !filterAuditLogEntry(entry, filters)) return;
+            matches.push(entry);
+            //Trimming in batches to avoid shifting the array on every match
+            if (matches.length >= limit * 2) {
+                matches = matches.slice(-limit);
+            }
+        };
+
+        const fileStream = fs.createReadStream(path.join(this.basePath, fileName), { encoding: 'utf8' });
+        try {
+            let partialLine = '';
+            for await (const chunk of fileStream) {
+                const lines = (partialLine + (chunk as string)).split('\n');
+                partialLine = lines.pop()!;
+                for (const line of lines) {
+                    processLine(line);
+                }
+            }
+            processLine(partialLine);
+        } catch (error) {
+            if ((error as any).code !== 'ENOENT') {
+                console.verbose.warn(`Failed to read ${fileName}: ${(error as Error).message}`);
+            }
+        } finally {
+            fileStream.destroy();
+        }
+        return matches.slice(-limit);
+    }
+};
@@ -1,6 +1,7 @@
 const modulename = 'Logger';
 import type { Options as RfsOptions } from 'rotating-file-stream';
 import AdminLogger from './handlers/admin';
+import AuditLogger from './handlers/audit';
 import FXServerLogger from './FXServerLogger';
 import ServerLogger from './handlers/server';
 import { getLogSizes } from './loggerUtils.js';
@@ -15,11 +16,13 @@ const console = consoleFactory(modulename);
 export default class Logger {
     private readonly basePath = `${txEnv.profilePath}/logs/`;
     public readonly admin: AdminLogger;
+    public readonly audit: AuditLogger;
     public readonly fxserver: FXServerLogger;
     public readonly server: ServerLogger;
 
     constructor() {
-        this.admin = new AdminLogger(this.basePath, txConfig.logger.admin);
+        this.audit = new AuditLogger(this.basePath, txConfig.logger.audit);
+        this.admin = new AdminLogger(this.basePath, txConfig.logger.admin, this.audit);
         this.fxserver = new FXServerLogger(this.basePath, txConfig.logger.fxserver);
         this.server = new ServerLogger(this.basePath, txConfig.logger.server);
     }
@@ -41,7 +44,7 @@ export default class Logger {
     async getStorageSize() {
         return await getLogSizes(
             this.basePath,
-            /^(admin|fxserver|server)(_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_\d+)?)?.log$/,
+            /^(admin|fxserver|server)(_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_\d+)?)?.log$|^audit(_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(_\d+)?)?.jsonl$/,
         );
     }
 };
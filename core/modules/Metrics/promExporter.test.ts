@@ -0,0 +1,53 @@
+import { suite, it, expect } from 'vitest';
+import { PromTextBuilder } from './promExporter';
+import { QuantileArray } from './statsUtils';
+
+
+suite('PromTextBuilder', () => {
+    it('should declare each metric only once', () => {
+        const output = new PromTextBuilder()
+            .counter('test_total', 'Test counter.', 1, { reason: 'a' })
+            .counter('test_total', 'Test counter.', 2, { reason: 'b' })
+            .toString();
+        expect(output).toBe([
+            '# HELP test_total Test counter.',
+            '# TYPE test_total counter',
+            'test_total{reason="a"} 1',
+            'test_total{reason="b"} 2',
+            '',
+        ].join('\n'));
+    });
+
+    it('should escape label values', () => {
+        const output = new PromTextBuilder()
+            .gauge('test', 'Test.', 1, { name: 'a"b\\c\nd' })
+            .toString();
+        expect(output).toContain('test{name="a\\"b\\\\c\\nd"} 1');
+    });
+
+    it('should convert individual buckets to cumulative', () => {
+        const output = new PromTextBuilder()
+            .histogram('tick', 'Ticks.', {
+                boundaries: [0.005, 0.01, '+Inf'],
+                buckets: [10, 5, 1],
+                count: 16,
+                sum: 0.1,
+            }, { thread: 'svMain' })
+            .toString();
+        expect(output).toContain('tick_bucket{thread="svMain",le="0.005"} 10');
+        expect(output).toContain('tick_bucket{thread="svMain",le="0.01"} 15');
+        expect(output).toContain('tick_bucket{thread="svMain",le="+Inf"} 16');
+        expect(output).toContain('tick_sum{thread="svMain"} 0.1');
+        expect(output).toContain('tick_count{thread="svMain"} 16');
+    });
+
+    it('should export quantiles in seconds only if enough data', () => {
+        const qa = new QuantileArray(10, 2);
+        expect(new PromTextBuilder().quantilesMs('check', 'Check.', qa).toString()).toBe('\n');
+        qa.count(100);
+        qa.count(100);
+        const output = new PromTextBuilder().quantilesMs('check', 'Check.', qa).toString();
+        expect(output).toContain('check{quantile="0.5"} 0.1');
+        expect(output).toContain('check_samples 2');
+    });
+});
@@ -0,0 +1,184 @@
+import { txEnv } from '@core/globalData';
+import { FxMonitorHealth } from '@shared/enums';
+import { PERF_DATA_THREAD_NAMES } from './svRuntime/config';
+import type { QuantileArray } from './statsUtils';
+
+type PromLabels = Record<string, string>;
+type PromMetricType = 'gauge' | 'counter' | 'histogram';
+const MB_TO_BYTES = 1024 * 1024;
+const EXPORTED_QUANTILES = [
+    ['p5', '0.05'],
+    ['p25', '0.25'],
+    ['p50', '0.5'],
+    ['p75', '0.75'],
+    ['p95', '0.95'],
+] as const;
+
+
+/**
+ * Escapes a label value according to the Prometheus text exposition format
+ */
+const escapeLabelValue = (value: string) => {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+
+/**
+ * Formats a number according to the Prometheus text exposition format
+ */
+const formatValue = (value: number) => {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return value.toString();
+}
+
+
+/**
+ * Helper to build the Prometheus text exposition format (v0.0.4)
+ */
+export class PromTextBuilder {
+    private readonly lines: string[] = [];
+    private readonly declared = new Set<string>();
+
+    private declare(name: string, type: PromMetricType, help: string) {
+        if (this.declared.has(name)) return;
+        this.declared.add(name);
+        this.lines.push(`# HELP ${name} ${help}`);
+        this.lines.push(`# TYPE ${name} ${type}`);
+    }
+
+    private sample(name: string, value: number, labels?: PromLabels) {
+        const labelEntries = Object.entries(labels ?? {});
+        const labelsStr = labelEntries.length
+            ? `{${labelEntries.map(([key, val]) => `${key}="${escapeLabelValue(val)}"`).join(',')}}`
+            : '';
+        this.lines.push(`${name}${labelsStr} ${formatValue(value)}`);
+    }
+
+    gauge(name: string, help: string, value: number, labels?: PromLabels) {
+        this.declare(name, 'gauge', help);
+        this.sample(name, value, labels);
+        return this;
+    }
+
+    counter(name: string, help: string, value: number, labels?: PromLabels) {
+        this.declare(name, 'counter', help);
+        this.sample(name, value, labels);
+        return this;
+    }
+
+    /**
+     * Adds a histogram out of individual (non-cumulative) bucket counts
+     */
+    histogram(
+        name: string,
+        help: string,
+        data: { boundaries: (number | string)[], buckets: number[], count: number, sum: number },
+        labels?: PromLabels,
+    ) {
+        if (data.boundaries.length !== data.buckets.length) {
+            throw new Error('histogram boundaries and buckets must have the same length');
+        }
+        this.declare(name, 'histogram', help);
+        let cumulative = 0;
+        for (let i = 0; i < data.buckets.length; i++) {
+            cumulative += data.buckets[i];
+            const le = typeof data.boundaries[i] === 'number'
+                ? formatValue(data.boundaries[i] as number)
+                : String(data.boundaries[i]);
+            this.sample(`${name}_bucket`, cumulative, { ...labels, le });
+        }
+        this.sample(`${name}_sum`, data.sum, labels);
+        this.sample(`${name}_count`, data.count, labels);
+        return this;
+    }
+
+    /**
+     * Adds the quantiles of a QuantileArray as gauges with a quantile label, converted from ms to seconds
+     */
+    quantilesMs(name: string, help: string, quantileArray: QuantileArray) {
+        const result = quantileArray.result();
+        if (!result.enoughData) return this;
+        for (const [key, quantile] of EXPORTED_QUANTILES) {
+            this.gauge(name, help, result[key] / 1000, { quantile });
+        }
+        this.gauge(`${name}_samples`, `Number of samples used to calculate ${name}.`, result.count);
+        return this;
+    }
+
+    toString() {
+        return this.lines.join('\n') + '\n';
+    }
+}
+
+
+/**
+ * Collects all the metrics and returns them in the Prometheus text exposition format
+ */
+export const getPrometheusMetrics = () => {
+    const prom = new PromTextBuilder();
+    const { txRuntime, svRuntime } = txCore.metrics;
+
+    //txAdmin
+    prom.gauge('txadmin_info', 'txAdmin and FXServer version information.', 1, {
+        version: txEnv.txaVersion,
+        fxserver_version: String(txEnv.fxsVersion),
+    });
+    prom.gauge('txadmin_node_memory_bytes', 'txAdmin process resident memory.', process.memoryUsage().rss);
+
+    //FxMonitor
+    const monitorStatus = txCore.fxMonitor.status;
+    for (const health of Object.values(FxMonitorHealth)) {
+        prom.gauge(
+            'txadmin_fxserver_health',
+            'FXServer health status as seen by txAdmin, one series per status.',
+            monitorStatus.health === health ? 1 : 0,
+            { status: health },
+        );
+    }
+    prom.gauge('txadmin_fxserver_uptime_seconds', 'Seconds since the FXServer finished booting.', monitorStatus.uptime / 1000);
+    for (const [reason, count] of Object.entries(txRuntime.monitorStats.restartReasons)) {
+        prom.counter('txadmin_fxserver_restarts_total', 'FXServer restarts triggered by the monitor, by reason.', count, { reason });
+    }
+    for (const [type, count] of Object.entries(txRuntime.monitorStats.healthIssues)) {
+        prom.counter('txadmin_fxserver_health_issues_total', 'FXServer heartbeat failures, by source.', count, { type });
+    }
+
+    //Server runtime
+    prom.gauge('txadmin_fxserver_players', 'Number of players online.', txCore.fxPlayerlist.onlineCount);
+    const recentStats = svRuntime.getRecentStats();
+    if (typeof recentStats.fxsMemory === 'number') {
+        prom.gauge('txadmin_fxserver_memory_bytes', 'FXServer process memory usage.', recentStats.fxsMemory * MB_TO_BYTES);
+    }
+    if (recentStats.nodeMemory) {
+        prom.gauge('txadmin_fxserver_node_heap_used_bytes', 'FXServer Node.js heap used.', recentStats.nodeMemory.used * MB_TO_BYTES);
+        prom.gauge('txadmin_fxserver_node_heap_limit_bytes', 'FXServer Node.js heap limit.', recentStats.nodeMemory.limit * MB_TO_BYTES);
+    }
+    const rawPerf = svRuntime.getRawPerfData();
+    if (rawPerf) {
+        for (const thread of PERF_DATA_THREAD_NAMES) {
+            prom.histogram(
+                'txadmin_fxserver_tick_time_seconds',
+                'FXServer thread tick times, cumulative since the server boot.',
+                {
+                    boundaries: rawPerf.boundaries,
+                    buckets: rawPerf.perf[thread].buckets,
+                    count: rawPerf.perf[thread].count,
+                    sum: rawPerf.perf[thread].sum,
+                },
+                { thread },
+            );
+        }
+    }
+
+    //txAdmin runtime
+    prom.quantilesMs('txadmin_ban_check_duration_seconds', 'Time taken to check bans on player join.', txRuntime.banCheckTime);
+    prom.quantilesMs('txadmin_whitelist_check_duration_seconds', 'Time taken to check the whitelist on player join.', txRuntime.whitelistCheckTime);
+    prom.quantilesMs('txadmin_players_search_duration_seconds', 'Time taken to search the players table.', txRuntime.playersTableSearchTime);
+    prom.quantilesMs('txadmin_history_search_duration_seconds', 'Time taken to search the history table.', txRuntime.historyTableSearchTime);
+    prom.quantilesMs('txadmin_database_save_duration_seconds', 'Time taken to save the database file.', txRuntime.databaseSaveTime);
+    prom.quantilesMs('txadmin_perf_collection_duration_seconds', 'Time taken to collect the FXServer performance data.', txRuntime.perfCollectionTime);
+
+    return prom.toString();
+}
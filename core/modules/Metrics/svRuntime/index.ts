@@ -162,6 +162,18 @@ export default class SvRuntimeMetrics {
     }
 
 
+    /**
+     * Get the last raw (cumulative since boot) perf data, used by the metrics exporter
+     */
+    public getRawPerfData() {
+        if (!this.lastPerfBoundaries || !this.lastRawPerfData) return;
+        return {
+            boundaries: this.lastPerfBoundaries,
+            perf: this.lastRawPerfData,
+        };
+    }
+
+
     /**
      * Cron function to collect all the stats and save it to the cache file
      */
@@ -0,0 +1,112 @@
+import { suite, it, expect } from 'vitest';
+import { apiV1PaginationSchema, decodeApiV1Cursor, encodeApiV1Cursor, paginateApiV1List } from './apiV1Utils';
+
+type ItemType = { id: string; ts: number };
+const items: ItemType[] = [
+    { id: 'a', ts: 100 },
+    { id: 'b', ts: 300 },
+    { id: 'c', ts: 200 },
+    { id: 'd', ts: 200 },
+    { id: 'e', ts: 400 },
+];
+const paginate = (limit: number, desc: boolean, cursor?: string, source = items) => paginateApiV1List(source, {
+    scope: 'test',
+    getValue: (x) => x.ts,
+    getId: (x) => x.id,
+    desc,
+    limit,
+    cursor,
+});
+
+
+suite('apiV1 cursors', () => {
+    it('should encode and decode cursors', () => {
+        const cursor = encodeApiV1Cursor({ scope: 'test', value: 123, id: 'abc' });
+        expect(cursor).toMatch(/^[\w-]+$/);
+        expect(decodeApiV1Cursor(cursor, 'test')).toEqual({ scope: 'test', value: 123, id: 'abc' });
+    });
+    it('should reject cursors from other scopes', () => {
+        const cursor = encodeApiV1Cursor({ scope: 'players:tsJoined:desc', value: 123, id: 'abc' });
+        expect(decodeApiV1Cursor(cursor, 'players:playTime:desc')).toBeUndefined();
+    });
+    it('should reject malformed cursors', () => {
+        expect(decodeApiV1Cursor('', 'test')).toBeUndefined();
+        expect(decodeApiV1Cursor('not a cursor', 'test')).toBeUndefined();
+        expect(decodeApiV1Cursor(Buffer.from('{"a":1}').toString('base64url'), 'test')).toBeUndefined();
+        expect(decodeApiV1Cursor(Buffer.from('["test","1","a"]').toString('base64url'), 'test')).toBeUndefined();
+    });
+});
+
+
+suite('paginateApiV1List', () => {
+    it('should walk through all pages in descending order', () => {
+        const page1 = paginate(2, true);
+        expect(page1 && page1.data.map((x) => x.id)).toEqual(['e', 'b']);
+        const page2 = paginate(2, true, page1 ? page1.nextCursor! : undefined);
+        expect(page2 && page2.data.map((x) => x.id)).toEqual(['d', 'c']);
+        const page3 = paginate(2, true, page2 ? page2.nextCursor! : undefined);
+        expect(page3).toEqual({ data: [{ id: 'a', ts: 100 }], nextCursor: null });
+    });
+    it('should use the id as tiebreaker in ascending order', () => {
+        const page1 = paginate(3, false);
+        expect(page1 && page1.data.map((x) => x.id)).toEqual(['a', 'c', 'd']);
+        const page2 = paginate(3, false, page1 ? page1.nextCursor! : undefined);
+        expect(page2 && page2.data.map((x) => x.id)).toEqual(['b', 'e']);
+        expect(page2 && page2.nextCursor).toBeNull();
+    });
+    it('should not skip or repeat items when new ones are added between pages', () => {
+        const page1 = paginate(2, true);
+        const withNewItem = [...items, { id: 'f', ts: 500 }];
+        const page2 = paginate(2, true, page1 ? page1.nextCursor! : undefined, withNewItem);
+        expect(page2 && page2.data.map((x) => x.id)).toEqual(['d', 'c']);
+    });
+    it('should return null cursor when everything fits in a page', () => {
+        expect(paginate(5, true)).toMatchObject({ nextCursor: null });
+        expect(paginate(10, true, undefined, [])).toEqual({ data: [], nextCursor: null });
+    });
+    it('should reject invalid cursors', () => {
+        expect(paginate(2, true, 'invalid')).toBe(false);
+        const otherScope = encodeApiV1Cursor({ scope: 'other', value: 300, id: 'b' });
+        expect(paginate(2, true, otherScope)).toBe(false);
+    });
+    it('should not mutate the source array', () => {
+        const source = [...items];
+        paginate(2, true, undefined, source);
+        expect(source).toEqual(items);
+    });
+    it('should match a full sort when walking through unsorted items', () => {
+        const source = Array.from({ length: 200 }, (_, i) => ({
+            id: `id${(i * 7919) % 200}`,
+            ts: (i * 31) % 17,
+        }));
+        for (const desc of [true, false]) {
+            const expected = [...source]
+                .sort((a, b) => (a.ts - b.ts) || (a.id < b.id ? -1 : 1))
+                .map((x) => x.id);
+            if (desc) expected.reverse();
+
+            const walked: string[] = [];
+            let cursor: string | undefined;
+            do {
+                const page = paginate(7, desc, cursor, source);
+                if (!page) throw new Error('invalid page');
+                walked.push(...page.data.map((x) => x.id));
+                cursor = page.nextCursor ?? undefined;
+            } while (cursor);
+            expect(walked).toEqual(expected);
+        }
+    });
+});
+
+
+suite('apiV1PaginationSchema', () => {
+    it('should apply the defaults and coerce the limit', () => {
+        expect(apiV1PaginationSchema.parse({})).toEqual({ limit: 50 });
+        expect(apiV1PaginationSchema.parse({ limit: '10', cursor: 'abc' })).toEqual({ limit: 10, cursor: 'abc' });
+    });
+    it('should reject out of range limits', () => {
+        expect(apiV1PaginationSchema.safeParse({ limit: '0' }).success).toBe(false);
+        expect(apiV1PaginationSchema.safeParse({ limit: '501' }).success).toBe(false);
+        expect(apiV1PaginationSchema.safeParse({ limit: 'abc' }).success).toBe(false);
+    });
+});
@@ -0,0 +1,195 @@
+import { z } from 'zod';
+import type { InitializedCtx } from './ctxTypes';
+
+
+/**
+ * MARK: Consts & Types
+ */
+export const API_V1_PREFIX = '/api/v1';
+export const API_V1_DEFAULT_LIMIT = 50;
+export const API_V1_MAX_LIMIT = 500;
+
+const apiV1ErrorStatusCodes = {
+    bad_request: 400,
+    unauthorized: 401,
+    forbidden: 403,
+    not_found: 404,
+    conflict: 409,
+    internal_error: 500,
+} as const;
+export type ApiV1ErrorCode = keyof typeof apiV1ErrorStatusCodes;
+
+export type ApiV1ErrorResp = {
+    error: {
+        code: ApiV1ErrorCode;
+        message: string;
+        issues?: { path: string; message: string }[];
+    };
+};
+export type ApiV1ItemResp<T> = { data: T };
+export type ApiV1ListResp<T> = {
+    data: T[];
+    nextCursor: string | null;
+};
+
+//Common query params for paginated lists
+export const apiV1PaginationSchema = z.object({
+    limit: z.coerce.number().int().min(1).max(API_V1_MAX_LIMIT).default(API_V1_DEFAULT_LIMIT),
+    cursor: z.string().max(512).optional(),
+});
+
+
+/**
+ * MARK: Responses
+ */
+/**
+ * Sends an error response with the status code matching the error code
+ */
+export const sendApiV1Error = (
+    ctx: InitializedCtx,
+    code: ApiV1ErrorCode,
+    message: string,
+    issues?: ApiV1ErrorResp['error']['issues'],
+) => {
+    ctx.status = apiV1ErrorStatusCodes[code];
+    ctx.send<ApiV1ErrorResp>({
+        error: { code, message, ...(issues && { issues }) },
+    });
+};
+
+
+/**
+ * Sends a successful response, optionally with a status code like 201
+ */
+export const sendApiV1Data = <T extends ApiV1ItemResp<unknown> | ApiV1ListResp<unknown>>(
+    ctx: InitializedCtx,
+    data: T,
+    status = 200,
+) => {
+    ctx.status = status;
+    ctx.send<T>(data);
+};
+
+
+/**
+ * Validates an input (query, params or body) against a zod schema.
+ * If invalid, sends a bad_request error and returns undefined.
+ */
+export const parseApiV1Input = <T extends z.ZodTypeAny>(
+    ctx: InitializedCtx,
+    schema: T,
+    input: unknown,
+    inputName: 'query' | 'params' | 'body',
+): z.output<T> | undefined => {
+    const schemaRes = schema.safeParse(input ?? {});
+    if (schemaRes.success) return schemaRes.data;
+    const issues = schemaRes.error.issues.map((issue) => ({
+        path: issue.path.join('.'),
+        message: issue.message,
+    }));
+    sendApiV1Error(ctx, 'bad_request', `Invalid request ${inputName}.`, issues);
+    return undefined;
+};
+
+
+/**
+ * MARK: Pagination
+ */
+export type ApiV1CursorType = {
+    scope: string; //to prevent cursors from being reused with other lists or sortings
+    value: number;
+    id: string;
+};
+const cursorSchema = z.tuple([z.string(), z.number(), z.string()]);
+
+/**
+ * Encodes the position of an item as an opaque cursor
+ */
+export const encodeApiV1Cursor = ({ scope, value, id }: ApiV1CursorType) => {
+    return Buffer.from(JSON.stringify([scope, value, id])).toString('base64url');
+};
+
+
+/**
+ * Decodes a cursor, returning undefined if it's invalid or was generated for another scope
+ */
+export const decodeApiV1Cursor = (cursor: string, scope: string): ApiV1CursorType | undefined => {
+    try {
+        const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+        const parsed = cursorSchema.safeParse(JSON.parse(decoded));
+        if (!parsed.success || parsed.data[0] !== scope) return undefined;
+        return { scope, value: parsed.data[1], id: parsed.data[2] };
+    } catch (error) {
+        return undefined;
+    }
+};
+
+
+/**
+ * Paginates a list using keyset pagination over a numeric sort value and an unique id as tiebreaker.
+ * Unlike offsets, this doesn't skip or repeat items when new ones are added between requests.
+ * Instead of sorting the whole list, only the items of the requested page are kept sorted while
+ * scanning it once, and the source is never copied.
+ * Each item is compared with the last kept one first, so only the ones that enter the page pay for
+ * the insertion, making the worst case O(n * limit) but close to O(n) for large lists.
+ * Returns false if the cursor is invalid.
+ * NOTE: does not mutate the source.
+ */
+export const paginateApiV1List = <T>(
+    items: Iterable<T>,
+    opts: {
+        scope: string;
+        getValue: (item: T) => number;
+        getId: (item: T) => string;
+        desc: boolean;
+        limit: number;
+        cursor?: string;
+    },
+): ApiV1ListResp<T> | false => {
+    const { scope, getValue, getId, desc, limit } = opts;
+    let cursor: ApiV1CursorType | undefined;
+    if (opts.cursor !== undefined) {
+        cursor = decodeApiV1Cursor(opts.cursor, scope);
+        if (!cursor) return false;
+    }
+    const direction = desc ? -1 : 1;
+    const compare = (aValue: number, aId: string, bValue: number, bId: string) => {
+        if (aValue !== bValue) return (aValue - bValue) * direction;
+        if (aId === bId) return 0;
+        return (aId < bId ? -1 : 1) * direction;
+    };
+
+    //Keeping the first limit+1 items after the cursor, the extra one tells if there is a next page
+    const maxKept = limit + 1;
+    const kept: { item: T, value: number, id: string }[] = [];
+    for (const item of items) {
+        const value = getValue(item);
+        const id = getId(item);
+        if (cursor && compare(value, id, cursor.value, cursor.id) <= 0) continue;
+        if (kept.length === maxKept) {
+            const last = kept[maxKept - 1];
+            if (compare(value, id, last.value, last.id) >= 0) continue;
+            kept.pop();
+        }
+
+        //Binary search for the insert position
+        let low = 0;
+        let high = kept.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (compare(kept[mid].value, kept[mid].id, value, id) < 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        kept.splice(low, 0, { item, value, id });
+    }
+
+    const page = kept.slice(0, limit);
+    const lastEntry = page[page.length - 1];
+    const nextCursor = kept.length > limit && lastEntry
+        ? encodeApiV1Cursor({ scope, value: lastEntry.value, id: lastEntry.id })
+        : null;
+    return { data: page.map((entry) => entry.item), nextCursor };
+};
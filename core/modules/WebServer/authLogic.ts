@@ -4,6 +4,8 @@ import { txEnv } from '@core/globalData';
 import consoleFactory from '@lib/console';
 import type { SessToolsType } from "./middlewares/sessionMws";
 import { ReactAuthDataType } from "@shared/authApiTypes";
+import { getEffectiveTokenPermissions, parseBearerHeader, type ApiTokenInfoType } from "@modules/AdminStore/apiTokens";
+import type { AuditLogDetailsType } from "@modules/Logger/auditUtils";
 const console = consoleFactory(modulename);
 
 
@@ -15,32 +17,65 @@ export class AuthedAdmin {
     public readonly isMaster: boolean;
     public readonly permissions: string[];
     public readonly isTempPassword: boolean;
+    public readonly isTotpSetupRequired: boolean;
     public readonly profilePicture: string | undefined;
     public readonly csrfToken?: string;
+    public readonly apiToken?: ApiTokenInfoType;
+    public readonly reqIp?: string;
 
-    constructor(vaultAdmin: any, csrfToken?: string) {
+    constructor(vaultAdmin: any, csrfToken?: string, apiToken?: ApiTokenInfoType, reqIp?: string) {
         this.name = vaultAdmin.name;
-        this.isMaster = vaultAdmin.master;
-        this.permissions = vaultAdmin.permissions;
         this.isTempPassword = (typeof vaultAdmin.password_temporary !== 'undefined');
         this.csrfToken = csrfToken;
+        this.reqIp = reqIp;
+
+        //API tokens are limited to a subset of the admin permissions, and can never act as master
+        if (apiToken) {
+            this.apiToken = apiToken;
+            this.isMaster = false;
+            this.permissions = getEffectiveTokenPermissions(
+                apiToken.permissions,
+                vaultAdmin.permissions,
+                vaultAdmin.master,
+            );
+        } else {
+            this.isMaster = vaultAdmin.master;
+            this.permissions = vaultAdmin.permissions;
+        }
+        //Also applies to API tokens, so they can't be used to bypass the 2FA requirement
+        this.isTotpSetupRequired = !vaultAdmin.totp
+            && txCore.adminStore.isTotpRequired(vaultAdmin);
 
         const cachedPfp = txCore.cacheStore.get(`admin:picture:${vaultAdmin.name}`);
         this.profilePicture = typeof cachedPfp === 'string' ? cachedPfp : undefined;
     }
 
     /**
-     * Logs an action to the console and the action logger
+     * Returns the name to be used in the logs, which includes the token name if authenticated by one
      */
-    public logAction(action: string): void {
-        txCore.logger.admin.write(this.name, action);
+    public get logName(): string {
+        return this.apiToken ? `${this.name}:${this.apiToken.name}` : this.name;
+    }
+
+    /**
+     * Logs an action to the console and the action logger.
+     * The details are only saved in the audit log, together with the request IP.
+     */
+    public logAction(action: string, details?: AuditLogDetailsType): void {
+        txCore.logger.admin.write(this.logName, action, 'default', {
+            ip: this.reqIp,
+            ...details,
+        });
     };
 
     /**
      * Logs a command to the console and the action logger
      */
-    public logCommand(data: string): void {
-        txCore.logger.admin.write(this.name, data, 'command');
+    public logCommand(data: string, details?: AuditLogDetailsType): void {
+        txCore.logger.admin.write(this.logName, data, 'command', {
+            ip: this.reqIp,
+            ...details,
+        });
     };
 
     /**
@@ -82,6 +117,7 @@ export class AuthedAdmin {
             permissions: this.isMaster ? ['all_permissions'] : this.permissions,
             isMaster: this.isMaster,
             isTempPassword: this.isTempPassword,
+            isTotpSetupRequired: this.isTotpSetupRequired,
             profilePicture: this.profilePicture,
             csrfToken: this.csrfToken ?? 'not_set',
         }
@@ -101,9 +137,9 @@ type AuthLogicReturnType = {
     success: false;
     rejectReason?: string;
 };
-const successResp = (vaultAdmin: any, csrfToken?: string) => ({
+const successResp = (vaultAdmin: any, reqIp: string, csrfToken?: string, apiToken?: ApiTokenInfoType) => ({
     success: true,
-    admin: new AuthedAdmin(vaultAdmin, csrfToken),
+    admin: new AuthedAdmin(vaultAdmin, csrfToken, apiToken, reqIp),
 } as const)
 const failResp = (reason?: string) => ({
     success: false,
@@ -132,9 +168,20 @@ const validCfxreSessAuthSchema = z.object({
 });
 export type CfxreSessAuthType = z.infer<typeof validCfxreSessAuthSchema>;
 
+const validOauthSessAuthSchema = z.object({
+    type: z.literal('oauth'),
+    provider: z.enum(['discord', 'oidc']),
+    username: z.string(),
+    csrfToken: z.string(),
+    expiresAt: z.number(),
+    identifier: z.string(),
+});
+export type OauthSessAuthType = z.infer<typeof validOauthSessAuthSchema>;
+
 const validSessAuthSchema = z.discriminatedUnion('type', [
     validPassSessAuthSchema,
-    validCfxreSessAuthSchema
+    validCfxreSessAuthSchema,
+    validOauthSessAuthSchema,
 ]);
 
 
@@ -149,7 +196,7 @@ export const checkRequestAuth = (
 ) => {
     return typeof reqHeader['x-txadmin-token'] === 'string'
         ? nuiAuthLogic(reqIp, isLocalRequest, reqHeader)
-        : normalAuthLogic(sessTools);
+        : normalAuthLogic(reqIp, sessTools);
 }
 
 
@@ -157,6 +204,7 @@ export const checkRequestAuth = (
  * Autentication logic used in both websocket and webserver
  */
 export const normalAuthLogic = (
+    reqIp: string,
     sessTools: SessToolsType
 ): AuthLogicReturnType => {
     try {
@@ -189,7 +237,7 @@ export const normalAuthLogic = (
             if (vaultAdmin.password_hash !== sessAuth.password_hash) {
                 return failResp(`Password hash doesn't match for '${sessAuth.username}'.`);
             }
-            return successResp(vaultAdmin, sessAuth.csrfToken);
+            return successResp(vaultAdmin, reqIp, sessAuth.csrfToken);
         } else if (sessAuth.type === 'cfxre') {
             if (
                 typeof vaultAdmin.providers.citizenfx !== 'object'
@@ -197,7 +245,16 @@ export const normalAuthLogic = (
             ) {
                 return failResp(`Cfxre identifier doesn't match for '${sessAuth.username}'.`);
             }
-            return successResp(vaultAdmin, sessAuth.csrfToken);
+            return successResp(vaultAdmin, reqIp, sessAuth.csrfToken);
+        } else if (sessAuth.type === 'oauth') {
+            //Both the Discord and OIDC providers match admins by their discord identifier
+            if (
+                typeof vaultAdmin.providers.discord !== 'object'
+                || vaultAdmin.providers.discord.identifier !== sessAuth.identifier
+            ) {
+                return failResp(`Discord identifier doesn't match for '${sessAuth.username}'.`);
+            }
+            return successResp(vaultAdmin, reqIp, sessAuth.csrfToken);
         } else {
             return failResp('Invalid auth type.');
         }
@@ -261,9 +318,37 @@ export const nuiAuthLogic = (
                 return failResp('nui_admin_not_found');
             }
         }
-        return successResp(vaultAdmin, undefined);
+        return successResp(vaultAdmin, reqIp, undefined);
     } catch (error) {
         console.debug(`Error validating session data: ${(error as Error).message}`);
         return failResp('Error validating auth header');
     }
 };
+
+
+/**
+ * Autentication logic used for requests with `Authorization: Bearer <token>` headers.
+ * Only used by the apiAuthMw, as tokens are not meant to be used for web pages or websockets.
+ */
+export const apiTokenAuthLogic = (
+    reqHeader: { [key: string]: unknown },
+    reqIp: string,
+): AuthLogicReturnType => {
+    try {
+        const token = parseBearerHeader(reqHeader['authorization']);
+        if (!token) {
+            return failResp('Invalid Request: authorization header');
+        }
+
+        const tokenResult = txCore.adminStore.getAdminByApiToken(token);
+        if (!tokenResult) {
+            return failResp('Unauthorized: invalid or expired API token');
+        }
+
+        txCore.adminStore.registerApiTokenUsage(tokenResult.token.id);
+        return successResp(tokenResult.admin, reqIp, undefined, tokenResult.token);
+    } catch (error) {
+        console.debug(`Error validating API token: ${(error as Error).message}`);
+        return failResp('Error validating API token');
+    }
+};
@@ -132,6 +132,7 @@ export default async function getReactIndex(ctx: CtxWithVars | AuthedCtx) {
             game: txCore.cacheStore.getTyped('fxsRuntime:gameName', isString),
             icon: txCore.cacheStore.getTyped('fxsRuntime:iconFilename', isString),
         },
+        loginProviders: txCore.adminStore.getLoginProvidersList(),
 
         //auth
         preAuth: authedAdmin && authedAdmin.getAuthData(),
@@ -19,7 +19,7 @@ import consoleFactory from '@lib/console';
 import topLevelMw from './middlewares/topLevelMw';
 import ctxVarsMw from './middlewares/ctxVarsMw';
 import ctxUtilsMw from './middlewares/ctxUtilsMw';
-import { SessionMemoryStorage, koaSessMw, socketioSessMw } from './middlewares/sessionMws';
+import { SessionStorage, koaSessMw, socketioSessMw } from './middlewares/sessionMws';
 import checkRateLimit from './middlewares/globalRateLimiter';
 import checkHttpLoad from './middlewares/httpLoadMonitor';
 import cacheControlMw from './middlewares/cacheControlMw';
@@ -42,7 +42,7 @@ export default class WebServer {
     public luaComToken: string;
     //setupKoa
     private app: Koa;
-    public sessionStore: SessionMemoryStorage;
+    public sessionStore: SessionStorage;
     private koaCallback: (req: any, res: any) => Promise<void>;
     //setupWebSocket
     private io: SocketIO;
@@ -122,7 +122,7 @@ export default class WebServer {
         }));
 
         //Custom stuff
-        this.sessionStore = new SessionMemoryStorage();
+        this.sessionStore = new SessionStorage();
         this.app.use(cacheControlMw);
         this.app.use(koaSessMw(this.sessionCookieName, this.sessionStore));
         this.app.use(ctxVarsMw);
@@ -256,6 +256,7 @@ export default class WebServer {
      * handler for the shutdown event
      */
     public handleShutdown() {
+        this.sessionStore.handleShutdown();
         return this.webSocket.handleShutdown();
     }
 
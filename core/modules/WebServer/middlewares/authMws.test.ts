@@ -0,0 +1,133 @@
+import { suite, it, expect, vi, beforeEach } from 'vitest';
+import { AuthedAdmin, apiTokenAuthLogic, checkRequestAuth } from '../authLogic';
+import { apiAuthMw, apiV1AuthMw, webAuthMw } from './authMws';
+
+vi.mock('../authLogic', async (importOriginal) => ({
+    ...await importOriginal<typeof import('../authLogic')>(),
+    checkRequestAuth: vi.fn(),
+    apiTokenAuthLogic: vi.fn(),
+}));
+
+let isTotpRequired = true;
+vi.stubGlobal('txCore', {
+    adminStore: { isTotpRequired: () => isTotpRequired },
+    cacheStore: { get: () => undefined },
+    logger: { admin: { write: vi.fn() } },
+});
+
+const makeCtx = (path: string) => ({
+    path,
+    ip: '127.0.0.1',
+    status: 200,
+    body: undefined as unknown,
+    admin: undefined as AuthedAdmin | undefined,
+    headers: {} as Record<string, string>,
+    request: { headers: {} },
+    txVars: { isWebInterface: true, isLocalRequest: true },
+    sessTools: { destroy: vi.fn() },
+    send(data: unknown) { this.body = data; },
+});
+const runWebAuthMw = async (path: string) => {
+    const ctx = makeCtx(path);
+    const next = vi.fn();
+    await webAuthMw(ctx as any, next);
+    return { ctx, next };
+};
+
+const webAuthRoutes = [
+    '/legacy/masterActions',
+    '/legacy/cfgEditor',
+    '/masterActions/backupDatabase',
+    '/masterActions/export/players',
+    '/masterActions/snapshots/snapshot_test.json.gz',
+    '/fxserver/downloadLog',
+];
+
+
+suite('webAuthMw 2FA enrollment', () => {
+    beforeEach(() => {
+        vi.mocked(checkRequestAuth).mockImplementation(() => ({
+            success: true,
+            admin: new AuthedAdmin({ name: 'tester', master: false, permissions: ['all_permissions'] }, 'csrf'),
+        }));
+    });
+
+    it('should refuse the legacy pages and downloads until the 2FA is enabled', async () => {
+        isTotpRequired = true;
+        for (const path of webAuthRoutes) {
+            const { ctx, next } = await runWebAuthMw(path);
+            expect(next).not.toHaveBeenCalled();
+            expect(ctx.status).toBe(403);
+            expect(ctx.admin).toBeUndefined();
+            expect(ctx.body).toContain('two-factor authentication');
+        }
+    });
+
+    it('should allow the routes after the 2FA is enabled', async () => {
+        isTotpRequired = true;
+        vi.mocked(checkRequestAuth).mockImplementation(() => ({
+            success: true,
+            admin: new AuthedAdmin({ name: 'tester', master: false, permissions: [], totp: {} }, 'csrf'),
+        }));
+        for (const path of webAuthRoutes) {
+            const { ctx, next } = await runWebAuthMw(path);
+            expect(next).toHaveBeenCalledOnce();
+            expect(ctx.admin?.name).toBe('tester');
+        }
+    });
+
+    it('should allow the routes when 2FA is not required', async () => {
+        isTotpRequired = false;
+        const { next } = await runWebAuthMw('/masterActions/backupDatabase');
+        expect(next).toHaveBeenCalledOnce();
+    });
+});
+
+
+suite('API token 2FA enrollment', () => {
+    const apiToken = {
+        id: 'tokenid',
+        name: 'test-token',
+        permissions: ['players.read'],
+        tsCreated: 0,
+        tsExpires: null,
+        tsLastUsed: null,
+    };
+    const mockTokenOwner = (totp?: object) => {
+        vi.mocked(apiTokenAuthLogic).mockImplementation(() => ({
+            success: true,
+            admin: new AuthedAdmin({ name: 'tester', master: false, permissions: ['all_permissions'], totp }, undefined, apiToken),
+        }));
+    };
+    const runTokenMw = async (mw: typeof apiAuthMw, path: string) => {
+        const ctx = makeCtx(path);
+        ctx.headers['authorization'] = 'Bearer txat_test';
+        const next = vi.fn();
+        await mw(ctx as any, next);
+        return { ctx, next };
+    };
+
+    it('should refuse token requests until the owner enables the 2FA', async () => {
+        isTotpRequired = true;
+        mockTokenOwner();
+        const apiResult = await runTokenMw(apiAuthMw, '/player/stats');
+        expect(apiResult.next).not.toHaveBeenCalled();
+        expect(apiResult.ctx.admin).toBeUndefined();
+        expect(apiResult.ctx.body).toMatchObject({ type: 'error' });
+
+        const v1Result = await runTokenMw(apiV1AuthMw, '/api/v1/players');
+        expect(v1Result.next).not.toHaveBeenCalled();
+        expect(v1Result.ctx.status).toBe(403);
+        expect(v1Result.ctx.body).toMatchObject({ error: { code: 'forbidden' } });
+    });
+
+    it('should allow token requests after the owner enables the 2FA', async () => {
+        isTotpRequired = true;
+        mockTokenOwner({});
+        for (const [mw, path] of [[apiAuthMw, '/player/stats'], [apiV1AuthMw, '/api/v1/players']] as const) {
+            const { ctx, next } = await runTokenMw(mw, path);
+            expect(next).toHaveBeenCalledOnce();
+            expect(ctx.admin?.apiToken?.id).toBe('tokenid');
+        }
+    });
+});
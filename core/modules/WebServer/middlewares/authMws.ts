@@ -1,12 +1,16 @@
 const modulename = 'WebServer:AuthMws';
 import consoleFactory from '@lib/console';
-import { checkRequestAuth } from "../authLogic";
+import { apiTokenAuthLogic, checkRequestAuth } from "../authLogic";
 import { ApiAuthErrorResp, ApiToastResp, GenericApiErrorResp } from "@shared/genericApiTypes";
 import { InitializedCtx } from '../ctxTypes';
 import { txHostConfig } from '@core/globalData';
+import { sendApiV1Error } from '../apiV1Utils';
 const console = consoleFactory(modulename);
 
-const webLogoutPage = `<style>
+const totpSetupRequiredMsg = 'You are required to enable two-factor authentication before using txAdmin. Please set it up in the "Your Account" window.';
+const totpSetupRequiredTokenMsg = 'The owner of this API token is required to enable two-factor authentication before it can be used.';
+
+const webNoticeStyle = `<style>
 body {
     margin: 0;
 }
@@ -23,7 +27,9 @@ body {
 .notice a {
     color: #F00A53;
 }
-</style>
+</style>`;
+
+const webLogoutPage = `${webNoticeStyle}
     <p class="notice">
         User logged out. <br>
         Redirecting to <a href="/login#expired" target="_parent">login page</a>...
@@ -37,6 +43,11 @@ body {
     }, 2000);
 </script>`;
 
+const webTotpSetupPage = `${webNoticeStyle}
+    <p class="notice">
+        ${totpSetupRequiredMsg}
+    </p>`;
+
 
 /**
  * For the hosting provider routes
@@ -129,6 +140,12 @@ export const webAuthMw = async (ctx: InitializedCtx, next: Function) => {
         return ctx.send(webLogoutPage);
     }
 
+    //Admins required to have 2FA cannot use the legacy pages or downloads until they set it up
+    if (ctx.txVars.isWebInterface && authResult.admin.isTotpSetupRequired) {
+        ctx.status = 403;
+        return ctx.send(webTotpSetupPage);
+    }
+
     //Adding the admin to the context
     ctx.admin = authResult.admin;
     await next();
@@ -140,6 +157,31 @@ export const webAuthMw = async (ctx: InitializedCtx, next: Function) => {
 export const apiAuthMw = async (ctx: InitializedCtx, next: Function) => {
     const sendTypedResp = (data: ApiAuthErrorResp | (ApiToastResp & GenericApiErrorResp)) => ctx.send(data);
 
+    //Personal API tokens - no session or CSRF token involved
+    if (typeof ctx.headers['authorization'] === 'string') {
+        const tokenAuthResult = apiTokenAuthLogic(ctx.request.headers, ctx.ip);
+        if (!tokenAuthResult.success) {
+            console.verbose.warn(`Invalid API token auth: ${tokenAuthResult.rejectReason}`);
+            return sendTypedResp({
+                logout: true,
+                reason: tokenAuthResult.rejectReason ?? 'invalid token'
+            });
+        }
+        if (tokenAuthResult.admin.isTotpSetupRequired) {
+            return sendTypedResp({
+                type: 'error',
+                msg: totpSetupRequiredTokenMsg,
+                error: totpSetupRequiredTokenMsg,
+            });
+        }
+        tokenAuthResult.admin.logAction(`API request: ${ctx.method} ${ctx.path}`, {
+            type: 'api.request',
+            params: { method: ctx.method, path: ctx.path },
+        });
+        ctx.admin = tokenAuthResult.admin;
+        return await next();
+    }
+
     //Check auth
     const authResult = checkRequestAuth(
         ctx.request.headers,
@@ -179,7 +221,73 @@ export const apiAuthMw = async (ctx: InitializedCtx, next: Function) => {
         }
     }
 
+    //Admins required to have 2FA can only use the auth routes until they set it up
+    if (
+        ctx.txVars.isWebInterface
+        && authResult.admin.isTotpSetupRequired
+        && !ctx.path.startsWith('/auth/')
+    ) {
+        return sendTypedResp({
+            type: 'error',
+            msg: totpSetupRequiredMsg,
+            error: totpSetupRequiredMsg,
+        });
+    }
+
     //Adding the admin to the context
     ctx.admin = authResult.admin;
     await next();
 };
+
+
+/**
+ * Authentication middleware for the public v1 API.
+ * Accepts personal API tokens or web sessions (with CSRF token), and responds with the v1 error format.
+ * Also converts unhandled route errors into v1 errors.
+ */
+export const apiV1AuthMw = async (ctx: InitializedCtx, next: Function) => {
+    if (typeof ctx.headers['authorization'] === 'string') {
+        const tokenAuthResult = apiTokenAuthLogic(ctx.request.headers, ctx.ip);
+        if (!tokenAuthResult.success) {
+            console.verbose.warn(`Invalid API token auth: ${tokenAuthResult.rejectReason}`);
+            return sendApiV1Error(ctx, 'unauthorized', tokenAuthResult.rejectReason ?? 'Invalid API token.');
+        }
+        if (tokenAuthResult.admin.isTotpSetupRequired) {
+            return sendApiV1Error(ctx, 'forbidden', totpSetupRequiredTokenMsg);
+        }
+        tokenAuthResult.admin.logAction(`API request: ${ctx.method} ${ctx.path}`, {
+            type: 'api.request',
+            params: { method: ctx.method, path: ctx.path },
+        });
+        ctx.admin = tokenAuthResult.admin;
+    } else {
+        const authResult = checkRequestAuth(
+            ctx.request.headers,
+            ctx.ip,
+            ctx.txVars.isLocalRequest,
+            ctx.sessTools
+        );
+        if (!authResult.success) {
+            return sendApiV1Error(ctx, 'unauthorized', 'Missing API token, use the \'Authorization: Bearer <token>\' header.');
+        }
+        if (ctx.txVars.isWebInterface) {
+            const sessToken = authResult.admin?.csrfToken;
+            const headerToken = ctx.headers['x-txadmin-csrftoken'];
+            if (!sessToken || !headerToken || sessToken !== headerToken) {
+                return sendApiV1Error(ctx, 'forbidden', 'Invalid or missing CSRF token.');
+            }
+            if (authResult.admin.isTotpSetupRequired) {
+                return sendApiV1Error(ctx, 'forbidden', 'You are required to enable two-factor authentication.');
+            }
+        }
+        ctx.admin = authResult.admin;
+    }
+
+    try {
+        await next();
+    } catch (error) {
+        console.error(`Unhandled error on ${ctx.method} ${ctx.path}: ${(error as Error).message}`);
+        console.verbose.dir(error);
+        return sendApiV1Error(ctx, 'internal_error', 'Internal server error.');
+    }
+};
@@ -1,5 +1,5 @@
-import { UserInfoType } from "@modules/AdminStore/providers/CitizenFX";
-import type { CfxreSessAuthType, PassSessAuthType } from "../authLogic";
+import type { OauthProviderIdType, OauthUserInfoType } from "@modules/AdminStore/providers/providerUtils";
+import type { CfxreSessAuthType, OauthSessAuthType, PassSessAuthType } from "../authLogic";
 import { LRUCacheWithDelete } from "mnemonist";
 import { RawKoaCtx } from "../ctxTypes";
 import { Next } from "koa";
@@ -8,35 +8,92 @@ import { Socket } from "socket.io";
 import { parse as cookieParse } from 'cookie';
 import { SetOption as KoaCookieSetOption } from "cookies";
 import type { DeepReadonly } from 'utility-types';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import { throttle } from 'throttle-debounce';
+import { txEnv } from '@core/globalData';
+import consoleFactory from '@lib/console';
+import {
+    decryptSessionsData,
+    encryptSessionsData,
+    genSessionsKey,
+    getPublicSessionId,
+    parseSessionsKey,
+} from '../sessionPersistence';
+const console = consoleFactory('WebServer:Sessions');
 
 //Types
 export type ValidSessionType = {
-    auth?: PassSessAuthType | CfxreSessAuthType;
+    auth?: SessAuthType;
+    tmpOauthLoginProvider?: OauthProviderIdType;
     tmpOauthLoginStateKern?: string; //uuid v4
+    tmpOauthLoginCodeVerifier?: string; //PKCE code verifier
     tmpOauthLoginCallbackUri?: string; //the URI provided to the IDMS as a callback
-    tmpAddMasterUserInfo?: UserInfoType;
+    tmpAddMasterUserInfo?: OauthUserInfoType;
+    tmpTotpPendingAuth?: PendingTotpAuthType;
+}
+export type SessAuthType = PassSessAuthType | CfxreSessAuthType | OauthSessAuthType;
+export type PendingTotpAuthType = {
+    auth: SessAuthType;
+    method: 'password' | OauthProviderIdType;
+    expiresAt: number; //ms
+    attempts: number;
 }
 export type SessToolsType = {
     get: () => DeepReadonly<ValidSessionType> | undefined;
     set: (sess: ValidSessionType) => void;
     destroy: () => void;
+    getPublicId: () => string | undefined;
+}
+export type SessionMetaType = {
+    ip: string;
+    userAgent: string;
+    loginMethod: string;
+    tsCreated: number; //ms
+    tsLastActivity: number; //ms
 }
 type StoredSessionType = {
     expires: number;
     data: ValidSessionType;
+    meta?: SessionMetaType;
+}
+export type AdminSessionInfoType = SessionMetaType & {
+    id: string;
+    expires: number;
 }
+type SessionSetContextType = {
+    ip: string;
+    userAgent: string;
+}
+
+//Consts
+const SESSIONS_FILE_NAME = 'sessions.dat';
+const SESSIONS_KEY_FILE_NAME = 'sessions.key';
+const SESSIONS_SAVE_THROTTLE = 15_000;
+
 
 /**
- * Storage for the sessions
+ * Storage for the sessions.
+ * Sessions with auth data are persisted encrypted to the disk so admins stay logged in after a restart.
+ * The encryption key is kept in a separate file, so leaking only the sessions file is not enough to hijack them.
  */
-export class SessionMemoryStorage {
+export class SessionStorage {
     private readonly sessions = new LRUCacheWithDelete<string, StoredSessionType>(5000);
     public readonly maxAgeMs = 24 * 60 * 60 * 1000;
+    private readonly filePath = `${txEnv.profilePath}/data/${SESSIONS_FILE_NAME}`;
+    private readonly keyFilePath = `${txEnv.profilePath}/data/${SESSIONS_KEY_FILE_NAME}`;
+    private encryptionKey: Buffer | undefined;
+    private queueSaveFile = throttle(
+        SESSIONS_SAVE_THROTTLE,
+        this.saveFile.bind(this),
+        { noLeading: true }
+    );
 
     constructor(maxAgeMs?: number) {
         if (maxAgeMs) {
             this.maxAgeMs = maxAgeMs;
         }
+        this.loadFile();
 
         //Cleanup every 5 mins
         setInterval(() => {
@@ -49,6 +106,86 @@ export class SessionMemoryStorage {
         }, 5 * 60_000);
     }
 
+    /**
+     * Loads the encryption key and the persisted sessions.
+     * Any failure just results in all admins having to login again.
+     */
+    private loadFile() {
+        try {
+            const rawKey = fs.existsSync(this.keyFilePath)
+                ? fs.readFileSync(this.keyFilePath, 'utf8')
+                : undefined;
+            this.encryptionKey = rawKey ? parseSessionsKey(rawKey) : undefined;
+            if (!this.encryptionKey) {
+                this.encryptionKey = genSessionsKey();
+                fs.writeFileSync(this.keyFilePath, this.encryptionKey.toString('hex'), { mode: 0o600 });
+                return;
+            }
+        } catch (error) {
+            console.error(`Failed to load the sessions encryption key: ${(error as Error).message}`);
+            console.error('Sessions will not be persisted across restarts.');
+            this.encryptionKey = undefined;
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            const entries = decryptSessionsData(this.encryptionKey, raw);
+            if (!Array.isArray(entries)) throw new Error('invalid sessions data');
+            const now = Date.now();
+            for (const [key, stored] of entries as [string, StoredSessionType][]) {
+                if (!isValidSessId(key) || typeof stored?.expires !== 'number') continue;
+                if (stored.expires < now || !stored.data?.auth) continue;
+                this.sessions.set(key, stored);
+            }
+            console.verbose.ok(`Restored ${this.sessions.size} sessions.`);
+        } catch (error) {
+            console.warn(`Failed to restore the saved sessions: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Returns the encrypted file contents, only including sessions that have auth data
+     */
+    private getFileData() {
+        if (!this.encryptionKey) return;
+        const now = Date.now();
+        const entries: [string, StoredSessionType][] = [];
+        for (const [key, stored] of this.sessions) {
+            if (stored.expires < now || !stored.data.auth) continue;
+            entries.push([key, stored]);
+        }
+        return encryptSessionsData(this.encryptionKey, entries);
+    }
+
+    /**
+     * Saves the sessions to the disk
+     */
+    private async saveFile() {
+        try {
+            const data = this.getFileData();
+            if (!data) return;
+            await fsp.writeFile(this.filePath, data, { mode: 0o600 });
+        } catch (error) {
+            console.warn(`Failed to save sessions file: ${(error as Error).message}`);
+        }
+    }
+
+    /**
+     * Saves the sessions to the disk before shutting down
+     */
+    public handleShutdown() {
+        this.queueSaveFile.cancel({ upcomingOnly: true });
+        try {
+            const data = this.getFileData();
+            if (!data) return;
+            fs.writeFileSync(this.filePath, data, { mode: 0o600 });
+        } catch (error) {
+            console.error(`Failed to save sessions file on shutdown: ${(error as Error).message}`);
+        }
+    }
+
     get(key: string) {
         const stored = this.sessions.get(key);
         if (!stored) return;
@@ -59,24 +196,114 @@ export class SessionMemoryStorage {
         return stored.data as DeepReadonly<ValidSessionType>;
     }
 
-    set(key: string, sess: ValidSessionType) {
+    set(key: string, sess: ValidSessionType, reqCtx?: SessionSetContextType) {
+        //The metadata is kept as long as the session is for the same login
+        const prev = this.sessions.get(key);
+        let meta: SessionMetaType | undefined;
+        if (sess.auth) {
+            const isSameLogin = prev?.meta && prev.data.auth?.csrfToken === sess.auth.csrfToken;
+            if (isSameLogin) {
+                meta = prev.meta;
+            } else if (reqCtx) {
+                const usedTotp = !!prev?.data.tmpTotpPendingAuth;
+                const authMethod = sess.auth.type === 'oauth' ? sess.auth.provider : sess.auth.type;
+                meta = {
+                    ip: reqCtx.ip,
+                    userAgent: reqCtx.userAgent,
+                    loginMethod: usedTotp ? `${authMethod}+2fa` : authMethod,
+                    tsCreated: Date.now(),
+                    tsLastActivity: Date.now(),
+                };
+            }
+        }
+
         this.sessions.set(key, {
             expires: Date.now() + this.maxAgeMs,
             data: sess,
+            meta,
         });
+        if (sess.auth || prev?.data.auth) {
+            this.queueSaveFile();
+        }
     }
 
-    refresh(key: string) {
+    refresh(key: string, reqIp?: string) {
         const stored = this.sessions.get(key);
         if (!stored) return;
+        if (stored.meta) {
+            stored.meta.tsLastActivity = Date.now();
+            if (reqIp) stored.meta.ip = reqIp;
+        }
         this.sessions.set(key, {
             expires: Date.now() + this.maxAgeMs,
             data: stored.data,
+            meta: stored.meta,
         });
+        if (stored.data.auth) {
+            this.queueSaveFile();
+        }
     }
 
     destroy(key: string) {
-        return this.sessions.delete(key);
+        const deleted = this.sessions.delete(key);
+        if (deleted) this.queueSaveFile();
+        return deleted;
+    }
+
+    /**
+     * Returns the active sessions of an admin, without the session keys
+     */
+    getAdminSessions(adminName: string): AdminSessionInfoType[] {
+        const nameLower = adminName.toLowerCase();
+        const now = Date.now();
+        const list: AdminSessionInfoType[] = [];
+        for (const [key, stored] of this.sessions) {
+            if (stored.expires < now) continue;
+            if (stored.data.auth?.username.toLowerCase() !== nameLower) continue;
+            list.push({
+                id: getPublicSessionId(key),
+                expires: stored.expires,
+                ip: stored.meta?.ip ?? 'unknown',
+                userAgent: stored.meta?.userAgent ?? 'unknown',
+                loginMethod: stored.meta?.loginMethod ?? stored.data.auth.type,
+                tsCreated: stored.meta?.tsCreated ?? 0,
+                tsLastActivity: stored.meta?.tsLastActivity ?? 0,
+            });
+        }
+        return list.sort((a, b) => b.tsLastActivity - a.tsLastActivity);
+    }
+
+    /**
+     * Destroys the session of an admin by its public id.
+     * Returns if the session was found.
+     */
+    destroyAdminSession(adminName: string, publicId: string) {
+        const nameLower = adminName.toLowerCase();
+        for (const [key, stored] of this.sessions) {
+            if (stored.data.auth?.username.toLowerCase() !== nameLower) continue;
+            if (getPublicSessionId(key) !== publicId) continue;
+            return this.destroy(key);
+        }
+        return false;
+    }
+
+    /**
+     * Destroys all sessions of an admin, optionally except the one with the provided public id.
+     * Returns the number of sessions destroyed.
+     */
+    destroyAdminSessions(adminName: string, exceptPublicId?: string) {
+        const nameLower = adminName.toLowerCase();
+        const toDelete: string[] = [];
+        for (const [key, stored] of this.sessions) {
+            if (stored.data.auth?.username.toLowerCase() !== nameLower) continue;
+            if (exceptPublicId && getPublicSessionId(key) === exceptPublicId) continue;
+            toDelete.push(key);
+        }
+        for (const key of toDelete) {
+            this.sessions.delete(key);
+        }
+        if (toDelete.length) this.queueSaveFile();
+        return toDelete.length;
     }
 
     get size() {
@@ -98,7 +325,7 @@ const isValidSessId = (sessId: string) => {
 /**
  * Middleware factory to add sessTools to the koa context.
  */
-export const koaSessMw = (cookieName: string, store: SessionMemoryStorage) => {
+export const koaSessMw = (cookieName: string, store: SessionStorage) => {
     const cookieOptions = {
         path: '/',
         maxAge: store.maxAgeMs,
@@ -122,13 +349,17 @@ export const koaSessMw = (cookieName: string, store: SessionMemoryStorage) => {
         }
 
         const sessSet = (sess: ValidSessionType) => {
+            const reqCtx = {
+                ip: ctx.ip,
+                userAgent: (ctx.headers['user-agent'] ?? 'unknown').substring(0, 256),
+            };
             const sessId = ctx.cookies.get(cookieName);
             if (!sessId || !isValidSessId(sessId)) {
                 const newSessId = randomUUID();
                 ctx.cookies.set(cookieName, newSessId, cookieOptions);
-                store.set(newSessId, sess);
+                store.set(newSessId, sess, reqCtx);
             } else {
-                store.set(sessId, sess);
+                store.set(sessId, sess, reqCtx);
             }
         }
 
@@ -139,10 +370,17 @@ export const koaSessMw = (cookieName: string, store: SessionMemoryStorage) => {
             ctx.cookies.set(cookieName, 'unset', cookieOptions);
         }
 
+        const sessGetPublicId = () => {
+            const sessId = ctx.cookies.get(cookieName);
+            if (!sessId || !isValidSessId(sessId)) return;
+            return getPublicSessionId(sessId);
+        }
+
         ctx.sessTools = {
             get: sessGet,
             set: sessSet,
             destroy: sessDestroy,
+            getPublicId: sessGetPublicId,
         } satisfies SessToolsType;
 
         try {
@@ -152,7 +390,7 @@ export const koaSessMw = (cookieName: string, store: SessionMemoryStorage) => {
         } finally {
             if (typeof ctx._refreshSessionCookieId === 'string') {
                 ctx.cookies.set(cookieName, ctx._refreshSessionCookieId, cookieOptions);
-                store.refresh(ctx._refreshSessionCookieId);
+                store.refresh(ctx._refreshSessionCookieId, ctx.ip);
             }
         }
     }
@@ -167,21 +405,28 @@ export const koaSessMw = (cookieName: string, store: SessionMemoryStorage) => {
  *  the authLogic only needs to get the cookie, and the webAuthMw only destroys it
  *  and webSocket.handleConnection() just drops if authLogic fails.
  */
-export const socketioSessMw = (cookieName: string, store: SessionMemoryStorage) => {
+export const socketioSessMw = (cookieName: string, store: SessionStorage) => {
     return async (socket: Socket & { sessTools?: SessToolsType }, next: Function) => {
-        const sessGet = () => {
+        const getSessId = () => {
             const cookiesString = socket?.handshake?.headers?.cookie;
             if (typeof cookiesString !== 'string') return;
             const cookies = cookieParse(cookiesString);
             const sessId = cookies[cookieName];
             if (!sessId || !isValidSessId(sessId)) return;
-            return store.get(sessId);
+            return sessId;
         }
 
         socket.sessTools = {
-            get: sessGet,
+            get: () => {
+                const sessId = getSessId();
+                return sessId ? store.get(sessId) : undefined;
+            },
             set: (sess: ValidSessionType) => { },
             destroy: () => { },
+            getPublicId: () => {
+                const sessId = getSessId();
+                return sessId ? getPublicSessionId(sessId) : undefined;
+            },
         } satisfies SessToolsType;
 
         return next();
@@ -0,0 +1,106 @@
+import { suite, it, expect } from 'vitest';
+import { z } from 'zod';
+import { OpenApiRouteType, convertKoaPath, genOperationId, generateOpenApiSpec } from './openApiSpec';
+import { routeDocs } from './routeDocs';
+
+
+suite('openApiSpec helpers', () => {
+    it('should convert koa paths', () => {
+        expect(convertKoaPath('/api/v1/players/:license')).toEqual({
+            path: '/api/v1/players/{license}',
+            params: ['license'],
+        });
+        expect(convertKoaPath('/whitelist/:table/:action')).toEqual({
+            path: '/whitelist/{table}/{action}',
+            params: ['table', 'action'],
+        });
+    });
+    it('should generate operation ids', () => {
+        expect(genOperationId('GET', '/api/v1/players/:license')).toBe('getApiV1PlayersByLicense');
+        expect(genOperationId('POST', '/api/v1/whitelist/requests/:id/approve')).toBe('postApiV1WhitelistRequestsByIdApprove');
+        expect(genOperationId('GET', '/api/openapi.json')).toBe('getApiOpenapiJson');
+    });
+});
+
+
+suite('generateOpenApiSpec', () => {
+    const routes: OpenApiRouteType[] = [
+        { method: 'GET', path: '/api/v1/items/:id', auth: 'apiV1' },
+        { method: 'POST', path: '/items/:action', auth: 'panel' },
+        { method: 'GET', path: '/host/status', auth: 'host' },
+        { method: 'POST', path: '/auth/password', auth: 'none' },
+    ];
+    const spec = generateOpenApiSpec(routes, {
+        'GET /api/v1/items/:id': {
+            tags: ['v1 Items'],
+            summary: 'Get an item',
+            params: z.object({ id: z.string().regex(/^\d+$/) }),
+            query: z.object({ full: z.enum(['true', 'false']).optional().describe('Include everything') }),
+            response: z.object({ data: z.object({ id: z.string() }) }),
+        },
+        'POST /items/:action': {
+            variants: {
+                param: 'action',
+                values: {
+                    add: { summary: 'Add an item', body: z.object({ name: z.string() }) },
+                    remove: { summary: 'Remove an item' },
+                },
+            },
+        },
+    }, { version: '8.0.0', tagDescriptions: { 'v1 Items': 'The items.' } });
+
+    it('should document the stable routes', () => {
+        const op = spec.paths['/api/v1/items/{id}'].get;
+        expect(op).toMatchObject({
+            operationId: 'getApiV1ItemsById',
+            tags: ['v1 Items'],
+            summary: 'Get an item',
+            parameters: [
+                { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^\\d+$' } },
+                { name: 'full', in: 'query', required: false, description: 'Include everything', schema: { enum: ['true', 'false'] } },
+            ],
+            security: [{ apiToken: [] }, { panelSession: [] }],
+        });
+        expect(op.responses).toMatchObject({
+            200: { content: { 'application/json': { schema: { type: 'object' } } } },
+            default: { content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiV1Error' } } } },
+        });
+        expect(op['x-txadmin-internal']).toBeUndefined();
+    });
+
+    it('should expand the action variants into separate paths', () => {
+        expect(spec.paths['/items/{action}']).toBeUndefined();
+        expect(spec.paths['/items/add'].post).toMatchObject({
+            summary: 'Add an item',
+            tags: ['items'],
+            requestBody: { content: { 'application/json': { schema: { required: ['name'] } } } },
+            'x-txadmin-internal': true,
+        });
+        expect(spec.paths['/items/remove'].post.requestBody).toBeUndefined();
+    });
+
+    it('should list undocumented routes with the right security', () => {
+        expect(spec.paths['/host/status'].get).toMatchObject({
+            operationId: 'getHostStatus',
+            security: [{ hostToken: [] }],
+        });
+        expect(spec.paths['/auth/password'].post.security).toEqual([]);
+    });
+
+    it('should sort the stable tags first', () => {
+        expect(spec.tags.map((t) => t.name)).toEqual(['v1 Items', 'auth', 'host', 'items']);
+        expect(spec.tags[0]).toEqual({ name: 'v1 Items', description: 'The items.' });
+    });
+
+    it('should convert all the route docs', () => {
+        const docRoutes = Object.keys(routeDocs).map((key): OpenApiRouteType => {
+            const [method, path] = key.split(' ');
+            return { method, path, auth: path.startsWith('/api/v1/') ? 'apiV1' : 'panel' };
+        });
+        const fullSpec = generateOpenApiSpec(docRoutes, routeDocs, { version: '0.0.0' });
+        const operations = Object.values(fullSpec.paths).flatMap((methods) => Object.values(methods));
+        expect(operations.length).toBeGreaterThanOrEqual(docRoutes.length);
+        expect(new Set(operations.map((op) => op.operationId)).size).toBe(operations.length);
+        expect(() => JSON.stringify(fullSpec)).not.toThrow();
+    });
+});
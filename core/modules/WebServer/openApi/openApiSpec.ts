@@ -0,0 +1,305 @@
+import { z } from 'zod';
+import { JsonSchemaType, unwrapZodObject, zodToJsonSchema } from './zodToJsonSchema';
+
+
+/**
+ * MARK: Types
+ */
+export type OpenApiRouteAuthType = 'none' | 'panel' | 'apiV1' | 'host';
+export type OpenApiRouteType = {
+    method: string;
+    path: string; //koa path, like `/players/:license`
+    auth: OpenApiRouteAuthType;
+};
+
+export type OpenApiOperationDocType = {
+    summary?: string;
+    description?: string;
+    tags?: string[];
+    params?: z.ZodTypeAny;
+    query?: z.ZodTypeAny;
+    body?: z.ZodTypeAny;
+    response?: z.ZodTypeAny;
+    successStatus?: number;
+};
+export type OpenApiRouteDocType = OpenApiOperationDocType & {
+    //For routes like `/history/:action`, documents each action as a separate path
+    variants?: {
+        param: string;
+        values: Record<string, OpenApiOperationDocType>;
+    };
+};
+export type OpenApiRouteDocsType = Record<string, OpenApiRouteDocType>; //key: `METHOD /path`
+
+type OpenApiOperationType = JsonSchemaType & {
+    operationId: string;
+    tags: string[];
+};
+export type OpenApiSpecType = {
+    openapi: string;
+    info: JsonSchemaType;
+    tags: JsonSchemaType[];
+    paths: Record<string, Record<string, OpenApiOperationType>>;
+    components: JsonSchemaType;
+};
+
+
+/**
+ * MARK: Consts
+ */
+export const OPENAPI_STABLE_TAG_PREFIX = 'v1 ';
+const panelRouteNote = 'Internal route used by the txAdmin panel, which may change between releases. For integrations, use the `/api/v1` routes instead.';
+
+const apiV1ErrorJsonSchema: JsonSchemaType = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+                code: {
+                    type: 'string',
+                    enum: ['bad_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'internal_error'],
+                },
+                message: { type: 'string' },
+                issues: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['path', 'message'],
+                        properties: {
+                            path: { type: 'string' },
+                            message: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+const securitySchemes = {
+    apiToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Personal API token created in the "Your Account" dialog, like `txat_...`.',
+    },
+    panelSession: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-TxAdmin-CsrfToken',
+        description: 'Web panel session cookie, together with the CSRF token header.',
+    },
+    hostToken: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-TxAdmin-EnvToken',
+        description: 'The `TXHOST_API_TOKEN` environment variable.',
+    },
+};
+const securityByAuth: Record<OpenApiRouteAuthType, Record<string, string[]>[]> = {
+    none: [],
+    panel: [{ apiToken: [] }, { panelSession: [] }],
+    apiV1: [{ apiToken: [] }, { panelSession: [] }],
+    host: [{ hostToken: [] }],
+};
+
+
+/**
+ * MARK: Helpers
+ */
+/**
+ * Converts a koa path to an OpenAPI path, and returns the param names
+ */
+export const convertKoaPath = (koaPath: string) => {
+    const params: string[] = [];
+    const path = koaPath.replace(/:(\w+)/g, (_, name: string) => {
+        params.push(name);
+        return `{${name}}`;
+    });
+    return { path, params };
+};
+
+
+/**
+ * Generates an unique operation id like `getApiV1PlayersByLicense`
+ */
+export const genOperationId = (method: string, koaPath: string) => {
+    const words = koaPath.split('/').filter(Boolean).map((segment) => {
+        const isParam = segment.startsWith(':');
+        const clean = segment.replace(/[^a-zA-Z0-9]+(.)?/g, (_, chr?: string) => chr?.toUpperCase() ?? '');
+        const word = clean.charAt(0).toUpperCase() + clean.slice(1);
+        return isParam ? `By${word}` : word;
+    });
+    return method.toLowerCase() + words.join('');
+};
+
+
+/**
+ * Returns the default tag for a route, based on the first path segment
+ */
+const getDefaultTag = (koaPath: string) => {
+    const [first] = koaPath.split('/').filter(Boolean);
+    return first ?? 'root';
+};
+
+
+/**
+ * Builds the parameters array from the path params and the params/query schemas
+ */
+const buildParameters = (pathParams: string[], doc: OpenApiOperationDocType) => {
+    const parameters: JsonSchemaType[] = [];
+
+    const paramsObj = doc.params ? unwrapZodObject(doc.params) : undefined;
+    for (const name of pathParams) {
+        const paramSchema = paramsObj?.shape[name];
+        parameters.push({
+            name,
+            in: 'path',
+            required: true,
+            schema: paramSchema ? zodToJsonSchema(paramSchema, 'input') : { type: 'string' },
+        });
+    }
+
+    const queryObj = doc.query ? unwrapZodObject(doc.query) : undefined;
+    if (queryObj) {
+        const querySchema = zodToJsonSchema(queryObj, 'input');
+        const required = (querySchema.required ?? []) as string[];
+        const properties = querySchema.properties as Record<string, JsonSchemaType>;
+        for (const [name, schema] of Object.entries(properties)) {
+            const { description, ...paramSchema } = schema;
+            parameters.push({
+                name,
+                in: 'query',
+                required: required.includes(name),
+                ...(description ? { description } : {}),
+                schema: paramSchema,
+            });
+        }
+    }
+    return parameters;
+};
+
+
+/**
+ * Builds a single operation object
+ */
+const buildOperation = (
+    route: OpenApiRouteType,
+    koaPath: string,
+    pathParams: string[],
+    doc: OpenApiOperationDocType,
+): OpenApiOperationType => {
+    const isStable = route.auth === 'apiV1';
+    const operation: OpenApiOperationType = {
+        operationId: genOperationId(route.method, koaPath),
+        tags: doc.tags ?? [getDefaultTag(koaPath)],
+    };
+    if (doc.summary) operation.summary = doc.summary;
+    const description = isStable ? doc.description : [doc.description, panelRouteNote].filter(Boolean).join('\n\n');
+    if (description) operation.description = description;
+
+    const parameters = buildParameters(pathParams, doc);
+    if (parameters.length) operation.parameters = parameters;
+
+    if (doc.body) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                'application/json': { schema: zodToJsonSchema(doc.body, 'input') },
+            },
+        };
+    }
+
+    const successStatus = (doc.successStatus ?? 200).toString();
+    const successResp: JsonSchemaType = { description: 'Success' };
+    if (doc.response) {
+        successResp.content = {
+            'application/json': { schema: zodToJsonSchema(doc.response, 'output') },
+        };
+    }
+    operation.responses = isStable
+        ? {
+            [successStatus]: successResp,
+            default: {
+                description: 'Error',
+                content: {
+                    'application/json': { schema: { $ref: '#/components/schemas/ApiV1Error' } },
+                },
+            },
+        }
+        : { [successStatus]: successResp };
+
+    operation.security = securityByAuth[route.auth];
+    if (!isStable) operation['x-txadmin-internal'] = true;
+    return operation;
+};
+
+
+/**
+ * MARK: Generator
+ */
+/**
+ * Generates the OpenAPI 3.1 document for the given routes.
+ * Routes without docs are still listed, with the path params as strings.
+ */
+export const generateOpenApiSpec = (
+    routes: OpenApiRouteType[],
+    routeDocs: OpenApiRouteDocsType,
+    opts: { version: string; tagDescriptions?: Record<string, string> },
+): OpenApiSpecType => {
+    const paths: OpenApiSpecType['paths'] = {};
+    const addOperation = (route: OpenApiRouteType, koaPath: string, doc: OpenApiOperationDocType) => {
+        const { path, params } = convertKoaPath(koaPath);
+        paths[path] ??= {};
+        paths[path][route.method.toLowerCase()] = buildOperation(route, koaPath, params, doc);
+    };
+
+    for (const route of routes) {
+        const doc = routeDocs[`${route.method} ${route.path}`] ?? {};
+        if (!doc.variants) {
+            addOperation(route, route.path, doc);
+            continue;
+        }
+        const { param, values } = doc.variants;
+        for (const [value, variantDoc] of Object.entries(values)) {
+            const variantPath = route.path.replace(`:${param}`, value);
+            addOperation(route, variantPath, {
+                tags: doc.tags,
+                ...variantDoc,
+            });
+        }
+    }
+
+    //Sorting tags with the stable ones first
+    const usedTags = new Set(Object.values(paths).flatMap((methods) => {
+        return Object.values(methods).flatMap((op) => op.tags);
+    }));
+    const tags = [...usedTags].sort((a, b) => {
+        const aStable = a.startsWith(OPENAPI_STABLE_TAG_PREFIX);
+        const bStable = b.startsWith(OPENAPI_STABLE_TAG_PREFIX);
+        if (aStable !== bStable) return aStable ? -1 : 1;
+        return a.localeCompare(b);
+    }).map((name) => {
+        const description = opts.tagDescriptions?.[name];
+        return description ? { name, description } : { name };
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'txAdmin API',
+            version: opts.version,
+            description: 'The `/api/v1` routes are stable between releases, all the others are used internally by the panel and may change at any time.',
+        },
+        tags,
+        paths,
+        components: {
+            schemas: {
+                ApiV1Error: apiV1ErrorJsonSchema,
+            },
+            securitySchemes,
+        },
+    };
+};
@@ -0,0 +1,262 @@
+import { z } from 'zod';
+import type { OpenApiRouteDocsType } from './openApiSpec';
+import { BanTemplatesDataSchema } from '@modules/ConfigStore/schema/banlist';
+import {
+    apiV1ActionSchema,
+    apiV1OnlinePlayerSchema,
+    apiV1PlayerDetailsSchema,
+    apiV1PlayerSchema,
+    apiV1ServerStatusSchema,
+    apiV1WhitelistApprovalSchema,
+    apiV1WhitelistRequestSchema,
+} from '@routes/apiV1/apiV1Resources';
+import { apiV1PlayerParamsSchema, apiV1PlayersQuerySchema } from '@routes/apiV1/players';
+import { apiV1ActionParamsSchema, apiV1ActionsQuerySchema, apiV1CreateBanBodySchema } from '@routes/apiV1/actions';
+import {
+    apiV1CreateWhitelistApprovalBodySchema,
+    apiV1WhitelistApprovalParamsSchema,
+    apiV1WhitelistApprovalsQuerySchema,
+    apiV1WhitelistRequestParamsSchema,
+    apiV1WhitelistRequestsQuerySchema,
+} from '@routes/apiV1/whitelist';
+import { addLegacyBanBodySchema, ignoreFederatedBanBodySchema, revokeActionBodySchema } from '@routes/history/actions';
+import { querySchema as auditLogQuerySchema } from '@routes/auditLog';
+import { querySchema as playerDropsQuerySchema } from '@routes/playerDrops';
+import { paramsSchema as perfChartParamsSchema } from '@routes/perfChart';
+import {
+    paramsSchema as saveConfigsParamsSchema,
+    bodySchema as saveConfigsBodySchema,
+} from '@routes/settings/saveConfigs';
+import { saveBodySchema as saveWebhookBodySchema, idBodySchema as webhookIdBodySchema } from '@routes/webhooks/actions';
+import {
+    saveSourceBodySchema as saveFederationSourceBodySchema,
+    addAccessKeyBodySchema as addFederationAccessKeyBodySchema,
+    idBodySchema as federationIdBodySchema,
+} from '@routes/banFederation/actions';
+import { bodySchema as verifyPasswordBodySchema } from '@routes/authentication/verifyPassword';
+import { bodySchema as verifyTotpBodySchema } from '@routes/authentication/verifyTotp';
+import { bodySchema as addMasterPinBodySchema } from '@routes/authentication/addMasterPin';
+import { bodySchema as addMasterCallbackBodySchema } from '@routes/authentication/addMasterCallback';
+import { bodySchema as addMasterSaveBodySchema } from '@routes/authentication/addMasterSave';
+import {
+    paramsSchema as providerRedirectParamsSchema,
+    querySchema as providerRedirectQuerySchema,
+} from '@routes/authentication/providerRedirect';
+import { bodySchema as providerCallbackBodySchema } from '@routes/authentication/providerCallback';
+import { bodySchema as changePasswordBodySchema } from '@routes/authentication/changePassword';
+import { bodySchema as changeIdentifiersBodySchema } from '@routes/authentication/changeIdentifiers';
+import {
+    createBodySchema as createApiTokenBodySchema,
+    revokeBodySchema as revokeApiTokenBodySchema,
+} from '@routes/authentication/apiTokenActions';
+import { codeBodySchema as totpCodeBodySchema } from '@routes/authentication/totpActions';
+import { revokeBodySchema as revokeSessionBodySchema } from '@routes/authentication/sessionActions';
+
+
+//Helpers
+const v1Item = (schema: z.ZodTypeAny) => z.object({ data: schema });
+const v1List = (schema: z.ZodTypeAny) => z.object({
+    data: z.array(schema),
+    nextCursor: z.string().nullable(),
+});
+
+export const routeTagDescriptions: Record<string, string> = {
+    'v1 Server': 'Server status and online players.',
+    'v1 Players': 'Players registered in the database.',
+    'v1 Actions': 'Bans and warnings.',
+    'v1 Whitelist': 'Whitelist approvals and pending requests.',
+};
+
+
+/**
+ * Documentation for the routes, using the same zod schemas used by the routes to validate the requests.
+ * The route list itself comes from the router, so routes missing here are still part of the spec.
+ */
+export const routeDocs: OpenApiRouteDocsType = {
+    //Public REST API v1
+    'GET /api/v1/status': {
+        tags: ['v1 Server'],
+        summary: 'Get the server status',
+        response: v1Item(apiV1ServerStatusSchema),
+    },
+    'GET /api/v1/playerlist': {
+        tags: ['v1 Server'],
+        summary: 'List the online players',
+        response: v1Item(z.array(apiV1OnlinePlayerSchema)),
+    },
+    'GET /api/v1/players': {
+        tags: ['v1 Players'],
+        summary: 'List the players',
+        query: apiV1PlayersQuerySchema,
+        response: v1List(apiV1PlayerSchema),
+    },
+    'GET /api/v1/players/:license': {
+        tags: ['v1 Players'],
+        summary: 'Get a player and their actions',
+        params: apiV1PlayerParamsSchema,
+        response: v1Item(apiV1PlayerDetailsSchema),
+    },
+    'GET /api/v1/actions': {
+        tags: ['v1 Actions'],
+        summary: 'List the actions',
+        query: apiV1ActionsQuerySchema,
+        response: v1List(apiV1ActionSchema),
+    },
+    'POST /api/v1/actions/bans': {
+        tags: ['v1 Actions'],
+        summary: 'Ban a list of identifiers',
+        description: 'Requires the `players.ban` permission. The duration can be `permanent` or `<number> <hours|days|weeks|months>`.',
+        body: apiV1CreateBanBodySchema,
+        response: v1Item(apiV1ActionSchema),
+        successStatus: 201,
+    },
+    'GET /api/v1/actions/:id': {
+        tags: ['v1 Actions'],
+        summary: 'Get an action',
+        params: apiV1ActionParamsSchema,
+        response: v1Item(apiV1ActionSchema),
+    },
+    'POST /api/v1/actions/:id/revoke': {
+        tags: ['v1 Actions'],
+        summary: 'Revoke an action',
+        description: 'Requires the `players.ban` permission for bans, or `players.warn` for warns.',
+        params: apiV1ActionParamsSchema,
+        response: v1Item(apiV1ActionSchema),
+    },
+    'GET /api/v1/whitelist/approvals': {
+        tags: ['v1 Whitelist'],
+        summary: 'List the whitelist approvals',
+        query: apiV1WhitelistApprovalsQuerySchema,
+        response: v1List(apiV1WhitelistApprovalSchema),
+    },
+    'POST /api/v1/whitelist/approvals': {
+        tags: ['v1 Whitelist'],
+        summary: 'Approve an identifier',
+        description: 'Requires the `players.whitelist` permission.',
+        body: apiV1CreateWhitelistApprovalBodySchema,
+        response: v1Item(apiV1WhitelistApprovalSchema),
+        successStatus: 201,
+    },
+    'DELETE /api/v1/whitelist/approvals/:identifier': {
+        tags: ['v1 Whitelist'],
+        summary: 'Remove an approval',
+        description: 'Requires the `players.whitelist` permission.',
+        params: apiV1WhitelistApprovalParamsSchema,
+        response: v1Item(apiV1WhitelistApprovalSchema),
+    },
+    'GET /api/v1/whitelist/requests': {
+        tags: ['v1 Whitelist'],
+        summary: 'List the pending whitelist requests',
+        query: apiV1WhitelistRequestsQuerySchema,
+        response: v1List(apiV1WhitelistRequestSchema),
+    },
+    'POST /api/v1/whitelist/requests/:id/approve': {
+        tags: ['v1 Whitelist'],
+        summary: 'Approve a whitelist request',
+        description: 'Requires the `players.whitelist` permission.',
+        params: apiV1WhitelistRequestParamsSchema,
+        response: v1Item(apiV1WhitelistRequestSchema),
+    },
+    'POST /api/v1/whitelist/requests/:id/deny': {
+        tags: ['v1 Whitelist'],
+        summary: 'Deny a whitelist request',
+        description: 'Requires the `players.whitelist` permission.',
+        params: apiV1WhitelistRequestParamsSchema,
+        response: v1Item(apiV1WhitelistRequestSchema),
+    },
+
+    //Authentication
+    'POST /auth/password': { summary: 'Login with username and password', body: verifyPasswordBodySchema },
+    'POST /auth/verifyTotp': { summary: 'Complete a login with the 2FA code', body: verifyTotpBodySchema },
+    'POST /auth/addMaster/pin': { summary: 'Start the master account setup', body: addMasterPinBodySchema },
+    'POST /auth/addMaster/callback': { summary: 'Cfx.re callback of the master account setup', body: addMasterCallbackBodySchema },
+    'POST /auth/addMaster/save': { summary: 'Save the master account', body: addMasterSaveBodySchema },
+    'GET /auth/oauth/:provider/redirect': {
+        summary: 'Get the login provider redirect url',
+        params: providerRedirectParamsSchema,
+        query: providerRedirectQuerySchema,
+    },
+    'POST /auth/oauth/callback': { summary: 'Login provider callback', body: providerCallbackBodySchema },
+    'POST /auth/changePassword': { summary: 'Change your own password', body: changePasswordBodySchema },
+    'POST /auth/changeIdentifiers': { summary: 'Change your own identifiers', body: changeIdentifiersBodySchema },
+    'POST /auth/apiTokens/:action': {
+        variants: {
+            param: 'action',
+            values: {
+                create: { summary: 'Create an API token', body: createApiTokenBodySchema },
+                revoke: { summary: 'Revoke an API token', body: revokeApiTokenBodySchema },
+            },
+        },
+    },
+    'POST /auth/totp/:action': {
+        variants: {
+            param: 'action',
+            values: {
+                setup: { summary: 'Start the 2FA setup' },
+                confirm: { summary: 'Confirm the 2FA setup', body: totpCodeBodySchema },
+                disable: { summary: 'Disable the 2FA', body: totpCodeBodySchema },
+            },
+        },
+    },
+    'POST /auth/sessions/:action': {
+        variants: {
+            param: 'action',
+            values: {
+                revoke: { summary: 'Revoke one of your sessions', body: revokeSessionBodySchema },
+                revokeOthers: { summary: 'Revoke all your other sessions' },
+            },
+        },
+    },
+
+    //Settings, Webhooks & Ban Federation
+    'POST /settings/configs/:card': {
+        summary: 'Save a settings card',
+        params: saveConfigsParamsSchema,
+        body: saveConfigsBodySchema,
+    },
+    'GET /settings/banTemplates': {
+        summary: 'Get the ban templates',
+        response: z.array(BanTemplatesDataSchema),
+    },
+    'POST /settings/banTemplates': {
+        summary: 'Save the ban templates',
+        body: z.array(BanTemplatesDataSchema),
+    },
+    'POST /webhooks/:action': {
+        variants: {
+            param: 'action',
+            values: {
+                save: { summary: 'Add or edit a webhook', body: saveWebhookBodySchema },
+                delete: { summary: 'Delete a webhook', body: webhookIdBodySchema },
+                test: { summary: 'Send a test event to a webhook', body: webhookIdBodySchema },
+            },
+        },
+    },
+    'POST /federation/:action': {
+        variants: {
+            param: 'action',
+            values: {
+                saveSource: { summary: 'Add or edit a ban federation source', body: saveFederationSourceBodySchema },
+                deleteSource: { summary: 'Delete a ban federation source', body: federationIdBodySchema },
+                syncSource: { summary: 'Sync the bans of a ban federation source', body: federationIdBodySchema },
+                addAccessKey: { summary: 'Add a ban federation access key', body: addFederationAccessKeyBodySchema },
+                deleteAccessKey: { summary: 'Delete a ban federation access key', body: federationIdBodySchema },
+            },
+        },
+    },
+
+    //Data
+    'GET /auditLog': { summary: 'Search the audit log', query: auditLogQuerySchema },
+    'GET /perfChartData/:thread': { summary: 'Get the performance chart data', params: perfChartParamsSchema },
+    'GET /playerDropsData': { summary: 'Get the player drops data', query: playerDropsQuerySchema },
+    'POST /history/:action': {
+        variants: {
+            param: 'action',
+            values: {
+                addLegacyBan: { summary: 'Ban a list of identifiers', body: addLegacyBanBodySchema },
+                revokeAction: { summary: 'Revoke an action', body: revokeActionBodySchema },
+                ignoreFederatedBan: { summary: 'Ignore or stop ignoring a federated ban', body: ignoreFederatedBanBodySchema },
+            },
+        },
+    },
+};
@@ -0,0 +1,123 @@
+import { suite, it, expect } from 'vitest';
+import { z } from 'zod';
+import { unwrapZodObject, zodToJsonSchema } from './zodToJsonSchema';
+
+
+suite('zodToJsonSchema', () => {
+    it('should convert primitives and their checks', () => {
+        expect(zodToJsonSchema(z.string().trim().min(3).max(20))).toEqual({
+            type: 'string',
+            minLength: 3,
+            maxLength: 20,
+        });
+        expect(zodToJsonSchema(z.string().regex(/^\d+$/).url())).toEqual({
+            type: 'string',
+            pattern: '^\\d+$',
+            format: 'uri',
+        });
+        expect(zodToJsonSchema(z.coerce.number().int().min(1).max(500))).toEqual({
+            type: 'integer',
+            minimum: 1,
+            maximum: 500,
+        });
+        expect(zodToJsonSchema(z.number().positive())).toEqual({ type: 'number', exclusiveMinimum: 0 });
+        expect(zodToJsonSchema(z.boolean())).toEqual({ type: 'boolean' });
+        expect(zodToJsonSchema(z.literal('ban'))).toEqual({ type: 'string', const: 'ban' });
+        expect(zodToJsonSchema(z.enum(['asc', 'desc']))).toEqual({ type: 'string', enum: ['asc', 'desc'] });
+        expect(zodToJsonSchema(z.any())).toEqual({});
+    });
+
+    it('should convert native enums without the reverse mappings', () => {
+        enum Example { First, Second }
+        expect(zodToJsonSchema(z.nativeEnum(Example))).toEqual({ enum: [0, 1] });
+    });
+
+    it('should convert objects with required and optional properties', () => {
+        const schema = z.object({
+            name: z.string(),
+            limit: z.number().default(50),
+            cursor: z.string().optional(),
+        }).strict();
+        expect(zodToJsonSchema(schema, 'input')).toEqual({
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                limit: { type: 'number', default: 50 },
+                cursor: { type: 'string' },
+            },
+            required: ['name'],
+            additionalProperties: false,
+        });
+        expect(zodToJsonSchema(schema, 'output')).toMatchObject({
+            required: ['name', 'limit'],
+            properties: { limit: { type: 'number' } },
+        });
+    });
+
+    it('should convert nullables', () => {
+        expect(zodToJsonSchema(z.string().nullable())).toEqual({ type: ['string', 'null'] });
+        expect(zodToJsonSchema(z.enum(['a']).nullable())).toEqual({ type: ['string', 'null'], enum: ['a', null] });
+        expect(zodToJsonSchema(z.object({}).nullable())).toEqual({ type: ['object', 'null'], properties: {} });
+        expect(zodToJsonSchema(z.string().or(z.number()).nullable())).toEqual({
+            anyOf: [{ anyOf: [{ type: 'string' }, { type: 'number' }] }, { type: 'null' }],
+        });
+    });
+
+    it('should convert arrays, tuples, records and unions', () => {
+        expect(zodToJsonSchema(z.string().array().min(1).max(64))).toEqual({
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            maxItems: 64,
+        });
+        expect(zodToJsonSchema(z.tuple([z.string(), z.number()]))).toEqual({
+            type: 'array',
+            prefixItems: [{ type: 'string' }, { type: 'number' }],
+            minItems: 2,
+            maxItems: 2,
+        });
+        expect(zodToJsonSchema(z.record(z.boolean()))).toEqual({
+            type: 'object',
+            additionalProperties: { type: 'boolean' },
+        });
+        expect(zodToJsonSchema(z.string().or(z.literal('')))).toEqual({
+            anyOf: [{ type: 'string' }, { type: 'string', const: '' }],
+        });
+        const discriminated = z.discriminatedUnion('type', [
+            z.object({ type: z.literal('a') }),
+            z.object({ type: z.literal('b') }),
+        ]);
+        expect(zodToJsonSchema(discriminated)).toMatchObject({ oneOf: [{ type: 'object' }, { type: 'object' }] });
+    });
+
+    it('should handle refinements and transforms according to the mode', () => {
+        const refined = z.string().refine((x) => x.startsWith('a'));
+        expect(zodToJsonSchema(refined, 'input')).toEqual({ type: 'string' });
+        expect(zodToJsonSchema(refined, 'output')).toEqual({ type: 'string' });
+
+        const transformed = z.enum(['true', 'false']).transform((x) => x === 'true');
+        expect(zodToJsonSchema(transformed, 'input')).toEqual({ type: 'string', enum: ['true', 'false'] });
+        expect(zodToJsonSchema(transformed, 'output')).toEqual({});
+
+        const piped = z.string().pipe(z.coerce.number());
+        expect(zodToJsonSchema(piped, 'input')).toEqual({ type: 'string' });
+        expect(zodToJsonSchema(piped, 'output')).toEqual({ type: 'number' });
+    });
+
+    it('should keep descriptions', () => {
+        expect(zodToJsonSchema(z.string().describe('The player name'))).toEqual({
+            type: 'string',
+            description: 'The player name',
+        });
+    });
+});
+
+
+suite('unwrapZodObject', () => {
+    it('should return the object behind effects', () => {
+        const obj = z.object({ a: z.string() });
+        expect(unwrapZodObject(obj)).toBe(obj);
+        expect(unwrapZodObject(obj.refine(() => true))).toBe(obj);
+        expect(unwrapZodObject(z.string())).toBeUndefined();
+    });
+});
@@ -0,0 +1,224 @@
+import { z } from 'zod';
+
+export type JsonSchemaType = { [key: string]: unknown };
+export type ZodSchemaModeType = 'input' | 'output';
+
+
+/**
+ * Makes a JSON Schema also accept null
+ */
+const makeNullable = (schema: JsonSchemaType): JsonSchemaType => {
+    if (typeof schema.type === 'string') {
+        const out: JsonSchemaType = { ...schema, type: [schema.type, 'null'] };
+        if (Array.isArray(schema.enum)) out.enum = [...schema.enum, null];
+        return out;
+    }
+    return { anyOf: [schema, { type: 'null' }] };
+};
+
+
+/**
+ * Returns if a object property can be omitted.
+ * For the input, optional and default values are not required, but for the output only optional ones are.
+ */
+const isPropOptional = (schema: z.ZodTypeAny, mode: ZodSchemaModeType): boolean => {
+    if (schema instanceof z.ZodOptional) return true;
+    if (schema instanceof z.ZodDefault) return mode === 'input';
+    if (schema instanceof z.ZodAny || schema instanceof z.ZodUnknown) return true;
+    if (schema instanceof z.ZodEffects) return isPropOptional(schema.innerType(), mode);
+    if (schema instanceof z.ZodBranded) return isPropOptional(schema._def.type, mode);
+    if (schema instanceof z.ZodReadonly || schema instanceof z.ZodCatch) {
+        return isPropOptional(schema._def.innerType, mode);
+    }
+    if (schema instanceof z.ZodPipeline) {
+        return isPropOptional(mode === 'input' ? schema._def.in : schema._def.out, mode);
+    }
+    return false;
+};
+
+
+/**
+ * Converts the string checks to JSON Schema keywords
+ */
+const convertString = (schema: z.ZodString) => {
+    const out: JsonSchemaType = { type: 'string' };
+    for (const check of schema._def.checks) {
+        if (check.kind === 'min') {
+            out.minLength = check.value;
+        } else if (check.kind === 'max') {
+            out.maxLength = check.value;
+        } else if (check.kind === 'length') {
+            out.minLength = check.value;
+            out.maxLength = check.value;
+        } else if (check.kind === 'email') {
+            out.format = 'email';
+        } else if (check.kind === 'url') {
+            out.format = 'uri';
+        } else if (check.kind === 'uuid') {
+            out.format = 'uuid';
+        } else if (check.kind === 'datetime') {
+            out.format = 'date-time';
+        } else if (check.kind === 'regex' && out.pattern === undefined) {
+            out.pattern = check.regex.source;
+        }
+    }
+    return out;
+};
+
+
+/**
+ * Converts the number checks to JSON Schema keywords
+ */
+const convertNumber = (schema: z.ZodNumber) => {
+    const out: JsonSchemaType = { type: 'number' };
+    for (const check of schema._def.checks) {
+        if (check.kind === 'int') {
+            out.type = 'integer';
+        } else if (check.kind === 'min') {
+            out[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+        } else if (check.kind === 'max') {
+            out[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+        } else if (check.kind === 'multipleOf') {
+            out.multipleOf = check.value;
+        }
+    }
+    return out;
+};
+
+
+/**
+ * Converts an object schema, respecting the unknown keys policy
+ */
+const convertObject = (schema: z.AnyZodObject, mode: ZodSchemaModeType) => {
+    const properties: Record<string, JsonSchemaType> = {};
+    const required: string[] = [];
+    for (const [key, propSchema] of Object.entries(schema.shape as z.ZodRawShape)) {
+        properties[key] = zodToJsonSchema(propSchema, mode);
+        if (!isPropOptional(propSchema, mode)) required.push(key);
+    }
+
+    const out: JsonSchemaType = { type: 'object', properties };
+    if (required.length) out.required = required;
+    const catchall = schema._def.catchall;
+    if (catchall && !(catchall instanceof z.ZodNever)) {
+        out.additionalProperties = zodToJsonSchema(catchall, mode);
+    } else if (schema._def.unknownKeys === 'strict') {
+        out.additionalProperties = false;
+    }
+    return out;
+};
+
+
+/**
+ * Converts a zod schema to JSON Schema (draft 2020-12, as used by OpenAPI 3.1).
+ * Only covers the zod types used by the txAdmin routes, any other type results in an empty schema (any value).
+ * The mode is required because transforms, defaults and pipelines have different input and output types.
+ */
+export const zodToJsonSchema = (schema: z.ZodTypeAny, mode: ZodSchemaModeType = 'input'): JsonSchemaType => {
+    let out: JsonSchemaType;
+
+    if (schema instanceof z.ZodString) {
+        out = convertString(schema);
+    } else if (schema instanceof z.ZodNumber) {
+        out = convertNumber(schema);
+    } else if (schema instanceof z.ZodBigInt) {
+        out = { type: 'integer' };
+    } else if (schema instanceof z.ZodBoolean) {
+        out = { type: 'boolean' };
+    } else if (schema instanceof z.ZodDate) {
+        out = { type: 'string', format: 'date-time' };
+    } else if (schema instanceof z.ZodNull) {
+        out = { type: 'null' };
+    } else if (schema instanceof z.ZodLiteral) {
+        const value = schema._def.value;
+        out = value === null ? { type: 'null' } : { type: typeof value, const: value };
+    } else if (schema instanceof z.ZodEnum) {
+        out = { type: 'string', enum: [...schema._def.values] };
+    } else if (schema instanceof z.ZodNativeEnum) {
+        //numeric enums have reverse mappings that must be ignored
+        const values = Object.entries(schema._def.values as Record<string, string | number>)
+            .filter(([key]) => isNaN(Number(key)))
+            .map(([, value]) => value);
+        out = { enum: values };
+    } else if (schema instanceof z.ZodArray) {
+        out = { type: 'array', items: zodToJsonSchema(schema._def.type, mode) };
+        const { minLength, maxLength, exactLength } = schema._def;
+        if (minLength) out.minItems = minLength.value;
+        if (maxLength) out.maxItems = maxLength.value;
+        if (exactLength) {
+            out.minItems = exactLength.value;
+            out.maxItems = exactLength.value;
+        }
+    } else if (schema instanceof z.ZodTuple) {
+        const items: z.ZodTypeAny[] = schema._def.items;
+        out = {
+            type: 'array',
+            prefixItems: items.map((item) => zodToJsonSchema(item, mode)),
+            minItems: items.length,
+        };
+        if (schema._def.rest) {
+            out.items = zodToJsonSchema(schema._def.rest, mode);
+        } else {
+            out.maxItems = items.length;
+        }
+    } else if (schema instanceof z.ZodObject) {
+        out = convertObject(schema, mode);
+    } else if (schema instanceof z.ZodRecord) {
+        out = { type: 'object', additionalProperties: zodToJsonSchema(schema._def.valueType, mode) };
+    } else if (schema instanceof z.ZodUnion) {
+        const options: z.ZodTypeAny[] = schema._def.options;
+        out = { anyOf: options.map((option) => zodToJsonSchema(option, mode)) };
+    } else if (schema instanceof z.ZodDiscriminatedUnion) {
+        const options: z.ZodTypeAny[] = schema._def.options;
+        out = { oneOf: options.map((option) => zodToJsonSchema(option, mode)) };
+    } else if (schema instanceof z.ZodIntersection) {
+        out = {
+            allOf: [
+                zodToJsonSchema(schema._def.left, mode),
+                zodToJsonSchema(schema._def.right, mode),
+            ],
+        };
+    } else if (schema instanceof z.ZodOptional) {
+        out = zodToJsonSchema(schema._def.innerType, mode);
+    } else if (schema instanceof z.ZodNullable) {
+        out = makeNullable(zodToJsonSchema(schema._def.innerType, mode));
+    } else if (schema instanceof z.ZodDefault) {
+        out = zodToJsonSchema(schema._def.innerType, mode);
+        const defaultValue = schema._def.defaultValue();
+        if (mode === 'input' && defaultValue !== undefined && typeof defaultValue !== 'function') {
+            out.default = defaultValue;
+        }
+    } else if (schema instanceof z.ZodEffects) {
+        //refinements keep the type, but the output of transforms is unknown
+        const effectType = schema._def.effect.type;
+        out = (effectType === 'transform' && mode === 'output')
+            ? {}
+            : zodToJsonSchema(schema.innerType(), mode);
+    } else if (schema instanceof z.ZodPipeline) {
+        out = zodToJsonSchema(mode === 'input' ? schema._def.in : schema._def.out, mode);
+    } else if (schema instanceof z.ZodBranded) {
+        out = zodToJsonSchema(schema._def.type, mode);
+    } else if (schema instanceof z.ZodReadonly || schema instanceof z.ZodCatch) {
+        out = zodToJsonSchema(schema._def.innerType, mode);
+    } else {
+        //ZodAny, ZodUnknown, ZodLazy, etc
+        out = {};
+    }
+
+    if (schema.description) {
+        out.description = schema.description;
+    }
+    return out;
+};
+
+
+/**
+ * Returns the object schema behind refinements/transforms, to be used for parameters.
+ * Returns undefined if the schema is not an object.
+ */
+export const unwrapZodObject = (schema: z.ZodTypeAny): z.AnyZodObject | undefined => {
+    if (schema instanceof z.ZodObject) return schema;
+    if (schema instanceof z.ZodEffects) return unwrapZodObject(schema.innerType());
+    if (schema instanceof z.ZodPipeline) return unwrapZodObject(schema._def.in);
+    return undefined;
+};
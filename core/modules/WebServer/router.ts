@@ -3,7 +3,7 @@ import Router from '@koa/router';
 import KoaRateLimit from 'koa-ratelimit';
 
 import * as routes from '@routes/index';
-import { apiAuthMw, hostAuthMw, intercomAuthMw, webAuthMw } from './middlewares/authMws';
+import { apiAuthMw, apiV1AuthMw, hostAuthMw, intercomAuthMw, webAuthMw } from './middlewares/authMws';
 
 
 /**
@@ -25,6 +25,17 @@ export default () => {
         disableHeader: true,
         id: (ctx: any) => ctx.txVars.realIP,
     });
+    const appealLimiter = KoaRateLimit({
+        driver: 'memory',
+        db: new Map(),
+        duration: txConfig.webServer.limiterMinutes * 60 * 1000,
+        errorMessage: JSON.stringify({
+            error: `Too many requests. Blocked for ${txConfig.webServer.limiterMinutes} minutes.`,
+        }),
+        max: txConfig.webServer.limiterAttempts,
+        disableHeader: true,
+        id: (ctx: any) => ctx.txVars.realIP,
+    });
 
     //Rendered Pages
     router.get('/legacy/adminManager', webAuthMw, routes.adminManager_page);
@@ -41,15 +52,22 @@ export default () => {
     //Authentication
     router.get('/auth/self', apiAuthMw, routes.auth_self);
     router.post('/auth/password', authLimiter, routes.auth_verifyPassword);
+    router.post('/auth/verifyTotp', authLimiter, routes.auth_verifyTotp);
     router.post('/auth/logout', authLimiter, routes.auth_logout);
     router.post('/auth/addMaster/pin', authLimiter, routes.auth_addMasterPin);
     router.post('/auth/addMaster/callback', authLimiter, routes.auth_addMasterCallback);
     router.post('/auth/addMaster/save', authLimiter, routes.auth_addMasterSave);
-    router.get('/auth/cfxre/redirect', authLimiter, routes.auth_providerRedirect);
-    router.post('/auth/cfxre/callback', authLimiter, routes.auth_providerCallback);
+    router.get('/auth/oauth/:provider/redirect', authLimiter, routes.auth_providerRedirect);
+    router.post('/auth/oauth/callback', authLimiter, routes.auth_providerCallback);
     router.post('/auth/changePassword', apiAuthMw, routes.auth_changePassword);
     router.get('/auth/getIdentifiers', apiAuthMw, routes.auth_getIdentifiers);
     router.post('/auth/changeIdentifiers', apiAuthMw, routes.auth_changeIdentifiers);
+    router.get('/auth/apiTokens', apiAuthMw, routes.auth_getApiTokens);
+    router.post('/auth/apiTokens/:action', apiAuthMw, routes.auth_apiTokenActions);
+    router.get('/auth/totp', apiAuthMw, routes.auth_getTotp);
+    router.post('/auth/totp/:action', authLimiter, apiAuthMw, routes.auth_totpActions);
+    router.get('/auth/sessions', apiAuthMw, routes.auth_getSessions);
+    router.post('/auth/sessions/:action', apiAuthMw, routes.auth_sessionActions);
 
     //Admin Manager
     router.post('/adminManager/getModal/:modalType', webAuthMw, routes.adminManager_getModal);
@@ -65,8 +83,22 @@ export default () => {
     router.post('/settings/banTemplates', apiAuthMw, routes.settings_saveBanTemplates);
     router.post('/settings/resetServerDataPath', apiAuthMw, routes.settings_resetServerDataPath);
 
+    //Webhooks
+    router.get('/webhooks/list', apiAuthMw, routes.webhooks_list);
+    router.get('/webhooks/deliveries', apiAuthMw, routes.webhooks_deliveries);
+    router.post('/webhooks/:action', apiAuthMw, routes.webhooks_actions);
+
+    //Ban Federation - the feed route uses its own access keys
+    router.get('/federation/feed', routes.banFederation_feed);
+    router.get('/federation/list', apiAuthMw, routes.banFederation_list);
+    router.post('/federation/:action', apiAuthMw, routes.banFederation_actions);
+
     //Master Actions
     router.get('/masterActions/backupDatabase', webAuthMw, routes.masterActions_getBackup);
+    router.get('/masterActions/export/:collection', webAuthMw, routes.masterActions_exportData);
+    router.get('/masterActions/snapshots', apiAuthMw, routes.masterActions_listSnapshots);
+    router.get('/masterActions/snapshots/:name', webAuthMw, routes.masterActions_downloadSnapshot);
+    router.post('/masterActions/importBans', apiAuthMw, routes.masterActions_importBans);
     router.post('/masterActions/:action', apiAuthMw, routes.masterActions_actions);
 
     //FXServer
@@ -88,6 +120,7 @@ export default () => {
     //Data routes
     router.get('/serverLog/partial', apiAuthMw, routes.serverLogPartial);
     router.get('/systemLog/:scope', apiAuthMw, routes.systemLogs);
+    router.get('/auditLog', apiAuthMw, routes.auditLog);
     router.get('/perfChartData/:thread', apiAuthMw, routes.perfChart);
     router.get('/playerDropsData', apiAuthMw, routes.playerDrops);
 
@@ -109,13 +142,42 @@ export default () => {
     router.get('/player', apiAuthMw, routes.player_modal);
     router.get('/player/stats', apiAuthMw, routes.player_stats);
     router.get('/player/search', apiAuthMw, routes.player_search);
+    router.get('/player/links', apiAuthMw, routes.player_links);
+    router.get('/player/sessions', apiAuthMw, routes.player_sessions);
+    router.get('/player/tags', apiAuthMw, routes.player_tags);
     router.post('/player/checkJoin', intercomAuthMw, routes.player_checkJoin);
     router.post('/player/:action', apiAuthMw, routes.player_actions);
     router.get('/whitelist/:table', apiAuthMw, routes.whitelist_list);
     router.post('/whitelist/:table/:action', apiAuthMw, routes.whitelist_actions);
 
+    //Ban appeals - the /appeal routes are public
+    router.get('/appeal', routes.appeals_page);
+    router.post('/appeal/submit', appealLimiter, routes.appeals_submit);
+    router.post('/appeal/status', appealLimiter, routes.appeals_status);
+    router.get('/appeals/list', apiAuthMw, routes.appeals_list);
+    router.post('/appeals/:action', apiAuthMw, routes.appeals_actions);
+
+    //Public REST API v1 - see docs/api-v1.md
+    router.get('/api/openapi.json', apiAuthMw, routes.api_openApiSpec);
+    router.get('/api/v1/status', apiV1AuthMw, routes.apiV1_status);
+    router.get('/api/v1/playerlist', apiV1AuthMw, routes.apiV1_playerlist);
+    router.get('/api/v1/players', apiV1AuthMw, routes.apiV1_listPlayers);
+    router.get('/api/v1/players/:license', apiV1AuthMw, routes.apiV1_getPlayer);
+    router.get('/api/v1/actions', apiV1AuthMw, routes.apiV1_listActions);
+    router.post('/api/v1/actions/bans', apiV1AuthMw, routes.apiV1_createBan);
+    router.get('/api/v1/actions/:id', apiV1AuthMw, routes.apiV1_getAction);
+    router.post('/api/v1/actions/:id/revoke', apiV1AuthMw, routes.apiV1_revokeAction);
+    router.get('/api/v1/whitelist/approvals', apiV1AuthMw, routes.apiV1_listWhitelistApprovals);
+    router.post('/api/v1/whitelist/approvals', apiV1AuthMw, routes.apiV1_createWhitelistApproval);
+    router.delete('/api/v1/whitelist/approvals/:identifier', apiV1AuthMw, routes.apiV1_deleteWhitelistApproval);
+    router.get('/api/v1/whitelist/requests', apiV1AuthMw, routes.apiV1_listWhitelistRequests);
+    router.post('/api/v1/whitelist/requests/:id/approve', apiV1AuthMw, routes.apiV1_approveWhitelistRequest);
+    router.post('/api/v1/whitelist/requests/:id/deny', apiV1AuthMw, routes.apiV1_denyWhitelistRequest);
+    router.all('/api/v1/(.*)', routes.apiV1_notFound);
+
     //Host routes
     router.get('/host/status', hostAuthMw, routes.host_status);
+    router.get('/metrics', hostAuthMw, routes.host_metrics);
 
     //DevDebug routes - no auth
     if (txDevEnv.ENABLED) {
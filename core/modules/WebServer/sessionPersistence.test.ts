@@ -0,0 +1,55 @@
+import { suite, it, expect } from 'vitest';
+import {
+    decryptSessionsData,
+    encryptSessionsData,
+    genSessionsKey,
+    getPublicSessionId,
+    parseSessionsKey,
+} from './sessionPersistence';
+
+
+suite('sessions file encryption', () => {
+    const key = genSessionsKey();
+    const data = [['00000000-0000-0000-0000-000000000000', { expires: 123, data: { auth: { username: 'tabarra' } } }]];
+
+    it('should encrypt and decrypt data', () => {
+        const encrypted = encryptSessionsData(key, data);
+        expect(encrypted).not.toContain('tabarra');
+        expect(decryptSessionsData(key, encrypted)).toEqual(data);
+    });
+    it('should use a random iv', () => {
+        expect(encryptSessionsData(key, data)).not.toEqual(encryptSessionsData(key, data));
+    });
+    it('should reject the wrong key or tampered data', () => {
+        const encrypted = encryptSessionsData(key, data);
+        expect(() => decryptSessionsData(genSessionsKey(), encrypted)).toThrow();
+        const parsed = JSON.parse(encrypted);
+        parsed.data = Buffer.from('tampered').toString('base64');
+        expect(() => decryptSessionsData(key, JSON.stringify(parsed))).toThrow();
+        expect(() => decryptSessionsData(key, '{}')).toThrow();
+    });
+});
+
+
+suite('parseSessionsKey', () => {
+    it('should parse valid keys', () => {
+        const key = genSessionsKey();
+        expect(parseSessionsKey(key.toString('hex') + '\n')).toEqual(key);
+    });
+    it('should reject invalid keys', () => {
+        expect(parseSessionsKey('')).toBeUndefined();
+        expect(parseSessionsKey('abcd')).toBeUndefined();
+        expect(parseSessionsKey('z'.repeat(64))).toBeUndefined();
+    });
+});
+
+
+suite('getPublicSessionId', () => {
+    it('should be stable and not expose the session id', () => {
+        const sessId = '11111111-2222-3333-4444-555555555555';
+        const publicId = getPublicSessionId(sessId);
+        expect(publicId).toHaveLength(16);
+        expect(publicId).toEqual(getPublicSessionId(sessId));
+        expect(sessId).not.toContain(publicId);
+    });
+});
@@ -0,0 +1,78 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+import { z } from 'zod';
+
+//Consts
+export const SESSIONS_FILE_VERSION = 1;
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const CIPHER_IV_LENGTH = 12;
+export const SESSION_KEY_LENGTH = 32;
+
+//Types
+const EncryptedFileSchema = z.object({
+    version: z.literal(SESSIONS_FILE_VERSION),
+    iv: z.string(),
+    tag: z.string(),
+    data: z.string(),
+});
+export type EncryptedFileType = z.infer<typeof EncryptedFileSchema>;
+
+
+/**
+ * Generates a new random encryption key for the sessions file
+ */
+export const genSessionsKey = () => {
+    return randomBytes(SESSION_KEY_LENGTH);
+}
+
+
+/**
+ * Parses the hex key from the key file, or returns undefined if it is invalid
+ */
+export const parseSessionsKey = (raw: string) => {
+    const trimmed = raw.trim();
+    if (!/^[0-9a-f]+$/i.test(trimmed) || trimmed.length !== SESSION_KEY_LENGTH * 2) return;
+    return Buffer.from(trimmed, 'hex');
+}
+
+
+/**
+ * Encrypts a serializable value with AES-256-GCM, returning the JSON string to be written to the disk
+ */
+export const encryptSessionsData = (key: Buffer, value: unknown) => {
+    const iv = randomBytes(CIPHER_IV_LENGTH);
+    const cipher = createCipheriv(CIPHER_ALGORITHM, key, iv);
+    const encrypted = Buffer.concat([
+        cipher.update(JSON.stringify(value), 'utf8'),
+        cipher.final(),
+    ]);
+    return JSON.stringify({
+        version: SESSIONS_FILE_VERSION,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64'),
+    } satisfies EncryptedFileType);
+}
+
+
+/**
+ * Decrypts the contents of a file generated by encryptSessionsData().
+ * Throws if the file is invalid, was tampered with, or the key is wrong.
+ */
+export const decryptSessionsData = (key: Buffer, raw: string) => {
+    const file = EncryptedFileSchema.parse(JSON.parse(raw));
+    const decipher = createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const decrypted = Buffer.concat([
+        decipher.update(Buffer.from(file.data, 'base64')),
+        decipher.final(),
+    ]);
+    return JSON.parse(decrypted.toString('utf8')) as unknown;
+}
+
+
+/**
+ * Returns the public id of a session, which can be sent to the client without exposing the session cookie
+ */
+export const getPublicSessionId = (sessId: string) => {
+    return createHash('sha256').update(sessId).digest('hex').substring(0, 16);
+}
@@ -45,6 +45,10 @@ const terminateSession = (socket: SocketWithSession, reason: string, shouldLog =
         }
     } catch (error) { }
 };
+const isTotpSetupPending = (socket: SocketWithSession, authedAdmin: AuthedAdminType) => {
+    const isWebInterface = typeof socket.handshake.headers['x-txadmin-token'] !== 'string';
+    return isWebInterface && authedAdmin.isTotpSetupRequired;
+};
 const forceUiReload = (socket: SocketWithSession) => {
     try {
         socket.emit('refreshToUpdate');
@@ -117,6 +121,26 @@ export default class WebSocket {
             const { admin: authedAdmin } = authResult;
             socket.emit('updateAuthData', authedAdmin.getAuthData());
 
+            //Holding the rooms of admins that are now required to set up 2FA, and joining them after it's done
+            //NOTE: RemoteSocket can't register the command handlers, so we need the local socket
+            const localSocket = this.#io.sockets.sockets.get(socket.id) as SocketWithSession | undefined;
+            if (localSocket && isTotpSetupPending(localSocket, authedAdmin)) {
+                const joinedRooms = [...localSocket.rooms].filter((roomName) => roomName !== socket.id);
+                for (const roomName of joinedRooms) {
+                    localSocket.leave(roomName);
+                }
+                if (!localSocket.data.pendingRooms) {
+                    localSocket.data.pendingRooms = joinedRooms;
+                }
+                continue;
+            } else if (localSocket && Array.isArray(localSocket.data.pendingRooms)) {
+                const pendingRooms = localSocket.data.pendingRooms;
+                delete localSocket.data.pendingRooms;
+                this.flushBuffers();
+                this.#joinRooms(localSocket, authedAdmin, pendingRooms);
+                continue;
+            }
+
             //Checking permission of all joined rooms
             for (const roomName of socket.rooms) {
                 if (roomName === socket.id) continue;
@@ -172,32 +196,12 @@ export default class WebSocket {
             //really be an issue since we are first validating the user auth.
             this.flushBuffers();
 
-            //For each valid requested room
-            for (const requestedRoomName of requestedRooms) {
-                const room = this.#rooms[requestedRoomName as RoomNames];
-
-                //Checking Perms
-                if (room.permission !== true && !authedAdmin.hasPermission(room.permission)) {
-                    continue;
-                }
-
-                //Setting up event handlers
-                for (const [commandName, commandData] of Object.entries(room.commands ?? [])) {
-                    if (commandData.permission === true || authedAdmin.hasPermission(commandData.permission)) {
-                        socket.on(commandName, (...args) => {
-                            //Checking if admin is still in the room - perms change can make them be kicked out of room
-                            if (socket.rooms.has(requestedRoomName)) {
-                                commandData.handler(authedAdmin, ...args);
-                            } else {
-                                console.verbose.debug('SocketIO', `Command '${requestedRoomName}#${commandName}' was ignored due to admin not being in the room.`);
-                            }
-                        });
-                    }
-                }
-
-                //Sending initial data
-                socket.join(requestedRoomName);
-                socket.emit(room.eventName, room.initialData());
+            //Admins required to have 2FA only join the rooms after they set it up
+            if (isTotpSetupPending(socket, authedAdmin)) {
+                socket.data.pendingRooms = requestedRooms;
+                socket.emit('updateAuthData', authedAdmin.getAuthData());
+            } else {
+                this.#joinRooms(socket, authedAdmin, requestedRooms);
             }
 
             //General events
@@ -216,6 +220,44 @@ export default class WebSocket {
     }
 
 
+    /**
+     * Joins the rooms the admin has permission to, setting up the command handlers and sending the initial data
+     */
+    #joinRooms(socket: SocketWithSession, authedAdmin: AuthedAdminType, roomNames: string[]) {
+        //For each valid requested room
+        for (const requestedRoomName of roomNames) {
+            const room = this.#rooms[requestedRoomName as RoomNames];
+
+            //Checking Perms
+            if (room.permission !== true && !authedAdmin.hasPermission(room.permission)) {
+                continue;
+            }
+
+            //Setting up event handlers - only once, as rooms held for the 2FA setup are joined again
+            socket.data.roomsWithHandlers ??= new Set<string>();
+            const hasHandlers = socket.data.roomsWithHandlers.has(requestedRoomName);
+            socket.data.roomsWithHandlers.add(requestedRoomName);
+            const roomCommands = hasHandlers ? [] : Object.entries(room.commands ?? {});
+            for (const [commandName, commandData] of roomCommands) {
+                if (commandData.permission === true || authedAdmin.hasPermission(commandData.permission)) {
+                    socket.on(commandName, (...args) => {
+                        //Checking if admin is still in the room - perms change can make them be kicked out of room
+                        if (socket.rooms.has(requestedRoomName)) {
+                            commandData.handler(authedAdmin, ...args);
+                        } else {
+                            console.verbose.debug('SocketIO', `Command '${requestedRoomName}#${commandName}' was ignored due to admin not being in the room.`);
+                        }
+                    });
+                }
+            }
+
+            //Sending initial data
+            socket.join(requestedRoomName);
+            socket.emit(room.eventName, room.initialData());
+        }
+    }
+
+
     /**
      * Adds data to the a room buffer
      */
@@ -0,0 +1,374 @@
+const modulename = 'Webhooks';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import { throttle } from 'throttle-debounce';
+import { cloneDeep } from 'lodash-es';
+import consoleFactory from '@lib/console';
+import got from '@lib/got';
+import { now } from '@lib/misc';
+import { txEnv } from '@core/globalData';
+import {
+    WEBHOOK_DELIVERY_HEADER,
+    WEBHOOK_EVENT_HEADER,
+    WEBHOOK_SIGNATURE_HEADER,
+    WebhookDeliveryLogType,
+    WebhookQueueItemType,
+    WebhooksFileSchema,
+    WebhooksFileType,
+    WebhookType,
+    genWebhookId,
+    genWebhookSecret,
+    getNextAttemptTs,
+    isWebhookSubscribed,
+    signWebhookBody,
+} from './webhookUtils';
+const console = consoleFactory(modulename);
+
+
+//Consts
+const WEBHOOKS_FILE_NAME = 'webhooks.json';
+const WEBHOOKS_FILE_VERSION = 1;
+const MAX_WEBHOOKS = 25;
+const MAX_QUEUE_SIZE = 1000;
+const MAX_DELIVERY_LOG_SIZE = 500;
+const QUEUE_TICK_INTERVAL = 5_000;
+const MAX_DELIVERIES_PER_TICK = 10;
+const DELIVERY_TIMEOUT = 10_000;
+
+export type WebhookEditableData = Pick<WebhookType, 'name' | 'url' | 'events' | 'enabled'> & {
+    secret?: string;
+};
+
+
+/**
+ * Sends all events fired through fxRunner.sendEvent() to the configured HTTP webhooks as signed JSON.
+ * Failed deliveries are retried with a backoff, and both the queue and the delivery log are
+ * persisted in txData/<profile>/data/webhooks.json.
+ */
+export default class Webhooks {
+    private readonly filePath = `${txEnv.profilePath}/data/${WEBHOOKS_FILE_NAME}`;
+    private webhooks: WebhookType[] = [];
+    private queue: WebhookQueueItemType[] = [];
+    private deliveryLog: WebhookDeliveryLogType[] = [];
+    private isLoaded = false;
+    private isProcessing = false;
+    private queueSaveFile = throttle(
+        5_000,
+        this.saveFile.bind(this),
+        { noLeading: true }
+    );
+
+    constructor() {
+        this.loadFile();
+        setInterval(() => {
+            this.processQueue();
+        }, QUEUE_TICK_INTERVAL);
+    }
+
+
+    /**
+     * Saves the pending queue to the disk before shutting down
+     */
+    public handleShutdown() {
+        if (!this.isLoaded) return;
+        this.queueSaveFile.cancel({ upcomingOnly: true });
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.getFileData()));
+        } catch (error) {
+            console.error(`Failed to save ${WEBHOOKS_FILE_NAME} on shutdown: ${(error as Error).message}`);
+        }
+    }
+
+
+    /**
+     * Loads the webhooks file, or starts with an empty one
+     */
+    private loadFile() {
+        try {
+            const rawFileData = fs.readFileSync(this.filePath, 'utf8');
+            const fileData = WebhooksFileSchema.parse(JSON.parse(rawFileData));
+            this.webhooks = fileData.webhooks;
+            this.queue = fileData.queue;
+            this.deliveryLog = fileData.deliveryLog;
+            console.verbose.ok(`Loaded ${this.webhooks.length} webhooks and ${this.queue.length} pending deliveries.`);
+        } catch (error) {
+            if ((error as any)?.code !== 'ENOENT') {
+                console.error(`Failed to load ${WEBHOOKS_FILE_NAME}: ${(error as Error).message}`);
+                console.error('Webhooks will be disabled until the file is fixed or deleted.');
+                return;
+            }
+        }
+        this.isLoaded = true;
+    }
+
+
+    /**
+     * Returns the data to be saved in the file
+     */
+    private getFileData(): WebhooksFileType {
+        return {
+            version: WEBHOOKS_FILE_VERSION,
+            webhooks: this.webhooks,
+            queue: this.queue,
+            deliveryLog: this.deliveryLog,
+        };
+    }
+
+
+    /**
+     * Saves the webhooks file
+     */
+    private async saveFile() {
+        if (!this.isLoaded) return;
+        try {
+            await fsp.writeFile(this.filePath, JSON.stringify(this.getFileData()));
+        } catch (error) {
+            console.error(`Failed to save ${WEBHOOKS_FILE_NAME}: ${(error as Error).message}`);
+        }
+    }
+
+
+    /**
+     * Queues the event to all webhooks subscribed to it.
+     * NOTE: this must never throw, as it's called from fxRunner.sendEvent()
+     */
+    public dispatch(event: string, data: object = {}) {
+        if (!this.isLoaded) return;
+        try {
+            const subscribed = this.webhooks.filter((wh) => isWebhookSubscribed(wh, event));
+            if (!subscribed.length) return;
+            for (const webhook of subscribed) {
+                this.enqueue(webhook, event, data);
+            }
+            this.queueSaveFile();
+            setImmediate(() => this.processQueue());
+        } catch (error) {
+            console.verbose.error(`Failed to dispatch event ${event} to webhooks: ${(error as Error).message}`);
+        }
+    }
+
+
+    /**
+     * Adds a delivery to the queue
+     */
+    private enqueue(webhook: WebhookType, event: string, data: object) {
+        const tsNow = now();
+        const deliveryId = genWebhookId();
+        const body = JSON.stringify({
+            event,
+            deliveryId,
+            timestamp: tsNow,
+            serverName: txConfig.general.serverName,
+            data,
+        });
+        if (this.queue.length >= MAX_QUEUE_SIZE) {
+            const dropped = this.queue.shift();
+            console.warn(`Webhook queue is full, dropping delivery ${dropped?.id} (${dropped?.event}).`);
+        }
+        this.queue.push({
+            id: deliveryId,
+            webhookId: webhook.id,
+            event,
+            body,
+            attempts: 0,
+            tsCreated: tsNow,
+            tsNextAttempt: tsNow,
+        });
+    }
+
+
+    /**
+     * Sends the deliveries that are due
+     */
+    private async processQueue() {
+        if (!this.isLoaded || this.isProcessing || !this.queue.length) return;
+        this.isProcessing = true;
+        try {
+            const tsNow = now();
+            const dueItems = this.queue
+                .filter((item) => item.tsNextAttempt <= tsNow)
+                .slice(0, MAX_DELIVERIES_PER_TICK);
+            for (const item of dueItems) {
+                await this.attemptDelivery(item);
+            }
+            if (dueItems.length) this.queueSaveFile();
+        } catch (error) {
+            console.verbose.error(`Error processing webhook queue: ${(error as Error).message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+
+    /**
+     * Attempts to deliver one item, and reschedules or removes it from the queue
+     */
+    private async attemptDelivery(item: WebhookQueueItemType) {
+        const removeFromQueue = () => {
+            this.queue = this.queue.filter((x) => x.id !== item.id);
+        };
+        const webhook = this.webhooks.find((wh) => wh.id === item.webhookId);
+        if (!webhook) return removeFromQueue();
+
+        item.attempts++;
+        const tsStart = Date.now();
+        let httpStatus: number | undefined;
+        let error: string | undefined;
+        try {
+            const resp = await got.post(webhook.url, {
+                body: item.body,
+                headers: {
+                    'Content-Type': 'application/json',
+                    [WEBHOOK_EVENT_HEADER]: item.event,
+                    [WEBHOOK_DELIVERY_HEADER]: item.id,
+                    [WEBHOOK_SIGNATURE_HEADER]: signWebhookBody(webhook.secret, item.body),
+                },
+                timeout: { request: DELIVERY_TIMEOUT },
+                retry: { limit: 0 },
+                followRedirect: false,
+                throwHttpErrors: false,
+            });
+            httpStatus = resp.statusCode;
+            if (resp.statusCode < 200 || resp.statusCode >= 300) {
+                error = `HTTP ${resp.statusCode}`;
+            }
+        } catch (err) {
+            error = (err as Error).message;
+        }
+
+        let status: WebhookDeliveryLogType['status'];
+        if (!error) {
+            status = 'success';
+            removeFromQueue();
+        } else {
+            const nextAttemptTs = getNextAttemptTs(item.attempts, now());
+            if (nextAttemptTs) {
+                status = 'retrying';
+                item.tsNextAttempt = nextAttemptTs;
+            } else {
+                status = 'failed';
+                removeFromQueue();
+                console.warn(`Webhook '${webhook.name}' delivery ${item.id} (${item.event}) failed after ${item.attempts} attempts.`);
+            }
+        }
+        this.logDelivery({
+            id: item.id,
+            webhookId: webhook.id,
+            event: item.event,
+            ts: now(),
+            attempt: item.attempts,
+            status,
+            httpStatus,
+            error,
+            duration: Date.now() - tsStart,
+        });
+    }
+
+
+    /**
+     * Adds an entry to the delivery log, trimming it if needed
+     */
+    private logDelivery(entry: WebhookDeliveryLogType) {
+        this.deliveryLog.push(entry);
+        if (this.deliveryLog.length > MAX_DELIVERY_LOG_SIZE) {
+            this.deliveryLog.splice(0, this.deliveryLog.length - MAX_DELIVERY_LOG_SIZE);
+        }
+    }
+
+
+    /**
+     * Returns the list of webhooks
+     */
+    public getWebhooks() {
+        return cloneDeep(this.webhooks);
+    }
+
+
+    /**
+     * Returns the delivery log, newest first, optionally filtered by webhook
+     */
+    public getDeliveryLog(webhookId?: string) {
+        const filtered = webhookId
+            ? this.deliveryLog.filter((entry) => entry.webhookId === webhookId)
+            : this.deliveryLog;
+        return filtered.slice().reverse();
+    }
+
+
+    /**
+     * Returns the number of pending deliveries per webhook
+     */
+    public getQueueStats() {
+        const pending: Record<string, number> = {};
+        for (const item of this.queue) {
+            pending[item.webhookId] = (pending[item.webhookId] ?? 0) + 1;
+        }
+        return pending;
+    }
+
+
+    /**
+     * Adds a new webhook
+     */
+    public async addWebhook(data: WebhookEditableData) {
+        if (!this.isLoaded) throw new Error(`The ${WEBHOOKS_FILE_NAME} file failed to load.`);
+        if (this.webhooks.length >= MAX_WEBHOOKS) {
+            throw new Error(`You cannot have more than ${MAX_WEBHOOKS} webhooks.`);
+        }
+        const webhook: WebhookType = {
+            id: genWebhookId(),
+            name: data.name,
+            url: data.url,
+            secret: data.secret || genWebhookSecret(),
+            events: data.events,
+            enabled: data.enabled,
+            tsCreated: now(),
+        };
+        this.webhooks.push(webhook);
+        await this.saveFile();
+        return webhook;
+    }
+
+
+    /**
+     * Edits an existing webhook
+     */
+    public async editWebhook(webhookId: string, data: WebhookEditableData) {
+        const webhook = this.webhooks.find((wh) => wh.id === webhookId);
+        if (!webhook) throw new Error('Webhook not found.');
+        webhook.name = data.name;
+        webhook.url = data.url;
+        webhook.events = data.events;
+        webhook.enabled = data.enabled;
+        if (data.secret) webhook.secret = data.secret;
+        await this.saveFile();
+        return webhook;
+    }
+
+
+    /**
+     * Deletes a webhook, its pending deliveries and its delivery log
+     */
+    public async deleteWebhook(webhookId: string) {
+        const webhook = this.webhooks.find((wh) => wh.id === webhookId);
+        if (!webhook) throw new Error('Webhook not found.');
+        this.webhooks = this.webhooks.filter((wh) => wh.id !== webhookId);
+        this.queue = this.queue.filter((item) => item.webhookId !== webhookId);
+        this.deliveryLog = this.deliveryLog.filter((entry) => entry.webhookId !== webhookId);
+        await this.saveFile();
+        return webhook;
+    }
+
+
+    /**
+     * Queues a test event to a specific webhook, even if disabled
+     */
+    public sendTestEvent(webhookId: string, author: string) {
+        const webhook = this.webhooks.find((wh) => wh.id === webhookId);
+        if (!webhook) throw new Error('Webhook not found.');
+        this.enqueue(webhook, 'test', { author });
+        this.queueSaveFile();
+        setImmediate(() => this.processQueue());
+        return webhook;
+    }
+};
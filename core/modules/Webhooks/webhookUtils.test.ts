@@ -0,0 +1,45 @@
+import { suite, it, expect } from 'vitest';
+import { createHmac } from 'node:crypto';
+import {
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_DELAYS,
+    getNextAttemptTs,
+    isWebhookSubscribed,
+    signWebhookBody,
+} from './webhookUtils';
+
+
+suite('signWebhookBody', () => {
+    it('should return a sha256 hmac of the body', () => {
+        const body = JSON.stringify({ event: 'test' });
+        const expected = createHmac('sha256', 'secret').update(body).digest('hex');
+        expect(signWebhookBody('secret', body)).toBe(`sha256=${expected}`);
+    });
+});
+
+
+suite('isWebhookSubscribed', () => {
+    it('should match specific events', () => {
+        const webhook = { enabled: true, events: ['playerBanned'] };
+        expect(isWebhookSubscribed(webhook, 'playerBanned')).toBe(true);
+        expect(isWebhookSubscribed(webhook, 'playerWarned')).toBe(false);
+    });
+    it('should match all events with the wildcard', () => {
+        expect(isWebhookSubscribed({ enabled: true, events: ['*'] }, 'anything')).toBe(true);
+    });
+    it('should never match disabled webhooks', () => {
+        expect(isWebhookSubscribed({ enabled: false, events: ['*'] }, 'playerBanned')).toBe(false);
+    });
+});
+
+
+suite('getNextAttemptTs', () => {
+    it('should back off after each failed attempt', () => {
+        expect(getNextAttemptTs(1, 1000)).toBe(1000 + WEBHOOK_RETRY_DELAYS[0]);
+        expect(getNextAttemptTs(2, 1000)).toBe(1000 + WEBHOOK_RETRY_DELAYS[1]);
+        expect(getNextAttemptTs(WEBHOOK_MAX_ATTEMPTS - 1, 1000)).toBe(1000 + WEBHOOK_RETRY_DELAYS.at(-1)!);
+    });
+    it('should give up after the max attempts', () => {
+        expect(getNextAttemptTs(WEBHOOK_MAX_ATTEMPTS, 1000)).toBe(false);
+    });
+});
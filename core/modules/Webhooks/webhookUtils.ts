@@ -0,0 +1,115 @@
+import { createHmac } from 'node:crypto';
+import { customAlphabet } from 'nanoid';
+import { alphanumeric } from 'nanoid-dictionary';
+import { z } from 'zod';
+
+
+//Consts
+export const WEBHOOK_ALL_EVENTS = '*';
+export const WEBHOOK_SIGNATURE_HEADER = 'X-TxAdmin-Signature';
+export const WEBHOOK_EVENT_HEADER = 'X-TxAdmin-Event';
+export const WEBHOOK_DELIVERY_HEADER = 'X-TxAdmin-Delivery';
+export const WEBHOOK_RETRY_DELAYS = [15, 60, 5 * 60, 15 * 60, 60 * 60, 3 * 60 * 60]; //seconds
+export const WEBHOOK_MAX_ATTEMPTS = WEBHOOK_RETRY_DELAYS.length + 1;
+export const genWebhookId = customAlphabet(alphanumeric, 12);
+export const genWebhookSecret = customAlphabet(alphanumeric, 32);
+
+/**
+ * The events that can be selected in the UI.
+ * NOTE: any event sent through fxRunner.sendEvent() will be dispatched to webhooks subscribed to '*'.
+ */
+export const WEBHOOK_KNOWN_EVENTS = [
+    'announcement',
+    'playerBanned',
+    'playerWarned',
+    'playerKicked',
+    'playerMuted',
+    'playerDirectMessage',
+    'actionRevoked',
+    'banAppeal',
+    'whitelistPlayer',
+    'whitelistPreApproval',
+    'whitelistRequest',
+    'scheduledRestart',
+    'scheduledRestartSkipped',
+    'skippedNextScheduledRestart',
+    'serverShuttingDown',
+    'adminsUpdated',
+    'configChanged',
+    'consoleCommand',
+] as const;
+
+
+//Schemas
+export const WebhookSchema = z.object({
+    id: z.string(),
+    name: z.string().min(1).max(64),
+    url: z.string().url().refine(
+        (url) => /^https?:\/\//i.test(url),
+        'The URL must start with http:// or https://'
+    ),
+    secret: z.string().min(16),
+    events: z.array(z.string()).min(1),
+    enabled: z.boolean(),
+    tsCreated: z.number(),
+});
+export type WebhookType = z.infer<typeof WebhookSchema>;
+
+export const WebhookQueueItemSchema = z.object({
+    id: z.string(),
+    webhookId: z.string(),
+    event: z.string(),
+    body: z.string(),
+    attempts: z.number(),
+    tsCreated: z.number(),
+    tsNextAttempt: z.number(),
+});
+export type WebhookQueueItemType = z.infer<typeof WebhookQueueItemSchema>;
+
+export const WebhookDeliveryLogSchema = z.object({
+    id: z.string(),
+    webhookId: z.string(),
+    event: z.string(),
+    ts: z.number(),
+    attempt: z.number(),
+    status: z.enum(['success', 'retrying', 'failed']),
+    httpStatus: z.number().optional(),
+    error: z.string().optional(),
+    duration: z.number(), //ms
+});
+export type WebhookDeliveryLogType = z.infer<typeof WebhookDeliveryLogSchema>;
+
+export const WebhooksFileSchema = z.object({
+    version: z.literal(1),
+    webhooks: z.array(WebhookSchema),
+    queue: z.array(WebhookQueueItemSchema),
+    deliveryLog: z.array(WebhookDeliveryLogSchema),
+});
+export type WebhooksFileType = z.infer<typeof WebhooksFileSchema>;
+
+
+/**
+ * Returns the HMAC-SHA256 signature header value for a body
+ */
+export const signWebhookBody = (secret: string, body: string) => {
+    return 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+}
+
+
+/**
+ * Checks if a webhook is subscribed to a specific event
+ */
+export const isWebhookSubscribed = (webhook: Pick<WebhookType, 'enabled' | 'events'>, event: string) => {
+    if (!webhook.enabled) return false;
+    return webhook.events.includes(WEBHOOK_ALL_EVENTS) || webhook.events.includes(event);
+}
+
+
+/**
+ * Returns the timestamp (seconds) of the next delivery attempt, or false if it should be given up
+ */
+export const getNextAttemptTs = (attempts: number, tsNow: number) => {
+    if (attempts >= WEBHOOK_MAX_ATTEMPTS) return false;
+    const delay = WEBHOOK_RETRY_DELAYS[Math.max(0, attempts - 1)];
+    return tsNow + delay;
+}
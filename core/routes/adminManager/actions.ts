@@ -41,6 +41,12 @@ export default async function AdminManagerActions(ctx: AuthedCtx) {
         return await handleEdit(ctx);
     } else if (action == 'delete') {
         return await handleDelete(ctx);
+    } else if (action == 'resetTotp') {
+        return await handleResetTotp(ctx);
+    } else if (action == 'totpPolicy') {
+        return await handleTotpPolicy(ctx);
+    } else if (action == 'forceLogout') {
+        return await handleForceLogout(ctx);
     } else {
         return ctx.send({
             type: 'danger',
@@ -136,7 +142,10 @@ async function handleAdd(ctx: AuthedCtx) {
     //Add admin and give output
     try {
         await txCore.adminStore.addAdmin(name, citizenfxData, discordData, password, permissions);
-        ctx.admin.logAction(`Adding user '${name}'.`);
+        ctx.admin.logAction(`Adding user '${name}'.`, {
+            type: 'admin.add',
+            params: { name, permissions },
+        });
         return ctx.send({type: 'showPassword', password});
     } catch (error) {
         return ctx.send({type: 'danger', message: (error as Error).message});
@@ -252,7 +261,14 @@ async function handleEdit(ctx: AuthedCtx) {
     //Add admin and give output
     try {
         await txCore.adminStore.editAdmin(originalName, isNameChanged ? newName : null, null, citizenfxData, discordData, permissions);
-        ctx.admin.logAction(`Editing user '${originalName}'.`);
+        ctx.admin.logAction(`Editing user '${originalName}'.`, {
+            type: 'admin.edit',
+            params: {
+                name: originalName,
+                newName: isNameChanged ? newName : undefined,
+                permissions,
+            },
+        });
         return ctx.send({type: 'success', refresh: true});
     } catch (error) {
         return ctx.send({type: 'danger', message: (error as Error).message});
@@ -287,9 +303,119 @@ async function handleDelete(ctx: AuthedCtx) {
     //Delete admin and give output
     try {
         await txCore.adminStore.deleteAdmin(name);
-        ctx.admin.logAction(`Deleting user '${name}'.`);
+        ctx.admin.logAction(`Deleting user '${name}'.`, {
+            type: 'admin.delete',
+            params: { name },
+        });
         return ctx.send({type: 'success', refresh: true});
     } catch (error) {
         return ctx.send({type: 'danger', message: (error as Error).message});
     }
 }
+
+
+/**
+ * Handle Reset 2FA - for admins that lost access to their authenticator app
+ */
+async function handleResetTotp(ctx: AuthedCtx) {
+    //Sanity check
+    if (typeof ctx.request.body.name !== 'string') {
+        return ctx.utils.error(400, 'Invalid Request - missing parameters');
+    }
+    const name = ctx.request.body.name.trim();
+
+    //Check if resetting himself
+    if (ctx.admin.name.toLowerCase() === name.toLowerCase()) {
+        return ctx.send({type: 'danger', message: 'You cannot reset your own 2FA, disable it in your account settings instead.'});
+    }
+
+    //Check if admin exists
+    const admin = txCore.adminStore.getAdminByName(name);
+    if (!admin) return ctx.send({type: 'danger', message: 'Admin not found.'});
+
+    //Check if editing an master admin
+    if (!ctx.admin.isMaster && admin.master) {
+        return ctx.send({type: 'danger', message: 'You cannot reset the 2FA of an admin master.'});
+    }
+
+    //Reset 2FA and give output
+    try {
+        await txCore.adminStore.disableTotp(name);
+        ctx.admin.logAction(`Resetting the 2FA of user '${name}'.`, {
+            type: 'admin.reset_totp',
+            params: { name },
+        });
+        return ctx.send({type: 'success', refresh: true});
+    } catch (error) {
+        return ctx.send({type: 'danger', message: (error as Error).message});
+    }
+}
+
+
+/**
+ * Handle 2FA Policy - only the master admin can change it
+ */
+async function handleTotpPolicy(ctx: AuthedCtx) {
+    //Sanity check
+    if (typeof ctx.request.body.requireTotpForManagers !== 'string') {
+        return ctx.utils.error(400, 'Invalid Request - missing parameters');
+    }
+    const requireTotpForManagers = ctx.request.body.requireTotpForManagers === 'true';
+
+    //Check permission
+    if (!ctx.admin.isMaster) {
+        return ctx.send({type: 'danger', message: 'Only the master admin can change the 2FA policy.'});
+    }
+
+    //Save config and give output
+    try {
+        txCore.configStore.saveConfigs({
+            webServer: { requireTotpForManagers },
+        }, ctx.admin.name);
+        const actionDesc = requireTotpForManagers ? 'Requiring' : 'Not requiring';
+        ctx.admin.logAction(`${actionDesc} 2FA for admins with the 'manage.admins' permission.`, {
+            type: 'admin.totp_policy',
+            params: { requireTotpForManagers },
+        });
+        txCore.adminStore.refreshOnlineAdmins().catch(() => { });
+        return ctx.send({type: 'success', refresh: true});
+    } catch (error) {
+        return ctx.send({type: 'danger', message: `Error saving the configuration file: ${(error as Error).message}`});
+    }
+}
+
+
+/**
+ * Handle Force Logout - only the master admin can do it
+ */
+async function handleForceLogout(ctx: AuthedCtx) {
+    //Sanity check
+    if (typeof ctx.request.body.name !== 'string') {
+        return ctx.utils.error(400, 'Invalid Request - missing parameters');
+    }
+    const name = ctx.request.body.name.trim();
+
+    //Check permission
+    if (!ctx.admin.isMaster) {
+        return ctx.send({type: 'danger', message: 'Only the master admin can force other admins to logout.'});
+    }
+    if (ctx.admin.name.toLowerCase() === name.toLowerCase()) {
+        return ctx.send({type: 'danger', message: 'You cannot force logout yourself, use the Sessions tab in your account settings instead.'});
+    }
+
+    //Check if admin exists
+    const admin = txCore.adminStore.getAdminByName(name);
+    if (!admin) return ctx.send({type: 'danger', message: 'Admin not found.'});
+
+    //Destroy sessions and give output
+    const count = txCore.webServer.sessionStore.destroyAdminSessions(admin.name);
+    txCore.webServer.webSocket.reCheckAdminAuths().catch(() => { });
+    ctx.admin.logAction(`Forcing logout of user '${admin.name}' (${count} sessions).`, {
+        type: 'admin.force_logout',
+        params: { name: admin.name, sessions: count },
+    });
+    return ctx.send({
+        type: 'success',
+        message: `Logged out ${count} session(s) of ${admin.name}.`,
+    });
+}
@@ -30,11 +30,14 @@ export default async function AdminManagerPage(ctx: AuthedCtx) {
         return {
             hasCitizenFX: (admin.providers.includes('citizenfx')),
             hasDiscord: (admin.providers.includes('discord')),
+            hasTotp: admin.hasTotp,
             name: admin.name,
             perms: perms,
             isSelf,
             disableEdit: !ctx.admin.isMaster && admin.master,
             disableDelete: (admin.master || isSelf),
+            sessionsCount: txCore.webServer.sessionStore.getAdminSessions(admin.name).length,
+            disableResetTotp: (!admin.hasTotp || isSelf || (!ctx.admin.isMaster && admin.master)),
         };
     });
 
@@ -42,6 +45,8 @@ export default async function AdminManagerPage(ctx: AuthedCtx) {
     const renderData = {
         headerTitle: 'Admin Manager',
         admins,
+        isMaster: ctx.admin.isMaster,
+        requireTotpForManagers: txConfig.webServer.requireTotpForManagers,
     };
 
     //Give output
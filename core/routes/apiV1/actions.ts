@@ -0,0 +1,191 @@
+const modulename = 'WebServer:ApiV1Actions';
+import { z } from 'zod';
+import { calcExpirationFromDuration, now } from '@lib/misc';
+import consts from '@shared/consts';
+import { parsePlayerId } from '@lib/player/idUtils';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { registerIdentifiersBan, revokeDatabaseAction } from '@routes/history/actions';
+import {
+    ApiV1ItemResp,
+    ApiV1ListResp,
+    apiV1PaginationSchema,
+    paginateApiV1List,
+    parseApiV1Input,
+    sendApiV1Data,
+    sendApiV1Error,
+} from '@modules/WebServer/apiV1Utils';
+import {
+    ApiV1ActionType,
+    apiV1IdentifierSchema,
+    apiV1OrderSchema,
+    getApiV1ActionStatus,
+    serializeApiV1Action,
+} from './apiV1Resources';
+const console = consoleFactory(modulename);
+
+//Schemas
+export const apiV1ActionsQuerySchema = apiV1PaginationSchema.extend({
+    type: z.enum(['ban', 'warn', 'kick', 'mute']).optional(),
+    status: z.enum(['active', 'expired', 'revoked']).optional(),
+    identifier: apiV1IdentifierSchema.optional(),
+    author: z.string().trim().min(1).max(64).optional(),
+    order: apiV1OrderSchema,
+});
+export const apiV1ActionParamsSchema = z.object({
+    id: z.string().trim().toUpperCase().regex(consts.regexActionID),
+});
+export const apiV1CreateBanBodySchema = z.object({
+    identifiers: z.array(
+        z.string().trim().toLowerCase().refine(
+            (id) => parsePlayerId(id).isIdValid,
+            'Invalid identifier.',
+        ),
+    ).min(1).max(64),
+    reason: z.string().trim().min(3).max(2048),
+    duration: z.string().trim().max(32).regex(/^(permanent|\d+\s+[a-z]+)$/, 'Expected \'permanent\' or \'<number> <unit>\'.'),
+});
+export type ApiV1CreateBanReqSchema = z.infer<typeof apiV1CreateBanBodySchema>;
+
+
+/**
+ * GET /api/v1/actions
+ * Returns a paginated list of the actions (bans, warns, kicks and mutes) in the database
+ */
+export const listActions = async (ctx: AuthedCtx) => {
+    const query = parseApiV1Input(ctx, apiV1ActionsQuerySchema, ctx.query, 'query');
+    if (!query) return;
+
+    //Filtering
+    const ts = now();
+    const actions = txCore.database.actions.findAllReadonly()
+        .filter((a) => {
+            if (query.type && a.type !== query.type) return false;
+            if (query.author && a.author !== query.author) return false;
+            if (query.status && getApiV1ActionStatus(a, ts) !== query.status) return false;
+            if (query.identifier) {
+                const hwids = 'hwids' in a && a.hwids ? a.hwids : [];
+                if (!a.ids.includes(query.identifier) && !hwids.includes(query.identifier)) return false;
+            }
+            return true;
+        });
+
+    //Paginating
+    const page = paginateApiV1List(actions, {
+        scope: `actions:${query.order}`,
+        getValue: (a) => a.timestamp,
+        getId: (a) => a.id,
+        desc: query.order === 'desc',
+        limit: query.limit,
+        cursor: query.cursor,
+    });
+    if (!page) {
+        return sendApiV1Error(ctx, 'bad_request', 'Invalid cursor for this list or sorting.');
+    }
+
+    return sendApiV1Data<ApiV1ListResp<ApiV1ActionType>>(ctx, {
+        data: page.data.map((a) => serializeApiV1Action(a, ts)),
+        nextCursor: page.nextCursor,
+    });
+};
+
+
+/**
+ * GET /api/v1/actions/:id
+ * Returns a single action
+ */
+export const getAction = async (ctx: AuthedCtx) => {
+    const params = parseApiV1Input(ctx, apiV1ActionParamsSchema, ctx.params, 'params');
+    if (!params) return;
+
+    const action = txCore.database.actions.findOne(params.id);
+    if (!action) {
+        return sendApiV1Error(ctx, 'not_found', 'Action not found.');
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1ActionType>>(ctx, {
+        data: serializeApiV1Action(action),
+    });
+};
+
+
+/**
+ * POST /api/v1/actions/bans
+ * Bans a list of identifiers, which doesn't need to belong to a known player
+ */
+export const createBan = async (ctx: AuthedCtx) => {
+    const body = parseApiV1Input(ctx, apiV1CreateBanBodySchema, ctx.request.body, 'body');
+    if (!body) return;
+
+    //Calculating expiration/duration
+    let calcResults;
+    try {
+        calcResults = calcExpirationFromDuration(body.duration);
+    } catch (error) {
+        return sendApiV1Error(ctx, 'bad_request', (error as Error).message, [
+            { path: 'duration', message: (error as Error).message },
+        ]);
+    }
+    const { expiration, duration } = calcResults;
+
+    //Check permissions
+    if (!ctx.admin.testPermission('players.ban', modulename)) {
+        return sendApiV1Error(ctx, 'forbidden', 'You don\'t have permission to execute this action.');
+    }
+
+    //Register action
+    let actionId;
+    try {
+        actionId = registerIdentifiersBan(ctx.admin, {
+            identifiers: [...new Set(body.identifiers)],
+            reason: body.reason,
+            durationInput: body.duration,
+            expiration,
+            duration,
+        });
+    } catch (error) {
+        return sendApiV1Error(ctx, 'internal_error', `Failed to ban identifiers: ${(error as Error).message}`);
+    }
+
+    const action = txCore.database.actions.findOne(actionId);
+    if (!action) {
+        return sendApiV1Error(ctx, 'internal_error', 'Failed to find the created action.');
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1ActionType>>(ctx, {
+        data: serializeApiV1Action(action),
+    }, 201);
+};
+
+
+/**
+ * POST /api/v1/actions/:id/revoke
+ * Revokes an action, which requires the permission for its type
+ */
+export const revokeAction = async (ctx: AuthedCtx) => {
+    const params = parseApiV1Input(ctx, apiV1ActionParamsSchema, ctx.params, 'params');
+    if (!params) return;
+
+    const action = txCore.database.actions.findOne(params.id);
+    if (!action) {
+        return sendApiV1Error(ctx, 'not_found', 'Action not found.');
+    }
+    if (action.revocation.timestamp) {
+        return sendApiV1Error(ctx, 'conflict', 'This action is already revoked.');
+    }
+    if (action.type === 'kick') {
+        return sendApiV1Error(ctx, 'conflict', 'Kicks cannot be revoked.');
+    }
+    const requiredPerm = `players.${action.type}`;
+    if (!ctx.admin.testPermission(requiredPerm, modulename)) {
+        return sendApiV1Error(ctx, 'forbidden', 'You don\'t have permission to revoke this action.');
+    }
+
+    let revokedAction;
+    try {
+        revokedAction = revokeDatabaseAction(ctx.admin, action.id);
+    } catch (error) {
+        return sendApiV1Error(ctx, 'internal_error', `Failed to revoke action: ${(error as Error).message}`);
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1ActionType>>(ctx, {
+        data: serializeApiV1Action(revokedAction),
+    });
+};
@@ -0,0 +1,200 @@
+import { z } from 'zod';
+import { now } from '@lib/misc';
+import consts from '@shared/consts';
+import { parsePlayerId } from '@lib/player/idUtils';
+import { getActivePlayerNotes, getMainPlayerNote } from '@lib/player/playerNotes';
+import type {
+    DatabaseActionType,
+    DatabasePlayerNoteType,
+    DatabasePlayerType,
+    DatabaseWhitelistApprovalsType,
+    DatabaseWhitelistRequestsType,
+} from '@modules/Database/databaseTypes';
+
+
+/**
+ * Public resources of the v1 API.
+ * NOTE: Those are part of the public contract, changes must be backwards compatible!
+ * NOTE: All timestamps are unix seconds, and playTime is in minutes.
+ */
+export const apiV1PlayerSchema = z.object({
+    license: z.string(),
+    displayName: z.string(),
+    ids: z.array(z.string()),
+    hwids: z.array(z.string()),
+    playTime: z.number(),
+    tsJoined: z.number(),
+    tsLastConnection: z.number(),
+    tsWhitelisted: z.number().nullable(),
+    notes: z.object({
+        text: z.string(),
+        author: z.string().nullable(),
+        tsLastEdit: z.number().nullable(),
+    }).nullable(),
+    notesList: z.array(z.object({
+        id: z.string(),
+        text: z.string(),
+        author: z.string(),
+        ts: z.number(),
+        tsLastEdit: z.number().nullable(),
+        isPinned: z.boolean(),
+    })),
+    isOnline: z.boolean(),
+});
+export type ApiV1PlayerType = z.infer<typeof apiV1PlayerSchema>;
+
+export const apiV1ActionSchema = z.object({
+    id: z.string(),
+    type: z.enum(['ban', 'warn', 'kick', 'mute']),
+    status: z.enum(['active', 'expired', 'revoked']),
+    playerName: z.string().nullable(),
+    ids: z.array(z.string()),
+    hwids: z.array(z.string()),
+    reason: z.string(),
+    author: z.string(),
+    timestamp: z.number(),
+    expiration: z.number().nullable(),
+    revocation: z.object({
+        author: z.string(),
+        timestamp: z.number(),
+    }).nullable(),
+});
+export type ApiV1ActionType = z.infer<typeof apiV1ActionSchema>;
+
+export const apiV1PlayerDetailsSchema = apiV1PlayerSchema.extend({
+    actions: z.array(apiV1ActionSchema),
+});
+export type ApiV1PlayerDetailsType = z.infer<typeof apiV1PlayerDetailsSchema>;
+
+export const apiV1WhitelistApprovalSchema = z.object({
+    identifier: z.string(),
+    playerName: z.string(),
+    playerAvatar: z.string().nullable(),
+    approvedBy: z.string(),
+    tsApproved: z.number(),
+});
+export type ApiV1WhitelistApprovalType = z.infer<typeof apiV1WhitelistApprovalSchema>;
+
+export const apiV1WhitelistRequestSchema = z.object({
+    id: z.string(),
+    license: z.string(),
+    playerDisplayName: z.string(),
+    discordTag: z.string().nullable(),
+    discordAvatar: z.string().nullable(),
+    tsLastAttempt: z.number(),
+});
+export type ApiV1WhitelistRequestType = z.infer<typeof apiV1WhitelistRequestSchema>;
+
+export const apiV1OnlinePlayerSchema = z.object({
+    netid: z.number(),
+    license: z.string().nullable(),
+    displayName: z.string(),
+    ids: z.array(z.string()),
+});
+export type ApiV1OnlinePlayerType = z.infer<typeof apiV1OnlinePlayerSchema>;
+
+export const apiV1ServerStatusSchema = z.object({
+    txaVersion: z.string(),
+    fxsVersion: z.number(),
+    serverName: z.string(),
+    projectName: z.string().nullable(),
+    gameName: z.enum(['fivem', 'redm']).nullable(),
+    joinLink: z.string().nullable(),
+    health: z.string(),
+    healthReason: z.string(),
+    uptime: z.number(),
+    whitelistMode: z.string(),
+    playerCount: z.number(),
+    playerSlots: z.number().nullable(),
+    tsNextRestart: z.number().nullable(),
+});
+export type ApiV1ServerStatusType = z.infer<typeof apiV1ServerStatusSchema>;
+
+
+/**
+ * Common input schemas
+ */
+export const apiV1IdentifierSchema = z.string().trim().toLowerCase().refine(
+    (id) => parsePlayerId(id).isIdValid || consts.regexValidHwidToken.test(id),
+    'Invalid identifier or hardware id.',
+);
+export const apiV1BooleanQuerySchema = z.enum(['true', 'false']).transform((val) => val === 'true');
+export const apiV1OrderSchema = z.enum(['asc', 'desc']).default('desc');
+
+
+/**
+ * Serializers from the database objects to the public resources
+ */
+//NOTE: kept for compatibility with the single note from before the notes list
+const serializeApiV1PlayerNote = (note: DatabasePlayerNoteType | undefined) => {
+    if (!note) return null;
+    const lastEdit = note.edits?.at(-1);
+    return {
+        text: note.text,
+        author: lastEdit?.author ?? note.author,
+        tsLastEdit: lastEdit?.ts ?? note.ts,
+    };
+};
+
+export const serializeApiV1Player = (player: DatabasePlayerType, onlineLicenses: Set<string | null>): ApiV1PlayerType => ({
+    license: player.license,
+    displayName: player.displayName,
+    ids: player.ids,
+    hwids: player.hwids,
+    playTime: player.playTime,
+    tsJoined: player.tsJoined,
+    tsLastConnection: player.tsLastConnection,
+    tsWhitelisted: player.tsWhitelisted ?? null,
+    notes: serializeApiV1PlayerNote(getMainPlayerNote(player.notes)),
+    notesList: getActivePlayerNotes(player.notes).map((note) => ({
+        id: note.id,
+        text: note.text,
+        author: note.author,
+        ts: note.ts,
+        tsLastEdit: note.edits?.at(-1)?.ts ?? null,
+        isPinned: !!note.isPinned,
+    })),
+    isOnline: onlineLicenses.has(player.license),
+});
+
+export const getApiV1ActionStatus = (action: DatabaseActionType, ts = now()) => {
+    if (action.revocation.timestamp) return 'revoked';
+    if (action.expiration && action.expiration < ts) return 'expired';
+    return 'active';
+};
+
+export const serializeApiV1Action = (action: DatabaseActionType, ts = now()): ApiV1ActionType => ({
+    id: action.id,
+    type: action.type,
+    status: getApiV1ActionStatus(action, ts),
+    playerName: action.playerName || null,
+    ids: action.ids,
+    hwids: ('hwids' in action && action.hwids) ? action.hwids : [],
+    reason: action.reason,
+    author: action.author,
+    timestamp: action.timestamp,
+    expiration: action.expiration || null,
+    revocation: action.revocation.timestamp && action.revocation.author
+        ? {
+            author: action.revocation.author,
+            timestamp: action.revocation.timestamp,
+        }
+        : null,
+});
+
+export const serializeApiV1WhitelistApproval = (approval: DatabaseWhitelistApprovalsType): ApiV1WhitelistApprovalType => ({
+    identifier: approval.identifier,
+    playerName: approval.playerName,
+    playerAvatar: approval.playerAvatar,
+    approvedBy: approval.approvedBy,
+    tsApproved: approval.tsApproved,
+});
+
+export const serializeApiV1WhitelistRequest = (request: DatabaseWhitelistRequestsType): ApiV1WhitelistRequestType => ({
+    id: request.id,
+    license: request.license,
+    playerDisplayName: request.playerDisplayName,
+    discordTag: request.discordTag ?? null,
+    discordAvatar: request.discordAvatar ?? null,
+    tsLastAttempt: request.tsLastAttempt,
+});
@@ -0,0 +1,105 @@
+const modulename = 'WebServer:ApiV1Players';
+import { z } from 'zod';
+import { now } from '@lib/misc';
+import cleanPlayerName from '@shared/cleanPlayerName';
+import consts from '@shared/consts';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import {
+    ApiV1ItemResp,
+    ApiV1ListResp,
+    apiV1PaginationSchema,
+    paginateApiV1List,
+    parseApiV1Input,
+    sendApiV1Data,
+    sendApiV1Error,
+} from '@modules/WebServer/apiV1Utils';
+import {
+    ApiV1PlayerDetailsType,
+    ApiV1PlayerType,
+    apiV1BooleanQuerySchema,
+    apiV1IdentifierSchema,
+    apiV1OrderSchema,
+    serializeApiV1Action,
+    serializeApiV1Player,
+} from './apiV1Resources';
+const console = consoleFactory(modulename);
+
+//Schemas
+export const apiV1PlayersQuerySchema = apiV1PaginationSchema.extend({
+    search: z.string().trim().min(1).max(128).optional(),
+    identifier: apiV1IdentifierSchema.optional(),
+    isOnline: apiV1BooleanQuerySchema.optional(),
+    isWhitelisted: apiV1BooleanQuerySchema.optional(),
+    sort: z.enum(['tsJoined', 'tsLastConnection', 'playTime']).default('tsJoined'),
+    order: apiV1OrderSchema,
+});
+export const apiV1PlayerParamsSchema = z.object({
+    license: z.string().regex(consts.validIdentifierParts.license).transform((x) => x.toLowerCase()),
+});
+
+
+/**
+ * GET /api/v1/players
+ * Returns a paginated list of the players in the database
+ */
+export const listPlayers = async (ctx: AuthedCtx) => {
+    const query = parseApiV1Input(ctx, apiV1PlayersQuerySchema, ctx.query, 'query');
+    if (!query) return;
+
+    //Filtering
+    const onlineLicenses = txCore.fxPlayerlist.getOnlinePlayersLicenses();
+    const searchPureName = query.search ? cleanPlayerName(query.search).pureName : undefined;
+    //NOTE: the players are not copied, only the ones in the page are serialized
+    const players = txCore.database.players.findAllReadonly().filter((p) => {
+        if (searchPureName && !p.pureName.includes(searchPureName)) return false;
+        if (query.identifier && !p.ids.includes(query.identifier) && !p.hwids.includes(query.identifier)) return false;
+        if (query.isOnline !== undefined && onlineLicenses.has(p.license) !== query.isOnline) return false;
+        if (query.isWhitelisted !== undefined && !!p.tsWhitelisted !== query.isWhitelisted) return false;
+        return true;
+    });
+
+    //Paginating
+    const page = paginateApiV1List(players, {
+        scope: `players:${query.sort}:${query.order}`,
+        getValue: (p) => p[query.sort],
+        getId: (p) => p.license,
+        desc: query.order === 'desc',
+        limit: query.limit,
+        cursor: query.cursor,
+    });
+    if (!page) {
+        return sendApiV1Error(ctx, 'bad_request', 'Invalid cursor for this list or sorting.');
+    }
+
+    return sendApiV1Data<ApiV1ListResp<ApiV1PlayerType>>(ctx, {
+        data: page.data.map((p) => serializeApiV1Player(p, onlineLicenses)),
+        nextCursor: page.nextCursor,
+    });
+};
+
+
+/**
+ * GET /api/v1/players/:license
+ * Returns a player and all the actions matching their identifiers
+ */
+export const getPlayer = async (ctx: AuthedCtx) => {
+    const params = parseApiV1Input(ctx, apiV1PlayerParamsSchema, ctx.params, 'params');
+    if (!params) return;
+
+    const player = txCore.database.players.findOne(params.license);
+    if (!player) {
+        return sendApiV1Error(ctx, 'not_found', 'Player not found.');
+    }
+    const actions = txCore.database.actions.findMany(player.ids, player.hwids);
+    const ts = now();
+
+    return sendApiV1Data<ApiV1ItemResp<ApiV1PlayerDetailsType>>(ctx, {
+        data: {
+            ...serializeApiV1Player(player, txCore.fxPlayerlist.getOnlinePlayersLicenses()),
+            actions: actions
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .map((action) => serializeApiV1Action(action, ts)),
+        },
+    });
+};
@@ -0,0 +1,62 @@
+const modulename = 'WebServer:ApiV1Server';
+import { txEnv } from '@core/globalData';
+import { now } from '@lib/misc';
+import consoleFactory from '@lib/console';
+import { AuthedCtx, InitializedCtx } from '@modules/WebServer/ctxTypes';
+import { ApiV1ItemResp, sendApiV1Data, sendApiV1Error } from '@modules/WebServer/apiV1Utils';
+import { ApiV1OnlinePlayerType, ApiV1ServerStatusType } from './apiV1Resources';
+const console = consoleFactory(modulename);
+
+
+/**
+ * GET /api/v1/status
+ * Returns the server status
+ */
+export const getStatus = async (ctx: AuthedCtx) => {
+    const hostStatus = txManager.hostStatus;
+    const { server, scheduler } = txManager.globalStatus;
+    const tsNextRestart = scheduler.nextRelativeMs !== false && !scheduler.nextSkip
+        ? now() + Math.round(scheduler.nextRelativeMs / 1000)
+        : null;
+
+    return sendApiV1Data<ApiV1ItemResp<ApiV1ServerStatusType>>(ctx, {
+        data: {
+            txaVersion: txEnv.txaVersion,
+            fxsVersion: txEnv.fxsVersion,
+            serverName: server.name,
+            projectName: hostStatus.projectName,
+            gameName: hostStatus.gameName,
+            joinLink: hostStatus.joinLink,
+            health: server.health,
+            healthReason: server.healthReason,
+            uptime: Math.floor(server.uptime / 1000),
+            whitelistMode: server.whitelist,
+            playerCount: hostStatus.playerCount,
+            playerSlots: hostStatus.playerSlots,
+            tsNextRestart,
+        },
+    });
+};
+
+
+/**
+ * GET /api/v1/playerlist
+ * Returns the players currently connected to the server
+ */
+export const getPlayerlist = async (ctx: AuthedCtx) => {
+    const playerlist = txCore.fxPlayerlist.getPlayerList().map((player) => ({
+        netid: player.netid,
+        license: player.license,
+        displayName: player.displayName,
+        ids: player.ids,
+    }));
+    return sendApiV1Data<ApiV1ItemResp<ApiV1OnlinePlayerType[]>>(ctx, { data: playerlist });
+};
+
+
+/**
+ * Fallback for any unknown /api/v1 route, so it doesn't fall through to the panel index
+ */
+export const notFound = async (ctx: InitializedCtx) => {
+    return sendApiV1Error(ctx, 'not_found', `Route ${ctx.method} ${ctx.path} not found.`);
+};
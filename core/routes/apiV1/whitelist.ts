@@ -0,0 +1,216 @@
+const modulename = 'WebServer:ApiV1Whitelist';
+import { z } from 'zod';
+import consts from '@shared/consts';
+import { parsePlayerId } from '@lib/player/idUtils';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { DuplicateKeyError } from '@modules/Database/dbUtils';
+import {
+    addWhitelistApproval,
+    approveWhitelistRequest,
+    denyWhitelistRequest,
+    removeWhitelistApproval,
+} from '@routes/whitelist/actions';
+import {
+    ApiV1ItemResp,
+    ApiV1ListResp,
+    apiV1PaginationSchema,
+    paginateApiV1List,
+    parseApiV1Input,
+    sendApiV1Data,
+    sendApiV1Error,
+} from '@modules/WebServer/apiV1Utils';
+import {
+    ApiV1WhitelistApprovalType,
+    ApiV1WhitelistRequestType,
+    serializeApiV1WhitelistApproval,
+    serializeApiV1WhitelistRequest,
+} from './apiV1Resources';
+const console = consoleFactory(modulename);
+
+//Schemas
+const approvalIdentifierSchema = z.string().trim().toLowerCase().refine(
+    (id) => parsePlayerId(id).isIdValid,
+    'Invalid identifier.',
+);
+export const apiV1WhitelistApprovalsQuerySchema = apiV1PaginationSchema.extend({
+    identifier: approvalIdentifierSchema.optional(),
+});
+export const apiV1WhitelistApprovalParamsSchema = z.object({
+    identifier: approvalIdentifierSchema,
+});
+export const apiV1CreateWhitelistApprovalBodySchema = z.object({
+    identifier: approvalIdentifierSchema,
+});
+export type ApiV1CreateWhitelistApprovalReqSchema = z.infer<typeof apiV1CreateWhitelistApprovalBodySchema>;
+
+export const apiV1WhitelistRequestsQuerySchema = apiV1PaginationSchema.extend({
+    license: z.string().regex(consts.validIdentifierParts.license).transform((x) => x.toLowerCase()).optional(),
+});
+export const apiV1WhitelistRequestParamsSchema = z.object({
+    id: z.string().trim().toUpperCase().regex(new RegExp(`^${consts.regexWhitelistReqID.source}$`)),
+});
+
+//Helpers
+const checkWhitelistPermission = (ctx: AuthedCtx) => {
+    if (ctx.admin.testPermission('players.whitelist', modulename)) return true;
+    sendApiV1Error(ctx, 'forbidden', 'You don\'t have permission to execute this action.');
+    return false;
+};
+
+
+/**
+ * GET /api/v1/whitelist/approvals
+ * Returns a paginated list of the whitelist approvals, newest first
+ */
+export const listApprovals = async (ctx: AuthedCtx) => {
+    const query = parseApiV1Input(ctx, apiV1WhitelistApprovalsQuerySchema, ctx.query, 'query');
+    if (!query) return;
+
+    const approvals = txCore.database.whitelist.findManyApprovals(
+        query.identifier ? { identifier: query.identifier } : undefined
+    );
+    const page = paginateApiV1List(approvals, {
+        scope: 'whitelistApprovals',
+        getValue: (a) => a.tsApproved,
+        getId: (a) => a.identifier,
+        desc: true,
+        limit: query.limit,
+        cursor: query.cursor,
+    });
+    if (!page) {
+        return sendApiV1Error(ctx, 'bad_request', 'Invalid cursor for this list or sorting.');
+    }
+
+    return sendApiV1Data<ApiV1ListResp<ApiV1WhitelistApprovalType>>(ctx, {
+        data: page.data.map(serializeApiV1WhitelistApproval),
+        nextCursor: page.nextCursor,
+    });
+};
+
+
+/**
+ * POST /api/v1/whitelist/approvals
+ * Pre-approves an identifier, so the player can join even without a request
+ */
+export const createApproval = async (ctx: AuthedCtx) => {
+    const body = parseApiV1Input(ctx, apiV1CreateWhitelistApprovalBodySchema, ctx.request.body, 'body');
+    if (!body) return;
+    if (!checkWhitelistPermission(ctx)) return;
+
+    let approval;
+    try {
+        approval = await addWhitelistApproval(ctx.admin, body.identifier);
+    } catch (error) {
+        if (error instanceof DuplicateKeyError) {
+            return sendApiV1Error(ctx, 'conflict', 'This identifier is already whitelisted.');
+        }
+        return sendApiV1Error(ctx, 'internal_error', `Failed to save wl approval: ${(error as Error).message}`);
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1WhitelistApprovalType>>(ctx, {
+        data: serializeApiV1WhitelistApproval(approval),
+    }, 201);
+};
+
+
+/**
+ * DELETE /api/v1/whitelist/approvals/:identifier
+ * Removes the approval of an identifier
+ */
+export const deleteApproval = async (ctx: AuthedCtx) => {
+    const params = parseApiV1Input(ctx, apiV1WhitelistApprovalParamsSchema, ctx.params, 'params');
+    if (!params) return;
+    if (!checkWhitelistPermission(ctx)) return;
+
+    const existing = txCore.database.whitelist.findManyApprovals({ identifier: params.identifier });
+    if (!existing.length) {
+        return sendApiV1Error(ctx, 'not_found', 'Whitelist approval not found.');
+    }
+    try {
+        removeWhitelistApproval(ctx.admin, params.identifier);
+    } catch (error) {
+        return sendApiV1Error(ctx, 'internal_error', `Failed to remove wl approval: ${(error as Error).message}`);
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1WhitelistApprovalType>>(ctx, {
+        data: serializeApiV1WhitelistApproval(existing[0]),
+    });
+};
+
+
+/**
+ * GET /api/v1/whitelist/requests
+ * Returns a paginated list of the pending whitelist requests, most recent attempt first
+ */
+export const listRequests = async (ctx: AuthedCtx) => {
+    const query = parseApiV1Input(ctx, apiV1WhitelistRequestsQuerySchema, ctx.query, 'query');
+    if (!query) return;
+
+    const requests = txCore.database.whitelist.findManyRequests(
+        query.license ? { license: query.license } : undefined
+    );
+    const page = paginateApiV1List(requests, {
+        scope: 'whitelistRequests',
+        getValue: (r) => r.tsLastAttempt,
+        getId: (r) => r.id,
+        desc: true,
+        limit: query.limit,
+        cursor: query.cursor,
+    });
+    if (!page) {
+        return sendApiV1Error(ctx, 'bad_request', 'Invalid cursor for this list or sorting.');
+    }
+
+    return sendApiV1Data<ApiV1ListResp<ApiV1WhitelistRequestType>>(ctx, {
+        data: page.data.map(serializeApiV1WhitelistRequest),
+        nextCursor: page.nextCursor,
+    });
+};
+
+
+/**
+ * POST /api/v1/whitelist/requests/:id/approve
+ * Approves a whitelist request, adding an approval for the player license
+ */
+export const approveRequest = async (ctx: AuthedCtx) => {
+    const params = parseApiV1Input(ctx, apiV1WhitelistRequestParamsSchema, ctx.params, 'params');
+    if (!params) return;
+    if (!checkWhitelistPermission(ctx)) return;
+
+    let request;
+    try {
+        request = approveWhitelistRequest(ctx.admin, params.id);
+    } catch (error) {
+        return sendApiV1Error(ctx, 'internal_error', (error as Error).message);
+    }
+    if (!request) {
+        return sendApiV1Error(ctx, 'not_found', 'Whitelist request not found.');
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1WhitelistRequestType>>(ctx, {
+        data: serializeApiV1WhitelistRequest(request),
+    });
+};
+
+
+/**
+ * POST /api/v1/whitelist/requests/:id/deny
+ * Denies (removes) a whitelist request
+ */
+export const denyRequest = async (ctx: AuthedCtx) => {
+    const params = parseApiV1Input(ctx, apiV1WhitelistRequestParamsSchema, ctx.params, 'params');
+    if (!params) return;
+    if (!checkWhitelistPermission(ctx)) return;
+
+    const existing = txCore.database.whitelist.findManyRequests({ id: params.id });
+    if (!existing.length) {
+        return sendApiV1Error(ctx, 'not_found', 'Whitelist request not found.');
+    }
+    let request;
+    try {
+        request = denyWhitelistRequest(ctx.admin, params.id);
+    } catch (error) {
+        return sendApiV1Error(ctx, 'internal_error', `Failed to remove wl request: ${(error as Error).message}`);
+    }
+    return sendApiV1Data<ApiV1ItemResp<ApiV1WhitelistRequestType>>(ctx, {
+        data: serializeApiV1WhitelistRequest(request ?? existing[0]),
+    });
+};
@@ -0,0 +1,95 @@
+const modulename = 'WebServer:AppealsActions';
+import { z } from 'zod';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { GenericApiOkResp } from '@shared/genericApiTypes';
+import { BAN_APPEAL_COMMENT_MAX_LENGTH, banAppealStatuses, checkBanAppealTransition } from '@modules/Database/banAppeals';
+import { revokeDatabaseAction } from '@routes/history/actions';
+const console = consoleFactory(modulename);
+
+//Helpers
+export const updateAppealBodySchema = z.object({
+    appealId: z.string().trim().min(1),
+    text: z.string().trim().min(1).max(BAN_APPEAL_COMMENT_MAX_LENGTH).optional(),
+    status: z.enum(banAppealStatuses).optional(),
+}).refine((data) => data.text || data.status, 'The comment text or status is required.');
+export type ApiUpdateAppealReqSchema = z.infer<typeof updateAppealBodySchema>;
+
+
+/**
+ * Handles the ban appeals queue actions
+ */
+export default async function AppealsActions(ctx: AuthedCtx & { params: any }) {
+    const { action } = ctx.params;
+    const sendTypedResp = (data: GenericApiOkResp) => ctx.send(data);
+
+    if (!ctx.admin.testPermission('players.ban', modulename)) {
+        return sendTypedResp({ error: 'You don\'t have permission to execute this action.' });
+    }
+
+    if (action === 'update') {
+        return sendTypedResp(await handleUpdate(ctx));
+    } else {
+        return sendTypedResp({ error: 'unknown action' });
+    }
+};
+
+
+/**
+ * Adds a comment to the appeal and/or changes its status.
+ * Accepting an appeal revokes the ban.
+ */
+async function handleUpdate(ctx: AuthedCtx): Promise<GenericApiOkResp> {
+    const schemaRes = updateAppealBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return { error: `Invalid request body: ${schemaRes.error.issues[0].message}` };
+    }
+    const { appealId, text, status } = schemaRes.data;
+
+    const appeal = txCore.database.appeals.findOne(appealId);
+    if (!appeal) return { error: 'Appeal not found.' };
+
+    if (status) {
+        try {
+            checkBanAppealTransition(appeal.status, status);
+        } catch (error) {
+            return { error: `Cannot change the appeal status: ${(error as Error).message}` };
+        }
+
+        //The ban might have been revoked or expired since the appeal was sent
+        if (status === 'accepted') {
+            const ban = txCore.database.actions.findOne(appeal.actionId);
+            if (ban && !ban.revocation.timestamp) {
+                try {
+                    revokeDatabaseAction(ctx.admin, ban.id);
+                } catch (error) {
+                    return { error: `Failed to revoke the ban: ${(error as Error).message}` };
+                }
+            }
+        }
+    }
+
+    try {
+        txCore.database.appeals.addComment(appealId, ctx.admin.name, { text, status });
+    } catch (error) {
+        return { error: `Failed to update appeal: ${(error as Error).message}` };
+    }
+
+    if (status) {
+        ctx.admin.logAction(`Changed ban appeal ${appealId} for ban ${appeal.actionId} to ${status}.`, {
+            type: 'appeal.status',
+            target: { name: appeal.playerName },
+            params: { appealId, actionId: appeal.actionId, status },
+        });
+        try {
+            txCore.fxRunner.sendEvent('banAppeal', {
+                status,
+                appealId,
+                actionId: appeal.actionId,
+                playerName: appeal.playerName,
+                adminName: ctx.admin.name,
+            });
+        } catch (error) { }
+    }
+    return { success: true };
+}
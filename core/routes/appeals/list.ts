@@ -0,0 +1,37 @@
+const modulename = 'WebServer:AppealsList';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { banAppealStatuses } from '@modules/Database/banAppeals';
+import { BanAppealListItem, BanAppealsListResp } from '@shared/historyApiTypes';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the ban appeals queue, optionally filtered by status, with the latest updated first
+ */
+export default async function AppealsList(ctx: AuthedCtx) {
+    const sendTypedResp = (data: BanAppealsListResp) => ctx.send(data);
+    const { status } = ctx.query;
+    if (status !== undefined && !banAppealStatuses.includes(status as any)) {
+        return sendTypedResp({ error: 'Invalid status filter.' });
+    }
+
+    const appeals = txCore.database.appeals.findMany(status ? { status } : undefined);
+    appeals.sort((a, b) => b.tsLastUpdate - a.tsLastUpdate);
+
+    const items: BanAppealListItem[] = appeals.map((appeal) => {
+        const action = txCore.database.actions.findOne(appeal.actionId);
+        const ban = action?.type === 'ban' ? {
+            reason: action.reason,
+            author: action.author,
+            timestamp: action.timestamp,
+            expiration: action.expiration,
+            isRevoked: !!action.revocation.timestamp,
+        } : null;
+        const discordMatchesBan = appeal.discordId
+            ? !!action?.ids.includes(`discord:${appeal.discordId}`)
+            : undefined;
+        return { ...appeal, ban, discordMatchesBan };
+    });
+    return sendTypedResp({ appeals: items });
+};
@@ -0,0 +1,68 @@
+const modulename = 'WebServer:AppealsPublic';
+import { z } from 'zod';
+import consoleFactory from '@lib/console';
+import { InitializedCtx } from '@modules/WebServer/ctxTypes';
+import { getBanAppealStatus, submitBanAppeal } from '@lib/player/playerAppeals';
+import { BAN_APPEAL_MESSAGE_MAX_LENGTH } from '@modules/Database/banAppeals';
+const console = consoleFactory(modulename);
+
+//Helpers
+const submitBodySchema = z.object({
+    actionId: z.string().trim().min(1).max(16),
+    message: z.string().trim().min(1).max(BAN_APPEAL_MESSAGE_MAX_LENGTH),
+});
+const statusBodySchema = submitBodySchema.pick({ actionId: true });
+
+
+/**
+ * Renders the public ban appeal page.
+ * NOTE: this page is not authenticated, and should not expose anything other than the appeal status
+ */
+export const appealPage = async (ctx: InitializedCtx) => {
+    const banId = ctx.query.id;
+    return ctx.utils.render('standalone/appeal', {
+        headerTitle: 'Ban Appeal',
+        appealsEnabled: txConfig.banlist.appealsEnabled,
+        banId: typeof banId === 'string' ? banId.slice(0, 16) : '',
+        messageMaxLength: BAN_APPEAL_MESSAGE_MAX_LENGTH,
+    });
+};
+
+
+/**
+ * Submits a ban appeal from the public page
+ */
+export const appealSubmit = async (ctx: InitializedCtx) => {
+    const schemaRes = submitBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return ctx.send({ error: 'Please type the ban ID and the appeal message.' });
+    }
+
+    try {
+        const appeal = submitBanAppeal({ ...schemaRes.data, source: 'web' });
+        console.log(`Received ban appeal ${appeal.id} for ban ${appeal.actionId} from ${ctx.txVars.realIP}.`);
+        return ctx.send({ success: true, appealId: appeal.id });
+    } catch (error) {
+        return ctx.send({ error: (error as Error).message });
+    }
+};
+
+
+/**
+ * Returns the status of the latest appeal of a ban
+ */
+export const appealStatus = async (ctx: InitializedCtx) => {
+    if (!txConfig.banlist.appealsEnabled) {
+        return ctx.send({ error: 'Ban appeals are disabled on this server.' });
+    }
+    const schemaRes = statusBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return ctx.send({ error: 'Please type the ban ID.' });
+    }
+
+    const appeal = getBanAppealStatus(schemaRes.data.actionId);
+    if (!appeal) {
+        return ctx.send({ error: 'No appeal found for this ban.' });
+    }
+    return ctx.send({ appeal });
+};
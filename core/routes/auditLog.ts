@@ -0,0 +1,55 @@
+const modulename = 'WebServer:AuditLog';
+import { z } from 'zod';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { AUDIT_SEARCH_MAX_RESULTS, AuditLogEntryType } from '@modules/Logger/auditUtils';
+import { GenericApiErrorResp } from '@shared/genericApiTypes';
+const console = consoleFactory(modulename);
+
+
+//Types & validation
+export const querySchema = z.object({
+    admin: z.string().trim().optional(),
+    type: z.string().trim().optional(),
+    target: z.string().trim().optional(),
+    tsFrom: z.coerce.number().int().nonnegative().optional(),
+    tsTo: z.coerce.number().int().nonnegative().optional(),
+});
+
+export type AuditLogSearchResp = {
+    entries: AuditLogEntryType[];
+    isTruncated: boolean;
+    maxResults: number;
+} | GenericApiErrorResp;
+
+
+/**
+ * Searches the structured admin audit log, returning the newest entries first
+ */
+export default async function AuditLog(ctx: AuthedCtx) {
+    const sendTypedResp = (data: AuditLogSearchResp) => ctx.send(data);
+    if (!ctx.admin.testPermission('txadmin.log.view', modulename)) {
+        return sendTypedResp({ error: 'You don\'t have permission to call this endpoint.' });
+    }
+
+    const schemaRes = querySchema.safeParse(ctx.request.query);
+    if (!schemaRes.success) {
+        return sendTypedResp({ error: `Invalid request query: ${schemaRes.error.issues[0]?.message}` });
+    }
+    const filters = schemaRes.data;
+    if (filters.tsFrom !== undefined && filters.tsTo !== undefined && filters.tsFrom > filters.tsTo) {
+        return sendTypedResp({ error: 'The start date must be before the end date.' });
+    }
+
+    try {
+        const { entries, isTruncated } = await txCore.logger.audit.search(filters, AUDIT_SEARCH_MAX_RESULTS);
+        return sendTypedResp({
+            entries,
+            isTruncated,
+            maxResults: AUDIT_SEARCH_MAX_RESULTS,
+        });
+    } catch (error) {
+        console.verbose.error(error);
+        return sendTypedResp({ error: `Failed to search the audit log: ${(error as Error).message}` });
+    }
+};
@@ -1,14 +1,13 @@
 const modulename = 'WebServer:AuthAddMasterCallback';
 import { InitializedCtx } from '@modules/WebServer/ctxTypes';
 import consoleFactory from '@lib/console';
-import { getIdFromOauthNameid } from '@lib/player/idUtils';
 import { ApiAddMasterCallbackResp } from '@shared/authApiTypes';
 import { z } from 'zod';
 import { handleOauthCallback } from './oauthMethods';
 const console = consoleFactory(modulename);
 
 //Helper functions
-const bodySchema = z.object({
+export const bodySchema = z.object({
     redirectUri: z.string(),
 });
 export type ApiAddMasterCallbackReqSchema = z.infer<typeof bodySchema>;
@@ -39,14 +38,11 @@ export default async function AuthAddMasterCallback(ctx: InitializedCtx) {
     if('errorCode' in callbackResp || 'errorTitle' in callbackResp){
         return ctx.send<ApiAddMasterCallbackResp>(callbackResp);
     }
-    const userInfo = callbackResp;
-
-    //Getting identifier
-    const fivemIdentifier = getIdFromOauthNameid(userInfo.nameid);
-    if(!fivemIdentifier){
+    const { providerId, userInfo } = callbackResp;
+    if (providerId !== 'citizenfx') {
         return ctx.send<ApiAddMasterCallbackResp>({
-            errorTitle: 'Invalid nameid identifier.',
-            errorMessage: `Could not extract the user identifier from the URL below. Please report this to the txAdmin dev team.\n${userInfo.nameid.toString()}`,
+            errorTitle: 'Invalid login provider.',
+            errorMessage: 'The master account must be set up with a Cfx.re account.',
         });
     }
 
@@ -57,7 +53,7 @@ export default async function AuthAddMasterCallback(ctx: InitializedCtx) {
 
     return ctx.send<ApiAddMasterCallbackResp>({
         fivemName: userInfo.name,
-        fivemId: fivemIdentifier,
+        fivemId: userInfo.identifier,
         profilePicture: userInfo.picture,
     });
 };
@@ -7,7 +7,7 @@ import { getOauthRedirectUrl } from './oauthMethods';
 const console = consoleFactory(modulename);
 
 //Helper functions
-const bodySchema = z.object({
+export const bodySchema = z.object({
     pin: z.string().trim(),
     origin: z.string(),
 });
@@ -40,6 +40,6 @@ export default async function AuthAddMasterPin(ctx: InitializedCtx) {
     }
 
     return ctx.send<ApiOauthRedirectResp>({
-        authUrl: getOauthRedirectUrl(ctx, 'addMaster', origin),
+        authUrl: await getOauthRedirectUrl(ctx, 'addMaster', origin),
     });
 };
@@ -2,14 +2,13 @@ const modulename = 'WebServer:AuthAddMasterSave';
 import { AuthedAdmin, CfxreSessAuthType } from '@modules/WebServer/authLogic';
 import { InitializedCtx } from '@modules/WebServer/ctxTypes';
 import consoleFactory from '@lib/console';
-import { getIdFromOauthNameid } from '@lib/player/idUtils';
 import { ApiAddMasterSaveResp } from '@shared/authApiTypes';
 import { z } from 'zod';
 import consts from '@shared/consts';
 const console = consoleFactory(modulename);
 
 //Helper functions
-const bodySchema = z.object({
+export const bodySchema = z.object({
     password: z.string().min(consts.adminPasswordMinLength).max(consts.adminPasswordMaxLength),
     discordId: z.string().optional(),
 });
@@ -43,26 +42,18 @@ export default async function AuthAddMasterSave(ctx: InitializedCtx) {
 
     //Checking if session is still present
     const inboundSession = ctx.sessTools.get();
-    if (!inboundSession || !inboundSession?.tmpAddMasterUserInfo) {
+    if (!inboundSession || !inboundSession?.tmpAddMasterUserInfo?.identifier) {
         return ctx.send<ApiAddMasterSaveResp>({
             error: `invalid_session`,
         });
     }
     const userInfo = inboundSession.tmpAddMasterUserInfo;
 
-    //Getting identifier
-    const fivemIdentifier = getIdFromOauthNameid(userInfo.nameid);
-    if (!fivemIdentifier) {
-        return ctx.send<ApiAddMasterSaveResp>({
-            error: `Could not extract the user identifier from userInfo.nameid.\nPlease report this to the txAdmin dev team.\n${userInfo.nameid.toString()}`,
-        });
-    }
-
     //Create admins file and log in admin
     try {
         const vaultAdmin = txCore.adminStore.createAdminsFile(
             userInfo.name,
-            fivemIdentifier,
+            userInfo.identifier,
             discordId,
             password,
             true,
@@ -79,12 +70,12 @@ export default async function AuthAddMasterSave(ctx: InitializedCtx) {
             username: userInfo.name,
             csrfToken: txCore.adminStore.genCsrfToken(),
             expiresAt: Date.now() + 86_400_000, //24h,
-            identifier: fivemIdentifier,
+            identifier: userInfo.identifier,
         } satisfies CfxreSessAuthType;
         ctx.sessTools.set({ auth: sessData });
 
-        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken);
-        authedAdmin.logAction(`created admins file`);
+        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken, undefined, ctx.ip);
+        authedAdmin.logAction(`created admins file`, { type: 'admin.add' });
         return ctx.send<ApiAddMasterSaveResp>(authedAdmin.getAuthData());
     } catch (error) {
         ctx.sessTools.destroy();
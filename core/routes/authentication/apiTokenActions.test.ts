@@ -0,0 +1,41 @@
+import { suite, it, expect, vi } from 'vitest';
+import AuthApiTokenActions from './apiTokenActions';
+
+const addApiToken = vi.fn();
+vi.stubGlobal('txCore', {
+    adminStore: { addApiToken },
+});
+
+const makeCtx = (isTotpSetupRequired: boolean) => ({
+    params: { action: 'create' },
+    request: {
+        body: { name: 'test-token', permissions: ['players.read'], expiresInDays: null },
+    },
+    txVars: { isWebInterface: true },
+    admin: {
+        name: 'tester',
+        isTotpSetupRequired,
+        hasPermission: () => true,
+        logAction: vi.fn(),
+    },
+    body: undefined as unknown,
+    send(data: unknown) { this.body = data; },
+});
+
+
+suite('AuthApiTokenActions create', () => {
+    it('should refuse to create tokens until the 2FA is enabled', async () => {
+        const ctx = makeCtx(true);
+        await AuthApiTokenActions(ctx as any);
+        expect(addApiToken).not.toHaveBeenCalled();
+        expect(ctx.body).toMatchObject({ error: expect.stringContaining('two-factor authentication') });
+    });
+
+    it('should create tokens when the 2FA is not pending', async () => {
+        addApiToken.mockResolvedValueOnce({ token: 'txat_test', info: { id: 'tokenid' } });
+        const ctx = makeCtx(false);
+        await AuthApiTokenActions(ctx as any);
+        expect(addApiToken).toHaveBeenCalledOnce();
+        expect(ctx.body).toEqual({ token: 'txat_test', info: { id: 'tokenid' } });
+    });
+});
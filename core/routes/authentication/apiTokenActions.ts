@@ -0,0 +1,113 @@
+const modulename = 'WebServer:AuthApiTokenActions';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { ApiCreateApiTokenResp } from '@shared/authApiTypes';
+import { GenericApiOkResp } from '@shared/genericApiTypes';
+import { API_TOKEN_NAME_REGEX } from '@modules/AdminStore/apiTokens';
+import { now } from '@lib/misc';
+import { z } from 'zod';
+const console = consoleFactory(modulename);
+
+//Helper functions
+export const createBodySchema = z.object({
+    name: z.string().trim().regex(API_TOKEN_NAME_REGEX, 'The name must be 3-32 characters long and contain only letters, numbers and the characters `_.-`'),
+    permissions: z.string().array().min(1, 'You must select at least one permission.'),
+    expiresInDays: z.number().int().min(1).max(3650).nullable(),
+});
+export type ApiCreateApiTokenReqSchema = z.infer<typeof createBodySchema>;
+
+export const revokeBodySchema = z.object({
+    tokenId: z.string(),
+});
+export type ApiRevokeApiTokenReqSchema = z.infer<typeof revokeBodySchema>;
+
+
+/**
+ * Route to create or revoke your own API tokens
+ */
+export default async function AuthApiTokenActions(ctx: AuthedCtx) {
+    const action = ctx.params.action;
+    if (ctx.admin.apiToken) {
+        return ctx.send<GenericApiOkResp>({
+            error: 'API tokens cannot be managed using an API token.',
+        });
+    }
+    if (!ctx.txVars.isWebInterface) {
+        return ctx.send<GenericApiOkResp>({
+            error: 'API tokens cannot be managed from the in-game menu, please use the web version of txAdmin.',
+        });
+    }
+
+    if (action === 'create') {
+        return await handleCreate(ctx);
+    } else if (action === 'revoke') {
+        return await handleRevoke(ctx);
+    } else {
+        return ctx.send<GenericApiOkResp>({ error: 'Unknown action.' });
+    }
+};
+
+
+/**
+ * Handle Create
+ */
+async function handleCreate(ctx: AuthedCtx) {
+    const sendTypedResp = (data: ApiCreateApiTokenResp) => ctx.send(data);
+    if (ctx.admin.isTotpSetupRequired) {
+        return sendTypedResp({
+            error: 'You are required to enable two-factor authentication before creating API tokens.',
+        });
+    }
+    const schemaRes = createBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return sendTypedResp({
+            error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+        });
+    }
+    const { name, permissions, expiresInDays } = schemaRes.data;
+
+    //Check for privilege escalation
+    const deniedPerms = permissions.filter((perm) => perm === 'master' || !ctx.admin.hasPermission(perm));
+    if (deniedPerms.length) {
+        return sendTypedResp({
+            error: `You cannot give permissions you do not have: ${deniedPerms.join(', ')}`,
+        });
+    }
+
+    const tsExpires = expiresInDays ? now() + (expiresInDays * 24 * 60 * 60) : null;
+    try {
+        const { token, info } = await txCore.adminStore.addApiToken(ctx.admin.name, name, permissions, tsExpires);
+        ctx.admin.logAction(`Created API token '${name}' with permissions: ${permissions.join(', ')}.`, {
+            type: 'auth.api_token.create',
+            params: { tokenId: info.id, name, permissions, tsExpires },
+        });
+        return sendTypedResp({ token, info });
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+}
+
+
+/**
+ * Handle Revoke
+ */
+async function handleRevoke(ctx: AuthedCtx) {
+    const sendTypedResp = (data: GenericApiOkResp) => ctx.send(data);
+    const schemaRes = revokeBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return sendTypedResp({
+            error: `Invalid request body: ${schemaRes.error.message}`,
+        });
+    }
+
+    try {
+        const revoked = await txCore.adminStore.revokeApiToken(ctx.admin.name, schemaRes.data.tokenId);
+        ctx.admin.logAction(`Revoked API token '${revoked.name}'.`, {
+            type: 'auth.api_token.revoke',
+            params: { tokenId: revoked.id, name: revoked.name },
+        });
+        return sendTypedResp({ success: true });
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+}
@@ -13,7 +13,7 @@ const cfxHttpReqOptions = {
 };
 type ProviderDataType = {id: string, identifier: string};
 
-const bodySchema = z.object({
+export const bodySchema = z.object({
     cfxreId: z.string().trim(),
     discordId: z.string().trim(),
 });
@@ -23,6 +23,12 @@ export type ApiChangeIdentifiersReqSchema = z.infer<typeof bodySchema>;
  * Route to change your own identifiers
  */
 export default async function AuthChangeIdentifiers(ctx: AuthedCtx) {
+    if (ctx.admin.apiToken) {
+        return ctx.send<GenericApiResp>({
+            error: 'This action cannot be performed using an API token.',
+        });
+    }
+
     //Sanity check
     const schemaRes = bodySchema.safeParse(ctx.request.body);
     if (!schemaRes.success) {
@@ -80,9 +86,9 @@ export default async function AuthChangeIdentifiers(ctx: AuthedCtx) {
 
     //Edit admin and give output
     try {
-        await txCore.adminStore.editAdmin(ctx.admin.name, null, citizenfxData, discordData);
+        await txCore.adminStore.editAdmin(ctx.admin.name, null, null, citizenfxData, discordData);
 
-        ctx.admin.logAction('Changing own identifiers.');
+        ctx.admin.logAction('Changing own identifiers.', { type: 'auth.change_identifiers' });
         return ctx.send<GenericApiResp>({ success: true });
     } catch (error) {
         return ctx.send<GenericApiResp>({ error: (error as Error).message });
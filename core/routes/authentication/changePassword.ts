@@ -7,7 +7,7 @@ import { z } from 'zod';
 const console = consoleFactory(modulename);
 
 //Helper functions
-const bodySchema = z.object({
+export const bodySchema = z.object({
     oldPassword: z.string().optional(),
     newPassword: z.string(),
 });
@@ -18,6 +18,12 @@ export type ApiChangePasswordReqSchema = z.infer<typeof bodySchema>;
  * Route to change your own password
  */
 export default async function AuthChangePassword(ctx: AuthedCtx) {
+    if (ctx.admin.apiToken) {
+        return ctx.send<GenericApiResp>({
+            error: 'This action cannot be performed using an API token.',
+        });
+    }
+
     //Sanity check
     const schemaRes = bodySchema.safeParse(ctx.request.body);
     if (!schemaRes.success) {
@@ -48,7 +54,7 @@ export default async function AuthChangePassword(ctx: AuthedCtx) {
 
     //Edit admin and give output
     try {
-        const newHash = await txCore.adminStore.editAdmin(ctx.admin.name, newPassword);
+        const newHash = await txCore.adminStore.editAdmin(ctx.admin.name, null, newPassword);
 
         //Update session hash if logged in via password
         const currSess = ctx.sessTools.get();
@@ -61,7 +67,7 @@ export default async function AuthChangePassword(ctx: AuthedCtx) {
             });
         }
 
-        ctx.admin.logAction('Changing own password.');
+        ctx.admin.logAction('Changing own password.', { type: 'auth.change_password' });
         return ctx.send<GenericApiResp>({ success: true });
     } catch (error) {
         return ctx.send<GenericApiResp>({ error: (error as Error).message });
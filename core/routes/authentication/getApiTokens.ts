@@ -0,0 +1,32 @@
+const modulename = 'WebServer:AuthGetApiTokens';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { ApiGetApiTokensResp } from '@shared/authApiTypes';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the API tokens of the current admin, and the permissions they can be granted
+ */
+export default async function AuthGetApiTokens(ctx: AuthedCtx) {
+    if (ctx.admin.apiToken) {
+        return ctx.send<ApiGetApiTokensResp>({
+            error: 'API tokens cannot be managed using an API token.',
+        });
+    }
+
+    //Only the permissions the admin has can be delegated to a token
+    const allPermissions = txCore.adminStore.getPermissionsList() as Record<string, string>;
+    const permissions = Object.entries(allPermissions)
+        .filter(([id]) => ctx.admin.hasPermission(id))
+        .map(([id, label]) => ({ id, label }));
+
+    try {
+        return ctx.send<ApiGetApiTokensResp>({
+            tokens: txCore.adminStore.getApiTokens(ctx.admin.name),
+            permissions,
+        });
+    } catch (error) {
+        return ctx.send<ApiGetApiTokensResp>({ error: (error as Error).message });
+    }
+};
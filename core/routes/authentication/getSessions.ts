@@ -0,0 +1,26 @@
+const modulename = 'WebServer:AuthGetSessions';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { ApiGetSessionsResp } from '@shared/authApiTypes';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the active web sessions of the current admin
+ */
+export default async function AuthGetSessions(ctx: AuthedCtx) {
+    if (ctx.admin.apiToken) {
+        return ctx.send<ApiGetSessionsResp>({
+            error: 'This action cannot be performed using an API token.',
+        });
+    }
+
+    const currentId = ctx.sessTools.getPublicId();
+    const sessions = txCore.webServer.sessionStore.getAdminSessions(ctx.admin.name);
+    return ctx.send<ApiGetSessionsResp>({
+        sessions: sessions.map((sess) => ({
+            ...sess,
+            isCurrent: sess.id === currentId,
+        })),
+    });
+};
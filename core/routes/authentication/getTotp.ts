@@ -0,0 +1,23 @@
+const modulename = 'WebServer:AuthGetTotp';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { ApiGetTotpResp } from '@shared/authApiTypes';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the two-factor authentication status of the current admin
+ */
+export default async function AuthGetTotp(ctx: AuthedCtx) {
+    if (ctx.admin.apiToken) {
+        return ctx.send<ApiGetTotpResp>({
+            error: 'This action cannot be performed using an API token.',
+        });
+    }
+
+    try {
+        return ctx.send<ApiGetTotpResp>(txCore.adminStore.getTotpStatus(ctx.admin.name));
+    } catch (error) {
+        return ctx.send<ApiGetTotpResp>({ error: (error as Error).message });
+    }
+};
@@ -1,55 +1,80 @@
-
 const modulename = 'WebServer:OauthMethods';
 import { InitializedCtx } from "@modules/WebServer/ctxTypes";
 import { ValidSessionType } from "@modules/WebServer/middlewares/sessionMws";
-import { ApiOauthCallbackErrorResp, ApiOauthCallbackResp } from "@shared/authApiTypes";
+import { ApiOauthCallbackErrorResp } from "@shared/authApiTypes";
 import { randomUUID } from "node:crypto";
+import { generators } from "openid-client";
 import consoleFactory from '@lib/console';
-import { UserInfoType } from "@modules/AdminStore/providers/CitizenFX";
+import { OauthProviderIdType, OauthUserInfoType } from "@modules/AdminStore/providers/providerUtils";
 const console = consoleFactory(modulename);
 
 
 /**
  * Sets the user session and generates the provider redirect url
  */
-export const getOauthRedirectUrl = (ctx: InitializedCtx, purpose: 'login' | 'addMaster', origin: string) => {
+export const getOauthRedirectUrl = async (
+    ctx: InitializedCtx,
+    purpose: 'login' | 'addMaster',
+    origin: string,
+    providerId: OauthProviderIdType = 'citizenfx',
+) => {
+    const provider = txCore.adminStore.getLoginProvider(providerId);
+    if (!provider) throw new Error(`The login provider '${providerId}' is not enabled.`);
     const callbackUrl = origin + `/${purpose}/callback`;
 
     //Setting up session
     const sessData = {
+        tmpOauthLoginProvider: providerId,
         tmpOauthLoginStateKern: randomUUID(),
+        tmpOauthLoginCodeVerifier: generators.codeVerifier(),
         tmpOauthLoginCallbackUri: callbackUrl,
     } satisfies ValidSessionType;
     ctx.sessTools.set(sessData);
 
-    //Generate CitizenFX provider Auth URL
-    const idmsAuthUrl = txCore.adminStore.providers.citizenfx.getAuthURL(
+    //Generate provider Auth URL
+    return await provider.getAuthURL(
         callbackUrl,
         sessData.tmpOauthLoginStateKern,
+        sessData.tmpOauthLoginCodeVerifier,
     );
-
-    return idmsAuthUrl;
 }
 
 
 /**
  * Handles the provider login callbacks by doing the code exchange, validations and returning the userInfo
  */
-export const handleOauthCallback = async (ctx: InitializedCtx, redirectUri: string): Promise<ApiOauthCallbackErrorResp | UserInfoType> => {
+export const handleOauthCallback = async (
+    ctx: InitializedCtx,
+    redirectUri: string
+): Promise<ApiOauthCallbackErrorResp | { providerId: OauthProviderIdType, userInfo: OauthUserInfoType }> => {
     //Checking session
     const inboundSession = ctx.sessTools.get();
-    if (!inboundSession || !inboundSession?.tmpOauthLoginStateKern || !inboundSession?.tmpOauthLoginCallbackUri) {
+    if (
+        !inboundSession
+        || !inboundSession?.tmpOauthLoginStateKern
+        || !inboundSession?.tmpOauthLoginCallbackUri
+        || !inboundSession?.tmpOauthLoginCodeVerifier
+    ) {
         return {
             errorCode: 'invalid_session',
         };
     }
+    const providerId = inboundSession.tmpOauthLoginProvider ?? 'citizenfx';
+    const provider = txCore.adminStore.getLoginProvider(providerId);
+    if (!provider) {
+        return {
+            errorTitle: 'Login provider disabled:',
+            errorMessage: `The login provider '${providerId}' is not enabled anymore.`,
+        };
+    }
 
     //Exchange code for access token
     let tokenSet;
     try {
-        tokenSet = await txCore.adminStore.providers.citizenfx.processCallback(
+        tokenSet = await provider.processCallback(
             inboundSession.tmpOauthLoginCallbackUri,
             inboundSession.tmpOauthLoginStateKern,
+            inboundSession.tmpOauthLoginCodeVerifier,
             redirectUri,
         );
         if (!tokenSet) throw new Error('tokenSet is undefined');
@@ -79,7 +104,8 @@ export const handleOauthCallback = async (ctx: InitializedCtx, redirectUri: stri
 
     //Get userinfo
     try {
-        return await txCore.adminStore.providers.citizenfx.getUserInfo(tokenSet.access_token);
+        const userInfo = await provider.getUserInfo(tokenSet);
+        return { providerId, userInfo };
     } catch (error) {
         console.verbose.error(`Get UserInfo error: ${(error as Error).message}`);
         return {
@@ -1,15 +1,15 @@
 const modulename = 'WebServer:AuthProviderCallback';
 import consoleFactory from '@lib/console';
 import { InitializedCtx } from '@modules/WebServer/ctxTypes';
-import { AuthedAdmin, CfxreSessAuthType } from '@modules/WebServer/authLogic';
+import { AuthedAdmin, CfxreSessAuthType, OauthSessAuthType } from '@modules/WebServer/authLogic';
 import { z } from 'zod';
 import { ApiOauthCallbackErrorResp, ApiOauthCallbackResp, ReactAuthDataType } from '@shared/authApiTypes';
 import { handleOauthCallback } from './oauthMethods';
-import { getIdFromOauthNameid } from '@lib/player/idUtils';
+import { TOTP_PENDING_AUTH_TTL } from './verifyTotp';
 const console = consoleFactory(modulename);
 
 //Helper functions
-const bodySchema = z.object({
+export const bodySchema = z.object({
     redirectUri: z.string(),
 });
 export type ApiOauthCallbackReqSchema = z.infer<typeof bodySchema>;
@@ -32,51 +32,61 @@ export default async function AuthProviderCallback(ctx: InitializedCtx) {
     if('errorCode' in callbackResp || 'errorTitle' in callbackResp){
         return ctx.send<ApiOauthCallbackErrorResp>(callbackResp);
     }
-    const userInfo = callbackResp;
-
-    //Getting identifier
-    const fivemIdentifier = getIdFromOauthNameid(userInfo.nameid);
-    if(!fivemIdentifier){
-        return ctx.send<ApiOauthCallbackResp>({
-            errorTitle: 'Invalid nameid identifier.',
-            errorMessage: `Could not extract the user identifier from the URL below. Please report this to the txAdmin dev team.\n${userInfo.nameid.toString()}`,
-        });
-    }
+    const { providerId, userInfo } = callbackResp;
 
     //Check & Login user
     try {
-        const vaultAdmin = txCore.adminStore.getAdminByIdentifiers([fivemIdentifier]);
+        const vaultAdmin = txCore.adminStore.getAdminByIdentifiers([userInfo.identifier]);
         if (!vaultAdmin) {
             ctx.sessTools.destroy();
             return ctx.send<ApiOauthCallbackResp>({
                 errorCode: 'not_admin',
                 errorContext: {
-                    identifier: fivemIdentifier,
+                    provider: providerId,
+                    identifier: userInfo.identifier,
                     name: userInfo.name,
-                    profile: userInfo.profile
+                    ...(userInfo.profile && { profile: userInfo.profile }),
                 }
             });
         }
 
         //Setting session
-        const sessData = {
-            type: 'cfxre',
+        const sessBase = {
             username: vaultAdmin.name,
             csrfToken: txCore.adminStore.genCsrfToken(),
             expiresAt: Date.now() + 86_400_000, //24h,
-            identifier: fivemIdentifier,
-        } satisfies CfxreSessAuthType;
-        ctx.sessTools.set({ auth: sessData });
+            identifier: userInfo.identifier,
+        };
+        const sessData = providerId === 'citizenfx'
+            ? { type: 'cfxre', ...sessBase } satisfies CfxreSessAuthType
+            : { type: 'oauth', provider: providerId, ...sessBase } satisfies OauthSessAuthType;
 
         //If the user has a picture, save it to the cache
         if (userInfo.picture) {
             txCore.cacheStore.set(`admin:picture:${vaultAdmin.name}`, userInfo.picture);
         }
 
-        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken);
-        authedAdmin.logAction(`logged in from ${ctx.ip} via cfxre`);
+        //If the admin has 2FA enabled, the session will only be set after the code is verified
+        if (vaultAdmin.totp) {
+            ctx.sessTools.set({
+                tmpTotpPendingAuth: {
+                    auth: sessData,
+                    method: providerId,
+                    expiresAt: Date.now() + TOTP_PENDING_AUTH_TTL,
+                    attempts: 0,
+                },
+            });
+            return ctx.send<ApiOauthCallbackResp>({ totpRequired: true });
+        }
+        ctx.sessTools.set({ auth: sessData });
+
+        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken, undefined, ctx.ip);
+        authedAdmin.logAction(`logged in from ${ctx.ip} via ${providerId}`, {
+            type: 'auth.login',
+            params: { method: providerId },
+        });
         txCore.metrics.txRuntime.loginOrigins.count(ctx.txVars.hostType);
-        txCore.metrics.txRuntime.loginMethods.count('citizenfx');
+        txCore.metrics.txRuntime.loginMethods.count(providerId);
         return ctx.send<ReactAuthDataType>(authedAdmin.getAuthData());
     } catch (error) {
         ctx.sessTools.destroy();
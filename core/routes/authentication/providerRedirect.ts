@@ -4,9 +4,13 @@ import consoleFactory from '@lib/console';
 import { ApiOauthRedirectResp } from '@shared/authApiTypes';
 import { z } from 'zod';
 import { getOauthRedirectUrl } from './oauthMethods';
+import { oauthProviderIds } from '@modules/AdminStore/providers/providerUtils';
 const console = consoleFactory(modulename);
 
-const querySchema = z.object({
+export const paramsSchema = z.object({
+    provider: z.enum(oauthProviderIds),
+});
+export const querySchema = z.object({
     origin: z.string(),
 });
 
@@ -15,6 +19,14 @@ const querySchema = z.object({
  * Generates the provider auth url and redirects the user
  */
 export default async function AuthProviderRedirect(ctx: InitializedCtx) {
+    const paramsSchemaRes = paramsSchema.safeParse(ctx.params);
+    if (!paramsSchemaRes.success) {
+        return ctx.send<ApiOauthRedirectResp>({
+            error: `Invalid login provider.`,
+        });
+    }
+    const { provider } = paramsSchemaRes.data;
+
     const schemaRes = querySchema.safeParse(ctx.request.query);
     if (!schemaRes.success) {
         return ctx.send<ApiOauthRedirectResp>({
@@ -30,7 +42,14 @@ export default async function AuthProviderRedirect(ctx: InitializedCtx) {
         });
     }
 
-    return ctx.send<ApiOauthRedirectResp>({
-        authUrl: getOauthRedirectUrl(ctx, 'login', origin),
-    });
+    try {
+        return ctx.send<ApiOauthRedirectResp>({
+            authUrl: await getOauthRedirectUrl(ctx, 'login', origin, provider),
+        });
+    } catch (error) {
+        console.verbose.error(`Failed to generate the auth url: ${(error as Error).message}`);
+        return ctx.send<ApiOauthRedirectResp>({
+            error: (error as Error).message,
+        });
+    }
 };
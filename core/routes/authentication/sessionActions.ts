@@ -0,0 +1,75 @@
+const modulename = 'WebServer:AuthSessionActions';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { GenericApiOkResp } from '@shared/genericApiTypes';
+import { z } from 'zod';
+const console = consoleFactory(modulename);
+
+//Helper functions
+export const revokeBodySchema = z.object({
+    sessionId: z.string(),
+});
+export type ApiRevokeSessionReqSchema = z.infer<typeof revokeBodySchema>;
+
+
+/**
+ * Route to revoke your own web sessions
+ */
+export default async function AuthSessionActions(ctx: AuthedCtx) {
+    const action = ctx.params.action;
+    if (ctx.admin.apiToken) {
+        return ctx.send<GenericApiOkResp>({
+            error: 'This action cannot be performed using an API token.',
+        });
+    }
+
+    if (action === 'revoke') {
+        return await handleRevoke(ctx);
+    } else if (action === 'revokeOthers') {
+        return await handleRevokeOthers(ctx);
+    } else {
+        return ctx.send<GenericApiOkResp>({ error: 'Unknown action.' });
+    }
+};
+
+
+/**
+ * Handle Revoke
+ */
+async function handleRevoke(ctx: AuthedCtx) {
+    const sendTypedResp = (data: GenericApiOkResp) => ctx.send(data);
+    const schemaRes = revokeBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return sendTypedResp({
+            error: `Invalid request body: ${schemaRes.error.message}`,
+        });
+    }
+
+    const { sessionId } = schemaRes.data;
+    const wasRevoked = txCore.webServer.sessionStore.destroyAdminSession(ctx.admin.name, sessionId);
+    if (!wasRevoked) {
+        return sendTypedResp({ error: 'Session not found.' });
+    }
+    ctx.admin.logAction('Revoked one of their own web sessions.', {
+        type: 'auth.session.revoke',
+        params: { sessions: 1 },
+    });
+    txCore.webServer.webSocket.reCheckAdminAuths().catch(() => { });
+    return sendTypedResp({ success: true });
+}
+
+
+/**
+ * Handle Revoke Others - revokes all sessions except the current one
+ */
+async function handleRevokeOthers(ctx: AuthedCtx) {
+    const sendTypedResp = (data: GenericApiOkResp) => ctx.send(data);
+    const currentId = ctx.sessTools.getPublicId();
+    const count = txCore.webServer.sessionStore.destroyAdminSessions(ctx.admin.name, currentId);
+    ctx.admin.logAction(`Revoked ${count} of their own web sessions.`, {
+        type: 'auth.session.revoke',
+        params: { sessions: count },
+    });
+    txCore.webServer.webSocket.reCheckAdminAuths().catch(() => { });
+    return sendTypedResp({ success: true });
+}
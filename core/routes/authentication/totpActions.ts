@@ -0,0 +1,111 @@
+const modulename = 'WebServer:AuthTotpActions';
+import QRCode from 'qrcode';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { ApiConfirmTotpResp, ApiSetupTotpResp } from '@shared/authApiTypes';
+import { GenericApiOkResp } from '@shared/genericApiTypes';
+import { z } from 'zod';
+const console = consoleFactory(modulename);
+
+//Helper functions
+export const codeBodySchema = z.object({
+    code: z.string().trim().min(6).max(16),
+});
+export type ApiTotpCodeReqSchema = z.infer<typeof codeBodySchema>;
+
+
+/**
+ * Route to setup, confirm or disable your own two-factor authentication
+ */
+export default async function AuthTotpActions(ctx: AuthedCtx) {
+    const action = ctx.params.action;
+    if (ctx.admin.apiToken) {
+        return ctx.send<GenericApiOkResp>({
+            error: 'This action cannot be performed using an API token.',
+        });
+    }
+    if (!ctx.txVars.isWebInterface) {
+        return ctx.send<GenericApiOkResp>({
+            error: 'Two-factor authentication cannot be managed from the in-game menu, please use the web version of txAdmin.',
+        });
+    }
+
+    if (action === 'setup') {
+        return await handleSetup(ctx);
+    } else if (action === 'confirm') {
+        return await handleConfirm(ctx);
+    } else if (action === 'disable') {
+        return await handleDisable(ctx);
+    } else {
+        return ctx.send<GenericApiOkResp>({ error: 'Unknown action.' });
+    }
+};
+
+
+/**
+ * Handle Setup - generates the secret and QR code, but only enables 2FA after the confirm step
+ */
+async function handleSetup(ctx: AuthedCtx) {
+    const sendTypedResp = (data: ApiSetupTotpResp) => ctx.send(data);
+    try {
+        const { secret, uri } = txCore.adminStore.startTotpSetup(ctx.admin.name);
+        const qrCode = await QRCode.toDataURL(uri, { margin: 2, width: 256 });
+        return sendTypedResp({ secret, uri, qrCode });
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+}
+
+
+/**
+ * Handle Confirm
+ */
+async function handleConfirm(ctx: AuthedCtx) {
+    const sendTypedResp = (data: ApiConfirmTotpResp) => ctx.send(data);
+    const schemaRes = codeBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return sendTypedResp({
+            error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+        });
+    }
+
+    try {
+        const recoveryCodes = await txCore.adminStore.confirmTotpSetup(ctx.admin.name, schemaRes.data.code);
+        ctx.admin.logAction('Enabled two-factor authentication.', { type: 'auth.totp.enable' });
+        return sendTypedResp({ recoveryCodes });
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+}
+
+
+/**
+ * Handle Disable
+ */
+async function handleDisable(ctx: AuthedCtx) {
+    const sendTypedResp = (data: GenericApiOkResp) => ctx.send(data);
+    const schemaRes = codeBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return sendTypedResp({
+            error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+        });
+    }
+
+    try {
+        const status = txCore.adminStore.getTotpStatus(ctx.admin.name);
+        if (status.required) {
+            return sendTypedResp({
+                error: 'Two-factor authentication is required for your account and cannot be disabled.',
+            });
+        }
+        const isValid = await txCore.adminStore.verifyAdminTotp(ctx.admin.name, schemaRes.data.code);
+        if (!isValid) {
+            return sendTypedResp({ error: 'Invalid code!' });
+        }
+        await txCore.adminStore.disableTotp(ctx.admin.name);
+        ctx.admin.logAction('Disabled two-factor authentication.', { type: 'auth.totp.disable' });
+        return sendTypedResp({ success: true });
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+}
@@ -4,11 +4,12 @@ import { InitializedCtx } from '@modules/WebServer/ctxTypes';
 import { txEnv } from '@core/globalData';
 import consoleFactory from '@lib/console';
 import { ApiVerifyPasswordResp, ReactAuthDataType } from '@shared/authApiTypes';
+import { TOTP_PENDING_AUTH_TTL } from './verifyTotp';
 import { z } from 'zod';
 const console = consoleFactory(modulename);
 
 //Helper functions
-const bodySchema = z.object({
+export const bodySchema = z.object({
     username: z.string().trim(),
     password: z.string().trim(),
 });
@@ -66,13 +67,30 @@ export default async function AuthVerifyPassword(ctx: InitializedCtx) {
             expiresAt: false,
             csrfToken: txCore.adminStore.genCsrfToken(),
         } satisfies PassSessAuthType;
+
+        //If the admin has 2FA enabled, the session will only be set after the code is verified
+        if (vaultAdmin.totp) {
+            ctx.sessTools.set({
+                tmpTotpPendingAuth: {
+                    auth: sessData,
+                    method: 'password',
+                    expiresAt: Date.now() + TOTP_PENDING_AUTH_TTL,
+                    attempts: 0,
+                },
+            });
+            return ctx.send<ApiVerifyPasswordResp>({ totpRequired: true });
+        }
         ctx.sessTools.set({ auth: sessData });
 
-        txCore.logger.admin.write(vaultAdmin.name, `logged in from ${ctx.ip} via password`);
+        txCore.logger.admin.write(vaultAdmin.name, `logged in from ${ctx.ip} via password`, 'default', {
+            type: 'auth.login',
+            params: { method: 'password' },
+            ip: ctx.ip,
+        });
         txCore.metrics.txRuntime.loginOrigins.count(ctx.txVars.hostType);
         txCore.metrics.txRuntime.loginMethods.count('password');
 
-        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken)
+        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken, undefined, ctx.ip);
         return ctx.send<ReactAuthDataType>(authedAdmin.getAuthData());
 
     } catch (error) {
@@ -0,0 +1,99 @@
+const modulename = 'WebServer:AuthVerifyTotp';
+import { AuthedAdmin } from '@modules/WebServer/authLogic';
+import { InitializedCtx } from '@modules/WebServer/ctxTypes';
+import consoleFactory from '@lib/console';
+import { ApiVerifyTotpResp, ReactAuthDataType } from '@shared/authApiTypes';
+import { z } from 'zod';
+const console = consoleFactory(modulename);
+
+//Helper functions
+export const TOTP_PENDING_AUTH_TTL = 5 * 60 * 1000;
+const TOTP_MAX_ATTEMPTS = 5;
+export const bodySchema = z.object({
+    code: z.string().trim().min(6).max(16),
+});
+export type ApiVerifyTotpReqSchema = z.infer<typeof bodySchema>;
+
+
+/**
+ * Second step of the login, verifying the 2FA code (or recovery code) of an admin
+ * that already passed the password or cfx.re authentication.
+ */
+export default async function AuthVerifyTotp(ctx: InitializedCtx) {
+    const schemaRes = bodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return ctx.send<ApiVerifyTotpResp>({
+            error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+        });
+    }
+    const { code } = schemaRes.data;
+
+    //Checking the pending auth
+    const pending = ctx.sessTools.get()?.tmpTotpPendingAuth;
+    if (!pending || pending.expiresAt < Date.now()) {
+        ctx.sessTools.destroy();
+        return ctx.send<ApiVerifyTotpResp>({
+            error: 'Your login attempt expired, please login again.',
+            restartLogin: true,
+        });
+    }
+    if (pending.attempts >= TOTP_MAX_ATTEMPTS) {
+        ctx.sessTools.destroy();
+        return ctx.send<ApiVerifyTotpResp>({
+            error: 'Too many wrong codes, please login again.',
+            restartLogin: true,
+        });
+    }
+
+    try {
+        const vaultAdmin = txCore.adminStore.getAdminByName(pending.auth.username);
+        if (!vaultAdmin) {
+            ctx.sessTools.destroy();
+            return ctx.send<ApiVerifyTotpResp>({
+                error: 'Admin not found.',
+                restartLogin: true,
+            });
+        }
+
+        //If 2FA got disabled in the meantime, the code is not needed anymore
+        let codeMethod: string | false = 'none';
+        if (vaultAdmin.totp) {
+            codeMethod = await txCore.adminStore.verifyAdminTotp(vaultAdmin.name, code);
+        }
+        if (!codeMethod) {
+            console.warn(`Wrong 2FA code for ${vaultAdmin.name} from: ${ctx.ip}`);
+            ctx.sessTools.set({
+                tmpTotpPendingAuth: {
+                    ...pending,
+                    auth: { ...pending.auth },
+                    attempts: pending.attempts + 1,
+                },
+            });
+            return ctx.send<ApiVerifyTotpResp>({
+                error: 'Invalid code!',
+            });
+        }
+
+        //Setting up session
+        const sessData = { ...pending.auth };
+        ctx.sessTools.set({ auth: sessData });
+
+        const methodSuffix = codeMethod === 'recovery' ? ' (using a recovery code)' : '';
+        txCore.logger.admin.write(vaultAdmin.name, `logged in from ${ctx.ip} via ${pending.method} + 2FA${methodSuffix}`, 'default', {
+            type: 'auth.login',
+            params: { method: pending.method, totp: codeMethod },
+            ip: ctx.ip,
+        });
+        txCore.metrics.txRuntime.loginOrigins.count(ctx.txVars.hostType);
+        txCore.metrics.txRuntime.loginMethods.count(pending.method);
+
+        const authedAdmin = new AuthedAdmin(vaultAdmin, sessData.csrfToken, undefined, ctx.ip);
+        return ctx.send<ReactAuthDataType>(authedAdmin.getAuthData());
+    } catch (error) {
+        console.warn(`Failed to verify 2FA for ${pending.auth.username} with error: ${(error as Error).message}`);
+        console.verbose.dir(error);
+        return ctx.send<ApiVerifyTotpResp>({
+            error: 'Error autenticating admin.',
+        });
+    }
+};
@@ -0,0 +1,127 @@
+const modulename = 'WebServer:BanFederationActions';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { FederationAccessKeySchema, FederationSourceSchema } from '@modules/BanFederation/federationUtils';
+import { GenericApiErrorResp, GenericApiOkResp } from '@shared/genericApiTypes';
+import { z } from 'zod';
+const console = consoleFactory(modulename);
+
+
+//Req validation & types
+export const saveSourceBodySchema = FederationSourceSchema.pick({
+    name: true,
+    url: true,
+    publicKey: true,
+    enforce: true,
+    enabled: true,
+}).extend({
+    id: z.string().optional(),
+    token: FederationSourceSchema.shape.token.optional().or(z.literal('')),
+});
+export type ApiSaveFederationSourceReqSchema = z.infer<typeof saveSourceBodySchema>;
+
+export const addAccessKeyBodySchema = FederationAccessKeySchema.pick({
+    name: true,
+});
+export type ApiAddFederationAccessKeyReqSchema = z.infer<typeof addAccessKeyBodySchema>;
+
+export const idBodySchema = z.object({
+    id: z.string(),
+});
+export type ApiFederationIdReqSchema = z.infer<typeof idBodySchema>;
+
+export type ApiAddFederationAccessKeyResp = {
+    token: string;
+} | GenericApiErrorResp;
+export type ApiSyncFederationSourceResp = {
+    added: number;
+    updated: number;
+    revoked: number;
+} | GenericApiErrorResp;
+
+
+/**
+ * Handles the ban federation actions: saveSource (add/edit), deleteSource, syncSource, addAccessKey and deleteAccessKey
+ */
+export default async function BanFederationActions(ctx: AuthedCtx) {
+    const action = ctx.params.action;
+
+    //Check permissions
+    if (!ctx.admin.testPermission('settings.write', modulename)) {
+        return ctx.send<GenericApiErrorResp>({
+            error: 'You do not have permission to change the settings.'
+        });
+    }
+
+    try {
+        if (action === 'saveSource') {
+            const schemaRes = saveSourceBodySchema.safeParse(ctx.request.body);
+            if (!schemaRes.success) {
+                return ctx.send<GenericApiErrorResp>({
+                    error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+                });
+            }
+            const { id, ...data } = schemaRes.data;
+            if (id) {
+                const source = await txCore.banFederation.editSource(id, data);
+                ctx.admin.logAction(`Edited ban federation source '${source.name}' (${source.id}).`, {
+                    type: 'banFederation.source.edit',
+                    params: { id: source.id, url: source.url, enforce: source.enforce, enabled: source.enabled },
+                });
+            } else {
+                const source = await txCore.banFederation.addSource(data);
+                ctx.admin.logAction(`Added ban federation source '${source.name}' (${source.id}).`, {
+                    type: 'banFederation.source.add',
+                    params: { id: source.id, url: source.url, enforce: source.enforce, enabled: source.enabled },
+                });
+            }
+            return ctx.send<GenericApiOkResp>({ success: true });
+
+        } else if (action === 'addAccessKey') {
+            const schemaRes = addAccessKeyBodySchema.safeParse(ctx.request.body);
+            if (!schemaRes.success) {
+                return ctx.send<GenericApiErrorResp>({
+                    error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+                });
+            }
+            const { accessKey, token } = await txCore.banFederation.addAccessKey(schemaRes.data.name);
+            ctx.admin.logAction(`Added ban federation access key '${accessKey.name}' (${accessKey.id}).`, {
+                type: 'banFederation.accessKey.add',
+                params: { id: accessKey.id },
+            });
+            return ctx.send<ApiAddFederationAccessKeyResp>({ token });
+
+        } else if (action === 'deleteSource' || action === 'syncSource' || action === 'deleteAccessKey') {
+            const schemaRes = idBodySchema.safeParse(ctx.request.body);
+            if (!schemaRes.success) {
+                return ctx.send<GenericApiErrorResp>({
+                    error: `Invalid request body: ${schemaRes.error.message}`,
+                });
+            }
+            const { id } = schemaRes.data;
+            if (action === 'deleteSource') {
+                const { source, removedBans } = await txCore.banFederation.deleteSource(id);
+                ctx.admin.logAction(`Deleted ban federation source '${source.name}' (${source.id}) and ${removedBans} imported bans.`, {
+                    type: 'banFederation.source.delete',
+                    params: { id: source.id, removedBans },
+                });
+                return ctx.send<GenericApiOkResp>({ success: true });
+            } else if (action === 'syncSource') {
+                const counts = await txCore.banFederation.syncSource(id);
+                return ctx.send<ApiSyncFederationSourceResp>(counts);
+            } else {
+                const accessKey = await txCore.banFederation.deleteAccessKey(id);
+                ctx.admin.logAction(`Deleted ban federation access key '${accessKey.name}' (${accessKey.id}).`, {
+                    type: 'banFederation.accessKey.delete',
+                    params: { id: accessKey.id },
+                });
+                return ctx.send<GenericApiOkResp>({ success: true });
+            }
+
+        } else {
+            return ctx.send<GenericApiErrorResp>({ error: 'Unknown action.' });
+        }
+    } catch (error) {
+        return ctx.send<GenericApiErrorResp>({ error: (error as Error).message });
+    }
+};
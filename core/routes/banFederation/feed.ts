@@ -0,0 +1,46 @@
+const modulename = 'WebServer:BanFederationFeed';
+import consoleFactory from '@lib/console';
+import { InitializedCtx } from '@modules/WebServer/ctxTypes';
+import { parseBearerHeader } from '@modules/AdminStore/apiTokens';
+import { FEDERATION_SIGNATURE_HEADER } from '@modules/BanFederation/federationUtils';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the signed feed of the local bans changed since the `since` query param.
+ * NOTE: this route is not session-authenticated, it requires an access key token instead.
+ */
+export default async function BanFederationFeed(ctx: InitializedCtx) {
+    const sendError = (status: number, error: string) => {
+        ctx.status = status;
+        return ctx.send({ error });
+    };
+
+    const token = parseBearerHeader(ctx.headers['authorization']);
+    if (!token) {
+        return sendError(401, 'Missing access token, use the \'Authorization: Bearer <token>\' header.');
+    }
+    const accessKey = txCore.banFederation.checkAccessToken(token);
+    if (!accessKey) {
+        console.verbose.warn(`Invalid ban federation access token from ${ctx.txVars.realIP}.`);
+        return sendError(401, 'Invalid access token.');
+    }
+    if (!txCore.database.isReady) {
+        return sendError(503, 'Database not ready yet.');
+    }
+
+    const since = typeof ctx.query.since === 'string' ? parseInt(ctx.query.since) : 0;
+    if (isNaN(since) || since < 0) {
+        return sendError(400, 'Invalid since parameter.');
+    }
+
+    try {
+        const { body, signature } = txCore.banFederation.getSignedFeed(since);
+        ctx.set(FEDERATION_SIGNATURE_HEADER, signature);
+        ctx.type = 'application/json';
+        ctx.body = body;
+    } catch (error) {
+        console.error(`Failed to build the ban federation feed: ${(error as Error).message}`);
+        return sendError(500, 'Failed to build the feed.');
+    }
+};
@@ -0,0 +1,56 @@
+const modulename = 'WebServer:BanFederationList';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { FEDERATION_FEED_PATH, FederationAccessKeyType, FederationSourceType } from '@modules/BanFederation/federationUtils';
+import { GenericApiErrorResp } from '@shared/genericApiTypes';
+const console = consoleFactory(modulename);
+
+
+//Response type
+export type FederationSourceListItem = Omit<FederationSourceType, 'token' | 'cursor'> & {
+    importedBans: number;
+    ignoredBans: number;
+};
+export type BanFederationListResp = {
+    publicKey: string | false;
+    feedPath: string;
+    accessKeys: Omit<FederationAccessKeyType, 'hash'>[];
+    sources: FederationSourceListItem[];
+    canEdit: boolean;
+} | GenericApiErrorResp;
+
+
+/**
+ * Returns the ban federation sources and access keys
+ */
+export default async function BanFederationList(ctx: AuthedCtx) {
+    const sendTypedResp = (data: BanFederationListResp) => ctx.send(data);
+    if (!ctx.admin.testPermission('settings.view', modulename)) {
+        return sendTypedResp({ error: 'You do not have permission to view this page.' });
+    }
+
+    //Counting the imported bans per source
+    const importedBans: Record<string, number> = {};
+    const ignoredBans: Record<string, number> = {};
+    if (txCore.database.isReady) {
+        for (const action of txCore.database.actions.findAllReadonly()) {
+            if (action.type !== 'ban' || !action.origin) continue;
+            const { sourceId, isIgnored } = action.origin;
+            importedBans[sourceId] = (importedBans[sourceId] ?? 0) + 1;
+            if (isIgnored) ignoredBans[sourceId] = (ignoredBans[sourceId] ?? 0) + 1;
+        }
+    }
+
+    const sources = txCore.banFederation.getSources().map(({ token, cursor, ...source }) => ({
+        ...source,
+        importedBans: importedBans[source.id] ?? 0,
+        ignoredBans: ignoredBans[source.id] ?? 0,
+    }));
+    return sendTypedResp({
+        publicKey: txCore.banFederation.publicKey ?? false,
+        feedPath: FEDERATION_FEED_PATH,
+        accessKeys: txCore.banFederation.getAccessKeys(),
+        sources,
+        canEdit: ctx.admin.hasPermission('settings.write'),
+    });
+};
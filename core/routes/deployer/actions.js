@@ -66,7 +66,7 @@ async function handleConfirmRecipe(ctx) {
     const userEditedRecipe = ctx.request.body.recipe;
 
     try {
-        ctx.admin.logAction('Setting recipe.');
+        ctx.admin.logAction('Setting recipe.', { type: 'deployer.set_recipe' });
         await txManager.deployer.confirmRecipe(userEditedRecipe);
     } catch (error) {
         return ctx.send({ type: 'danger', message: error.message });
@@ -183,7 +183,7 @@ async function handleSetVariables(ctx) {
 
     //Start deployer
     try {
-        ctx.admin.logAction('Running recipe.');
+        ctx.admin.logAction('Running recipe.', { type: 'deployer.run' });
         txManager.deployer.start(userVars);
     } catch (error) {
         return ctx.send({ type: 'danger', message: error.message });
@@ -250,11 +250,11 @@ async function handleSaveConfig(ctx) {
         });
     }
 
-    ctx.admin.logAction('Completed and committed server deploy.');
+    ctx.admin.logAction('Completed and committed server deploy.', { type: 'deployer.commit' });
 
     //If running (for some reason), kill it first 
     if (!txCore.fxRunner.isIdle) {
-        ctx.admin.logCommand('STOP SERVER');
+        ctx.admin.logCommand('STOP SERVER', { type: 'server.stop' });
         await txCore.fxRunner.killServer('new server deployed', ctx.admin.name, true);
     }
 
@@ -51,7 +51,7 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
     //FIXME: move to the advanced route, give button for profiling, saving mem snapshot, verbose, etc.
     if (action == 'profile_monitor') {
         if (!ensurePermission(ctx, 'all_permissions')) return false;
-        ctx.admin.logAction('Profiling txAdmin instance.');
+        ctx.admin.logAction('Profiling txAdmin instance.', { type: 'server.profile' });
 
         const profileDuration = 5;
         const savePath = `${txEnv.profilePath}/data/txProfile.bin`;
@@ -78,7 +78,10 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
             message,
             author: ctx.admin.name,
         });
-        ctx.admin.logAction(`Sending announcement: ${parameter}`);
+        ctx.admin.logAction(`Sending announcement: ${parameter}`, {
+            type: 'server.announcement',
+            params: { message },
+        });
 
         // Sending discord announcement
         const publicAuthor = txCore.adminStore.getAdminPublicName(ctx.admin.name, 'message');
@@ -104,12 +107,16 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
             'kick_messages.everyone',
             { reason: kickReason }
         );
-        ctx.admin.logAction(`Kicking all players: ${kickReason}`);
+        ctx.admin.logAction(`Kicking all players: ${kickReason}`, {
+            type: 'server.kick_all',
+            params: { reason: kickReason },
+        });
         // Dispatch `txAdmin:events:playerKicked`
         txCore.fxRunner.sendEvent('playerKicked', {
             target: -1,
             author: ctx.admin.name,
             reason: kickReason,
+            actionId: null,
             dropMessage,
         });
         return ctx.send<ApiToastResp>({
@@ -120,7 +127,10 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
     //==============================================
     } else if (action == 'restart_res') {
         if (!ensurePermission(ctx, 'commands.resources')) return false;
-        ctx.admin.logAction(`Restarted resource "${parameter}"`);
+        ctx.admin.logAction(`Restarted resource "${parameter}"`, {
+            type: 'resource.restart',
+            params: { resource: parameter },
+        });
         txCore.fxRunner.sendCommand('restart', [parameter], ctx.admin.name);
         return ctx.send<ApiToastResp>({
             type: 'warning',
@@ -130,7 +140,10 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
     //==============================================
     } else if (action == 'start_res') {
         if (!ensurePermission(ctx, 'commands.resources')) return false;
-        ctx.admin.logAction(`Started resource "${parameter}"`);
+        ctx.admin.logAction(`Started resource "${parameter}"`, {
+            type: 'resource.start',
+            params: { resource: parameter },
+        });
         txCore.fxRunner.sendCommand('start', [parameter], ctx.admin.name);
         return ctx.send<ApiToastResp>({
             type: 'warning',
@@ -140,7 +153,10 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
     //==============================================
     } else if (action == 'ensure_res') {
         if (!ensurePermission(ctx, 'commands.resources')) return false;
-        ctx.admin.logAction(`Ensured resource "${parameter}"`);
+        ctx.admin.logAction(`Ensured resource "${parameter}"`, {
+            type: 'resource.ensure',
+            params: { resource: parameter },
+        });
         txCore.fxRunner.sendCommand('ensure', [parameter], ctx.admin.name);
         return ctx.send<ApiToastResp>({
             type: 'warning',
@@ -150,7 +166,10 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
     //==============================================
     } else if (action == 'stop_res') {
         if (!ensurePermission(ctx, 'commands.resources')) return false;
-        ctx.admin.logAction(`Stopped resource "${parameter}"`);
+        ctx.admin.logAction(`Stopped resource "${parameter}"`, {
+            type: 'resource.stop',
+            params: { resource: parameter },
+        });
         txCore.fxRunner.sendCommand('stop', [parameter], ctx.admin.name);
         return ctx.send<ApiToastResp>({
             type: 'warning',
@@ -160,7 +179,7 @@ export default async function FXServerCommands(ctx: AuthedCtx) {
     //==============================================
     } else if (action == 'refresh_res') {
         if (!ensurePermission(ctx, 'commands.resources')) return false;
-        ctx.admin.logAction(`Refreshed resources`);
+        ctx.admin.logAction(`Refreshed resources`, { type: 'resource.refresh' });
         txCore.fxRunner.sendCommand('refresh', [], ctx.admin.name);
         return ctx.send<ApiToastResp>({
             type: 'warning',
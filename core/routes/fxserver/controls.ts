@@ -26,7 +26,7 @@ export default async function FXServerControls(ctx: AuthedCtx) {
     }
 
     if (action === 'restart') {
-        ctx.admin.logCommand('RESTART SERVER');
+        ctx.admin.logCommand('RESTART SERVER', { type: 'server.restart' });
 
         //If too much of a delay, do it async
         const respawnDelay = txCore.fxRunner.restartSpawnDelay;
@@ -53,7 +53,7 @@ export default async function FXServerControls(ctx: AuthedCtx) {
         if (txCore.fxRunner.isIdle) {
             return ctx.send<ApiToastResp>({ type: 'success', msg: 'The server is already stopped.' });
         }
-        ctx.admin.logCommand('STOP SERVER');
+        ctx.admin.logCommand('STOP SERVER', { type: 'server.stop' });
         await txCore.fxRunner.killServer('admin request', ctx.admin.name, false);
         return ctx.send<ApiToastResp>({ type: 'success', msg: 'Server stopped.' });
 
@@ -64,7 +64,7 @@ export default async function FXServerControls(ctx: AuthedCtx) {
                 msg: 'The server is already running. If it\'s not working, press RESTART.'
             });
         }
-        ctx.admin.logCommand('START SERVER');
+        ctx.admin.logCommand('START SERVER', { type: 'server.start' });
         const spawnError = await txCore.fxRunner.spawnServer(true);
         if (spawnError !== null) {
             return ctx.send<ApiToastResp>({ type: 'error', md: true, msg: spawnError });
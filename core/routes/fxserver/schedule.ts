@@ -32,7 +32,10 @@ export default async function FXServerSchedule(ctx: AuthedCtx) {
     if (action === 'setNextTempSchedule') {
         try {
             txCore.fxScheduler.setNextTempSchedule(parameter);
-            ctx.admin.logAction(`Scheduling server restart at ${parameter}`);
+            ctx.admin.logAction(`Scheduling server restart at ${parameter}`, {
+                type: 'server.schedule',
+                params: { time: parameter },
+            });
             return ctx.send<ApiToastResp>({
                 type: 'success',
                 msg: 'Restart scheduled.',
@@ -48,7 +51,10 @@ export default async function FXServerSchedule(ctx: AuthedCtx) {
         try {
             txCore.fxScheduler.setNextSkip(parameter, ctx.admin.name);
             const logAct = parameter ? 'Cancelling' : 'Re-enabling';
-            ctx.admin.logAction(`${logAct} next scheduled restart.`);
+            ctx.admin.logAction(`${logAct} next scheduled restart.`, {
+                type: 'server.schedule',
+                params: { skipNext: !!parameter },
+            });
             return ctx.send<ApiToastResp>({
                 type: 'success',
                 msg: 'Schedule changed.',
@@ -35,5 +35,9 @@ export default async function HistoryActionModal(ctx: AuthedCtx) {
     return sendTypedResp({
         serverTime: now(),
         action: actionData,
+        federation: (actionData.type === 'ban' && actionData.origin) ? {
+            sourceName: txCore.banFederation.getSourceName(actionData.origin.sourceId) ?? null,
+            isEnforced: txCore.banFederation.isBanEnforced(actionData),
+        } : undefined,
     });
 };
@@ -6,22 +6,39 @@ import consts from '@shared/consts';
 import humanizeDuration, { Unit } from 'humanize-duration';
 import consoleFactory from '@lib/console';
 import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { AuthedAdminType } from '@modules/WebServer/authLogic';
 import { z } from 'zod';
+import { ActionChangesType } from '@modules/Database/actionChanges';
 const console = consoleFactory(modulename);
 
 //Schema
-const addLegacyBanBodySchema = z.object({
+export const addLegacyBanBodySchema = z.object({
     identifiers: z.string().array(),
     reason: z.string().trim().min(3).max(2048),
     duration: z.string(),
 });
 export type ApiAddLegacyBanReqSchema = z.infer<typeof addLegacyBanBodySchema>;
 
-const revokeActionBodySchema = z.object({
+export const revokeActionBodySchema = z.object({
     actionId: z.string(),
 });
 export type ApiRevokeActionReqSchema = z.infer<typeof revokeActionBodySchema>;
 
+export const modifyActionBodySchema = z.object({
+    actionId: z.string(),
+    reason: z.string().trim().min(3).max(2048).optional(),
+    duration: z.string().optional(), //counted from the action timestamp
+    ids: z.string().array().optional(),
+    hwids: z.string().array().optional(),
+});
+export type ApiModifyActionReqSchema = z.infer<typeof modifyActionBodySchema>;
+
+export const ignoreFederatedBanBodySchema = z.object({
+    actionId: z.string(),
+    ignore: z.boolean(),
+});
+export type ApiIgnoreFederatedBanReqSchema = z.infer<typeof ignoreFederatedBanBodySchema>;
+
 
 /**
  * Endpoint to interact with the actions database.
@@ -39,6 +56,10 @@ export default async function HistoryActions(ctx: AuthedCtx & { params: any }) {
         return sendTypedResp(await handleBandIds(ctx));
     } else if (action === 'revokeAction') {
         return sendTypedResp(await handleRevokeAction(ctx));
+    } else if (action === 'modifyAction') {
+        return sendTypedResp(await handleModifyAction(ctx));
+    } else if (action === 'ignoreFederatedBan') {
+        return sendTypedResp(await handleIgnoreFederatedBan(ctx));
     } else {
         return sendTypedResp({ error: 'unknown action' });
     }
@@ -90,25 +111,53 @@ async function handleBandIds(ctx: AuthedCtx): Promise<GenericApiOkResp> {
     }
 
     //Register action
-    let actionId;
     try {
-        actionId = txCore.database.actions.registerBan(
+        registerIdentifiersBan(ctx.admin, {
             identifiers,
-            ctx.admin.name,
             reason,
+            durationInput,
             expiration,
-            false
-        );
+            duration,
+        });
     } catch (error) {
         return { error: `Failed to ban identifiers: ${(error as Error).message}` };
     }
-    ctx.admin.logAction(`Banned <${identifiers.join(';')}>: ${reason}`);
+
+    return { success: true };
+}
+
+
+/**
+ * Registers a ban for an identifiers array, logs it and dispatches `txAdmin:events:playerBanned`.
+ * Returns the action id, or throws if the ban could not be saved.
+ * NOTE: the caller is responsible for validating the input and checking permissions.
+ */
+export const registerIdentifiersBan = (admin: AuthedAdminType, ban: {
+    identifiers: string[];
+    reason: string;
+    durationInput: string;
+    expiration: number | false;
+    duration?: number;
+}) => {
+    const { identifiers, reason, durationInput, expiration, duration } = ban;
+    const actionId = txCore.database.actions.registerBan(
+        identifiers,
+        admin.name,
+        reason,
+        expiration,
+        false
+    );
+    admin.logAction(`Banned <${identifiers.join(';')}>: ${reason}`, {
+        type: 'player.ban',
+        target: { ids: identifiers },
+        params: { actionId, reason, duration: durationInput, expiration },
+    });
 
     // Dispatch `txAdmin:events:playerBanned`
     try {
         let kickMessage, durationTranslated;
         const tOptions: any = {
-            author: ctx.admin.name,
+            author: admin.name,
             reason: reason,
         };
         if (expiration !== false && duration) {
@@ -123,7 +172,7 @@ async function handleBandIds(ctx: AuthedCtx): Promise<GenericApiOkResp> {
             kickMessage = txCore.translator.t('ban_messages.kick_permanent', tOptions);
         }
         txCore.fxRunner.sendEvent('playerBanned', {
-            author: ctx.admin.name,
+            author: admin.name,
             reason,
             actionId,
             expiration,
@@ -137,7 +186,7 @@ async function handleBandIds(ctx: AuthedCtx): Promise<GenericApiOkResp> {
         });
     } catch (error) { }
 
-    return { success: true };
+    return actionId;
 }
 
 
@@ -153,19 +202,37 @@ async function handleRevokeAction(ctx: AuthedCtx): Promise<GenericApiOkResp> {
     }
     const { actionId } = schemaRes.data;
 
-    //Check permissions
-    const perms = [];
-    if (ctx.admin.hasPermission('players.ban')) perms.push('ban');
-    if (ctx.admin.hasPermission('players.warn')) perms.push('warn');
-
-    let action;
     try {
-        action = txCore.database.actions.revoke(actionId, ctx.admin.name, perms) as DatabaseActionType;
-        ctx.admin.logAction(`Revoked ${action.type} id ${actionId} from ${action.playerName ?? 'identifiers'}`);
+        revokeDatabaseAction(ctx.admin, actionId);
     } catch (error) {
         return { error: `Failed to revoke action: ${(error as Error).message}` };
     }
 
+    return { success: true };
+}
+
+
+/**
+ * Revokes an action the admin has permission to revoke, logs it and dispatches `txAdmin:events:actionRevoked`.
+ * Returns the revoked action, or throws if it could not be revoked.
+ */
+export const revokeDatabaseAction = (admin: AuthedAdminType, actionId: string) => {
+    //Check permissions
+    const perms = [];
+    if (admin.hasPermission('players.ban')) perms.push('ban');
+    if (admin.hasPermission('players.warn')) perms.push('warn');
+    if (admin.hasPermission('players.mute')) perms.push('mute');
+
+    const action = txCore.database.actions.revoke(actionId, admin.name, perms) as DatabaseActionType;
+    admin.logAction(`Revoked ${action.type} id ${actionId} from ${action.playerName ?? 'identifiers'}`, {
+        type: 'action.revoke',
+        target: {
+            name: action.playerName || undefined,
+            ids: action.ids,
+        },
+        params: { actionId, actionType: action.type },
+    });
+
     // Dispatch `txAdmin:events:actionRevoked`
     try {
         txCore.fxRunner.sendEvent('actionRevoked', {
@@ -176,9 +243,124 @@ async function handleRevokeAction(ctx: AuthedCtx): Promise<GenericApiOkResp> {
             playerName: action.playerName,
             playerIds: action.ids,
             playerHwids: 'hwids' in action ? action.hwids : [],
-            revokedBy: ctx.admin.name,
+            revokedBy: admin.name,
         });
     } catch (error) { }
 
+    return action;
+}
+
+
+/**
+ * Handle modify database action.
+ * This is called from the action modal, and keeps the action id and timestamp.
+ */
+async function handleModifyAction(ctx: AuthedCtx): Promise<GenericApiOkResp> {
+    //Checking request
+    const schemaRes = modifyActionBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return { error: 'Invalid request body.' };
+    }
+    const { actionId, reason, duration: durationInput, ids, hwids } = schemaRes.data;
+
+    //Validating identifiers
+    const changes: ActionChangesType = { reason };
+    if (ids) {
+        const invalids = ids.filter((id) => !Object.values(consts.validIdentifiers).some((vf) => vf.test(id)));
+        if (invalids.length) {
+            return { error: 'Invalid IDs: ' + invalids.join(', ') };
+        }
+        changes.ids = [...new Set(ids)];
+    }
+    if (hwids) {
+        const invalids = hwids.filter((hwid) => !consts.regexValidHwidToken.test(hwid));
+        if (invalids.length) {
+            return { error: 'Invalid HWIDs: ' + invalids.join(', ') };
+        }
+        changes.hwids = [...new Set(hwids)];
+    }
+
+    //Calculating the new expiration, based on the original action timestamp
+    if (durationInput !== undefined) {
+        const action = txCore.database.actions.findOne(actionId);
+        if (!action) return { error: 'Action not found.' };
+        try {
+            const { expiration, duration } = calcExpirationFromDuration(durationInput);
+            changes.expiration = (expiration !== false && duration) ? action.timestamp + duration : false;
+        } catch (error) {
+            return { error: (error as Error).message };
+        }
+    }
+
+    try {
+        modifyDatabaseAction(ctx.admin, actionId, changes);
+    } catch (error) {
+        return { error: `Failed to modify action: ${(error as Error).message}` };
+    }
+
+    return { success: true };
+}
+
+
+/**
+ * Modifies an action the admin has permission to modify and logs it.
+ * Returns the modified action, or throws if it could not be modified.
+ * NOTE: the caller is responsible for validating the changes.
+ */
+export const modifyDatabaseAction = (admin: AuthedAdminType, actionId: string, changes: ActionChangesType) => {
+    //Check permissions
+    const perms = [];
+    if (admin.hasPermission('players.ban')) perms.push('ban');
+    if (admin.hasPermission('players.warn')) perms.push('warn');
+    if (admin.hasPermission('players.kick')) perms.push('kick');
+    if (admin.hasPermission('players.mute')) perms.push('mute');
+
+    const action = txCore.database.actions.modify(actionId, admin.name, changes, perms);
+    const { diff } = action.changes!.at(-1)!;
+    admin.logAction(`Modified ${action.type} id ${actionId} (${Object.keys(diff).join(', ')})`, {
+        type: 'action.modify',
+        target: {
+            name: action.playerName || undefined,
+            ids: action.ids,
+        },
+        params: { actionId, actionType: action.type, diff },
+    });
+
+    return action;
+}
+
+
+/**
+ * Handle ignore/unignore of a ban imported from a federated instance.
+ * Ignored bans are kept and updated by the source, but not enforced locally.
+ */
+async function handleIgnoreFederatedBan(ctx: AuthedCtx): Promise<GenericApiOkResp> {
+    //Checking request
+    const schemaRes = ignoreFederatedBanBodySchema.safeParse(ctx.request.body);
+    if (!schemaRes.success) {
+        return { error: 'Invalid request body.' };
+    }
+    const { actionId, ignore } = schemaRes.data;
+
+    //Check permissions
+    if (!ctx.admin.testPermission('players.ban', modulename)) {
+        return { error: 'You don\'t have permission to execute this action.' };
+    }
+
+    try {
+        const action = txCore.database.actions.setFederatedBanIgnored(actionId, ignore);
+        const sourceName = txCore.banFederation.getSourceName(action.origin!.sourceId) ?? 'unknown source';
+        ctx.admin.logAction(`${ignore ? 'Ignored' : 'Stopped ignoring'} ban ${actionId} from ${sourceName}`, {
+            type: 'action.federation.ignore',
+            target: {
+                name: action.playerName || undefined,
+                ids: action.ids,
+            },
+            params: { actionId, ignore, sourceId: action.origin!.sourceId },
+        });
+    } catch (error) {
+        return { error: `Failed to change ban: ${(error as Error).message}` };
+    }
+
     return { success: true };
 }
@@ -35,8 +35,7 @@ export default async function HistorySearch(ctx: AuthedCtx) {
     } = ctx.query;
     const sendTypedResp = (data: HistoryTableSearchResp) => ctx.send(data);
     const searchTime = new TimeCounter();
-    const dbo = txCore.database.getDboRef();
-    let chain = dbo.chain.get('actions').clone(); //shallow clone to avoid sorting the original
+    let chain = createChain(txCore.database.actions.findAllReadonly()); //shallow copy, safe to sort
 
     //sort the actions by the sortingKey/sortingDesc
     const parsedSortingDesc = sortingDesc === 'true';
@@ -114,11 +113,17 @@ export default async function HistorySearch(ctx: AuthedCtx) {
             if (!validIds.length && !validHwids.length) {
                 return sendTypedResp({ error: `No valid identifiers found.` });
             }
+            const idsMatches = validIds.length
+                ? txCore.database.actions.findIdsByIdentifiers(validIds)
+                : undefined;
+            const hwidsMatches = validHwids.length
+                ? txCore.database.actions.findIdsByIdentifiers([], validHwids)
+                : undefined;
             chain = chain.filter((a) => {
-                if (validIds.length && !validIds.some((id) => a.ids.includes(id))) {
+                if (idsMatches && !idsMatches.has(a.id)) {
                     return false;
                 }
-                if (validHwids.length && 'hwids' in a &&  !validHwids.some((hwid) => a.hwids!.includes(hwid))) {
+                if (hwidsMatches && 'hwids' in a && !hwidsMatches.has(a.id)) {
                     return false;
                 }
                 return true;
@@ -134,7 +139,7 @@ export default async function HistorySearch(ctx: AuthedCtx) {
     const hasReachedEnd = actions.length <= DEFAULT_LIMIT;
     const currTs = now();
     const processedActions = actions.slice(0, DEFAULT_LIMIT).map((a) => {
-        let banExpiration, warnAcked;
+        let banExpiration, muteExpiration, warnAcked;
         if (a.type === 'ban') {
             if (a.expiration === false) {
                 banExpiration = 'permanent' as const;
@@ -145,6 +150,8 @@ export default async function HistorySearch(ctx: AuthedCtx) {
             }
         } else if (a.type === 'warn') {
             warnAcked = a.acked;
+        } else if (a.type === 'mute') {
+            muteExpiration = a.expiration < currTs ? 'expired' as const : 'active' as const;
         }
         return {
             id: a.id,
@@ -155,6 +162,7 @@ export default async function HistorySearch(ctx: AuthedCtx) {
             timestamp: a.timestamp,
             isRevoked: !!a.revocation.timestamp,
             banExpiration,
+            muteExpiration,
             warnAcked,
         } satisfies HistoryTableActionType;
     });
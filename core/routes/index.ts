@@ -5,6 +5,7 @@ export { default as resources } from './resources.js';
 export { default as perfChart } from './perfChart';
 export { default as playerDrops } from './playerDrops';
 export { default as systemLogs } from './systemLogs';
+export { default as auditLog } from './auditLog';
 
 export { default as auth_addMasterPin } from './authentication/addMasterPin.js';
 export { default as auth_addMasterCallback } from './authentication/addMasterCallback.js';
@@ -17,6 +18,13 @@ export { default as auth_self } from './authentication/self';
 export { default as auth_logout } from './authentication/logout';
 export { default as auth_getIdentifiers } from './authentication/getIdentifiers';
 export { default as auth_changeIdentifiers } from './authentication/changeIdentifiers';
+export { default as auth_getApiTokens } from './authentication/getApiTokens';
+export { default as auth_apiTokenActions } from './authentication/apiTokenActions';
+export { default as auth_verifyTotp } from './authentication/verifyTotp';
+export { default as auth_getTotp } from './authentication/getTotp';
+export { default as auth_totpActions } from './authentication/totpActions';
+export { default as auth_getSessions } from './authentication/getSessions';
+export { default as auth_sessionActions } from './authentication/sessionActions';
 
 export { default as adminManager_page } from './adminManager/page.js';
 export { default as adminManager_getModal } from './adminManager/getModal';
@@ -36,9 +44,23 @@ export { default as settings_getBanTemplates } from './banTemplates/getBanTempla
 export { default as settings_saveBanTemplates } from './banTemplates/saveBanTemplates';
 export { default as settings_resetServerDataPath } from './settings/resetServerDataPath';
 
+export { default as webhooks_list } from './webhooks/list';
+export { default as webhooks_deliveries } from './webhooks/deliveries';
+export { default as webhooks_actions } from './webhooks/actions';
+
+export { default as banFederation_feed } from './banFederation/feed';
+export { default as banFederation_list } from './banFederation/list';
+export { default as banFederation_actions } from './banFederation/actions';
+
 export { default as masterActions_page } from './masterActions/page';
 export { default as masterActions_getBackup } from './masterActions/getBackup';
 export { default as masterActions_actions } from './masterActions/actions';
+export { default as masterActions_importBans } from './masterActions/importBans';
+export { default as masterActions_exportData } from './masterActions/exportData';
+export {
+    listSnapshots as masterActions_listSnapshots,
+    downloadSnapshot as masterActions_downloadSnapshot,
+} from './masterActions/snapshots';
 
 export { default as setup_get } from './setup/get';
 export { default as setup_post } from './setup/post';
@@ -56,9 +78,20 @@ export { default as history_actions } from './history/actions.js';
 export { default as player_stats } from './player/stats';
 export { default as player_search } from './player/search';
 export { default as player_modal } from './player/modal';
+export { default as player_links } from './player/links';
+export { default as player_sessions } from './player/sessions';
+export { default as player_tags } from './player/tags';
 export { default as player_actions } from './player/actions';
 export { default as player_checkJoin } from './player/checkJoin';
 
+export {
+    appealPage as appeals_page,
+    appealSubmit as appeals_submit,
+    appealStatus as appeals_status,
+} from './appeals/public';
+export { default as appeals_list } from './appeals/list';
+export { default as appeals_actions } from './appeals/actions';
+
 export { default as whitelist_page } from './whitelist/page';
 export { default as whitelist_list } from './whitelist/list';
 export { default as whitelist_actions } from './whitelist/actions';
@@ -70,7 +103,33 @@ export { default as advanced_actions } from './advanced/actions';
 export { default as serverLog } from './serverLog.js';
 export { default as serverLogPartial } from './serverLogPartial.js';
 
+export { default as api_openApiSpec } from './openApiSpec';
+export {
+    getStatus as apiV1_status,
+    getPlayerlist as apiV1_playerlist,
+    notFound as apiV1_notFound,
+} from './apiV1/server';
+export {
+    listPlayers as apiV1_listPlayers,
+    getPlayer as apiV1_getPlayer,
+} from './apiV1/players';
+export {
+    listActions as apiV1_listActions,
+    getAction as apiV1_getAction,
+    createBan as apiV1_createBan,
+    revokeAction as apiV1_revokeAction,
+} from './apiV1/actions';
+export {
+    listApprovals as apiV1_listWhitelistApprovals,
+    createApproval as apiV1_createWhitelistApproval,
+    deleteApproval as apiV1_deleteWhitelistApproval,
+    listRequests as apiV1_listWhitelistRequests,
+    approveRequest as apiV1_approveWhitelistRequest,
+    denyRequest as apiV1_denyWhitelistRequest,
+} from './apiV1/whitelist';
+
 export { default as host_status } from './hostStatus';
+export { default as host_metrics } from './metrics';
 
 export {
     get as dev_get,
@@ -6,6 +6,8 @@ import { GenericApiErrorResp } from '@shared/genericApiTypes';
 import consoleFactory from '@lib/console';
 import { AuthedCtx } from '@modules/WebServer/ctxTypes';
 import { SYM_RESET_CONFIG } from '@lib/symbols';
+import { isValidSnapshotName, SnapshotCountsType } from '@modules/Database/snapshots';
+import type { OptimizerResultType } from '@modules/Database/dao/cleanup';
 const console = consoleFactory(modulename);
 
 
@@ -32,6 +34,12 @@ export default async function MasterActionsAction(ctx: AuthedCtx) {
         return handleCleanDatabase(ctx);
     } else if (action == 'revokeWhitelists') {
         return handleRevokeWhitelists(ctx);
+    } else if (action == 'createSnapshot') {
+        return handleCreateSnapshot(ctx);
+    } else if (action == 'restoreSnapshot') {
+        return handleRestoreSnapshot(ctx);
+    } else if (action == 'previewOptimizer') {
+        return handlePreviewOptimizer(ctx);
     } else {
         return ctx.send({ error: 'Unknown settings action.' });
     }
@@ -69,11 +77,11 @@ async function handleCleanDatabase(ctx: AuthedCtx) {
     if (players === 'none') {
         playersFilter = (x: DatabasePlayerType) => false;
     } else if (players === '60d') {
-        playersFilter = (x: DatabasePlayerType) => x.tsLastConnection < (currTs - 60 * daySecs) && !x.notes;
+        playersFilter = (x: DatabasePlayerType) => x.tsLastConnection < (currTs - 60 * daySecs) && !x.notes?.length;
     } else if (players === '30d') {
-        playersFilter = (x: DatabasePlayerType) => x.tsLastConnection < (currTs - 30 * daySecs) && !x.notes;
+        playersFilter = (x: DatabasePlayerType) => x.tsLastConnection < (currTs - 30 * daySecs) && !x.notes?.length;
     } else if (players === '15d') {
-        playersFilter = (x: DatabasePlayerType) => x.tsLastConnection < (currTs - 15 * daySecs) && !x.notes;
+        playersFilter = (x: DatabasePlayerType) => x.tsLastConnection < (currTs - 15 * daySecs) && !x.notes?.length;
     } else {
         return sendTypedResp({ error: 'Invalid players filter type.' });
     }
@@ -200,3 +208,93 @@ async function handleRevokeWhitelists(ctx: AuthedCtx) {
         return sendTypedResp({ error: `<b>Failed to clean players with error:</b><br>${(error as Error).message}` });
     }
 }
+
+
+/**
+ * Handle create database snapshot request
+ */
+async function handleCreateSnapshot(ctx: AuthedCtx) {
+    //Typescript stuff
+    type successResp = {
+        name: string;
+    }
+    const sendTypedResp = (data: successResp | GenericApiErrorResp) => ctx.send(data);
+
+    try {
+        const snapshot = await txCore.database.snapshots.create('manual', ctx.admin.name);
+        ctx.admin.logAction(`Created database snapshot ${snapshot.name}.`, {
+            type: 'database.snapshot.create',
+        });
+        return sendTypedResp({ name: snapshot.name });
+    } catch (error) {
+        return sendTypedResp({ error: `<b>Failed to create snapshot with error:</b><br>${(error as Error).message}` });
+    }
+}
+
+
+/**
+ * Handle restore database snapshot request
+ */
+async function handleRestoreSnapshot(ctx: AuthedCtx) {
+    //Typescript stuff
+    type successResp = {
+        msElapsed: number;
+        preRestoreName: string;
+        counts: SnapshotCountsType;
+    }
+    const sendTypedResp = (data: successResp | GenericApiErrorResp) => ctx.send(data);
+
+    //Sanity check
+    const { name } = ctx.request.body;
+    if (!isValidSnapshotName(name)) {
+        return sendTypedResp({ error: 'Invalid snapshot name.' });
+    }
+
+    try {
+        const tsStart = Date.now();
+        const result = await txCore.database.snapshots.restore(name, ctx.admin.name);
+        const msElapsed = Date.now() - tsStart;
+        ctx.admin.logAction(`Restored database snapshot ${name}.`, {
+            type: 'database.snapshot.restore',
+            params: { name, preRestoreName: result.preRestoreName },
+        });
+        return sendTypedResp({ msElapsed, ...result });
+    } catch (error) {
+        return sendTypedResp({ error: `<b>Failed to restore snapshot with error:</b><br>${(error as Error).message}` });
+    }
+}
+
+
+/**
+ * Handle the daily database optimizer dry run request
+ */
+async function handlePreviewOptimizer(ctx: AuthedCtx) {
+    //Typescript stuff
+    type successResp = {
+        rules: {
+            playersRetention: number;
+            playersRetentionPlaytime: number;
+            whitelistRequestsRetention: number;
+            whitelistApprovalsRetention: number;
+            playerSessionsRetention: number;
+        };
+        counts: OptimizerResultType;
+    }
+    const sendTypedResp = (data: successResp | GenericApiErrorResp) => ctx.send(data);
+
+    try {
+        const counts = txCore.database.cleanup.previewDailyOptimizer();
+        return sendTypedResp({
+            rules: {
+                playersRetention: txConfig.database.playersRetention,
+                playersRetentionPlaytime: txConfig.database.playersRetentionPlaytime,
+                whitelistRequestsRetention: txConfig.database.whitelistRequestsRetention,
+                whitelistApprovalsRetention: txConfig.database.whitelistApprovalsRetention,
+                playerSessionsRetention: txConfig.database.playerSessionsRetention,
+            },
+            counts,
+        });
+    } catch (error) {
+        return sendTypedResp({ error: `<b>Failed to preview the optimizer with error:</b><br>${(error as Error).message}` });
+    }
+}
@@ -0,0 +1,82 @@
+const modulename = 'WebServer:MasterActions:ExportData';
+import { Readable } from 'node:stream';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { getTimeFilename } from '@lib/misc';
+import {
+    exportCollection,
+    exportCollections,
+    ExportCollectionType,
+    ExportFiltersType,
+    exportFormats,
+    ExportFormatType,
+} from '@modules/Database/dataExport';
+const console = consoleFactory(modulename);
+
+//Consts
+const exportActionTypes = ['ban', 'warn', 'kick', 'mute'] as const;
+
+
+/**
+ * Parses a YYYY-MM-DD date from the query, returning the timestamp of the start or end of the day
+ */
+const parseQueryDate = (value: unknown, endOfDay: boolean) => {
+    if (typeof value !== 'string' || !value.length) return undefined;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const parsed = Date.parse(`${value}T00:00:00Z`);
+    if (isNaN(parsed)) return null;
+    const ts = Math.floor(parsed / 1000);
+    return endOfDay ? ts + 86400 - 1 : ts;
+};
+
+
+/**
+ * Streams the export of a database collection as CSV or NDJSON
+ */
+export default async function MasterActionsExportData(ctx: AuthedCtx) {
+    //Check permissions
+    if (!ctx.admin.testPermission('master', modulename)) {
+        return ctx.utils.render('main/message', { message: 'Only the master account has permission to view/use this page.' });
+    }
+    if (!ctx.txVars.isWebInterface) {
+        return ctx.utils.render('main/message', { message: 'This functionality cannot be used by the in-game menu, please use the web version of txAdmin.' });
+    }
+
+    //Sanity check
+    const collection = ctx.params.collection as ExportCollectionType;
+    const format = ctx.query.format as ExportFormatType;
+    if (!exportCollections.includes(collection)) {
+        return ctx.utils.render('main/message', { message: 'Invalid export collection.' });
+    }
+    if (!exportFormats.includes(format)) {
+        return ctx.utils.render('main/message', { message: 'Invalid export format.' });
+    }
+
+    //Filters
+    const tsFrom = parseQueryDate(ctx.query.from, false);
+    const tsTo = parseQueryDate(ctx.query.to, true);
+    if (tsFrom === null || tsTo === null) {
+        return ctx.utils.render('main/message', { message: 'Invalid date range.' });
+    }
+    const filters: ExportFiltersType = { tsFrom, tsTo };
+    if (exportActionTypes.includes(ctx.query.type as any)) {
+        filters.actionType = ctx.query.type as typeof exportActionTypes[number];
+    } else if (ctx.query.type) {
+        return ctx.utils.render('main/message', { message: 'Invalid action type.' });
+    }
+    if (typeof ctx.query.admin === 'string' && ctx.query.admin.trim().length) {
+        filters.admin = ctx.query.admin.trim();
+    }
+
+    let chunks;
+    try {
+        chunks = exportCollection(collection, format, filters);
+    } catch (error) {
+        console.error(`Could not export the ${collection} collection.`);
+        return ctx.utils.render('main/message', { message: `Failed to generate export file with error: ${(error as Error).message}` });
+    }
+    ctx.attachment(`${collection}_${getTimeFilename()}.${format}`);
+    ctx.type = (format === 'csv') ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8';
+    ctx.body = Readable.from(chunks);
+    console.log(`[${ctx.admin.name}] Exporting the ${collection} collection as ${format}.`);
+};
@@ -1,9 +1,7 @@
 const modulename = 'WebServer:MasterActions:GetBackup';
-import fsp from 'node:fs/promises';
 import consoleFactory from '@lib/console';
 import { AuthedCtx } from '@modules/WebServer/ctxTypes';
 import { getTimeFilename } from '@lib/misc';
-import { txEnv } from '@core/globalData';
 const console = consoleFactory(modulename);
 
 
@@ -19,12 +17,12 @@ export default async function MasterActionsGet(ctx: AuthedCtx) {
         return ctx.utils.render('main/message', { message: 'This functionality cannot be used by the in-game menu, please use the web version of txAdmin.' });
     }
 
-    const dbPath = `${txEnv.profilePath}/data/playersDB.json`;
+    //NOTE: exporting instead of reading the file, as it works for both database drivers
     let readFile;
     try {
-        readFile = await fsp.readFile(dbPath);
+        readFile = JSON.stringify(txCore.database.exportData());
     } catch (error) {
-        console.error(`Could not read database file ${dbPath}.`);
+        console.error(`Could not export the players database.`);
         return ctx.utils.render('main/message', { message: `Failed to generate backup file with error: ${(error as Error).message}` });
     }
     //getTimeFilename
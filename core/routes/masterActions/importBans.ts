@@ -0,0 +1,122 @@
+const modulename = 'WebServer:MasterActions:ImportBans';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { GenericApiErrorResp } from '@shared/genericApiTypes';
+import { DatabaseActionBanType, DatabaseActionType } from '@modules/Database/databaseTypes';
+import { banImportFormats, BanImportFormatType, parseImportedBans, SkippedImportRowType } from '@lib/banImport/parsers';
+import { planBanImport, PlannedBanImportType } from '@lib/banImport/planner';
+import { now } from '@lib/misc';
+
+//The banlists are sent as raw text, as they can be way larger than the body parser limits
+const MAX_BODY_SIZE = 16 * 1024 * 1024;
+const PREVIEW_LIMIT = 100;
+
+export type ImportBansRespType = {
+    dryRun: boolean;
+    total: number;
+    valid: number;
+    imported: number;
+    preview: Omit<PlannedBanImportType, 'hwids'>[];
+    skipped: SkippedImportRowType[];
+};
+
+
+/**
+ * Reads the raw request body as text, respecting the size limit
+ */
+const readRawBody = async (ctx: AuthedCtx) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    for await (const chunk of ctx.req) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            throw new Error(`The file is too large, the limit is ${MAX_BODY_SIZE / 1024 / 1024}MB.`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+
+/**
+ * Imports the bans from other admin resources banlists (EasyAdmin, vMenu, generic CSV).
+ * When `dryRun` is set, only returns the preview and skipped rows report.
+ */
+export default async function MasterActionsImportBans(ctx: AuthedCtx) {
+    const sendTypedResp = (data: ImportBansRespType | GenericApiErrorResp) => ctx.send(data);
+
+    //Check permissions
+    if (!ctx.admin.testPermission('master', modulename)) {
+        return sendTypedResp({ error: 'Only the master account has permission to view/use this page.' });
+    }
+    if (!ctx.txVars.isWebInterface) {
+        return sendTypedResp({ error: 'This functionality cannot be used by the in-game menu, please use the web version of txAdmin.' });
+    }
+
+    //Sanity check
+    const format = ctx.query.format as BanImportFormatType;
+    if (!banImportFormats.includes(format)) {
+        return sendTypedResp({ error: 'Invalid banlist format.' });
+    }
+    const dryRun = ctx.query.dryRun === 'true';
+
+    //Parsing the banlist
+    const ts = now();
+    const activeBanFilter = (action: DatabaseActionType): action is DatabaseActionBanType => {
+        return (
+            action.type === 'ban'
+            && (!action.expiration || action.expiration > ts)
+            && (!action.revocation.timestamp)
+        );
+    };
+    let plan;
+    try {
+        const content = await readRawBody(ctx);
+        if (!content.trim().length) {
+            return sendTypedResp({ error: 'The banlist file is empty.' });
+        }
+        const parsed = parseImportedBans(format, content);
+        plan = planBanImport(parsed, {
+            ts,
+            defaultAuthor: ctx.admin.name,
+            defaultReason: `imported from ${format}`,
+            findActiveBanId: (ids) => txCore.database.actions.findMany(ids, [], activeBanFilter)[0]?.id,
+        });
+    } catch (error) {
+        return sendTypedResp({ error: `Failed to read the banlist: ${(error as Error).message}` });
+    }
+
+    //Preview or import
+    const preview = plan.bans.slice(0, PREVIEW_LIMIT).map(({ hwids, ...ban }) => ban);
+    if (dryRun) {
+        return sendTypedResp({
+            dryRun,
+            total: plan.total,
+            valid: plan.bans.length,
+            imported: 0,
+            preview,
+            skipped: plan.skipped,
+        });
+    }
+
+    try {
+        const actionIds = txCore.database.actions.importBans(plan.bans.map(({ row, ...ban }) => ban));
+        ctx.admin.logAction(`Imported ${actionIds.length} bans from a ${format} banlist (${plan.skipped.length} skipped).`, {
+            type: 'ban.import',
+            params: {
+                format,
+                imported: actionIds.length,
+                skipped: plan.skipped.length,
+            },
+        });
+        return sendTypedResp({
+            dryRun,
+            total: plan.total,
+            valid: plan.bans.length,
+            imported: actionIds.length,
+            preview,
+            skipped: plan.skipped,
+        });
+    } catch (error) {
+        return sendTypedResp({ error: `Failed to import the bans: ${(error as Error).message}` });
+    }
+};
@@ -0,0 +1,60 @@
+const modulename = 'WebServer:MasterActions:Snapshots';
+import fsp from 'node:fs/promises';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { GenericApiErrorResp } from '@shared/genericApiTypes';
+import { isValidSnapshotName, SnapshotMetaType } from '@modules/Database/snapshots';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the list of database snapshots
+ */
+export const listSnapshots = async (ctx: AuthedCtx) => {
+    type SuccessResp = {
+        snapshots: SnapshotMetaType[];
+        interval: number;
+        retention: number;
+    };
+    const sendTypedResp = (data: SuccessResp | GenericApiErrorResp) => ctx.send(data);
+    if (!ctx.admin.testPermission('master', modulename)) {
+        return sendTypedResp({ error: 'Only the master account has permission to view/use this page.' });
+    }
+
+    try {
+        return sendTypedResp({
+            snapshots: await txCore.database.snapshots.list(),
+            interval: txConfig.database.snapshotInterval,
+            retention: txConfig.database.snapshotRetention,
+        });
+    } catch (error) {
+        return sendTypedResp({ error: `Failed to list the snapshots: ${(error as Error).message}` });
+    }
+};
+
+
+/**
+ * Handles the download of a database snapshot
+ */
+export const downloadSnapshot = async (ctx: AuthedCtx) => {
+    //Check permissions
+    if (!ctx.admin.testPermission('master', modulename)) {
+        return ctx.utils.render('main/message', { message: 'Only the master account has permission to view/use this page.' });
+    }
+    if (!ctx.txVars.isWebInterface) {
+        return ctx.utils.render('main/message', { message: 'This functionality cannot be used by the in-game menu, please use the web version of txAdmin.' });
+    }
+
+    const name = ctx.params.name;
+    if (!isValidSnapshotName(name)) {
+        return ctx.utils.render('main/message', { message: 'Invalid snapshot name.' });
+    }
+    const filePath = await txCore.database.snapshots.getFilePath(name);
+    if (!filePath) {
+        return ctx.utils.render('main/message', { message: 'Snapshot not found.' });
+    }
+
+    ctx.attachment(`${name}.json.gz`);
+    ctx.body = await fsp.readFile(filePath);
+    console.log(`[${ctx.admin.name}] Downloading database snapshot ${name}.`);
+};
@@ -0,0 +1,11 @@
+import type { InitializedCtx } from '@modules/WebServer/ctxTypes';
+import { getPrometheusMetrics } from '@modules/Metrics/promExporter';
+
+
+/**
+ * Returns the server and txAdmin runtime metrics in the Prometheus text format
+ */
+export default async function Metrics(ctx: InitializedCtx) {
+    ctx.type = 'text/plain; version=0.0.4; charset=utf-8';
+    return ctx.send(getPrometheusMetrics());
+};
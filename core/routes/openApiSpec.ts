@@ -0,0 +1,65 @@
+const modulename = 'WebServer:OpenApiSpec';
+import type Router from '@koa/router';
+import { txEnv } from '@core/globalData';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { apiAuthMw, apiV1AuthMw, hostAuthMw } from '@modules/WebServer/middlewares/authMws';
+import { OpenApiRouteAuthType, OpenApiRouteType, OpenApiSpecType, generateOpenApiSpec } from '@modules/WebServer/openApi/openApiSpec';
+import { routeDocs, routeTagDescriptions } from '@modules/WebServer/openApi/routeDocs';
+const console = consoleFactory(modulename);
+
+//The routes don't change at runtime, so the spec is generated once per router
+const specCache = new WeakMap<Router, OpenApiSpecType>();
+
+
+/**
+ * Returns the API routes from the router table.
+ * Rendered pages, downloads, dev and intercom routes are not part of the API, so they are skipped.
+ */
+const getApiRoutes = (router: Router) => {
+    const routes: OpenApiRouteType[] = [];
+    for (const layer of router.stack) {
+        if (
+            typeof layer.path !== 'string'
+            || layer.path.includes('(')
+            || layer.path.startsWith('/dev/')
+            || layer.path.startsWith('/legacy/')
+        ) continue;
+
+        let auth: OpenApiRouteAuthType;
+        const middlewares = layer.stack as Function[];
+        if (middlewares.includes(apiV1AuthMw)) {
+            auth = 'apiV1';
+        } else if (middlewares.includes(apiAuthMw)) {
+            auth = 'panel';
+        } else if (middlewares.includes(hostAuthMw)) {
+            auth = 'host';
+        } else if (layer.path.startsWith('/auth/')) {
+            auth = 'none';
+        } else {
+            continue;
+        }
+
+        for (const method of layer.methods) {
+            if (method === 'HEAD') continue;
+            routes.push({ method, path: layer.path, auth });
+        }
+    }
+    return routes;
+};
+
+
+/**
+ * Returns the OpenAPI document generated from the router and the route schemas
+ */
+export default async function OpenApiSpec(ctx: AuthedCtx & { router: Router }) {
+    let spec = specCache.get(ctx.router);
+    if (!spec) {
+        spec = generateOpenApiSpec(getApiRoutes(ctx.router), routeDocs, {
+            version: txEnv.txaVersion,
+            tagDescriptions: routeTagDescriptions,
+        });
+        specCache.set(ctx.router, spec);
+    }
+    return ctx.send<OpenApiSpecType>(spec);
+};
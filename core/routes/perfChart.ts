@@ -18,7 +18,7 @@ export type PerfChartApiSuccessResp = {
 export type PerfChartApiResp = DeepReadonly<PerfChartApiErrorResp | PerfChartApiSuccessResp>;
 
 //Schema
-const paramsSchema = z.object({ thread: z.string() });
+export const paramsSchema = z.object({ thread: z.string() });
 const requiredMinDataAge = 30 * 60 * 1000; //30 mins
 const chartWindow30h = 30 * 60 * 60 * 1000; //30 hours
 
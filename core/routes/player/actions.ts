@@ -2,11 +2,18 @@ const modulename = 'WebServer:PlayerActions';
 import humanizeDuration, { Unit } from 'humanize-duration';
 import playerResolver from '@lib/player/playerResolver';
 import { GenericApiResp } from '@shared/genericApiTypes';
-import { PlayerClass, ServerPlayer } from '@lib/player/playerClasses';
-import { anyUndefined, calcExpirationFromDuration } from '@lib/misc';
+import { DatabasePlayer, PlayerClass, ServerPlayer } from '@lib/player/playerClasses';
+import { anyUndefined, calcExpirationFromDuration, now } from '@lib/misc';
 import consoleFactory from '@lib/console';
 import { AuthedCtx } from '@modules/WebServer/ctxTypes';
 import { SYM_CURRENT_MUTEX } from '@lib/symbols';
+import consts from '@shared/consts';
+import { getPlayerAuditTarget } from '@modules/Logger/auditUtils';
+import { getPlayerLinkedLicenses } from '@lib/player/playerLinks';
+import { filterPlayerTagIds } from '@lib/player/playerTags';
+import { PLAYER_NOTE_MAX_LENGTH } from '@lib/player/playerNotes';
+import { applyWarnEscalation } from '@lib/player/warnEscalation';
+import { parseMuteDuration } from '@lib/player/playerMutes';
 const console = consoleFactory(modulename);
 
 
@@ -32,8 +39,16 @@ export default async function PlayerActions(ctx: AuthedCtx) {
     }
 
     //Delegate to the specific action handler
-    if (action === 'save_note') {
-        return sendTypedResp(await handleSaveNote(ctx, player));
+    if (action === 'note_add') {
+        return sendTypedResp(await handleAddNote(ctx, player));
+    } else if (action === 'note_edit') {
+        return sendTypedResp(await handleChangeNote(ctx, player, 'edit'));
+    } else if (action === 'note_pin') {
+        return sendTypedResp(await handleChangeNote(ctx, player, 'pin'));
+    } else if (action === 'note_delete') {
+        return sendTypedResp(await handleChangeNote(ctx, player, 'delete'));
+    } else if (action === 'tags') {
+        return sendTypedResp(await handleSetTags(ctx, player));
     } else if (action === 'warn') {
         return sendTypedResp(await handleWarning(ctx, player));
     } else if (action === 'ban') {
@@ -44,6 +59,12 @@ export default async function PlayerActions(ctx: AuthedCtx) {
         return sendTypedResp(await handleDirectMessage(ctx, player));
     } else if (action === 'kick') {
         return sendTypedResp(await handleKick(ctx, player));
+    } else if (action === 'mute') {
+        return sendTypedResp(await handleMute(ctx, player));
+    } else if (action === 'link') {
+        return sendTypedResp(await handleAccountLink(ctx, player, true));
+    } else if (action === 'unlink') {
+        return sendTypedResp(await handleAccountLink(ctx, player, false));
     } else {
         return sendTypedResp({ error: 'unknown action' });
     }
@@ -51,21 +72,30 @@ export default async function PlayerActions(ctx: AuthedCtx) {
 
 
 /**
- * Handle Save Note (open to all admins)
+ * Handle Add Note (open to all admins)
  */
-async function handleSaveNote(ctx: AuthedCtx, player: PlayerClass): Promise<GenericApiResp> {
+async function handleAddNote(ctx: AuthedCtx, player: PlayerClass): Promise<GenericApiResp> {
     //Checking request
     if (anyUndefined(
         ctx.request.body,
         ctx.request.body.note,
-    )) {
+    ) || typeof ctx.request.body.note !== 'string') {
         return { error: 'Invalid request.' };
     }
     const note = ctx.request.body.note.trim();
+    if (!note.length) {
+        return { error: 'The note cannot be empty.' };
+    } else if (note.length > PLAYER_NOTE_MAX_LENGTH) {
+        return { error: `The note cannot be longer than ${PLAYER_NOTE_MAX_LENGTH} characters.` };
+    }
 
     try {
-        player.setNote(note, ctx.admin.name);
-        ctx.admin.logAction(`Set notes for ${player.license}`);
+        const noteId = player.addNote(note, ctx.admin.name);
+        ctx.admin.logAction(`Added note ${noteId} for ${player.license}`, {
+            type: 'player.note',
+            target: getPlayerAuditTarget(player),
+            params: { noteId, note },
+        });
         return { success: true };
     } catch (error) {
         return { error: `Failed to save note: ${(error as Error).message}` };
@@ -73,6 +103,101 @@ async function handleSaveNote(ctx: AuthedCtx, player: PlayerClass): Promise<Gene
 }
 
 
+/**
+ * Handle Edit/Pin/Delete Note (open to all admins)
+ * NOTE: the notes are never removed, the edits and deletions are recorded in the note itself.
+ */
+async function handleChangeNote(
+    ctx: AuthedCtx,
+    player: PlayerClass,
+    operation: 'edit' | 'pin' | 'delete',
+): Promise<GenericApiResp> {
+    //Checking request
+    if (anyUndefined(
+        ctx.request.body,
+        ctx.request.body.noteId,
+    ) || typeof ctx.request.body.noteId !== 'string') {
+        return { error: 'Invalid request.' };
+    }
+    const { noteId } = ctx.request.body;
+
+    try {
+        if (operation === 'edit') {
+            if (typeof ctx.request.body.note !== 'string') {
+                return { error: 'Invalid request.' };
+            }
+            const note = ctx.request.body.note.trim();
+            if (!note.length) {
+                return { error: 'The note cannot be empty, delete it instead.' };
+            } else if (note.length > PLAYER_NOTE_MAX_LENGTH) {
+                return { error: `The note cannot be longer than ${PLAYER_NOTE_MAX_LENGTH} characters.` };
+            }
+            player.editNote(noteId, note, ctx.admin.name);
+            ctx.admin.logAction(`Edited note ${noteId} for ${player.license}`, {
+                type: 'player.note',
+                target: getPlayerAuditTarget(player),
+                params: { noteId, note },
+            });
+        } else if (operation === 'pin') {
+            if (typeof ctx.request.body.isPinned !== 'boolean') {
+                return { error: 'Invalid request.' };
+            }
+            const { isPinned } = ctx.request.body;
+            player.setNotePinned(noteId, isPinned);
+            ctx.admin.logAction(`${isPinned ? 'Pinned' : 'Unpinned'} note ${noteId} for ${player.license}`, {
+                type: 'player.note',
+                target: getPlayerAuditTarget(player),
+                params: { noteId, isPinned },
+            });
+        } else {
+            player.deleteNote(noteId, ctx.admin.name);
+            ctx.admin.logAction(`Deleted note ${noteId} for ${player.license}`, {
+                type: 'player.note',
+                target: getPlayerAuditTarget(player),
+                params: { noteId },
+            });
+        }
+        return { success: true };
+    } catch (error) {
+        return { error: `Failed to ${operation} note: ${(error as Error).message}` };
+    }
+}
+
+
+/**
+ * Handle Set Tags (open to all admins)
+ */
+async function handleSetTags(ctx: AuthedCtx, player: PlayerClass): Promise<GenericApiResp> {
+    //Checking request
+    if (anyUndefined(
+        ctx.request.body,
+        ctx.request.body.tags,
+    ) || !Array.isArray(ctx.request.body.tags)) {
+        return { error: 'Invalid request.' };
+    }
+    const tags = filterPlayerTagIds(ctx.request.body.tags, txConfig.database.playerTags);
+    if (tags.length !== ctx.request.body.tags.length) {
+        return { error: 'Unknown player tag, please refresh the page and try again.' };
+    }
+
+    try {
+        player.setTags(tags);
+        const tagLabels = txConfig.database.playerTags
+            .filter((tag) => tags.includes(tag.id))
+            .map((tag) => tag.label);
+        ctx.admin.logAction(`Set tags for ${player.license}: ${tagLabels.join(', ') || 'none'}`, {
+            type: 'player.tags',
+            target: getPlayerAuditTarget(player),
+            params: { tags: tagLabels },
+        });
+        txCore.fxPlayerlist.dispatchPlayerTagsUpdate(player.license!);
+        return { success: true };
+    } catch (error) {
+        return { error: `Failed to save tags: ${(error as Error).message}` };
+    }
+}
+
+
 /**
  * Handle Send Warning
  */
@@ -109,7 +234,11 @@ async function handleWarning(ctx: AuthedCtx, player: PlayerClass): Promise<Gener
     } catch (error) {
         return { error: `Failed to warn player: ${(error as Error).message}` };
     }
-    ctx.admin.logAction(`Warned player "${player.displayName}": ${reason}`);
+    ctx.admin.logAction(`Warned player "${player.displayName}": ${reason}`, {
+        type: 'player.warn',
+        target: { ...getPlayerAuditTarget(player), ids: allIds },
+        params: { actionId, reason },
+    });
 
     // Dispatch `txAdmin:events:playerWarned`
     const eventSent = txCore.fxRunner.sendEvent('playerWarned', {
@@ -121,6 +250,9 @@ async function handleWarning(ctx: AuthedCtx, player: PlayerClass): Promise<Gener
         targetName: player.displayName,
     });
 
+    //Checking if the player reached any of the warn escalation steps
+    applyWarnEscalation(player, allIds);
+
     if (eventSent) {
         return { success: true };
     } else {
@@ -167,6 +299,16 @@ async function handleBan(ctx: AuthedCtx, player: PlayerClass): Promise<GenericAp
         return { error: 'Cannot ban a player with no identifiers.' }
     }
 
+    //Adding the licenses of the confirmed linked accounts
+    let linkedLicenses: string[] = [];
+    if (txConfig.banlist.propagateToLinkedAccounts && player.license) {
+        linkedLicenses = getPlayerLinkedLicenses(player.license);
+        for (const linkedLicense of linkedLicenses) {
+            const linkedId = `license:${linkedLicense}`;
+            if (!allIds.includes(linkedId)) allIds.push(linkedId);
+        }
+    }
+
     //Register action
     let actionId;
     try {
@@ -181,7 +323,11 @@ async function handleBan(ctx: AuthedCtx, player: PlayerClass): Promise<GenericAp
     } catch (error) {
         return { error: `Failed to ban player: ${(error as Error).message}` };
     }
-    ctx.admin.logAction(`Banned player "${player.displayName}": ${reason}`);
+    ctx.admin.logAction(`Banned player "${player.displayName}": ${reason}`, {
+        type: 'player.ban',
+        target: { ...getPlayerAuditTarget(player), ids: allIds },
+        params: { actionId, reason, duration: durationInput, expiration, hwids: allHwids.length, linkedLicenses },
+    });
 
     //No need to dispatch events if server is not online
     if (txCore.fxRunner.isIdle) {
@@ -249,10 +395,15 @@ async function handleSetWhitelist(ctx: AuthedCtx, player: PlayerClass): Promise<
 
     try {
         player.setWhitelist(status);
+        const auditDetails = {
+            type: 'player.whitelist',
+            target: getPlayerAuditTarget(player),
+            params: { status },
+        };
         if (status) {
-            ctx.admin.logAction(`Added ${player.license} to the whitelist.`);
+            ctx.admin.logAction(`Added ${player.license} to the whitelist.`, auditDetails);
         } else {
-            ctx.admin.logAction(`Removed ${player.license} from the whitelist.`);
+            ctx.admin.logAction(`Removed ${player.license} from the whitelist.`, auditDetails);
         }
 
         // Dispatch `txAdmin:events:whitelistPlayer`
@@ -300,7 +451,11 @@ async function handleDirectMessage(ctx: AuthedCtx, player: PlayerClass): Promise
     }
 
     try {
-        ctx.admin.logAction(`DM to "${player.displayName}": ${message}`);
+        ctx.admin.logAction(`DM to "${player.displayName}": ${message}`, {
+            type: 'player.message',
+            target: getPlayerAuditTarget(player),
+            params: { message },
+        });
 
         // Dispatch `txAdmin:events:playerDirectMessage`
         txCore.fxRunner.sendEvent('playerDirectMessage', {
@@ -343,7 +498,16 @@ async function handleKick(ctx: AuthedCtx, player: PlayerClass): Promise<GenericA
     }
 
     try {
-        ctx.admin.logAction(`Kicked "${player.displayName}": ${kickReason}`);
+        //Register action - players without identifiers can still be kicked
+        const allIds = player.getAllIdentifiers();
+        const actionId = allIds.length
+            ? txCore.database.actions.registerKick(allIds, ctx.admin.name, kickReason, player.displayName)
+            : null;
+        ctx.admin.logAction(`Kicked "${player.displayName}": ${kickReason}`, {
+            type: 'player.kick',
+            target: getPlayerAuditTarget(player),
+            params: { actionId, reason: kickReason },
+        });
         const dropMessage = txCore.translator.t(
             'kick_messages.player',
             { reason: kickReason }
@@ -354,6 +518,7 @@ async function handleKick(ctx: AuthedCtx, player: PlayerClass): Promise<GenericA
             target: player.netid,
             author: ctx.admin.name,
             reason: kickReason,
+            actionId,
             dropMessage,
         });
 
@@ -362,3 +527,149 @@ async function handleKick(ctx: AuthedCtx, player: PlayerClass): Promise<GenericA
         return { error: `Failed to save kick player: ${(error as Error).message}` };
     }
 }
+
+
+/**
+ * Handle Mute Action
+ * NOTE: the mute is enforced in game by the resource, so offline players are muted when they join
+ */
+async function handleMute(ctx: AuthedCtx, player: PlayerClass): Promise<GenericApiResp> {
+    //Checking request
+    if (anyUndefined(
+        ctx.request.body,
+        ctx.request.body.duration,
+        ctx.request.body.reason,
+    ) || typeof ctx.request.body.duration !== 'string' || typeof ctx.request.body.reason !== 'string') {
+        return { error: 'Invalid request.' };
+    }
+    const durationInput = ctx.request.body.duration.trim();
+    const reason = ctx.request.body.reason.trim() || 'no reason provided';
+
+    //Calculating expiration
+    let duration;
+    try {
+        duration = parseMuteDuration(durationInput);
+    } catch (error) {
+        return { error: (error as Error).message };
+    }
+    const expiration = now() + duration;
+
+    //Check permissions
+    if (!ctx.admin.testPermission('players.mute', modulename)) {
+        return { error: 'You don\'t have permission to execute this action.' };
+    }
+
+    //Validating player
+    const allIds = player.getAllIdentifiers();
+    if (!allIds.length) {
+        return { error: 'Cannot mute a player with no identifiers.' };
+    }
+
+    //Register action
+    let actionId;
+    try {
+        actionId = txCore.database.actions.registerMute(
+            allIds,
+            ctx.admin.name,
+            reason,
+            expiration,
+            player.displayName,
+        );
+    } catch (error) {
+        return { error: `Failed to mute player: ${(error as Error).message}` };
+    }
+    ctx.admin.logAction(`Muted player "${player.displayName}": ${reason}`, {
+        type: 'player.mute',
+        target: { ...getPlayerAuditTarget(player), ids: allIds },
+        params: { actionId, reason, duration: durationInput, expiration },
+    });
+
+    //No need to dispatch events if server is not online
+    if (txCore.fxRunner.isIdle) {
+        return { success: true };
+    }
+
+    // Dispatch `txAdmin:events:playerMuted`
+    const durationTranslated = txCore.translator.tDuration(
+        duration * 1000,
+        { units: ['d', 'h', 'm'] },
+    );
+    const eventSent = txCore.fxRunner.sendEvent('playerMuted', {
+        author: ctx.admin.name,
+        reason,
+        actionId,
+        expiration,
+        durationTranslated,
+        targetNetId: (player instanceof ServerPlayer && player.isConnected) ? player.netid : null,
+        targetIds: allIds,
+        targetName: player.displayName,
+        muteMessage: txCore.translator.t('mute_messages.player', {
+            reason,
+            expiration: durationTranslated,
+        }),
+    });
+
+    if (eventSent) {
+        return { success: true };
+    } else {
+        return { error: `Player muted, but likely failed to mute in game (stdin error).` };
+    }
+}
+
+
+/**
+ * Handle Link/Unlink Account Action
+ */
+async function handleAccountLink(ctx: AuthedCtx, player: PlayerClass, isLink: boolean): Promise<GenericApiResp> {
+    //Checking request
+    if (anyUndefined(
+        ctx.request.body,
+        ctx.request.body.targetLicense,
+    )) {
+        return { error: 'Invalid request.' };
+    }
+    const targetLicense = ctx.request.body.targetLicense;
+    if (typeof targetLicense !== 'string' || !consts.validIdentifierParts.license.test(targetLicense)) {
+        return { error: 'Invalid target license.' };
+    }
+
+    //Check permissions
+    if (!ctx.admin.testPermission('players.ban', modulename)) {
+        return { error: 'You don\'t have permission to execute this action.' };
+    }
+
+    //Validating players
+    if (!player.license || !player.dbData) {
+        return { error: 'This player is not registered in the database.' };
+    }
+    if (targetLicense === player.license) {
+        return { error: 'Cannot link an account to itself.' };
+    }
+    //NOTE: unlinking is allowed even if the target player was removed from the database
+    const targetDbData = txCore.database.players.findOne(targetLicense);
+    if (!targetDbData && isLink) {
+        return { error: 'Target player not found in the database.' };
+    }
+
+    try {
+        const author = isLink ? ctx.admin.name : false;
+        player.setAccountLink(targetLicense, author);
+        if (targetDbData) {
+            const targetPlayer = new DatabasePlayer(targetLicense, targetDbData);
+            targetPlayer.setAccountLink(player.license, author);
+        }
+        const auditDetails = {
+            type: isLink ? 'player.link' : 'player.unlink',
+            target: getPlayerAuditTarget(player),
+            params: { targetLicense },
+        };
+        if (isLink) {
+            ctx.admin.logAction(`Linked ${player.license} to ${targetLicense}.`, auditDetails);
+        } else {
+            ctx.admin.logAction(`Unlinked ${player.license} from ${targetLicense}.`, auditDetails);
+        }
+        return { success: true };
+    } catch (error) {
+        return { error: `Failed to save account link: ${(error as Error).message}` };
+    }
+}
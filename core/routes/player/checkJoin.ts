@@ -7,6 +7,7 @@ import { filterPlayerHwids, parsePlayerIds, shortenId, summarizeIdsArray } from
 import type { PlayerIdsObjectType } from "@shared/otherTypes";
 import xssInstancer from '@lib/xss';
 import playerResolver from '@lib/player/playerResolver';
+import { getBanAppealLink } from '@lib/player/playerAppeals';
 import humanizeDuration, { Unit } from 'humanize-duration';
 import consoleFactory from '@lib/console';
 import { TimeCounter } from '@modules/Metrics/statsUtils';
@@ -157,6 +158,7 @@ function checkBan(
             action.type === 'ban'
             && (!action.expiration || action.expiration > ts)
             && (!action.revocation.timestamp)
+            && txCore.banFederation.isBanEnforced(action)
         );
     };
     const activeBans = txCore.database.actions.findMany(validIdsArray, validHwidsArray, filter);
@@ -172,6 +174,7 @@ function checkBan(
             label_author: txCore.translator.t('ban_messages.reject.label_author'),
             label_reason: txCore.translator.t('ban_messages.reject.label_reason'),
             label_id: txCore.translator.t('ban_messages.reject.label_id'),
+            label_appeal: txCore.translator.t('ban_messages.reject.label_appeal'),
             note_multiple_bans: txCore.translator.t('ban_messages.reject.note_multiple_bans'),
             note_diff_license: txCore.translator.t('ban_messages.reject.note_diff_license'),
         };
@@ -203,6 +206,13 @@ function checkBan(
             authorLine = `<strong>${textKeys.label_author}:</strong> ${xss(ban.author)} <br>`;
         }
 
+        //Appeal form link
+        let appealLine = '';
+        const appealLink = getBanAppealLink(ban.id);
+        if (appealLink) {
+            appealLine = `<strong>${textKeys.label_appeal}:</strong> <code>${xss(appealLink)}</code> <br>`;
+        }
+
         //Informational notes
         let note = '';
         if (activeBans.length > 1) {
@@ -221,6 +231,7 @@ function checkBan(
             <strong>${textKeys.label_reason}:</strong> ${xss(ban.reason)} <br>
             <strong>${textKeys.label_id}:</strong> <codeid>${ban.id}</codeid> <br>
             ${authorLine}
+            ${appealLine}
             ${prepCustomMessage(txConfig.banlist.rejectionMessage)}
             <span style="font-style: italic;">${note}</span>`
         );
@@ -0,0 +1,81 @@
+const modulename = 'WebServer:PlayerLinks';
+import playerResolver from '@lib/player/playerResolver';
+import { PlayerLinkedAccount, PlayerLinksResp } from '@shared/playerApiTypes';
+import { DatabaseActionType } from '@modules/Database/databaseTypes';
+import { DatabasePlayer } from '@lib/player/playerClasses';
+import { findLinkSuggestions, getPlayerLinkedLicenses } from '@lib/player/playerLinks';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { now } from '@lib/misc';
+import { SYM_CURRENT_MUTEX } from '@lib/symbols';
+import { processHistoryLog } from './modal';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the linked accounts of a player, their combined history and the suggested accounts to be linked
+ */
+export default async function PlayerLinks(ctx: AuthedCtx) {
+    //Sanity check
+    if (typeof ctx.query === 'undefined') {
+        return ctx.utils.error(400, 'Invalid Request');
+    }
+    const { mutex, netid, license } = ctx.query;
+    const sendTypedResp = (data: PlayerLinksResp) => ctx.send(data);
+
+    //Finding the player
+    let player;
+    try {
+        const refMutex = mutex === 'current' ? SYM_CURRENT_MUTEX : mutex;
+        player = playerResolver(refMutex, parseInt((netid as string)), license);
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+    const playerDbData = player.getDbData();
+    if (!player.license || !playerDbData) {
+        return sendTypedResp({ error: 'This player is not registered in the database.' });
+    }
+
+    try {
+        //Linked accounts
+        const directLinks = new Map(playerDbData.linkedAccounts?.map((link) => [link.license, link]));
+        const linked: PlayerLinkedAccount[] = [];
+        const history = new Map<string, DatabaseActionType>();
+        for (const action of player.getHistory()) {
+            history.set(action.id, action);
+        }
+        let combinedPlayTime = playerDbData.playTime;
+        for (const linkedLicense of getPlayerLinkedLicenses(player.license)) {
+            //NOTE: the linked player might have been removed from the database
+            const linkedDbData = txCore.database.players.findOne(linkedLicense);
+            if (!linkedDbData) continue;
+            const linkedPlayer = new DatabasePlayer(linkedLicense, linkedDbData);
+            const directLink = directLinks.get(linkedLicense);
+            linked.push({
+                license: linkedLicense,
+                displayName: linkedDbData.displayName,
+                playTime: linkedDbData.playTime,
+                tsLastConnection: linkedDbData.tsLastConnection,
+                linkedBy: directLink?.author,
+                tsLinked: directLink?.ts,
+            });
+            combinedPlayTime += linkedDbData.playTime;
+            for (const action of linkedPlayer.getHistory()) {
+                history.set(action.id, action);
+            }
+        }
+
+        const sortedHistory = [...history.values()].sort((a, b) => a.timestamp - b.timestamp);
+        return sendTypedResp({
+            serverTime: now(),
+            linked,
+            combinedPlayTime,
+            actionHistory: processHistoryLog(sortedHistory),
+            suggestions: findLinkSuggestions(playerDbData),
+        });
+    } catch (error) {
+        console.verbose.error(`Failed to get the linked accounts of ${player.license}:`);
+        console.verbose.dir(error);
+        return sendTypedResp({ error: `Failed to get linked accounts: ${(error as Error).message}` });
+    }
+};
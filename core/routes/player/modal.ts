@@ -1,5 +1,4 @@
 const modulename = 'WebServer:PlayerModal';
-import dateFormat from 'dateformat';
 import playerResolver from '@lib/player/playerResolver';
 import { PlayerHistoryItem, PlayerModalResp, PlayerModalPlayerData } from '@shared/playerApiTypes';
 import { DatabaseActionType } from '@modules/Database/databaseTypes';
@@ -8,10 +7,12 @@ import consoleFactory from '@lib/console';
 import { AuthedCtx } from '@modules/WebServer/ctxTypes';
 import { now } from '@lib/misc';
 import { SYM_CURRENT_MUTEX } from '@lib/symbols';
+import { filterPlayerTagIds } from '@lib/player/playerTags';
+import { processPlayerNotes } from '@lib/player/playerNotes';
 const console = consoleFactory(modulename);
 
 //Helpers
-const processHistoryLog = (hist: DatabaseActionType[]) => {
+export const processHistoryLog = (hist: DatabaseActionType[]) => {
     try {
         return hist.map((log): PlayerHistoryItem => {
             return {
@@ -78,13 +79,15 @@ export default async function PlayerModal(ctx: AuthedCtx) {
         playerData.oldIds = playerDbData.ids;
         playerData.oldHwids = playerDbData.hwids;
         playerData.tsLastConnection = playerDbData.tsLastConnection;
-
-        if (playerDbData.notes?.lastAdmin && playerDbData.notes?.tsLastEdit) {
-            playerData.notes = playerDbData.notes.text;
-            const lastEditObj = new Date(playerDbData.notes.tsLastEdit * 1000);
-            const lastEditString = dateFormat(lastEditObj, 'longDate');
-            playerData.notesLog = `Last modified by ${playerDbData.notes.lastAdmin} at ${lastEditString}`;
-        }
+        playerData.tags = filterPlayerTagIds(playerDbData.tags, txConfig.database.playerTags);
+        playerData.notes = processPlayerNotes(playerDbData.notes);
+        playerData.nameHistory = (playerDbData.nameHistory ?? [])
+            .map((name) => ({
+                displayName: name.displayName,
+                tsFirstSeen: name.tsFirstSeen,
+                tsLastSeen: name.tsLastSeen,
+            }))
+            .sort((a, b) => b.tsLastSeen - a.tsLastSeen);
     }
 
     // console.dir(metaFields);
@@ -92,6 +95,7 @@ export default async function PlayerModal(ctx: AuthedCtx) {
     return sendTypedResp({
         serverTime: now(),
         banTemplates: txConfig.banlist.templates, //TODO: move this to websocket push
+        playerTags: txConfig.database.playerTags,
         player: playerData
     });
 };
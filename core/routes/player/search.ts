@@ -8,12 +8,16 @@ import { chain as createChain } from 'lodash-es';
 import Fuse from 'fuse.js';
 import { parseLaxIdsArrayInput } from '@lib/player/idUtils';
 import { TimeCounter } from '@modules/Metrics/statsUtils';
+import { resolvePlayerTags } from '@lib/player/playerTags';
+import { getActivePlayerNotes, getMainPlayerNote } from '@lib/player/playerNotes';
+import { getPreviousPureNames } from '@lib/player/playerNames';
 const console = consoleFactory(modulename);
 
 //Helpers
 const DEFAULT_LIMIT = 100; //cant override it for now
 const ALLOWED_SORTINGS = ['playTime', 'tsJoined', 'tsLastConnection'];
 const SIMPLE_FILTERS = ['isAdmin', 'isOnline', 'isWhitelisted', 'hasNote'];
+const TAG_FILTER_PREFIX = 'tag:';
 //'isBanned', 'hasPreviousBan'
 
 
@@ -38,8 +42,7 @@ export default async function PlayerSearch(ctx: AuthedCtx) {
     const searchTime = new TimeCounter();
     const adminsIdentifiers = txCore.adminStore.getAdminsIdentifiers();
     const onlinePlayersLicenses = txCore.fxPlayerlist.getOnlinePlayersLicenses();
-    const dbo = txCore.database.getDboRef();
-    let chain = dbo.chain.get('players').clone(); //shallow clone to avoid sorting the original
+    let chain = createChain(txCore.database.players.findAllReadonly()); //shallow copy, safe to sort
     /*
         In order:
         - [X] sort the players by the sortingKey/sortingDesc
@@ -67,13 +70,14 @@ export default async function PlayerSearch(ctx: AuthedCtx) {
 
     //filter the players by the simple filters (lightweight)
     if (typeof filters === 'string' && filters.length) {
-        const validRequestedFilters = new Set(filters.split(',').filter((x) => SIMPLE_FILTERS.includes(x)));
+        const requestedFilters = filters.split(',');
+        const validRequestedFilters = new Set(requestedFilters.filter((x) => SIMPLE_FILTERS.includes(x)));
         if (validRequestedFilters.size) {
             const playerFilterFunctions = {
                 'isAdmin': (p: DatabasePlayerType) => p.ids.some((id) => adminsIdentifiers.includes(id)),
                 'isOnline': (p: DatabasePlayerType) => onlinePlayersLicenses.has(p.license),
                 'isWhitelisted': (p: DatabasePlayerType) => p.tsWhitelisted,
-                'hasNote': (p: DatabasePlayerType) => p.notes,
+                'hasNote': (p: DatabasePlayerType) => getMainPlayerNote(p.notes),
             };
             chain = chain.filter((p) => {
                 for (const filterName of validRequestedFilters) {
@@ -84,6 +88,16 @@ export default async function PlayerSearch(ctx: AuthedCtx) {
                 return true;
             });
         }
+
+        //filter the players by the tags, players must have all requested tags
+        const requestedTags = requestedFilters
+            .filter((x) => x.startsWith(TAG_FILTER_PREFIX))
+            .map((x) => x.substring(TAG_FILTER_PREFIX.length));
+        if (requestedTags.length) {
+            chain = chain.filter((p) => {
+                return requestedTags.every((tagId) => p.tags?.includes(tagId));
+            });
+        }
     }
 
 
@@ -102,6 +116,7 @@ export default async function PlayerSearch(ctx: AuthedCtx) {
 
 
     // filter the players by the searchValue/searchType (VERY HEAVY!)
+    const previousNameMatches = new Map<string, string>(); //license -> displayName
     if (typeof searchType === 'string') {
         if (typeof searchValue !== 'string' || !searchValue.length) {
             return sendTypedResp({ error: 'Invalid searchValue' });
@@ -116,16 +131,32 @@ export default async function PlayerSearch(ctx: AuthedCtx) {
             const players = chain.value();
             const fuse = new Fuse(players, {
                 isCaseSensitive: true, //maybe that's an optimization?!
-                keys: ['pureName'],
+                includeMatches: true,
+                keys: ['pureName', {
+                    name: 'previousNames',
+                    getFn: (p) => getPreviousPureNames(p),
+                }],
                 threshold: 0.3
             });
-            const filtered = fuse.search(pureName).map(x => x.item);
-            chain = createChain(filtered);
+            const results = fuse.search(pureName);
+            for (const result of results) {
+                //Only matched by a previous name, so the table shows which one
+                if (result.matches?.some((match) => match.key === 'pureName')) continue;
+                const matchedPureName = result.matches?.find((match) => match.key === 'previousNames')?.value;
+                const matchedName = result.item.nameHistory?.find((name) => name.pureName === matchedPureName);
+                if (matchedName) {
+                    previousNameMatches.set(result.item.license, matchedName.displayName);
+                }
+            }
+            chain = createChain(results.map(x => x.item));
         } else if (searchType === 'playerNotes') {
             //Searching by player notes
             const players = chain.value();
             const fuse = new Fuse(players, {
-                keys: ['notes.text'],
+                keys: [{
+                    name: 'notes',
+                    getFn: (p) => getActivePlayerNotes(p.notes).map((note) => note.text),
+                }],
                 threshold: 0.3
             });
             const filtered = fuse.search(searchValue).map(x => x.item);
@@ -162,10 +193,12 @@ export default async function PlayerSearch(ctx: AuthedCtx) {
         return {
             license: p.license,
             displayName: p.displayName,
+            matchedName: previousNameMatches.get(p.license),
             playTime: p.playTime,
             tsJoined: p.tsJoined,
             tsLastConnection: p.tsLastConnection,
-            notes: p.notes ? p.notes.text : undefined,
+            notes: getMainPlayerNote(p.notes)?.text,
+            tags: resolvePlayerTags(p.tags),
 
             isAdmin: p.ids.some((id) => adminsIdentifiers.includes(id)),
             isOnline: onlinePlayersLicenses.has(p.license),
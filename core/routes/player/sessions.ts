@@ -0,0 +1,74 @@
+const modulename = 'WebServer:PlayerSessions';
+import playerResolver from '@lib/player/playerResolver';
+import { PlayerSessionItem, PlayerSessionsResp } from '@shared/playerApiTypes';
+import { ServerPlayer } from '@lib/player/playerClasses';
+import { SESSIONS_LIST_LIMIT, buildSessionsHeatmap, parseTzOffset } from '@lib/player/playerSessions';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { now } from '@lib/misc';
+import { SYM_CURRENT_MUTEX } from '@lib/symbols';
+const console = consoleFactory(modulename);
+
+
+/**
+ * Returns the recorded sessions of a player, and the hour-of-week activity heatmap.
+ * The tzOffset query param follows Date.getTimezoneOffset(), so the heatmap matches the admin's timezone.
+ */
+export default async function PlayerSessions(ctx: AuthedCtx) {
+    //Sanity check
+    if (typeof ctx.query === 'undefined') {
+        return ctx.utils.error(400, 'Invalid Request');
+    }
+    const { mutex, netid, license, tzOffset } = ctx.query;
+    const sendTypedResp = (data: PlayerSessionsResp) => ctx.send(data);
+
+    //Finding the player
+    let player;
+    try {
+        const refMutex = mutex === 'current' ? SYM_CURRENT_MUTEX : mutex;
+        player = playerResolver(refMutex, parseInt((netid as string)), license);
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+    if (!player.license || !player.getDbData()) {
+        return sendTypedResp({ error: 'This player is not registered in the database.' });
+    }
+
+    try {
+        const serverTime = now();
+        const dbSessions = txCore.database.sessions.findByLicense(player.license);
+        const sessions: PlayerSessionItem[] = dbSessions.map((session) => ({
+            mutex: session.mutex,
+            netid: session.netid,
+            tsJoin: session.tsJoin,
+            tsLeave: session.tsLeave,
+            dropCategory: session.dropCategory,
+        }));
+
+        //The ongoing session is only saved when the player leaves
+        const currentMutex = txCore.fxRunner.child?.mutex;
+        if (player instanceof ServerPlayer && player.isConnected && currentMutex) {
+            sessions.push({
+                mutex: currentMutex,
+                netid: player.netid,
+                tsJoin: player.tsConnected,
+            });
+        }
+
+        const heatmapSessions = sessions.map((session) => ({
+            tsJoin: session.tsJoin,
+            tsLeave: session.tsLeave ?? serverTime,
+        }));
+        return sendTypedResp({
+            serverTime,
+            retentionDays: txConfig.database.playerSessionsRetention,
+            totalSessions: sessions.length,
+            sessions: sessions.reverse().slice(0, SESSIONS_LIST_LIMIT),
+            heatmap: buildSessionsHeatmap(heatmapSessions, parseTzOffset(tzOffset)),
+        });
+    } catch (error) {
+        console.verbose.error(`Failed to get the sessions of ${player.license}:`);
+        console.verbose.dir(error);
+        return sendTypedResp({ error: `Failed to get player sessions: ${(error as Error).message}` });
+    }
+};
@@ -0,0 +1,13 @@
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { PlayerTagsResp } from '@shared/playerApiTypes';
+
+
+/**
+ * Returns the player tags defined in the settings, for the Players page filters
+ */
+export default async function PlayerTags(ctx: AuthedCtx) {
+    const sendTypedResp = (data: PlayerTagsResp) => ctx.send(data);
+    return sendTypedResp({
+        tags: txConfig.database.playerTags,
+    });
+};
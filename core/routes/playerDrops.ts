@@ -8,7 +8,7 @@ const console = consoleFactory(modulename);
 
 
 //Types & validation
-const querySchema = z.object({
+export const querySchema = z.object({
     detailedWindow: z.string().optional(),
     detailedDaysAgo: z.string().optional(),
 });
@@ -48,14 +48,15 @@ const cardNamesMap = {
     bans: 'Bans',
     whitelist: 'Whitelist',
     discord: 'Discord',
+    database: 'Database',
     'game-menu': 'Game Menu',
     'game-notifications': 'Game Notifications',
 } as const;
 const validCardIds = Object.keys(cardNamesMap) as [keyof typeof cardNamesMap];
 
 //Req validation
-const paramsSchema = z.object({ card: z.enum(validCardIds) });
-const bodySchema = z.object({
+export const paramsSchema = z.object({ card: z.enum(validCardIds) });
+export const bodySchema = z.object({
     resetKeys: z.array(z.string()),
     changes: z.object({}).passthrough(),
 });
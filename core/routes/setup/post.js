@@ -301,11 +301,11 @@ async function handleSaveLocal(ctx) {
     txCore.cacheStore.set('deployer:recipe', 'none');
 
     //Logging
-    ctx.admin.logAction('Changing global/fxserver settings via setup stepper.');
+    ctx.admin.logAction('Changing global/fxserver settings via setup stepper.', { type: 'setup.save' });
 
     //If running (for some reason), kill it first 
     if (!txCore.fxRunner.isIdle) {
-        ctx.admin.logCommand('STOP SERVER');
+        ctx.admin.logCommand('STOP SERVER', { type: 'server.stop' });
         await txCore.fxRunner.killServer('new server set up', ctx.admin.name, true);
     }
 
@@ -367,7 +367,7 @@ async function handleSaveDeployerImport(ctx) {
             message: `**Error saving the configuration file:** ${error.message}`
         });
     }
-    ctx.admin.logAction('Changing global settings via setup stepper and started Deployer.');
+    ctx.admin.logAction('Changing global settings via setup stepper and started Deployer.', { type: 'setup.deployer' });
 
     //Start deployer (constructor will validate the recipe)
     try {
@@ -412,7 +412,7 @@ async function handleSaveDeployerCustom(ctx) {
             message: `**Error saving the configuration file:** ${error.message}`
         });
     }
-    ctx.admin.logAction('Changing global settings via setup stepper and started Deployer.');
+    ctx.admin.logAction('Changing global settings via setup stepper and started Deployer.', { type: 'setup.deployer' });
 
     //Start deployer (constructor will create the recipe template)
     const customMetaData = {
@@ -0,0 +1,90 @@
+const modulename = 'WebServer:WebhooksActions';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { WebhookSchema } from '@modules/Webhooks/webhookUtils';
+import { GenericApiOkResp } from '@shared/genericApiTypes';
+import { z } from 'zod';
+const console = consoleFactory(modulename);
+
+
+//Req validation & types
+export const saveBodySchema = WebhookSchema.pick({
+    name: true,
+    url: true,
+    events: true,
+    enabled: true,
+}).extend({
+    id: z.string().optional(),
+    secret: WebhookSchema.shape.secret.optional().or(z.literal('')),
+});
+export type ApiSaveWebhookReqSchema = z.infer<typeof saveBodySchema>;
+
+export const idBodySchema = z.object({
+    id: z.string(),
+});
+export type ApiWebhookIdReqSchema = z.infer<typeof idBodySchema>;
+
+
+/**
+ * Handles the webhook actions: save (add/edit), delete and test
+ */
+export default async function WebhooksActions(ctx: AuthedCtx) {
+    const sendTypedResp = (data: GenericApiOkResp) => ctx.send(data);
+    const action = ctx.params.action;
+
+    //Check permissions
+    if (!ctx.admin.testPermission('settings.write', modulename)) {
+        return sendTypedResp({
+            error: 'You do not have permission to change the settings.'
+        });
+    }
+
+    try {
+        if (action === 'save') {
+            const schemaRes = saveBodySchema.safeParse(ctx.request.body);
+            if (!schemaRes.success) {
+                return sendTypedResp({
+                    error: `Invalid request body: ${schemaRes.error.issues[0].message}`,
+                });
+            }
+            const { id, ...data } = schemaRes.data;
+            if (id) {
+                const webhook = await txCore.webhooks.editWebhook(id, data);
+                ctx.admin.logAction(`Edited webhook '${webhook.name}' (${webhook.id}).`, {
+                    type: 'webhook.edit',
+                    params: { id: webhook.id, url: webhook.url, events: webhook.events, enabled: webhook.enabled },
+                });
+            } else {
+                const webhook = await txCore.webhooks.addWebhook(data);
+                ctx.admin.logAction(`Added webhook '${webhook.name}' (${webhook.id}).`, {
+                    type: 'webhook.add',
+                    params: { id: webhook.id, url: webhook.url, events: webhook.events, enabled: webhook.enabled },
+                });
+            }
+            return sendTypedResp({ success: true });
+
+        } else if (action === 'delete' || action === 'test') {
+            const schemaRes = idBodySchema.safeParse(ctx.request.body);
+            if (!schemaRes.success) {
+                return sendTypedResp({
+                    error: `Invalid request body: ${schemaRes.error.message}`,
+                });
+            }
+            if (action === 'delete') {
+                const webhook = await txCore.webhooks.deleteWebhook(schemaRes.data.id);
+                ctx.admin.logAction(`Deleted webhook '${webhook.name}' (${webhook.id}).`, {
+                    type: 'webhook.delete',
+                    params: { id: webhook.id },
+                });
+            } else {
+                txCore.webhooks.sendTestEvent(schemaRes.data.id, ctx.admin.name);
+            }
+            return sendTypedResp({ success: true });
+
+        } else {
+            return sendTypedResp({ error: 'Unknown action.' });
+        }
+    } catch (error) {
+        return sendTypedResp({ error: (error as Error).message });
+    }
+};
@@ -0,0 +1,32 @@
+const modulename = 'WebServer:WebhooksDeliveries';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { WebhookDeliveryLogType } from '@modules/Webhooks/webhookUtils';
+import { GenericApiErrorResp } from '@shared/genericApiTypes';
+const console = consoleFactory(modulename);
+
+
+//Response type
+export type WebhookDeliveriesResp = {
+    deliveries: WebhookDeliveryLogType[];
+} | GenericApiErrorResp;
+
+
+/**
+ * Returns the webhook delivery log, newest first
+ */
+export default async function WebhooksDeliveries(ctx: AuthedCtx) {
+    const sendTypedResp = (data: WebhookDeliveriesResp) => ctx.send(data);
+    if (!ctx.admin.testPermission('settings.view', modulename)) {
+        return sendTypedResp({ error: 'You do not have permission to view this page.' });
+    }
+
+    const { webhookId } = ctx.query;
+    if (webhookId !== undefined && typeof webhookId !== 'string') {
+        return sendTypedResp({ error: 'Invalid webhookId.' });
+    }
+
+    return sendTypedResp({
+        deliveries: txCore.webhooks.getDeliveryLog(webhookId || undefined),
+    });
+};
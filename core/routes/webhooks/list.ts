@@ -0,0 +1,46 @@
+const modulename = 'WebServer:WebhooksList';
+import consoleFactory from '@lib/console';
+import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { WEBHOOK_KNOWN_EVENTS, WEBHOOK_SIGNATURE_HEADER, WebhookType } from '@modules/Webhooks/webhookUtils';
+import { GenericApiErrorResp } from '@shared/genericApiTypes';
+const console = consoleFactory(modulename);
+
+
+//Response type
+export type WebhookListItem = Omit<WebhookType, 'secret'> & {
+    secret: string | false; //false if the admin cannot see it
+    pendingDeliveries: number;
+};
+export type WebhooksListResp = {
+    webhooks: WebhookListItem[];
+    knownEvents: string[];
+    signatureHeader: string;
+    canEdit: boolean;
+} | GenericApiErrorResp;
+
+
+/**
+ * Returns the list of configured webhooks
+ */
+export default async function WebhooksList(ctx: AuthedCtx) {
+    const sendTypedResp = (data: WebhooksListResp) => ctx.send(data);
+    if (!ctx.admin.testPermission('settings.view', modulename)) {
+        return sendTypedResp({ error: 'You do not have permission to view this page.' });
+    }
+
+    //The secrets are only visible to those who can change them
+    const canEdit = ctx.admin.hasPermission('settings.write');
+    const pendingDeliveries = txCore.webhooks.getQueueStats();
+    const webhooks = txCore.webhooks.getWebhooks().map((webhook) => ({
+        ...webhook,
+        secret: canEdit ? webhook.secret : false as const,
+        pendingDeliveries: pendingDeliveries[webhook.id] ?? 0,
+    }));
+
+    return sendTypedResp({
+        webhooks,
+        knownEvents: [...WEBHOOK_KNOWN_EVENTS],
+        signatureHeader: WEBHOOK_SIGNATURE_HEADER,
+        canEdit,
+    });
+};
@@ -3,9 +3,10 @@ import { GenericApiResp } from '@shared/genericApiTypes';
 import { DuplicateKeyError } from '@modules/Database/dbUtils';
 import { now } from '@lib/misc';
 import { parsePlayerId } from '@lib/player/idUtils';
-import { DatabaseWhitelistRequestsType } from '@modules/Database/databaseTypes';
+import { DatabaseWhitelistApprovalsType, DatabaseWhitelistRequestsType } from '@modules/Database/databaseTypes';
 import consoleFactory from '@lib/console';
 import { AuthedCtx } from '@modules/WebServer/ctxTypes';
+import { AuthedAdminType } from '@modules/WebServer/authLogic';
 const console = consoleFactory(modulename);
 
 //Helper functions
@@ -55,52 +56,19 @@ async function handleApprovals(ctx: AuthedCtx, action: any): Promise<GenericApiR
     }
 
     if (action === 'add') {
-        //Preparing player name/avatar
-        let playerAvatar = null;
-        let playerName = (idValue.length > 8)
-            ? `${idType}...${idValue.slice(-8)}`
-            : `${idType}:${idValue}`;
-        if (idType === 'discord') {
-            try {
-                const { tag, avatar } = await txCore.discordBot.resolveMemberProfile(idValue);
-                playerName = tag;
-                playerAvatar = avatar;
-            } catch (error) { }
-        }
-
-        //Registering approval
         try {
-            txCore.database.whitelist.registerApproval({
-                identifier: idlowerCased,
-                playerName,
-                playerAvatar,
-                tsApproved: now(),
-                approvedBy: ctx.admin.name,
-            });
-            txCore.fxRunner.sendEvent('whitelistPreApproval', {
-                action: 'added',
-                identifier: idlowerCased,
-                playerName,
-                adminName: ctx.admin.name,
-            });
+            await addWhitelistApproval(ctx.admin, idlowerCased);
         } catch (error) {
             return { error: `Failed to save wl approval: ${(error as Error).message}` };
         }
-        ctx.admin.logAction(`Added whitelist approval for ${playerName}.`);
         return { success: true };
 
     } else if (action === 'remove') {
         try {
-            txCore.database.whitelist.removeManyApprovals({ identifier: idlowerCased });
-            txCore.fxRunner.sendEvent('whitelistPreApproval', {
-                action: 'removed',
-                identifier: idlowerCased,
-                adminName: ctx.admin.name,
-            });
+            removeWhitelistApproval(ctx.admin, idlowerCased);
         } catch (error) {
             return { error: `Failed to remove wl approval: ${(error as Error).message}` };
         }
-        ctx.admin.logAction(`Removed whitelist approval from ${idlowerCased}.`);
         return { success: true };
 
     } else {
@@ -109,6 +77,68 @@ async function handleApprovals(ctx: AuthedCtx, action: any): Promise<GenericApiR
 }
 
 
+/**
+ * Registers a whitelist approval for an identifier, logs it and dispatches `txAdmin:events:whitelistPreApproval`.
+ * Throws a DuplicateKeyError if the identifier is already approved.
+ * NOTE: the identifier must already be validated and lowercased.
+ */
+export const addWhitelistApproval = async (admin: AuthedAdminType, identifier: string) => {
+    //Preparing player name/avatar
+    const [idType, idValue] = identifier.split(':', 2);
+    let playerAvatar = null;
+    let playerName = (idValue.length > 8)
+        ? `${idType}...${idValue.slice(-8)}`
+        : `${idType}:${idValue}`;
+    if (idType === 'discord') {
+        try {
+            const { tag, avatar } = await txCore.discordBot.resolveMemberProfile(idValue);
+            playerName = tag;
+            playerAvatar = avatar;
+        } catch (error) { }
+    }
+
+    //Registering approval
+    const approval: DatabaseWhitelistApprovalsType = {
+        identifier,
+        playerName,
+        playerAvatar,
+        tsApproved: now(),
+        approvedBy: admin.name,
+    };
+    txCore.database.whitelist.registerApproval(approval);
+    txCore.fxRunner.sendEvent('whitelistPreApproval', {
+        action: 'added',
+        identifier,
+        playerName,
+        adminName: admin.name,
+    });
+    admin.logAction(`Added whitelist approval for ${playerName}.`, {
+        type: 'whitelist.approval.add',
+        target: { name: playerName, ids: [identifier] },
+    });
+    return approval;
+}
+
+
+/**
+ * Removes the whitelist approval of an identifier, logs it and dispatches `txAdmin:events:whitelistPreApproval`.
+ * Returns the removed approvals.
+ */
+export const removeWhitelistApproval = (admin: AuthedAdminType, identifier: string) => {
+    const removed = txCore.database.whitelist.removeManyApprovals({ identifier });
+    txCore.fxRunner.sendEvent('whitelistPreApproval', {
+        action: 'removed',
+        identifier,
+        adminName: admin.name,
+    });
+    admin.logAction(`Removed whitelist approval from ${identifier}.`, {
+        type: 'whitelist.approval.remove',
+        target: { ids: [identifier] },
+    });
+    return removed;
+}
+
+
 /**
  * Handle actions regarding the whitelist requests table
  */
@@ -130,7 +160,10 @@ async function handleRequests(ctx: AuthedCtx, action: any): Promise<GenericApiRe
         } catch (error) {
             return { error: `Failed to remove all wl request: ${(error as Error).message}` };
         }
-        ctx.admin.logAction('Denied all whitelist requests.');
+        ctx.admin.logAction('Denied all whitelist requests.', {
+            type: 'whitelist.request.deny_all',
+            params: { cutoff },
+        });
         return { success: true };
     }
 
@@ -141,66 +174,99 @@ async function handleRequests(ctx: AuthedCtx, action: any): Promise<GenericApiRe
     }
 
     if (action === 'approve') {
-        //Find request
-        const requests = txCore.database.whitelist.findManyRequests({ id: reqId });
-        if (!requests.length) {
-            return { error: `Whitelist request ID ${reqId} not found.` };
-        }
-        const req = requests[0]; //just getting the first
-
-        //Register whitelistApprovals
-        const playerName = req.discordTag ?? req.playerDisplayName;
-        const identifier = `license:${req.license}`;
         try {
-            txCore.database.whitelist.registerApproval({
-                identifier,
-                playerName,
-                playerAvatar: (req.discordAvatar) ? req.discordAvatar : null,
-                tsApproved: now(),
-                approvedBy: ctx.admin.name,
-            });
-            txCore.fxRunner.sendEvent('whitelistRequest', {
-                action: 'approved',
-                playerName,
-                requestId: req.id,
-                license: req.license,
-                adminName: ctx.admin.name,
-            });
-        } catch (error) {
-            if (!(error instanceof DuplicateKeyError)) {
-                return { error: `Failed to save wl approval: ${(error as Error).message}` };
+            const approvedRequest = approveWhitelistRequest(ctx.admin, reqId);
+            if (!approvedRequest) {
+                return { error: `Whitelist request ID ${reqId} not found.` };
             }
-        }
-        ctx.admin.logAction(`Approved whitelist request from ${playerName}.`);
-
-        //Remove record from whitelistRequests
-        try {
-            txCore.database.whitelist.removeManyRequests({ id: reqId });
         } catch (error) {
-            return { error: `Failed to remove wl request: ${(error as Error).message}` };
+            return { error: (error as Error).message };
         }
         return { success: true };
 
     } else if (action === 'deny') {
         try {
-            const requests = txCore.database.whitelist.removeManyRequests({ id: reqId });
-            if(requests.length){
-                const req = requests[0]; //just getting the first
-                txCore.fxRunner.sendEvent('whitelistRequest', {
-                    action: 'denied',
-                    playerName: req.playerDisplayName,
-                    requestId: req.id,
-                    license: req.license,
-                    adminName: ctx.admin.name,
-                });
-            }
+            denyWhitelistRequest(ctx.admin, reqId);
         } catch (error) {
             return { error: `Failed to remove wl request: ${(error as Error).message}` };
         }
-        ctx.admin.logAction(`Denied whitelist request ${reqId}.`);
         return { success: true };
 
     } else {
         return { error: 'unknown action' };
     }
 }
+
+
+/**
+ * Approves a whitelist request, logs it and dispatches `txAdmin:events:whitelistRequest`.
+ * Returns the approved request, or undefined if it was not found.
+ */
+export const approveWhitelistRequest = (admin: AuthedAdminType, reqId: string) => {
+    //Find request
+    const requests = txCore.database.whitelist.findManyRequests({ id: reqId });
+    if (!requests.length) return undefined;
+    const req = requests[0]; //just getting the first
+
+    //Register whitelistApprovals
+    const playerName = req.discordTag ?? req.playerDisplayName;
+    const identifier = `license:${req.license}`;
+    try {
+        txCore.database.whitelist.registerApproval({
+            identifier,
+            playerName,
+            playerAvatar: (req.discordAvatar) ? req.discordAvatar : null,
+            tsApproved: now(),
+            approvedBy: admin.name,
+        });
+        txCore.fxRunner.sendEvent('whitelistRequest', {
+            action: 'approved',
+            playerName,
+            requestId: req.id,
+            license: req.license,
+            adminName: admin.name,
+        });
+    } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) {
+            throw new Error(`Failed to save wl approval: ${(error as Error).message}`);
+        }
+    }
+    admin.logAction(`Approved whitelist request from ${playerName}.`, {
+        type: 'whitelist.request.approve',
+        target: { license: req.license, name: playerName },
+        params: { reqId },
+    });
+
+    //Remove record from whitelistRequests
+    try {
+        txCore.database.whitelist.removeManyRequests({ id: reqId });
+    } catch (error) {
+        throw new Error(`Failed to remove wl request: ${(error as Error).message}`);
+    }
+    return req;
+}
+
+
+/**
+ * Denies a whitelist request, logs it and dispatches `txAdmin:events:whitelistRequest`.
+ * Returns the denied request, or undefined if it was not found.
+ */
+export const denyWhitelistRequest = (admin: AuthedAdminType, reqId: string) => {
+    const requests = txCore.database.whitelist.removeManyRequests({ id: reqId });
+    const req = requests.length ? requests[0] : undefined; //just getting the first
+    if (req) {
+        txCore.fxRunner.sendEvent('whitelistRequest', {
+            action: 'denied',
+            playerName: req.playerDisplayName,
+            requestId: req.id,
+            license: req.license,
+            adminName: admin.name,
+        });
+    }
+    admin.logAction(`Denied whitelist request ${reqId}.`, {
+        type: 'whitelist.request.deny',
+        target: req ? { license: req.license } : undefined,
+        params: { reqId },
+    });
+    return req;
+}
@@ -17,6 +17,8 @@ import FxPlayerlist from '@modules/FxPlayerlist';
 import Database from '@modules/Database';
 import CacheStore from '@modules/CacheStore';
 import UpdateChecker from '@modules/UpdateChecker';
+import Webhooks from '@modules/Webhooks';
+import BanFederation from '@modules/BanFederation';
 const console = consoleFactory();
 
 
@@ -41,6 +43,8 @@ export type TxCoreType = {
     translator: Translator;
     updateChecker: UpdateChecker;
     webServer: WebServer;
+    webhooks: Webhooks;
+    banFederation: BanFederation;
 }
 
 export default function bootTxAdmin() {
@@ -105,6 +109,8 @@ export default function bootTxAdmin() {
     _txCore.fxResources = startModule(FxResources);
     _txCore.fxPlayerlist = startModule(FxPlayerlist);
     _txCore.cacheStore = startModule(CacheStore);
+    _txCore.webhooks = startModule(Webhooks);
+    _txCore.banFederation = startModule(BanFederation);
 
     //Very Low Priority
     _txCore.updateChecker = startModule(UpdateChecker);
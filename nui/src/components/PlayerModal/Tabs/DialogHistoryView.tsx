@@ -26,6 +26,8 @@ const NoHistoryBox = () => (
 const colors = {
   danger: "#c2293e",
   warning: "#f1c40f",
+  info: "#3498db",
+  secondary: "#95a5a6",
   dark: "gray",
 };
 
@@ -33,6 +35,7 @@ type ActionCardProps = {
   action: PlayerHistoryItem;
   permsDisableWarn: boolean;
   permsDisableBan: boolean;
+  permsDisableMute: boolean;
   serverTime: number;
   btnAction: Function;
 };
@@ -40,6 +43,7 @@ const ActionCard: React.FC<ActionCardProps> = ({
   action,
   permsDisableWarn,
   permsDisableBan,
+  permsDisableMute,
   serverTime,
   btnAction,
 }) => {
@@ -48,8 +52,10 @@ const ActionCard: React.FC<ActionCardProps> = ({
 
   const revokeButonDisabled =
     action.revokedBy !== undefined ||
+    action.type == "kick" ||
     (action.type == "warn" && permsDisableWarn) ||
-    (action.type == "ban" && permsDisableBan);
+    (action.type == "ban" && permsDisableBan) ||
+    (action.type == "mute" && permsDisableMute);
 
   let footerNote, actionColor, actionMessage;
   if (action.type == "ban") {
@@ -62,6 +68,16 @@ const ActionCard: React.FC<ActionCardProps> = ({
     actionMessage = t("nui_menu.player_modal.history.warned_by", {
       author: action.author,
     });
+  } else if (action.type == "kick") {
+    actionColor = colors.secondary;
+    actionMessage = t("nui_menu.player_modal.history.kicked_by", {
+      author: action.author,
+    });
+  } else if (action.type == "mute") {
+    actionColor = colors.info;
+    actionMessage = t("nui_menu.player_modal.history.muted_by", {
+      author: action.author,
+    });
   }
   if (action.revokedBy) {
     actionColor = colors.dark;
@@ -171,6 +187,7 @@ const DialogHistoryView: React.FC = () => {
 
   const hasWarnPerm = userHasPerm('players.warn', userPerms);
   const hasBanPerm = userHasPerm('players.ban', userPerms);
+  const hasMutePerm = userHasPerm('players.mute', userPerms);
 
   return (
     <Box p={2} height="100%" display="flex" flexDirection="column">
@@ -187,6 +204,7 @@ const DialogHistoryView: React.FC = () => {
               action={action}
               permsDisableWarn={!hasWarnPerm}
               permsDisableBan={!hasBanPerm}
+              permsDisableMute={!hasMutePerm}
               serverTime={playerDetails.serverTime}
               btnAction={() => {
                 handleRevoke(action.id);
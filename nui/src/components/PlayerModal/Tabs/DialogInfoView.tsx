@@ -1,7 +1,8 @@
-import React, { FormEventHandler, useEffect, useState } from "react";
+import React, { FormEventHandler, useState } from "react";
 import {
   Box,
   Button,
+  Chip,
   DialogContent,
   TextField,
   Typography,
@@ -18,15 +19,97 @@ import { DialogLoadError } from "./DialogLoadError";
 import { GenericApiErrorResp, GenericApiResp } from "@shared/genericApiTypes";
 import humanizeDuration, { Unit } from "humanize-duration";
 import { ButtonXS } from "../../misc/ButtonXS";
-import { tsToLocaleDate, userHasPerm } from "@nui/src/utils/miscUtils";
+import { tsToLocaleDate, tsToLocaleDateTime, userHasPerm } from "@nui/src/utils/miscUtils";
 import {
   PlayerModalTabs,
   useSetPlayerModalTab,
 } from "@nui/src/state/playerModal.state";
 import { usePermissionsValue } from "@nui/src/state/permissions.state";
+import { PlayerNoteItem } from "@shared/playerApiTypes";
+
+type NoteCardProps = {
+  note: PlayerNoteItem;
+  btnPin: Function;
+  btnEdit: Function;
+  btnDelete: Function;
+};
+const NoteCard: React.FC<NoteCardProps> = ({ note, btnPin, btnEdit, btnDelete }) => {
+  const theme = useTheme();
+  const t = useTranslate();
+
+  if (note.deleted) {
+    return (
+      <small style={{ display: "block", color: theme.palette.text.secondary, marginBottom: "6px" }}>
+        {t("nui_menu.player_modal.info.notes_deleted", {
+          author: note.author,
+          deletedBy: note.deleted.author,
+          date: tsToLocaleDateTime(note.deleted.ts, "medium", "short"),
+        })}
+      </small>
+    );
+  }
+
+  const lastEdit = note.edits[note.edits.length - 1];
+  return (
+    <Box
+      style={{
+        background: theme.palette.background.paper,
+        padding: "0.35rem 0.55rem",
+        marginBottom: "6px",
+        borderLeft: `solid 4px ${note.isPinned ? theme.palette.warning.main : "gray"}`,
+      }}
+    >
+      <Box
+        style={{
+          display: "flex",
+          width: "100%",
+          justifyContent: "space-between",
+        }}
+      >
+        <strong>{note.author}</strong>
+        <Typography
+          variant="caption"
+          sx={{
+            fontFamily: "monospace",
+            fontWeight: "bold",
+            color: theme.palette.text.secondary,
+          }}
+        >
+          {tsToLocaleDateTime(note.ts, "medium", "short")}
+          &nbsp;
+          <ButtonXS color="warning" variant="outlined" onClick={btnPin as any}>
+            {note.isPinned
+              ? t("nui_menu.player_modal.info.notes_btn_unpin")
+              : t("nui_menu.player_modal.info.notes_btn_pin")}
+          </ButtonXS>
+          &nbsp;
+          <ButtonXS color="info" variant="outlined" onClick={btnEdit as any}>
+            {t("nui_menu.player_modal.info.notes_btn_edit")}
+          </ButtonXS>
+          &nbsp;
+          <ButtonXS color="error" variant="outlined" onClick={btnDelete as any}>
+            {t("nui_menu.player_modal.info.notes_btn_delete")}
+          </ButtonXS>
+        </Typography>
+      </Box>
+      <span style={{ color: theme.palette.text.secondary, whiteSpace: "pre-wrap" }}>
+        {note.text}
+      </span>
+      {lastEdit && (
+        <small style={{ display: "block", paddingTop: "0.35em" }}>
+          {t("nui_menu.player_modal.info.notes_edited", {
+            author: lastEdit.author,
+            date: tsToLocaleDateTime(lastEdit.ts, "medium", "short"),
+          })}
+        </small>
+      )}
+    </Box>
+  );
+};
 
 const DialogInfoView: React.FC = () => {
   const [note, setNote] = useState("");
+  const [editingNoteId, setEditingNoteId] = useState<string | null>(null);
   const { enqueueSnackbar } = useSnackbar();
   const playerDetails = usePlayerDetailsValue();
   const forceRefresh = useForcePlayerRefresh();
@@ -48,14 +131,14 @@ const DialogInfoView: React.FC = () => {
     });
   }
 
-  const handleSaveNote: FormEventHandler = async (e) => {
-    e.preventDefault();
+  //Notes stuff
+  const sendNoteAction = async (action: string, data: object) => {
     try {
       const result = await fetchWebPipe<GenericApiResp>(
-        `/player/save_note?mutex=current&netid=${player.netid}`,
+        `/player/${action}?mutex=current&netid=${player.netid}`,
         {
           method: "POST",
-          data: { note: note.trim() },
+          data,
         }
       );
       if ("success" in result && result.success === true) {
@@ -63,6 +146,7 @@ const DialogInfoView: React.FC = () => {
         enqueueSnackbar(t(`nui_menu.player_modal.info.notes_changed`), {
           variant: "success",
         });
+        return true;
       } else {
         enqueueSnackbar(
           (result as GenericApiErrorResp).error ?? t("nui_menu.misc.unknown_error"),
@@ -72,11 +156,29 @@ const DialogInfoView: React.FC = () => {
     } catch (e) {
       enqueueSnackbar(t("nui_menu.misc.unknown_error"), { variant: "error" });
     }
+    return false;
   };
 
-  useEffect(() => {
-    setNote(player.notes ?? "");
-  }, [playerDetails]);
+  const handleSaveNote: FormEventHandler = async (e) => {
+    e.preventDefault();
+    const isSaved = editingNoteId
+      ? await sendNoteAction("note_edit", { noteId: editingNoteId, note: note.trim() })
+      : await sendNoteAction("note_add", { note: note.trim() });
+    if (isSaved) {
+      setNote("");
+      setEditingNoteId(null);
+    }
+  };
+
+  const handleEditClick = (noteItem: PlayerNoteItem) => {
+    setEditingNoteId(noteItem.id);
+    setNote(noteItem.text ?? "");
+  };
+
+  const handleEditCancel = () => {
+    setEditingNoteId(null);
+    setNote("");
+  };
 
   //Whitelist button
   const btnChangeWhitelistStatus = async () => {
@@ -104,10 +206,43 @@ const DialogInfoView: React.FC = () => {
     }
   };
 
+  //Tags stuff
+  const playerTags = playerDetails.playerTags ?? [];
+  const currentTags = player.tags ?? [];
+  const handleTagClick = async (tagId: string) => {
+    const newTags = currentTags.includes(tagId)
+      ? currentTags.filter((id) => id !== tagId)
+      : [...currentTags, tagId];
+    try {
+      const result = await fetchWebPipe<GenericApiResp>(
+        `/player/tags?mutex=current&netid=${player.netid}`,
+        {
+          method: "POST",
+          data: { tags: newTags },
+        }
+      );
+      if ("success" in result && result.success === true) {
+        forceRefresh((val) => val + 1);
+        enqueueSnackbar(t(`nui_menu.player_modal.info.tags_changed`), {
+          variant: "success",
+        });
+      } else {
+        enqueueSnackbar(
+          (result as GenericApiErrorResp).error ?? t("nui_menu.misc.unknown_error"),
+          { variant: "error" }
+        );
+      }
+    } catch (error) {
+      enqueueSnackbar((error as Error).message, { variant: "error" });
+    }
+  };
+
   //Log stuff
   const counts = { ban: 0, warn: 0 };
   for (const action of player.actionHistory) {
-    counts[action.type]++;
+    if (action.type === "ban" || action.type === "warn") {
+      counts[action.type]++;
+    }
   }
   const btnLogDetails = () => {
     setTab(PlayerModalTabs.HISTORY);
@@ -183,6 +318,34 @@ const DialogInfoView: React.FC = () => {
           {t("nui_menu.player_modal.info.log_btn")}
         </ButtonXS>
       </Typography>
+      <Typography component="div">
+        {t("nui_menu.player_modal.info.tags_label")}:{" "}
+        {!playerTags.length ? (
+          <span style={{ color: theme.palette.text.secondary }}>
+            {t("nui_menu.player_modal.info.tags_empty")}
+          </span>
+        ) : (
+          playerTags.map((tag) => {
+            const isActive = currentTags.includes(tag.id);
+            return (
+              <Chip
+                key={tag.id}
+                label={tag.label}
+                size="small"
+                variant={isActive ? "filled" : "outlined"}
+                onClick={() => handleTagClick(tag.id)}
+                disabled={!player.isRegistered}
+                style={{
+                  marginRight: 4,
+                  borderColor: tag.color,
+                  backgroundColor: isActive ? tag.color : undefined,
+                  color: isActive ? "#fff" : theme.palette.text.secondary,
+                }}
+              />
+            );
+          })
+        )}
+      </Typography>
       <form onSubmit={handleSaveNote} style={{marginBlockEnd: 0}}>
         <Box pt={1}>
           <TextField
@@ -193,22 +356,49 @@ const DialogInfoView: React.FC = () => {
             type="text"
             value={note}
             onChange={(e) => setNote(e.currentTarget.value)}
-            onKeyPress={(e) => e.key === "Enter" && handleSaveNote}
             variant="outlined"
             multiline
-            rows={4}
+            rows={3}
             fullWidth
+            disabled={!player.isRegistered}
           />
           <Button
             type="submit"
             color="primary"
             variant="outlined"
-            style={{ right: 0 }}
+            disabled={!player.isRegistered || !note.trim()}
           >
-            Save Note
+            {editingNoteId
+              ? t("nui_menu.player_modal.info.notes_btn_save")
+              : t("nui_menu.player_modal.info.notes_btn_add")}
           </Button>
+          {editingNoteId && (
+            <Button
+              color="secondary"
+              variant="outlined"
+              style={{ marginLeft: 8 }}
+              onClick={handleEditCancel}
+            >
+              {t("nui_menu.player_modal.info.notes_btn_cancel")}
+            </Button>
+          )}
         </Box>
       </form>
+      <Box pt={1}>
+        {(player.notes ?? []).map((noteItem) => (
+          <NoteCard
+            key={noteItem.id}
+            note={noteItem}
+            btnPin={() => {
+              sendNoteAction("note_pin", { noteId: noteItem.id, isPinned: !noteItem.isPinned });
+            }}
+            btnEdit={() => handleEditClick(noteItem)}
+            btnDelete={() => {
+              sendNoteAction("note_delete", { noteId: noteItem.id });
+            }}
+          />
+        ))}
+      </Box>
     </DialogContent>
   );
 };
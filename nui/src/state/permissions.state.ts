@@ -11,6 +11,7 @@ export type ResolvablePermission =
   | "players.heal"
   | "players.ban"
   | "players.kick"
+  | "players.mute"
   | "players.direct_message"
   | "players.warn"
   | "players.whitelist"
@@ -38,6 +38,7 @@ export const MockedPlayerDetails: PlayerModalSuccess = {
             }
         },
     ],
+    "playerTags": [],
     "player": {
         "displayName": "tabby",
         "pureName": "tabby",
@@ -7,9 +7,9 @@ import {
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { useAuth } from "@/hooks/auth";
-import { memo, useEffect, useState } from "react";
+import { memo, useEffect, useRef, useState } from "react";
 import { TabsTrigger, TabsList, TabsContent, Tabs } from "@/components/ui/tabs";
-import { ApiChangeIdentifiersReq, ApiChangePasswordReq } from "@shared/authApiTypes";
+import { ApiChangeIdentifiersReq, ApiChangePasswordReq, ApiConfirmTotpResp, ApiCreateApiTokenReq, ApiCreateApiTokenResp, ApiGetApiTokensResp, ApiGetSessionsResp, ApiGetTotpResp, ApiRevokeApiTokenReq, ApiRevokeSessionReq, ApiSetupTotpResp, ApiTotpCodeReq } from "@shared/authApiTypes";
 import { useAccountModal, useCloseAccountModal } from "@/hooks/dialogs";
 import { GenericApiOkResp } from "@shared/genericApiTypes";
 import { ApiTimeout, fetchWithTimeout, useAuthedFetcher, useBackendApi } from "@/hooks/fetch";
@@ -17,6 +17,11 @@ import consts from "@shared/consts";
 import { txToast } from "./TxToaster";
 import useSWR from 'swr';
 import TxAnchor from "./TxAnchor";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { copyToClipboard } from "@/lib/utils";
 
 
 /**
@@ -158,6 +163,8 @@ const ChangePasswordTab = memo(function () {
  * Change Identifiers tab
  */
 function ChangeIdentifiersTab() {
+    const { authData } = useAuth();
+    const { setAccountModalTab } = useAccountModal();
     const authedFetcher = useAuthedFetcher();
     const [cfxreId, setCfxreId] = useState('');
     const [discordId, setDiscordId] = useState('');
@@ -204,7 +211,11 @@ function ChangeIdentifiersTab() {
                 setIsSaving(false);
                 if ('success' in data) {
                     txToast.success('Identifiers changed successfully!');
-                    closeAccountModal();
+                    if (authData && authData.isTotpSetupRequired) {
+                        setAccountModalTab('totp');
+                    } else {
+                        closeAccountModal();
+                    }
                 } else {
                     setError(data.error)
                 }
@@ -313,6 +324,641 @@ function ChangeIdentifiersTab() {
 }
 
 
+/**
+ * API Tokens tab
+ */
+const tokenExpirationOptions = [
+    { value: '7', label: '7 days' },
+    { value: '30', label: '30 days' },
+    { value: '90', label: '90 days' },
+    { value: '365', label: '1 year' },
+    { value: 'never', label: 'Never' },
+];
+
+function ApiTokensTab() {
+    const authedFetcher = useAuthedFetcher();
+    const copySurrogateRef = useRef<HTMLDivElement>(null);
+    const [tokenName, setTokenName] = useState('');
+    const [tokenPerms, setTokenPerms] = useState<string[]>([]);
+    const [tokenExpiration, setTokenExpiration] = useState('30');
+    const [createdToken, setCreatedToken] = useState('');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const tokensResp = useSWR<ApiGetApiTokensResp>(
+        '/auth/apiTokens',
+        () => authedFetcher<ApiGetApiTokensResp>('/auth/apiTokens'),
+        {
+            revalidateOnMount: true,
+            revalidateOnFocus: false,
+        }
+    );
+
+    useEffect(() => {
+        if (tokensResp.error) {
+            setError(tokensResp.error.message);
+        } else if (tokensResp.data && 'error' in tokensResp.data) {
+            setError(tokensResp.data.error);
+        }
+    }, [tokensResp.data, tokensResp.error]);
+
+    const createTokenApi = useBackendApi<ApiCreateApiTokenResp, ApiCreateApiTokenReq>({
+        method: 'POST',
+        path: '/auth/apiTokens/create'
+    });
+    const revokeTokenApi = useBackendApi<GenericApiOkResp, ApiRevokeApiTokenReq>({
+        method: 'POST',
+        path: '/auth/apiTokens/revoke'
+    });
+
+    const handleSubmit = (event?: React.FormEvent<HTMLFormElement>) => {
+        event?.preventDefault();
+        setError('');
+        setCreatedToken('');
+        setIsSaving(true);
+        createTokenApi({
+            data: {
+                name: tokenName,
+                permissions: tokenPerms,
+                expiresInDays: tokenExpiration === 'never' ? null : parseInt(tokenExpiration),
+            },
+            error: (error) => {
+                setIsSaving(false);
+                setError(error);
+            },
+            success: (data) => {
+                setIsSaving(false);
+                if ('token' in data) {
+                    setCreatedToken(data.token);
+                    setTokenName('');
+                    setTokenPerms([]);
+                    tokensResp.mutate();
+                } else {
+                    setError(data.error)
+                }
+            }
+        });
+    };
+
+    const handleRevoke = (tokenId: string) => {
+        setError('');
+        revokeTokenApi({
+            data: { tokenId },
+            toastLoadingMessage: 'Revoking token...',
+            genericHandler: {
+                successMsg: 'Token revoked.',
+            },
+            success: (data) => {
+                if ('success' in data) {
+                    tokensResp.mutate();
+                }
+            }
+        });
+    };
+
+    const handleCopyToken = () => {
+        if (!copySurrogateRef.current) return;
+        copyToClipboard(createdToken, copySurrogateRef.current).then((res) => {
+            if (res !== false) {
+                txToast.success('Token copied to clipboard.');
+            } else {
+                txToast.error('Failed to copy token to clipboard.');
+            }
+        }).catch((error) => {
+            txToast.error({
+                title: 'Failed to copy token to clipboard.',
+                msg: error.message,
+            });
+        });
+    }
+
+    const togglePermission = (permId: string, checked: boolean) => {
+        setError('');
+        if (checked) {
+            setTokenPerms((prev) => [...prev, permId]);
+        } else {
+            setTokenPerms((prev) => prev.filter((perm) => perm !== permId));
+        }
+    }
+
+    const respData = tokensResp.data && 'tokens' in tokensResp.data ? tokensResp.data : undefined;
+    return (
+        <TabsContent value="apiTokens" tabIndex={undefined}>
+            <div ref={copySurrogateRef}>
+                <p className="text-sm text-muted-foreground">
+                    Personal API tokens allow external tools to call the txAdmin API on your behalf using the <code>Authorization: Bearer &lt;token&gt;</code> header. <br />
+                    Tokens can only use the permissions you select, and every request is logged under your name and the token name.
+                </p>
+
+                {createdToken && (
+                    <div className="mt-3 p-2 rounded-md border border-warning space-y-2">
+                        <p className="text-sm text-warning-inline">
+                            <strong>Copy your new token now, it will not be shown again!</strong>
+                        </p>
+                        <div className="flex gap-2">
+                            <Input value={createdToken} readOnly className="font-mono text-xs" />
+                            <Button type="button" variant="outline" onClick={handleCopyToken}>Copy</Button>
+                        </div>
+                    </div>
+                )}
+
+                <ScrollArea className="max-h-40 mt-3">
+                    {!respData ? (
+                        <p className="text-sm text-muted-foreground italic text-center">loading...</p>
+                    ) : !respData.tokens.length ? (
+                        <p className="text-sm text-muted-foreground italic text-center">You have no API tokens.</p>
+                    ) : respData.tokens.map((token) => (
+                        <div key={token.id} className="flex items-center justify-between gap-2 py-1 border-b last:border-b-0">
+                            <div className="text-sm min-w-0">
+                                <strong className="font-mono">{token.name}</strong>
+                                <span className="text-muted-foreground"> ({token.permissions.join(', ')})</span>
+                                <p className="text-xs text-muted-foreground">
+                                    Expires: {token.tsExpires ? tsToLocaleDateTimeString(token.tsExpires, 'short', 'short') : 'never'}
+                                    {' - '}
+                                    Last used: {token.tsLastUsed ? tsToLocaleDateTimeString(token.tsLastUsed, 'short', 'short') : 'never'}
+                                </p>
+                            </div>
+                            <Button
+                                type="button"
+                                size="xs"
+                                variant="destructive"
+                                onClick={() => handleRevoke(token.id)}
+                            >
+                                Revoke
+                            </Button>
+                        </div>
+                    ))}
+                </ScrollArea>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="space-y-3 pt-4 pb-6">
+                        <div className="flex gap-2">
+                            <div className="space-y-1 grow">
+                                <Label htmlFor="apiTokenName">Token Name</Label>
+                                <Input
+                                    id="apiTokenName"
+                                    autoCapitalize="none"
+                                    autoComplete="off"
+                                    autoCorrect="off"
+                                    placeholder="my-discord-bot"
+                                    value={tokenName}
+                                    required
+                                    onChange={(e) => {
+                                        setTokenName(e.target.value);
+                                        setError('');
+                                    }}
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <Label>Expiration</Label>
+                                <Select value={tokenExpiration} onValueChange={setTokenExpiration}>
+                                    <SelectTrigger className="w-32">
+                                        <SelectValue placeholder="Expiration" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {tokenExpirationOptions.map((opt) => (
+                                            <SelectItem key={opt.value} value={opt.value} className="cursor-pointer">
+                                                {opt.label}
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        </div>
+                        <div className="space-y-1">
+                            <Label>Permissions</Label>
+                            <ScrollArea className="h-32 rounded-md border p-2">
+                                {respData?.permissions.map((perm) => (
+                                    <div key={perm.id} className="flex items-center gap-2 py-0.5">
+                                        <Checkbox
+                                            id={`apiTokenPerm-${perm.id}`}
+                                            checked={tokenPerms.includes(perm.id)}
+                                            onCheckedChange={(checked) => togglePermission(perm.id, checked === true)}
+                                        />
+                                        <label htmlFor={`apiTokenPerm-${perm.id}`} className="text-sm cursor-pointer">
+                                            {perm.label}
+                                        </label>
+                                    </div>
+                                ))}
+                            </ScrollArea>
+                        </div>
+                    </div>
+
+                    {error && <p className="text-destructive text-center -mt-2 mb-4">{error}</p>}
+                    <Button
+                        className="w-full"
+                        type="submit"
+                        disabled={!respData || isSaving}
+                    >
+                        {isSaving ? 'Creating...' : 'Create Token'}
+                    </Button>
+                </form>
+            </div>
+        </TabsContent>
+    );
+}
+
+
+/**
+ * Two-Factor Authentication tab
+ */
+function TotpTab() {
+    const { authData, setAuthData } = useAuth();
+    const authedFetcher = useAuthedFetcher();
+    const copySurrogateRef = useRef<HTMLDivElement>(null);
+    const [setupData, setSetupData] = useState<{ secret: string, qrCode: string } | undefined>();
+    const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+    const [code, setCode] = useState('');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const statusResp = useSWR<ApiGetTotpResp>(
+        '/auth/totp',
+        () => authedFetcher<ApiGetTotpResp>('/auth/totp'),
+        {
+            revalidateOnMount: true,
+            revalidateOnFocus: false,
+        }
+    );
+
+    useEffect(() => {
+        if (statusResp.error) {
+            setError(statusResp.error.message);
+        } else if (statusResp.data && 'error' in statusResp.data) {
+            setError(statusResp.data.error);
+        }
+    }, [statusResp.data, statusResp.error]);
+
+    const setupTotpApi = useBackendApi<ApiSetupTotpResp>({
+        method: 'POST',
+        path: '/auth/totp/setup'
+    });
+    const confirmTotpApi = useBackendApi<ApiConfirmTotpResp, ApiTotpCodeReq>({
+        method: 'POST',
+        path: '/auth/totp/confirm'
+    });
+    const disableTotpApi = useBackendApi<GenericApiOkResp, ApiTotpCodeReq>({
+        method: 'POST',
+        path: '/auth/totp/disable'
+    });
+
+    const handleStartSetup = () => {
+        setError('');
+        setIsSaving(true);
+        setupTotpApi({
+            error: (error) => {
+                setIsSaving(false);
+                setError(error);
+            },
+            success: (data) => {
+                setIsSaving(false);
+                if ('secret' in data) {
+                    setSetupData({ secret: data.secret, qrCode: data.qrCode });
+                } else {
+                    setError(data.error);
+                }
+            }
+        });
+    };
+
+    const handleConfirm = (event?: React.FormEvent<HTMLFormElement>) => {
+        event?.preventDefault();
+        setError('');
+        setIsSaving(true);
+        confirmTotpApi({
+            data: { code },
+            error: (error) => {
+                setIsSaving(false);
+                setError(error);
+            },
+            success: (data) => {
+                setIsSaving(false);
+                if ('recoveryCodes' in data) {
+                    setRecoveryCodes(data.recoveryCodes);
+                    setSetupData(undefined);
+                    setCode('');
+                    statusResp.mutate();
+                    if (authData && authData.isTotpSetupRequired) {
+                        setAuthData({
+                            ...authData,
+                            isTotpSetupRequired: false,
+                        });
+                    }
+                } else {
+                    setError(data.error);
+                }
+            }
+        });
+    };
+
+    const handleDisable = (event?: React.FormEvent<HTMLFormElement>) => {
+        event?.preventDefault();
+        setError('');
+        setIsSaving(true);
+        disableTotpApi({
+            data: { code },
+            error: (error) => {
+                setIsSaving(false);
+                setError(error);
+            },
+            success: (data) => {
+                setIsSaving(false);
+                if ('success' in data) {
+                    txToast.success('Two-factor authentication disabled.');
+                    setCode('');
+                    setRecoveryCodes([]);
+                    statusResp.mutate();
+                } else {
+                    setError(data.error);
+                }
+            }
+        });
+    };
+
+    const handleCopyCodes = () => {
+        if (!copySurrogateRef.current) return;
+        copyToClipboard(recoveryCodes.join('\n'), copySurrogateRef.current).then((res) => {
+            if (res !== false) {
+                txToast.success('Recovery codes copied to clipboard.');
+            } else {
+                txToast.error('Failed to copy recovery codes to clipboard.');
+            }
+        }).catch((error) => {
+            txToast.error({
+                title: 'Failed to copy recovery codes to clipboard.',
+                msg: error.message,
+            });
+        });
+    }
+
+    const codeInput = (
+        <div className="space-y-1">
+            <Label htmlFor="totpCode">{setupData ? 'Code from your app' : 'Authentication or recovery code'}</Label>
+            <Input
+                id="totpCode"
+                autoCapitalize="none"
+                autoComplete="one-time-code"
+                autoCorrect="off"
+                placeholder={setupData ? '123456' : '123456 or xxxxx-xxxxx'}
+                value={code}
+                autoFocus
+                required
+                onChange={(e) => {
+                    setCode(e.target.value);
+                    setError('');
+                }}
+            />
+        </div>
+    );
+
+    const status = statusResp.data && 'enabled' in statusResp.data ? statusResp.data : undefined;
+    return (
+        <TabsContent value="totp" tabIndex={undefined}>
+            <div ref={copySurrogateRef}>
+                {authData && authData.isTotpSetupRequired ? (
+                    <p className="text-sm text-warning-inline">
+                        Your account is required to have two-factor authentication enabled before you can use this web panel.
+                    </p>
+                ) : (
+                    <p className="text-sm text-muted-foreground">
+                        Two-factor authentication (2FA) requires a code from an authenticator app (like Google Authenticator, Authy or 1Password) when you login with your password or Cfx.re account.
+                    </p>
+                )}
+
+                {recoveryCodes.length > 0 && (
+                    <div className="mt-3 p-2 rounded-md border border-warning space-y-2">
+                        <p className="text-sm text-warning-inline">
+                            <strong>Save your recovery codes now, they will not be shown again!</strong> <br />
+                            Each code can be used once to login if you lose access to your authenticator app.
+                        </p>
+                        <div className="grid grid-cols-2 gap-1 font-mono text-sm text-center">
+                            {recoveryCodes.map((recoveryCode) => (
+                                <span key={recoveryCode}>{recoveryCode}</span>
+                            ))}
+                        </div>
+                        <Button type="button" variant="outline" size="sm" className="w-full" onClick={handleCopyCodes}>
+                            Copy Codes
+                        </Button>
+                    </div>
+                )}
+
+                {!status ? (
+                    <p className="text-sm text-muted-foreground italic text-center pt-4">loading...</p>
+                ) : status.enabled ? (
+                    <form onSubmit={handleDisable}>
+                        <div className="space-y-3 pt-4 pb-6">
+                            <p className="text-sm">
+                                Two-factor authentication is <strong className="text-success-inline">enabled</strong>
+                                {status.tsEnabled && ` since ${tsToLocaleDateTimeString(status.tsEnabled, 'short', 'short')}`}.
+                                <br />
+                                You have <strong>{status.recoveryCodesLeft}</strong> recovery codes left.
+                            </p>
+                            {!status.required && codeInput}
+                        </div>
+                        {error && <p className="text-destructive text-center -mt-2 mb-4">{error}</p>}
+                        {status.required ? (
+                            <p className="text-sm text-muted-foreground text-center">
+                                Two-factor authentication is required for your account and cannot be disabled.
+                            </p>
+                        ) : (
+                            <Button
+                                className="w-full"
+                                type="submit"
+                                variant="destructive"
+                                disabled={isSaving}
+                            >
+                                {isSaving ? 'Disabling...' : 'Disable 2FA'}
+                            </Button>
+                        )}
+                    </form>
+                ) : setupData ? (
+                    <form onSubmit={handleConfirm}>
+                        <div className="space-y-3 pt-4 pb-6">
+                            <p className="text-sm text-muted-foreground">
+                                Scan the QR code below with your authenticator app, or manually enter the secret key.
+                            </p>
+                            <img
+                                src={setupData.qrCode}
+                                alt="2FA QR Code"
+                                className="mx-auto size-44 rounded-md"
+                            />
+                            <Input value={setupData.secret} readOnly className="font-mono text-xs text-center" />
+                            {codeInput}
+                        </div>
+                        {error && <p className="text-destructive text-center -mt-2 mb-4">{error}</p>}
+                        <Button
+                            className="w-full"
+                            type="submit"
+                            disabled={isSaving}
+                        >
+                            {isSaving ? 'Verifying...' : 'Enable 2FA'}
+                        </Button>
+                    </form>
+                ) : (
+                    <div className="pt-4">
+                        {error && <p className="text-destructive text-center mb-4">{error}</p>}
+                        <Button
+                            className="w-full"
+                            type="button"
+                            disabled={isSaving}
+                            onClick={handleStartSetup}
+                        >
+                            {isSaving ? 'Loading...' : 'Set up 2FA'}
+                        </Button>
+                    </div>
+                )}
+            </div>
+        </TabsContent>
+    );
+}
+
+
+/**
+ * Active Sessions tab
+ */
+const loginMethodLabels: Record<string, string> = {
+    'password': 'Password',
+    'password+2fa': 'Password + 2FA',
+    'cfxre': 'Cfx.re',
+    'cfxre+2fa': 'Cfx.re + 2FA',
+    'discord': 'Discord',
+    'discord+2fa': 'Discord + 2FA',
+    'oidc': 'SSO',
+    'oidc+2fa': 'SSO + 2FA',
+};
+
+const describeUserAgent = (userAgent: string) => {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /OPR\//.test(userAgent) ? 'Opera'
+            : /Firefox\//.test(userAgent) ? 'Firefox'
+                : /Chrome\//.test(userAgent) ? 'Chrome'
+                    : /Safari\//.test(userAgent) ? 'Safari'
+                        : 'Unknown browser';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+            : /iPhone|iPad/.test(userAgent) ? 'iOS'
+                : /Mac OS X/.test(userAgent) ? 'macOS'
+                    : /Linux/.test(userAgent) ? 'Linux'
+                        : 'Unknown OS';
+    return `${browser} on ${os}`;
+}
+
+function SessionsTab() {
+    const authedFetcher = useAuthedFetcher();
+    const [error, setError] = useState('');
+
+    const sessionsResp = useSWR<ApiGetSessionsResp>(
+        '/auth/sessions',
+        () => authedFetcher<ApiGetSessionsResp>('/auth/sessions'),
+        {
+            revalidateOnMount: true,
+            revalidateOnFocus: false,
+        }
+    );
+
+    useEffect(() => {
+        if (sessionsResp.error) {
+            setError(sessionsResp.error.message);
+        } else if (sessionsResp.data && 'error' in sessionsResp.data) {
+            setError(sessionsResp.data.error);
+        }
+    }, [sessionsResp.data, sessionsResp.error]);
+
+    const revokeSessionApi = useBackendApi<GenericApiOkResp, ApiRevokeSessionReq>({
+        method: 'POST',
+        path: '/auth/sessions/revoke'
+    });
+    const revokeOtherSessionsApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: '/auth/sessions/revokeOthers'
+    });
+
+    const handleRevoke = (sessionId: string) => {
+        setError('');
+        revokeSessionApi({
+            data: { sessionId },
+            toastLoadingMessage: 'Revoking session...',
+            genericHandler: {
+                successMsg: 'Session revoked.',
+            },
+            success: (data) => {
+                if ('success' in data) {
+                    sessionsResp.mutate();
+                }
+            }
+        });
+    };
+
+    const handleRevokeOthers = () => {
+        setError('');
+        revokeOtherSessionsApi({
+            toastLoadingMessage: 'Revoking sessions...',
+            genericHandler: {
+                successMsg: 'All other sessions were revoked.',
+            },
+            success: (data) => {
+                if ('success' in data) {
+                    sessionsResp.mutate();
+                }
+            }
+        });
+    };
+
+    const sessions = sessionsResp.data && 'sessions' in sessionsResp.data ? sessionsResp.data.sessions : undefined;
+    const hasOtherSessions = sessions?.some((sess) => !sess.isCurrent);
+    return (
+        <TabsContent value="sessions" tabIndex={undefined}>
+            <p className="text-sm text-muted-foreground">
+                These are the devices currently logged in to your account. If you don't recognize a session, revoke it and change your password.
+            </p>
+
+            <ScrollArea className="max-h-64 mt-3">
+                {!sessions ? (
+                    <p className="text-sm text-muted-foreground italic text-center">loading...</p>
+                ) : !sessions.length ? (
+                    <p className="text-sm text-muted-foreground italic text-center">No active sessions.</p>
+                ) : sessions.map((sess) => (
+                    <div key={sess.id} className="flex items-center justify-between gap-2 py-1 border-b last:border-b-0">
+                        <div className="text-sm min-w-0">
+                            <strong title={sess.userAgent}>{describeUserAgent(sess.userAgent)}</strong>
+                            {sess.isCurrent && <span className="text-success-inline"> (this device)</span>}
+                            <p className="text-xs text-muted-foreground">
+                                <span className="font-mono">{sess.ip}</span>
+                                {' - '}
+                                {loginMethodLabels[sess.loginMethod] ?? sess.loginMethod}
+                                {' - '}
+                                Last active: {sess.tsLastActivity ? tsToLocaleDateTimeString(sess.tsLastActivity, 'short', 'short') : 'unknown'}
+                            </p>
+                        </div>
+                        {!sess.isCurrent && (
+                            <Button
+                                type="button"
+                                size="xs"
+                                variant="destructive"
+                                onClick={() => handleRevoke(sess.id)}
+                            >
+                                Revoke
+                            </Button>
+                        )}
+                    </div>
+                ))}
+            </ScrollArea>
+
+            {error && <p className="text-destructive text-center mt-4">{error}</p>}
+            <Button
+                className="w-full mt-4"
+                type="button"
+                variant="destructive"
+                disabled={!hasOtherSessions}
+                onClick={handleRevokeOthers}
+            >
+                Revoke All Other Sessions
+            </Button>
+        </TabsContent>
+    );
+}
+
+
 /**
  * Account Dialog
  */
@@ -328,11 +974,14 @@ export default function AccountDialog() {
         if (authData.isTempPassword) {
             setAccountModalOpen(true);
             setAccountModalTab('password');
+        } else if (authData.isTotpSetupRequired) {
+            setAccountModalOpen(true);
+            setAccountModalTab('totp');
         }
     }, []);
 
     const dialogSetIsClose = (newState: boolean) => {
-        if (!newState && authData && !authData.isTempPassword) {
+        if (!newState && authData && !authData.isTempPassword && !authData.isTotpSetupRequired) {
             setAccountModalOpen(false);
             setTimeout(() => {
                 setAccountModalTab('password');
@@ -346,7 +995,7 @@ export default function AccountDialog() {
             open={isAccountModalOpen}
             onOpenChange={dialogSetIsClose}
         >
-            <DialogContent className="sm:max-w-lg" tabIndex={undefined}>
+            <DialogContent className="sm:max-w-xl" tabIndex={undefined}>
                 <DialogHeader>
                     <DialogTitle className="text-2xl font-bold">
                         {authData.isTempPassword ? 'Welcome to txAdmin!' : `Your Account - ${authData.name}`}
@@ -357,12 +1006,18 @@ export default function AccountDialog() {
                     value={accountModalTab}
                     onValueChange={setAccountModalTab}
                 >
-                    <TabsList className="grid w-full grid-cols-2 mb-4">
+                    <TabsList className="grid w-full grid-cols-5 mb-4">
                         <TabsTrigger value="password">Password</TabsTrigger>
                         <TabsTrigger value="identifiers" disabled={authData.isTempPassword}>Identifiers</TabsTrigger>
+                        <TabsTrigger value="totp" disabled={authData.isTempPassword}>2FA</TabsTrigger>
+                        <TabsTrigger value="sessions" disabled={authData.isTempPassword || authData.isTotpSetupRequired}>Sessions</TabsTrigger>
+                        <TabsTrigger value="apiTokens" disabled={authData.isTempPassword || authData.isTotpSetupRequired}>API Tokens</TabsTrigger>
                     </TabsList>
                     <ChangePasswordTab />
                     <ChangeIdentifiersTab />
+                    <TotpTab />
+                    <SessionsTab />
+                    <ApiTokensTab />
                 </Tabs>
             </DialogContent>
         </Dialog>
@@ -34,6 +34,10 @@ export const useProcessPlayerlistEvents = () => {
             } else if (event.type === 'playerDropped') {
                 setPlayerlist((oldList) => oldList.filter(p => p.netid !== event.netid));
                 if (event.reasonCategory) pushPlayerDropEvent(event.reasonCategory);
+            } else if (event.type === 'playerTags') {
+                setPlayerlist((oldList) => oldList.map((p) => {
+                    return p.netid === event.netid ? { ...p, tags: event.tags } : p;
+                }));
             } else {
                 console.error('Unknown playerlist event type', event);
             }
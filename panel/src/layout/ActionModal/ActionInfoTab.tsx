@@ -5,7 +5,9 @@ import { msToDuration } from "@/lib/dateTime";
 import { useRef, useState } from "react";
 import type { DatabaseActionType } from "../../../../core/modules/Database/databaseTypes";
 import { useOpenPlayerModal } from "@/hooks/playerModal";
+import { useOpenActionModal } from "@/hooks/actionModal";
 import DateTimeCorrected from "@/components/DateTimeCorrected";
+import type { HistoryActionModalSuccess } from "@shared/historyApiTypes";
 
 
 
@@ -38,25 +40,27 @@ function ActionReasonBox({ actionReason }: { actionReason: string }) {
 
 type ActionInfoTabProps = {
     action: DatabaseActionType;
+    federation: HistoryActionModalSuccess['federation'];
     serverTime: number;
     tsFetch: number;
 }
 
-export default function ActionInfoTab({ action, serverTime, tsFetch }: ActionInfoTabProps) {
+export default function ActionInfoTab({ action, federation, serverTime, tsFetch }: ActionInfoTabProps) {
     const openPlayerModal = useOpenPlayerModal();
+    const openActionModal = useOpenActionModal();
 
-    let banExpirationText: React.ReactNode;
-    if (action.type === 'ban') {
+    let expirationText: React.ReactNode;
+    if (action.type === 'ban' || action.type === 'mute') {
         if (action.expiration === false) {
-            banExpirationText = <span className="text-destructive-inline">Never</span>;
+            expirationText = <span className="text-destructive-inline">Never</span>;
         } else if (action.expiration > serverTime) {
             const distance = msToDuration(
                 (serverTime - action.expiration) * 1000,
                 { units: ['mo', 'w', 'd', 'h', 'm'] }
             )
-            banExpirationText = <span className="text-warning-inline">In {distance}</span>;
+            expirationText = <span className="text-warning-inline">In {distance}</span>;
         } else {
-            banExpirationText = <DateTimeCorrected
+            expirationText = <DateTimeCorrected
                 className="opacity-75 cursor-help"
                 serverTime={serverTime}
                 tsObject={action.expiration}
@@ -111,10 +115,10 @@ export default function ActionInfoTab({ action, serverTime, tsFetch }: ActionInf
                     />
                 </dd>
             </div>
-            {action.type === 'ban' && (
+            {(action.type === 'ban' || action.type === 'mute') && (
                 <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
                     <dt className="text-sm font-medium leading-6 text-muted-foreground">Expiration</dt>
-                    <dd className="text-sm leading-6 col-span-2 mt-0">{banExpirationText}</dd>
+                    <dd className="text-sm leading-6 col-span-2 mt-0">{expirationText}</dd>
                 </div>
             )}
             {action.type === 'warn' && (
@@ -123,15 +127,60 @@ export default function ActionInfoTab({ action, serverTime, tsFetch }: ActionInf
                     <dd className="text-sm leading-6 col-span-2 mt-0">{warnAckedText}</dd>
                 </div>
             )}
-            <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
-                <dt className="text-sm font-medium leading-6 text-muted-foreground">Revoked</dt>
-                <dd className="text-sm leading-6 col-span-2 mt-0">{revokedText}</dd>
-            </div>
+            {action.type !== 'kick' && (
+                <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
+                    <dt className="text-sm font-medium leading-6 text-muted-foreground">Revoked</dt>
+                    <dd className="text-sm leading-6 col-span-2 mt-0">{revokedText}</dd>
+                </div>
+            )}
 
+            {!!action.changes?.length && (
+                <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
+                    <dt className="text-sm font-medium leading-6 text-muted-foreground">Edited</dt>
+                    <dd className="text-sm leading-6 col-span-2 mt-0">
+                        <span className="opacity-75">
+                            {action.changes.length === 1 ? 'Once' : `${action.changes.length} times`},
+                            last by {action.changes[action.changes.length - 1].author}
+                        </span>
+                    </dd>
+                </div>
+            )}
             <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
                 <dt className="text-sm font-medium leading-6 text-muted-foreground">Admin</dt>
                 <dd className="text-sm leading-6 col-span-2 mt-0">{action.author}</dd>
             </div>
+            {action.type === 'ban' && action.origin && federation && (
+                <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
+                    <dt className="text-sm font-medium leading-6 text-muted-foreground">Origin</dt>
+                    <dd className="text-sm leading-6 col-span-2 mt-0">
+                        {federation.sourceName ?? <span className="italic opacity-75">deleted source</span>}
+                        <span className="opacity-75 font-mono"> ({action.origin.remoteId})</span>
+                        {action.origin.isIgnored ? (
+                            <span className="text-warning-inline"> - ignored</span>
+                        ) : action.origin.isOverridden ? (
+                            <span className="text-info-inline"> - overridden</span>
+                        ) : !federation.isEnforced && (
+                            <span className="text-warning-inline"> - not enforced</span>
+                        )}
+                    </dd>
+                </div>
+            )}
+            {action.type === 'ban' && !!action.escalatedFrom?.length && (
+                <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
+                    <dt className="text-sm font-medium leading-6 text-muted-foreground">Escalated From</dt>
+                    <dd className="text-sm leading-6 col-span-2 mt-0 flex flex-wrap gap-1">
+                        {action.escalatedFrom.map((warnId) => (
+                            <Button
+                                key={warnId}
+                                variant="outline"
+                                size='inline'
+                                className="font-mono"
+                                onClick={() => openActionModal(warnId)}
+                            >{warnId}</Button>
+                        ))}
+                    </dd>
+                </div>
+            )}
             <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
                 <dt className="text-sm font-medium leading-6 text-muted-foreground">Player</dt>
                 <dd className="text-sm leading-6 col-span-2x mt-0">{playerDisplayName}</dd>
@@ -5,7 +5,7 @@ import {
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
 import { useActionModalStateValue } from "@/hooks/actionModal";
-import { InfoIcon, ListIcon, Undo2Icon } from "lucide-react";
+import { EraserIcon, InfoIcon, ListIcon } from "lucide-react";
 import { useEffect, useState } from "react";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import GenericSpinner from "@/components/GenericSpinner";
@@ -28,12 +28,8 @@ const modalTabs = [
         icon: <ListIcon className="mr-2 h-5 w-5 hidden xs:block" />,
     },
     {
-        //In the future, when adding "edit" and "remove" to the modal, join with "revoke" in a tab bellow
-        // title: 'Modify',
-        // icon: <EraserIcon className="mr-2 h-5 w-5 hidden xs:block" />,
-        title: 'Revoke',
-        icon: <Undo2Icon className="mr-2 h-5 w-5 hidden xs:block" />,
-        className: 'hover:bg-destructive hover:text-destructive-foreground',
+        title: 'Modify',
+        icon: <EraserIcon className="mr-2 h-5 w-5 hidden xs:block" />,
     },
 ]
 
@@ -124,6 +120,16 @@ export default function ActionModal() {
                 <span className="text-warning-inline font-mono mr-2">[{modalData.action.id}]</span>
                 Warned {displayName}
             </>;
+        } else if (modalData.action.type === 'kick') {
+            pageTitle = <>
+                <span className="text-muted-foreground font-mono mr-2">[{modalData.action.id}]</span>
+                Kicked {displayName}
+            </>;
+        } else if (modalData.action.type === 'mute') {
+            pageTitle = <>
+                <span className="text-info-inline font-mono mr-2">[{modalData.action.id}]</span>
+                Muted {displayName}
+            </>;
         } else {
             throw new Error(`Unknown action type: ${modalData.action.type}`);
         }
@@ -181,14 +187,16 @@ export default function ActionModal() {
                             <>
                                 {selectedTab === 'Info' && <ActionInfoTab
                                     action={modalData.action}
+                                    federation={modalData.federation}
                                     serverTime={modalData.serverTime}
                                     tsFetch={tsFetch}
                                 />}
                                 {selectedTab === 'IDs' && <ActionIdsTab
                                     action={modalData.action}
                                 />}
-                                {selectedTab === 'Revoke' && <ActionModifyTab
+                                {selectedTab === 'Modify' && <ActionModifyTab
                                     action={modalData.action}
+                                    federation={modalData.federation}
                                     refreshModalData={refreshModalData}
                                 />}
                             </>
@@ -1,19 +1,276 @@
-import { useState } from "react";
-import type { DatabaseActionType } from "../../../../core/modules/Database/databaseTypes";
+import { useRef, useState } from "react";
+import type { DatabaseActionChangeType, DatabaseActionType } from "../../../../core/modules/Database/databaseTypes";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { GenericApiOkResp } from "@shared/genericApiTypes";
 import { useAdminPerms } from "@/hooks/auth";
 import { Loader2Icon } from "lucide-react";
 import { useBackendApi } from "@/hooks/fetch";
-import type { ApiRevokeActionReqSchema } from "../../../../core/routes/history/actions";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import type { ApiIgnoreFederatedBanReqSchema, ApiModifyActionReqSchema, ApiRevokeActionReqSchema } from "../../../../core/routes/history/actions";
+import type { HistoryActionModalSuccess } from "@shared/historyApiTypes";
+
+// Consts
+const KEEP_DURATION_OPTION = 'keep';
+
+const textToList = (text?: string) => {
+    if (!text) return [];
+    return text.split(/[\s,;]+/).map((x) => x.trim()).filter(Boolean);
+}
+
+const isSameList = (a: string[], b: string[]) => {
+    return a.length === b.length && a.every((x) => b.includes(x));
+}
+
+const expirationToText = (expiration: number | false) => {
+    return expiration === false ? 'permanent' : tsToLocaleDateTimeString(expiration, 'medium', 'short');
+}
+
+
+function ActionChangeItem({ change }: { change: DatabaseActionChangeType }) {
+    const { diff } = change;
+    return <div className="pl-2 border-l-2 text-sm">
+        <span className="text-muted-foreground">
+            By <strong>{change.author}</strong> on {tsToLocaleDateTimeString(change.timestamp, 'medium', 'short')}
+        </span>
+        <ul className="list-disc list-inside">
+            {diff.reason && <li className="break-words">
+                Reason: <span className="line-through opacity-75">{diff.reason.from}</span> → {diff.reason.to}
+            </li>}
+            {diff.expiration && <li>
+                Expiration: <span className="line-through opacity-75">{expirationToText(diff.expiration.from)}</span> → {expirationToText(diff.expiration.to)}
+            </li>}
+            {diff.ids && <li className="break-all">
+                IDs: {diff.ids.added.map((id) => <span key={id} className="text-success-inline">+{id} </span>)}
+                {diff.ids.removed.map((id) => <span key={id} className="text-destructive-inline">-{id} </span>)}
+            </li>}
+            {diff.hwids && <li className="break-all">
+                HWIDs: {diff.hwids.added.length} added, {diff.hwids.removed.length} removed
+            </li>}
+        </ul>
+    </div>;
+}
+
+
+type ActionEditFormProps = {
+    action: DatabaseActionType;
+    disabled: boolean;
+    refreshModalData: () => void;
+}
+
+function ActionEditForm({ action, disabled, refreshModalData }: ActionEditFormProps) {
+    const reasonRef = useRef<HTMLTextAreaElement>(null);
+    const idsRef = useRef<HTMLTextAreaElement>(null);
+    const hwidsRef = useRef<HTMLTextAreaElement>(null);
+    const customMultiplierRef = useRef<HTMLInputElement>(null);
+    const [currentDuration, setCurrentDuration] = useState(KEEP_DURATION_OPTION);
+    const [customUnits, setCustomUnits] = useState('days');
+    const [isSaving, setIsSaving] = useState(false);
+    const modifyActionApi = useBackendApi<GenericApiOkResp, ApiModifyActionReqSchema>({
+        method: 'POST',
+        path: `/history/modifyAction`,
+    });
+    const actionHwids = ('hwids' in action && action.hwids) ? action.hwids : [];
+
+    const doSaveChanges = () => {
+        //Only sending what was changed
+        const data: ApiModifyActionReqSchema = { actionId: action.id };
+        const reason = reasonRef.current?.value.trim();
+        if (reason && reason !== action.reason) data.reason = reason;
+        const ids = textToList(idsRef.current?.value);
+        if (!isSameList(ids, action.ids)) data.ids = ids;
+        if (action.type === 'ban') {
+            const hwids = textToList(hwidsRef.current?.value);
+            if (!isSameList(hwids, actionHwids)) data.hwids = hwids;
+            if (currentDuration === 'custom') {
+                data.duration = `${customMultiplierRef.current?.value} ${customUnits}`;
+            } else if (currentDuration !== KEEP_DURATION_OPTION) {
+                data.duration = currentDuration;
+            }
+        }
+
+        setIsSaving(true);
+        modifyActionApi({
+            data,
+            toastLoadingMessage: `Saving ${action.type}...`,
+            genericHandler: {
+                successMsg: 'Changes saved.',
+            },
+            success: (data) => {
+                setIsSaving(false);
+                if ('success' in data) {
+                    setCurrentDuration(KEEP_DURATION_OPTION);
+                    refreshModalData();
+                }
+            },
+        });
+    }
+
+    return <div className="flex flex-col gap-3">
+        <div className="flex flex-col gap-2">
+            <Label htmlFor="modifyReason">Reason</Label>
+            <Textarea
+                id="modifyReason"
+                ref={reasonRef}
+                defaultValue={action.reason}
+                disabled={disabled}
+                className="w-full"
+            />
+        </div>
+        {action.type === 'ban' && <div className="flex flex-col gap-2">
+            <Label htmlFor="modifyDuration">
+                Duration <span className="text-muted-foreground">(counted from the ban date)</span>
+            </Label>
+            <Select onValueChange={setCurrentDuration} value={currentDuration} disabled={disabled}>
+                <SelectTrigger id="modifyDuration" className="tracking-wide">
+                    <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="tracking-wide">
+                    <SelectItem value={KEEP_DURATION_OPTION} className="font-bold">
+                        Keep ({expirationToText(action.expiration)})
+                    </SelectItem>
+                    <SelectItem value="custom" className="font-bold">Custom (set below)</SelectItem>
+                    <SelectItem value="2 hours">2 HOURS</SelectItem>
+                    <SelectItem value="8 hours">8 HOURS</SelectItem>
+                    <SelectItem value="1 day">1 DAY</SelectItem>
+                    <SelectItem value="2 days">2 DAYS</SelectItem>
+                    <SelectItem value="1 week">1 WEEK</SelectItem>
+                    <SelectItem value="2 weeks">2 WEEKS</SelectItem>
+                    <SelectItem value="permanent" className="font-bold">Permanent</SelectItem>
+                </SelectContent>
+            </Select>
+            {currentDuration === 'custom' && <div className="flex flex-row gap-2">
+                <Input
+                    id="modifyDurationMultiplier"
+                    type="number"
+                    placeholder="123"
+                    disabled={disabled}
+                    ref={customMultiplierRef}
+                />
+                <Select onValueChange={setCustomUnits} value={customUnits} disabled={disabled}>
+                    <SelectTrigger className="tracking-wide">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="tracking-wide">
+                        <SelectItem value="hours">HOURS</SelectItem>
+                        <SelectItem value="days">DAYS</SelectItem>
+                        <SelectItem value="weeks">WEEKS</SelectItem>
+                        <SelectItem value="months">MONTHS</SelectItem>
+                    </SelectContent>
+                </Select>
+            </div>}
+        </div>}
+        <div className="flex flex-col gap-2">
+            <Label htmlFor="modifyIds">Identifiers <span className="text-muted-foreground">(one per line)</span></Label>
+            <Textarea
+                id="modifyIds"
+                ref={idsRef}
+                defaultValue={action.ids.join('\n')}
+                disabled={disabled}
+                className="w-full font-mono text-xs"
+                spellCheck={false}
+            />
+        </div>
+        {action.type === 'ban' && <div className="flex flex-col gap-2">
+            <Label htmlFor="modifyHwids">HWIDs <span className="text-muted-foreground">(one per line)</span></Label>
+            <Textarea
+                id="modifyHwids"
+                ref={hwidsRef}
+                defaultValue={actionHwids.join('\n')}
+                disabled={disabled}
+                className="w-full font-mono text-xs"
+                spellCheck={false}
+            />
+        </div>}
+        <Button
+            size='xs'
+            variant="secondary"
+            disabled={disabled || isSaving}
+            onClick={doSaveChanges}
+        >
+            {isSaving ? (
+                <span className="flex items-center leading-relaxed">
+                    <Loader2Icon className="inline animate-spin h-4" /> Saving...
+                </span>
+            ) : 'Save Changes'}
+        </Button>
+    </div>;
+}
+
+
+type FederatedBanSectionProps = {
+    action: DatabaseActionType;
+    federation: NonNullable<HistoryActionModalSuccess['federation']>;
+    refreshModalData: () => void;
+}
+
+function FederatedBanSection({ action, federation, refreshModalData }: FederatedBanSectionProps) {
+    const [isSaving, setIsSaving] = useState(false);
+    const { hasPerm } = useAdminPerms();
+    const ignoreApi = useBackendApi<GenericApiOkResp, ApiIgnoreFederatedBanReqSchema>({
+        method: 'POST',
+        path: `/history/ignoreFederatedBan`,
+    });
+    if (action.type !== 'ban' || !action.origin) return null;
+
+    const isIgnored = !!action.origin.isIgnored;
+    const doToggleIgnore = () => {
+        setIsSaving(true);
+        ignoreApi({
+            data: { actionId: action.id, ignore: !isIgnored },
+            toastLoadingMessage: 'Saving...',
+            genericHandler: {
+                successMsg: isIgnored ? 'The ban will be enforced again.' : 'The ban will be ignored.',
+            },
+            success: (data) => {
+                setIsSaving(false);
+                if ('success' in data) {
+                    refreshModalData();
+                }
+            },
+        });
+    }
+
+    const sourceName = federation.sourceName ?? 'a deleted source';
+    return <div className="space-y-2">
+        <h3 className="text-xl">Federated Ban</h3>
+        <p className="text-muted-foreground text-sm">
+            This ban was imported from <strong>{sourceName}</strong>.
+            {action.origin.isOverridden ? (
+                <> It was edited or revoked on this server, so the changes made in its source are no longer applied.</>
+            ) : (
+                <> Editing or revoking it will override the ban, and the changes made in its source will no longer be applied.</>
+            )}
+            <span className="block">
+                Ignored bans are still updated by the source, but are not enforced on this server.
+            </span>
+        </p>
+        <Button
+            variant="outline"
+            size='xs'
+            disabled={!hasPerm('players.ban') || isSaving}
+            onClick={doToggleIgnore}
+        >
+            {isSaving ? (
+                <span className="flex items-center leading-relaxed">
+                    <Loader2Icon className="inline animate-spin h-4" /> Saving...
+                </span>
+            ) : isIgnored ? 'Stop Ignoring' : 'Ignore Ban'}
+        </Button>
+    </div>;
+}
 
 
 type ActionModifyTabProps = {
     action: DatabaseActionType;
+    federation: HistoryActionModalSuccess['federation'];
     refreshModalData: () => void;
 }
 
-export default function ActionModifyTab({ action, refreshModalData }: ActionModifyTabProps) {
+export default function ActionModifyTab({ action, federation, refreshModalData }: ActionModifyTabProps) {
     const [isRevoking, setIsRevoking] = useState(false);
     const { hasPerm } = useAdminPerms();
     const revokeActionApi = useBackendApi<GenericApiOkResp, ApiRevokeActionReqSchema>({
@@ -40,7 +297,7 @@ export default function ActionModifyTab({ action, refreshModalData }: ActionModi
     }
 
     const isAlreadyRevoked = !!action.revocation.timestamp;
-    const hasRevokePerm = hasPerm(action.type === 'warn' ? 'players.warn' : 'players.ban');
+    const hasRevokePerm = hasPerm(`players.${action.type}`);
     const revokeBtnLabel = isAlreadyRevoked
         ? `${action.type} revoked`
         : hasRevokePerm
@@ -48,12 +305,44 @@ export default function ActionModifyTab({ action, refreshModalData }: ActionModi
             : 'Revoke (no permission)';
     return (
         <div className="flex flex-col gap-4 px-1 mb-1 md:mb-4">
+            {federation && <FederatedBanSection
+                action={action}
+                federation={federation}
+                refreshModalData={refreshModalData}
+            />}
+
             <div className="space-y-2">
+                <h3 className="text-xl">Edit {upperCasedType}</h3>
+                <p className="text-muted-foreground text-sm">
+                    Fix the reason, duration or identifiers while keeping the {action.type} ID and date.
+                    All edits are kept in the change history below.
+                    {isAlreadyRevoked && <strong className="block">Revoked actions cannot be edited.</strong>}
+                </p>
+                <ActionEditForm
+                    // remount the form after each change, to reset the default values
+                    key={action.changes?.length ?? 0}
+                    action={action}
+                    disabled={isAlreadyRevoked || !hasRevokePerm}
+                    refreshModalData={refreshModalData}
+                />
+            </div>
+
+            {!!action.changes?.length && <div className="space-y-2">
+                <h3 className="text-xl">Change History</h3>
+                <div className="flex flex-col gap-2">
+                    {[...action.changes].reverse().map((change) => (
+                        <ActionChangeItem key={change.timestamp} change={change} />
+                    ))}
+                </div>
+            </div>}
+
+            {action.type !== 'kick' && <div className="space-y-2">
                 <h3 className="text-xl">Revoke {upperCasedType}</h3>
                 <p className="text-muted-foreground text-sm">
                     This is generally done when the player successfully appeals the {action.type} or the admin regrets issuing it.
                     <ul className="list-disc list-inside pt-1">
                         {action.type === 'ban' && <li>The player will be able to rejoin the server.</li>}
+                        {action.type === 'mute' && <li>The player will be unmuted in game.</li>}
                         <li>The player will not be notified of the revocation.</li>
                         <li>This {action.type} will not be removed from the player history.</li>
                         <li>The revocation cannot be undone!</li>
@@ -74,7 +363,7 @@ export default function ActionModifyTab({ action, refreshModalData }: ActionModi
                         </span>
                     ) : revokeBtnLabel}
                 </Button>
-            </div>
+            </div>}
         </div>
     );
 }
@@ -1,6 +1,6 @@
 import { Route, Switch } from "wouter";
 import Login from "../pages/auth/Login";
-import CfxreCallback from "../pages/auth/CfxreCallback";
+import OauthCallback from "../pages/auth/OauthCallback";
 import AddMasterPin from "../pages/auth/AddMasterPin";
 import AddMasterCallback from "../pages/auth/AddMasterCallback";
 import { Card } from "../components/ui/card";
@@ -40,7 +40,7 @@ export default function AuthShell() {
                         </Route>
                         <Route path="/login/callback">
                             <AuthContentWrapper>
-                                <CfxreCallback />
+                                <OauthCallback />
                             </AuthContentWrapper>
                         </Route>
                         <Route path="/addMaster/pin">
@@ -97,6 +97,9 @@ export default function DesktopNavbar() {
                     <HeaderMenuItem href="/history">
                         History
                     </HeaderMenuItem>
+                    <HeaderMenuItem href="/appeals">
+                        Appeals
+                    </HeaderMenuItem>
                     <HeaderMenuItem href="/insights/player-drops">
                         Player Drops
                     </HeaderMenuItem>
@@ -139,6 +142,20 @@ export default function DesktopNavbar() {
                             >
                                 Diagnostics
                             </HeaderMenuLink>
+                            <HeaderMenuLink
+                                className="w-36 justify-start"
+                                href="/system/webhooks"
+                                disabled={!hasPerm('settings.view')}
+                            >
+                                Webhooks
+                            </HeaderMenuLink>
+                            <HeaderMenuLink
+                                className="w-36 justify-start"
+                                href="/system/ban-federation"
+                                disabled={!hasPerm('settings.view')}
+                            >
+                                Ban Federation
+                            </HeaderMenuLink>
                             <HeaderMenuLink
                                 className="w-36 justify-start"
                                 href="/system/console-log"
@@ -153,6 +170,19 @@ export default function DesktopNavbar() {
                             >
                                 Action Log
                             </HeaderMenuLink>
+                            <HeaderMenuLink
+                                className="w-36 justify-start"
+                                href="/system/audit-log"
+                                disabled={!hasPerm('txadmin.log.view')}
+                            >
+                                Audit Log
+                            </HeaderMenuLink>
+                            <HeaderMenuLink
+                                className="w-36 justify-start"
+                                href="/system/api-explorer"
+                            >
+                                API Explorer
+                            </HeaderMenuLink>
                         </NavigationMenuContent>
                     </NavigationMenuItem>
                 </NavigationMenuList>
@@ -11,12 +11,17 @@ import TestingPage from "@/pages/TestingPage/TestingPage";
 import LiveConsolePage from "@/pages/LiveConsole/LiveConsolePage";
 import PlayersPage from "@/pages/Players/PlayersPage";
 import HistoryPage from "@/pages/History/HistoryPage";
+import BanAppealsPage from "@/pages/BanAppeals/BanAppealsPage";
 import BanTemplatesPage from "@/pages/BanTemplates/BanTemplatesPage";
 import SystemLogPage from "@/pages/SystemLogPage";
 import AddLegacyBanPage from "@/pages/AddLegacyBanPage";
 import DashboardPage from "@/pages/Dashboard/DashboardPage";
 import PlayerDropsPage from "@/pages/PlayerDropsPage/PlayerDropsPage";
 import SettingsPage from "@/pages/Settings/SettingsPage";
+import WebhooksPage from "@/pages/Webhooks/WebhooksPage";
+import BanFederationPage from "@/pages/BanFederation/BanFederationPage";
+import AuditLogPage from "@/pages/AuditLog/AuditLogPage";
+import ApiExplorerPage from "@/pages/ApiExplorer/ApiExplorerPage";
 import { useAdminPerms } from "@/hooks/auth";
 import UnauthorizedPage from "@/pages/UnauthorizedPage";
 
@@ -40,6 +45,11 @@ const allRoutes: RouteType[] = [
         title: 'History',
         Page: <HistoryPage />
     },
+    {
+        path: '/appeals',
+        title: 'Ban Appeals',
+        Page: <BanAppealsPage />
+    },
     {
         path: '/insights/player-drops',
         title: 'Player Drops',
@@ -72,6 +82,18 @@ const allRoutes: RouteType[] = [
         title: 'Diagnostics',
         Page: <Iframe legacyUrl="diagnostics" />
     },
+    {
+        path: '/system/webhooks',
+        title: 'Webhooks',
+        permission: 'settings.view',
+        Page: <WebhooksPage />
+    },
+    {
+        path: '/system/ban-federation',
+        title: 'Ban Federation',
+        permission: 'settings.view',
+        Page: <BanFederationPage />
+    },
     {
         path: '/system/console-log',
         title: 'Console Log',
@@ -84,6 +106,17 @@ const allRoutes: RouteType[] = [
         permission: 'txadmin.log.view',
         Page: <SystemLogPage pageName="action" />
     },
+    {
+        path: '/system/audit-log',
+        title: 'Audit Log',
+        permission: 'txadmin.log.view',
+        Page: <AuditLogPage />
+    },
+    {
+        path: '/system/api-explorer',
+        title: 'API Explorer',
+        Page: <ApiExplorerPage />
+    },
 
     //Server Routes
     {
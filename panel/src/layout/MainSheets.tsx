@@ -3,7 +3,7 @@ import { Sheet, SheetContent, SheetHeader, SheetTitle } from "@/components/ui/sh
 import { ServerSidebar } from "./ServerSidebar/ServerSidebar";
 import { useGlobalMenuSheet, usePlayerlistSheet, useServerSheet } from "@/hooks/sheets";
 import { MenuNavLink, NavLink } from "@/components/MainPageLink";
-import { ClipboardCheckIcon, DoorOpenIcon, ListIcon, PieChartIcon, ScrollIcon, SettingsIcon, UserSquare2Icon, UsersIcon, ZapIcon } from 'lucide-react';
+import { BookOpenIcon, ClipboardCheckIcon, GavelIcon, DoorOpenIcon, ListIcon, NetworkIcon, PieChartIcon, ScrollIcon, ScrollTextIcon, SettingsIcon, UserSquare2Icon, UsersIcon, WebhookIcon, ZapIcon } from 'lucide-react';
 import { PlayerlistSidebar } from "./PlayerlistSidebar/PlayerlistSidebar";
 import { useAdminPerms } from "@/hooks/auth";
 import { LogoFullSquareGreen } from "@/components/Logos";
@@ -40,6 +40,9 @@ export function GlobalMenuSheet() {
                             <MenuNavLink href="/history">
                                 <ScrollIcon className="mr-2 h-4 w-4" />History
                             </MenuNavLink>
+                            <MenuNavLink href="/appeals">
+                                <GavelIcon className="mr-2 h-4 w-4" />Ban Appeals
+                            </MenuNavLink>
                             <MenuNavLink href="/insights/player-drops">
                                 <DoorOpenIcon className="mr-2 h-4 w-4" />Player Drops
                             </MenuNavLink>
@@ -65,12 +68,24 @@ export function GlobalMenuSheet() {
                             <MenuNavLink href="/system/diagnostics">
                                 <PieChartIcon className="mr-2 h-4 w-4" />Diagnostics
                             </MenuNavLink>
+                            <MenuNavLink href="/system/webhooks" disabled={!hasPerm('settings.view')}>
+                                <WebhookIcon className="mr-2 h-4 w-4" />Webhooks
+                            </MenuNavLink>
+                            <MenuNavLink href="/system/ban-federation" disabled={!hasPerm('settings.view')}>
+                                <NetworkIcon className="mr-2 h-4 w-4" />Ban Federation
+                            </MenuNavLink>
                             <MenuNavLink href="/system/console-log" disabled={!hasPerm('txadmin.log.view')}>
                                 <ListIcon className="mr-2 h-4 w-4" />Console Log
                             </MenuNavLink>
                             <MenuNavLink href="/system/action-log" disabled={!hasPerm('txadmin.log.view')}>
                                 <ListIcon className="mr-2 h-4 w-4" />Action Log
                             </MenuNavLink>
+                            <MenuNavLink href="/system/audit-log" disabled={!hasPerm('txadmin.log.view')}>
+                                <ScrollTextIcon className="mr-2 h-4 w-4" />Audit Log
+                            </MenuNavLink>
+                            <MenuNavLink href="/system/api-explorer">
+                                <BookOpenIcon className="mr-2 h-4 w-4" />API Explorer
+                            </MenuNavLink>
                         </div>
                     </div>
                 </ScrollArea>
@@ -5,6 +5,7 @@ import { useSetGlobalStatus } from '@/hooks/status';
 import { useProcessUpdateAvailableEvent, useSetOfflineWarning } from '@/hooks/useWarningBar';
 import { useProcessPlayerlistEvents } from '@/hooks/playerlist';
 import { LogoutReasonHash } from '@/pages/auth/Login';
+import { txToast } from '@/components/TxToaster';
 
 
 /**
@@ -63,6 +64,12 @@ export default function MainSocket() {
         socket.on('updateAvailable', function (data) {
             processUpdateAvailableEvent(data);
         });
+        socket.on('warnEscalation', function (data) {
+            txToast.warning({
+                title: 'Automatic Ban',
+                msg: `The player "${data.playerName}" was banned ${data.durationText} after ${data.warns} warns (${data.actionId}).`,
+            }, { duration: 15_000 });
+        });
         socket.on('updateAuthData', function (authData) {
             console.warn('Got updateAuthData from websocket', authData);
             setAuthData(authData);
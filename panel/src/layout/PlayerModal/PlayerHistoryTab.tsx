@@ -20,6 +20,12 @@ function HistoryItem({ action, serverTime, modalOpener }: HistoryItemProps) {
     } else if (action.type === 'warn') {
         borderColorClass = 'border-warning';
         actionMessage = `WARNED by ${action.author}`;
+    } else if (action.type === 'kick') {
+        borderColorClass = 'border-muted-foreground';
+        actionMessage = `KICKED by ${action.author}`;
+    } else if (action.type === 'mute') {
+        borderColorClass = 'border-info';
+        actionMessage = `MUTED by ${action.author}`;
     }
     if (action.revokedBy) {
         borderColorClass = '';
@@ -68,7 +74,7 @@ export default function PlayerHistoryTab({ actionHistory, serverTime, refreshMod
 
     if (!actionHistory.length) {
         return <ModalCentralMessage>
-            No bans/warns found.
+            No bans/warns/kicks/mutes found.
         </ModalCentralMessage>;
     }
 
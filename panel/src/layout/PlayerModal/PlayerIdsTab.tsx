@@ -1,8 +1,33 @@
-import { PlayerModalPlayerData } from "@shared/playerApiTypes";
+import { PlayerModalPlayerData, PlayerNameHistoryItem } from "@shared/playerApiTypes";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import MultiIdsList from "@/components/MultiIdsList";
 import { txToast } from "@/components/TxToaster";
 import { useState } from "react";
+import { cn } from "@/lib/utils";
+import { tsToLocaleDateString } from "@/lib/dateTime";
+
+
+function NameHistoryList({ nameHistory, currentName }: { nameHistory: PlayerNameHistoryItem[], currentName: string }) {
+    return <div>
+        <h3 className="text-xl pb-1">Name History</h3>
+        <div className="border rounded divide-y divide-border/50 text-sm">
+            {nameHistory.map((name) => (
+                <div
+                    key={name.displayName + name.tsFirstSeen}
+                    className={cn(
+                        'flex justify-between gap-2 px-1 leading-6',
+                        name.displayName !== currentName && 'text-muted-foreground'
+                    )}
+                >
+                    <span className="line-clamp-1 break-all">{name.displayName}</span>
+                    <span className="shrink-0 text-xs leading-6" title="First seen - Last seen">
+                        {tsToLocaleDateString(name.tsFirstSeen, 'medium')} - {tsToLocaleDateString(name.tsLastSeen, 'medium')}
+                    </span>
+                </div>
+            ))}
+        </div>
+    </div>;
+}
 
 
 type PlayerIdsTabProps = {
@@ -30,6 +55,9 @@ export default function PlayerIdsTab({ player, refreshModalData }: PlayerIdsTabP
 
     return <TooltipProvider>
         <div className="flex flex-col gap-4 p-1">
+            {player.nameHistory && player.nameHistory.length > 1 && (
+                <NameHistoryList nameHistory={player.nameHistory} currentName={player.displayName} />
+            )}
             <MultiIdsList
                 type='id'
                 src='player'
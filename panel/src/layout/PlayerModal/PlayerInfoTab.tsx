@@ -1,7 +1,5 @@
 import DateTimeCorrected from "@/components/DateTimeCorrected";
 import { Button } from "@/components/ui/button";
-import { Label } from "@/components/ui/label";
-import { Textarea } from "@/components/ui/textarea";
 import { useAdminPerms } from "@/hooks/auth";
 import { useBackendApi } from "@/hooks/fetch";
 import { PlayerModalRefType } from "@/hooks/playerModal";
@@ -9,8 +7,10 @@ import { cn } from "@/lib/utils";
 import { msToDuration, tsToLocaleDateTimeString } from "@/lib/dateTime";
 import { GenericApiOkResp } from "@shared/genericApiTypes";
 import { PlayerModalPlayerData } from "@shared/playerApiTypes";
+import { PlayerTagDataType } from "@shared/otherTypes";
 import { ShieldAlertIcon } from "lucide-react";
-import { useMemo, useRef, useState } from "react";
+import { useMemo } from "react";
+import PlayerNotesBox from "./PlayerNotesBox";
 
 
 function LogActionCounter({ type, count }: { type: 'Ban' | 'Warn', count: number }) {
@@ -32,94 +32,82 @@ function LogActionCounter({ type, count }: { type: 'Ban' | 'Warn', count: number
     }
 }
 
-type PlayerNotesBoxProps = {
+type PlayerTagsRowProps = {
     playerRef: PlayerModalRefType;
     player: PlayerModalPlayerData;
+    playerTags: PlayerTagDataType[];
     refreshModalData: () => void;
 }
 
-const calcTextAreaLines = (text?: string) => {
-    if (!text) return 3;
-    const lines = text.trim().split('\n').length + 1;
-    return Math.min(Math.max(lines, 3), 16);
-}
-
-function PlayerNotesBox({ playerRef, player, refreshModalData }: PlayerNotesBoxProps) {
-    const textAreaRef = useRef<HTMLTextAreaElement>(null);
-    const [notesLogText, setNotesLogText] = useState(player.notesLog ?? '');
-    const [textAreaLines, setTextAreaLines] = useState(calcTextAreaLines(player.notes));
-    const playerNotesApi = useBackendApi<GenericApiOkResp>({
+function PlayerTagsRow({ playerRef, player, playerTags, refreshModalData }: PlayerTagsRowProps) {
+    const playerTagsApi = useBackendApi<GenericApiOkResp>({
         method: 'POST',
-        path: `/player/save_note`,
+        path: `/player/tags`,
     });
+    const currentTags = player.tags ?? [];
 
-    const doSaveNotes = () => {
-        setNotesLogText('Saving...');
-        playerNotesApi({
+    const handleTagClick = (tagId: string) => {
+        const newTags = currentTags.includes(tagId)
+            ? currentTags.filter((id) => id !== tagId)
+            : [...currentTags, tagId];
+        playerTagsApi({
             queryParams: playerRef,
-            data: {
-                note: textAreaRef.current?.value.trim(),
+            data: { tags: newTags },
+            toastLoadingMessage: 'Saving tags...',
+            genericHandler: {
+                successMsg: 'Tags saved.',
             },
             success: (data) => {
-                if ('error' in data) {
-                    setNotesLogText(data.error);
-                } else {
+                if ('success' in data) {
                     refreshModalData();
                 }
             },
         });
     }
 
-    const handleKeyDown = (event: React.KeyboardEvent<HTMLTextAreaElement>) => {
-        if (event.key === 'Enter' && !event.shiftKey && !window.txIsMobile) {
-            event.preventDefault();
-            doSaveNotes();
-        } else {
-            setTextAreaLines(calcTextAreaLines(event.currentTarget.value));
-        }
-    }
-
-    return <>
-        <Label htmlFor="playerNotes">
-            Notes: <span className="text-muted-foreground">{notesLogText}</span>
-        </Label>
-        <Textarea
-            ref={textAreaRef}
-            id="playerNotes"
-            className="w-full mt-1"
-            disabled={!player.isRegistered}
-            defaultValue={player.notes}
-            onChange={() => setNotesLogText('Press enter to save.')}
-            onKeyDown={handleKeyDown}
-            //1rem of padding + 1.25rem per line
-            style={{ height: `${1 + 1.25 * textAreaLines}rem` }}
-            placeholder={player.isRegistered
-                ? 'Type your notes about the player.'
-                : 'Cannot set notes for players that are not registered.'}
-        />
-        {window.txIsMobile && <div className="mt-2 w-full">
-            <Button
-                variant="outline"
-                size='xs'
-                onClick={doSaveNotes}
-                disabled={!player.isRegistered}
-                className="w-full"
-            >Save Note</Button>
-        </div>}
-    </>
+    return <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
+        <dt className="text-sm font-medium leading-6 text-muted-foreground">Tags</dt>
+        <dd className="text-sm leading-6 col-span-2 mt-0 flex flex-wrap gap-1">
+            {playerTags.length ? playerTags.map((tag) => {
+                const isActive = currentTags.includes(tag.id);
+                return <button
+                    key={tag.id}
+                    className={cn(
+                        'h-max rounded-sm text-xs font-semibold px-1.5 py-[0.125rem] tracking-wider border-2',
+                        'disabled:cursor-not-allowed disabled:opacity-50',
+                        isActive ? 'text-white' : 'text-muted-foreground opacity-60 hover:opacity-100',
+                    )}
+                    style={{
+                        borderColor: tag.color,
+                        backgroundColor: isActive ? tag.color : undefined,
+                    }}
+                    title={isActive ? `Remove ${tag.label}` : `Add ${tag.label}`}
+                    onClick={() => handleTagClick(tag.id)}
+                    disabled={!player.isRegistered}
+                >
+                    {tag.label}
+                </button>
+            }) : (
+                <span className="text-muted-foreground italic">
+                    No tags defined, add them in the Settings page.
+                </span>
+            )}
+        </dd>
+    </div>;
 }
 
 
 type PlayerInfoTabProps = {
     playerRef: PlayerModalRefType;
     player: PlayerModalPlayerData;
+    playerTags: PlayerTagDataType[];
     serverTime: number;
     tsFetch: number;
     setSelectedTab: (t: string) => void;
     refreshModalData: () => void;
 }
 
-export default function PlayerInfoTab({ playerRef, player, serverTime, tsFetch, setSelectedTab, refreshModalData }: PlayerInfoTabProps) {
+export default function PlayerInfoTab({ playerRef, player, playerTags, serverTime, tsFetch, setSelectedTab, refreshModalData }: PlayerInfoTabProps) {
     const { hasPerm } = useAdminPerms();
     const playerWhitelistApi = useBackendApi<GenericApiOkResp>({
         method: 'POST',
@@ -255,6 +243,24 @@ export default function PlayerInfoTab({ playerRef, player, serverTime, tsFetch,
                     >View</Button>
                 </dd>
             </div>
+            {player.nameHistory && player.nameHistory.length > 1 && <div className="py-0.5 grid grid-cols-3 gap-4 px-0">
+                <dt className="text-sm font-medium leading-6 text-muted-foreground">Known Names</dt>
+                <dd className="text-sm leading-6 mt-0">{player.nameHistory.length} names</dd>
+                <dd className="text-right">
+                    <Button
+                        variant="outline"
+                        size='inline'
+                        style={{ minWidth: '8.25ch' }}
+                        onClick={() => { setSelectedTab('IDs') }}
+                    >View</Button>
+                </dd>
+            </div>}
+            <PlayerTagsRow
+                playerRef={playerRef}
+                player={player}
+                playerTags={playerTags}
+                refreshModalData={refreshModalData}
+            />
         </dl>
 
         <PlayerNotesBox player={player} playerRef={playerRef} refreshModalData={refreshModalData} />
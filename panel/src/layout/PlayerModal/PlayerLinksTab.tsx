@@ -0,0 +1,213 @@
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import GenericSpinner from "@/components/GenericSpinner";
+import ModalCentralMessage from "@/components/ModalCentralMessage";
+import { useAdminPerms } from "@/hooks/auth";
+import { useBackendApi } from "@/hooks/fetch";
+import { PlayerModalRefType, useOpenPlayerModal } from "@/hooks/playerModal";
+import { cn } from "@/lib/utils";
+import { msToDuration, tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { GenericApiOkResp } from "@shared/genericApiTypes";
+import { PlayerLinkReasonType, PlayerLinksResp, PlayerLinksSuccess } from "@shared/playerApiTypes";
+import { useEffect, useState } from "react";
+import PlayerHistoryTab from "./PlayerHistoryTab";
+
+
+const reasonLabels: Record<PlayerLinkReasonType, string> = {
+    discord: 'Discord',
+    fivem: 'FiveM',
+    steam: 'Steam',
+    xbl: 'XBL',
+    live: 'Live',
+    hwid: 'HWID',
+    ip: 'IP',
+};
+
+const playTimeToText = (playTime: number) => {
+    if (!playTime) return '--';
+    return msToDuration(playTime * 60_000, { units: ['d', 'h', 'm'] });
+}
+
+
+type LinkedAccountRowProps = {
+    displayName: string;
+    license: string;
+    playTime: number;
+    details: React.ReactNode;
+    actionLabel: string;
+    onAction: () => void;
+    canAct: boolean;
+    isDestructive?: boolean;
+}
+
+function LinkedAccountRow({ displayName, license, playTime, details, actionLabel, onAction, canAct, isDestructive }: LinkedAccountRowProps) {
+    const openPlayerModal = useOpenPlayerModal();
+    return (
+        <div className="flex items-center justify-between gap-2 pl-2 py-1 rounded-sm bg-muted/30 hover:bg-muted">
+            <div
+                className="flex flex-col min-w-0 cursor-pointer"
+                onClick={() => openPlayerModal({ license })}
+            >
+                <span className="text-sm font-semibold line-clamp-1 break-all">{displayName}</span>
+                <small className="text-xs text-muted-foreground">
+                    {playTimeToText(playTime)} {details}
+                </small>
+            </div>
+            <Button
+                size='xs'
+                variant="outline"
+                className={cn('shrink-0', isDestructive && 'hover:bg-destructive hover:text-destructive-foreground')}
+                disabled={!canAct}
+                onClick={onAction}
+            >
+                {actionLabel}
+            </Button>
+        </div>
+    );
+}
+
+
+type PlayerLinksTabProps = {
+    playerRef: PlayerModalRefType;
+    isRegistered: boolean;
+    refreshModalData: () => void;
+}
+
+export default function PlayerLinksTab({ playerRef, isRegistered, refreshModalData }: PlayerLinksTabProps) {
+    const { hasPerm } = useAdminPerms();
+    const [linksData, setLinksData] = useState<PlayerLinksSuccess | undefined>(undefined);
+    const [linksError, setLinksError] = useState('');
+    const [currRefreshKey, setCurrRefreshKey] = useState(0);
+    const playerLinksApi = useBackendApi<PlayerLinksResp>({
+        method: 'GET',
+        path: `/player/links`,
+        abortOnUnmount: true,
+    });
+    const playerLinkApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/link`,
+    });
+    const playerUnlinkApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/unlink`,
+    });
+    const canLink = hasPerm('players.ban');
+
+    useEffect(() => {
+        if (!isRegistered) return;
+        playerLinksApi({
+            queryParams: playerRef,
+            success: (resp) => {
+                if ('error' in resp) {
+                    setLinksError(resp.error);
+                } else {
+                    setLinksError('');
+                    setLinksData(resp);
+                }
+            },
+            error: (error) => {
+                setLinksError(error);
+            },
+        });
+    }, [playerRef, isRegistered, currRefreshKey]);
+
+    const handleLinkChange = (targetLicense: string, isLink: boolean) => {
+        const api = isLink ? playerLinkApi : playerUnlinkApi;
+        api({
+            queryParams: playerRef,
+            data: { targetLicense },
+            toastLoadingMessage: isLink ? 'Linking accounts...' : 'Unlinking accounts...',
+            genericHandler: {
+                successMsg: isLink ? 'Accounts linked.' : 'Accounts unlinked.',
+            },
+            success: (data) => {
+                if ('success' in data) {
+                    setCurrRefreshKey(currRefreshKey + 1);
+                }
+            },
+        });
+    }
+
+    if (!isRegistered) {
+        return <ModalCentralMessage>
+            Cannot link accounts of players that are not registered.
+        </ModalCentralMessage>;
+    } else if (linksError) {
+        return <ModalCentralMessage>
+            <span className="text-destructive-inline">Error: {linksError}</span>
+        </ModalCentralMessage>;
+    } else if (!linksData) {
+        return <ModalCentralMessage>
+            <GenericSpinner msg="Loading..." />
+        </ModalCentralMessage>;
+    }
+
+    return <div className="flex flex-col gap-4 p-1">
+        <div>
+            <h3 className="text-lg font-semibold">Linked Accounts</h3>
+            <p className="text-sm text-muted-foreground">
+                Combined playtime: <strong>{playTimeToText(linksData.combinedPlayTime)}</strong>
+            </p>
+            <div className="flex flex-col gap-1 mt-2">
+                {linksData.linked.length ? linksData.linked.map((account) => (
+                    <LinkedAccountRow
+                        key={account.license}
+                        displayName={account.displayName}
+                        license={account.license}
+                        playTime={account.playTime}
+                        details={account.linkedBy && account.tsLinked
+                            ? `· linked by ${account.linkedBy} on ${tsToLocaleDateTimeString(account.tsLinked, 'medium', 'short')}`
+                            : '· linked through another account'}
+                        actionLabel="Unlink"
+                        onAction={() => handleLinkChange(account.license, false)}
+                        canAct={canLink && !!account.linkedBy}
+                        isDestructive
+                    />
+                )) : (
+                    <span className="text-sm text-muted-foreground italic">No linked accounts.</span>
+                )}
+            </div>
+        </div>
+
+        <div>
+            <h3 className="text-lg font-semibold">Suggested Accounts</h3>
+            <p className="text-xs text-muted-foreground">
+                Accounts sharing identifiers or HWIDs with this player. <br />
+                IP matches only consider the players that joined since the server started.
+            </p>
+            <div className="flex flex-col gap-1 mt-2">
+                {linksData.suggestions.length ? linksData.suggestions.map((suggestion) => (
+                    <LinkedAccountRow
+                        key={suggestion.license}
+                        displayName={suggestion.displayName}
+                        license={suggestion.license}
+                        playTime={suggestion.playTime}
+                        details={suggestion.reasons.map((reason) => (
+                            <Badge key={reason} variant="secondary" className="ml-1 px-1.5 py-0 text-2xs">
+                                {reasonLabels[reason]}
+                            </Badge>
+                        ))}
+                        actionLabel="Confirm Link"
+                        onAction={() => handleLinkChange(suggestion.license, true)}
+                        canAct={canLink}
+                    />
+                )) : (
+                    <span className="text-sm text-muted-foreground italic">No suggestions found.</span>
+                )}
+            </div>
+        </div>
+
+        {linksData.linked.length > 0 && <div>
+            <h3 className="text-lg font-semibold">Combined History</h3>
+            {linksData.actionHistory.length ? (
+                <PlayerHistoryTab
+                    actionHistory={linksData.actionHistory}
+                    serverTime={linksData.serverTime}
+                    refreshModalData={refreshModalData}
+                />
+            ) : (
+                <span className="text-sm text-muted-foreground italic">No bans/warns found.</span>
+            )}
+        </div>}
+    </div>;
+}
@@ -5,13 +5,15 @@ import {
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
 import { setPlayerModalUrlParam, usePlayerModalStateValue } from "@/hooks/playerModal";
-import { InfoIcon, ListIcon, HistoryIcon, GavelIcon } from "lucide-react";
+import { InfoIcon, ListIcon, HistoryIcon, GavelIcon, LinkIcon, CalendarClockIcon } from "lucide-react";
 import PlayerInfoTab from "./PlayerInfoTab";
 import { useEffect, useState } from "react";
 import PlayerIdsTab from "./PlayerIdsTab";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import PlayerHistoryTab from "./PlayerHistoryTab";
 import PlayerBanTab from "./PlayerBanTab";
+import PlayerLinksTab from "./PlayerLinksTab";
+import PlayerSessionsTab from "./PlayerSessionsTab";
 import GenericSpinner from "@/components/GenericSpinner";
 import { cn } from "@/lib/utils";
 import { useBackendApi } from "@/hooks/fetch";
@@ -29,10 +31,18 @@ const modalTabs = [
         title: 'History',
         icon: <HistoryIcon className="mr-2 h-5 w-5 hidden xs:block" />,
     },
+    {
+        title: 'Sessions',
+        icon: <CalendarClockIcon className="mr-2 h-5 w-5 hidden xs:block" />,
+    },
     {
         title: 'IDs',
         icon: <ListIcon className="mr-2 h-5 w-5 hidden xs:block" />,
     },
+    {
+        title: 'Links',
+        icon: <LinkIcon className="mr-2 h-5 w-5 hidden xs:block" />,
+    },
     {
         title: 'Ban',
         icon: <GavelIcon className="mr-2 h-5 w-5 hidden xs:block" />,
@@ -183,6 +193,7 @@ export default function PlayerModal() {
                                 {selectedTab === 'Info' && <PlayerInfoTab
                                     playerRef={playerRef!}
                                     player={modalData.player}
+                                    playerTags={modalData.playerTags}
                                     serverTime={modalData.serverTime}
                                     tsFetch={tsFetch}
                                     setSelectedTab={setSelectedTab}
@@ -193,10 +204,19 @@ export default function PlayerModal() {
                                     serverTime={modalData.serverTime}
                                     refreshModalData={refreshModalData}
                                 />}
+                                {selectedTab === 'Sessions' && <PlayerSessionsTab
+                                    playerRef={playerRef!}
+                                    isRegistered={modalData.player.isRegistered}
+                                />}
                                 {selectedTab === 'IDs' && <PlayerIdsTab
                                     player={modalData.player}
                                     refreshModalData={refreshModalData}
                                 />}
+                                {selectedTab === 'Links' && <PlayerLinksTab
+                                    playerRef={playerRef!}
+                                    isRegistered={modalData.player.isRegistered}
+                                    refreshModalData={refreshModalData}
+                                />}
                                 {selectedTab === 'Ban' && <PlayerBanTab
                                     banTemplates={modalData.banTemplates}
                                     playerRef={playerRef!}
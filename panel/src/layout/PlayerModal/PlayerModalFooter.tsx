@@ -1,7 +1,7 @@
 import { DialogFooter } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
 import { PlayerModalRefType, useClosePlayerModal } from "@/hooks/playerModal";
-import { AlertTriangleIcon, MailIcon, ShieldCheckIcon } from "lucide-react";
+import { AlertTriangleIcon, MailIcon, MicOffIcon, ShieldCheckIcon } from "lucide-react";
 import { KickOneIcon } from '@/components/KickIcons';
 import { useBackendApi } from "@/hooks/fetch";
 import { useAdminPerms } from "@/hooks/auth";
@@ -38,6 +38,10 @@ export default function PlayerModalFooter({ playerRef, player }: PlayerModalFoot
         method: 'POST',
         path: `/player/warn`,
     });
+    const playerMuteApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/mute`,
+    });
 
     const closeOnSuccess = (data: GenericApiOkResp) => {
         if ('success' in data) {
@@ -129,6 +133,39 @@ export default function PlayerModalFooter({ playerRef, player }: PlayerModalFoot
         });
     }
 
+    const handleMute = () => {
+        if (!player) return;
+        openPromptDialog({
+            title: `Mute ${player.displayName}`,
+            message: <p>
+                Type below the mute reason. <br />
+                The player chat messages and voice will be blocked in game until the mute expires.
+            </p>,
+            placeholder: 'The reason for the mute, rule violated, etc.',
+            submitLabel: 'Next',
+            required: true,
+            onSubmit: (reason) => {
+                openPromptDialog({
+                    title: `Mute ${player.displayName}`,
+                    message: 'Select or type the mute duration, like "30 minutes" or "2 hours" (max 30 days).',
+                    placeholder: '30 minutes',
+                    suggestions: ['15 minutes', '1 hour', '6 hours', '1 day'],
+                    submitLabel: 'Mute',
+                    required: true,
+                    onSubmit: (duration) => {
+                        playerMuteApi({
+                            queryParams: playerRef,
+                            data: { reason, duration },
+                            genericHandler: { successMsg: 'Player muted.' },
+                            toastLoadingMessage: 'Muting player...',
+                            success: closeOnSuccess,
+                        });
+                    }
+                });
+            }
+        });
+    }
+
     return (
         <DialogFooter className="max-w-2xl gap-2 p-2 md:p-4 border-t grid grid-cols-2 sm:flex">
             <Button
@@ -172,6 +209,15 @@ export default function PlayerModalFooter({ playerRef, player }: PlayerModalFoot
             >
                 <AlertTriangleIcon className="h-5 mr-1" /> Warn
             </Button>
+            <Button
+                variant='outline'
+                size='sm'
+                disabled={!hasPerm('players.mute') || !player}
+                onClick={handleMute}
+                className="pl-2"
+            >
+                <MicOffIcon className="h-5 mr-1" /> Mute
+            </Button>
         </DialogFooter>
     )
 }
@@ -0,0 +1,284 @@
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { useOpenConfirmDialog } from "@/hooks/dialogs";
+import { useBackendApi } from "@/hooks/fetch";
+import { PlayerModalRefType } from "@/hooks/playerModal";
+import { cn } from "@/lib/utils";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { GenericApiOkResp } from "@shared/genericApiTypes";
+import { PlayerModalPlayerData, PlayerNoteItem } from "@shared/playerApiTypes";
+import { PinIcon } from "lucide-react";
+import { useRef, useState } from "react";
+
+
+const calcTextAreaLines = (text?: string) => {
+    if (!text) return 3;
+    const lines = text.trim().split('\n').length + 1;
+    return Math.min(Math.max(lines, 3), 16);
+}
+
+const tsToText = (ts: number) => tsToLocaleDateTimeString(ts, 'medium', 'short');
+
+
+type NoteTextAreaProps = {
+    id?: string;
+    defaultValue?: string;
+    placeholder: string;
+    disabled?: boolean;
+    autoFocus?: boolean;
+    onSubmit: (text: string) => void;
+    onChange?: () => void;
+}
+
+function NoteTextArea({ id, defaultValue, placeholder, disabled, autoFocus, onSubmit, onChange }: NoteTextAreaProps) {
+    const textAreaRef = useRef<HTMLTextAreaElement>(null);
+    const [textAreaLines, setTextAreaLines] = useState(calcTextAreaLines(defaultValue));
+
+    const doSubmit = () => {
+        const text = textAreaRef.current?.value.trim();
+        if (text) onSubmit(text);
+    }
+
+    const handleKeyDown = (event: React.KeyboardEvent<HTMLTextAreaElement>) => {
+        if (event.key === 'Enter' && !event.shiftKey && !window.txIsMobile) {
+            event.preventDefault();
+            doSubmit();
+        } else {
+            setTextAreaLines(calcTextAreaLines(event.currentTarget.value));
+        }
+    }
+
+    return <>
+        <Textarea
+            ref={textAreaRef}
+            id={id}
+            className="w-full mt-1"
+            disabled={disabled}
+            defaultValue={defaultValue}
+            autoFocus={autoFocus}
+            onChange={onChange}
+            onKeyDown={handleKeyDown}
+            //1rem of padding + 1.25rem per line
+            style={{ height: `${1 + 1.25 * textAreaLines}rem` }}
+            placeholder={placeholder}
+        />
+        {window.txIsMobile && <div className="mt-2 w-full">
+            <Button
+                variant="outline"
+                size='xs'
+                onClick={doSubmit}
+                disabled={disabled}
+                className="w-full"
+            >Save Note</Button>
+        </div>}
+    </>
+}
+
+
+type PlayerNoteCardProps = {
+    note: PlayerNoteItem;
+    onEdit: (noteId: string, text: string) => void;
+    onPin: (noteId: string, isPinned: boolean) => void;
+    onDelete: (noteId: string) => void;
+}
+
+function PlayerNoteCard({ note, onEdit, onPin, onDelete }: PlayerNoteCardProps) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [showEdits, setShowEdits] = useState(false);
+
+    if (note.deleted) {
+        return <div className="px-2 py-1 rounded-sm border border-dashed text-xs text-muted-foreground italic">
+            Note by {note.author} from {tsToText(note.ts)} was deleted by {note.deleted.author} on {tsToText(note.deleted.ts)}.
+        </div>;
+    }
+
+    const lastEdit = note.edits.at(-1);
+    return <div className={cn(
+        'px-2 py-1 rounded-sm border bg-muted/30',
+        note.isPinned && 'border-warning/70',
+    )}>
+        <div className="flex items-center justify-between gap-2">
+            <small className="text-xs text-muted-foreground">
+                {note.isPinned && <PinIcon className="inline size-3 mr-1 text-warning" />}
+                <strong>{note.author}</strong> · {tsToText(note.ts)}
+                {lastEdit && <>
+                    {' · '}
+                    <button
+                        className="underline decoration-dotted hover:text-primary"
+                        onClick={() => setShowEdits(!showEdits)}
+                    >
+                        edited by {lastEdit.author} on {tsToText(lastEdit.ts)}
+                    </button>
+                </>}
+            </small>
+            <div className="flex gap-1 shrink-0">
+                <Button size='inline' variant="outline" onClick={() => onPin(note.id, !note.isPinned)}>
+                    {note.isPinned ? 'Unpin' : 'Pin'}
+                </Button>
+                <Button size='inline' variant="outline" onClick={() => setIsEditing(!isEditing)}>
+                    {isEditing ? 'Cancel' : 'Edit'}
+                </Button>
+                <Button
+                    size='inline'
+                    variant="outline"
+                    className="hover:bg-destructive hover:text-destructive-foreground"
+                    onClick={() => onDelete(note.id)}
+                >
+                    Delete
+                </Button>
+            </div>
+        </div>
+        {isEditing ? (
+            <NoteTextArea
+                defaultValue={note.text}
+                placeholder="Type the new note text."
+                autoFocus
+                onSubmit={(text) => {
+                    setIsEditing(false);
+                    onEdit(note.id, text);
+                }}
+            />
+        ) : (
+            <p className="text-sm whitespace-pre-wrap break-words">{note.text}</p>
+        )}
+        {showEdits && <div className="mt-1 flex flex-col gap-1">
+            {[...note.edits].reverse().map((edit) => (
+                <div key={edit.ts} className="pl-2 border-l-2 text-xs text-muted-foreground">
+                    <span>Before the edit by {edit.author} on {tsToText(edit.ts)}:</span>
+                    <p className="whitespace-pre-wrap break-words line-through">{edit.previousText}</p>
+                </div>
+            ))}
+        </div>}
+    </div>;
+}
+
+
+type PlayerNotesBoxProps = {
+    playerRef: PlayerModalRefType;
+    player: PlayerModalPlayerData;
+    refreshModalData: () => void;
+}
+
+export default function PlayerNotesBox({ playerRef, player, refreshModalData }: PlayerNotesBoxProps) {
+    const openConfirmDialog = useOpenConfirmDialog();
+    const [notesLogText, setNotesLogText] = useState('');
+    const [newNoteKey, setNewNoteKey] = useState(0);
+    const notes = player.notes ?? [];
+    const playerNoteAddApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/note_add`,
+    });
+    const playerNoteEditApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/note_edit`,
+    });
+    const playerNotePinApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/note_pin`,
+    });
+    const playerNoteDeleteApi = useBackendApi<GenericApiOkResp>({
+        method: 'POST',
+        path: `/player/note_delete`,
+    });
+
+    const doAddNote = (note: string) => {
+        setNotesLogText('Saving...');
+        playerNoteAddApi({
+            queryParams: playerRef,
+            data: { note },
+            success: (data) => {
+                if ('error' in data) {
+                    setNotesLogText(data.error);
+                } else {
+                    setNotesLogText('');
+                    setNewNoteKey(newNoteKey + 1);
+                    refreshModalData();
+                }
+            },
+        });
+    }
+
+    const handleEdit = (noteId: string, note: string) => {
+        playerNoteEditApi({
+            queryParams: playerRef,
+            data: { noteId, note },
+            toastLoadingMessage: 'Saving note...',
+            genericHandler: {
+                successMsg: 'Note edited.',
+            },
+            success: (data) => {
+                if ('success' in data) {
+                    refreshModalData();
+                }
+            },
+        });
+    }
+
+    const handlePin = (noteId: string, isPinned: boolean) => {
+        playerNotePinApi({
+            queryParams: playerRef,
+            data: { noteId, isPinned },
+            toastLoadingMessage: isPinned ? 'Pinning note...' : 'Unpinning note...',
+            genericHandler: {
+                successMsg: isPinned ? 'Note pinned.' : 'Note unpinned.',
+            },
+            success: (data) => {
+                if ('success' in data) {
+                    refreshModalData();
+                }
+            },
+        });
+    }
+
+    const handleDelete = (noteId: string) => {
+        openConfirmDialog({
+            title: 'Delete Note',
+            message: 'Are you sure you want to delete this note? The other admins will still see who deleted it and when.',
+            confirmBtnVariant: 'destructive',
+            actionLabel: 'Delete',
+            onConfirm: () => {
+                playerNoteDeleteApi({
+                    queryParams: playerRef,
+                    data: { noteId },
+                    toastLoadingMessage: 'Deleting note...',
+                    genericHandler: {
+                        successMsg: 'Note deleted.',
+                    },
+                    success: (data) => {
+                        if ('success' in data) {
+                            refreshModalData();
+                        }
+                    },
+                });
+            },
+        });
+    }
+
+    return <>
+        <Label htmlFor="playerNotes">
+            Notes: <span className="text-muted-foreground">{notesLogText}</span>
+        </Label>
+        <NoteTextArea
+            key={newNoteKey}
+            id="playerNotes"
+            disabled={!player.isRegistered}
+            onChange={() => setNotesLogText('Press enter to add the note.')}
+            onSubmit={doAddNote}
+            placeholder={player.isRegistered
+                ? 'Type a new note about the player.'
+                : 'Cannot add notes for players that are not registered.'}
+        />
+        {notes.length > 0 && <div className="mt-2 flex flex-col gap-1">
+            {notes.map((note) => (
+                <PlayerNoteCard
+                    key={note.id}
+                    note={note}
+                    onEdit={handleEdit}
+                    onPin={handlePin}
+                    onDelete={handleDelete}
+                />
+            ))}
+        </div>}
+    </>
+}
@@ -0,0 +1,169 @@
+import GenericSpinner from "@/components/GenericSpinner";
+import ModalCentralMessage from "@/components/ModalCentralMessage";
+import { useBackendApi } from "@/hooks/fetch";
+import { PlayerModalRefType } from "@/hooks/playerModal";
+import { cn } from "@/lib/utils";
+import { msToShortDuration, tsToLocaleDateTimeString, tsToLocaleTimeString } from "@/lib/dateTime";
+import { playerDropCategories } from "@/lib/playerDropCategories";
+import { PlayerSessionItem, PlayerSessionsResp, PlayerSessionsSuccess } from "@shared/playerApiTypes";
+import { useEffect, useMemo, useState } from "react";
+
+
+const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const hourLabels = [0, 6, 12, 18];
+
+const isSameDay = (tsA: number, tsB: number) => {
+    return new Date(tsA * 1000).toDateString() === new Date(tsB * 1000).toDateString();
+}
+
+
+function SessionsHeatmap({ heatmap }: { heatmap: number[][] }) {
+    const maxMinutes = useMemo(() => Math.max(...heatmap.flat()), [heatmap]);
+    return (
+        <div className="flex flex-col gap-0.5 text-2xs text-muted-foreground">
+            <div className="flex gap-0.5 pl-8">
+                {Array.from({ length: 24 }, (_, hour) => (
+                    <div key={hour} className="flex-1 min-w-0">
+                        {hourLabels.includes(hour) ? `${hour}h` : ''}
+                    </div>
+                ))}
+            </div>
+            {heatmap.map((day, dayIndex) => (
+                <div key={dayIndex} className="flex gap-0.5 items-center">
+                    <div className="w-8 shrink-0">{weekDays[dayIndex]}</div>
+                    {day.map((minutes, hour) => (
+                        <div
+                            key={hour}
+                            className={cn('flex-1 h-4 rounded-sm', minutes ? 'bg-primary' : 'bg-muted')}
+                            style={minutes ? { opacity: 0.15 + 0.85 * (minutes / maxMinutes) } : undefined}
+                            title={`${weekDays[dayIndex]} ${hour}:00 - ${hour + 1}:00 · ${minutes ? msToShortDuration(minutes * 60_000, { units: ['d', 'h', 'm'] }) : 'never'}`}
+                        />
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+
+function SessionRow({ session, serverTime }: { session: PlayerSessionItem, serverTime: number }) {
+    const tsLeave = session.tsLeave ?? serverTime;
+    const leaveTime = isSameDay(session.tsJoin, tsLeave)
+        ? tsToLocaleTimeString(tsLeave)
+        : tsToLocaleDateTimeString(tsLeave, 'medium', 'short');
+    const duration = msToShortDuration((tsLeave - session.tsJoin) * 1000, { units: ['d', 'h', 'm'] });
+
+    let dropLabel;
+    if (!session.dropCategory) {
+        dropLabel = <span className="text-success-inline">Online</span>;
+    } else if (session.dropCategory === 'shutdown') {
+        dropLabel = <span className="text-muted-foreground">Server Closed</span>;
+    } else {
+        const category = playerDropCategories[session.dropCategory];
+        dropLabel = <span style={{ color: category?.color }}>{category?.label ?? session.dropCategory}</span>;
+    }
+
+    return (
+        <div className="flex items-center justify-between gap-2 px-2 py-1 rounded-sm bg-muted/30 hover:bg-muted text-sm">
+            <div className="flex flex-col min-w-0">
+                <span>
+                    {tsToLocaleDateTimeString(session.tsJoin, 'medium', 'short')}
+                    <span className="text-muted-foreground"> → </span>
+                    {session.tsLeave ? leaveTime : 'now'}
+                </span>
+                <small className="text-xs text-muted-foreground font-mono">
+                    {session.mutex}#{session.netid}
+                </small>
+            </div>
+            <div className="flex flex-col items-end shrink-0">
+                <span className="font-semibold">{duration || '0m'}</span>
+                <small className="text-xs">{dropLabel}</small>
+            </div>
+        </div>
+    );
+}
+
+
+type PlayerSessionsTabProps = {
+    playerRef: PlayerModalRefType;
+    isRegistered: boolean;
+}
+
+export default function PlayerSessionsTab({ playerRef, isRegistered }: PlayerSessionsTabProps) {
+    const [sessionsData, setSessionsData] = useState<PlayerSessionsSuccess | undefined>(undefined);
+    const [sessionsError, setSessionsError] = useState('');
+    const playerSessionsApi = useBackendApi<PlayerSessionsResp>({
+        method: 'GET',
+        path: `/player/sessions`,
+        abortOnUnmount: true,
+    });
+
+    useEffect(() => {
+        if (!isRegistered) return;
+        playerSessionsApi({
+            queryParams: {
+                ...playerRef,
+                tzOffset: new Date().getTimezoneOffset(),
+            },
+            success: (resp) => {
+                if ('error' in resp) {
+                    setSessionsError(resp.error);
+                } else {
+                    setSessionsError('');
+                    setSessionsData(resp);
+                }
+            },
+            error: (error) => {
+                setSessionsError(error);
+            },
+        });
+    }, [playerRef, isRegistered]);
+
+    if (!isRegistered) {
+        return <ModalCentralMessage>
+            Sessions are only recorded for registered players.
+        </ModalCentralMessage>;
+    } else if (sessionsError) {
+        return <ModalCentralMessage>
+            <span className="text-destructive-inline">Error: {sessionsError}</span>
+        </ModalCentralMessage>;
+    } else if (!sessionsData) {
+        return <ModalCentralMessage>
+            <GenericSpinner msg="Loading..." />
+        </ModalCentralMessage>;
+    } else if (!sessionsData.totalSessions) {
+        return <ModalCentralMessage>
+            No sessions recorded for this player yet.
+        </ModalCentralMessage>;
+    }
+
+    const hiddenSessions = sessionsData.totalSessions - sessionsData.sessions.length;
+    return <div className="flex flex-col gap-4 p-1">
+        <div>
+            <h3 className="text-lg font-semibold">Activity</h3>
+            <p className="text-xs text-muted-foreground mb-2">
+                Time played in each hour of the week, in your timezone.
+                {sessionsData.retentionDays > 0 && ` Sessions older than ${sessionsData.retentionDays} days are removed.`}
+            </p>
+            <SessionsHeatmap heatmap={sessionsData.heatmap} />
+        </div>
+
+        <div>
+            <h3 className="text-lg font-semibold">Sessions</h3>
+            <div className="flex flex-col gap-1 mt-2">
+                {sessionsData.sessions.map((session) => (
+                    <SessionRow
+                        key={`${session.mutex}#${session.netid}#${session.tsJoin}`}
+                        session={session}
+                        serverTime={sessionsData.serverTime}
+                    />
+                ))}
+                {hiddenSessions > 0 && (
+                    <span className="text-sm text-muted-foreground italic text-center">
+                        and {hiddenSessions} older sessions.
+                    </span>
+                )}
+            </div>
+        </div>
+    </div>;
+}
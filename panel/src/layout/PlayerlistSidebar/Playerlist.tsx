@@ -4,6 +4,7 @@ import { useAtomValue } from "jotai";
 import { VirtualItem, useVirtualizer } from '@tanstack/react-virtual';
 import { memo, useMemo, useRef, useState } from "react";
 import { PlayerlistPlayerType } from "@shared/socketioTypes";
+import { PlayerTagDataType } from "@shared/otherTypes";
 import { Input } from "@/components/ui/input";
 import { FilterXIcon, SlidersHorizontalIcon, XIcon } from "lucide-react";
 import { ScrollArea } from "@/components/ui/scroll-area";
@@ -40,8 +41,11 @@ function TagColor({ color }: { color: string }) {
 type PlayerlistFilterProps = {
     filterString: string;
     setFilterString: (s: string) => void;
+    availableTags: PlayerTagDataType[];
+    selectedTags: string[];
+    setSelectedTags: (tags: string[]) => void;
 };
-function PlayerlistFilter({ filterString, setFilterString }: PlayerlistFilterProps) {
+function PlayerlistFilter({ filterString, setFilterString, availableTags, selectedTags, setSelectedTags }: PlayerlistFilterProps) {
     const inputRef = useRef<HTMLInputElement>(null);
     useEventListener('message', (e: TxMessageEvent) => {
         if (e.data.type === 'globalHotkey' && e.data.action === 'focusPlayerlistFilter') {
@@ -77,7 +81,7 @@ function PlayerlistFilter({ filterString, setFilterString }: PlayerlistFilterPro
                     </div>
                 )}
             </div>
-            {/* <DropdownMenu>
+            {availableTags.length > 0 && <DropdownMenu>
                 <DropdownMenuTrigger asChild>
                     <button
                         className={cn(
@@ -85,6 +89,7 @@ function PlayerlistFilter({ filterString, setFilterString }: PlayerlistFilterPro
                             'ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2',
                             'border bg-muted shadow-sm',
                             'hover:bg-primary hover:text-primary-foreground hover:border-primary',
+                            selectedTags.length && 'border-primary',
                         )}
                     >
                         <SlidersHorizontalIcon className="h-5" />
@@ -92,56 +97,33 @@ function PlayerlistFilter({ filterString, setFilterString }: PlayerlistFilterPro
                 </DropdownMenuTrigger>
                 <DropdownMenuContent>
                     <DropdownMenuLabel>Filter by Tag</DropdownMenuLabel>
-                    <DropdownMenuCheckboxItem
-                        checked={true}
-                        className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
-                    >
-                        <div className="flex justify-around min-w-full">
-                            <span className="grow pr-4">Admin</span>
-                            <TagColor color="#EF4444" />
-                        </div>
-                    </DropdownMenuCheckboxItem>
-                    <DropdownMenuCheckboxItem
-                        checked={true}
-                        className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
-                    >
-                        <div className="flex justify-around min-w-full">
-                            <span className="grow pr-4">Newcomer</span>
-                            <TagColor color="#A3E635" />
-                        </div>
-                    </DropdownMenuCheckboxItem>
-                    <DropdownMenuCheckboxItem
-                        checked={false}
-                        className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
-                    >
-                        <div className="flex justify-around min-w-full">
-                            <span className="grow pr-4">Watch List</span>
-                            <TagColor color="#FB923C" />
-                        </div>
-                    </DropdownMenuCheckboxItem>
+                    {availableTags.map((tag) => (
+                        <DropdownMenuCheckboxItem
+                            key={tag.id}
+                            checked={selectedTags.includes(tag.id)}
+                            onCheckedChange={(checked) => {
+                                setSelectedTags(checked
+                                    ? [...selectedTags, tag.id]
+                                    : selectedTags.filter((id) => id !== tag.id)
+                                );
+                            }}
+                            className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
+                        >
+                            <div className="flex justify-around min-w-full">
+                                <span className="grow pr-4">{tag.label}</span>
+                                <TagColor color={tag.color} />
+                            </div>
+                        </DropdownMenuCheckboxItem>
+                    ))}
                     <DropdownMenuItem
-                        onClick={undefined}
+                        onClick={() => setSelectedTags([])}
                         className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
                     >
                         <FilterXIcon className="mr-2 h-4 w-4" />
                         Clear Filter
                     </DropdownMenuItem>
-
-                    <DropdownMenuSeparator />
-
-                    <DropdownMenuLabel>Sort by</DropdownMenuLabel>
-                    <DropdownMenuRadioGroup value="id">
-                        <DropdownMenuRadioItem
-                            value="id"
-                            className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
-                        >Join Order</DropdownMenuRadioItem>
-                        <DropdownMenuRadioItem
-                            value="tag"
-                            className="cursor-pointer hover:!bg-secondary hover:!text-current focus:!bg-secondary focus:!text-current"
-                        >Tag Priority</DropdownMenuRadioItem>
-                    </DropdownMenuRadioGroup>
                 </DropdownMenuContent>
-            </DropdownMenu> */}
+            </DropdownMenu>}
         </div>
     );
 }
@@ -167,6 +149,11 @@ function PlayerlistPlayer({ virtualItem, player, modalOpener }: PlayerlistPlayer
             <div className="pid-block leading-[1.7]">
                 <span className="pid-badge">{player.netid}</span>
             </div>
+            {player.tags.length > 0 && <div className="ptags">
+                {player.tags.map((tag) => (
+                    <span key={tag.id} className="ptag" title={tag.label} style={{ backgroundColor: tag.color }} />
+                ))}
+            </div>}
             <span className="pname">{player.displayName}</span>
         </div>
     )
@@ -179,18 +166,37 @@ export default function Playerlist() {
     const openPlayerModal = useOpenPlayerModal();
     const scrollRef = useRef<HTMLDivElement>(null);
     const [filterString, setFilterString] = useState('');
+    const [selectedTags, setSelectedTags] = useState<string[]>([]);
+
+    //Tags of the online players, for the filter dropdown
+    const availableTags = useMemo(() => {
+        const tags = new Map<string, PlayerTagDataType>();
+        for (const player of playerlist) {
+            for (const tag of player.tags) {
+                tags.set(tag.id, tag);
+            }
+        }
+        return [...tags.values()];
+    }, [playerlist]);
 
     //TODO: temporary logic, use fuse.js or something like that
     const filteredPlayerlist = useMemo(() => {
+        let filtered = playerlist;
+        const activeTags = selectedTags.filter((id) => availableTags.some((tag) => tag.id === id));
+        if (activeTags.length) {
+            filtered = filtered.filter((player) => {
+                return player.tags.some((tag) => activeTags.includes(tag.id));
+            });
+        }
         const pureFilter = cleanPlayerName(filterString).pureName;
         if (pureFilter !== 'emptyname') {
-            return playerlist.filter((player) => {
+            filtered = filtered.filter((player) => {
                 return player.pureName.includes(pureFilter) || player.netid.toString().includes(pureFilter);
-            })
-        } else {
-            return playerlist;
+            });
         }
-    }, [playerlist, filterString]);
+        return filtered;
+    }, [playerlist, filterString, selectedTags, availableTags]);
+    const isFiltering = !!filterString || filteredPlayerlist.length !== playerlist.length;
 
     //NOTE: I tried many algorithms to calculate the minimum width of the ID column,
     // but the simplest one was the best one when considering performance.
@@ -217,7 +223,13 @@ export default function Playerlist() {
 
     return (
         <>
-            <PlayerlistFilterMemo filterString={filterString} setFilterString={setFilterString} />
+            <PlayerlistFilterMemo
+                filterString={filterString}
+                setFilterString={setFilterString}
+                availableTags={availableTags}
+                selectedTags={selectedTags}
+                setSelectedTags={setSelectedTags}
+            />
 
             <div
                 className={cn(
@@ -233,7 +245,7 @@ export default function Playerlist() {
                     virtualItems.length ? 'hidden' : 'block'
                 )}
             >
-                {playerlist.length && filterString ? (
+                {playerlist.length && isFiltering ? (
                     <p>
                         No players to show.
                         <span className="text-xs block opacity-75">Clear the filter to show all players.</span>
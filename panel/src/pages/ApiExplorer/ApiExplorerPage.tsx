@@ -0,0 +1,365 @@
+import { useMemo, useState } from "react";
+import useSWR from "swr";
+import { BookOpenIcon, ChevronDownIcon, ChevronRightIcon, DownloadIcon, Loader2Icon, SendIcon } from "lucide-react";
+import { PageHeader } from "@/components/page-header";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useAuthedFetcher } from "@/hooks/fetch";
+import { useCsrfToken } from "@/hooks/auth";
+import { txToast } from "@/components/TxToaster";
+import { cn } from "@/lib/utils";
+import type { OpenApiSpecType } from "@shared/otherTypes";
+import {
+    JsonSchemaType,
+    SpecOperationType,
+    buildRequestPath,
+    genSchemaExample,
+    getSchemaTypeLabel,
+    getSpecOperationGroups,
+} from "./apiExplorerUtils";
+
+
+//Helpers
+const methodColors: Record<string, string> = {
+    GET: 'bg-info text-info-foreground',
+    POST: 'bg-success text-success-foreground',
+    DELETE: 'bg-destructive text-destructive-foreground',
+};
+
+const downloadSpec = (spec: OpenApiSpecType) => {
+    const blob = new Blob([JSON.stringify(spec, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `txAdmin_openapi_${spec.info.version as string}.json`;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+}
+
+const getJsonContentSchema = (obj: JsonSchemaType | undefined): JsonSchemaType | undefined => {
+    return obj?.content?.['application/json']?.schema;
+}
+
+const resolveSchemaRef = (spec: OpenApiSpecType, schema: JsonSchemaType | undefined) => {
+    if (!schema?.$ref) return schema;
+    const name = (schema.$ref as string).split('/').pop()!;
+    const schemas = spec.components.schemas as Record<string, JsonSchemaType> | undefined;
+    return schemas?.[name];
+}
+
+
+function SchemaBlock({ title, schema }: { title: string, schema?: JsonSchemaType }) {
+    if (!schema) return null;
+    return (
+        <div className="space-y-1">
+            <h4 className="text-sm font-semibold">{title}</h4>
+            <pre className="text-xs font-mono bg-muted rounded-md p-2 max-h-80 overflow-auto">
+                {JSON.stringify(schema, null, 2)}
+            </pre>
+        </div>
+    );
+}
+
+
+type TryItResultType = {
+    status: number;
+    body: string;
+};
+
+function OperationTryIt({ op }: { op: SpecOperationType }) {
+    const csrfToken = useCsrfToken();
+    const parameters: JsonSchemaType[] = op.operation.parameters ?? [];
+    const bodySchema = getJsonContentSchema(op.operation.requestBody);
+    const [paramValues, setParamValues] = useState<Record<string, string>>({});
+    const [bodyValue, setBodyValue] = useState(() => {
+        return bodySchema ? JSON.stringify(genSchemaExample(bodySchema), null, 2) : '';
+    });
+    const [isSending, setIsSending] = useState(false);
+    const [result, setResult] = useState<TryItResultType | undefined>();
+
+    if (!window.txConsts.isWebInterface) {
+        return (
+            <p className="text-sm text-muted-foreground">
+                Sending requests is only available in the web panel.
+            </p>
+        );
+    }
+
+    const handleSend = async () => {
+        if (!csrfToken) return txToast.error('CSRF token not set.');
+        const pathValues: Record<string, string> = {};
+        const queryValues: Record<string, string> = {};
+        for (const param of parameters) {
+            const value = paramValues[param.name] ?? '';
+            if (param.in === 'path') {
+                if (!value.trim().length) {
+                    return txToast.warning(`The "${param.name}" parameter is required.`);
+                }
+                pathValues[param.name] = value.trim();
+            } else {
+                queryValues[param.name] = value;
+            }
+        }
+
+        let body: string | undefined;
+        if (bodySchema) {
+            try {
+                body = JSON.stringify(JSON.parse(bodyValue));
+            } catch {
+                return txToast.warning('The request body is not valid JSON.');
+            }
+        }
+
+        setIsSending(true);
+        try {
+            const resp = await fetch(buildRequestPath(op.path, pathValues, queryValues), {
+                method: op.method,
+                headers: {
+                    'Content-Type': 'application/json; charset=UTF-8',
+                    'Accept': 'application/json',
+                    'X-TxAdmin-CsrfToken': csrfToken,
+                },
+                body,
+            });
+            const respText = await resp.text();
+            let formatted;
+            try {
+                formatted = JSON.stringify(JSON.parse(respText), null, 2);
+            } catch {
+                //Not JSON, showing the response as is
+                formatted = respText;
+            }
+            setResult({ status: resp.status, body: formatted });
+        } catch (error) {
+            setResult({ status: 0, body: (error as Error).message });
+        } finally {
+            setIsSending(false);
+        }
+    }
+
+    return (
+        <div className="space-y-3">
+            {parameters.map((param) => (
+                <div key={`${param.in}:${param.name}`} className="space-y-1">
+                    <Label htmlFor={`${op.key}:${param.name}`}>
+                        {param.name}
+                        <span className="text-muted-foreground font-normal"> ({param.in}{param.required ? ', required' : ''})</span>
+                    </Label>
+                    <Input
+                        id={`${op.key}:${param.name}`}
+                        placeholder={param.schema?.default !== undefined ? String(param.schema.default) : getSchemaTypeLabel(param.schema)}
+                        value={paramValues[param.name] ?? ''}
+                        onChange={(e) => setParamValues((prev) => ({ ...prev, [param.name]: e.target.value }))}
+                    />
+                </div>
+            ))}
+            {bodySchema && (
+                <div className="space-y-1">
+                    <Label htmlFor={`${op.key}:body`}>Request Body</Label>
+                    <Textarea
+                        id={`${op.key}:body`}
+                        className="font-mono text-xs min-h-32"
+                        value={bodyValue}
+                        onChange={(e) => setBodyValue(e.target.value)}
+                    />
+                </div>
+            )}
+            <div className="flex justify-end">
+                <Button size="sm" onClick={handleSend} disabled={isSending}>
+                    {isSending
+                        ? <Loader2Icon className="h-4 w-4 mr-1 animate-spin" />
+                        : <SendIcon className="h-4 w-4 mr-1" />} Send
+                </Button>
+            </div>
+            {result && (
+                <div className="space-y-1">
+                    <h4 className="text-sm font-semibold">
+                        Response: <span className={result.status >= 200 && result.status < 300 ? 'text-success-inline' : 'text-destructive-inline'}>
+                            {result.status || 'network error'}
+                        </span>
+                    </h4>
+                    <pre className="text-xs font-mono bg-muted rounded-md p-2 max-h-96 overflow-auto">
+                        {result.body}
+                    </pre>
+                </div>
+            )}
+        </div>
+    );
+}
+
+
+function OperationCard({ spec, op }: { spec: OpenApiSpecType, op: SpecOperationType }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const parameters: JsonSchemaType[] = op.operation.parameters ?? [];
+    const responses: Record<string, JsonSchemaType> = op.operation.responses ?? {};
+
+    return (
+        <div className="border rounded-lg bg-card">
+            <button
+                className="w-full flex items-center gap-2 px-3 py-2 text-left"
+                onClick={() => setIsOpen(!isOpen)}
+            >
+                {isOpen
+                    ? <ChevronDownIcon className="h-4 w-4 shrink-0" />
+                    : <ChevronRightIcon className="h-4 w-4 shrink-0" />}
+                <span className={cn(
+                    'text-xs font-semibold font-mono rounded px-1.5 py-0.5 w-16 text-center shrink-0',
+                    methodColors[op.method] ?? 'bg-secondary text-secondary-foreground'
+                )}>
+                    {op.method}
+                </span>
+                <span className="font-mono text-sm break-all">{op.path}</span>
+                {op.operation.summary && (
+                    <span className="text-sm text-muted-foreground ml-auto text-right hidden sm:block">
+                        {op.operation.summary}
+                    </span>
+                )}
+            </button>
+            {isOpen && (
+                <div className="border-t p-3 space-y-4">
+                    {op.operation.description && (
+                        <p className="text-sm text-muted-foreground whitespace-pre-wrap">{op.operation.description}</p>
+                    )}
+                    <p className="text-xs text-muted-foreground font-mono">operationId: {op.operation.operationId}</p>
+                    {parameters.length > 0 && (
+                        <div className="border rounded-md">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>Parameter</TableHead>
+                                        <TableHead>In</TableHead>
+                                        <TableHead>Type</TableHead>
+                                        <TableHead>Description</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {parameters.map((param) => (
+                                        <TableRow key={`${param.in}:${param.name}`}>
+                                            <TableCell className="font-mono text-xs whitespace-nowrap">
+                                                {param.name}{param.required && <span className="text-destructive-inline">*</span>}
+                                            </TableCell>
+                                            <TableCell className="text-xs">{param.in}</TableCell>
+                                            <TableCell className="font-mono text-xs">{getSchemaTypeLabel(param.schema)}</TableCell>
+                                            <TableCell className="text-xs">{param.description ?? '-'}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    )}
+                    <SchemaBlock title="Request Body" schema={getJsonContentSchema(op.operation.requestBody)} />
+                    {Object.entries(responses).map(([status, resp]) => (
+                        <SchemaBlock
+                            key={status}
+                            title={`Response ${status}`}
+                            schema={resolveSchemaRef(spec, getJsonContentSchema(resp))}
+                        />
+                    ))}
+                    <div className="border-t pt-3">
+                        <h4 className="text-sm font-semibold mb-2">Try it</h4>
+                        <OperationTryIt op={op} />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+
+function ApiExplorerPageInner() {
+    const authedFetcher = useAuthedFetcher();
+    const [search, setSearch] = useState('');
+    const [showInternal, setShowInternal] = useState(false);
+
+    const specSwr = useSWR<OpenApiSpecType>(
+        '/api/openapi.json',
+        () => authedFetcher<OpenApiSpecType>('/api/openapi.json'),
+        { revalidateOnFocus: false }
+    );
+    const spec = specSwr.data && 'paths' in specSwr.data ? specSwr.data : undefined;
+    const groups = useMemo(() => {
+        if (!spec) return [];
+        return getSpecOperationGroups(spec, { search, showInternal });
+    }, [spec, search, showInternal]);
+
+    if (specSwr.error || (specSwr.data && !spec)) {
+        const errMsg = specSwr.error?.message ?? (specSwr.data as any)?.error ?? 'unknown error';
+        return (
+            <p className="text-center text-destructive-inline w-full">
+                Error loading the API spec: {errMsg}
+            </p>
+        );
+    } else if (!spec) {
+        return (
+            <p className="text-center text-muted-foreground w-full">
+                <Loader2Icon className="inline animate-spin h-5" /> Loading...
+            </p>
+        );
+    }
+
+    return (
+        <div className="space-y-4 w-full">
+            <div className="px-2 md:px-0 space-y-2">
+                <p className="text-sm text-muted-foreground">
+                    {spec.info.description as string} To generate a typed client, download the OpenAPI {spec.openapi} document
+                    or point your generator to <code className="font-mono">/api/openapi.json</code> using an API token.
+                </p>
+                <div className="flex flex-wrap gap-2 items-center">
+                    <Input
+                        className="max-w-sm"
+                        placeholder="Search routes"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                    <div className="flex items-center gap-2">
+                        <Switch
+                            id="apiExplorerShowInternal"
+                            checked={showInternal}
+                            onCheckedChange={setShowInternal}
+                        />
+                        <Label htmlFor="apiExplorerShowInternal">Show internal panel routes</Label>
+                    </div>
+                    <Button size="sm" variant="outline" className="ml-auto" onClick={() => downloadSpec(spec)}>
+                        <DownloadIcon className="h-4 w-4 mr-1" /> Download Spec
+                    </Button>
+                </div>
+            </div>
+
+            {!groups.length && (
+                <p className="text-center text-muted-foreground">No routes found.</p>
+            )}
+            {groups.map((group) => (
+                <div key={group.tag} className="space-y-2">
+                    <div className="px-2 md:px-0">
+                        <h3 className="text-lg font-semibold">{group.tag}</h3>
+                        {group.description && <p className="text-sm text-muted-foreground">{group.description}</p>}
+                    </div>
+                    {group.operations.map((op) => (
+                        <OperationCard key={op.key} spec={spec} op={op} />
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+
+export default function ApiExplorerPage() {
+    return (
+        <div className="w-full mb-10">
+            <PageHeader
+                icon={<BookOpenIcon />}
+                title="API Explorer"
+            />
+            <div className="px-0 xs:px-3 md:px-0 flex flex-row gap-2 w-full">
+                <ApiExplorerPageInner />
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,90 @@
+import { suite, it, expect } from 'vitest';
+import { buildRequestPath, genSchemaExample, getSchemaTypeLabel, getSpecOperationGroups } from './apiExplorerUtils';
+
+
+suite('getSpecOperationGroups', () => {
+    const spec = {
+        openapi: '3.1.0',
+        info: {},
+        tags: [{ name: 'v1 Players', description: 'The players.' }, { name: 'auth' }],
+        paths: {
+            '/api/v1/players': {
+                get: { operationId: 'getApiV1Players', tags: ['v1 Players'], summary: 'List the players' },
+            },
+            '/auth/password': {
+                post: { operationId: 'postAuthPassword', tags: ['auth'], 'x-txadmin-internal': true },
+            },
+        },
+        components: {},
+    };
+
+    it('hides the internal routes by default', () => {
+        const groups = getSpecOperationGroups(spec);
+        expect(groups).toHaveLength(1);
+        expect(groups[0]).toMatchObject({
+            tag: 'v1 Players',
+            description: 'The players.',
+            operations: [{ key: 'GET /api/v1/players', method: 'GET', path: '/api/v1/players' }],
+        });
+    });
+    it('includes the internal routes if requested', () => {
+        const groups = getSpecOperationGroups(spec, { showInternal: true });
+        expect(groups.map((g) => g.tag)).toEqual(['v1 Players', 'auth']);
+    });
+    it('filters by the search term', () => {
+        const groups = getSpecOperationGroups(spec, { showInternal: true, search: 'PASSWORD' });
+        expect(groups).toHaveLength(1);
+        expect(groups[0].operations[0].key).toBe('POST /auth/password');
+    });
+});
+
+
+suite('buildRequestPath', () => {
+    it('fills the path params and skips empty query params', () => {
+        expect(buildRequestPath('/api/v1/players/{license}', { license: 'abc' })).toBe('/api/v1/players/abc');
+        expect(buildRequestPath('/api/v1/actions', {}, { type: 'ban', search: ' ', limit: '10' }))
+            .toBe('/api/v1/actions?type=ban&limit=10');
+    });
+    it('encodes the values', () => {
+        expect(buildRequestPath('/api/v1/whitelist/approvals/{identifier}', { identifier: 'discord:1/2' }))
+            .toBe('/api/v1/whitelist/approvals/discord%3A1%2F2');
+    });
+});
+
+
+suite('genSchemaExample', () => {
+    it('uses defaults, consts and enums', () => {
+        expect(genSchemaExample({ type: 'integer', default: 50 })).toBe(50);
+        expect(genSchemaExample({ type: 'string', const: 'ban' })).toBe('ban');
+        expect(genSchemaExample({ type: 'string', enum: ['asc', 'desc'] })).toBe('asc');
+    });
+    it('generates objects and arrays', () => {
+        expect(genSchemaExample({
+            type: 'object',
+            properties: {
+                reason: { type: 'string' },
+                identifiers: { type: 'array', items: { type: 'string' } },
+                limit: { type: 'integer', minimum: 1 },
+                note: { type: ['string', 'null'] },
+                flag: { type: 'boolean' },
+            },
+        })).toEqual({
+            reason: '',
+            identifiers: [''],
+            limit: 1,
+            note: '',
+            flag: false,
+        });
+    });
+});
+
+
+suite('getSchemaTypeLabel', () => {
+    it('generates the labels', () => {
+        expect(getSchemaTypeLabel({ type: 'string' })).toBe('string');
+        expect(getSchemaTypeLabel({ type: 'array', items: { type: 'integer' } })).toBe('integer[]');
+        expect(getSchemaTypeLabel({ type: 'string', enum: ['asc', 'desc'] })).toBe('"asc" | "desc"');
+        expect(getSchemaTypeLabel({ anyOf: [{ type: 'string' }, { type: 'null' }] })).toBe('string | null');
+        expect(getSchemaTypeLabel(undefined)).toBe('any');
+    });
+});
@@ -0,0 +1,126 @@
+import type { OpenApiSpecType } from "@shared/otherTypes";
+
+export type JsonSchemaType = Record<string, any>;
+export type SpecOperationType = {
+    key: string;
+    method: string;
+    path: string;
+    operation: JsonSchemaType;
+};
+export type SpecOperationGroupType = {
+    tag: string;
+    description?: string;
+    operations: SpecOperationType[];
+};
+
+
+/**
+ * Groups the spec operations by their first tag, keeping the spec tag order.
+ * Internal panel routes are only included if requested.
+ */
+export const getSpecOperationGroups = (
+    spec: OpenApiSpecType,
+    opts: { search?: string; showInternal?: boolean } = {},
+) => {
+    const search = opts.search?.trim().toLowerCase();
+    const groups = new Map<string, SpecOperationGroupType>();
+    for (const tag of spec.tags as JsonSchemaType[]) {
+        groups.set(tag.name, { tag: tag.name, description: tag.description, operations: [] });
+    }
+
+    for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+            if (!opts.showInternal && operation['x-txadmin-internal']) continue;
+            if (search) {
+                const haystack = [path, method, operation.summary, operation.operationId].join(' ').toLowerCase();
+                if (!haystack.includes(search)) continue;
+            }
+            const tag = operation.tags[0] ?? 'other';
+            if (!groups.has(tag)) groups.set(tag, { tag, operations: [] });
+            groups.get(tag)!.operations.push({
+                key: `${method.toUpperCase()} ${path}`,
+                method: method.toUpperCase(),
+                path,
+                operation,
+            });
+        }
+    }
+    return [...groups.values()].filter((group) => group.operations.length);
+}
+
+
+/**
+ * Replaces the path params and appends the non-empty query params
+ */
+export const buildRequestPath = (
+    path: string,
+    pathValues: Record<string, string>,
+    queryValues: Record<string, string> = {},
+) => {
+    const filledPath = path.replace(/\{(\w+)\}/g, (_, name: string) => {
+        return encodeURIComponent(pathValues[name] ?? '');
+    });
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(queryValues)) {
+        if (value.trim().length) params.set(name, value.trim());
+    }
+    const query = params.toString();
+    return query ? `${filledPath}?${query}` : filledPath;
+}
+
+
+/**
+ * Generates an example value for a JSON schema, used to pre-fill the request body
+ */
+export const genSchemaExample = (schema: JsonSchemaType | undefined, depth = 0): any => {
+    if (!schema || depth > 8) return null;
+    if ('default' in schema) return schema.default;
+    if ('const' in schema) return schema.const;
+    if (Array.isArray(schema.enum)) return schema.enum[0];
+    if (Array.isArray(schema.anyOf)) return genSchemaExample(schema.anyOf[0], depth + 1);
+    if (Array.isArray(schema.oneOf)) return genSchemaExample(schema.oneOf[0], depth + 1);
+    if (Array.isArray(schema.allOf)) {
+        return Object.assign({}, ...schema.allOf.map((x: JsonSchemaType) => genSchemaExample(x, depth + 1)));
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type.find((x: string) => x !== 'null') : schema.type;
+    if (type === 'object') {
+        const example: Record<string, any> = {};
+        for (const [name, propSchema] of Object.entries<JsonSchemaType>(schema.properties ?? {})) {
+            example[name] = genSchemaExample(propSchema, depth + 1);
+        }
+        return example;
+    } else if (type === 'array') {
+        if (Array.isArray(schema.prefixItems)) {
+            return schema.prefixItems.map((x: JsonSchemaType) => genSchemaExample(x, depth + 1));
+        }
+        return schema.items ? [genSchemaExample(schema.items, depth + 1)] : [];
+    } else if (type === 'string') {
+        return '';
+    } else if (type === 'integer' || type === 'number') {
+        return typeof schema.minimum === 'number' ? schema.minimum : 0;
+    } else if (type === 'boolean') {
+        return false;
+    } else {
+        return null;
+    }
+}
+
+
+/**
+ * Returns a short type label for a JSON schema, like `string`, `integer[]` or `"asc" | "desc"`
+ */
+export const getSchemaTypeLabel = (schema: JsonSchemaType | undefined): string => {
+    if (!schema) return 'any';
+    if ('const' in schema) return JSON.stringify(schema.const);
+    if (Array.isArray(schema.enum)) {
+        return schema.enum.map((x: unknown) => JSON.stringify(x)).join(' | ');
+    }
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+        const options: JsonSchemaType[] = schema.anyOf ?? schema.oneOf;
+        return options.map(getSchemaTypeLabel).join(' | ');
+    }
+    if (Array.isArray(schema.type)) return schema.type.join(' | ');
+    if (schema.type === 'array') return `${getSchemaTypeLabel(schema.items)}[]`;
+    return schema.type ?? 'any';
+}
@@ -0,0 +1,262 @@
+import { useState } from "react";
+import useSWR from "swr";
+import { DownloadIcon, Loader2Icon, ScrollTextIcon, SearchIcon, XIcon } from "lucide-react";
+import { PageHeader } from "@/components/page-header";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useAuthedFetcher } from "@/hooks/fetch";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { txToast } from "@/components/TxToaster";
+import type { AuditLogEntryType, AuditLogSearchResp } from "@shared/otherTypes";
+import { auditEntriesToCsv, dateInputToTs } from "./auditLogUtils";
+
+
+//Helpers
+type FiltersStateType = {
+    admin: string;
+    type: string;
+    target: string;
+    dateFrom: string;
+    dateTo: string;
+};
+const emptyFilters: FiltersStateType = {
+    admin: '',
+    type: '',
+    target: '',
+    dateFrom: '',
+    dateTo: '',
+};
+
+const getSearchPath = (filters: FiltersStateType) => {
+    const params = new URLSearchParams();
+    if (filters.admin.trim()) params.set('admin', filters.admin.trim());
+    if (filters.type.trim()) params.set('type', filters.type.trim());
+    if (filters.target.trim()) params.set('target', filters.target.trim());
+    const tsFrom = dateInputToTs(filters.dateFrom);
+    const tsTo = dateInputToTs(filters.dateTo, true);
+    if (tsFrom !== undefined) params.set('tsFrom', tsFrom.toString());
+    if (tsTo !== undefined) params.set('tsTo', tsTo.toString());
+    const query = params.toString();
+    return query ? `/auditLog?${query}` : '/auditLog';
+}
+
+const downloadCsv = (entries: AuditLogEntryType[]) => {
+    const csv = auditEntriesToCsv(entries);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `txAdmin_audit_${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+}
+
+
+function AuditLogTargetCell({ entry }: { entry: AuditLogEntryType }) {
+    if (!entry.target) return <span className="text-muted-foreground">-</span>;
+    const { license, netid, name, ids } = entry.target;
+    const idsTitle = ids?.join('\n');
+    return (
+        <div className="min-w-0" title={idsTitle}>
+            {name && <div className="truncate">{name}</div>}
+            {netid !== undefined && <div className="text-xs text-muted-foreground">netid: {netid}</div>}
+            {license
+                ? <div className="text-xs text-muted-foreground font-mono truncate">{license}</div>
+                : ids?.length ? <div className="text-xs text-muted-foreground font-mono truncate">{ids[0]}{ids.length > 1 ? ` +${ids.length - 1}` : ''}</div> : null}
+        </div>
+    );
+}
+
+
+function AuditLogPageInner() {
+    const authedFetcher = useAuthedFetcher();
+    const [filtersInput, setFiltersInput] = useState<FiltersStateType>(emptyFilters);
+    const [searchPath, setSearchPath] = useState(getSearchPath(emptyFilters));
+
+    const searchSwr = useSWR<AuditLogSearchResp>(
+        searchPath,
+        () => authedFetcher<AuditLogSearchResp>(searchPath),
+        { revalidateOnFocus: false }
+    );
+
+    const setFilter = (key: keyof FiltersStateType, value: string) => {
+        setFiltersInput((prev) => ({ ...prev, [key]: value }));
+    }
+    const handleSearch = (event?: React.FormEvent) => {
+        event?.preventDefault();
+        const newPath = getSearchPath(filtersInput);
+        if (newPath === searchPath) {
+            searchSwr.mutate();
+        } else {
+            setSearchPath(newPath);
+        }
+    }
+    const handleClear = () => {
+        setFiltersInput(emptyFilters);
+        setSearchPath(getSearchPath(emptyFilters));
+    }
+
+    const respData = searchSwr.data;
+    const entries = respData && 'entries' in respData ? respData.entries : [];
+    const handleExport = () => {
+        if (!entries.length) {
+            return txToast.warning('There are no entries to export.');
+        }
+        downloadCsv(entries);
+    }
+
+    let tableBody;
+    if (searchSwr.error || (respData && 'error' in respData)) {
+        const errMsg = searchSwr.error?.message ?? (respData as any)?.error ?? 'unknown error';
+        tableBody = (
+            <TableRow>
+                <TableCell colSpan={6} className="text-center text-destructive-inline">
+                    Error loading the audit log: {errMsg}
+                </TableCell>
+            </TableRow>
+        );
+    } else if (!respData || searchSwr.isLoading) {
+        tableBody = (
+            <TableRow>
+                <TableCell colSpan={6} className="text-center text-muted-foreground">
+                    <Loader2Icon className="inline animate-spin h-5" /> Loading...
+                </TableCell>
+            </TableRow>
+        );
+    } else if (!entries.length) {
+        tableBody = (
+            <TableRow>
+                <TableCell colSpan={6} className="text-center text-muted-foreground">
+                    No entries found.
+                </TableCell>
+            </TableRow>
+        );
+    } else {
+        tableBody = entries.map((entry, i) => (
+            <TableRow key={`${entry.ts}-${i}`}>
+                <TableCell className="whitespace-nowrap">{tsToLocaleDateTimeString(entry.ts, 'short', 'medium')}</TableCell>
+                <TableCell className="whitespace-nowrap">{entry.admin}</TableCell>
+                <TableCell className="font-mono text-xs whitespace-nowrap">{entry.type}</TableCell>
+                <TableCell className="max-w-48"><AuditLogTargetCell entry={entry} /></TableCell>
+                <TableCell className="break-words min-w-64">
+                    {entry.message}
+                    {entry.params && (
+                        <div className="text-xs text-muted-foreground font-mono break-all">
+                            {JSON.stringify(entry.params)}
+                        </div>
+                    )}
+                </TableCell>
+                <TableCell className="font-mono text-xs whitespace-nowrap">{entry.ip ?? '-'}</TableCell>
+            </TableRow>
+        ));
+    }
+
+    return (
+        <div className="space-y-4 w-full">
+            <form
+                className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end px-2 md:px-0"
+                onSubmit={handleSearch}
+            >
+                <div className="space-y-1">
+                    <Label htmlFor="auditFilterAdmin">Admin</Label>
+                    <Input
+                        id="auditFilterAdmin"
+                        placeholder="any"
+                        value={filtersInput.admin}
+                        onChange={(e) => setFilter('admin', e.target.value)}
+                    />
+                </div>
+                <div className="space-y-1">
+                    <Label htmlFor="auditFilterType">Action Type</Label>
+                    <Input
+                        id="auditFilterType"
+                        placeholder="player.ban"
+                        value={filtersInput.type}
+                        onChange={(e) => setFilter('type', e.target.value)}
+                    />
+                </div>
+                <div className="space-y-1 col-span-2">
+                    <Label htmlFor="auditFilterTarget">Target</Label>
+                    <Input
+                        id="auditFilterTarget"
+                        placeholder="license, netid, name or identifier"
+                        value={filtersInput.target}
+                        onChange={(e) => setFilter('target', e.target.value)}
+                    />
+                </div>
+                <div className="space-y-1">
+                    <Label htmlFor="auditFilterFrom">From</Label>
+                    <Input
+                        id="auditFilterFrom"
+                        type="date"
+                        value={filtersInput.dateFrom}
+                        onChange={(e) => setFilter('dateFrom', e.target.value)}
+                    />
+                </div>
+                <div className="space-y-1">
+                    <Label htmlFor="auditFilterTo">To</Label>
+                    <Input
+                        id="auditFilterTo"
+                        type="date"
+                        value={filtersInput.dateTo}
+                        onChange={(e) => setFilter('dateTo', e.target.value)}
+                    />
+                </div>
+                <div className="col-span-2 md:col-span-6 flex flex-wrap gap-2 justify-end">
+                    <Button type="button" size="sm" variant="outline" onClick={handleClear}>
+                        <XIcon className="h-4 w-4 mr-1" /> Clear
+                    </Button>
+                    <Button type="button" size="sm" variant="outline" onClick={handleExport} disabled={!entries.length}>
+                        <DownloadIcon className="h-4 w-4 mr-1" /> Export CSV
+                    </Button>
+                    <Button type="submit" size="sm">
+                        <SearchIcon className="h-4 w-4 mr-1" /> Search
+                    </Button>
+                </div>
+            </form>
+
+            {respData && 'isTruncated' in respData && respData.isTruncated && (
+                <p className="text-warning-inline text-sm px-2 md:px-0">
+                    Showing only the {respData.maxResults} most recent entries, use the filters to narrow down the search.
+                </p>
+            )}
+
+            <div className="border xs:rounded-lg">
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Time</TableHead>
+                            <TableHead>Admin</TableHead>
+                            <TableHead>Type</TableHead>
+                            <TableHead>Target</TableHead>
+                            <TableHead>Action</TableHead>
+                            <TableHead>IP</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {tableBody}
+                    </TableBody>
+                </Table>
+            </div>
+        </div>
+    );
+}
+
+
+export default function AuditLogPage() {
+    return (
+        <div className="w-full mb-10">
+            <PageHeader
+                icon={<ScrollTextIcon />}
+                title="Audit Log"
+            />
+            <div className="px-0 xs:px-3 md:px-0 flex flex-row gap-2 w-full">
+                <AuditLogPageInner />
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,54 @@
+import { suite, it, expect } from 'vitest';
+import { auditEntriesToCsv, dateInputToTs, escapeCsvCell } from './auditLogUtils';
+
+
+suite('escapeCsvCell', () => {
+    const fnc = escapeCsvCell;
+
+    it('keeps simple values as is', () => {
+        expect(fnc('tabarra')).toBe('tabarra');
+        expect(fnc(15)).toBe('15');
+        expect(fnc(undefined)).toBe('');
+    });
+    it('quotes values with separators, quotes or newlines', () => {
+        expect(fnc('a,b')).toBe('"a,b"');
+        expect(fnc('say "hi"')).toBe('"say ""hi"""');
+        expect(fnc('line1\nline2')).toBe('"line1\nline2"');
+    });
+    it('prevents formula injection', () => {
+        expect(fnc('=HYPERLINK("x")')).toBe(`"'=HYPERLINK(""x"")"`);
+        expect(fnc('+1')).toBe(`'+1`);
+        expect(fnc('@cmd')).toBe(`'@cmd`);
+    });
+});
+
+
+suite('auditEntriesToCsv', () => {
+    it('generates the header and rows', () => {
+        const csv = auditEntriesToCsv([{
+            ts: 0,
+            admin: 'tabarra',
+            type: 'player.kick',
+            message: 'Kicked "Someone": afk',
+            target: { license: 'abc', netid: 3, ids: ['license:abc', 'discord:123'] },
+            params: { reason: 'afk' },
+        }]);
+        const [header, row] = csv.split('\r\n');
+        expect(header).toBe('date,admin,type,target_license,target_netid,target_name,target_ids,message,params,ip');
+        expect(row).toBe('1970-01-01T00:00:00.000Z,tabarra,player.kick,abc,3,,license:abc;discord:123,"Kicked ""Someone"": afk","{""reason"":""afk""}",');
+    });
+});
+
+
+suite('dateInputToTs', () => {
+    it('returns the start or end of the local day', () => {
+        const start = dateInputToTs('2024-02-29')!;
+        const end = dateInputToTs('2024-02-29', true)!;
+        expect(new Date(start * 1000).getDate()).toBe(29);
+        expect(end - start).toBe(24 * 60 * 60 - 1);
+    });
+    it('ignores invalid values', () => {
+        expect(dateInputToTs('')).toBeUndefined();
+        expect(dateInputToTs('29/02/2024')).toBeUndefined();
+    });
+});
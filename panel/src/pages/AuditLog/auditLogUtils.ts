@@ -0,0 +1,56 @@
+import type { AuditLogEntryType } from "@shared/otherTypes";
+
+
+/**
+ * Escapes a value to be used as a CSV cell.
+ * Cells starting with formula characters are prefixed with a quote to prevent CSV injection,
+ * since player names and reasons are user input.
+ */
+export const escapeCsvCell = (value: unknown) => {
+    if (value === undefined || value === null) return '';
+    let str = typeof value === 'string' ? value : String(value);
+    if (/^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str) || str !== str.trim()) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+
+/**
+ * Converts the audit log entries to a CSV string
+ */
+export const auditEntriesToCsv = (entries: AuditLogEntryType[]) => {
+    const header = ['date', 'admin', 'type', 'target_license', 'target_netid', 'target_name', 'target_ids', 'message', 'params', 'ip'];
+    const rows = entries.map((entry) => [
+        new Date(entry.ts * 1000).toISOString(),
+        entry.admin,
+        entry.type,
+        entry.target?.license,
+        entry.target?.netid,
+        entry.target?.name,
+        entry.target?.ids?.join(';'),
+        entry.message,
+        entry.params ? JSON.stringify(entry.params) : undefined,
+        entry.ip,
+    ]);
+    return [header, ...rows]
+        .map((row) => row.map(escapeCsvCell).join(','))
+        .join('\r\n');
+}
+
+
+/**
+ * Converts a YYYY-MM-DD date input value to a unix timestamp in seconds, in the browser timezone.
+ * If endOfDay is true, returns the last second of that day.
+ */
+export const dateInputToTs = (value: string, endOfDay = false) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = endOfDay
+        ? new Date(year, month - 1, day, 23, 59, 59)
+        : new Date(year, month - 1, day, 0, 0, 0);
+    return Math.floor(date.getTime() / 1000);
+}
@@ -0,0 +1,279 @@
+import { useRef, useState } from "react";
+import useSWR from "swr";
+import { GavelIcon, Loader2Icon } from "lucide-react";
+import { PageHeader } from "@/components/page-header";
+import InlineCode from "@/components/InlineCode";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { useAuthedFetcher, useBackendApi } from "@/hooks/fetch";
+import { useOpenConfirmDialog } from "@/hooks/dialogs";
+import { useOpenActionModal } from "@/hooks/actionModal";
+import { useAdminPerms } from "@/hooks/auth";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { cn } from "@/lib/utils";
+import { GenericApiOkResp } from "@shared/genericApiTypes";
+import { BanAppealListItem, BanAppealsListResp } from "@shared/historyApiTypes";
+import type { DatabaseBanAppealStatusType } from "../../../../core/modules/Database/databaseTypes";
+import type { ApiUpdateAppealReqSchema } from "../../../../core/routes/appeals/actions";
+
+// Consts
+const statusLabels: Record<DatabaseBanAppealStatusType, string> = {
+    open: 'Open',
+    reviewing: 'Under Review',
+    accepted: 'Accepted',
+    denied: 'Denied',
+};
+const statusColors: Record<DatabaseBanAppealStatusType, string> = {
+    open: 'text-info-inline',
+    reviewing: 'text-warning-inline',
+    accepted: 'text-success-inline',
+    denied: 'text-destructive-inline',
+};
+const filterOptions = ['pending', 'all', 'accepted', 'denied'] as const;
+type FilterType = typeof filterOptions[number];
+
+const tsToText = (ts: number) => tsToLocaleDateTimeString(ts, 'medium', 'short');
+
+const filterAppeals = (appeals: BanAppealListItem[], filter: FilterType) => {
+    if (filter === 'all') return appeals;
+    if (filter === 'pending') return appeals.filter((a) => a.status === 'open' || a.status === 'reviewing');
+    return appeals.filter((a) => a.status === filter);
+}
+
+
+function AppealStatusBadge({ status }: { status: DatabaseBanAppealStatusType }) {
+    return <Badge variant="outline" className={statusColors[status]}>{statusLabels[status]}</Badge>;
+}
+
+
+type AppealDetailsProps = {
+    appeal: BanAppealListItem;
+    canEdit: boolean;
+    onUpdate: (data: ApiUpdateAppealReqSchema, onSuccess: () => void) => void;
+}
+
+function AppealDetails({ appeal, canEdit, onUpdate }: AppealDetailsProps) {
+    const commentRef = useRef<HTMLTextAreaElement>(null);
+    const openActionModal = useOpenActionModal();
+    const openConfirmDialog = useOpenConfirmDialog();
+    const isAccepted = appeal.status === 'accepted';
+
+    const doUpdate = (status?: DatabaseBanAppealStatusType) => {
+        const text = commentRef.current?.value.trim() || undefined;
+        if (!text && !status) return;
+        onUpdate({ appealId: appeal.id, text, status }, () => {
+            if (commentRef.current) commentRef.current.value = '';
+        });
+    }
+
+    const handleAccept = () => {
+        openConfirmDialog({
+            title: 'Accept Appeal',
+            actionLabel: 'Accept & Revoke',
+            confirmBtnVariant: 'destructive',
+            message: <>
+                Accepting this appeal will revoke the ban <InlineCode>{appeal.actionId}</InlineCode>, allowing the player to rejoin the server. <br />
+                This cannot be undone!
+            </>,
+            onConfirm: () => doUpdate('accepted'),
+        });
+    }
+
+    return <div className="space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+            <h2 className="text-xl">
+                Appeal <span className="font-mono">{appeal.id}</span> <AppealStatusBadge status={appeal.status} />
+            </h2>
+            <Button size="xs" variant="outline" onClick={() => openActionModal(appeal.actionId)}>
+                View Ban {appeal.actionId}
+            </Button>
+        </div>
+
+        <dl className="text-sm grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+            <dt className="text-muted-foreground">Player</dt>
+            <dd>{appeal.playerName}</dd>
+            <dt className="text-muted-foreground">Sent</dt>
+            <dd>
+                {tsToText(appeal.tsCreated)} via {appeal.source === 'web' ? 'appeal page' : 'Discord'}
+                {appeal.discordId && <span className={appeal.discordMatchesBan ? 'text-success-inline' : 'text-warning-inline'}>
+                    {' '}(discord:{appeal.discordId} {appeal.discordMatchesBan ? 'is' : 'is not'} in the ban identifiers)
+                </span>}
+            </dd>
+            {appeal.ban ? <>
+                <dt className="text-muted-foreground">Ban Reason</dt>
+                <dd className="break-words">{appeal.ban.reason}</dd>
+                <dt className="text-muted-foreground">Banned</dt>
+                <dd>
+                    {tsToText(appeal.ban.timestamp)} by {appeal.ban.author}
+                    {appeal.ban.isRevoked && <strong className="text-success-inline"> (revoked)</strong>}
+                </dd>
+            </> : <>
+                <dt className="text-muted-foreground">Ban</dt>
+                <dd className="text-destructive-inline">not found</dd>
+            </>}
+        </dl>
+
+        <div className="flex flex-col gap-2">
+            <div className="px-2 py-1 rounded-sm border bg-muted/30">
+                <small className="text-xs text-muted-foreground">
+                    <strong>{appeal.playerName}</strong> · {tsToText(appeal.tsCreated)}
+                </small>
+                <p className="text-sm whitespace-pre-wrap break-words">{appeal.message}</p>
+            </div>
+            {appeal.comments.map((comment, i) => (
+                <div key={i} className="px-2 py-1 rounded-sm border">
+                    <small className="text-xs text-muted-foreground">
+                        <strong>{comment.author}</strong> · {tsToText(comment.ts)}
+                        {comment.status && <> · changed the status to <AppealStatusBadge status={comment.status} /></>}
+                    </small>
+                    {comment.text && <p className="text-sm whitespace-pre-wrap break-words">{comment.text}</p>}
+                </div>
+            ))}
+        </div>
+
+        {!isAccepted && <div className="space-y-2">
+            <Textarea
+                ref={commentRef}
+                placeholder={canEdit ? 'Type a comment for the other admins.' : 'You need the ban permission to handle appeals.'}
+                disabled={!canEdit}
+            />
+            <div className="flex flex-wrap gap-2 justify-end">
+                <Button size="xs" variant="outline" disabled={!canEdit} onClick={() => doUpdate()}>
+                    Comment
+                </Button>
+                {appeal.status !== 'reviewing' && <Button size="xs" variant="outline" disabled={!canEdit} onClick={() => doUpdate('reviewing')}>
+                    {appeal.status === 'denied' ? 'Reopen' : 'Mark Under Review'}
+                </Button>}
+                {appeal.status !== 'denied' && <Button size="xs" variant="outline" className="hover:bg-destructive hover:text-destructive-foreground" disabled={!canEdit} onClick={() => doUpdate('denied')}>
+                    Deny
+                </Button>}
+                <Button size="xs" variant="default" disabled={!canEdit} onClick={handleAccept}>
+                    Accept & Revoke Ban
+                </Button>
+            </div>
+        </div>}
+    </div>;
+}
+
+
+function BanAppealsPageInner() {
+    const authedFetcher = useAuthedFetcher();
+    const { hasPerm } = useAdminPerms();
+    const [filter, setFilter] = useState<FilterType>('pending');
+    const [selectedId, setSelectedId] = useState<string | undefined>();
+
+    const listSwr = useSWR<BanAppealsListResp>(
+        '/appeals/list',
+        () => authedFetcher<BanAppealsListResp>('/appeals/list'),
+        { refreshInterval: 30_000 }
+    );
+    const updateApi = useBackendApi<GenericApiOkResp, ApiUpdateAppealReqSchema>({
+        method: 'POST',
+        path: '/appeals/update',
+    });
+
+    const handleUpdate = (data: ApiUpdateAppealReqSchema, onSuccess: () => void) => {
+        updateApi({
+            data,
+            toastLoadingMessage: 'Updating appeal...',
+            genericHandler: {
+                successMsg: data.status ? `Appeal ${statusLabels[data.status].toLowerCase()}.` : 'Comment added.',
+            },
+            success: (resp) => {
+                if ('success' in resp) {
+                    onSuccess();
+                    listSwr.mutate();
+                }
+            },
+        });
+    }
+
+    if (listSwr.error || (listSwr.data && 'error' in listSwr.data)) {
+        const errMsg = listSwr.error?.message ?? (listSwr.data as any)?.error ?? 'unknown error';
+        return <div className="text-destructive-inline text-center my-4">Error loading appeals: {errMsg}</div>;
+    }
+    if (!listSwr.data) {
+        return (
+            <div className="text-muted-foreground text-lg md:text-2xl text-center my-4">
+                <Loader2Icon className="inline animate-spin h-8" />Loading...
+            </div>
+        );
+    }
+
+    const { appeals } = listSwr.data;
+    const filtered = filterAppeals(appeals, filter);
+    const selected = appeals.find((a) => a.id === selectedId);
+    return <div className="space-y-4 w-full max-w-screen-lg mx-auto">
+        <p className="px-2 md:px-0">
+            Players can appeal their bans through the <InlineCode>/appeal</InlineCode> page of txAdmin or the <InlineCode>/appeal</InlineCode> Discord bot command.
+            Appeals can be enabled in the <strong>Bans</strong> tab of the settings page.
+        </p>
+        <div className="flex flex-wrap gap-2 px-2 md:px-0">
+            {filterOptions.map((option) => (
+                <Button
+                    key={option}
+                    size="xs"
+                    variant={filter === option ? 'secondary' : 'outline'}
+                    onClick={() => setFilter(option)}
+                    className="capitalize"
+                >
+                    {option}
+                </Button>
+            ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-[2fr_3fr] gap-4">
+            <div className="space-y-2 border p-2 xs:rounded-lg h-fit">
+                {!filtered.length && <div className="text-muted-foreground text-center my-4">
+                    No appeals found.
+                </div>}
+                {filtered.map((appeal) => (
+                    <div
+                        key={appeal.id}
+                        className={cn(
+                            'px-3 py-2 rounded-md border cursor-pointer hover:bg-muted/50',
+                            selectedId === appeal.id && 'bg-muted border-primary/50',
+                        )}
+                        onClick={() => setSelectedId(appeal.id)}
+                    >
+                        <div className="flex items-center justify-between gap-2">
+                            <span className="font-semibold truncate">{appeal.playerName}</span>
+                            <AppealStatusBadge status={appeal.status} />
+                        </div>
+                        <div className="text-xs text-muted-foreground">
+                            <span className="font-mono">{appeal.actionId}</span> · updated {tsToText(appeal.tsLastUpdate)}
+                        </div>
+                    </div>
+                ))}
+            </div>
+            <div className="border p-3 xs:rounded-lg">
+                {selected ? (
+                    <AppealDetails
+                        key={selected.id}
+                        appeal={selected}
+                        canEdit={hasPerm('players.ban')}
+                        onUpdate={handleUpdate}
+                    />
+                ) : (
+                    <div className="text-muted-foreground text-center my-4">Select an appeal to review it.</div>
+                )}
+            </div>
+        </div>
+    </div>;
+}
+
+
+export default function BanAppealsPage() {
+    return (
+        <div className="w-full mb-10">
+            <PageHeader
+                icon={<GavelIcon />}
+                title="Ban Appeals"
+            />
+            <div className="px-0 xs:px-3 md:px-0 flex flex-row gap-2 w-full">
+                <BanAppealsPageInner />
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,355 @@
+import { useRef, useState } from "react";
+import useSWR from "swr";
+import { Loader2Icon, NetworkIcon, PencilIcon, RefreshCwIcon, Trash2Icon } from "lucide-react";
+import { PageHeader } from "@/components/page-header";
+import InlineCode from "@/components/InlineCode";
+import { txToast } from "@/components/TxToaster";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { useAuthedFetcher, useBackendApi } from "@/hooks/fetch";
+import { useOpenConfirmDialog, useOpenPromptDialog } from "@/hooks/dialogs";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { copyToClipboard } from "@/lib/utils";
+import { GenericApiOkResp } from "@shared/genericApiTypes";
+import {
+    ApiAddFederationAccessKeyReqSchema,
+    ApiAddFederationAccessKeyResp,
+    ApiFederationIdReqSchema,
+    ApiSaveFederationSourceReqSchema,
+    ApiSyncFederationSourceResp,
+    BanFederationListResp,
+    FederationSourceListItem,
+} from "@shared/otherTypes";
+import FederationSourceDialog from "./FederationSourceDialog";
+
+const tsToText = (ts: number | null) => ts ? tsToLocaleDateTimeString(ts, 'short', 'short') : 'never';
+
+
+function BanFederationPageInner() {
+    const authedFetcher = useAuthedFetcher();
+    const openConfirmDialog = useOpenConfirmDialog();
+    const openPromptDialog = useOpenPromptDialog();
+    const copySurrogateRef = useRef<HTMLDivElement>(null);
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [editingSource, setEditingSource] = useState<FederationSourceListItem | undefined>();
+    const [createdToken, setCreatedToken] = useState('');
+
+    const listSwr = useSWR<BanFederationListResp>(
+        '/federation/list',
+        () => authedFetcher<BanFederationListResp>('/federation/list'),
+        { refreshInterval: 30_000 }
+    );
+
+    const saveSourceApi = useBackendApi<GenericApiOkResp, ApiSaveFederationSourceReqSchema>({
+        method: 'POST',
+        path: '/federation/saveSource',
+    });
+    const deleteSourceApi = useBackendApi<GenericApiOkResp, ApiFederationIdReqSchema>({
+        method: 'POST',
+        path: '/federation/deleteSource',
+    });
+    const syncSourceApi = useBackendApi<ApiSyncFederationSourceResp, ApiFederationIdReqSchema>({
+        method: 'POST',
+        path: '/federation/syncSource',
+    });
+    const addAccessKeyApi = useBackendApi<ApiAddFederationAccessKeyResp, ApiAddFederationAccessKeyReqSchema>({
+        method: 'POST',
+        path: '/federation/addAccessKey',
+    });
+    const deleteAccessKeyApi = useBackendApi<GenericApiOkResp, ApiFederationIdReqSchema>({
+        method: 'POST',
+        path: '/federation/deleteAccessKey',
+    });
+
+    const handleCopy = (value: string, label: string) => {
+        if (!copySurrogateRef.current) return;
+        copyToClipboard(value, copySurrogateRef.current).then((res) => {
+            if (res !== false) {
+                txToast.success(`${label} copied to clipboard.`);
+            } else {
+                txToast.error(`Failed to copy ${label.toLowerCase()} to clipboard.`);
+            }
+        }).catch((error) => {
+            txToast.error({
+                title: `Failed to copy ${label.toLowerCase()} to clipboard.`,
+                msg: error.message,
+            });
+        });
+    }
+
+    const handleSaveSource = (data: ApiSaveFederationSourceReqSchema) => {
+        saveSourceApi({
+            data,
+            toastLoadingMessage: 'Saving source...',
+            genericHandler: { successMsg: 'Source saved.' },
+            success: (resp) => {
+                if ('success' in resp) {
+                    setIsDialogOpen(false);
+                    listSwr.mutate();
+                    if (!data.id) setTimeout(() => listSwr.mutate(), 5000);
+                }
+            },
+        });
+    }
+
+    const handleDeleteSource = (source: FederationSourceListItem) => {
+        openConfirmDialog({
+            title: 'Delete Source',
+            actionLabel: 'Delete',
+            confirmBtnVariant: 'destructive',
+            message: <>
+                Are you sure you want to delete the source <strong>{source.name}</strong>? <br />
+                All the bans imported from it will also be deleted, except the ones that were edited or revoked by an admin of this server.
+            </>,
+            onConfirm: () => {
+                deleteSourceApi({
+                    data: { id: source.id },
+                    toastLoadingMessage: 'Deleting source...',
+                    genericHandler: { successMsg: 'Source deleted.' },
+                    success: () => listSwr.mutate(),
+                });
+            },
+        });
+    }
+
+    const handleSyncSource = (source: FederationSourceListItem) => {
+        syncSourceApi({
+            data: { id: source.id },
+            toastLoadingMessage: 'Syncing bans...',
+            success: (resp, toastId) => {
+                if ('error' in resp) {
+                    txToast.error({ title: 'Sync failed.', msg: resp.error }, { id: toastId });
+                } else {
+                    txToast.success(
+                        `Synced: ${resp.added} added, ${resp.updated} updated, ${resp.revoked} revoked.`,
+                        { id: toastId }
+                    );
+                }
+                listSwr.mutate();
+            },
+        });
+    }
+
+    const handleAddAccessKey = () => {
+        openPromptDialog({
+            title: 'Add Access Key',
+            message: 'Type the name of the server that will use this access key.',
+            placeholder: 'Server #2',
+            submitLabel: 'Create',
+            required: true,
+            onSubmit: (input) => {
+                addAccessKeyApi({
+                    data: { name: input.trim() },
+                    toastLoadingMessage: 'Creating access key...',
+                    success: (resp, toastId) => {
+                        if ('token' in resp) {
+                            setCreatedToken(resp.token);
+                            txToast.success('Access key created.', { id: toastId });
+                            listSwr.mutate();
+                        } else {
+                            txToast.error(resp.error, { id: toastId });
+                        }
+                    },
+                });
+            }
+        });
+    }
+
+    const handleDeleteAccessKey = (keyId: string, keyName: string) => {
+        openConfirmDialog({
+            title: 'Delete Access Key',
+            actionLabel: 'Delete',
+            confirmBtnVariant: 'destructive',
+            message: <>
+                Are you sure you want to delete the access key <strong>{keyName}</strong>? <br />
+                The servers using it will no longer be able to import the bans from this server.
+            </>,
+            onConfirm: () => {
+                deleteAccessKeyApi({
+                    data: { id: keyId },
+                    toastLoadingMessage: 'Deleting access key...',
+                    genericHandler: { successMsg: 'Access key deleted.' },
+                    success: () => listSwr.mutate(),
+                });
+            },
+        });
+    }
+
+    const openEditDialog = (source?: FederationSourceListItem) => {
+        setEditingSource(source);
+        setIsDialogOpen(true);
+    }
+
+    if (listSwr.error || (listSwr.data && 'error' in listSwr.data)) {
+        const errMsg = listSwr.error?.message ?? (listSwr.data as any)?.error ?? 'unknown error';
+        return <div className="text-destructive-inline text-center my-4">Error loading the ban federation: {errMsg}</div>;
+    }
+    if (!listSwr.data) {
+        return (
+            <div className="text-muted-foreground text-lg md:text-2xl text-center my-4">
+                <Loader2Icon className="inline animate-spin h-8" />Loading...
+            </div>
+        );
+    }
+
+    const { publicKey, feedPath, accessKeys, sources, canEdit } = listSwr.data;
+    return <>
+        <div className="space-y-4 w-full max-w-screen-lg mx-auto" ref={copySurrogateRef}>
+            <p className="px-2 md:px-0">
+                Ban federation allows txAdmin instances to share their bans. Each instance exposes the bans created by its admins in a signed feed,
+                and periodically imports the bans from the feeds of the other instances. <br />
+                Imported bans are only enforced if the source is set to do so, and can be ignored individually in the ban modal.
+                Editing or revoking an imported ban overrides it, so the changes made in its source are no longer applied.
+                {!canEdit && (<>
+                    <br />
+                    <span className="text-warning-inline">
+                        You need the <InlineCode className="text-warning-inline">Settings: Change</InlineCode> permission to edit the ban federation.
+                    </span>
+                </>)}
+            </p>
+
+            <div className="space-y-2">
+                <h2 className="text-xl px-2 md:px-0">This Server</h2>
+                <div className="space-y-3 border p-3 xs:rounded-lg">
+                    <p className="text-sm text-muted-foreground">
+                        To share the bans of this server, create an access key for each server that will import them,
+                        and add this server as a source there, using the txAdmin URL of this server and the public key below.
+                        The feed is served at <InlineCode>{feedPath}</InlineCode>.
+                    </p>
+                    <div className="space-y-1">
+                        <strong className="text-sm">Public Key</strong>
+                        <div className="flex gap-2">
+                            <Input value={publicKey || 'failed to load'} readOnly className="font-mono text-xs" />
+                            <Button
+                                variant="outline"
+                                disabled={!publicKey}
+                                onClick={() => publicKey && handleCopy(publicKey, 'Public key')}
+                            >
+                                Copy
+                            </Button>
+                        </div>
+                    </div>
+
+                    {createdToken && (
+                        <div className="p-2 rounded-md border border-warning space-y-2">
+                            <p className="text-sm text-warning-inline">
+                                <strong>Copy the new access token now, it will not be shown again!</strong>
+                            </p>
+                            <div className="flex gap-2">
+                                <Input value={createdToken} readOnly className="font-mono text-xs" />
+                                <Button variant="outline" onClick={() => handleCopy(createdToken, 'Access token')}>Copy</Button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="space-y-1">
+                        <strong className="text-sm">Access Keys</strong>
+                        {!accessKeys.length ? (
+                            <p className="text-sm text-muted-foreground italic">
+                                No access keys yet, so no other server can import the bans from this one.
+                            </p>
+                        ) : accessKeys.map((accessKey) => (
+                            <div key={accessKey.id} className="flex items-center justify-between gap-2 py-1 border-b last:border-b-0">
+                                <div className="text-sm">
+                                    <strong>{accessKey.name}</strong>
+                                    <span className="text-xs text-muted-foreground">
+                                        {' '}· created {tsToText(accessKey.tsCreated)} · last used {tsToText(accessKey.tsLastUsed)}
+                                    </span>
+                                </div>
+                                <Button
+                                    size="xs"
+                                    variant="destructive"
+                                    disabled={!canEdit}
+                                    onClick={() => handleDeleteAccessKey(accessKey.id, accessKey.name)}
+                                >
+                                    <Trash2Icon className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        ))}
+                        <Button className="w-full" variant="outline" disabled={!canEdit} onClick={handleAddAccessKey}>
+                            Add Access Key
+                        </Button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                <h2 className="text-xl px-2 md:px-0">Sources</h2>
+                <div className="space-y-2 border p-2 xs:rounded-lg">
+                    {!sources.length ? (
+                        <div className="text-muted-foreground text-lg md:text-2xl text-center my-4">
+                            No sources configured yet.
+                        </div>
+                    ) : sources.map((source) => (
+                        <div
+                            key={source.id}
+                            className="flex flex-wrap items-center justify-between gap-2 rounded-md border px-3 py-2"
+                        >
+                            <div className="min-w-0">
+                                <div className="flex items-center gap-2">
+                                    <strong>{source.name}</strong>
+                                    {!source.enabled && <Badge variant="outline">disabled</Badge>}
+                                    {source.enforce ? (
+                                        <Badge variant="outline" className="text-success-inline">enforced</Badge>
+                                    ) : (
+                                        <Badge variant="outline" className="text-warning-inline">not enforced</Badge>
+                                    )}
+                                </div>
+                                <div className="text-sm text-muted-foreground font-mono truncate">{source.url}</div>
+                                <div className="text-xs text-muted-foreground">
+                                    {source.importedBans} imported bans
+                                    {source.ignoredBans > 0 && ` (${source.ignoredBans} ignored)`}
+                                    {' '}· last sync {tsToText(source.tsLastSync)}
+                                </div>
+                                {source.lastError && (
+                                    <div className="text-xs text-destructive-inline break-words">
+                                        Last error: {source.lastError}
+                                    </div>
+                                )}
+                            </div>
+                            <div className="flex gap-2">
+                                <Button size="xs" variant="outline" disabled={!canEdit} onClick={() => handleSyncSource(source)}>
+                                    <RefreshCwIcon className="h-4 w-4 mr-1" /> Sync
+                                </Button>
+                                <Button size="xs" variant="outline" disabled={!canEdit} onClick={() => openEditDialog(source)}>
+                                    <PencilIcon className="h-4 w-4 mr-1" /> Edit
+                                </Button>
+                                <Button size="xs" variant="destructive" disabled={!canEdit} onClick={() => handleDeleteSource(source)}>
+                                    <Trash2Icon className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        </div>
+                    ))}
+                    <Button className="w-full" variant="outline" disabled={!canEdit} onClick={() => openEditDialog()}>
+                        Add Source
+                    </Button>
+                </div>
+            </div>
+        </div>
+        {isDialogOpen && (
+            <FederationSourceDialog
+                key={editingSource?.id}
+                source={editingSource}
+                onSave={handleSaveSource}
+                isDialogOpen={isDialogOpen}
+                setIsDialogOpen={setIsDialogOpen}
+            />
+        )}
+    </>;
+}
+
+
+export default function BanFederationPage() {
+    return (
+        <div className="w-full mb-10">
+            <PageHeader
+                icon={<NetworkIcon />}
+                title="Ban Federation"
+            />
+            <div className="px-0 xs:px-3 md:px-0 flex flex-row gap-2 w-full">
+                <BanFederationPageInner />
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { ApiSaveFederationSourceReqSchema, FederationSourceListItem } from "@shared/otherTypes";
+
+const TOKEN_PREFIX = 'txfed_';
+
+
+type FederationSourceDialogProps = {
+    source?: FederationSourceListItem;
+    onSave: (data: ApiSaveFederationSourceReqSchema) => void;
+    isDialogOpen: boolean;
+    setIsDialogOpen: (isOpen: boolean) => void;
+}
+
+export default function FederationSourceDialog({
+    source,
+    onSave,
+    isDialogOpen,
+    setIsDialogOpen,
+}: FederationSourceDialogProps) {
+    const [name, setName] = useState(source?.name ?? '');
+    const [url, setUrl] = useState(source?.url ?? '');
+    const [token, setToken] = useState('');
+    const [publicKey, setPublicKey] = useState(source?.publicKey ?? '');
+    const [enforce, setEnforce] = useState(source?.enforce ?? true);
+    const [enabled, setEnabled] = useState(source?.enabled ?? true);
+    const [error, setError] = useState('');
+
+    const handleSubmit = (event?: React.FormEvent<HTMLFormElement>) => {
+        event?.preventDefault();
+        if (!/^https?:\/\//i.test(url.trim())) {
+            return setError('The URL must start with http:// or https://');
+        } else if (!source && !token.trim()) {
+            return setError('The access token is required.');
+        } else if (token.trim() && !token.trim().startsWith(TOKEN_PREFIX)) {
+            return setError(`The access token must start with ${TOKEN_PREFIX}`);
+        } else if (!publicKey.trim()) {
+            return setError('The public key is required.');
+        }
+        onSave({
+            id: source?.id,
+            name: name.trim(),
+            url: url.trim(),
+            token: token.trim(),
+            publicKey: publicKey.trim(),
+            enforce,
+            enabled,
+        });
+    }
+
+    return (
+        <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+            <DialogContent className="md:max-w-xl">
+                <form onSubmit={handleSubmit}>
+                    <DialogHeader>
+                        <DialogTitle>{source ? 'Edit' : 'Add'} Source</DialogTitle>
+                    </DialogHeader>
+                    <div className="space-y-3 py-4">
+                        <div className="space-y-1">
+                            <Label htmlFor="sourceName">Name</Label>
+                            <Input
+                                id="sourceName"
+                                placeholder="Server #2"
+                                value={name}
+                                maxLength={64}
+                                autoFocus
+                                required
+                                onChange={(e) => setName(e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sourceUrl">txAdmin URL</Label>
+                            <Input
+                                id="sourceUrl"
+                                placeholder="http://123.123.123.123:40120"
+                                value={url}
+                                required
+                                onChange={(e) => {
+                                    setUrl(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sourceToken">Access Token</Label>
+                            <Input
+                                id="sourceToken"
+                                autoComplete="off"
+                                placeholder={source ? 'leave empty to keep the current token' : `${TOKEN_PREFIX}...`}
+                                value={token}
+                                onChange={(e) => {
+                                    setToken(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sourcePublicKey">Public Key</Label>
+                            <Input
+                                id="sourcePublicKey"
+                                autoComplete="off"
+                                className="font-mono"
+                                placeholder="copy it from the Ban Federation page of the other txAdmin"
+                                value={publicKey}
+                                required
+                                onChange={(e) => {
+                                    setPublicKey(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <Switch id="sourceEnforce" checked={enforce} onCheckedChange={setEnforce} />
+                            <Label htmlFor="sourceEnforce">Enforce the imported bans when players join</Label>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <Switch id="sourceEnabled" checked={enabled} onCheckedChange={setEnabled} />
+                            <Label htmlFor="sourceEnabled">Sync enabled</Label>
+                        </div>
+                    </div>
+                    {error && <p className="text-destructive text-center mb-4">{error}</p>}
+                    <DialogFooter>
+                        <Button type="submit">Save changes</Button>
+                    </DialogFooter>
+                </form>
+            </DialogContent>
+        </Dialog>
+    );
+}
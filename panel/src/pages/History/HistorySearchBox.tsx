@@ -219,6 +219,12 @@ export function HistorySearchBox({ doSearch, initialState, adminStats }: History
                             <SelectItem value={'warn'} className="cursor-pointer">
                                 Warns
                             </SelectItem>
+                            <SelectItem value={'kick'} className="cursor-pointer">
+                                Kicks
+                            </SelectItem>
+                            <SelectItem value={'mute'} className="cursor-pointer">
+                                Mutes
+                            </SelectItem>
                         </SelectContent>
                     </Select>
 
@@ -5,7 +5,8 @@ import TxAnchor from '@/components/TxAnchor';
 import { cn } from '@/lib/utils';
 import { convertRowDateTime } from '@/lib/dateTime';
 import { TableBody, TableCell, TableHeader, TableRow } from "@/components/ui/table";
-import { Loader2Icon, GavelIcon, AlertTriangleIcon, Undo2Icon, TimerOffIcon, TimerIcon, HourglassIcon } from 'lucide-react';
+import { Loader2Icon, GavelIcon, AlertTriangleIcon, Undo2Icon, TimerOffIcon, TimerIcon, HourglassIcon, MicOffIcon } from 'lucide-react';
+import { KickOneIcon } from '@/components/KickIcons';
 import { useBackendApi } from '@/hooks/fetch';
 import { HistoryTableActionType, HistoryTableSearchResp, HistoryTableSearchType, HistoryTableSortingType } from '@shared/historyApiTypes';
 import { useOpenActionModal } from '@/hooks/actionModal';
@@ -38,6 +39,16 @@ function HistoryRow({ action, modalOpener }: HistoryRowProps) {
             <GavelIcon className='size-5' />
         </div>
         rowId = <span className='tracking-wider text-destructive'>{action.id}</span>
+    } else if (action.type === 'kick') {
+        rowPrefix = <div className='flex items-center px-1 bg-muted text-muted-foreground'>
+            <KickOneIcon style={{ height: '1.25rem', width: '1.25rem', fill: 'currentcolor' }} />
+        </div>
+        rowId = <span className='tracking-wider text-muted-foreground'>{action.id}</span>
+    } else if (action.type === 'mute') {
+        rowPrefix = <div className='flex items-center px-1 bg-info-hint text-info'>
+            <MicOffIcon className='size-5' />
+        </div>
+        rowId = <span className='tracking-wider text-info'>{action.id}</span>
     } else {
         throw new Error(`Invalid action type: ${action.type}`);
     }
@@ -52,6 +63,8 @@ function HistoryRow({ action, modalOpener }: HistoryRowProps) {
         } else if (action.banExpiration === 'active') {
             statusIcon = <TimerIcon className='size-4' />;
         }
+    } else if (action.muteExpiration === 'active') {
+        statusIcon = <TimerIcon className='size-4' />;
     } else if (action.type === 'warn' && !action.warnAcked) {
         statusIcon = <HourglassIcon className='size-4' />;
     }
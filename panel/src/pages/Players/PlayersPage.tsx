@@ -6,9 +6,11 @@ import {
     PlayersSearchBoxReturnStateType,
     availableFilters,
     availableSearchTypes,
+    tagFilterPrefix,
 } from './PlayersSearchBox';
 import PlayersTable from './PlayersTable';
-import { PlayersStatsResp, PlayersTableFiltersType, PlayersTableSearchType } from '@shared/playerApiTypes';
+import { PlayersStatsResp, PlayersTableFiltersType, PlayersTableSearchType, PlayerTagsResp } from '@shared/playerApiTypes';
+import { PlayerTagDataType } from '@shared/otherTypes';
 import { useBackendApi } from '@/hooks/fetch';
 
 
@@ -56,7 +58,9 @@ const getInitialState = () => {
     const searchType = params.get('searchType');
     const searchQuery = params.get('searchQuery');
     const validFilters = availableFilters.map(f => f.value) as string[];
-    const searchFilters = params.get('filters')?.split(',').filter(f => validFilters.includes(f));
+    const searchFilters = params.get('filters')?.split(',').filter((f) => {
+        return validFilters.includes(f) || f.startsWith(tagFilterPrefix);
+    });
 
     let defaultSearchType = availableSearchTypes[0].value as string;
     let rememberSearchType = false;
@@ -87,19 +91,30 @@ const getInitialState = () => {
 export default function PlayersPage() {
     const [calloutData, setCalloutData] = useState<PlayersStatsResp | undefined>(undefined);
     const [searchBoxReturn, setSearchBoxReturn] = useState<PlayersSearchBoxReturnStateType | undefined>(undefined);
+    const [playerTags, setPlayerTags] = useState<PlayerTagDataType[]>([]);
     const statsApi = useBackendApi<PlayersStatsResp>({
         method: 'GET',
         path: '/player/stats',
         abortOnUnmount: true,
     });
+    const tagsApi = useBackendApi<PlayerTagsResp>({
+        method: 'GET',
+        path: '/player/tags',
+        abortOnUnmount: true,
+    });
 
-    //Callout data
+    //Callout data & tags for the filters
     useEffect(() => {
         statsApi({
             success(data, toastId) {
                 setCalloutData(data);
             },
-        })
+        });
+        tagsApi({
+            success(data) {
+                setPlayerTags(data.tags);
+            },
+        });
     }, []);
 
     //PlayerSearchBox handlers
@@ -161,6 +176,7 @@ export default function PlayersPage() {
         <PlayerSearchBoxMemo
             doSearch={doSearch}
             initialState={initialState}
+            playerTags={playerTags}
         />
 
         {searchBoxReturn ? (
@@ -15,6 +15,7 @@ import {
 } from "@/components/ui/dropdown-menu";
 import InlineCode from '@/components/InlineCode';
 import { PlayersTableFiltersType, PlayersTableSearchType } from "@shared/playerApiTypes";
+import { PlayerTagDataType } from "@shared/otherTypes";
 import { useEventListener } from "usehooks-ts";
 import { Link } from "wouter";
 
@@ -27,7 +28,7 @@ export const availableSearchTypes = [
         value: 'playerName',
         label: 'Name',
         placeholder: 'Enter a player name',
-        description: 'Search players by their last display name.'
+        description: 'Search players by their current or previous display names.'
     },
     {
         value: 'playerNotes',
@@ -52,6 +53,8 @@ export const availableFilters = [
     { label: 'Has Profile Notes', value: 'hasNote' },
 ] as const;
 
+export const tagFilterPrefix = 'tag:';
+
 //FIXME: this doesn't require exporting, but HMR doesn't work without it
 // eslint-disable-next-line @typescript-eslint/no-explicit-any, react-refresh/only-export-components
 export const throttleFunc = throttle(1250, (func: any) => {
@@ -71,9 +74,10 @@ export type PlayersSearchBoxReturnStateType = {
 type PlayerSearchBoxProps = {
     doSearch: (search: PlayersTableSearchType, filters: PlayersTableFiltersType, rememberSearchType: boolean) => void;
     initialState: PlayersSearchBoxReturnStateType & { rememberSearchType: boolean };
+    playerTags: PlayerTagDataType[];
 };
 
-export function PlayerSearchBox({ doSearch, initialState }: PlayerSearchBoxProps) {
+export function PlayerSearchBox({ doSearch, initialState, playerTags }: PlayerSearchBoxProps) {
     const inputRef = useRef<HTMLInputElement>(null);
     const [isSearchTypeDropdownOpen, setSearchTypeDropdownOpen] = useState(false);
     const [isFilterDropdownOpen, setFilterDropdownOpen] = useState(false);
@@ -237,6 +241,26 @@ export function PlayerSearchBox({ doSearch, initialState }: PlayerSearchBoxProps
                                     {filter.label}
                                 </DropdownMenuCheckboxItem>
                             ))}
+                            {playerTags.length > 0 && <>
+                                <DropdownMenuSeparator />
+                                <DropdownMenuLabel>Player Tags</DropdownMenuLabel>
+                                {playerTags.map((tag) => (
+                                    <DropdownMenuCheckboxItem
+                                        key={tag.id}
+                                        checked={selectedFilters.includes(tagFilterPrefix + tag.id)}
+                                        className="cursor-pointer"
+                                        onCheckedChange={(checked) => {
+                                            filterSelectChange(tagFilterPrefix + tag.id, checked);
+                                        }}
+                                    >
+                                        <span
+                                            className="size-2.5 rounded-sm mr-2 shrink-0"
+                                            style={{ backgroundColor: tag.color }}
+                                        />
+                                        {tag.label}
+                                    </DropdownMenuCheckboxItem>
+                                ))}
+                            </>}
                             <DropdownMenuSeparator />
                             <DropdownMenuItem
                                 className="cursor-pointer"
@@ -29,8 +29,21 @@ function PlayerRow({ rowData, modalOpener }: PlayerRowProps) {
             <TableCell className={'px-4 py-2 flex justify-between border-r'}>
                 <span className='text-ellipsis overflow-hidden line-clamp-1 break-all'>
                     {rowData.displayName}
+                    {rowData.matchedName && (
+                        <span className='ml-2 text-sm text-muted-foreground' title='Matched a previous name of this player'>
+                            (was {rowData.matchedName})
+                        </span>
+                    )}
                 </span>
                 <div className='hidden md:inline-flex items-center gap-1'>
+                    {rowData.tags.map((tag) => (
+                        <span
+                            key={tag.id}
+                            className='h-4 w-1.5 rounded-sm'
+                            title={tag.label}
+                            style={{ backgroundColor: tag.color }}
+                        />
+                    ))}
                     <ActivitySquareIcon className={cn('h-5',
                         rowData.isOnline ? 'text-success-inline animate-pulse' : 'text-muted'
                     )} />
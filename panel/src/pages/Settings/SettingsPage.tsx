@@ -13,6 +13,7 @@ import type { GetConfigsResp, PartialTxConfigs, SaveConfigsReq, SaveConfigsResp
 
 import SettingsTab from "./SettingsTab";
 import ConfigCardBans from "./tabCards/bans";
+import ConfigCardDatabase from "./tabCards/database";
 import ConfigCardDiscord from "./tabCards/discord";
 import ConfigCardFxserver from "./tabCards/fxserver";
 import ConfigCardGameMenu from "./tabCards/gameMenu";
@@ -32,6 +33,7 @@ const settingsTabsBase = [
     { name: 'Bans', Component: ConfigCardBans },
     { name: 'Whitelist', Component: ConfigCardWhitelist },
     { name: 'Discord', Component: ConfigCardDiscord },
+    { name: 'Database', Component: ConfigCardDatabase },
     {
         name: 'Game',
         cards: [
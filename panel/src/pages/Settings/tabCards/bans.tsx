@@ -1,23 +1,142 @@
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Button } from '@/components/ui/button'
 import { Link } from 'wouter'
-import { PencilIcon } from 'lucide-react'
+import { PencilIcon, PlusIcon, XIcon } from 'lucide-react'
 import SwitchText from '@/components/SwitchText'
 import { AdvancedDivider, SettingItem, SettingItemDesc } from '../settingsItems'
 import { AutosizeTextarea, AutosizeTextAreaRef } from "@/components/ui/autosize-textarea"
+import { Input } from "@/components/ui/input"
 import { useState, useEffect, useRef, useMemo, useReducer } from "react"
 import { getConfigEmptyState, getConfigAccessors, SettingsCardProps, getPageConfig, configsReducer, getConfigDiff } from "../utils"
 import SettingsCardShell from "../SettingsCardShell"
 import { txToast } from "@/components/TxToaster"
+import { WarnEscalationStepType } from "@shared/otherTypes"
 
 
 export const pageConfigs = {
     checkingEnabled: getPageConfig('banlist', 'enabled'),
     rejectionMessage: getPageConfig('banlist', 'rejectionMessage'),
+    propagateToLinked: getPageConfig('banlist', 'propagateToLinkedAccounts'),
+    appealsEnabled: getPageConfig('banlist', 'appealsEnabled'),
+    appealsUrl: getPageConfig('banlist', 'appealsUrl'),
+    warnEscalation: getPageConfig('banlist', 'warnEscalation'),
 
     requiredHwids: getPageConfig('banlist', 'requiredHwidMatches', true),
 } as const;
 
+const durationUnits = ['hours', 'days', 'weeks', 'months'] as const;
+
+//The number inputs keep NaN while empty, and are validated when saving
+const parseNumberInput = (value: string) => parseInt(value);
+const numberInputValue = (value: number | null) => value === null || isNaN(value) ? '' : value;
+
+
+type WarnEscalationEditorProps = {
+    value: WarnEscalationStepType[] | undefined;
+    onChange: (value: WarnEscalationStepType[]) => void;
+    disabled: boolean;
+};
+
+/**
+ * Editor for the list of warn escalation steps
+ */
+function WarnEscalationEditor({ value, onChange, disabled }: WarnEscalationEditorProps) {
+    const steps = value ?? [];
+    const updateStep = (index: number, changes: Partial<WarnEscalationStepType>) => {
+        onChange(steps.map((step, i) => i === index ? { ...step, ...changes } : step));
+    }
+    const addStep = () => {
+        const lastStep = steps[steps.length - 1];
+        onChange([...steps, {
+            warns: lastStep && !isNaN(lastStep.warns) ? lastStep.warns + 2 : 3,
+            windowDays: 30,
+            duration: { value: 1, unit: 'days' },
+        }]);
+    }
+
+    return (
+        <div className="flex flex-col gap-2">
+            {steps.map((step, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                    <Input
+                        type="number"
+                        className="w-20"
+                        min={1}
+                        max={100}
+                        value={numberInputValue(step.warns)}
+                        onChange={(e) => updateStep(index, { warns: parseNumberInput(e.target.value) })}
+                        disabled={disabled}
+                    />
+                    <span>warns in</span>
+                    <Input
+                        type="number"
+                        className="w-24"
+                        min={1}
+                        max={3650}
+                        placeholder="all time"
+                        value={numberInputValue(step.windowDays)}
+                        onChange={(e) => updateStep(index, {
+                            windowDays: e.target.value.length ? parseNumberInput(e.target.value) : null,
+                        })}
+                        disabled={disabled}
+                    />
+                    <span>days → ban for</span>
+                    {step.duration !== 'permanent' && (
+                        <Input
+                            type="number"
+                            className="w-20"
+                            min={1}
+                            value={numberInputValue(step.duration.value)}
+                            onChange={(e) => updateStep(index, {
+                                duration: { ...step.duration as Exclude<typeof step.duration, 'permanent'>, value: parseNumberInput(e.target.value) },
+                            })}
+                            disabled={disabled}
+                        />
+                    )}
+                    <Select
+                        value={step.duration === 'permanent' ? 'permanent' : step.duration.unit}
+                        onValueChange={(unit) => updateStep(index, {
+                            duration: unit === 'permanent'
+                                ? 'permanent'
+                                : { value: step.duration === 'permanent' ? 1 : step.duration.value, unit: unit as typeof durationUnits[number] },
+                        })}
+                        disabled={disabled}
+                    >
+                        <SelectTrigger className="w-32">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {durationUnits.map((unit) => (
+                                <SelectItem key={unit} value={unit} className="capitalize">{unit}</SelectItem>
+                            ))}
+                            <SelectItem value="permanent">Permanent</SelectItem>
+                        </SelectContent>
+                    </Select>
+                    <Button
+                        variant="outline"
+                        size="icon"
+                        className="shrink-0 hover:bg-destructive hover:text-destructive-foreground"
+                        onClick={() => onChange(steps.filter((_, i) => i !== index))}
+                        disabled={disabled}
+                    >
+                        <XIcon className="size-4" />
+                    </Button>
+                </div>
+            ))}
+            <Button
+                variant="outline"
+                size="sm"
+                className="w-max"
+                onClick={addStep}
+                disabled={disabled || steps.length >= 20}
+            >
+                <PlusIcon className="size-4 mr-1" /> Add Step
+            </Button>
+        </div>
+    )
+}
+
+
 export default function ConfigCardBans({ cardCtx, pageCtx }: SettingsCardProps) {
     const [showAdvanced, setShowAdvanced] = useState(false);
     const [states, dispatch] = useReducer(
@@ -40,6 +159,7 @@ export default function ConfigCardBans({ cardCtx, pageCtx }: SettingsCardProps)
 
     //Refs for configs that don't use state
     const rejectionMessageRef = useRef<AutosizeTextAreaRef | null>(null);
+    const appealsUrlRef = useRef<HTMLInputElement | null>(null);
 
     //Marshalling Utils
     const selectNumberUtil = {
@@ -51,6 +171,7 @@ export default function ConfigCardBans({ cardCtx, pageCtx }: SettingsCardProps)
     const updatePageState = () => {
         const overwrites = {
             rejectionMessage: rejectionMessageRef.current?.textArea.value,
+            appealsUrl: appealsUrlRef.current?.value.trim(),
         };
 
         const res = getConfigDiff(cfg, states, overwrites, showAdvanced);
@@ -73,6 +194,31 @@ export default function ConfigCardBans({ cardCtx, pageCtx }: SettingsCardProps)
                 msg: 'The message must be 512 characters or less.',
             });
         }
+        if (
+            localConfigs.banlist?.appealsUrl
+            && !/^https?:\/\/.+/.test(localConfigs.banlist.appealsUrl)
+        ) {
+            return txToast.error({
+                title: 'Invalid Ban Appeals Page URL.',
+                md: true,
+                msg: 'The URL must start with `http://` or `https://`.',
+            });
+        }
+        const warnEscalation = localConfigs.banlist?.warnEscalation;
+        if (Array.isArray(warnEscalation)) {
+            const isValidInt = (num: number, min: number, max: number) => Number.isInteger(num) && num >= min && num <= max;
+            const invalidStep = warnEscalation.find((step) => (
+                !isValidInt(step.warns, 1, 100)
+                || (step.windowDays !== null && !isValidInt(step.windowDays, 1, 3650))
+                || (step.duration !== 'permanent' && !isValidInt(step.duration.value, 1, 9999))
+            ));
+            if (invalidStep) {
+                return txToast.error({
+                    title: 'Invalid Warn Escalation Step.',
+                    msg: 'The number of warns, days and ban duration must be positive whole numbers.',
+                });
+            }
+        }
         pageCtx.saveChanges(cardCtx, localConfigs);
     }
 
@@ -129,6 +275,61 @@ export default function ConfigCardBans({ cardCtx, pageCtx }: SettingsCardProps)
                     If you have a ban appeal process, you can use this field to inform the players.
                 </SettingItemDesc>
             </SettingItem>
+            <SettingItem label="Ban Linked Accounts" htmlFor={cfg.propagateToLinked.eid}>
+                <SwitchText
+                    id={cfg.propagateToLinked.eid}
+                    checkedLabel="Enabled"
+                    uncheckedLabel="Disabled"
+                    checked={states.propagateToLinked}
+                    onCheckedChange={cfg.propagateToLinked.state.set}
+                    disabled={pageCtx.isReadOnly}
+                />
+                <SettingItemDesc>
+                    When banning a player, also ban the licenses of the accounts confirmed as linked to them. <br />
+                    Accounts can be linked in the <strong>Links</strong> tab of the player modal.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Ban Appeals">
+                <SwitchText
+                    id={cfg.appealsEnabled.eid}
+                    checkedLabel="Enabled"
+                    uncheckedLabel="Disabled"
+                    checked={states.appealsEnabled}
+                    onCheckedChange={cfg.appealsEnabled.state.set}
+                    disabled={pageCtx.isReadOnly}
+                />
+                <SettingItemDesc>
+                    Allow banned players to appeal through the <code>/appeal</code> page of txAdmin or the <code>/appeal</code> Discord bot command. <br />
+                    The appeals can be reviewed in the <strong>Ban Appeals</strong> page, and accepting one revokes the ban.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Ban Appeals Page URL" htmlFor={cfg.appealsUrl.eid} showOptional>
+                <Input
+                    id={cfg.appealsUrl.eid}
+                    ref={appealsUrlRef}
+                    defaultValue={cfg.appealsUrl.initialValue}
+                    placeholder='http://123.123.123.123:40120/appeal'
+                    onInput={updatePageState}
+                    disabled={pageCtx.isReadOnly}
+                />
+                <SettingItemDesc>
+                    The public address of the txAdmin appeal page, which will be linked in the ban rejection message. <br />
+                    Leave it empty if your txAdmin is not reachable by the players, they can still appeal through the Discord bot.
+                </SettingItemDesc>
+            </SettingItem>
+
+            <SettingItem label="Warn Escalation">
+                <WarnEscalationEditor
+                    value={states.warnEscalation}
+                    onChange={cfg.warnEscalation.state.set}
+                    disabled={pageCtx.isReadOnly}
+                />
+                <SettingItemDesc>
+                    Automatically ban players when they reach a number of warns, like 3 warns in 30 days resulting in a 1 day ban. <br />
+                    Leave the days empty to count all the active warns of the player. Revoked warns are not counted. <br />
+                    The bans are authored by <code>txAdmin</code>, and the admins are notified in the panel and in the Discord warnings channel.
+                </SettingItemDesc>
+            </SettingItem>
 
             {showAdvanced && <AdvancedDivider />}
 
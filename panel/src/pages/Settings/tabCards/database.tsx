@@ -0,0 +1,346 @@
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Input } from "@/components/ui/input"
+import { Button } from "@/components/ui/button"
+import { PlusIcon, XIcon } from "lucide-react"
+import { SettingItem, SettingItemDesc } from '../settingsItems'
+import { useEffect, useMemo, useReducer } from "react"
+import { getConfigEmptyState, getConfigAccessors, SettingsCardProps, getPageConfig, configsReducer, getConfigDiff } from "../utils"
+import SettingsCardShell from "../SettingsCardShell"
+import InlineCode from "@/components/InlineCode"
+import { txToast } from "@/components/TxToaster"
+import { PlayerTagDataType } from "@shared/otherTypes"
+import { alphanumeric } from 'nanoid-dictionary'
+import { customAlphabet } from "nanoid"
+const genTagId = customAlphabet(alphanumeric, 10);
+
+
+export const pageConfigs = {
+    backupInterval: getPageConfig('database', 'backupInterval'),
+    snapshotInterval: getPageConfig('database', 'snapshotInterval'),
+    snapshotRetention: getPageConfig('database', 'snapshotRetention'),
+    playersRetention: getPageConfig('database', 'playersRetention'),
+    playersRetentionPlaytime: getPageConfig('database', 'playersRetentionPlaytime'),
+    whitelistRequestsRetention: getPageConfig('database', 'whitelistRequestsRetention'),
+    whitelistApprovalsRetention: getPageConfig('database', 'whitelistApprovalsRetention'),
+    playerSessionsRetention: getPageConfig('database', 'playerSessionsRetention'),
+    playerTags: getPageConfig('database', 'playerTags'),
+} as const;
+
+const defaultTagColors = ['#EF4444', '#F97316', '#FACC15', '#22C55E', '#06B6D4', '#3B82F6', '#A855F7', '#EC4899'];
+
+
+type NumberSelectProps = {
+    id: string;
+    value: number | undefined;
+    onChange: (value: number | undefined) => void;
+    options: [number, string][];
+    disabled: boolean;
+};
+
+/**
+ * Select for numeric configs, which also shows custom values set in the config file
+ */
+function NumberSelect({ id, value, onChange, options, disabled }: NumberSelectProps) {
+    const hasCustomValue = value !== undefined && !options.some(([optValue]) => optValue === value);
+    return (
+        <Select
+            value={value !== undefined ? value.toString() : undefined}
+            onValueChange={(val) => onChange(val ? parseInt(val) : undefined)}
+            disabled={disabled}
+        >
+            <SelectTrigger id={id}>
+                <SelectValue placeholder="Select..." />
+            </SelectTrigger>
+            <SelectContent>
+                {options.map(([optValue, label]) => (
+                    <SelectItem key={optValue} value={optValue.toString()}>{label}</SelectItem>
+                ))}
+                {hasCustomValue && (
+                    <SelectItem value={value.toString()}>{value} (custom)</SelectItem>
+                )}
+            </SelectContent>
+        </Select>
+    )
+}
+
+
+type PlayerTagsEditorProps = {
+    value: PlayerTagDataType[] | undefined;
+    onChange: (value: PlayerTagDataType[]) => void;
+    disabled: boolean;
+};
+
+/**
+ * Editor for the list of player tags
+ */
+function PlayerTagsEditor({ value, onChange, disabled }: PlayerTagsEditorProps) {
+    const tags = value ?? [];
+    const updateTag = (id: string, changes: Partial<PlayerTagDataType>) => {
+        onChange(tags.map((tag) => tag.id === id ? { ...tag, ...changes } : tag));
+    }
+    const addTag = () => {
+        onChange([...tags, {
+            id: genTagId(),
+            label: '',
+            color: defaultTagColors[tags.length % defaultTagColors.length],
+        }]);
+    }
+
+    return (
+        <div className="flex flex-col gap-2">
+            {tags.map((tag) => (
+                <div key={tag.id} className="flex items-center gap-2">
+                    <input
+                        type="color"
+                        className="h-10 w-10 shrink-0 cursor-pointer rounded-md border bg-transparent p-1"
+                        value={tag.color}
+                        onChange={(e) => updateTag(tag.id, { color: e.target.value.toUpperCase() })}
+                        disabled={disabled}
+                    />
+                    <Input
+                        value={tag.label}
+                        placeholder="Tag name"
+                        maxLength={24}
+                        onChange={(e) => updateTag(tag.id, { label: e.target.value })}
+                        disabled={disabled}
+                    />
+                    <Button
+                        variant="outline"
+                        size="icon"
+                        className="shrink-0 hover:bg-destructive hover:text-destructive-foreground"
+                        onClick={() => onChange(tags.filter((t) => t.id !== tag.id))}
+                        disabled={disabled}
+                    >
+                        <XIcon className="size-4" />
+                    </Button>
+                </div>
+            ))}
+            <Button
+                variant="outline"
+                size="sm"
+                className="w-max"
+                onClick={addTag}
+                disabled={disabled || tags.length >= 64}
+            >
+                <PlusIcon className="size-4 mr-1" /> Add Tag
+            </Button>
+        </div>
+    )
+}
+
+
+export default function ConfigCardDatabase({ cardCtx, pageCtx }: SettingsCardProps) {
+    const [states, dispatch] = useReducer(
+        configsReducer<typeof pageConfigs>,
+        null,
+        () => getConfigEmptyState(pageConfigs),
+    );
+    const cfg = useMemo(() => {
+        return getConfigAccessors(cardCtx.cardId, pageConfigs, pageCtx.apiData, dispatch);
+    }, [pageCtx.apiData, dispatch]);
+
+    //Effects - handle changes
+    useEffect(() => {
+        updatePageState();
+    }, [states]);
+
+    //Processes the state of the page and sets the card as pending save if needed
+    const updatePageState = () => {
+        const res = getConfigDiff(cfg, states, {}, false);
+        pageCtx.setCardPendingSave(res.hasChanges ? cardCtx : null);
+        return res;
+    }
+
+    //Validate changes (for UX only) and trigger the save API
+    const handleOnSave = () => {
+        const { hasChanges, localConfigs } = updatePageState();
+        if (!hasChanges) return;
+
+        const playerTags = localConfigs.database?.playerTags;
+        if (Array.isArray(playerTags)) {
+            const trimmedTags = playerTags.map((tag) => ({ ...tag, label: tag.label.trim() }));
+            if (trimmedTags.some((tag) => !tag.label.length)) {
+                return txToast.error({
+                    title: 'Invalid Player Tags.',
+                    msg: 'All player tags must have a name.',
+                });
+            }
+            return pageCtx.saveChanges(cardCtx, {
+                ...localConfigs,
+                database: { ...localConfigs.database, playerTags: trimmedTags },
+            });
+        }
+        pageCtx.saveChanges(cardCtx, localConfigs);
+    }
+
+    return (
+        <SettingsCardShell
+            cardCtx={cardCtx}
+            pageCtx={pageCtx}
+            onClickSave={handleOnSave}
+        >
+            <SettingItem label="Backup Interval" htmlFor={cfg.backupInterval.eid}>
+                <NumberSelect
+                    id={cfg.backupInterval.eid}
+                    value={states.backupInterval}
+                    onChange={cfg.backupInterval.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [5, 'every 5 minutes'],
+                        [15, 'every 15 minutes'],
+                        [30, 'every 30 minutes'],
+                        [60, 'every hour'],
+                        [0, 'Disable Automatic Backup'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    How often the players database file should be copied to <InlineCode>playersDB.backup.*</InlineCode>. <br />
+                    This backup is automatically restored if the database file gets corrupted.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Snapshot Interval" htmlFor={cfg.snapshotInterval.eid}>
+                <NumberSelect
+                    id={cfg.snapshotInterval.eid}
+                    value={states.snapshotInterval}
+                    onChange={cfg.snapshotInterval.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [6, 'every 6 hours'],
+                        [12, 'every 12 hours'],
+                        [24, 'every day'],
+                        [72, 'every 3 days'],
+                        [168, 'every week'],
+                        [0, 'Disable Scheduled Snapshots'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    How often a snapshot of the players database should be taken. <br />
+                    The snapshots can be downloaded or restored in the Master Actions page.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Snapshot Retention" htmlFor={cfg.snapshotRetention.eid}>
+                <NumberSelect
+                    id={cfg.snapshotRetention.eid}
+                    value={states.snapshotRetention}
+                    onChange={cfg.snapshotRetention.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [7, 'keep the last 7'],
+                        [14, 'keep the last 14'],
+                        [30, 'keep the last 30'],
+                        [60, 'keep the last 60'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    How many snapshots to keep before deleting the oldest ones.
+                </SettingItemDesc>
+            </SettingItem>
+
+            <SettingItem label="Inactive Players" htmlFor={cfg.playersRetention.eid}>
+                <NumberSelect
+                    id={cfg.playersRetention.eid}
+                    value={states.playersRetention}
+                    onChange={cfg.playersRetention.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [7, 'remove after 7 days'],
+                        [16, 'remove after 16 days'],
+                        [30, 'remove after 30 days'],
+                        [90, 'remove after 90 days'],
+                        [365, 'remove after 1 year'],
+                        [0, 'Never Remove'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    The daily database optimizer removes players that haven't connected for this many days. <br />
+                    Only players with less playtime than the option below are removed.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Inactive Players Playtime" htmlFor={cfg.playersRetentionPlaytime.eid}>
+                <NumberSelect
+                    id={cfg.playersRetentionPlaytime.eid}
+                    value={states.playersRetentionPlaytime}
+                    onChange={cfg.playersRetentionPlaytime.state.set}
+                    disabled={pageCtx.isReadOnly || states.playersRetention === 0}
+                    options={[
+                        [30, 'less than 30 minutes'],
+                        [60, 'less than 1 hour'],
+                        [120, 'less than 2 hours'],
+                        [300, 'less than 5 hours'],
+                        [600, 'less than 10 hours'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    Players with more playtime than this are never removed by the optimizer.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Whitelist Requests" htmlFor={cfg.whitelistRequestsRetention.eid}>
+                <NumberSelect
+                    id={cfg.whitelistRequestsRetention.eid}
+                    value={states.whitelistRequestsRetention}
+                    onChange={cfg.whitelistRequestsRetention.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [7, 'remove after 7 days'],
+                        [30, 'remove after 30 days'],
+                        [90, 'remove after 90 days'],
+                        [0, 'Never Remove'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    Remove whitelist requests that have not been attempted again for this many days.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Whitelist Approvals" htmlFor={cfg.whitelistApprovalsRetention.eid}>
+                <NumberSelect
+                    id={cfg.whitelistApprovalsRetention.eid}
+                    value={states.whitelistApprovalsRetention}
+                    onChange={cfg.whitelistApprovalsRetention.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [7, 'remove after 7 days'],
+                        [30, 'remove after 30 days'],
+                        [90, 'remove after 90 days'],
+                        [0, 'Never Remove'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    Remove the pending whitelist approvals of players that haven't joined after this many days. <br />
+                    <strong>Note:</strong> The approvals are removed after the player joins, this only affects players who never joined.
+                </SettingItemDesc>
+            </SettingItem>
+            <SettingItem label="Player Sessions" htmlFor={cfg.playerSessionsRetention.eid}>
+                <NumberSelect
+                    id={cfg.playerSessionsRetention.eid}
+                    value={states.playerSessionsRetention}
+                    onChange={cfg.playerSessionsRetention.state.set}
+                    disabled={pageCtx.isReadOnly}
+                    options={[
+                        [30, 'remove after 30 days'],
+                        [90, 'remove after 90 days'],
+                        [180, 'remove after 180 days'],
+                        [365, 'remove after 1 year'],
+                        [0, 'Never Remove'],
+                    ]}
+                />
+                <SettingItemDesc>
+                    Remove the join/leave records shown in the <InlineCode>Sessions</InlineCode> tab of the player modal after this many days. <br />
+                    You can preview what the optimizer would remove in the <InlineCode>Master Actions</InlineCode> page.
+                </SettingItemDesc>
+            </SettingItem>
+
+            <SettingItem label="Player Tags">
+                <PlayerTagsEditor
+                    value={states.playerTags}
+                    onChange={cfg.playerTags.state.set}
+                    disabled={pageCtx.isReadOnly}
+                />
+                <SettingItemDesc>
+                    Tags that can be added to players in the player modal, to categorize them like <InlineCode>VIP</InlineCode> or <InlineCode>Suspicious</InlineCode>. <br />
+                    The tags show in the playerlist and can be used as filters in the Players page. <br />
+                    <strong>Note:</strong> Removing a tag will also remove it from all players.
+                </SettingItemDesc>
+            </SettingItem>
+        </SettingsCardShell>
+    )
+}
@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Switch } from "@/components/ui/switch";
+import { ApiSaveWebhookReqSchema, WebhookListItem } from "@shared/otherTypes";
+
+const ALL_EVENTS = '*';
+
+
+type WebhookEditDialogProps = {
+    webhook?: WebhookListItem;
+    knownEvents: string[];
+    onSave: (data: ApiSaveWebhookReqSchema) => void;
+    isDialogOpen: boolean;
+    setIsDialogOpen: (isOpen: boolean) => void;
+}
+
+export default function WebhookEditDialog({
+    webhook,
+    knownEvents,
+    onSave,
+    isDialogOpen,
+    setIsDialogOpen,
+}: WebhookEditDialogProps) {
+    const [name, setName] = useState(webhook?.name ?? '');
+    const [url, setUrl] = useState(webhook?.url ?? '');
+    const [secret, setSecret] = useState('');
+    const [events, setEvents] = useState<string[]>(webhook?.events ?? []);
+    const [enabled, setEnabled] = useState(webhook?.enabled ?? true);
+    const [error, setError] = useState('');
+
+    const isAllEvents = events.includes(ALL_EVENTS);
+    const toggleEvent = (event: string, checked: boolean) => {
+        setError('');
+        if (event === ALL_EVENTS) {
+            setEvents(checked ? [ALL_EVENTS] : []);
+        } else if (checked) {
+            setEvents((prev) => [...prev, event]);
+        } else {
+            setEvents((prev) => prev.filter((x) => x !== event));
+        }
+    }
+
+    const handleSubmit = (event?: React.FormEvent<HTMLFormElement>) => {
+        event?.preventDefault();
+        if (!/^https?:\/\//i.test(url.trim())) {
+            return setError('The URL must start with http:// or https://');
+        } else if (!events.length) {
+            return setError('You must select at least one event.');
+        } else if (secret && secret.length < 16) {
+            return setError('The secret must be at least 16 characters long.');
+        }
+        onSave({
+            id: webhook?.id,
+            name: name.trim(),
+            url: url.trim(),
+            secret,
+            events,
+            enabled,
+        });
+    }
+
+    return (
+        <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+            <DialogContent className="md:max-w-xl">
+                <form onSubmit={handleSubmit}>
+                    <DialogHeader>
+                        <DialogTitle>{webhook ? 'Edit' : 'Add'} Webhook</DialogTitle>
+                    </DialogHeader>
+                    <div className="space-y-3 py-4">
+                        <div className="space-y-1">
+                            <Label htmlFor="webhookName">Name</Label>
+                            <Input
+                                id="webhookName"
+                                placeholder="Moderation Dashboard"
+                                value={name}
+                                maxLength={64}
+                                autoFocus
+                                required
+                                onChange={(e) => setName(e.target.value)}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="webhookUrl">URL</Label>
+                            <Input
+                                id="webhookUrl"
+                                placeholder="https://example.com/txadmin-webhook"
+                                value={url}
+                                required
+                                onChange={(e) => {
+                                    setUrl(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="webhookSecret">Signing Secret</Label>
+                            <Input
+                                id="webhookSecret"
+                                autoComplete="off"
+                                placeholder={webhook ? 'leave empty to keep the current secret' : 'leave empty to generate one'}
+                                value={secret}
+                                onChange={(e) => {
+                                    setSecret(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label>Events</Label>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 rounded-md border p-2">
+                                {[ALL_EVENTS, ...knownEvents].map((event) => (
+                                    <div key={event} className="flex items-center gap-2">
+                                        <Checkbox
+                                            id={`webhookEvent-${event}`}
+                                            checked={events.includes(event)}
+                                            disabled={isAllEvents && event !== ALL_EVENTS}
+                                            onCheckedChange={(checked) => toggleEvent(event, checked === true)}
+                                        />
+                                        <label htmlFor={`webhookEvent-${event}`} className="text-sm cursor-pointer font-mono">
+                                            {event === ALL_EVENTS ? 'All events' : event}
+                                        </label>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <Switch id="webhookEnabled" checked={enabled} onCheckedChange={setEnabled} />
+                            <Label htmlFor="webhookEnabled">Enabled</Label>
+                        </div>
+                    </div>
+                    {error && <p className="text-destructive text-center mb-4">{error}</p>}
+                    <DialogFooter>
+                        <Button type="submit">Save changes</Button>
+                    </DialogFooter>
+                </form>
+            </DialogContent>
+        </Dialog>
+    );
+}
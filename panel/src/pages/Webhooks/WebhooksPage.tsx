@@ -0,0 +1,266 @@
+import { useState } from "react";
+import useSWR from "swr";
+import { Loader2Icon, PencilIcon, SendIcon, Trash2Icon, WebhookIcon } from "lucide-react";
+import { PageHeader } from "@/components/page-header";
+import InlineCode from "@/components/InlineCode";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useAuthedFetcher, useBackendApi } from "@/hooks/fetch";
+import { useOpenConfirmDialog } from "@/hooks/dialogs";
+import { tsToLocaleDateTimeString } from "@/lib/dateTime";
+import { cn } from "@/lib/utils";
+import { GenericApiOkResp } from "@shared/genericApiTypes";
+import { ApiSaveWebhookReqSchema, ApiWebhookIdReqSchema, WebhookDeliveriesResp, WebhookListItem, WebhooksListResp } from "@shared/otherTypes";
+import WebhookEditDialog from "./WebhookEditDialog";
+
+
+function WebhooksPageInner() {
+    const authedFetcher = useAuthedFetcher();
+    const openConfirmDialog = useOpenConfirmDialog();
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const [editingWebhook, setEditingWebhook] = useState<WebhookListItem | undefined>();
+    const [selectedWebhookId, setSelectedWebhookId] = useState<string | undefined>();
+
+    const listSwr = useSWR<WebhooksListResp>(
+        '/webhooks/list',
+        () => authedFetcher<WebhooksListResp>('/webhooks/list'),
+        { refreshInterval: 15_000 }
+    );
+    const deliveriesPath = selectedWebhookId
+        ? `/webhooks/deliveries?webhookId=${selectedWebhookId}`
+        : '/webhooks/deliveries';
+    const deliveriesSwr = useSWR<WebhookDeliveriesResp>(
+        deliveriesPath,
+        () => authedFetcher<WebhookDeliveriesResp>(deliveriesPath),
+        { refreshInterval: 15_000 }
+    );
+
+    const saveApi = useBackendApi<GenericApiOkResp, ApiSaveWebhookReqSchema>({
+        method: 'POST',
+        path: '/webhooks/save',
+    });
+    const deleteApi = useBackendApi<GenericApiOkResp, ApiWebhookIdReqSchema>({
+        method: 'POST',
+        path: '/webhooks/delete',
+    });
+    const testApi = useBackendApi<GenericApiOkResp, ApiWebhookIdReqSchema>({
+        method: 'POST',
+        path: '/webhooks/test',
+    });
+
+    const refreshAll = () => {
+        listSwr.mutate();
+        deliveriesSwr.mutate();
+    }
+
+    const handleSave = (data: ApiSaveWebhookReqSchema) => {
+        saveApi({
+            data,
+            toastLoadingMessage: 'Saving webhook...',
+            genericHandler: { successMsg: 'Webhook saved.' },
+            success: (resp) => {
+                if ('success' in resp) {
+                    setIsDialogOpen(false);
+                    refreshAll();
+                }
+            },
+        });
+    }
+
+    const handleDelete = (webhook: WebhookListItem) => {
+        openConfirmDialog({
+            title: 'Delete Webhook',
+            actionLabel: 'Delete',
+            confirmBtnVariant: 'destructive',
+            message: <>
+                Are you sure you want to delete the webhook <strong>{webhook.name}</strong>? <br />
+                All its pending deliveries and delivery log will also be deleted.
+            </>,
+            onConfirm: () => {
+                deleteApi({
+                    data: { id: webhook.id },
+                    toastLoadingMessage: 'Deleting webhook...',
+                    genericHandler: { successMsg: 'Webhook deleted.' },
+                    success: () => {
+                        if (selectedWebhookId === webhook.id) setSelectedWebhookId(undefined);
+                        refreshAll();
+                    },
+                });
+            },
+        });
+    }
+
+    const handleTest = (webhook: WebhookListItem) => {
+        testApi({
+            data: { id: webhook.id },
+            toastLoadingMessage: 'Queueing test event...',
+            genericHandler: { successMsg: 'Test event queued, check the delivery log.' },
+            success: () => {
+                setTimeout(refreshAll, 2500);
+            },
+        });
+    }
+
+    const openEditDialog = (webhook?: WebhookListItem) => {
+        setEditingWebhook(webhook);
+        setIsDialogOpen(true);
+    }
+
+    if (listSwr.error || (listSwr.data && 'error' in listSwr.data)) {
+        const errMsg = listSwr.error?.message ?? (listSwr.data as any)?.error ?? 'unknown error';
+        return <div className="text-destructive-inline text-center my-4">Error loading webhooks: {errMsg}</div>;
+    }
+    if (!listSwr.data) {
+        return (
+            <div className="text-muted-foreground text-lg md:text-2xl text-center my-4">
+                <Loader2Icon className="inline animate-spin h-8" />Loading...
+            </div>
+        );
+    }
+
+    const { webhooks, knownEvents, signatureHeader, canEdit } = listSwr.data;
+    const webhookNames = Object.fromEntries(webhooks.map((wh) => [wh.id, wh.name]));
+    const deliveries = deliveriesSwr.data && 'deliveries' in deliveriesSwr.data ? deliveriesSwr.data.deliveries : [];
+    return <>
+        <div className="space-y-4 w-full max-w-screen-lg mx-auto">
+            <p className="px-2 md:px-0">
+                Webhooks receive the same events sent to the server resources as a JSON <InlineCode>POST</InlineCode> request. <br />
+                The request body is signed with HMAC-SHA256 using the webhook secret, and sent in the <InlineCode>{signatureHeader}</InlineCode> header. <br />
+                Failed deliveries are retried with an increasing delay for up to a few hours.
+                {!canEdit && (<>
+                    <br />
+                    <span className="text-warning-inline">
+                        You need the <InlineCode className="text-warning-inline">Settings: Change</InlineCode> permission to edit the webhooks.
+                    </span>
+                </>)}
+            </p>
+
+            <div className="space-y-2 border p-2 xs:rounded-lg">
+                {!webhooks.length ? (
+                    <div className="text-muted-foreground text-lg md:text-2xl text-center my-4">
+                        No webhooks configured yet.
+                    </div>
+                ) : webhooks.map((webhook) => (
+                    <div
+                        key={webhook.id}
+                        className={cn(
+                            'flex flex-wrap items-center justify-between gap-2 rounded-md border px-3 py-2 cursor-pointer',
+                            selectedWebhookId === webhook.id ? 'bg-secondary' : 'hover:bg-secondary/50',
+                        )}
+                        onClick={() => setSelectedWebhookId(selectedWebhookId === webhook.id ? undefined : webhook.id)}
+                    >
+                        <div className="min-w-0">
+                            <div className="flex items-center gap-2">
+                                <strong>{webhook.name}</strong>
+                                {!webhook.enabled && <Badge variant="outline">disabled</Badge>}
+                                {webhook.pendingDeliveries > 0 && (
+                                    <Badge variant="outline" className="text-warning-inline">{webhook.pendingDeliveries} pending</Badge>
+                                )}
+                            </div>
+                            <div className="text-sm text-muted-foreground font-mono truncate">{webhook.url}</div>
+                            <div className="text-xs text-muted-foreground">
+                                Events: {webhook.events.includes('*') ? 'all' : webhook.events.join(', ')}
+                            </div>
+                            {webhook.secret && (
+                                <div className="text-xs text-muted-foreground">
+                                    Secret: <span className="font-mono select-all">{webhook.secret}</span>
+                                </div>
+                            )}
+                        </div>
+                        <div className="flex gap-2" onClick={(e) => e.stopPropagation()}>
+                            <Button size="xs" variant="outline" disabled={!canEdit} onClick={() => handleTest(webhook)}>
+                                <SendIcon className="h-4 w-4 mr-1" /> Test
+                            </Button>
+                            <Button size="xs" variant="outline" disabled={!canEdit} onClick={() => openEditDialog(webhook)}>
+                                <PencilIcon className="h-4 w-4 mr-1" /> Edit
+                            </Button>
+                            <Button size="xs" variant="destructive" disabled={!canEdit} onClick={() => handleDelete(webhook)}>
+                                <Trash2Icon className="h-4 w-4" />
+                            </Button>
+                        </div>
+                    </div>
+                ))}
+                <Button className="w-full" variant="outline" disabled={!canEdit} onClick={() => openEditDialog()}>
+                    Add Webhook
+                </Button>
+            </div>
+
+            <div className="space-y-2">
+                <h2 className="text-xl px-2 md:px-0">
+                    Delivery Log
+                    {selectedWebhookId && (
+                        <span className="text-muted-foreground text-base"> - {webhookNames[selectedWebhookId]}</span>
+                    )}
+                </h2>
+                <div className="border xs:rounded-lg">
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Time</TableHead>
+                                <TableHead>Webhook</TableHead>
+                                <TableHead>Event</TableHead>
+                                <TableHead>Attempt</TableHead>
+                                <TableHead>Status</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {!deliveries.length ? (
+                                <TableRow>
+                                    <TableCell colSpan={5} className="text-center text-muted-foreground">
+                                        No deliveries yet.
+                                    </TableCell>
+                                </TableRow>
+                            ) : deliveries.map((entry) => (
+                                <TableRow key={`${entry.id}-${entry.attempt}`}>
+                                    <TableCell className="whitespace-nowrap">{tsToLocaleDateTimeString(entry.ts, 'short', 'medium')}</TableCell>
+                                    <TableCell>{webhookNames[entry.webhookId] ?? entry.webhookId}</TableCell>
+                                    <TableCell className="font-mono">{entry.event}</TableCell>
+                                    <TableCell>{entry.attempt}</TableCell>
+                                    <TableCell
+                                        className={cn(
+                                            entry.status === 'success' && 'text-success-inline',
+                                            entry.status === 'retrying' && 'text-warning-inline',
+                                            entry.status === 'failed' && 'text-destructive-inline',
+                                        )}
+                                        title={entry.error}
+                                    >
+                                        {entry.status}
+                                        {entry.httpStatus ? ` (${entry.httpStatus})` : ''}
+                                        {entry.error && !entry.httpStatus ? `: ${entry.error}` : ''}
+                                        <span className="text-muted-foreground text-xs"> {entry.duration}ms</span>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            </div>
+        </div>
+        {isDialogOpen && (
+            <WebhookEditDialog
+                key={editingWebhook?.id}
+                webhook={editingWebhook}
+                knownEvents={knownEvents}
+                onSave={handleSave}
+                isDialogOpen={isDialogOpen}
+                setIsDialogOpen={setIsDialogOpen}
+            />
+        )}
+    </>;
+}
+
+
+export default function WebhooksPage() {
+    return (
+        <div className="w-full mb-10">
+            <PageHeader
+                icon={<WebhookIcon />}
+                title="Webhooks"
+            />
+            <div className="px-0 xs:px-3 md:px-0 flex flex-row gap-2 w-full">
+                <WebhooksPageInner />
+            </div>
+        </div>
+    )
+}
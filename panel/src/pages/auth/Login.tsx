@@ -11,6 +11,8 @@ import { useLocation } from "wouter";
 import { fetchWithTimeout } from '@/hooks/fetch';
 import { processFetchError } from './errors';
 import { ServerGlowIcon } from '@/components/serverIcon';
+import TotpLoginForm from './TotpLoginForm';
+import type { OauthProviderIdType } from '@shared/otherTypes';
 
 
 function HeaderNoServer() {
@@ -62,6 +64,7 @@ export enum LogoutReasonHash {
     UPDATED = '#updated',
     MASTER_ALREADY_SET = '#master_already_set',
     SHUTDOWN = '#shutdown',
+    TOTP_REQUIRED = '#totp',
 }
 
 export default function Login() {
@@ -70,6 +73,7 @@ export default function Login() {
     const passwordRef = useRef<HTMLInputElement>(null);
     const [errorMessage, setErrorMessage] = useState<string | undefined>();
     const [isFetching, setIsFetching] = useState(false);
+    const [isTotpStep, setIsTotpStep] = useState(false);
     const setLocation = useLocation()[1];
 
     const onError = (error: any) => {
@@ -106,6 +110,9 @@ export default function Login() {
                 } else {
                     onErrorResponse(data.error);
                 }
+            } else if ('totpRequired' in data) {
+                setErrorMessage(undefined);
+                setIsTotpStep(true);
             } else {
                 setAuthData(data);
             }
@@ -116,11 +123,16 @@ export default function Login() {
         }
     }
 
-    const handleRedirect = async () => {
+    const handleTotpRestart = (errorMessage?: string) => {
+        setErrorMessage(errorMessage);
+        setIsTotpStep(false);
+    }
+
+    const handleRedirect = async (providerId: OauthProviderIdType) => {
         try {
             setIsFetching(true);
             const data = await fetchWithTimeout<ApiOauthRedirectResp>(
-                `/auth/cfxre/redirect?origin=${encodeURIComponent(window.location.origin)}`
+                `/auth/oauth/${providerId}/redirect?origin=${encodeURIComponent(window.location.origin)}`
             );
             if ('error' in data) {
                 onErrorResponse(data.error);
@@ -163,20 +175,37 @@ export default function Login() {
             setErrorMessage('Master account already configured.');
         } else if (hash === LogoutReasonHash.SHUTDOWN) {
             setErrorMessage('The txAdmin server shut down.\nPlease start it again to be able to login.');
+        } else if (hash === LogoutReasonHash.TOTP_REQUIRED) {
+            setIsTotpStep(true);
         }
         window.location.hash = '';
     }, []);
 
+    const cardHeader = (
+        <CardHeader className="rounded-t-[inherit]">
+            <CardTitle className="h-14 xs:h-16 flex flex-row justify-center items-center gap-4">
+                <HeaderServerInfo />
+            </CardTitle>
+        </CardHeader>
+    );
+
+    if (isTotpStep) {
+        return (
+            <div className='w-full rounded-[inherit]'>
+                {cardHeader}
+                <CardContent className="pt-4 border-t rounded-b-[inherit] bg-card">
+                    <TotpLoginForm onRestart={handleTotpRestart} />
+                </CardContent>
+            </div>
+        );
+    }
+
     return (
         <form
             onSubmit={(e) => { e.preventDefault(); handleLogin();}}
             className='w-full rounded-[inherit]'
         >
-            <CardHeader className="rounded-t-[inherit]">
-                <CardTitle className="h-14 xs:h-16 flex flex-row justify-center items-center gap-4">
-                    <HeaderServerInfo />
-                </CardTitle>
-            </CardHeader>
+            {cardHeader}
             <CardContent className="flex flex-col pt-4 gap-4 border-t rounded-b-[inherit] bg-card">
                 {/* Error message */}
                 {errorMessage && <div className="text-center text-sm whitespace-pre-wrap text-destructive-inline">
@@ -223,18 +252,22 @@ export default function Login() {
                         <LogInIcon className="inline mr-2 h-4 w-4" />
                     )} Login
                 </Button>
-                <Button
-                    className="cfxrebtn"
-                    variant='outline'
-                    disabled={isFetching}
-                    onClick={handleRedirect}
-                >
-                    {isFetching ? (
-                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    ) : (
-                        <LogInIcon className="inline mr-2 h-4 w-4" />
-                    )} Login with Cfx.re
-                </Button>
+                {window.txConsts.loginProviders.map((provider) => (
+                    <Button
+                        key={provider.id}
+                        type="button"
+                        className={provider.id === 'citizenfx' ? 'cfxrebtn' : undefined}
+                        variant='outline'
+                        disabled={isFetching}
+                        onClick={() => handleRedirect(provider.id)}
+                    >
+                        {isFetching ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        ) : (
+                            <LogInIcon className="inline mr-2 h-4 w-4" />
+                        )} Login with {provider.displayName}
+                    </Button>
+                ))}
             </CardContent>
         </form>
     );
@@ -4,19 +4,22 @@ import { useEffect, useRef, useState } from "react";
 import { AuthError, checkCommonOauthErrors, processFetchError } from "./errors";
 import GenericSpinner from "@/components/GenericSpinner";
 import { fetchWithTimeout } from "@/hooks/fetch";
+import { useLocation } from "wouter";
+import { LogoutReasonHash } from "./Login";
 
 
-export default function CfxreCallback() {
+export default function OauthCallback() {
     const hasPendingMutation = useRef(false); //due to strict mode re-rendering
     const { authData, setAuthData } = useAuth();
     const [errorData, setErrorData] = useState<ApiOauthCallbackErrorResp | undefined>(checkCommonOauthErrors);
     const [isFetching, setIsFetching] = useState(false);
+    const setLocation = useLocation()[1];
 
     const submitCallback = async () => {
         try {
             setIsFetching(true);
             const data = await fetchWithTimeout<ApiOauthCallbackResp, ApiOauthCallbackReq>(
-                `/auth/cfxre/callback`,
+                `/auth/oauth/callback`,
                 {
                     method: 'POST',
                     body: {
@@ -26,6 +29,8 @@ export default function CfxreCallback() {
             );
             if ('errorCode' in data || 'errorTitle' in data) {
                 setErrorData(data);
+            } else if ('totpRequired' in data) {
+                setLocation(`/login${LogoutReasonHash.TOTP_REQUIRED}`);
             } else {
                 setAuthData(data);
             }
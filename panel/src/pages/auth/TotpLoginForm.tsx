@@ -0,0 +1,106 @@
+import { useRef, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ArrowLeftIcon, Loader2, ShieldCheckIcon } from "lucide-react";
+import { ApiVerifyTotpReq, ApiVerifyTotpResp } from '@shared/authApiTypes';
+import { useAuth } from '@/hooks/auth';
+import { fetchWithTimeout } from '@/hooks/fetch';
+import { processFetchError } from './errors';
+
+type TotpLoginFormProps = {
+    onRestart: (errorMessage?: string) => void;
+};
+
+
+/**
+ * Second step of the login, for admins with two-factor authentication enabled.
+ */
+export default function TotpLoginForm({ onRestart }: TotpLoginFormProps) {
+    const { setAuthData } = useAuth();
+    const codeRef = useRef<HTMLInputElement>(null);
+    const [errorMessage, setErrorMessage] = useState<string | undefined>();
+    const [isFetching, setIsFetching] = useState(false);
+
+    const handleVerify = async () => {
+        try {
+            setIsFetching(true);
+            const data = await fetchWithTimeout<ApiVerifyTotpResp, ApiVerifyTotpReq>(
+                `/auth/verifyTotp`,
+                {
+                    method: 'POST',
+                    body: {
+                        code: codeRef.current?.value ?? '',
+                    },
+                }
+            );
+            if ('error' in data) {
+                if (data.restartLogin) {
+                    onRestart(data.error);
+                } else {
+                    setErrorMessage(data.error);
+                    codeRef.current?.select();
+                }
+            } else {
+                setAuthData(data);
+            }
+        } catch (error) {
+            const { errorTitle, errorMessage } = processFetchError(error);
+            setErrorMessage(`${errorTitle}:\n${errorMessage}`);
+        } finally {
+            setIsFetching(false);
+        }
+    }
+
+    return (
+        <form
+            onSubmit={(e) => { e.preventDefault(); handleVerify(); }}
+            className="flex flex-col gap-4"
+        >
+            {errorMessage ? (
+                <div className="text-center text-sm whitespace-pre-wrap text-destructive-inline">
+                    {errorMessage}
+                </div>
+            ) : (
+                <div className="text-center text-sm text-muted-foreground">
+                    Enter the code from your authenticator app, or one of your recovery codes.
+                </div>
+            )}
+
+            <div className="flex flex-col xs:grid grid-cols-8 gap-2 xs:gap-4 items-baseline">
+                <Label className="col-span-2" htmlFor="frm-totp">
+                    Code
+                </Label>
+                <Input
+                    id="frm-totp"
+                    ref={codeRef}
+                    type="text"
+                    inputMode="text"
+                    placeholder="123456"
+                    autoCapitalize='off'
+                    autoComplete='one-time-code'
+                    className="col-span-6"
+                    autoFocus
+                    required
+                />
+            </div>
+
+            <Button variant='outline' disabled={isFetching}>
+                {isFetching ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                    <ShieldCheckIcon className="inline mr-2 h-4 w-4" />
+                )} Verify
+            </Button>
+            <Button
+                type="button"
+                variant='ghost'
+                size='sm'
+                disabled={isFetching}
+                onClick={() => onRestart()}
+            >
+                <ArrowLeftIcon className="inline mr-2 h-4 w-4" /> Back to login
+            </Button>
+        </form>
+    );
+}
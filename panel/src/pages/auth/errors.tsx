@@ -65,11 +65,14 @@ export function AuthError({ error }: AuthErrorProps) {
             Please go back to the login page to continue. <br />
         </ErrorText>
     } else if (error.errorCode === 'not_admin') {
-        const fivemId = error.errorContext?.identifier ?? 'unknown';
-        const fivemName = error.errorContext?.name ?? 'unknown';
-        titleNode = `The Cfx.re account '${fivemName}' is not an admin.`;
+        const accountId = error.errorContext?.identifier ?? 'unknown';
+        const accountName = error.errorContext?.name ?? 'unknown';
+        const providerName = window.txConsts.loginProviders.find(
+            (p) => p.id === error.errorContext?.provider
+        )?.displayName ?? 'Cfx.re';
+        titleNode = `The ${providerName} account '${accountName}' is not an admin.`;
         bodyNode = <ErrorText>
-            The account above with identifier <InlineCode>{fivemId}</InlineCode> is not assigned to any account registered on txAdmin. <br />
+            The account above with identifier <InlineCode>{accountId}</InlineCode> is not assigned to any account registered on txAdmin. <br />
             You can also try to login using your username and backup password.
         </ErrorText>
     } else {
@@ -48,6 +48,17 @@ local function useInitData(data)
             targetName = data.pendingWarn.targetName,
         }, false)
     end
+    if data.activeMute ~= nil then
+        TX_EVENT_HANDLERS.playerMuted({
+            author = data.activeMute.author,
+            reason = data.activeMute.reason,
+            actionId = data.activeMute.actionId,
+            expiration = data.activeMute.expiration,
+            targetNetId = data.activeMute.targetNetId,
+            targetIds = data.activeMute.targetIds,
+            targetName = data.activeMute.targetName,
+        }, false)
+    end
 end
 
 RegisterCommand('txaInitialData', function(source, args)
@@ -173,7 +173,6 @@ TX_EVENT_HANDLERS = {
     configChanged = false, -- sv_ctx.lua
 
     -- Known NO-OP
-    actionRevoked = false,
     adminAuth = false,
     consoleCommand = false,
     healedPlayer = false,
@@ -305,6 +304,112 @@ AddEventHandler('playerDropped', function()
 end)
 
 
+--- Handler for the player muted event
+--- Blocks the chat messages and mutes the voice of the player(s) via identifiers until the mute expires
+local activeMutes = {}
+local mutedPlayers = {}
+
+local function getPlayerActiveMute(playerId)
+    local identifiers = GetPlayerIdentifiers(playerId)
+    if identifiers == nil then return nil end
+    local currTs = os.time()
+    for _, mute in pairs(activeMutes) do
+        if mute.expiration > currTs then
+            for _, searchIdentifier in pairs(mute.targetIds) do
+                for _, playerIdentifier in pairs(identifiers) do
+                    if searchIdentifier == playerIdentifier then
+                        return mute
+                    end
+                end
+            end
+        end
+    end
+    return nil
+end
+
+local function refreshPlayerMute(playerId)
+    local isMuted = getPlayerActiveMute(playerId) ~= nil
+    local srcStr = tostring(playerId)
+    if isMuted ~= (mutedPlayers[srcStr] == true) then
+        MumbleSetPlayerMuted(tonumber(playerId), isMuted)
+    end
+    mutedPlayers[srcStr] = isMuted or nil
+end
+
+TX_EVENT_HANDLERS.playerMuted = function(eventData, isMuteNew)
+    if isMuteNew == nil then isMuteNew = true end
+
+    -- sanity check
+    if
+        type(eventData.actionId) ~= 'string'
+        or type(eventData.expiration) ~= 'number'
+        or type(eventData.targetIds) ~= 'table'
+    then
+        return txPrintError('[playerMuted] invalid eventData', eventData)
+    end
+
+    activeMutes[eventData.actionId] = {
+        expiration = eventData.expiration,
+        targetIds = eventData.targetIds,
+    }
+    for _, playerID in pairs(GetPlayers()) do
+        refreshPlayerMute(playerID)
+    end
+
+    if isMuteNew and eventData.targetNetId ~= nil and DoesPlayerExist(eventData.targetNetId) then
+        local authorName = cvHideAdminInPunishments and txServerName or eventData.author or 'anonym'
+        TriggerClientEvent('txcl:showDirectMessage', eventData.targetNetId, eventData.muteMessage, authorName)
+        txPrint(string.format(
+            'Muting player (#%s) %s for %s',
+            eventData.targetNetId,
+            eventData.targetName,
+            eventData.reason
+        ))
+    end
+end
+
+--- Handler for the action revoked event
+--- Only mutes need to be removed, bans and warns are checked by txAdmin itself
+TX_EVENT_HANDLERS.actionRevoked = function(eventData)
+    if eventData.actionType ~= 'mute' or activeMutes[eventData.actionId] == nil then return end
+    activeMutes[eventData.actionId] = nil
+    for playerID in pairs(mutedPlayers) do
+        refreshPlayerMute(playerID)
+    end
+end
+
+-- Block the chat messages of muted players
+AddEventHandler('chatMessage', function(src)
+    if getPlayerActiveMute(src) ~= nil then
+        CancelEvent()
+    end
+end)
+
+-- Apply the active mutes when a player joins, and clean up when they leave
+AddEventHandler('playerJoining', function()
+    refreshPlayerMute(source)
+end)
+AddEventHandler('playerDropped', function()
+    mutedPlayers[tostring(source)] = nil
+end)
+
+-- Remove the expired mutes
+CreateThread(function()
+    while true do
+        Wait(15000)
+        local currTs = os.time()
+        for actionId, mute in pairs(activeMutes) do
+            if mute.expiration <= currTs then
+                activeMutes[actionId] = nil
+            end
+        end
+        for playerID in pairs(mutedPlayers) do
+            refreshPlayerMute(playerID)
+        end
+    end
+end)
+
+
 --- Handler for the player banned event
 --- Ban player(s) via netid or identifiers
 TX_EVENT_HANDLERS.playerBanned = function(eventData)
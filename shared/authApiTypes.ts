@@ -6,12 +6,19 @@ import type { ApiAddMasterCallbackReqSchema } from "@core/routes/authentication/
 import type { ApiAddMasterSaveReqSchema } from "@core/routes/authentication/addMasterSave";
 import type { ApiChangePasswordReqSchema } from "@core/routes/authentication/changePassword";
 import type { ApiChangeIdentifiersReqSchema } from "@core/routes/authentication/changeIdentifiers";
+import type { ApiCreateApiTokenReqSchema, ApiRevokeApiTokenReqSchema } from "@core/routes/authentication/apiTokenActions";
+import type { ApiTokenInfoType } from "@core/modules/AdminStore/apiTokens";
+import type { ApiVerifyTotpReqSchema } from "@core/routes/authentication/verifyTotp";
+import type { ApiTotpCodeReqSchema } from "@core/routes/authentication/totpActions";
+import type { ApiRevokeSessionReqSchema } from "@core/routes/authentication/sessionActions";
+import type { AdminSessionInfoType } from "@core/modules/WebServer/middlewares/sessionMws";
 
 export type ReactAuthDataType = {
     name: string;
     permissions: string[];
     isMaster: boolean;
     isTempPassword: boolean;
+    isTotpSetupRequired?: boolean;
     profilePicture?: string;
     csrfToken?: string;
 }
@@ -23,9 +30,20 @@ export type ApiLogoutResp = {
 };
 
 
+export type ApiTotpRequiredResp = {
+    totpRequired: true;
+};
+
 export type ApiVerifyPasswordReq = ApiVerifyPasswordReqSchema;
 export type ApiVerifyPasswordResp = {
     error: string;
+} | ApiTotpRequiredResp | ReactAuthDataType;
+
+
+export type ApiVerifyTotpReq = ApiVerifyTotpReqSchema;
+export type ApiVerifyTotpResp = {
+    error: string;
+    restartLogin?: true;
 } | ReactAuthDataType;
 
 
@@ -46,7 +64,7 @@ export type ApiOauthCallbackErrorResp = {
     errorTitle: string;
     errorMessage: string;
 };
-export type ApiOauthCallbackResp = ApiOauthCallbackErrorResp | ReactAuthDataType;
+export type ApiOauthCallbackResp = ApiOauthCallbackErrorResp | ApiTotpRequiredResp | ReactAuthDataType;
 
 
 export type ApiAddMasterPinReq = ApiAddMasterPinReqSchema;
@@ -68,3 +86,59 @@ export type ApiAddMasterSaveResp = {
 
 export type ApiChangePasswordReq = ApiChangePasswordReqSchema;
 export type ApiChangeIdentifiersReq = ApiChangeIdentifiersReqSchema;
+
+
+export type ApiTokenInfo = ApiTokenInfoType;
+export type ApiGetApiTokensResp = {
+    tokens: ApiTokenInfo[];
+    permissions: { id: string; label: string }[];
+} | {
+    error: string;
+};
+
+export type ApiCreateApiTokenReq = ApiCreateApiTokenReqSchema;
+export type ApiCreateApiTokenResp = {
+    token: string;
+    info: ApiTokenInfo;
+} | {
+    error: string;
+};
+
+export type ApiRevokeApiTokenReq = ApiRevokeApiTokenReqSchema;
+
+
+export type ApiGetTotpResp = {
+    enabled: boolean;
+    required: boolean;
+    tsEnabled: number | null;
+    recoveryCodesLeft: number;
+} | {
+    error: string;
+};
+
+export type ApiSetupTotpResp = {
+    secret: string;
+    uri: string;
+    qrCode: string; //data url
+} | {
+    error: string;
+};
+
+export type ApiTotpCodeReq = ApiTotpCodeReqSchema;
+export type ApiConfirmTotpResp = {
+    recoveryCodes: string[];
+} | {
+    error: string;
+};
+
+
+export type ApiSessionInfo = AdminSessionInfoType & {
+    isCurrent: boolean;
+};
+export type ApiGetSessionsResp = {
+    sessions: ApiSessionInfo[];
+} | {
+    error: string;
+};
+
+export type ApiRevokeSessionReq = ApiRevokeSessionReqSchema;
@@ -1,4 +1,4 @@
-import { DatabaseActionType } from "@modules/Database/databaseTypes";
+import { DatabaseActionType, DatabaseBanAppealType } from "@modules/Database/databaseTypes";
 import { GenericApiErrorResp } from "./genericApiTypes";
 
 export type HistoryStatsResp = {
@@ -6,6 +6,10 @@ export type HistoryStatsResp = {
     warnsLast7d: number;
     totalBans: number;
     bansLast7d: number;
+    totalKicks: number;
+    kicksLast7d: number;
+    totalMutes: number;
+    mutesLast7d: number;
     groupedByAdmins: {
         name: string;
         actions: number;
@@ -38,13 +42,14 @@ export type HistoryTableReqType = {
 
 export type HistoryTableActionType = {
     id: string;
-    type: "ban" | "warn";
+    type: DatabaseActionType['type'];
     playerName: string | false;
     author: string;
     reason: string;
     timestamp: number;
     isRevoked: boolean;
     banExpiration?: 'expired' | 'active' | 'permanent';
+    muteExpiration?: 'expired' | 'active';
     warnAcked?: boolean;
 }
 
@@ -57,5 +62,27 @@ export type HistoryTableSearchResp = {
 export type HistoryActionModalSuccess = {
     serverTime: number; //required to calculate if bans have expired on frontend
     action: DatabaseActionType;
+    federation?: { //only for bans imported from a federated instance
+        sourceName: string | null; //null if the source was deleted
+        isEnforced: boolean;
+    };
 }
 export type HistoryActionModalResp = HistoryActionModalSuccess | GenericApiErrorResp;
+
+
+export type BanAppealBanInfo = {
+    reason: string;
+    author: string;
+    timestamp: number;
+    expiration: number | false;
+    isRevoked: boolean;
+}
+
+export type BanAppealListItem = DatabaseBanAppealType & {
+    ban: BanAppealBanInfo | null;
+    discordMatchesBan?: boolean; //only for appeals sent through the discord bot
+}
+
+export type BanAppealsListResp = {
+    appeals: BanAppealListItem[];
+} | GenericApiErrorResp;
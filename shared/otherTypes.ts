@@ -1,14 +1,26 @@
 import type { ReactAuthDataType } from "./authApiTypes";
+import type { OauthProviderIdType } from "@core/modules/AdminStore/providers/providerUtils";
 
 //Config stuff
 export type { TxConfigs, PartialTxConfigs } from "@core/modules/ConfigStore/schema";
 export type { ConfigChangelogEntry } from "@core/modules/ConfigStore/changelog";
 export type { GetConfigsResp } from "@core/routes/settings/getConfigs";
 export type { SaveConfigsReq, SaveConfigsResp } from "@core/routes/settings/saveConfigs";
-export type { BanTemplatesDataType, BanDurationType } from "@core/modules/ConfigStore/schema/banlist";
+export type { BanTemplatesDataType, BanDurationType, WarnEscalationStepType } from "@core/modules/ConfigStore/schema/banlist";
+export type { PlayerTagDataType } from "@core/modules/ConfigStore/schema/database";
 export type { ResetServerDataPathResp } from "@core/routes/settings/resetServerDataPath";
 export type { GetBanTemplatesSuccessResp } from "@core/routes/banTemplates/getBanTemplates";
 export type { SaveBanTemplatesResp, SaveBanTemplatesReq } from "@core/routes/banTemplates/saveBanTemplates";
+export type { WebhooksListResp, WebhookListItem } from "@core/routes/webhooks/list";
+export type { WebhookDeliveriesResp } from "@core/routes/webhooks/deliveries";
+export type { ApiSaveWebhookReqSchema, ApiWebhookIdReqSchema } from "@core/routes/webhooks/actions";
+export type { WebhookDeliveryLogType } from "@core/modules/Webhooks/webhookUtils";
+export type { BanFederationListResp, FederationSourceListItem } from "@core/routes/banFederation/list";
+export type { ApiSaveFederationSourceReqSchema, ApiAddFederationAccessKeyReqSchema, ApiFederationIdReqSchema, ApiAddFederationAccessKeyResp, ApiSyncFederationSourceResp } from "@core/routes/banFederation/actions";
+export type { AuditLogSearchResp } from "@core/routes/auditLog";
+export type { AuditLogEntryType } from "@core/modules/Logger/auditUtils";
+export type { OauthProviderIdType } from "@core/modules/AdminStore/providers/providerUtils";
+export type { OpenApiSpecType } from "@core/modules/WebServer/openApi/openApiSpec";
 
 //Stats stuff
 export type { SvRtLogFilteredType, SvRtPerfCountsThreadType } from "@core/modules/Metrics/svRuntime/perfSchemas";
@@ -59,6 +71,10 @@ export type InjectedTxConsts = {
         game: string | undefined;
         icon: string | undefined;
     };
+    loginProviders: {
+        id: OauthProviderIdType;
+        displayName: string;
+    }[];
 
     //Auth
     preAuth: ReactAuthDataType | false;
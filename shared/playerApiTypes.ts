@@ -1,10 +1,10 @@
 import { GenericApiErrorResp } from "./genericApiTypes";
-import { BanTemplatesDataType } from "./otherTypes";
+import { BanTemplatesDataType, PlayerTagDataType } from "./otherTypes";
 
 //Already compliant with new db specs
 export type PlayerHistoryItem = {
     id: string;
-    type: "ban" | "warn";
+    type: "ban" | "warn" | "kick" | "mute";
     author: string;
     reason: string;
     ts: number;
@@ -13,6 +13,29 @@ export type PlayerHistoryItem = {
     revokedAt?: number;
 }
 
+export type PlayerNoteItem = {
+    id: string;
+    author: string;
+    ts: number;
+    text?: string; //undefined if deleted
+    isPinned: boolean;
+    edits: {
+        author: string;
+        ts: number;
+        previousText: string;
+    }[];
+    deleted?: {
+        author: string;
+        ts: number;
+    };
+}
+
+export type PlayerNameHistoryItem = {
+    displayName: string;
+    tsFirstSeen: number;
+    tsLastSeen: number;
+}
+
 export type PlayerModalPlayerData = {
     //common
     displayName: string;
@@ -32,21 +55,78 @@ export type PlayerModalPlayerData = {
     tsJoined?: number;
     tsWhitelisted?: number;
     playTime?: number;
-    notesLog?: string;
-    notes?: string;
+    notes?: PlayerNoteItem[]; //pinned first, then newest first, then the deleted ones
     oldIds?: string[]; //will also include the current ones
     oldHwids?: string[]; //will also include the current ones
     tsLastConnection?: number; //only show if offline
+    tags?: string[]; //ids of the tags in PlayerModalSuccess.playerTags
+    nameHistory?: PlayerNameHistoryItem[]; //most recently seen first
 }
 
 export type PlayerModalSuccess = {
     serverTime: number; //required to calculate if bans have expired on frontend
     banTemplates: BanTemplatesDataType[]; //TODO: move this to websocket push
+    playerTags: PlayerTagDataType[];
     player: PlayerModalPlayerData;
 }
 export type PlayerModalResp = PlayerModalSuccess | GenericApiErrorResp;
 
 
+/**
+ * Used in the player modal links tab
+ */
+export type PlayerLinkReasonType = 'discord' | 'fivem' | 'steam' | 'xbl' | 'live' | 'hwid' | 'ip';
+
+export type PlayerLinkedAccount = {
+    license: string;
+    displayName: string;
+    playTime: number;
+    tsLastConnection: number;
+    linkedBy?: string; //only if directly linked
+    tsLinked?: number; //only if directly linked
+}
+
+export type PlayerLinkSuggestion = {
+    license: string;
+    displayName: string;
+    playTime: number;
+    tsLastConnection: number;
+    reasons: PlayerLinkReasonType[];
+}
+
+export type PlayerLinksSuccess = {
+    serverTime: number;
+    linked: PlayerLinkedAccount[];
+    combinedPlayTime: number; //including the player itself
+    actionHistory: PlayerHistoryItem[]; //of all linked accounts, including the player itself
+    suggestions: PlayerLinkSuggestion[];
+}
+export type PlayerLinksResp = PlayerLinksSuccess | GenericApiErrorResp;
+
+
+/**
+ * Used in the player modal sessions tab
+ */
+export type PlayerSessionDropType = 'player' | 'timeout' | 'security' | 'resource' | 'crash' | 'unknown' | 'shutdown';
+
+export type PlayerSessionItem = {
+    mutex: string;
+    netid: number;
+    tsJoin: number;
+    tsLeave?: number; //undefined if the session is ongoing
+    dropCategory?: PlayerSessionDropType; //undefined if the session is ongoing
+}
+
+export type PlayerSessionsSuccess = {
+    serverTime: number;
+    retentionDays: number; //0 if the sessions are never removed
+    totalSessions: number;
+    sessions: PlayerSessionItem[]; //newest first, limited
+    heatmap: number[][]; //minutes played in [weekDay][hour], starting on sunday, in the requested timezone
+}
+export type PlayerSessionsResp = PlayerSessionsSuccess | GenericApiErrorResp;
+
+
 /**
  * Used in the players page
  */
@@ -85,10 +165,12 @@ export type PlayersTableReqType = {
 export type PlayersTablePlayerType = {
     license: string;
     displayName: string;
+    matchedName?: string; //previous name that matched the name search, if the current one didn't
     playTime: number;
     tsJoined: number;
     tsLastConnection: number;
     notes?: string;
+    tags: PlayerTagDataType[];
 
     isAdmin: boolean;
     isOnline: boolean;
@@ -98,6 +180,10 @@ export type PlayersTablePlayerType = {
     // banCount: number;
 }
 
+export type PlayerTagsResp = {
+    tags: PlayerTagDataType[];
+};
+
 export type PlayersTableSearchResp = {
     players: PlayersTablePlayerType[];
     hasReachedEnd: boolean;
@@ -1,7 +1,7 @@
 import { SvRtPerfThreadNamesType } from "@core/modules/Metrics/svRuntime/config";
 import { SvRtNodeMemoryType, SvRtPerfBoundariesType } from "@core/modules/Metrics/svRuntime/perfSchemas";
 import type { ReactAuthDataType } from "./authApiTypes";
-import type { UpdateDataType } from "./otherTypes";
+import type { PlayerTagDataType, UpdateDataType } from "./otherTypes";
 import { DiscordBotStatus, TxConfigState, type FxMonitorHealth } from "./enums";
 
 /**
@@ -73,6 +73,7 @@ export type PlayerlistPlayerType = {
     pureName: string,
     ids: string[],
     license: string | null,
+    tags: PlayerTagDataType[],
 }
 
 export type PlayerDroppedEventType = {
@@ -88,7 +89,15 @@ export type PlayerJoiningEventType = {
 } & PlayerlistPlayerType;
 
 
-export type PlayerlistEventType = FullPlayerlistEventType | PlayerDroppedEventType | PlayerJoiningEventType;
+export type PlayerTagsEventType = {
+    mutex: string,
+    type: 'playerTags',
+    netid: number,
+    tags: PlayerTagDataType[],
+}
+
+
+export type PlayerlistEventType = FullPlayerlistEventType | PlayerDroppedEventType | PlayerJoiningEventType | PlayerTagsEventType;
 
 
 /**
@@ -99,6 +108,13 @@ export type UpdateAvailableEventType = {
     txadmin?: UpdateDataType;
 }
 
+export type WarnEscalationEventType = {
+    actionId: string;
+    playerName: string;
+    warns: number;
+    durationText: string;
+}
+
 
 /**
  * Listen Events Map
@@ -116,4 +132,5 @@ export type ListenEventsMap = {
 
     //Standalone events
     updateAvailable: (event: UpdateAvailableEventType) => void
+    warnEscalation: (event: WarnEscalationEventType) => void
 };